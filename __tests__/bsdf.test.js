@@ -0,0 +1,112 @@
+import { createRng, nextFloat } from '../scripts/engine/raytracing/core/random.js';
+import { createBsdfSurface, evaluateBsdf, sampleBsdf } from '../scripts/engine/raytracing/cpu/bsdf.js';
+
+const UP = [0, 0, 1];
+
+function normalized(vector) {
+  const length = Math.hypot(...vector);
+  return vector.map((value) => value / length);
+}
+
+describe('metallic-roughness BSDF', () => {
+  test('consumes exactly three random numbers per sample', () => {
+    const surface = createBsdfSurface({ baseColor: [0.8, 0.8, 0.8, 1] }, UP, normalized([0.3, 0, 1]));
+    const sampled = createRng(77);
+    const skipped = createRng(77);
+    for (let i = 0; i < 20; i++) {
+      sampleBsdf(surface, sampled);
+      nextFloat(skipped); nextFloat(skipped); nextFloat(skipped);
+      expect(sampled.state).toBe(skipped.state);
+    }
+  });
+
+  test('sample pdfs and weights agree with evaluation', () => {
+    const surface = createBsdfSurface(
+      { baseColor: [0.9, 0.6, 0.3, 1], metallic: 0.5, roughness: 0.4 },
+      UP,
+      normalized([0.5, 0.2, 1]),
+    );
+    const rng = createRng(5);
+    for (let i = 0; i < 200; i++) {
+      const sample = sampleBsdf(surface, rng);
+      if (!sample) continue;
+      const { value, pdf } = evaluateBsdf(surface, sample.direction);
+      expect(sample.pdf).toBeCloseTo(pdf, 8);
+      expect(sample.weight[0]).toBeCloseTo(value[0] * sample.direction[2] / pdf, 8);
+    }
+  });
+
+  test('a rough white dielectric neither creates energy nor loses much of it', () => {
+    const surface = createBsdfSurface({ baseColor: [1, 1, 1, 1], roughness: 1 }, UP, normalized([0.2, 0.1, 1]));
+    const rng = createRng(11);
+    const samples = 4000;
+    let albedo = 0;
+    for (let i = 0; i < samples; i++) albedo += sampleBsdf(surface, rng)?.weight[0] ?? 0;
+    albedo /= samples;
+    expect(albedo).toBeLessThan(1.02);
+    expect(albedo).toBeGreaterThan(0.9);
+  });
+
+  test('glass transmission samples agree with evaluation on both sides of the surface', () => {
+    const glass = { baseColor: [1, 1, 1, 1], roughness: 0.3, transmission: 1, indexOfRefraction: 1.5, thickness: 1 };
+    [true, false].forEach((frontFace) => {
+      const surface = createBsdfSurface(glass, UP, normalized([0.3, 0.1, 1]), frontFace);
+      const rng = createRng(frontFace ? 8 : 9);
+      let transmitted = 0;
+      for (let i = 0; i < 300; i++) {
+        const sample = sampleBsdf(surface, rng);
+        if (!sample) continue;
+        const { value, pdf } = evaluateBsdf(surface, sample.direction);
+        expect(sample.pdf).toBeCloseTo(pdf, 6);
+        expect(sample.weight[0]).toBeCloseTo(value[0] * Math.abs(sample.direction[2]) / pdf, 6);
+        expect(sample.transmitted).toBe(sample.direction[2] < 0);
+        if (sample.transmitted) transmitted += 1;
+      }
+      expect(transmitted).toBeGreaterThan(200);
+    });
+  });
+
+  test('smooth glass refracts by Snell\'s law and reflects totally past the critical angle', () => {
+    const glass = { baseColor: [1, 1, 1, 1], roughness: 0, transmission: 1, indexOfRefraction: 1.5, thickness: 1 };
+    const outgoing = normalized([0.5, 0, 1]);
+    const entering = createBsdfSurface(glass, UP, outgoing, true);
+    const rng = createRng(31);
+    let refracted = null;
+    for (let i = 0; i < 20 && !refracted; i++) {
+      const sample = sampleBsdf(entering, rng);
+      if (sample?.transmitted) refracted = sample;
+    }
+    const sinIncident = Math.hypot(outgoing[0], outgoing[1]);
+    expect(Math.hypot(refracted.direction[0], refracted.direction[1])).toBeCloseTo(sinIncident / 1.5, 2);
+
+    // Leaving the glass at 60° is beyond asin(1 / 1.5) ≈ 41.8°.
+    const grazing = createBsdfSurface(glass, UP, normalized([Math.sqrt(3), 0, 1]), false);
+    const grazingRng = createRng(32);
+    for (let i = 0; i < 50; i++) {
+      const sample = sampleBsdf(grazing, grazingRng);
+      if (sample) expect(sample.transmitted).toBe(false);
+    }
+  });
+
+  test('a thin-walled sheet transmits straight through without bending', () => {
+    const sheet = { baseColor: [1, 1, 1, 1], roughness: 0, transmission: 1 };
+    const outgoing = normalized([0.4, 0.2, 1]);
+    const surface = createBsdfSurface(sheet, UP, outgoing);
+    const rng = createRng(12);
+    let sample = null;
+    for (let i = 0; i < 20 && !sample?.transmitted; i++) sample = sampleBsdf(surface, rng);
+    const alignment = sample.direction.reduce((sum, value, axis) => sum - value * outgoing[axis], 0);
+    expect(alignment).toBeGreaterThan(0.999);
+  });
+
+  test('a smooth metal samples the mirror direction with its base colour', () => {
+    const outgoing = normalized([0.6, 0, 0.8]);
+    const surface = createBsdfSurface({ baseColor: [1, 0.8, 0.4, 1], metallic: 1, roughness: 0 }, UP, outgoing);
+    expect(surface.specularProbability).toBe(1);
+    const sample = sampleBsdf(surface, createRng(3));
+    expect(sample.direction[0]).toBeCloseTo(-0.6, 1);
+    expect(sample.direction[2]).toBeCloseTo(0.8, 1);
+    expect(sample.weight[1] / sample.weight[0]).toBeCloseTo(0.8, 1);
+    expect(evaluateBsdf(surface, [0, 0, -1])).toEqual({ value: [0, 0, 0], pdf: 0 });
+  });
+});
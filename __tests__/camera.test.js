@@ -1,5 +1,5 @@
-import { Camera } from '../scripts/engine/camera.js';
-import { createLookAtMatrix } from '../scripts/engine/matrix.js';
+import { Camera, createProjectionMatrix, DEFAULT_PROJECTION } from '../scripts/engine/camera.js';
+import { createLookAtMatrix, createPerspectiveMatrix } from '../scripts/engine/matrix.js';
 
 // Mock canvas
 const mockCanvas = {
@@ -51,9 +51,29 @@ describe('Camera', () => {
     }
   });
 
+  test('projects with the default perspective, authored lenses and clip planes', () => {
+    expect(camera.projection).toBe(DEFAULT_PROJECTION);
+    expect(createProjectionMatrix(camera, 2, 0.1, 100)).toEqual(createPerspectiveMatrix(DEFAULT_PROJECTION.yfov, 2, 0.1, 100));
+    camera.setProjection({ type: 'perspective', yfov: 0.5, znear: 1, zfar: 10 });
+    expect(createProjectionMatrix(camera, 2, 0.1, 100)).toEqual(createPerspectiveMatrix(0.5, 2, 1, 10));
+
+    // Orthographic: the viewport aspect sets the width, and orbit zoom scales the magnification.
+    camera.setProjection({ type: 'orthographic', xmag: 3, ymag: 2, znear: 0, zfar: 4, referenceZoom: 5 });
+    camera.zoom = 10;
+    const ortho = createProjectionMatrix(camera, 2, 0.1, 100);
+    expect([ortho[0], ortho[5], ortho[10], ortho[14], ortho[15]]).toEqual([0.125, 0.25, -0.5, -1, 1]);
+
+    expect(() => camera.setProjection({ type: 'perspective', yfov: 4 })).toThrow(/0 < yfov < PI/);
+    expect(() => camera.setProjection({ type: 'orthographic', xmag: 1, ymag: 1 })).toThrow(/requires zfar/);
+    expect(() => camera.setProjection({ type: 'fisheye' })).toThrow(/perspective or orthographic/);
+    camera.setProjection(null);
+    expect(camera.projection).toBe(DEFAULT_PROJECTION);
+  });
+
   test('state round-trips and destroy removes registered listeners once', () => {
     camera.target = [1, 2, 3];
     camera.setPose(0.2, -0.4, 7);
+    camera.setProjection({ type: 'perspective', yfov: 0.7 });
     const state = camera.getState();
     const second = new Camera(mockCanvas);
     second.setState(state);
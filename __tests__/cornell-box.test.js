@@ -8,7 +8,10 @@ describe('Cornell Box scene', () => {
     expect(scene.geometries).toHaveLength(2);
     expect(scene.instances).toHaveLength(8);
     expect(scene.materials).toHaveLength(4);
-    expect(scene.lights).toHaveLength(1);
+    expect(scene.lights).toHaveLength(0);
+    // The emissive ceiling quad's two triangles are the only lights.
+    expect(scene.lightTable.lights.map((light) => [light.kind, light.instanceIndex, light.triangleIndex]))
+      .toEqual([['triangle', 7, 0], ['triangle', 7, 1]]);
     const triangleCount = scene.instances.reduce(
       (sum, instance) => sum + scene.geometries[instance.geometryIndex].indices.length / 3,
       0,
@@ -0,0 +1,50 @@
+import { createEnvironmentMap } from '../scripts/engine/raytracing/core/environment-map.js';
+import {
+  computeIrradianceSh,
+  evaluateIrradianceSh,
+  prefilterEnvironmentLighting,
+  prefilterSpecular,
+} from '../scripts/engine/environment-lighting.js';
+
+function uniformMap(value) {
+  return createEnvironmentMap({ width: 32, height: 16, data: new Float32Array(32 * 16 * 3).fill(value) });
+}
+
+describe('environment lighting prefilter', () => {
+  test('irradiance SH of a constant environment returns its radiance for every normal', () => {
+    const sh = computeIrradianceSh(uniformMap(2));
+    expect(sh).toHaveLength(27);
+    for (const normal of [[0, 1, 0], [0, -1, 0], [1, 0, 0], [0, 0.6, 0.8]]) {
+      evaluateIrradianceSh(sh, normal).forEach((channel) => expect(channel).toBeCloseTo(2, 1));
+    }
+  });
+
+  test('irradiance follows a bright upper hemisphere', () => {
+    const data = new Float32Array(32 * 16 * 3);
+    data.fill(1, 0, 32 * 8 * 3); // Top half (+Y) lit, bottom half black.
+    const sh = computeIrradianceSh(createEnvironmentMap({ width: 32, height: 16, data }));
+    expect(evaluateIrradianceSh(sh, [0, 1, 0])[0]).toBeGreaterThan(0.9);
+    expect(evaluateIrradianceSh(sh, [0, -1, 0])[0]).toBeLessThan(0.1);
+    expect(evaluateIrradianceSh(sh, [1, 0, 0])[0]).toBeCloseTo(0.5, 1);
+  });
+
+  test('prefilters a halving RGBA mip chain that keeps a constant environment constant', () => {
+    const levels = prefilterSpecular(uniformMap(3), { width: 32, levels: 4, sampleCount: 16 });
+    expect(levels.map(({ width, height }) => [width, height])).toEqual([[32, 16], [16, 8], [8, 4], [4, 2]]);
+    for (const level of levels) {
+      expect(level.data).toHaveLength(level.width * level.height * 4);
+      for (let i = 0; i < level.data.length; i += 4) {
+        expect(level.data[i]).toBeCloseTo(3, 3);
+      }
+    }
+    expect(() => prefilterSpecular(uniformMap(1), { width: 8, levels: 4 })).toThrow(/too small/);
+  });
+
+  test('bundles SH, specular levels and intensity for the mesh renderer', () => {
+    const lighting = prefilterEnvironmentLighting(uniformMap(1), { intensity: 0.5, width: 16, levels: 2, sampleCount: 4 });
+    expect(lighting.intensity).toBe(0.5);
+    expect(lighting.specularLevels).toHaveLength(2);
+    expect(() => prefilterEnvironmentLighting(null)).toThrow(/requires an environment map/);
+    expect(() => prefilterEnvironmentLighting(uniformMap(1), { intensity: -1 })).toThrow(/non-negative/);
+  });
+});
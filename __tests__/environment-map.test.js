@@ -0,0 +1,74 @@
+import { createRng } from '../scripts/engine/raytracing/core/random.js';
+import {
+  createEnvironmentMap,
+  directionToEnvironmentUv,
+  environmentPdf,
+  environmentUvToDirection,
+  lookupEnvironment,
+  sampleEnvironment,
+} from '../scripts/engine/raytracing/core/environment-map.js';
+
+// 16x8 grey sky with one bright texel, so sampling is strongly non-uniform.
+function sunImage() {
+  const width = 16;
+  const height = 8;
+  const data = new Float32Array(width * height * 3).fill(0.1);
+  data.fill(50, (2 * width + 5) * 3, (2 * width + 5) * 3 + 3);
+  return { width, height, data };
+}
+
+describe('environment map', () => {
+  test('uv and direction conventions round-trip with +Y at the top row', () => {
+    expect(environmentUvToDirection(0.25, 0).map((value) => Math.abs(value) < 1e-9 ? 0 : value)).toEqual([0, 1, 0]);
+    const direction = environmentUvToDirection(0.3, 0.6);
+    const [u, v] = directionToEnvironmentUv(direction);
+    expect(u).toBeCloseTo(0.3, 6);
+    expect(v).toBeCloseTo(0.6, 6);
+    expect(environmentUvToDirection(0, 0.5)[0]).toBeCloseTo(1, 6);
+    expect(environmentUvToDirection(0.25, 0.5)[2]).toBeCloseTo(1, 6);
+  });
+
+  test('builds normalized CDFs and returns texel radiance for lookups', () => {
+    const map = createEnvironmentMap(sunImage());
+    expect(map.marginalCdf).toHaveLength(9);
+    expect(map.conditionalCdf).toHaveLength(8 * 17);
+    expect(map.marginalCdf[8]).toBe(1);
+    const sunDirection = environmentUvToDirection(5.5 / 16, 2.5 / 8);
+    expect(lookupEnvironment(map, sunDirection).radiance).toEqual([50, 50, 50]);
+  });
+
+  test('sample pdfs match lookups and the density integrates to one over the sphere', () => {
+    const map = createEnvironmentMap(sunImage());
+    const rng = createRng(1234);
+    let sunHits = 0;
+    for (let i = 0; i < 512; i++) {
+      const sample = sampleEnvironment(map, rng);
+      if (!sample) continue;
+      expect(sample.pdf).toBeCloseTo(environmentPdf(map, sample.direction), 3);
+      if (sample.radiance[0] === 50) sunHits += 1;
+    }
+    expect(sunHits).toBeGreaterThan(256);
+
+    // Midpoint quadrature over (θ, φ): ∫ pdf dω = 1.
+    let integral = 0;
+    const steps = 256;
+    for (let j = 0; j < steps; j++) {
+      for (let i = 0; i < steps; i++) {
+        const u = (i + 0.5) / steps;
+        const v = (j + 0.5) / steps;
+        const direction = environmentUvToDirection(u, v);
+        integral += environmentPdf(map, direction) * Math.sin(v * Math.PI) * (2 * Math.PI / steps) * (Math.PI / steps);
+      }
+    }
+    expect(integral).toBeCloseTo(1, 2);
+  });
+
+  test('box-filters wide images and rejects malformed input', () => {
+    const image = { width: 8, height: 4, data: new Float32Array(8 * 4 * 3).fill(2) };
+    const map = createEnvironmentMap(image, { maxWidth: 4 });
+    expect([map.width, map.height]).toEqual([4, 2]);
+    expect(map.texels[0]).toBe(2);
+    expect(() => createEnvironmentMap({ width: 0, height: 1, data: new Float32Array(0) })).toThrow(/non-empty image/);
+    expect(() => createEnvironmentMap({ width: 2, height: 2, data: new Float32Array(3) })).toThrow(/RGB values/);
+  });
+});
@@ -1,5 +1,10 @@
 import { createSequentialIndices, decodeGltfAccessor } from '../scripts/engine/gltf-accessors.js';
-import { generateVertexNormals } from '../scripts/engine/gltf-geometry.js';
+import {
+  GLTF_PRIMITIVE_MODES,
+  convertPrimitiveIndices,
+  generateVertexNormals,
+  generateVertexTangents,
+} from '../scripts/engine/gltf-geometry.js';
 
 describe('glTF accessor decoding', () => {
   test('copies a misaligned, interleaved accessor into a tight float array', () => {
@@ -49,15 +54,59 @@ describe('glTF accessor decoding', () => {
     expect([...decodeGltfAccessor(gltf, [buffer], 0).data]).toEqual([12, 34]);
   });
 
-  test('rejects sparse and out-of-range accessors with specific errors', () => {
-    const buffer = new ArrayBuffer(4);
+  test('substitutes sparse elements over a bufferView or over zeros', () => {
+    const buffer = new ArrayBuffer(32);
+    new Float32Array(buffer, 0, 4).set([1, 2, 3, 4]);
+    new Uint8Array(buffer, 16, 2).set([1, 3]);
+    new Float32Array(buffer, 20, 2).set([20, 40]);
+    const gltf = {
+      bufferViews: [
+        { buffer: 0, byteOffset: 0, byteLength: 16 },
+        { buffer: 0, byteOffset: 16, byteLength: 2 },
+        { buffer: 0, byteOffset: 20, byteLength: 8 },
+      ],
+      accessors: [
+        {
+          bufferView: 0, componentType: 5126, count: 4, type: 'SCALAR',
+          sparse: { count: 2, indices: { bufferView: 1, componentType: 5121 }, values: { bufferView: 2 } },
+        },
+        {
+          componentType: 5126, count: 2, type: 'VEC2',
+          sparse: { count: 1, indices: { bufferView: 1, byteOffset: 0, componentType: 5121 }, values: { bufferView: 2 } },
+        },
+      ],
+    };
+    expect([...decodeGltfAccessor(gltf, [buffer], 0).data]).toEqual([1, 20, 3, 40]);
+    expect([...decodeGltfAccessor(gltf, [buffer], 1).data]).toEqual([0, 0, 20, 40]);
+  });
+
+  test('rejects malformed sparse and out-of-range accessors with specific errors', () => {
+    const buffer = new ArrayBuffer(20);
     const gltf = {
-      bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: 4 }],
-      accessors: [{ bufferView: 0, componentType: 5126, count: 1, type: 'SCALAR', sparse: {} }],
+      bufferViews: [
+        { buffer: 0, byteOffset: 0, byteLength: 8 },
+        { buffer: 0, byteOffset: 8, byteLength: 2 },
+        { buffer: 0, byteOffset: 12, byteLength: 8 },
+      ],
+      accessors: [],
+    };
+    const decodeSparse = (indices, sparse = {}) => {
+      new Uint8Array(buffer, 8, 2).set(indices);
+      gltf.accessors[0] = {
+        bufferView: 0, componentType: 5126, count: 2, type: 'SCALAR',
+        sparse: { count: 2, indices: { bufferView: 1, componentType: 5121 }, values: { bufferView: 2 }, ...sparse },
+      };
+      return decodeGltfAccessor(gltf, [buffer], 0);
     };
-    expect(() => decodeGltfAccessor(gltf, [buffer], 0)).toThrow(/sparse accessor/);
-    delete gltf.accessors[0].sparse;
-    gltf.accessors[0].count = 2;
+    expect(() => decodeSparse([1, 0])).toThrow(/sparse indices must strictly increase/);
+    expect(() => decodeSparse([0, 2])).toThrow(/sparse index 2 is out of range/);
+    expect(() => decodeSparse([0, 1], { count: 3 })).toThrow(/sparse count must be between 1 and the accessor count/);
+    expect(() => decodeSparse([0, 1], { indices: { bufferView: 1, componentType: 5126 } }))
+      .toThrow(/sparse indices use unsupported component type 5126/);
+    expect(() => decodeSparse([0, 1], { values: { bufferView: 2, byteOffset: 4 } }))
+      .toThrow(/sparse values reads beyond its bufferView/);
+
+    gltf.accessors[0] = { bufferView: 0, componentType: 5126, count: 3, type: 'SCALAR' };
     expect(() => decodeGltfAccessor(gltf, [buffer], 0)).toThrow(/beyond its bufferView/);
   });
 });
@@ -77,4 +126,31 @@ describe('glTF generated geometry fallbacks', () => {
     );
     expect([...normals]).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1]);
   });
+
+  test('generates tangents along +U with the bitangent sign in w', () => {
+    const positions = new Float32Array([0, 0, 0, 2, 0, 0, 0, 2, 0]);
+    const normals = new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+    const indices = new Uint16Array([0, 1, 2]);
+    const tangents = generateVertexTangents(positions, normals, new Float32Array([0, 0, 1, 0, 0, 1]), indices);
+    expect([...tangents.subarray(0, 4)]).toEqual([1, 0, 0, 1]);
+
+    // V flipped: the bitangent now opposes N × T.
+    const mirrored = generateVertexTangents(positions, normals, new Float32Array([0, 1, 1, 1, 0, 0]), indices);
+    expect([...mirrored.subarray(0, 4)]).toEqual([1, 0, 0, -1]);
+    expect(() => generateVertexTangents(positions, normals, null, indices)).toThrow(/requires TEXCOORD_0/);
+  });
+
+  test('rewrites strips, fans and line loops as lists with glTF winding', () => {
+    const { TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN, LINES, LINE_STRIP, LINE_LOOP, POINTS } = GLTF_PRIMITIVE_MODES;
+    const strip = convertPrimitiveIndices(TRIANGLE_STRIP, new Uint32Array([4, 5, 6, 7, 8]));
+    expect(strip.mode).toBe(TRIANGLES);
+    expect(strip.indices).toEqual(new Uint32Array([4, 5, 6, 5, 7, 6, 6, 7, 8]));
+    expect(convertPrimitiveIndices(TRIANGLE_FAN, new Uint16Array([0, 1, 2, 3])).indices)
+      .toEqual(new Uint16Array([1, 2, 0, 2, 3, 0]));
+    expect(convertPrimitiveIndices(LINE_STRIP, new Uint16Array([0, 1, 2]))).toEqual({ mode: LINES, indices: new Uint16Array([0, 1, 1, 2]) });
+    expect(convertPrimitiveIndices(LINE_LOOP, new Uint16Array([0, 1, 2])).indices).toEqual(new Uint16Array([0, 1, 1, 2, 2, 0]));
+    expect(convertPrimitiveIndices(TRIANGLE_STRIP, new Uint16Array([0, 1])).indices).toHaveLength(0);
+    const points = new Uint16Array([3, 1]);
+    expect(convertPrimitiveIndices(POINTS, points)).toEqual({ mode: POINTS, indices: points });
+  });
 });
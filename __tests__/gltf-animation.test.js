@@ -0,0 +1,126 @@
+import { createAnimationPlayer, sampleAnimationChannel } from '../scripts/engine/gltf-animation.js';
+import { createIdentityMatrix } from '../scripts/engine/matrix.js';
+import { prepareRayScene } from '../scripts/engine/raytracing/core/ray-scene.js';
+
+function sampler(interpolation, input, output, componentCount) {
+  return { interpolation, input: new Float32Array(input), output: new Float32Array(output), componentCount };
+}
+
+// Root node at the origin with one child offset by +1 in Y; the clip moves the
+// root along X and the ray scene has one instance on the child.
+function animatedAsset() {
+  const node = (parentIndex, translation) => ({
+    parentIndex,
+    trs: { translation: [...translation], rotation: [0, 0, 0, 1], scale: [1, 1, 1] },
+    localMatrix: createIdentityMatrix(),
+    worldMatrix: createIdentityMatrix(),
+  });
+  const asset = {
+    nodes: [node(-1, [0, 0, 0]), node(0, [0, 1, 0])],
+    animations: [
+      {
+        name: 'slide',
+        duration: 2,
+        samplers: [sampler('LINEAR', [0, 2], [0, 0, 0, 4, 0, 0], 3)],
+        channels: [{ nodeIndex: 0, path: 'translation', sampler: 0 }],
+      },
+      {
+        name: 'hop',
+        duration: 1,
+        samplers: [sampler('STEP', [0, 0.5], [0, 0, 0, 0, 2, 0], 3)],
+        channels: [{ nodeIndex: 0, path: 'translation', sampler: 0 }],
+      },
+    ],
+    rayInstanceNodes: [1],
+  };
+  asset.rayScene = prepareRayScene({
+    geometries: [{
+      id: 0, revision: 0, positions: [0, 0, 0, 1, 0, 0, 0, 1, 0], normals: [0, 0, 1, 0, 0, 1, 0, 0, 1], indices: [0, 1, 2],
+    }],
+    instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+    materials: [{}],
+  });
+  return asset;
+}
+
+describe('glTF animation sampling', () => {
+  test('holds STEP keys and clamps outside the keyed range', () => {
+    const step = sampler('STEP', [1, 2, 3], [0, 0, 0, 5, 5, 5, 9, 9, 9], 3);
+    const out = [0, 0, 0];
+    expect(sampleAnimationChannel(step, 'translation', 0, out)).toEqual([0, 0, 0]);
+    expect(sampleAnimationChannel(step, 'translation', 2.99, out)).toEqual([5, 5, 5]);
+    expect(sampleAnimationChannel(step, 'translation', 10, out)).toEqual([9, 9, 9]);
+  });
+
+  test('slerps LINEAR rotations along the short arc', () => {
+    const half = Math.SQRT1_2;
+    // Identity to a 90° turn about Y, with the second key stored negated.
+    const rotation = sampler('LINEAR', [0, 1], [0, 0, 0, 1, 0, -half, 0, -half], 4);
+    const out = [0, 0, 0, 0];
+    sampleAnimationChannel(rotation, 'rotation', 0.5, out);
+    const angle = Math.PI / 8; // half of the 45° midpoint
+    expect(out[1]).toBeCloseTo(Math.sin(angle));
+    expect(out[3]).toBeCloseTo(Math.cos(angle));
+    expect(Math.hypot(...out)).toBeCloseTo(1);
+  });
+
+  test('evaluates CUBICSPLINE Hermite segments with tangents scaled by the key span', () => {
+    // Layout per key: in-tangent, value, out-tangent.
+    const cubic = sampler('CUBICSPLINE', [0, 2], [0, 0, 1, 0, 4, 0], 1);
+    const out = [0];
+    // p0=0, m0=2*1, p1=4, m1=2*0 at u=0.5: 0.125*2 + 0.5*4 = 2.25.
+    sampleAnimationChannel(cubic, 'translation', 1, out);
+    expect(out[0]).toBeCloseTo(2.25);
+    sampleAnimationChannel(cubic, 'translation', 2, out);
+    expect(out[0]).toBe(4);
+  });
+});
+
+describe('animation player', () => {
+  test('leaves the rest pose untouched until a clip is played or scrubbed', () => {
+    const onPose = jest.fn();
+    const player = createAnimationPlayer(animatedAsset(), { onPose });
+    expect(player.update(0.1)).toBe(false);
+    expect(onPose).not.toHaveBeenCalled();
+    expect(player.getState()).toMatchObject({ clipIndex: 0, clipName: 'slide', time: 0, playing: false });
+  });
+
+  test('advances, loops and scrubs, propagating world matrices to ray instances', () => {
+    const asset = animatedAsset();
+    const onPose = jest.fn();
+    const player = createAnimationPlayer(asset, { onPose });
+
+    player.play('slide');
+    expect(player.update(0.2)).toBe(true);
+    expect(asset.nodes[0].trs.translation[0]).toBeCloseTo(0.4);
+    expect(asset.nodes[1].worldMatrix[12]).toBeCloseTo(0.4);
+    expect(asset.nodes[1].worldMatrix[13]).toBeCloseTo(1);
+    expect(asset.rayScene.instances[0].worldMatrix[12]).toBeCloseTo(0.4);
+    expect(asset.rayScene.bounds.min[0]).toBeCloseTo(0.4);
+    expect(onPose).toHaveBeenCalledTimes(1);
+
+    player.setSpeed(2);
+    for (let frame = 0; frame < 5; frame += 1) player.update(0.2); // +2s at 2×
+    expect(player.getState().time).toBeCloseTo(0.2); // wrapped past 2s
+
+    player.pause();
+    player.seek(5);
+    player.update(0.2);
+    expect(player.getState()).toMatchObject({ time: 2, playing: false });
+    expect(asset.nodes[0].worldMatrix[12]).toBeCloseTo(4);
+    expect(player.update(0.2)).toBe(false);
+  });
+
+  test('switches clips from the start and caps stalled frames', () => {
+    const asset = animatedAsset();
+    const player = createAnimationPlayer(asset);
+    player.play(0);
+    player.update(0.5);
+    player.selectClip('hop');
+    expect(player.getState()).toMatchObject({ clipName: 'hop', time: 0, playing: true });
+    player.update(10); // a background tab resumes 10s later
+    expect(player.getState().time).toBeCloseTo(0.25);
+    expect(() => player.play('missing')).toThrow(/Animation clip missing does not exist/);
+    expect(() => player.setSpeed(Number.NaN)).toThrow(/finite/);
+  });
+});
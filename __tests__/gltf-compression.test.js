@@ -0,0 +1,237 @@
+import { createDecoderModule, createEncoderModule } from 'draco3d';
+import { MeshoptEncoder } from 'meshoptimizer/encoder';
+import { parseGltfAsset } from '../scripts/engine/gltf-parser.js';
+
+function file(bytes) {
+  return { arrayBuffer: jest.fn(async () => bytes instanceof ArrayBuffer ? bytes : bytes.buffer) };
+}
+
+function filesFromDocument(gltf, buffers) {
+  const entries = [['quad.gltf', file(new TextEncoder().encode(JSON.stringify(gltf)))]];
+  gltf.buffers.forEach((buffer, index) => {
+    if (buffer.uri) entries.push([buffer.uri, file(buffers[index])]);
+  });
+  return new Map(entries);
+}
+
+// A unit quad in two triangles, with normals and UVs.
+const QUAD = Object.freeze({
+  positions: new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]),
+  normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]),
+  texCoords: new Float32Array([0, 1, 1, 1, 1, 0, 0, 0]),
+  indices: new Uint16Array([0, 1, 2, 0, 2, 3]),
+});
+
+const ACCESSORS = Object.freeze([
+  { componentType: 5126, count: 4, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] },
+  { componentType: 5126, count: 4, type: 'VEC3' },
+  { componentType: 5126, count: 4, type: 'VEC2' },
+  { componentType: 5123, count: 6, type: 'SCALAR' },
+]);
+
+function quadDocument(extra) {
+  return {
+    asset: { version: '2.0' },
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 }, indices: 3 }] }],
+    ...extra,
+  };
+}
+
+function plainQuadFiles() {
+  const arrays = [QUAD.positions, QUAD.normals, QUAD.texCoords, QUAD.indices];
+  const binary = new Uint8Array(new ArrayBuffer(48 + 48 + 32 + 12));
+  const bufferViews = [];
+  let byteOffset = 0;
+  for (const array of arrays) {
+    binary.set(new Uint8Array(array.buffer), byteOffset);
+    bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength });
+    byteOffset += array.byteLength;
+  }
+  return filesFromDocument(quadDocument({
+    buffers: [{ uri: 'quad.bin', byteLength: binary.byteLength }],
+    bufferViews,
+    accessors: ACCESSORS.map((accessor, index) => ({ ...accessor, bufferView: index })),
+  }), [binary.buffer]);
+}
+
+async function meshoptQuadFiles(extensionName = 'EXT_meshopt_compression') {
+  await MeshoptEncoder.ready;
+  const streams = [
+    { data: QUAD.positions, stride: 12, mode: 'ATTRIBUTES', target: 34962 },
+    { data: QUAD.normals, stride: 12, mode: 'ATTRIBUTES', target: 34962 },
+    { data: QUAD.texCoords, stride: 8, mode: 'ATTRIBUTES', target: 34962 },
+    { data: QUAD.indices, stride: 2, mode: 'TRIANGLES', target: 34963 },
+  ];
+  const encoded = streams.map(({ data, stride, mode }) => MeshoptEncoder.encodeGltfBuffer(
+    new Uint8Array(data.buffer), data.byteLength / stride, stride, mode,
+  ));
+  const compressed = new Uint8Array(new ArrayBuffer(
+    encoded.reduce((total, bytes) => total + Math.ceil(bytes.length / 4) * 4, 0),
+  ));
+  let compressedOffset = 0;
+  let fallbackOffset = 0;
+  const bufferViews = streams.map((stream, index) => {
+    compressed.set(encoded[index], compressedOffset);
+    const view = {
+      buffer: 0,
+      byteOffset: fallbackOffset,
+      byteLength: stream.data.byteLength,
+      target: stream.target,
+      extensions: {
+        [extensionName]: {
+          buffer: 1,
+          byteOffset: compressedOffset,
+          byteLength: encoded[index].length,
+          byteStride: stream.stride,
+          count: stream.data.byteLength / stream.stride,
+          mode: stream.mode,
+        },
+      },
+    };
+    if (stream.mode === 'ATTRIBUTES') view.byteStride = stream.stride;
+    compressedOffset += Math.ceil(encoded[index].length / 4) * 4;
+    fallbackOffset += stream.data.byteLength;
+    return view;
+  });
+  return filesFromDocument(quadDocument({
+    extensionsUsed: [extensionName],
+    extensionsRequired: [extensionName],
+    buffers: [
+      { byteLength: fallbackOffset, extensions: { [extensionName]: { fallback: true } } },
+      { uri: 'quad-meshopt.bin', byteLength: compressed.byteLength },
+    ],
+    bufferViews,
+    accessors: ACCESSORS.map((accessor, index) => ({ ...accessor, bufferView: index })),
+  }), [null, compressed.buffer]);
+}
+
+async function dracoQuadFiles() {
+  const draco = await createEncoderModule({});
+  const builder = new draco.MeshBuilder();
+  const mesh = new draco.Mesh();
+  const encoder = new draco.Encoder();
+  const output = new draco.DracoInt8Array();
+  builder.AddFacesToMesh(mesh, 2, new Uint32Array(QUAD.indices));
+  const ids = {
+    POSITION: builder.AddFloatAttributeToMesh(mesh, draco.POSITION, 4, 3, QUAD.positions),
+    NORMAL: builder.AddFloatAttributeToMesh(mesh, draco.NORMAL, 4, 3, QUAD.normals),
+    TEXCOORD_0: builder.AddFloatAttributeToMesh(mesh, draco.TEX_COORD, 4, 2, QUAD.texCoords),
+  };
+  // Sequential encoding keeps the vertex order, so the decode compares exactly.
+  encoder.SetEncodingMethod(draco.MESH_SEQUENTIAL_ENCODING);
+  const length = encoder.EncodeMeshToDracoBuffer(mesh, output);
+  const bytes = new Int8Array(new ArrayBuffer(length));
+  for (let index = 0; index < length; index += 1) bytes[index] = output.GetValue(index);
+  [output, encoder, mesh, builder].forEach((object) => draco.destroy(object));
+
+  const document = quadDocument({
+    extensionsUsed: ['KHR_draco_mesh_compression'],
+    extensionsRequired: ['KHR_draco_mesh_compression'],
+    buffers: [{ uri: 'quad-draco.bin', byteLength: length }],
+    bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: length }],
+    accessors: ACCESSORS.map((accessor) => ({ ...accessor })),
+  });
+  document.meshes[0].primitives[0].extensions = {
+    KHR_draco_mesh_compression: { bufferView: 0, attributes: ids },
+  };
+  return filesFromDocument(document, [bytes.buffer]);
+}
+
+// Three points, each attribute a distinct value so the decode order is checked.
+async function dracoPointFiles(mode = 0) {
+  const draco = await createEncoderModule({});
+  const cloud = new draco.PointCloud();
+  const builder = new draco.PointCloudBuilder();
+  const encoder = new draco.Encoder();
+  const output = new draco.DracoInt8Array();
+  const positions = new Float32Array([0, 0, 0, 1, 2, 3, 4, 5, 6]);
+  const id = builder.AddFloatAttribute(cloud, draco.POSITION, 3, 3, positions);
+  encoder.SetEncodingMethod(draco.MESH_SEQUENTIAL_ENCODING);
+  const length = encoder.EncodePointCloudToDracoBuffer(cloud, false, output);
+  const bytes = new Int8Array(new ArrayBuffer(length));
+  for (let index = 0; index < length; index += 1) bytes[index] = output.GetValue(index);
+  [output, encoder, cloud, builder].forEach((object) => draco.destroy(object));
+
+  const document = {
+    asset: { version: '2.0' },
+    extensionsUsed: ['KHR_draco_mesh_compression'],
+    nodes: [{ mesh: 0 }],
+    scenes: [{ nodes: [0] }],
+    meshes: [{
+      primitives: [{
+        mode,
+        attributes: { POSITION: 0 },
+        extensions: { KHR_draco_mesh_compression: { bufferView: 0, attributes: { POSITION: id } } },
+      }],
+    }],
+    buffers: [{ uri: 'points-draco.bin', byteLength: length }],
+    bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: length }],
+    accessors: [{ componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [4, 5, 6] }],
+  };
+  return { files: filesFromDocument(document, [bytes.buffer]), positions };
+}
+
+function retainedArrays(asset) {
+  const [primitive] = asset.rasterPrimitives;
+  return {
+    positions: [...primitive.positions],
+    normals: [...primitive.normals],
+    texCoords: [...primitive.texCoords],
+    indices: [...primitive.indices],
+    indicesComponentType: primitive.indicesComponentType,
+  };
+}
+
+describe('glTF geometry decompression', () => {
+  let plain;
+  beforeAll(async () => {
+    // Stands in for the browser decoder the ui bundles.
+    global.DracoDecoderModule = createDecoderModule;
+    plain = retainedArrays(await parseGltfAsset(plainQuadFiles()));
+  });
+
+  afterAll(() => {
+    delete global.DracoDecoderModule;
+  });
+
+  test.each(['EXT_meshopt_compression', 'KHR_meshopt_compression'])(
+    '%s views decode to the uncompressed primitive without loading the fallback buffer',
+    async (extensionName) => {
+      const asset = await parseGltfAsset(await meshoptQuadFiles(extensionName));
+      expect(retainedArrays(asset)).toEqual(plain);
+      expect(asset.rayScene.geometries[0].indices).toEqual(new Uint32Array(QUAD.indices));
+    },
+  );
+
+  test('KHR_draco_mesh_compression primitives decode to the uncompressed primitive', async () => {
+    const asset = await parseGltfAsset(await dracoQuadFiles());
+    expect(retainedArrays(asset)).toEqual(plain);
+    expect(asset.bounds).toMatchObject({ min: [0, 0, 0], max: [1, 1, 0] });
+  });
+
+  test('KHR_draco_mesh_compression point clouds decode to unindexed POINTS', async () => {
+    const { files, positions } = await dracoPointFiles();
+    const asset = await parseGltfAsset(files);
+    const [primitive] = asset.rasterPrimitives;
+    expect(primitive.mode).toBe(0);
+    expect([...primitive.positions]).toEqual([...positions]);
+  });
+
+  test('rejects Draco primitives in modes Draco cannot encode', async () => {
+    const { files } = await dracoPointFiles(1);
+    await expect(parseGltfAsset(files)).rejects
+      .toThrow('Mesh 0 primitive 0 uses KHR_draco_mesh_compression with mode 1; Draco only compresses TRIANGLES and POINTS.');
+  });
+
+  test('names the view or primitive whose compressed data is malformed', async () => {
+    const meshopt = await meshoptQuadFiles();
+    const document = JSON.parse(new TextDecoder().decode(await meshopt.get('quad.gltf').arrayBuffer()));
+    document.bufferViews[1].extensions.EXT_meshopt_compression.mode = 'STRIPS';
+    meshopt.set('quad.gltf', file(new TextEncoder().encode(JSON.stringify(document))));
+    await expect(parseGltfAsset(meshopt)).rejects.toThrow(/BufferView 1 uses unknown meshopt mode STRIPS/);
+
+    const draco = await dracoQuadFiles();
+    new Int8Array(await draco.get('quad-draco.bin').arrayBuffer()).fill(7);
+    await expect(parseGltfAsset(draco)).rejects.toThrow(/Mesh 0 primitive 0 Draco data could not be decoded/);
+  });
+});
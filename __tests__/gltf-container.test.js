@@ -1,4 +1,5 @@
 import {
+  encodeGlb,
   GLB_BIN_CHUNK,
   GLB_JSON_CHUNK,
   GLB_MAGIC,
@@ -58,4 +59,14 @@ describe('glTF container parsing', () => {
     mutate(glb);
     expect(() => parseGlb(glb)).toThrow(expected);
   });
+
+  test('encodes GLB v2 containers that parse back unchanged', () => {
+    const json = { asset: { version: '2.0' }, buffers: [{ byteLength: 3 }] };
+    const glb = encodeGlb(json, new Uint8Array([1, 2, 3]));
+    expect(glb.byteLength % 4).toBe(0);
+    const parsed = parseGlb(glb);
+    expect(parsed.json).toEqual(json);
+    expect([...new Uint8Array(parsed.binaryChunk)]).toEqual([1, 2, 3, 0]);
+    expect(parseGlb(encodeGlb(json)).binaryChunk).toBeNull();
+  });
 });
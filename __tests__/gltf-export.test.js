@@ -0,0 +1,350 @@
+import { encodeGlb, parseGlb } from '../scripts/engine/gltf-container.js';
+import { updateAssetWorldMatrices } from '../scripts/engine/gltf-animation.js';
+import { exportGltfScene, meshDataToGltfAsset } from '../scripts/engine/gltf-export.js';
+import { parseGltfAsset } from '../scripts/engine/gltf-parser.js';
+import { updateSkinInstances } from '../scripts/engine/gltf-skinning.js';
+import { decodeTextureTransform, encodeTextureTransform } from '../scripts/engine/gltf-texture-transform.js';
+import { transformPoint } from '../scripts/engine/matrix.js';
+
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+const COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+const COMPONENT_TYPES = new Map([[Float32Array, 5126], [Uint16Array, 5123], [Uint8Array, 5121]]);
+
+function file(bytes, name) {
+  return { name, arrayBuffer: jest.fn(async () => bytes.slice().buffer) };
+}
+
+// Packs one accessor per array into a single external buffer.
+function filesFromArrays(document, arrays) {
+  let length = 0;
+  const offsets = arrays.map(({ data }) => {
+    const offset = (length + 3) & ~3;
+    length = offset + data.byteLength;
+    return offset;
+  });
+  const binary = new Uint8Array((length + 3) & ~3);
+  arrays.forEach(({ data }, index) => binary.set(new Uint8Array(data.buffer), offsets[index]));
+  const gltf = {
+    asset: { version: '2.0' },
+    ...document,
+    buffers: [{ uri: 'scene.bin', byteLength: binary.byteLength }],
+    bufferViews: arrays.map(({ data }, index) => ({ buffer: 0, byteOffset: offsets[index], byteLength: data.byteLength })),
+    accessors: arrays.map(({ data, type }, index) => ({
+      bufferView: index,
+      componentType: COMPONENT_TYPES.get(data.constructor),
+      count: data.length / COMPONENTS[type],
+      type,
+    })),
+  };
+  return new Map([
+    ['scene.gltf', file(new TextEncoder().encode(JSON.stringify(gltf)))],
+    ['scene.bin', file(binary)],
+    ['albedo.png', file(PNG_BYTES, 'albedo.png')],
+  ]);
+}
+
+// A TRS root with a light, a matrix child with a camera drawing a textured,
+// variant-mapped triangle and an unlit line, and a morphed triangle at weight 0.5.
+function sceneFiles() {
+  return filesFromArrays({
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      {
+        name: 'root',
+        translation: [1, 2, 3],
+        rotation: [0, Math.SQRT1_2, 0, Math.SQRT1_2],
+        children: [1, 2],
+        extensions: { KHR_lights_punctual: { light: 0 } },
+      },
+      { name: 'child', matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 4, 0, 1], mesh: 0, camera: 0 },
+      { name: 'morphed', mesh: 1, weights: [0.5] },
+    ],
+    meshes: [
+      {
+        name: 'body',
+        primitives: [
+          {
+            attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2, TEXCOORD_1: 3, COLOR_0: 4 },
+            indices: 5,
+            material: 0,
+            extensions: { KHR_materials_variants: { mappings: [{ material: 1, variants: [0] }] } },
+          },
+          { mode: 1, attributes: { POSITION: 6 }, indices: 7 },
+        ],
+      },
+      { name: 'blob', primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 5, material: 1, targets: [{ POSITION: 8 }] }] },
+    ],
+    materials: [
+      {
+        pbrMetallicRoughness: {
+          baseColorFactor: [0.5, 0.6, 0.7, 1],
+          metallicFactor: 0.25,
+          roughnessFactor: 0.75,
+          baseColorTexture: {
+            index: 0,
+            extensions: { KHR_texture_transform: { offset: [0.5, 0.25], rotation: 0.3, scale: [2, -3], texCoord: 1 } },
+          },
+        },
+        emissiveFactor: [0.1, 0.2, 0.3],
+        alphaMode: 'MASK',
+        alphaCutoff: 0.3,
+        doubleSided: true,
+        extensions: {
+          KHR_materials_emissive_strength: { emissiveStrength: 2 },
+          KHR_materials_transmission: { transmissionFactor: 0.5 },
+          KHR_materials_ior: { ior: 1.4 },
+          KHR_materials_volume: { thicknessFactor: 0.1, attenuationColor: [1, 0.5, 0.5], attenuationDistance: 3 },
+        },
+      },
+      { pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 1], metallicFactor: 0 } },
+    ],
+    images: [{ uri: 'albedo.png' }],
+    textures: [{ source: 0 }],
+    cameras: [{ name: 'eye', type: 'perspective', perspective: { yfov: 0.8, znear: 0.1, zfar: 100 } }],
+    extensions: {
+      KHR_lights_punctual: {
+        lights: [{ name: 'lamp', type: 'spot', color: [1, 0.9, 0.8], intensity: 5, range: 10, spot: { innerConeAngle: 0.2, outerConeAngle: 0.6 } }],
+      },
+      KHR_materials_variants: { variants: [{ name: 'red' }] },
+    },
+  }, [
+    { data: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), type: 'VEC3' },
+    { data: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]), type: 'VEC3' },
+    { data: new Float32Array([0, 0, 1, 0, 0, 1]), type: 'VEC2' },
+    { data: new Float32Array([0.5, 0.5, 1, 0.5, 0.5, 1]), type: 'VEC2' },
+    { data: new Float32Array([1, 0, 0, 1, 0, 1, 0, 0.5, 0, 0, 1, 1]), type: 'VEC4' },
+    { data: new Uint16Array([0, 1, 2]), type: 'SCALAR' },
+    { data: new Float32Array([0, 0, 0, 0, 0, 2]), type: 'VEC3' },
+    { data: new Uint8Array([0, 1]), type: 'SCALAR' },
+    { data: new Float32Array([0, 0, 2, 0, 0, 2, 0, 0, 2]), type: 'VEC3' },
+  ]);
+}
+
+// An animated root over a skinned triangle whose one joint is a bone two units
+// up; the clip moves the bone and scales the root.
+function skinnedFiles() {
+  return filesFromArrays({
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      { name: 'armature', children: [1, 2] },
+      { name: 'skinned', mesh: 0, skin: 0 },
+      { name: 'bone', translation: [0, 2, 0] },
+    ],
+    meshes: [{ name: 'flag', primitives: [{ attributes: { POSITION: 0, NORMAL: 1, JOINTS_0: 2, WEIGHTS_0: 3 }, indices: 4 }] }],
+    skins: [{ name: 'rig', joints: [2], inverseBindMatrices: 5, skeleton: 2 }],
+    animations: [{
+      name: 'wave',
+      samplers: [
+        { input: 6, output: 7 },
+        { input: 6, output: 8, interpolation: 'STEP' },
+      ],
+      channels: [
+        { sampler: 0, target: { node: 2, path: 'translation' } },
+        { sampler: 1, target: { node: 0, path: 'scale' } },
+      ],
+    }],
+  }, [
+    { data: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), type: 'VEC3' },
+    { data: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]), type: 'VEC3' },
+    { data: new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]), type: 'VEC4' },
+    { data: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]), type: 'VEC4' },
+    { data: new Uint16Array([0, 1, 2]), type: 'SCALAR' },
+    { data: new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -1, 0, 1]), type: 'MAT4' },
+    { data: new Float32Array([0, 1]), type: 'SCALAR' },
+    { data: new Float32Array([0, 2, 0, 3, 2, 0]), type: 'VEC3' },
+    { data: new Float32Array([1, 1, 1, 2, 2, 2]), type: 'VEC3' },
+  ]);
+}
+
+const PRIMITIVE_FIELDS = [
+  'mode', 'unlit', 'positions', 'normals', 'texCoords', 'texCoords1', 'colors', 'tangents',
+  'indices', 'indicesComponentType', 'materialIndex', 'variantMaterialIndices',
+];
+const pick = (object, fields) => Object.fromEntries(fields.map((field) => [field, object[field]]));
+const nodeSummary = ({ name, parentIndex, meshIndex, trs, localMatrix, worldMatrix }) => (
+  { name, parentIndex, meshIndex, trs, localMatrix, worldMatrix }
+);
+
+describe('glTF export', () => {
+  beforeEach(() => {
+    global.createImageBitmap = jest.fn(async () => ({ bitmap: true }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {}); // the line primitive is not ray traced
+  });
+  afterEach(() => {
+    delete global.createImageBitmap;
+    jest.restoreAllMocks();
+  });
+
+  test('round-trips retained nodes, meshes, materials, images, lights and cameras through parseGltfAsset', async () => {
+    const original = await parseGltfAsset(sceneFiles());
+    const glb = await exportGltfScene([{ asset: original }]);
+    const { json } = parseGlb(glb);
+    expect(json.asset).toEqual({ version: '2.0', generator: 'Drishyam3D' });
+    expect(json.images).toEqual([{ bufferView: expect.any(Number), mimeType: 'image/png' }]);
+    expect(json.bufferViews.every((view) => view.byteOffset % 4 === 0)).toBe(true);
+
+    const copy = await parseGltfAsset(glb);
+    expect(copy.nodes.map(nodeSummary)).toEqual(original.nodes.map(nodeSummary));
+    expect(copy.meshes[0].name).toBe('body');
+    expect(copy.meshes[0].primitives.map((primitive) => pick(primitive, PRIMITIVE_FIELDS)))
+      .toEqual(original.meshes[0].primitives.map((primitive) => pick(primitive, PRIMITIVE_FIELDS)));
+    expect(copy.meshes[0].primitives[1]).toMatchObject({ mode: 1, unlit: true });
+
+    const { baseColorUvTransform, ...material } = copy.materials[0];
+    const { baseColorUvTransform: originalUvTransform, ...originalMaterial } = original.materials[0];
+    expect(material).toEqual(originalMaterial);
+    baseColorUvTransform.forEach((value, index) => expect(value).toBeCloseTo(originalUvTransform[index], 12));
+    expect(copy.materials.slice(1)).toEqual(original.materials.slice(1));
+
+    expect(copy.imageSources[0].mimeType).toBe('image/png');
+    expect(new Uint8Array(await copy.imageSources[0].blob.arrayBuffer())).toEqual(PNG_BYTES);
+    expect(copy.lights).toEqual(original.lights);
+    expect(copy.cameras).toEqual(original.cameras);
+    expect(copy.materialVariants).toEqual(['red']);
+  });
+
+  test('writes morph targets with the bind-pose geometry and each node\'s weights', async () => {
+    const original = await parseGltfAsset(sceneFiles());
+    const copy = await parseGltfAsset(await exportGltfScene([{ asset: original }]));
+    expect(copy.meshes[1].name).toBe('blob');
+    expect(copy.meshes[1].targetCount).toBe(1);
+    expect(copy.morphInstances.map(({ nodeIndex, weights }) => ({ nodeIndex, weights })))
+      .toEqual(original.morphInstances.map(({ nodeIndex, weights }) => ({ nodeIndex, weights })));
+    expect([...copy.meshes[1].primitives[0].positions]).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    expect(copy.meshes[1].primitives[0].morphTargets).toEqual(original.meshes[1].primitives[0].morphTargets);
+  });
+
+  test('round-trips skins and animation clips of a posed asset', async () => {
+    const original = await parseGltfAsset(skinnedFiles());
+    // Pose it mid-clip: exported nodes carry the current TRS, the clip its keys.
+    original.nodes[2].trs.translation = [1, 2, 0];
+    updateAssetWorldMatrices(original);
+    updateSkinInstances(original);
+    const copy = await parseGltfAsset(await exportGltfScene([{ asset: original }]));
+
+    expect(copy.nodes.map(nodeSummary)).toEqual(original.nodes.map(nodeSummary));
+    expect(copy.nodes[2].trs.translation).toEqual([1, 2, 0]);
+    const [primitive] = copy.meshes[0].primitives;
+    expect(pick(primitive, ['positions', 'joints', 'weights']))
+      .toEqual(pick(original.meshes[0].primitives[0], ['positions', 'joints', 'weights']));
+    expect(copy.skins).toEqual(original.skins);
+    const skinSummary = ({ nodeIndex, jointNodeIndices, jointMatrices }) => ({ nodeIndex, jointNodeIndices, jointMatrices });
+    expect(copy.skinInstances.map(skinSummary)).toEqual(original.skinInstances.map(skinSummary));
+    expect(copy.animations).toEqual(original.animations);
+  });
+
+  test('keeps an animated root\'s TRS under a parent holding the placement', async () => {
+    const original = await parseGltfAsset(skinnedFiles());
+    const placement = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 0, 0, 1]);
+    const glb = await exportGltfScene([{ asset: original, matrix: placement }]);
+    const { json } = parseGlb(glb);
+    expect(json.scenes[0].nodes).toEqual([3]);
+    expect(json.nodes[3]).toEqual({ matrix: Array.from(placement), children: [0] });
+
+    const placed = await parseGltfAsset(glb);
+    const armature = placed.nodes.find((node) => node.name === 'armature');
+    expect(armature.trs).toEqual(original.nodes[0].trs);
+    expect(transformPoint(armature.worldMatrix, [0, 0, 0])).toEqual([5, 0, 0]);
+    expect(placed.animations[0].channels.map(({ path }) => path)).toEqual(['translation', 'scale']);
+  });
+
+  test('bakes a placement into root nodes and keeps authored TRS without one', async () => {
+    const original = await parseGltfAsset(sceneFiles());
+    const placement = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 0, 0, 1]);
+    const placed = await parseGltfAsset(await exportGltfScene([{ asset: original, matrix: placement }]));
+    expect(placed.nodes[0].trs).toBeNull();
+    expect(transformPoint(placed.nodes[0].worldMatrix, [0, 0, 0])).toEqual([6, 2, 3]);
+    expect(transformPoint(placed.lights[0].worldMatrix, [0, 0, 0])).toEqual([6, 2, 3]);
+    expect(placed.nodes[1].localMatrix).toEqual(original.nodes[1].localMatrix);
+
+    const identity = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    const unplaced = await parseGltfAsset(await exportGltfScene([{ asset: original, matrix: identity }]));
+    expect(unplaced.nodes[0].trs).toEqual(original.nodes[0].trs);
+  });
+
+  test('leaves splat-only meshes out of a mixed mesh-and-splat document, with a warning', async () => {
+    const splat = 'KHR_gaussian_splatting';
+    const original = await parseGltfAsset(filesFromArrays({
+      extensionsUsed: [splat],
+      scenes: [{ nodes: [0, 1] }],
+      nodes: [{ name: 'cloud', mesh: 0 }, { name: 'tri', mesh: 1 }],
+      meshes: [
+        {
+          primitives: [{
+            mode: 0,
+            attributes: { POSITION: 0, [`${splat}:ROTATION`]: 1, [`${splat}:SCALE`]: 2, [`${splat}:OPACITY`]: 3 },
+            extensions: { [splat]: { kernel: 'ellipse' } },
+          }],
+        },
+        { primitives: [{ attributes: { POSITION: 4 } }] },
+      ],
+    }, [
+      { data: new Float32Array([0, 0, 0]), type: 'VEC3' },
+      { data: new Float32Array([0, 0, 0, 1]), type: 'VEC4' },
+      { data: new Float32Array([0, 0, 0]), type: 'VEC3' },
+      { data: new Float32Array([1]), type: 'SCALAR' },
+      { data: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), type: 'VEC3' },
+    ]));
+    expect(original.gaussianSplats.count).toBe(1);
+
+    const glb = await exportGltfScene([{ asset: original }]);
+    const { json } = parseGlb(glb);
+    expect(json.meshes).toHaveLength(1);
+    expect(json.nodes.map(({ name, mesh }) => ({ name, mesh }))).toEqual([{ name: 'cloud', mesh: undefined }, { name: 'tri', mesh: 0 }]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/1 KHR_gaussian_splatting cloud instance\(s\) were left out/));
+
+    const copy = await parseGltfAsset(glb);
+    expect(copy.nodes.map(({ name, meshIndex }) => ({ name, meshIndex }))).toEqual([
+      { name: 'cloud', meshIndex: -1 },
+      { name: 'tri', meshIndex: 0 },
+    ]);
+    expect(copy.meshes[0].primitives[0].positions).toEqual(original.meshes[1].primitives[0].positions);
+    expect(copy.gaussianSplats).toBeNull();
+  });
+
+  test('exports a PLY mesh with its colours and embedded texture', async () => {
+    const meshData = {
+      name: 'bear',
+      positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+      normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+      texCoords: new Float32Array([0, 0, 1, 0, 0, 1]),
+      colors: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+      indices: new Uint32Array([0, 1, 2]),
+    };
+    const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 9]);
+    const asset = meshDataToGltfAsset(meshData, {
+      material: { baseColor: [1, 1, 1, 1], metallic: 0, roughness: 1 },
+      image: { blob: file(jpeg), mimeType: 'image/jpeg' },
+    });
+    const copy = await parseGltfAsset(await exportGltfScene([{ asset }]));
+    expect(copy.nodes[0].name).toBe('bear');
+    const [primitive] = copy.meshes[0].primitives;
+    expect(primitive.positions).toEqual(meshData.positions);
+    expect(primitive.indices).toEqual(meshData.indices);
+    expect([...primitive.colors]).toEqual([1, 0, 0, 1, 0, 1, 0, 1, 0, 0, 1, 1]);
+    expect(copy.materials[0]).toMatchObject({ baseColor: [1, 1, 1, 1], metallic: 0, roughness: 1, baseColorImageIndex: 0 });
+    expect(copy.imageSources[0].mimeType).toBe('image/jpeg');
+    expect(new Uint8Array(await copy.imageSources[0].blob.arrayBuffer())).toEqual(jpeg);
+  });
+
+  test('rejects empty exports and embedded images without a MIME type', async () => {
+    await expect(exportGltfScene([])).rejects.toThrow(/Nothing to export/);
+    const { json, binaryChunk } = parseGlb(await exportGltfScene([{ asset: await parseGltfAsset(sceneFiles()) }]));
+    delete json.images[0].mimeType;
+    await expect(parseGltfAsset(encodeGlb(json, binaryChunk)))
+      .rejects.toThrow(/Image 0 is stored in a bufferView but names no mimeType/);
+  });
+
+  test('encodes KHR_texture_transform back into the retained matrix', () => {
+    expect(encodeTextureTransform([1, 0, 0, 0, 1, 0])).toBeNull();
+    for (const transform of [
+      { offset: [0.1, 0.2], rotation: 2.5, scale: [3, 0.5] },
+      { offset: [0, 0], rotation: -Math.PI / 2, scale: [-1, 2] },
+    ]) {
+      const { uvTransform } = decodeTextureTransform({ extensions: { KHR_texture_transform: transform } }, 'Test');
+      const encoded = encodeTextureTransform(uvTransform);
+      const { uvTransform: roundTrip } = decodeTextureTransform({ extensions: { KHR_texture_transform: encoded } }, 'Test');
+      roundTrip.forEach((value, index) => expect(value).toBeCloseTo(uvTransform[index], 12));
+    }
+  });
+});
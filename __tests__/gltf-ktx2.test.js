@@ -0,0 +1,165 @@
+import { parseGltfAsset } from '../scripts/engine/gltf-parser.js';
+import { createTextureFromKtx2Image, decodeKtx2Image, selectKtx2TargetFormat } from '../scripts/engine/gltf-ktx2.js';
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const BASIS_FORMATS = { 1: 'etc2', 6: 'bc7', 10: 'astc', 13: 'rgba8' };
+
+function file(bytes) {
+  return { arrayBuffer: jest.fn(async () => bytes instanceof ArrayBuffer ? bytes : bytes.buffer) };
+}
+
+// The fixed KTX2 header fields the fake transcoder reads: pixel size and level count.
+function ktx2Bytes(width, height, levelCount) {
+  const buffer = new ArrayBuffer(80);
+  new Uint8Array(buffer).set(KTX2_IDENTIFIER);
+  const view = new DataView(buffer);
+  view.setUint32(20, width, true);
+  view.setUint32(24, height, true);
+  view.setUint32(40, levelCount, true);
+  return buffer;
+}
+
+// Stands in for the Basis Universal module: transcodes every texel of level N
+// to the byte value N + 1 (RGBA8 texels become opaque grey 128).
+function installFakeTranscoder() {
+  const transcoded = [];
+  class KTX2File {
+    constructor(bytes) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      this.width = view.getUint32(20, true);
+      this.height = view.getUint32(24, true);
+      this.levels = view.getUint32(40, true);
+    }
+    isValid() { return this.width > 0 && this.height > 0; }
+    getWidth() { return this.width; }
+    getHeight() { return this.height; }
+    getLevels() { return this.levels; }
+    getHasAlpha() { return 0; }
+    startTranscoding() { return true; }
+    getImageLevelInfo(level) {
+      return { origWidth: Math.max(1, this.width >> level), origHeight: Math.max(1, this.height >> level) };
+    }
+    getImageTranscodedSizeInBytes(level, layer, face, format) {
+      const { origWidth, origHeight } = this.getImageLevelInfo(level);
+      if (BASIS_FORMATS[format] === 'rgba8') return origWidth * origHeight * 4;
+      return Math.ceil(origWidth / 4) * Math.ceil(origHeight / 4) * 16;
+    }
+    transcodeImage(target, level, layer, face, format) {
+      transcoded.push({ level, format: BASIS_FORMATS[format] });
+      target.fill(BASIS_FORMATS[format] === 'rgba8' ? 128 : level + 1);
+      if (BASIS_FORMATS[format] === 'rgba8') for (let i = 3; i < target.length; i += 4) target[i] = 255;
+      return true;
+    }
+    close() {}
+    delete() {}
+  }
+  global.BASIS = jest.fn((module) => {
+    Object.assign(module, { KTX2File, initializeBasis: jest.fn() });
+    module.onRuntimeInitialized();
+  });
+  return transcoded;
+}
+
+function features(...names) {
+  return new Set(names);
+}
+
+// One triangle whose base-colour texture prefers a KTX2 image over a PNG fallback.
+function basisuTriangleFiles(ktx2 = ktx2Bytes(8, 8, 1)) {
+  const binary = new ArrayBuffer(104);
+  new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  new Float32Array(binary, 72, 6).set([0, 0, 1, 0, 0, 1]);
+  new Uint16Array(binary, 96, 3).set([0, 1, 2]);
+  const gltf = {
+    asset: { version: '2.0' },
+    extensionsUsed: ['KHR_texture_basisu'],
+    buffers: [{ uri: 'triangle.bin', byteLength: 104 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 36 },
+      { buffer: 0, byteOffset: 72, byteLength: 24 },
+      { buffer: 0, byteOffset: 96, byteLength: 6 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 2, componentType: 5126, count: 3, type: 'VEC2' },
+      { bufferView: 3, componentType: 5123, count: 3, type: 'SCALAR' },
+    ],
+    images: [{ uri: 'albedo.png' }, { uri: 'albedo.ktx2', mimeType: 'image/ktx2' }],
+    textures: [{ source: 0, extensions: { KHR_texture_basisu: { source: 1 } } }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 0.5, 1, 1], baseColorTexture: { index: 0 } } }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 }, indices: 3, material: 0 }] }],
+  };
+  return new Map([
+    ['triangle.gltf', file(new TextEncoder().encode(JSON.stringify(gltf)))],
+    ['triangle.bin', file(binary)],
+    ['albedo.png', { name: 'albedo.png' }],
+    ['albedo.ktx2', file(ktx2)],
+  ]);
+}
+
+describe('KHR_texture_basisu', () => {
+  let transcoded;
+  beforeEach(() => {
+    transcoded = installFakeTranscoder();
+    global.createImageBitmap = jest.fn(async (source) => ({ bitmap: source.name }));
+    global.GPUTextureUsage = { TEXTURE_BINDING: 4, COPY_DST: 2 };
+  });
+  afterEach(() => {
+    delete global.BASIS;
+    delete global.createImageBitmap;
+    delete global.GPUTextureUsage;
+  });
+
+  test('picks BC7, then ASTC, then ETC2 from device features, falling back to RGBA8', () => {
+    expect(selectKtx2TargetFormat(features('texture-compression-bc', 'texture-compression-astc'), 8, 8)).toBe('bc7');
+    expect(selectKtx2TargetFormat(features('texture-compression-etc2', 'texture-compression-astc'), 8, 8)).toBe('astc');
+    expect(selectKtx2TargetFormat(features('texture-compression-etc2'), 8, 8)).toBe('etc2');
+    expect(selectKtx2TargetFormat(features(), 8, 8)).toBe('rgba8');
+    // Block formats need whole blocks at the base level.
+    expect(selectKtx2TargetFormat(features('texture-compression-bc'), 6, 8)).toBe('rgba8');
+  });
+
+  test('retains the KTX2 image over its fallback and hands the CPU tracer RGBA8 texels', async () => {
+    const asset = await parseGltfAsset(basisuTriangleFiles());
+    expect(global.createImageBitmap).not.toHaveBeenCalled();
+    expect(asset.materials[0].baseColorImageIndex).toBe(1);
+    const [primitive] = asset.rasterPrimitives;
+    expect(primitive.textureBitmap).toMatchObject({ kind: 'ktx2', width: 8, height: 8, levelCount: 1, hasAlpha: false });
+    expect(asset.rayScene.images[0]).toBeNull();
+    const { width, height, data } = asset.rayScene.images[1];
+    expect([width, height, data.length]).toEqual([8, 8, 256]);
+    expect([...data.subarray(0, 4)]).toEqual([128, 128, 128, 255]);
+    expect(primitive.textureBitmap.rgba()).toBe(asset.rayScene.images[1]);
+    expect(transcoded).toEqual([{ level: 0, format: 'rgba8' }]);
+  });
+
+  test('uploads every mip level in whole blocks of the chosen format', async () => {
+    const image = await decodeKtx2Image(ktx2Bytes(8, 8, 4), 'Image 0');
+    const writes = [];
+    const device = {
+      features: features('texture-compression-bc'),
+      createTexture: jest.fn((descriptor) => ({ descriptor })),
+      queue: { writeTexture: jest.fn((destination, data, layout, size) => writes.push({ destination, data, layout, size })) },
+    };
+    const texture = createTextureFromKtx2Image(device, image);
+    expect(texture.descriptor).toMatchObject({ size: [8, 8, 1], format: 'bc7-rgba-unorm', mipLevelCount: 4 });
+    expect(writes.map(({ destination, layout, size }) => [destination.mipLevel, layout.bytesPerRow, size]))
+      .toEqual([[0, 32, [8, 8, 1]], [1, 16, [4, 4, 1]], [2, 16, [4, 4, 1]], [3, 16, [4, 4, 1]]]);
+    expect(writes[3].data[0]).toBe(4);
+
+    device.features = features();
+    createTextureFromKtx2Image(device, image);
+    expect(device.createTexture.mock.calls[1][0].format).toBe('rgba8unorm');
+    expect(writes[4].layout.bytesPerRow).toBe(32);
+  });
+
+  test('names the image whose bytes are not a KTX2 container', async () => {
+    await expect(parseGltfAsset(basisuTriangleFiles(new Uint8Array(80).buffer)))
+      .rejects.toThrow(/Image 1 is not a KTX2 file/);
+    await expect(decodeKtx2Image(ktx2Bytes(0, 0, 1), 'Image 3'))
+      .rejects.toThrow(/Image 3 KTX2 data is not Basis Universal supercompressed/);
+  });
+});
@@ -0,0 +1,107 @@
+import { morphVertices, packMorphDeltas, setMorphWeights } from '../scripts/engine/gltf-morph.js';
+import { deformVertices } from '../scripts/engine/gltf-skinning.js';
+import { GpuMeshDeformer } from '../scripts/engine/gpu-deformation.js';
+import { composeTRSMatrix } from '../scripts/engine/matrix.js';
+
+// One triangle with a position-only target (lift vertex 2) and a normal-only
+// target (tilt every normal toward +X).
+function morphedPrimitive() {
+  return {
+    positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+    normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+    joints: new Uint16Array(12),
+    weights: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]),
+    morphTargets: [
+      { positions: new Float32Array([0, 0, 0, 0, 0, 0, 0, 2, 0]), normals: null },
+      { positions: null, normals: new Float32Array([1, 0, 0, 1, 0, 0, 1, 0, 0]) },
+    ],
+  };
+}
+
+describe('glTF morph targets', () => {
+  test('adds weighted deltas to the base pose and renormalizes normals', () => {
+    const { positions, normals } = morphVertices(morphedPrimitive(), new Float32Array([0.5, 1]));
+    expect([...positions]).toEqual([0, 0, 0, 1, 0, 0, 0, 2, 0]);
+    expect(normals[0]).toBeCloseTo(Math.SQRT1_2);
+    expect(normals[2]).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  test('blends targets before skinning', () => {
+    const primitive = morphedPrimitive();
+    const skinInstance = { jointMatrices: composeTRSMatrix([0, 0, 0], [0, 0, 0, 1], [2, 2, 2]) };
+    const morphInstance = { weights: new Float32Array([1, 0]) };
+    const { positions } = deformVertices(primitive, skinInstance, morphInstance);
+    // (0, 1 + 2, 0) scaled by the joint: morphing after skinning would give 1×2 + 2.
+    expect(positions[7]).toBe(6);
+  });
+
+  test('packs absent deltas as zeros, nine floats per vertex per target', () => {
+    const packed = packMorphDeltas(morphedPrimitive().morphTargets, 3);
+    expect(packed).toHaveLength(54);
+    expect([...packed.subarray(18, 27)]).toEqual([0, 2, 0, 0, 0, 0, 0, 0, 0]);
+    expect([...packed.subarray(27, 36)]).toEqual([0, 0, 0, 1, 0, 0, 0, 0, 0]);
+  });
+
+  test('morphs tangent xyz and keeps their handedness', () => {
+    const primitive = {
+      ...morphedPrimitive(),
+      tangents: new Float32Array([1, 0, 0, -1, 1, 0, 0, -1, 1, 0, 0, 1]),
+    };
+    primitive.morphTargets[1].tangents = new Float32Array([0, 1, 0, 0, 1, 0, 0, 1, 0]);
+    const { tangents } = morphVertices(primitive, new Float32Array([0, 1]));
+    expect(tangents[0]).toBeCloseTo(Math.SQRT1_2);
+    expect(tangents[1]).toBeCloseTo(Math.SQRT1_2);
+    expect(tangents[3]).toBe(-1);
+    expect(tangents[11]).toBe(1);
+    expect(morphVertices(morphedPrimitive(), new Float32Array([0, 1]))).not.toHaveProperty('tangents');
+  });
+
+  test('bumps a morph instance revision only when its weights change', () => {
+    const instance = { weights: new Float32Array([0, 0]), revision: 0 };
+    expect(setMorphWeights(instance, [0, 0])).toBe(false);
+    expect(setMorphWeights(instance, [0.25, 0])).toBe(true);
+    expect(instance.revision).toBe(1);
+  });
+
+  test('dispatches morph-only primitives with placeholder skin bindings', () => {
+    global.GPUBufferUsage = { UNIFORM: 0x40, STORAGE: 0x80, COPY_DST: 0x08 };
+    const pass = { setPipeline: jest.fn(), setBindGroup: jest.fn(), dispatchWorkgroups: jest.fn(), end: jest.fn() };
+    const device = {
+      createBuffer: jest.fn((desc) => ({ desc, destroy: jest.fn() })),
+      createShaderModule: jest.fn(() => ({})),
+      createComputePipeline: jest.fn(() => ({ getBindGroupLayout: () => ({}) })),
+      createBindGroup: jest.fn((desc) => desc),
+      queue: { writeBuffer: jest.fn() },
+    };
+    const encoder = { beginComputePass: jest.fn(() => pass) };
+    const morphInstance = { weights: new Float32Array([1, 0]), revision: 0 };
+    const deformation = {
+      skinInstance: null,
+      morphInstance,
+      vertexCount: 3,
+      ...morphedPrimitive(),
+      buffers: { bindPose: {}, influences: null, morphDeltas: { name: 'deltas' } },
+    };
+    const drawable = {
+      primitives: [{ buffers: { position: {}, normal: {}, tangent: {} }, deformation }],
+      deformation: { update: jest.fn() },
+    };
+    const deformer = new GpuMeshDeformer(device);
+    deformer.setShader('// mesh-deform.wgsl');
+
+    deformer.record({ device, encoder }, drawable);
+    const params = device.queue.writeBuffer.mock.calls[0][2];
+    expect([...params]).toEqual([3, 0, 2, 0]);
+    const { entries } = device.createBindGroup.mock.calls[0][0];
+    expect(entries[2].resource.buffer).toBe(deformer.placeholder);
+    expect(entries[3].resource.buffer).toBe(deformer.placeholder);
+    expect(entries[4].resource.buffer).toEqual({ name: 'deltas' });
+    expect(device.queue.writeBuffer).toHaveBeenCalledWith(entries[5].resource.buffer, 0, morphInstance.weights);
+
+    deformer.record({ device, encoder }, drawable);
+    expect(pass.dispatchWorkgroups).toHaveBeenCalledTimes(1);
+    setMorphWeights(morphInstance, [0, 1]);
+    deformer.record({ device, encoder }, drawable);
+    expect(pass.dispatchWorkgroups).toHaveBeenCalledTimes(2);
+  });
+});
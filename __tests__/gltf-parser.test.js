@@ -71,7 +71,7 @@ function instancedSceneFiles({ selectUnsupportedScene = false, cycle = false } =
         matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 0, 0, 1],
         translation: [999, 999, 999],
       },
-      { name: 'unselected-lines', mesh: 1 },
+      { name: 'unselected-unknown-mode', mesh: 1 },
     ],
     buffers: [{ uri: 'scene.bin', byteLength: 160 }],
     bufferViews: [
@@ -99,8 +99,8 @@ function instancedSceneFiles({ selectUnsupportedScene = false, cycle = false } =
         { attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 },
         { attributes: { POSITION: 3, NORMAL: 4 }, indices: 5, material: 1 },
       ] },
-      { name: 'ignored-lines', primitives: [
-        { mode: 1, attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 },
+      { name: 'ignored-unknown-mode', primitives: [
+        { mode: 7, attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 },
       ] },
     ],
   };
@@ -117,6 +117,48 @@ function filesFromDocument(gltf, buffers, mainName = 'model.gltf') {
   return new Map(entries);
 }
 
+// The single triangle with normal, ORM and base-colour maps; optionally with
+// an authored TANGENT accessor pointing along +Y.
+function texturedTriangleFiles({ tangents = false } = {}) {
+  const binary = new ArrayBuffer(152);
+  new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  new Float32Array(binary, 72, 6).set([0, 0, 1, 0, 0, 1]);
+  new Float32Array(binary, 96, 12).set([0, 1, 0, -1, 0, 1, 0, -1, 0, 1, 0, -1]);
+  new Uint16Array(binary, 144, 3).set([0, 1, 2]);
+  const attributes = { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 };
+  if (tangents) attributes.TANGENT = 3;
+  const gltf = {
+    asset: { version: '2.0' },
+    buffers: [{ uri: 'textured.bin', byteLength: 152 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 36 },
+      { buffer: 0, byteOffset: 72, byteLength: 24 },
+      { buffer: 0, byteOffset: 96, byteLength: 48 },
+      { buffer: 0, byteOffset: 144, byteLength: 6 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 2, componentType: 5126, count: 3, type: 'VEC2' },
+      { bufferView: 3, componentType: 5126, count: 3, type: 'VEC4' },
+      { bufferView: 4, componentType: 5123, count: 3, type: 'SCALAR' },
+    ],
+    images: [{ uri: 'albedo.png' }, { uri: 'normal.png' }, { uri: 'orm.png' }],
+    textures: [{ source: 0 }, { source: 1 }, { source: 2 }],
+    materials: [{
+      pbrMetallicRoughness: { baseColorTexture: { index: 0 }, metallicRoughnessTexture: { index: 2 } },
+      normalTexture: { index: 1, scale: 0.5 },
+      occlusionTexture: { index: 2, strength: 0.25 },
+    }],
+    meshes: [{ primitives: [{ attributes, indices: 4, material: 0 }] }],
+  };
+  const files = filesFromDocument(gltf, [binary]);
+  gltf.images.forEach(({ uri }) => files.set(uri, { name: uri }));
+  return files;
+}
+
 function robustAccessorFiles() {
   const positions = new ArrayBuffer(48);
   const positionView = new DataView(positions);
@@ -201,7 +243,7 @@ function makeTriangleGlb() {
   return glb;
 }
 
-function deferredFeatureFiles(feature) {
+function deferredFeatureFiles(feature, material = {}) {
   const binary = new ArrayBuffer(80);
   new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
   new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
@@ -220,17 +262,242 @@ function deferredFeatureFiles(feature) {
       { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
       { bufferView: 2, componentType: 5123, count: 3, type: 'SCALAR' },
     ],
-    materials: [{}],
+    materials: [material],
     meshes: [{ primitives: [primitive] }],
   };
   if (feature === 'sparse') gltf.accessors[0].sparse = { count: 1 };
-  if (feature === 'draco') gltf.extensionsUsed = ['KHR_draco_mesh_compression'];
-  if (feature === 'meshopt') gltf.bufferViews[0].extensions = { EXT_meshopt_compression: {} };
-  if (feature === 'skin') {
-    gltf.scenes = [{ nodes: [0] }]; gltf.nodes = [{ mesh: 0, skin: 0 }]; gltf.skins = [{}];
+  return filesFromDocument(gltf, [binary]);
+}
+
+// Two-joint skin over one triangle. The arm joint is bound at y=2 but posed at
+// y=3, so vertices weighted to it move up by one.
+function skinnedFiles({ jointOutsideScene = false, omitWeights = false } = {}) {
+  const binary = new ArrayBuffer(268);
+  new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  new Uint16Array(binary, 72, 3).set([0, 1, 2]);
+  new Uint8Array(binary, 80, 12).set([0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0]);
+  new Float32Array(binary, 92, 12).set([1, 0, 0, 0, 0.5, 0.5, 0, 0, 1, 0, 0, 0]);
+  new Float32Array(binary, 140, 32).set([
+    1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1,
+    1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -2, 0, 1,
+  ]);
+  const attributes = { POSITION: 0, NORMAL: 1, JOINTS_0: 3, WEIGHTS_0: 4 };
+  if (omitWeights) delete attributes.WEIGHTS_0;
+  const gltf = {
+    asset: { version: '2.0' },
+    scenes: [{ nodes: jointOutsideScene ? [0] : [0, 1] }],
+    nodes: [
+      { name: 'body', mesh: 0, skin: 0, translation: [5, 0, 0] },
+      { name: 'hip', children: [2] },
+      { name: 'arm', translation: [0, 3, 0] },
+    ],
+    skins: [{ name: 'rig', joints: [1, 2], inverseBindMatrices: 5, skeleton: 1 }],
+    buffers: [{ uri: 'skin.bin', byteLength: 268 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 36 },
+      { buffer: 0, byteOffset: 72, byteLength: 6 },
+      { buffer: 0, byteOffset: 80, byteLength: 12 },
+      { buffer: 0, byteOffset: 92, byteLength: 48 },
+      { buffer: 0, byteOffset: 140, byteLength: 128 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 2, componentType: 5123, count: 3, type: 'SCALAR' },
+      { bufferView: 3, componentType: 5121, count: 3, type: 'VEC4' },
+      { bufferView: 4, componentType: 5126, count: 3, type: 'VEC4' },
+      { bufferView: 5, componentType: 5126, count: 2, type: 'MAT4' },
+    ],
+    meshes: [{ primitives: [{ attributes, indices: 2 }] }],
+  };
+  return filesFromDocument(gltf, [binary]);
+}
+
+// A root slides its child triangle from x=0 to x=2 over one second. The
+// channel on node 2 is dropped because that node is outside the selected scene.
+// `lights`, when given, become KHR_lights_punctual definitions: light 0 hangs
+// off a child of the animated root, aimed straight down, light 1 (if any)
+// off another child, and `lightReference` overrides light 0's node reference.
+function animatedFiles({ matrixRoot = false, lights = null, lightReference = 0, cameras = null, cameraReference = 0 } = {}) {
+  const binary = new ArrayBuffer(112);
+  new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  new Uint16Array(binary, 72, 3).set([0, 1, 2]);
+  new Float32Array(binary, 80, 2).set([0, 1]);
+  new Float32Array(binary, 88, 6).set([0, 0, 0, 2, 0, 0]);
+  const gltf = {
+    asset: { version: '2.0' },
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      matrixRoot
+        ? { name: 'root', children: [1], matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1] }
+        : { name: 'root', children: [1] },
+      { name: 'leaf', mesh: 0, translation: [0, 1, 0] },
+      { name: 'unused' },
+    ],
+    animations: [{
+      name: 'slide',
+      samplers: [{ input: 3, output: 4 }],
+      channels: [
+        { sampler: 0, target: { node: 0, path: 'translation' } },
+        { sampler: 0, target: { node: 2, path: 'translation' } },
+      ],
+    }],
+    buffers: [{ uri: 'anim.bin', byteLength: 112 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 36 },
+      { buffer: 0, byteOffset: 72, byteLength: 6 },
+      { buffer: 0, byteOffset: 80, byteLength: 8 },
+      { buffer: 0, byteOffset: 88, byteLength: 24 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 2, componentType: 5123, count: 3, type: 'SCALAR' },
+      { bufferView: 3, componentType: 5126, count: 2, type: 'SCALAR' },
+      { bufferView: 4, componentType: 5126, count: 2, type: 'VEC3' },
+    ],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2 }] }],
+  };
+  if (lights) {
+    gltf.extensionsUsed = ['KHR_lights_punctual'];
+    gltf.extensions = { KHR_lights_punctual: { lights } };
+    gltf.nodes[0].children.push(3, 4);
+    gltf.nodes.push(
+      {
+        name: 'lamp', translation: [0, 4, 0], rotation: [-Math.SQRT1_2, 0, 0, Math.SQRT1_2],
+        extensions: { KHR_lights_punctual: { light: lightReference } },
+      },
+      { name: 'sun', extensions: lights.length > 1 ? { KHR_lights_punctual: { light: 1 } } : undefined },
+    );
+    // Lights outside the selected scene are not imported.
+    gltf.nodes[2].extensions = { KHR_lights_punctual: { light: 0 } };
+  }
+  if (cameras) {
+    gltf.cameras = cameras;
+    gltf.nodes[0].children.push(gltf.nodes.length);
+    gltf.nodes.push({ name: 'lens', translation: [0, 1, 4], camera: cameraReference });
   }
-  if (feature === 'morph') primitive.targets = [{ POSITION: 0 }];
-  if (feature === 'alpha') gltf.materials[0].alphaMode = 'BLEND';
+  return filesFromDocument(gltf, [binary]);
+}
+
+// Two morph targets on one triangle: target 0 lifts the top vertex by one,
+// target 1 shifts every vertex by +1 in X. The clip ramps both weights to 1.
+function morphedFiles({ nodeWeights } = {}) {
+  const binary = new ArrayBuffer(176);
+  new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  new Uint16Array(binary, 72, 3).set([0, 1, 2]);
+  new Float32Array(binary, 80, 9).set([0, 0, 0, 0, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 116, 9).set([1, 0, 0, 1, 0, 0, 1, 0, 0]);
+  new Float32Array(binary, 152, 2).set([0, 1]);
+  new Float32Array(binary, 160, 4).set([0, 0, 1, 1]);
+  const gltf = {
+    asset: { version: '2.0' },
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: 'face', mesh: 0, ...(nodeWeights ? { weights: nodeWeights } : {}) }],
+    animations: [{
+      name: 'blink',
+      samplers: [{ input: 5, output: 6 }],
+      channels: [{ sampler: 0, target: { node: 0, path: 'weights' } }],
+    }],
+    buffers: [{ uri: 'morph.bin', byteLength: 176 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 36 },
+      { buffer: 0, byteOffset: 72, byteLength: 6 },
+      { buffer: 0, byteOffset: 80, byteLength: 36 },
+      { buffer: 0, byteOffset: 116, byteLength: 36 },
+      { buffer: 0, byteOffset: 152, byteLength: 8 },
+      { buffer: 0, byteOffset: 160, byteLength: 16 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 2, componentType: 5123, count: 3, type: 'SCALAR' },
+      { bufferView: 3, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 4, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 5, componentType: 5126, count: 2, type: 'SCALAR' },
+      { bufferView: 6, componentType: 5126, count: 4, type: 'SCALAR' },
+    ],
+    meshes: [{
+      weights: [0.5, 0],
+      primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, targets: [{ POSITION: 3 }, { POSITION: 4 }] }],
+    }],
+  };
+  return filesFromDocument(gltf, [binary]);
+}
+
+// A unit quad drawn as a triangle strip, a triangle fan and a line loop, and
+// a second node drawing its corners as points five units along +Z.
+function primitiveModesFiles() {
+  const binary = new ArrayBuffer(96);
+  new Float32Array(binary, 0, 12).set([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]);
+  new Float32Array(binary, 48, 12).set([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  const gltf = {
+    asset: { version: '2.0' },
+    scenes: [{ nodes: [0, 1] }],
+    nodes: [{ mesh: 0 }, { mesh: 1, translation: [0, 0, 5] }],
+    buffers: [{ uri: 'modes.bin', byteLength: 96 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 48 },
+      { buffer: 0, byteOffset: 48, byteLength: 48 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 4, type: 'VEC3' },
+      { bufferView: 1, componentType: 5126, count: 4, type: 'VEC3' },
+    ],
+    meshes: [
+      { primitives: [
+        { mode: 5, attributes: { POSITION: 0, NORMAL: 1 } },
+        { mode: 6, attributes: { POSITION: 0, NORMAL: 1 } },
+        { mode: 2, attributes: { POSITION: 0 } },
+      ] },
+      { primitives: [{ mode: 0, attributes: { POSITION: 0 } }] },
+    ],
+  };
+  return filesFromDocument(gltf, [binary]);
+}
+
+// One triangle twice: normalized-byte RGB colours over a sparse POSITION
+// accessor that moves its last vertex, then float RGBA colours.
+function vertexColorFiles() {
+  const binary = new ArrayBuffer(148);
+  new Float32Array(binary, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  new Float32Array(binary, 36, 9).set([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  new Uint8Array(binary, 72, 9).set([255, 0, 0, 0, 255, 0, 0, 0, 51]);
+  new Uint8Array(binary, 84, 1).set([2]);
+  new Float32Array(binary, 88, 3).set([0, 2, 0]);
+  new Float32Array(binary, 100, 12).set([0.5, 0.5, 0.5, 0.25, 1, 1, 1, 1, 0, 0, 0, 1]);
+  const gltf = {
+    asset: { version: '2.0' },
+    buffers: [{ uri: 'colors.bin', byteLength: 148 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 36 },
+      { buffer: 0, byteOffset: 72, byteLength: 9 },
+      { buffer: 0, byteOffset: 84, byteLength: 1 },
+      { buffer: 0, byteOffset: 88, byteLength: 12 },
+      { buffer: 0, byteOffset: 100, byteLength: 48 },
+    ],
+    accessors: [
+      {
+        bufferView: 0, componentType: 5126, count: 3, type: 'VEC3',
+        sparse: { count: 1, indices: { bufferView: 3, componentType: 5121 }, values: { bufferView: 4 } },
+      },
+      { bufferView: 1, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 2, componentType: 5121, normalized: true, count: 3, type: 'VEC3' },
+      { bufferView: 5, componentType: 5126, count: 2, type: 'VEC4' },
+      { bufferView: 5, componentType: 5126, count: 3, type: 'VEC4' },
+    ],
+    meshes: [{ primitives: [
+      { attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 } },
+      { attributes: { POSITION: 0, NORMAL: 1 } },
+    ] }],
+  };
   return filesFromDocument(gltf, [binary]);
 }
 
@@ -255,7 +522,7 @@ function webgpu() {
 
 describe('glTF parser/data split', () => {
   beforeEach(() => {
-    global.GPUBufferUsage = { VERTEX: 0x20, INDEX: 0x10, COPY_DST: 0x08 };
+    global.GPUBufferUsage = { VERTEX: 0x20, INDEX: 0x10, COPY_DST: 0x08, STORAGE: 0x80 };
   });
 
   test('retains backend-neutral primitive/material data and produces a valid RayScene', async () => {
@@ -308,7 +575,67 @@ describe('glTF parser/data split', () => {
 
   test('rejects unsupported modes only when their scene is selected', async () => {
     await expect(parseGltfAsset(instancedSceneFiles({ selectUnsupportedScene: true })))
-      .rejects.toThrow(/unsupported mode 1.*TRIANGLES/);
+      .rejects.toThrow(/unknown mode 7/);
+  });
+
+  test('lists strips, fans and loops, and keeps points and lines out of the ray scene', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const asset = await parseGltfAsset(primitiveModesFiles());
+      const [strip, fan, loop, points] = asset.rasterPrimitives;
+      expect(asset.rasterPrimitives.map((primitive) => primitive.mode)).toEqual([4, 4, 1, 0]);
+      expect([...strip.indices]).toEqual([0, 1, 2, 1, 3, 2]);
+      expect([...fan.indices]).toEqual([1, 2, 0, 2, 3, 0]);
+      expect([...loop.indices]).toEqual([0, 1, 1, 2, 2, 3, 3, 0]);
+      expect([...points.indices]).toEqual([0, 1, 2, 3]);
+      expect(asset.rasterPrimitives.map((primitive) => primitive.unlit)).toEqual([false, false, true, true]);
+      expect(points.normals.every((value) => value === 0)).toBe(true);
+
+      expect(asset.rayScene.instances).toHaveLength(2);
+      expect(asset.rayInstancePrimitives).toEqual([0, 1]);
+      expect(validateRayScene(asset.rayScene).ok).toBe(true);
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/2 point or line primitive\(s\) are not ray traced/));
+      // The raster-only points still frame the asset.
+      expect(asset.bounds.max[2]).toBe(5);
+
+      const drawable = await parseGltfForBackend({ device: webgpu() }, primitiveModesFiles());
+      expect(drawable.primitives.map((primitive) => [primitive.mode, primitive.unlit])).toEqual([
+        [4, false], [4, false], [1, true], [0, true],
+      ]);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('decodes sparse accessors and COLOR_0 through to raster and ray geometry', async () => {
+    const asset = await parseGltfAsset(vertexColorFiles());
+    const [colored, plain] = asset.rasterPrimitives;
+    expect([...colored.positions]).toEqual([0, 0, 0, 1, 0, 0, 0, 2, 0]);
+    expect(colored.colors).toEqual(new Float32Array([1, 0, 0, 1, 0, 1, 0, 1, 0, 0, 0.2, 1]));
+    expect(plain.colors).toBeNull();
+    expect([...asset.rayScene.geometries[0].colors]).toEqual([...colored.colors]);
+    expect(asset.rayScene.geometries[1].colors).toBeNull();
+    expect(validateRayScene(asset.rayScene).ok).toBe(true);
+
+    const drawable = await parseGltfForBackend({ device: webgpu() }, vertexColorFiles());
+    expect(drawable.primitives[0].buffers.color.desc.size).toBe(48);
+    expect(drawable.primitives[1].buffers.color).toBeNull();
+
+    const document = async (files) => JSON.parse(new TextDecoder().decode(
+      new Uint8Array(await files.get('model.gltf').arrayBuffer()),
+    ));
+    const rgbaFiles = vertexColorFiles();
+    const gltf = await document(rgbaFiles);
+    gltf.meshes[0].primitives[0].attributes.COLOR_0 = 4;
+    const floatColors = await parseGltfAsset(filesFromDocument(gltf, [await rgbaFiles.get('colors.bin').arrayBuffer()]));
+    expect([...floatColors.rasterPrimitives[0].colors]).toEqual([0.5, 0.5, 0.5, 0.25, 1, 1, 1, 1, 0, 0, 0, 1]);
+    gltf.meshes[0].primitives[0].attributes.COLOR_0 = 3;
+    await expect(parseGltfAsset(filesFromDocument(gltf, [await rgbaFiles.get('colors.bin').arrayBuffer()])))
+      .rejects.toThrow(/COLOR_0 count must match POSITION count/);
+    gltf.accessors[2].type = 'VEC2';
+    gltf.meshes[0].primitives[0].attributes.COLOR_0 = 2;
+    await expect(parseGltfAsset(filesFromDocument(gltf, [await rgbaFiles.get('colors.bin').arrayBuffer()])))
+      .rejects.toThrow(/COLOR_0 must be FLOAT or normalized unsigned-integer VEC3 or VEC4 data/);
   });
 
   test('detects cycles in the selected node graph', async () => {
@@ -356,16 +683,413 @@ describe('glTF parser/data split', () => {
   });
 
   test.each([
-    ['sparse', /sparse accessor/],
-    ['draco', /KHR_draco_mesh_compression/],
-    ['meshopt', /EXT_meshopt_compression/],
-    ['skin', /unsupported skinning/],
-    ['morph', /morph targets/],
-    ['alpha', /unsupported alpha mode BLEND/],
-  ])('rejects unsupported %s data with a feature-specific error', async (feature, expected) => {
+    ['sparse', /POSITION sparse indices use unsupported component type/],
+  ])('rejects malformed %s data with a feature-specific error', async (feature, expected) => {
     await expect(parseGltfAsset(deferredFeatureFiles(feature))).rejects.toThrow(expected);
   });
 
+  test('retains MASK and BLEND alpha modes for every backend and rejects unknown ones', async () => {
+    const masked = await parseGltfAsset(deferredFeatureFiles('mask', { alphaMode: 'MASK', alphaCutoff: 0.25 }));
+    expect(masked.rasterPrimitives[0].material).toMatchObject({ alphaMode: 'MASK', alphaCutoff: 0.25 });
+    expect(masked.rayScene.materials[0]).toMatchObject({ alphaMode: 'MASK', alphaCutoff: 0.25 });
+
+    const blended = await parseGltfAsset(deferredFeatureFiles('blend', { alphaMode: 'BLEND' }));
+    expect(blended.rasterPrimitives[0].material).toMatchObject({ alphaMode: 'BLEND', alphaCutoff: 0.5 });
+
+    await expect(parseGltfAsset(deferredFeatureFiles('glass', { alphaMode: 'GLASS' })))
+      .rejects.toThrow(/unknown alpha mode GLASS/);
+    await expect(parseGltfAsset(deferredFeatureFiles('cutoff', { alphaMode: 'MASK', alphaCutoff: -1 })))
+      .rejects.toThrow(/alphaCutoff must be a non-negative number/);
+  });
+
+  test('retains transmission, ior and volume extensions for the path tracers', async () => {
+    const glass = await parseGltfAsset(deferredFeatureFiles('glass', {
+      extensions: {
+        KHR_materials_transmission: { transmissionFactor: 0.9 },
+        KHR_materials_ior: { ior: 1.33 },
+        KHR_materials_volume: { thicknessFactor: 0.2, attenuationColor: [1, 0.5, 0.25], attenuationDistance: 2 },
+      },
+    }));
+    expect(glass.rayScene.materials[0]).toMatchObject({
+      transmission: 0.9,
+      indexOfRefraction: 1.33,
+      thickness: 0.2,
+      attenuationColor: [1, 0.5, 0.25],
+      attenuationDistance: 2,
+    });
+
+    const plain = await parseGltfAsset(deferredFeatureFiles('plain'));
+    expect(plain.rayScene.materials[0]).toMatchObject({
+      transmission: 0, indexOfRefraction: 1.5, thickness: 0, attenuationDistance: Infinity,
+    });
+  });
+
+  test('retains normal, occlusion and metallic-roughness maps with authored or generated tangents', async () => {
+    global.createImageBitmap = jest.fn(async (source) => ({ bitmap: source.name }));
+    const asset = await parseGltfAsset(texturedTriangleFiles());
+    expect(global.createImageBitmap).toHaveBeenCalledTimes(3); // the ORM image is loaded once
+    const [primitive] = asset.rasterPrimitives;
+    expect(primitive.material).toMatchObject({
+      baseColorImageIndex: 0,
+      normalImageIndex: 1,
+      normalScale: 0.5,
+      metallicRoughnessImageIndex: 2,
+      occlusionImageIndex: 2,
+      occlusionStrength: 0.25,
+    });
+    expect(primitive.textureBitmap).toEqual({ bitmap: 'albedo.png' });
+    expect(primitive.materialBitmaps).toEqual({
+      metallicRoughness: { bitmap: 'orm.png' }, normal: { bitmap: 'normal.png' }, occlusion: { bitmap: 'orm.png' },
+    });
+    expect([...primitive.tangents.subarray(0, 4)]).toEqual([1, 0, 0, 1]); // generated along +U
+
+    const authored = await parseGltfAsset(texturedTriangleFiles({ tangents: true }));
+    expect([...authored.rasterPrimitives[0].tangents.subarray(0, 4)]).toEqual([0, 1, 0, -1]);
+    const plain = await parseGltfAsset(singleTriangleFiles());
+    expect(plain.rasterPrimitives[0].tangents).toBeNull(); // no normal map, nothing to generate
+
+    const files = texturedTriangleFiles();
+    const gltf = JSON.parse(new TextDecoder().decode(await files.get('model.gltf').arrayBuffer()));
+    gltf.materials[0].normalTexture.index = 7;
+    files.set('model.gltf', file(new TextEncoder().encode(JSON.stringify(gltf))));
+    await expect(parseGltfAsset(files)).rejects.toThrow(/references missing normal texture 7/);
+    delete global.createImageBitmap;
+  });
+
+  test('reads browser-decoded base-colour texels back for both path tracers', async () => {
+    global.createImageBitmap = jest.fn(async (source) => ({ name: source.name, width: 2, height: 1 }));
+    const drawn = [];
+    global.OffscreenCanvas = jest.fn((width, height) => ({
+      getContext: () => ({
+        drawImage: (image) => drawn.push(image.name),
+        getImageData: () => ({ data: new Uint8ClampedArray(width * height * 4).fill(width * 10 + height) }),
+      }),
+    }));
+    const asset = await parseGltfAsset(texturedTriangleFiles());
+    // Only the base-colour image is read back; normal and ORM maps stay on the GPU.
+    expect(drawn).toEqual(['albedo.png']);
+    const [albedo, normal, orm] = asset.rayScene.images;
+    expect(albedo).toMatchObject({ width: 2, height: 1 });
+    expect(Array.from(albedo.data)).toEqual(new Array(8).fill(21));
+    expect([normal, orm]).toEqual([null, null]);
+    delete global.OffscreenCanvas;
+    delete global.createImageBitmap;
+  });
+
+  test('retains per-texture TEXCOORD sets and KHR_texture_transform matrices', async () => {
+    global.createImageBitmap = jest.fn(async (source) => ({ bitmap: source.name }));
+    const withSecondSet = async (edit) => {
+      const files = texturedTriangleFiles();
+      const gltf = JSON.parse(new TextDecoder().decode(await files.get('model.gltf').arrayBuffer()));
+      gltf.accessors.push({ bufferView: 2, componentType: 5126, count: 3, type: 'VEC2' });
+      gltf.meshes[0].primitives[0].attributes.TEXCOORD_1 = 5;
+      edit(gltf);
+      files.set('model.gltf', file(new TextEncoder().encode(JSON.stringify(gltf))));
+      return files;
+    };
+    const asset = await parseGltfAsset(await withSecondSet((gltf) => {
+      gltf.materials[0].normalTexture.texCoord = 1;
+      gltf.materials[0].pbrMetallicRoughness.baseColorTexture.extensions = {
+        KHR_texture_transform: { offset: [0.5, 0.25], rotation: Math.PI / 2, scale: [2, 3], texCoord: 1 },
+      };
+    }));
+    const [primitive] = asset.rasterPrimitives;
+    expect([...primitive.texCoords1]).toEqual([0, 0, 1, 0, 0, 1]);
+    expect(primitive.material).toMatchObject({ baseColorTexCoord: 1, normalTexCoord: 1, occlusionTexCoord: 0 });
+    // translation × rotation × scale: u' = cos·2u + sin·3v + 0.5, v' = -sin·2u + cos·3v + 0.25.
+    const [a, b, c, d, e, f] = primitive.material.baseColorUvTransform;
+    expect([a, b, c, d, e, f].map((value) => Math.round(value * 1e6) / 1e6)).toEqual([0, 3, 0.5, -2, 0, 0.25]);
+    expect(primitive.material.normalUvTransform).toEqual([1, 0, 0, 0, 1, 0]);
+    expect(asset.rayScene.materials[0]).toMatchObject({ baseColorTexCoord: 1 });
+    expect([...asset.rayScene.geometries[0].texCoords1]).toEqual([0, 0, 1, 0, 0, 1]);
+
+    const files = texturedTriangleFiles();
+    const gltf = JSON.parse(new TextDecoder().decode(await files.get('model.gltf').arrayBuffer()));
+    gltf.materials[0].normalTexture.texCoord = 1;
+    files.set('model.gltf', file(new TextEncoder().encode(JSON.stringify(gltf))));
+    await expect(parseGltfAsset(files)).rejects.toThrow(/normal texture reads TEXCOORD_1, which the primitive omits/);
+    await expect(parseGltfAsset(await withSecondSet((document) => { document.materials[0].occlusionTexture.texCoord = 2; })))
+      .rejects.toThrow(/Material 0 occlusion texture texCoord 2 is not supported/);
+    await expect(parseGltfAsset(await withSecondSet((document) => {
+      document.materials[0].normalTexture.extensions = { KHR_texture_transform: { scale: [1] } };
+    }))).rejects.toThrow(/Material 0 normal texture KHR_texture_transform scale must be two finite numbers/);
+    delete global.createImageBitmap;
+  });
+
+  test('retains KHR_materials_variants mappings and switches raster and ray materials in place', async () => {
+    const withVariants = async (edit) => {
+      const files = singleTriangleFiles();
+      const gltf = JSON.parse(new TextDecoder().decode(await files.get('model/triangle.gltf').arrayBuffer()));
+      gltf.extensionsUsed = ['KHR_materials_variants'];
+      gltf.extensions = { KHR_materials_variants: { variants: [{ name: 'Red' }, { name: 'Green' }, { name: 'Plain' }] } };
+      gltf.materials.push(
+        { pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 1] } },
+        { pbrMetallicRoughness: { baseColorFactor: [0, 1, 0, 1] } },
+      );
+      gltf.meshes[0].primitives[0].extensions = {
+        KHR_materials_variants: { mappings: [{ material: 1, variants: [0] }, { material: 2, variants: [1] }] },
+      };
+      edit?.(gltf);
+      files.set('model/triangle.gltf', file(new TextEncoder().encode(JSON.stringify(gltf))));
+      return files;
+    };
+    const drawable = await parseGltfForBackend({ device: webgpu() }, await withVariants());
+    const { asset } = drawable.rayTracing;
+    expect(asset.materialVariants).toEqual(['Red', 'Green', 'Plain']);
+    expect(asset.meshes[0].primitives[0]).toMatchObject({ materialIndex: 0, defaultMaterialIndex: 0, variantMaterialIndices: [1, 2, -1] });
+    expect(drawable.materialVariants).toMatchObject({ names: ['Red', 'Green', 'Plain'], active: null });
+
+    drawable.materialVariants.select('Green');
+    expect(drawable.materialVariants.active).toBe('Green');
+    expect(drawable.primitives[0].material.baseColor).toEqual([0, 1, 0, 1]);
+    expect(asset.rasterPrimitives[0].materialIndex).toBe(2);
+    expect(asset.rayScene.instances[0].materialIndex).toBe(2);
+    expect(drawable.rayTracing.materialRevision).toBe(1);
+    // A variant the primitive does not map keeps its own material.
+    drawable.materialVariants.select('Plain');
+    expect(asset.rayScene.instances[0].materialIndex).toBe(0);
+    drawable.materialVariants.select(null);
+    expect(drawable.materialVariants.active).toBeNull();
+    expect(drawable.rayTracing.materialRevision).toBe(3);
+    expect(() => drawable.materialVariants.select('Blue')).toThrow(/no material variant Blue/);
+
+    await expect(parseGltfAsset(await withVariants((gltf) => {
+      gltf.meshes[0].primitives[0].extensions.KHR_materials_variants.mappings[0].variants = [5];
+    }))).rejects.toThrow(/Mesh 0 primitive 0 maps missing material variant 5/);
+    await expect(parseGltfAsset(await withVariants((gltf) => {
+      gltf.meshes[0].primitives[0].extensions.KHR_materials_variants.mappings[0].material = 9;
+    }))).rejects.toThrow(/Mesh 0 primitive 0 variant 0 references missing material 9/);
+    await expect(parseGltfAsset(await withVariants((gltf) => {
+      gltf.meshes[0].primitives[0].extensions.KHR_materials_variants.mappings[1].variants = [0];
+    }))).rejects.toThrow(/maps material variant 0 more than once/);
+  });
+
+  test('loads the images of materials only a variant selects', async () => {
+    global.createImageBitmap = jest.fn(async (source) => ({ bitmap: source.name }));
+    const files = texturedTriangleFiles();
+    const gltf = JSON.parse(new TextDecoder().decode(await files.get('model.gltf').arrayBuffer()));
+    gltf.extensions = { KHR_materials_variants: { variants: [{ name: 'Worn' }] } };
+    gltf.images.push({ uri: 'worn.png' });
+    gltf.textures.push({ source: 3 });
+    gltf.materials.push({ pbrMetallicRoughness: { baseColorTexture: { index: 3 } } });
+    gltf.meshes[0].primitives[0].extensions = { KHR_materials_variants: { mappings: [{ material: 1, variants: [0] }] } };
+    files.set('model.gltf', file(new TextEncoder().encode(JSON.stringify(gltf))));
+    files.set('worn.png', { name: 'worn.png' });
+    const asset = await parseGltfAsset(files);
+    expect(asset.images[3]).toEqual({ bitmap: 'worn.png' });
+    expect(asset.rasterPrimitives[0].textureBitmap).toEqual({ bitmap: 'albedo.png' });
+    delete global.createImageBitmap;
+  });
+
+  test('decodes skins and poses the ray sidecar with the file\'s joint transforms', async () => {
+    const asset = await parseGltfAsset(skinnedFiles());
+
+    expect(asset.skins[0]).toMatchObject({ name: 'rig', joints: [1, 2], skeleton: 1 });
+    expect(asset.nodes.map((node) => node.skinIndex)).toEqual([0, -1, -1]);
+    expect(asset.skinInstances).toHaveLength(1);
+    const [instance] = asset.skinInstances;
+    expect(instance.jointNodeIndices).toEqual([1, 2]);
+    // inverse(body) x arm x inverseBind: skinned vertices ignore the body's own
+    // translation once the renderer reapplies its world matrix.
+    expect([...instance.jointMatrices.subarray(16, 32)])
+      .toEqual([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, -5, 1, 0, 1]);
+
+    const [primitive] = asset.rasterPrimitives;
+    expect(primitive.skinInstance).toBe(instance);
+    expect([...primitive.joints]).toEqual([0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0]);
+    expect([...primitive.positions]).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]); // bind pose
+    expect(validateRayScene(asset.rayScene).ok).toBe(true);
+    const [geometry] = asset.rayScene.geometries;
+    const worldVertex = (index) => transformPoint(
+      asset.rayScene.instances[0].worldMatrix,
+      [...geometry.positions.subarray(index * 3, index * 3 + 3)],
+    );
+    expect(worldVertex(0)).toEqual([0, 0, 0]);
+    expect(worldVertex(1)).toEqual([1, 0.5, 0]);
+    expect(worldVertex(2)).toEqual([0, 2, 0]);
+    expect(asset.deformedRayGeometries).toEqual([{
+      geometryIndex: 0,
+      skinInstanceIndex: 0,
+      morphInstanceIndex: -1,
+      meshIndex: 0,
+      primitiveIndex: 0,
+      skinRevision: instance.revision,
+      morphRevision: 0,
+    }]);
+  });
+
+  test('rejects skins whose joints or influences cannot be resolved', async () => {
+    await expect(parseGltfAsset(skinnedFiles({ jointOutsideScene: true })))
+      .rejects.toThrow(/joint node 1 is not part of the selected scene/);
+    await expect(parseGltfAsset(skinnedFiles({ omitWeights: true })))
+      .rejects.toThrow(/omits JOINTS_0 or WEIGHTS_0/);
+  });
+
+  test('uploads skinned primitives with storage-backed vertex buffers and pose hooks', async () => {
+    const device = webgpu();
+    const drawable = await parseGltfForBackend({ device }, skinnedFiles());
+    const [primitive] = drawable.primitives;
+    expect(primitive.deformation.vertexCount).toBe(3);
+    expect(primitive.buffers.position.desc.usage).toBe(0x80 | 0x08 | 0x20);
+    expect(primitive.deformation.buffers.influences.desc.size).toBe(96); // u32 joints + f32 weights
+    expect(primitive.deformation.buffers.bindPose.desc.size).toBe(120);
+    expect(primitive.deformation.buffers.morphDeltas).toBeNull();
+    expect(drawable.deformation).toEqual({ update: expect.any(Function), refitRayScene: expect.any(Function) });
+
+    const asset = drawable.rayTracing.asset;
+    asset.nodes[2].worldMatrix[13] = 4;
+    drawable.deformation.refitRayScene();
+    expect(drawable.rayTracing.geometryRevision).toBe(1);
+    expect(asset.rayScene.geometries[0].revision).toBe(1);
+    expect(asset.rayScene.geometries[0].positions[7]).toBeCloseTo(3);
+
+    const rigid = await parseGltfForBackend({ device: webgpu() }, singleTriangleFiles());
+    expect(rigid.deformation).toBeNull();
+    expect(rigid.primitives[0].deformation).toBeNull();
+  });
+
+  test('decodes animation clips against the selected scene and refits the ray sidecar as they play', async () => {
+    const drawable = await parseGltfForBackend({ device: webgpu() }, animatedFiles());
+    const asset = drawable.rayTracing.asset;
+    expect(asset.nodes.map((node) => node.parentIndex)).toEqual([-1, 0]);
+    expect(asset.nodes[1].trs).toEqual({ translation: [0, 1, 0], rotation: [0, 0, 0, 1], scale: [1, 1, 1] });
+    expect(asset.animations).toHaveLength(1);
+    expect(asset.animations[0]).toMatchObject({
+      name: 'slide', duration: 1, channels: [{ nodeIndex: 0, path: 'translation', sampler: 0 }],
+    });
+    expect(drawable.animation.listClips()).toEqual([{ index: 0, name: 'slide', duration: 1, channelCount: 1 }]);
+
+    drawable.animation.seek(0.5);
+    drawable.animation.update(0);
+    expect(drawable.rayTracing.instanceRevision).toBe(1);
+    expect(drawable.primitives[0].worldMatrix[12]).toBeCloseTo(1); // child follows its parent
+    expect(asset.rayScene.instances[0].worldMatrix[12]).toBeCloseTo(1);
+    expect(asset.rayScene.instances[0].inverseWorldMatrix[12]).toBeCloseTo(-1);
+    expect(asset.rayScene.bounds.max[0]).toBeCloseTo(2);
+
+    const rigid = await parseGltfForBackend({ device: webgpu() }, singleTriangleFiles());
+    expect(rigid.animation).toBeNull();
+  });
+
+  test('imports KHR_lights_punctual lights onto their nodes and moves them with animation', async () => {
+    const lights = [
+      { type: 'spot', color: [1, 0.5, 0.25], intensity: 20, range: 5, spot: { innerConeAngle: 0.2, outerConeAngle: 0.6 } },
+      { type: 'directional', intensity: 3 },
+    ];
+    const drawable = await parseGltfForBackend({ device: webgpu() }, animatedFiles({ lights }));
+    const asset = drawable.rayTracing.asset;
+    expect(drawable.lights).toBe(asset.lights);
+    expect(asset.lights.map((light) => [light.type, light.nodeIndex])).toEqual([['spot', 2], ['directional', 3]]);
+    expect(asset.lights[1]).toMatchObject({ color: [1, 1, 1], intensity: 3, range: null });
+    expect(validateRayScene(asset.rayScene).ok).toBe(true);
+
+    const [spot, sun] = asset.rayScene.lights;
+    expect(spot).toMatchObject({ type: 'spot', intensity: 20, range: 5, innerConeAngle: 0.2, outerConeAngle: 0.6 });
+    expect(spot.position.map((value) => Math.round(value * 1e6) / 1e6)).toEqual([0, 4, 0]);
+    expect(spot.direction[1]).toBeCloseTo(-1);
+    expect(sun).toEqual({ type: 'directional', color: [1, 1, 1], intensity: 3, direction: [0, 0, -1] });
+    expect(asset.rayScene.lightTable.lights.map((light) => light.kind)).toEqual(['spot', 'directional']);
+    expect(asset.rayScene.lightTable.lights[0].range).toBe(5);
+
+    const table = asset.rayScene.lightTable;
+    drawable.animation.seek(0.5);
+    drawable.animation.update(0);
+    expect(asset.rayScene.lights[0].position[0]).toBeCloseTo(1);
+    expect(asset.rayScene.lightTable).not.toBe(table);
+    expect(asset.rayScene.lightTable.lights[0].position[0]).toBeCloseTo(1);
+  });
+
+  test('rejects malformed KHR_lights_punctual lights and dangling references', async () => {
+    await expect(parseGltfAsset(animatedFiles({ lights: [{ type: 'area' }] })))
+      .rejects.toThrow(/KHR_lights_punctual light 0 has unsupported type area/);
+    await expect(parseGltfAsset(animatedFiles({ lights: [{ type: 'point', intensity: -1 }] })))
+      .rejects.toThrow(/intensity must be non-negative/);
+    await expect(parseGltfAsset(animatedFiles({ lights: [{ type: 'directional', range: 2 }] })))
+      .rejects.toThrow(/range must be a positive number on point and spot lights/);
+    await expect(parseGltfAsset(animatedFiles({
+      lights: [{ type: 'spot', spot: { innerConeAngle: 0.8, outerConeAngle: 0.4 } }],
+    }))).rejects.toThrow(/spot cone angles/);
+    await expect(parseGltfAsset(animatedFiles({ lights: [{ type: 'point' }], lightReference: 5 })))
+      .rejects.toThrow(/Node 3 references missing KHR_lights_punctual light 5/);
+  });
+
+  test('imports perspective and orthographic cameras and aims the ray camera at the asset', async () => {
+    const cameras = [
+      { name: 'hero', type: 'perspective', perspective: { yfov: 0.5, znear: 0.1, zfar: 50, aspectRatio: 1.5 } },
+      { type: 'orthographic', orthographic: { xmag: 2, ymag: -1, znear: 0, zfar: 10 } },
+    ];
+    const drawable = await parseGltfForBackend({ device: webgpu() }, animatedFiles({ cameras }));
+    const asset = drawable.rayTracing.asset;
+    expect(drawable.cameras).toBe(asset.cameras);
+    expect(asset.cameras).toEqual([{
+      name: 'hero',
+      projection: { type: 'perspective', yfov: 0.5, znear: 0.1, zfar: 50, aspectRatio: 1.5 },
+      nodeIndex: 2,
+      worldMatrix: asset.nodes[2].worldMatrix,
+    }]);
+    // The orbit target is where the view axis passes the triangle's bounds centre.
+    expect(asset.rayScene.camera).toMatchObject({ eye: [0, 1, 4], target: [0, 1, 0], up: [0, 1, 0], fovY: 0.5 });
+
+    const ortho = await parseGltfAsset(animatedFiles({ cameras, cameraReference: 1 }));
+    expect(ortho.rayScene.camera.projection).toEqual({ type: 'orthographic', xmag: 2, ymag: 1, znear: 0, zfar: 10 });
+    expect(ortho.rayScene.camera.fovY).toBeUndefined();
+    expect((await parseGltfAsset(animatedFiles())).rayScene.camera).toBeNull();
+  });
+
+  test('rejects malformed cameras and dangling camera references', async () => {
+    await expect(parseGltfAsset(animatedFiles({ cameras: [{ type: 'fisheye' }] })))
+      .rejects.toThrow(/Camera 0 has unsupported type fisheye/);
+    await expect(parseGltfAsset(animatedFiles({ cameras: [{ type: 'perspective', perspective: { yfov: 0, znear: 0.1 } }] })))
+      .rejects.toThrow(/Camera 0 perspective yfov must be between 0 and π/);
+    await expect(parseGltfAsset(animatedFiles({
+      cameras: [{ type: 'perspective', perspective: { yfov: 1, znear: 2, zfar: 1 } }],
+    }))).rejects.toThrow(/zfar must be finite and greater than znear/);
+    await expect(parseGltfAsset(animatedFiles({
+      cameras: [{ type: 'orthographic', orthographic: { xmag: 1, ymag: 0, znear: 0, zfar: 1 } }],
+    }))).rejects.toThrow(/xmag and ymag must be non-zero/);
+    await expect(parseGltfAsset(animatedFiles({
+      cameras: [{ type: 'perspective', perspective: { yfov: 1, znear: 0.1 } }], cameraReference: 5,
+    }))).rejects.toThrow(/Node 3 references missing camera 5/);
+  });
+
+  test('rejects animation channels aimed at matrix-transformed nodes', async () => {
+    await expect(parseGltfAsset(animatedFiles({ matrixRoot: true })))
+      .rejects.toThrow(/Animation 0 channel 0 animates node 0, which uses a matrix transform/);
+  });
+
+  test('decodes morph targets, applies mesh weights and refits animated weights', async () => {
+    const device = webgpu();
+    const drawable = await parseGltfForBackend({ device }, morphedFiles());
+    const asset = drawable.rayTracing.asset;
+    expect(asset.meshes[0].targetCount).toBe(2);
+    expect(asset.morphInstances).toEqual([{ nodeIndex: 0, meshIndex: 0, weights: new Float32Array([0.5, 0]), revision: 0 }]);
+    const geometry = asset.rayScene.geometries[0];
+    expect([...geometry.positions.subarray(6)]).toEqual([0, 1.5, 0]);
+
+    const [primitive] = drawable.primitives;
+    expect(primitive.deformation.buffers.morphDeltas.desc.size).toBe(2 * 3 * 9 * 4);
+    expect(primitive.deformation.buffers.influences).toBeNull();
+    const initialPosition = device.queue.writeBuffer.mock.calls
+      .find(([buffer]) => buffer === primitive.buffers.position)[2];
+    expect(initialPosition[7]).toBe(1.5); // vertex buffers start at the mesh-weighted pose
+
+    drawable.animation.seek(1);
+    drawable.animation.update(0);
+    expect([...asset.morphInstances[0].weights]).toEqual([1, 1]);
+    expect(asset.morphInstances[0].revision).toBe(1);
+    drawable.deformation.refitRayScene();
+    expect(drawable.rayTracing.geometryRevision).toBe(1);
+    expect([...geometry.positions.subarray(6)]).toEqual([1, 2, 0]);
+  });
+
+  test('lets node weights override mesh weights and validates their length', async () => {
+    const asset = await parseGltfAsset(morphedFiles({ nodeWeights: [0, 1] }));
+    expect([...asset.morphInstances[0].weights]).toEqual([0, 1]);
+    expect(asset.rayScene.geometries[0].positions[0]).toBe(1);
+    await expect(parseGltfAsset(morphedFiles({ nodeWeights: [1] })))
+      .rejects.toThrow(/weights must list one number per morph target \(2\)/);
+  });
+
   test('uploads the same retained asset contract to WebGL', async () => {
     const gl = webgl();
     const drawable = await parseGltfForBackend({ gl }, singleTriangleFiles());
@@ -380,9 +1104,9 @@ describe('glTF parser/data split', () => {
     const device = webgpu();
     const drawable = await parseGltfForBackend({ device }, singleTriangleFiles());
     expect(drawable).toMatchObject({ kind: 'mesh', vertexCount: 3, indexFormat: 'uint16' });
-    expect(device.createBuffer).toHaveBeenCalledTimes(4);
-    expect(device.createBuffer.mock.calls[3][0].size).toBe(8); // WebGPU buffer sizes are 4-byte aligned.
-    expect(device.queue.writeBuffer).toHaveBeenCalledTimes(4);
+    expect(device.createBuffer).toHaveBeenCalledTimes(5);
+    expect(device.createBuffer.mock.calls[4][0].size).toBe(8); // WebGPU buffer sizes are 4-byte aligned.
+    expect(device.queue.writeBuffer).toHaveBeenCalledTimes(5);
     expect(validateRayScene(drawable.rayTracing.preparedRayScene).ok).toBe(true);
   });
 
@@ -397,7 +1121,7 @@ describe('glTF parser/data split', () => {
     expect(drawable.primitives.map((primitive) => primitive.material.baseColor)).toEqual([
       [1, 0, 0, 1], [0, 0, 1, 1], [1, 0, 0, 1], [0, 0, 1, 1],
     ]);
-    expect(device.createBuffer).toHaveBeenCalledTimes(8); // Two local geometries, four buffers each.
+    expect(device.createBuffer).toHaveBeenCalledTimes(10); // Two local geometries, five buffers each.
     expect(drawable.rayTracing).toMatchObject({ geometryRevision: 0, instanceRevision: 0 });
   });
 
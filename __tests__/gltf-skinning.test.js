@@ -0,0 +1,208 @@
+import {
+  refitDeformedRayScene,
+  skinVertices,
+  updateJointMatrices,
+  updateSkinInstances,
+} from '../scripts/engine/gltf-skinning.js';
+import { GpuMeshDeformer, packBindPose, packSkinInfluences } from '../scripts/engine/gpu-deformation.js';
+import { composeTRSMatrix, createIdentityMatrix } from '../scripts/engine/matrix.js';
+import { prepareRayScene } from '../scripts/engine/raytracing/core/ray-scene.js';
+
+// One triangle skinned to two joints: vertex 0 rigid to joint 0,
+// vertex 1 split evenly, vertex 2 rigid to joint 1.
+function skinnedAsset() {
+  const primitive = {
+    positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+    normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+    indices: new Uint16Array([0, 1, 2]),
+    joints: new Uint16Array([0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0]),
+    weights: new Float32Array([1, 0, 0, 0, 0.5, 0.5, 0, 0, 1, 0, 0, 0]),
+  };
+  const asset = {
+    nodes: [
+      { worldMatrix: createIdentityMatrix() },
+      { worldMatrix: createIdentityMatrix() },
+      { worldMatrix: createIdentityMatrix() },
+    ],
+    meshes: [{ primitives: [primitive] }],
+    skins: [{ joints: [1, 2], inverseBindMatrices: new Float32Array([...createIdentityMatrix(), ...createIdentityMatrix()]) }],
+    skinInstances: [{
+      nodeIndex: 0, skinIndex: 0, jointNodeIndices: [1, 2], jointMatrices: new Float32Array(32), revision: 0,
+    }],
+  };
+  updateSkinInstances(asset);
+  asset.rayScene = prepareRayScene({
+    geometries: [{ id: 0, revision: 0, ...skinVertices(primitive, asset.skinInstances[0].jointMatrices), indices: primitive.indices }],
+    instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+    materials: [{}],
+  });
+  asset.deformedRayGeometries = [{
+    geometryIndex: 0,
+    skinInstanceIndex: 0,
+    morphInstanceIndex: -1,
+    meshIndex: 0,
+    primitiveIndex: 0,
+    skinRevision: asset.skinInstances[0].revision,
+    morphRevision: 0,
+  }];
+  return { asset, primitive };
+}
+
+describe('glTF skinning', () => {
+  test('blends joint matrices per vertex and renormalizes rotated normals', () => {
+    const { primitive } = skinnedAsset();
+    const jointMatrices = new Float32Array([
+      ...createIdentityMatrix(),
+      ...composeTRSMatrix([0, 2, 0], [0, Math.SQRT1_2, 0, Math.SQRT1_2], [1, 1, 1]),
+    ]);
+    const { positions, normals } = skinVertices(primitive, jointMatrices);
+
+    expect([...positions.subarray(0, 3)]).toEqual([0, 0, 0]);
+    // Half identity, half (rotate 90° about Y, lift by 2): (1,0,0) -> ((1+0)/2, 1, (0-1)/2).
+    expect(positions[3]).toBeCloseTo(0.5);
+    expect(positions[4]).toBeCloseTo(1);
+    expect(positions[5]).toBeCloseTo(-0.5);
+    expect(positions[7]).toBeCloseTo(3);
+    expect(Math.hypot(normals[3], normals[4], normals[5])).toBeCloseTo(1);
+    expect(normals[6]).toBeCloseTo(1); // +Z rotated onto +X
+  });
+
+  test('skins tangents with the normals and carries their handedness', () => {
+    const { primitive } = skinnedAsset();
+    primitive.tangents = new Float32Array([1, 0, 0, 1, 1, 0, 0, 1, 1, 0, 0, -1]);
+    const jointMatrices = new Float32Array([
+      ...createIdentityMatrix(),
+      ...composeTRSMatrix([0, 0, 0], [0, Math.SQRT1_2, 0, Math.SQRT1_2], [2, 2, 2]),
+    ]);
+    const { tangents } = skinVertices(primitive, jointMatrices);
+    expect([...tangents.subarray(0, 4)]).toEqual([1, 0, 0, 1]);
+    // +X turned 90° about Y points along -Z; the joint's scale is normalized away.
+    expect(tangents[8]).toBeCloseTo(0);
+    expect(tangents[10]).toBeCloseTo(-1);
+    expect(tangents[11]).toBe(-1);
+  });
+
+  test('bumps a skin instance revision only when its pose changes', () => {
+    const { asset } = skinnedAsset();
+    const [instance] = asset.skinInstances;
+    const revision = instance.revision;
+
+    expect(updateJointMatrices(asset, instance)).toBe(false);
+    expect(instance.revision).toBe(revision);
+
+    asset.nodes[2].worldMatrix = composeTRSMatrix([0, 1, 0]);
+    expect(updateJointMatrices(asset, instance)).toBe(true);
+    expect(instance.revision).toBe(revision + 1);
+    expect(instance.jointMatrices[29]).toBe(1);
+  });
+
+  test('refits only re-posed ray geometry and refreshes its bounds', () => {
+    const { asset } = skinnedAsset();
+    expect(refitDeformedRayScene(asset)).toBe(false);
+
+    asset.nodes[2].worldMatrix = composeTRSMatrix([0, 1, 0]);
+    updateSkinInstances(asset);
+    expect(refitDeformedRayScene(asset)).toBe(true);
+    const [geometry] = asset.rayScene.geometries;
+    expect(geometry.revision).toBe(1);
+    expect([...geometry.positions]).toEqual([0, 0, 0, 1, 0.5, 0, 0, 2, 0]);
+    expect(geometry.bounds.max[1]).toBe(2);
+    expect(asset.rayScene.bounds.max[1]).toBe(2);
+    expect(refitDeformedRayScene(asset)).toBe(false);
+  });
+});
+
+describe('GpuMeshDeformer', () => {
+  beforeEach(() => {
+    global.GPUBufferUsage = { UNIFORM: 0x40, STORAGE: 0x80, COPY_DST: 0x08 };
+  });
+
+  function skinnedDrawable() {
+    const { asset, primitive } = skinnedAsset();
+    const deformation = {
+      skinInstance: asset.skinInstances[0],
+      morphInstance: null,
+      vertexCount: 3,
+      ...primitive,
+      buffers: { bindPose: {}, influences: {}, morphDeltas: null },
+    };
+    return {
+      asset,
+      drawable: {
+        kind: 'mesh',
+        primitives: [{
+          buffers: { position: { name: 'position' }, normal: { name: 'normal' }, tangent: { name: 'tangent' } },
+          deformation,
+        }],
+        deformation: { update: () => updateSkinInstances(asset) },
+      },
+    };
+  }
+
+  function device() {
+    const pass = { setPipeline: jest.fn(), setBindGroup: jest.fn(), dispatchWorkgroups: jest.fn(), end: jest.fn() };
+    return {
+      pass,
+      createBuffer: jest.fn((desc) => ({ desc, destroy: jest.fn() })),
+      createShaderModule: jest.fn(() => ({})),
+      createComputePipeline: jest.fn(() => ({ getBindGroupLayout: () => ({}) })),
+      createBindGroup: jest.fn((desc) => desc),
+      queue: { writeBuffer: jest.fn() },
+      encoder: { beginComputePass: jest.fn(() => pass) },
+    };
+  }
+
+  test('interleaves the bind pose and joint influences for the deformation pass', () => {
+    const { primitive } = skinnedAsset();
+    const bindPose = packBindPose(primitive.positions, primitive.normals);
+    expect(bindPose).toHaveLength(30);
+    expect([...bindPose.subarray(10, 20)]).toEqual([1, 0, 0, 0, 0, 1, 0, 0, 0, 0]);
+    const withTangents = packBindPose(primitive.positions, primitive.normals, new Float32Array(12).fill(1));
+    expect([...withTangents.subarray(6, 10)]).toEqual([1, 1, 1, 1]);
+
+    const influences = packSkinInfluences(primitive.joints, primitive.weights);
+    expect(influences.byteLength).toBe(96);
+    expect([...new Uint32Array(influences, 32, 4)]).toEqual([0, 1, 0, 0]);
+    expect([...new Float32Array(influences, 48, 4)]).toEqual([0.5, 0.5, 0, 0]);
+  });
+
+  test('uploads CPU-skinned vertices until the compute shader is available', () => {
+    const gpu = device();
+    const deformer = new GpuMeshDeformer(gpu);
+    const { asset, drawable } = skinnedDrawable();
+    asset.nodes[2].worldMatrix = composeTRSMatrix([0, 1, 0]);
+    const frame = { device: gpu, encoder: gpu.encoder };
+
+    deformer.record(frame, drawable);
+    const positionWrite = gpu.queue.writeBuffer.mock.calls.find(([buffer]) => buffer.name === 'position');
+    expect([...positionWrite[2]]).toEqual([0, 0, 0, 1, 0.5, 0, 0, 2, 0]);
+    expect(gpu.encoder.beginComputePass).not.toHaveBeenCalled();
+
+    gpu.queue.writeBuffer.mockClear();
+    deformer.record(frame, drawable);
+    expect(gpu.queue.writeBuffer).not.toHaveBeenCalled(); // pose unchanged
+  });
+
+  test('dispatches one compute workgroup batch per changed deformed primitive', () => {
+    const gpu = device();
+    const deformer = new GpuMeshDeformer(gpu);
+    deformer.setShader('// mesh-deform.wgsl');
+    const { asset, drawable } = skinnedDrawable();
+    const frame = { device: gpu, encoder: gpu.encoder };
+
+    deformer.record(frame, drawable);
+    expect(gpu.pass.dispatchWorkgroups).toHaveBeenCalledWith(1);
+    const bindGroup = gpu.createBindGroup.mock.calls[0][0];
+    expect(bindGroup.entries[6].resource.buffer).toBe(drawable.primitives[0].buffers.position);
+    expect(gpu.queue.writeBuffer).toHaveBeenCalledWith(expect.anything(), 0, asset.skinInstances[0].jointMatrices);
+
+    deformer.record(frame, drawable);
+    expect(gpu.pass.dispatchWorkgroups).toHaveBeenCalledTimes(1);
+
+    expect(bindGroup.entries[4].resource.buffer).toBe(deformer.placeholder); // no morph targets
+    expect(bindGroup.entries[8].resource.buffer).toBe(drawable.primitives[0].buffers.tangent);
+    deformer.releaseDrawable(drawable);
+    const owned = gpu.createBuffer.mock.results.filter(({ value }) => value !== deformer.placeholder);
+    expect(owned.every(({ value }) => value.destroy.mock.calls.length === 1)).toBe(true);
+  });
+});
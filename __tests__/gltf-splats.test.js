@@ -0,0 +1,268 @@
+import {
+  KHR_GAUSSIAN_SPLATTING,
+  decodeGaussianSplatPrimitive,
+  isGaussianSplatPrimitive,
+  mergeSplatClouds,
+} from '../scripts/engine/gltf-splats.js';
+import { parseGltfAsset, parseGltfForBackend } from '../scripts/engine/gltf-parser.js';
+import { SH_C0 } from '../scripts/engine/ply-loader.js';
+import { loadAssetFiles } from '../scripts/engine/scene-ops.js';
+import { createSplatPipeline } from '../scripts/engine/splat-pipeline.js';
+import { transformSplatCloud } from '../scripts/engine/splat-transform.js';
+
+const ATTR = `${KHR_GAUSSIAN_SPLATTING}:`;
+
+function file(bytes) {
+  return { name: 'unused', arrayBuffer: jest.fn(async () => bytes instanceof ArrayBuffer ? bytes : bytes.buffer) };
+}
+
+/** Packs float accessors into one buffer; returns the glTF pieces and the bytes. */
+function packAccessors(arrays) {
+  const byteLength = arrays.reduce((sum, { data }) => sum + data.length * 4, 0);
+  const binary = new ArrayBuffer(byteLength);
+  const bufferViews = [];
+  const accessors = [];
+  let offset = 0;
+  for (const { data, type, count } of arrays) {
+    new Float32Array(binary, offset, data.length).set(data);
+    bufferViews.push({ buffer: 0, byteOffset: offset, byteLength: data.length * 4 });
+    accessors.push({ bufferView: bufferViews.length - 1, componentType: 5126, count, type });
+    offset += data.length * 4;
+  }
+  return { binary, bufferViews, accessors };
+}
+
+// Two splats with degree-1 SH; the second is rotated 90° about +Z.
+const SPLATS = {
+  positions: [0, 0, 0, 1, 2, 3],
+  rotations: [0, 0, 0, 2, 0, 0, Math.SQRT1_2, Math.SQRT1_2], // xyzw, the first unnormalized
+  scales: [Math.log(0.1), Math.log(0.2), Math.log(0.3), 0, 0, 0],
+  opacities: [0.25, 0.75],
+  dc: [1, 0, -1, 0, 0, 0],
+  sh1: [[0.1, 0.2, 0.3, 0, 0, 0], [0.4, 0.5, 0.6, 0, 0, 0], [0.7, 0.8, 0.9, 0, 0, 0]],
+};
+
+/** A glTF document with one splat mesh, optionally next to a triangle mesh. */
+function splatDocument({ withTriangle = false, nodeTranslation = [0, 0, 0], sh = true } = {}) {
+  const arrays = [
+    { data: SPLATS.positions, type: 'VEC3', count: 2 },
+    { data: SPLATS.rotations, type: 'VEC4', count: 2 },
+    { data: SPLATS.scales, type: 'VEC3', count: 2 },
+    { data: SPLATS.opacities, type: 'SCALAR', count: 2 },
+    { data: SPLATS.dc, type: 'VEC3', count: 2 },
+    ...(sh ? SPLATS.sh1.map((data) => ({ data, type: 'VEC3', count: 2 })) : []),
+  ];
+  if (withTriangle) arrays.push({ data: [0, 0, 0, 1, 0, 0, 0, 1, 0], type: 'VEC3', count: 3 });
+  const { binary, bufferViews, accessors } = packAccessors(arrays);
+  const attributes = {
+    POSITION: 0,
+    [`${ATTR}ROTATION`]: 1,
+    [`${ATTR}SCALE`]: 2,
+    [`${ATTR}OPACITY`]: 3,
+    [`${ATTR}SH_DEGREE_0_COEF_0`]: 4,
+  };
+  if (sh) [0, 1, 2].forEach((n) => { attributes[`${ATTR}SH_DEGREE_1_COEF_${n}`] = 5 + n; });
+  const meshes = [{
+    primitives: [{ mode: 0, attributes, extensions: { [KHR_GAUSSIAN_SPLATTING]: { kernel: 'ellipse' } } }],
+  }];
+  const nodes = [{ mesh: 0, translation: nodeTranslation }];
+  if (withTriangle) {
+    meshes.push({ primitives: [{ attributes: { POSITION: accessors.length - 1 } }] });
+    nodes.push({ mesh: 1 });
+  }
+  const gltf = {
+    asset: { version: '2.0' },
+    extensionsUsed: [KHR_GAUSSIAN_SPLATTING],
+    buffers: [{ uri: 'cloud.bin', byteLength: binary.byteLength }],
+    bufferViews,
+    accessors,
+    meshes,
+    nodes,
+    scenes: [{ nodes: nodes.map((_, index) => index) }],
+    scene: 0,
+  };
+  return { gltf, binary };
+}
+
+function documentFiles(document) {
+  return new Map([
+    ['cloud.gltf', file(new TextEncoder().encode(JSON.stringify(document.gltf)))],
+    ['cloud.bin', file(document.binary)],
+  ]);
+}
+
+function decodeDocument(document) {
+  const { gltf, binary } = document;
+  return decodeGaussianSplatPrimitive(gltf, [binary], gltf.meshes[0].primitives[0], 'Mesh 0 primitive 0');
+}
+
+/** Degree-1 colour offset the shaders add for view direction d (see splat.wgsl). */
+function band1(cloud, splat, channel, [x, y, z]) {
+  const c1 = 0.4886025119029199;
+  const basis = [-c1 * y, c1 * z, -c1 * x];
+  const stride = 9;
+  return basis.reduce((sum, b, k) => sum + b * cloud.shCoeffs[splat * stride + k * 3 + channel], 0);
+}
+
+describe('decodeGaussianSplatPrimitive', () => {
+  test('decodes the extension attributes into the parsed splat layout', () => {
+    const document = splatDocument();
+    expect(isGaussianSplatPrimitive(document.gltf.meshes[0].primitives[0])).toBe(true);
+    const cloud = decodeDocument(document);
+
+    expect(cloud.count).toBe(2);
+    expect(cloud.shDegree).toBe(1);
+    expect(Array.from(cloud.positions)).toEqual(SPLATS.positions);
+    expect(cloud.colors[0]).toBeCloseTo(0.5 + SH_C0, 6);
+    expect(cloud.colors[2]).toBeCloseTo(0.5 - SH_C0, 6);
+    expect(cloud.opacities[1]).toBeCloseTo(0.75, 6);
+    expect(cloud.scales[2]).toBeCloseTo(0.3, 6);
+    // xyzw -> wxyz, normalized.
+    expect(Array.from(cloud.rotations.slice(0, 4))).toEqual([1, 0, 0, 0]);
+    expect(cloud.rotations[4]).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(cloud.rotations[7]).toBeCloseTo(Math.SQRT1_2, 6);
+    // Coefficient-major rgb triples, as parsePly lays them out.
+    expect(Array.from(cloud.shCoeffs.slice(0, 9)).map((v) => +v.toFixed(6))).toEqual([0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]);
+  });
+
+  test('rejects non-POINTS primitives and unsupported kernels', () => {
+    const document = splatDocument();
+    const primitive = document.gltf.meshes[0].primitives[0];
+    primitive.mode = 4;
+    expect(() => decodeDocument(document)).toThrow(/must use POINTS mode/);
+    primitive.mode = 0;
+    primitive.extensions[KHR_GAUSSIAN_SPLATTING].kernel = 'box';
+    expect(() => decodeDocument(document)).toThrow(/unsupported KHR_gaussian_splatting kernel box/);
+  });
+});
+
+describe('transformSplatCloud', () => {
+  // 90° about +Y, uniform scale 2, translated; column-major.
+  const ROTATE_SCALE = [0, 0, -2, 0, 0, 2, 0, 0, 2, 0, 0, 0, 5, 6, 7, 1];
+
+  test('poses positions, scales and rotations under a similarity transform', () => {
+    const cloud = transformSplatCloud(decodeDocument(splatDocument()), ROTATE_SCALE, 'Node 0');
+    expect(Array.from(cloud.positions.slice(3, 6)).map((v) => +v.toFixed(5))).toEqual([11, 10, 5]);
+    expect(cloud.scales[0]).toBeCloseTo(0.2, 6);
+    const [w, , y] = cloud.rotations.slice(0, 4);
+    expect(w).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(y).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(cloud.bounds.center[0]).toBeCloseTo(8, 5);
+  });
+
+  test.each([
+    ['a rotation', ROTATE_SCALE],
+    ['a reflection', [-1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]],
+  ])('rotates SH so view-dependent colour follows %s', (_, matrix) => {
+    const source = decodeDocument(splatDocument());
+    const posed = transformSplatCloud(decodeDocument(splatDocument()), matrix, 'Node 0');
+    const scale = Math.cbrt(Math.abs(
+      matrix[0] * (matrix[5] * matrix[10] - matrix[9] * matrix[6])
+      - matrix[4] * (matrix[1] * matrix[10] - matrix[9] * matrix[2])
+      + matrix[8] * (matrix[1] * matrix[6] - matrix[5] * matrix[2]),
+    ));
+    for (const d of [[1, 0, 0], [0, 1, 0], [0, 0.6, 0.8], [0.48, -0.6, 0.64]]) {
+      // The posed splat seen along M·d looks like the source seen along d.
+      const m = [0, 1, 2].map((row) => (matrix[row] * d[0] + matrix[4 + row] * d[1] + matrix[8 + row] * d[2]) / scale);
+      for (let c = 0; c < 3; c++) expect(band1(posed, 0, c, m)).toBeCloseTo(band1(source, 0, c, d), 5);
+    }
+  });
+
+  test('rejects non-uniform scale', () => {
+    const stretch = [1, 0, 0, 0, 0, 2, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    expect(() => transformSplatCloud(decodeDocument(splatDocument()), stretch, 'Node 3'))
+      .toThrow(/Node 3 transform must be a rotation, uniform scale and translation/);
+  });
+});
+
+describe('mergeSplatClouds', () => {
+  test('concatenates clouds at the lowest SH degree any part has', () => {
+    const withSh = decodeDocument(splatDocument());
+    const withoutSh = decodeDocument(splatDocument({ sh: false }));
+    expect(mergeSplatClouds([])).toBeNull();
+    expect(mergeSplatClouds([withSh])).toBe(withSh);
+
+    const merged = mergeSplatClouds([withSh, withoutSh]);
+    expect(merged.count).toBe(4);
+    expect(merged.shDegree).toBe(0);
+    expect(merged.shCoeffs).toBeNull();
+    expect(Array.from(merged.positions.slice(6, 9))).toEqual([0, 0, 0]);
+    expect(merged.opacities[3]).toBeCloseTo(0.75, 6);
+  });
+});
+
+describe('glTF assets with KHR_gaussian_splatting', () => {
+  beforeEach(() => {
+    global.GPUBufferUsage = { VERTEX: 0x20, INDEX: 0x10, COPY_DST: 0x08, STORAGE: 0x80 };
+  });
+
+  test('a splat-only file yields a posed cloud and no geometry', async () => {
+    const asset = await parseGltfAsset(documentFiles(splatDocument({ nodeTranslation: [10, 0, 0] })));
+    expect(asset.rasterPrimitives).toEqual([]);
+    expect(asset.gaussianSplats.count).toBe(2);
+    expect(Array.from(asset.gaussianSplats.positions.slice(3, 6))).toEqual([11, 2, 3]);
+    expect(asset.bounds).toBe(asset.gaussianSplats.bounds);
+
+    const drawable = await parseGltfForBackend({ device: {} }, documentFiles(splatDocument()));
+    expect(drawable.kind).toBe('gltf-splats');
+    expect(drawable.gaussianSplats.count).toBe(2);
+  });
+
+  test('a mixed file yields its meshes with the cloud riding along', async () => {
+    const asset = await parseGltfAsset(documentFiles(splatDocument({ withTriangle: true })));
+    expect(asset.rasterPrimitives).toHaveLength(1);
+    expect(asset.gaussianSplats.count).toBe(2);
+
+    const device = { createBuffer: jest.fn((desc) => ({ desc })), queue: { writeBuffer: jest.fn() } };
+    const drawable = await parseGltfForBackend({ device }, documentFiles(splatDocument({ withTriangle: true })));
+    expect(drawable.kind).not.toBe('gltf-splats');
+    expect(drawable.gaussianSplats.count).toBe(2);
+  });
+
+  test('loadAssetFiles routes a splat-only glTF through the splat pipeline', async () => {
+    const splats = { kind: 'splat', bounds: { center: [0, 0, 0], radius: 1 } };
+    const engine = { device: {}, camera: null, loadSplatCloud: jest.fn(async () => splats) };
+    const files = Array.from(documentFiles(splatDocument()), ([name, entry]) => ({ ...entry, name }));
+
+    const result = await loadAssetFiles({ engine, files });
+    expect(result).toEqual({ kind: 'splat', drawable: splats, flipY: false });
+    expect(engine.loadSplatCloud).toHaveBeenCalledWith(expect.objectContaining({ count: 2 }), { alongside: false });
+  });
+
+  test('loadAssetFiles shows a mixed glTF and adds its cloud alongside', async () => {
+    const splats = { kind: 'splat' };
+    const engine = {
+      device: { createBuffer: jest.fn((desc) => ({ desc })), queue: { writeBuffer: jest.fn() } },
+      camera: null,
+      scene: { loadGeometry: jest.fn() },
+      addNode: jest.fn(),
+      loadSplatCloud: jest.fn(async () => splats),
+    };
+    const files = Array.from(documentFiles(splatDocument({ withTriangle: true })), ([name, entry]) => ({ ...entry, name }));
+
+    const result = await loadAssetFiles({ engine, files });
+    expect(result.kind).toBe('gltf');
+    expect(result.splats).toBe(splats);
+    expect(engine.scene.loadGeometry).toHaveBeenCalledWith(result.drawable);
+    expect(result.drawable.gaussianSplats).toBeNull();
+    expect(engine.loadSplatCloud).toHaveBeenCalledWith(expect.objectContaining({ count: 2 }), { alongside: true });
+  });
+
+  test('a splat glTF on a backend without the splat pipeline fails clearly', async () => {
+    const engine = { gl: {}, camera: null, scene: { loadGeometry: jest.fn() } };
+    const files = Array.from(documentFiles(splatDocument()), ([name, entry]) => ({ ...entry, name }));
+    await expect(loadAssetFiles({ engine, files })).rejects.toThrow(/KHR_gaussian_splatting\) require the WebGPU backend/);
+  });
+});
+
+describe('splat pipeline loadParsed', () => {
+  test('normalizes an already-decoded cloud and keeps its source frame', () => {
+    const cloud = decodeDocument(splatDocument());
+    const { center, radius } = cloud.bounds;
+    const payload = createSplatPipeline().loadParsed(cloud, false);
+    expect(payload.count).toBe(2);
+    expect(payload.sourceTransform.center).toEqual(center);
+    expect(payload.sourceTransform.radius).toBeCloseTo(radius, 6);
+    expect(payload.bounds.radius).toBeCloseTo(1, 5);
+  });
+});
@@ -11,6 +11,7 @@ import {
   createGpuRayBindGroupLayouts,
   createGpuRayDisplayBindGroups,
   createGpuRayFrameResources,
+  createGpuRayLightingResources,
   createGpuRaySceneBindGroup,
   createGpuRaySceneResources,
   destroyAccumulationTargets,
@@ -21,7 +22,7 @@ import {
   resizeAccumulationTargets,
   uploadGpuRayTlasAndInstances,
 } from '../scripts/engine/raytracing/gpu/gpu-ray-helpers.js';
-import { packGpuScene } from '../scripts/engine/raytracing/gpu/gpu-scene-packer.js';
+import { packGpuLighting, packGpuScene } from '../scripts/engine/raytracing/gpu/gpu-scene-packer.js';
 
 function mockDevice(limits = {}) {
   const device = {
@@ -31,7 +32,7 @@ function mockDevice(limits = {}) {
       maxBufferSize: 1 << 28,
       ...limits,
     },
-    queue: { writeBuffer: jest.fn() },
+    queue: { writeBuffer: jest.fn(), writeTexture: jest.fn() },
     createBuffer: jest.fn((desc) => ({ desc, size: desc.size, destroy: jest.fn() })),
     createTexture: jest.fn((desc) => {
       const texture = { desc, destroy: jest.fn() };
@@ -60,14 +61,14 @@ describe('GPU ray resource helpers', () => {
       STORAGE: 0x0080,
     };
     global.GPUTextureUsage = {
-      COPY_SRC: 0x01, TEXTURE_BINDING: 0x04, STORAGE_BINDING: 0x08, RENDER_ATTACHMENT: 0x10,
+      COPY_SRC: 0x01, COPY_DST: 0x02, TEXTURE_BINDING: 0x04, STORAGE_BINDING: 0x08, RENDER_ATTACHMENT: 0x10,
     };
     global.GPUShaderStage = { FRAGMENT: 0x02, COMPUTE: 0x04 };
   });
 
   test('rejects unsupported storage limits before allocating', () => {
     const device = mockDevice({ maxStorageBuffersPerShaderStage: REQUIRED_STORAGE_BUFFERS_PER_STAGE - 1 });
-    expect(() => createGpuRaySceneResources(device, packedCornell())).toThrow(/requires 7 storage buffers/);
+    expect(() => createGpuRaySceneResources(device, packedCornell())).toThrow(/requires 8 storage buffers/);
     expect(device.createBuffer).not.toHaveBeenCalled();
 
     const smallDevice = mockDevice({ maxStorageBufferBindingSize: 64 });
@@ -80,6 +81,9 @@ describe('GPU ray resource helpers', () => {
     const resources = createGpuRaySceneResources(device, packed);
     expect(device.createBuffer).toHaveBeenCalledTimes(6);
     expect(device.queue.writeBuffer).toHaveBeenCalledTimes(6);
+    // An untextured scene binds a 1×1 dummy atlas it never uploads.
+    expect(resources.textureAtlas.texture.desc).toMatchObject({ size: [1, 1, 1], format: 'rgba8unorm' });
+    expect(device.queue.writeTexture).not.toHaveBeenCalled();
     for (const buffer of Object.values(resources.buffers)) {
       expect(buffer.desc.size % 4).toBe(0);
       expect(buffer.desc.usage & GPUBufferUsage.STORAGE).toBeTruthy();
@@ -96,6 +100,20 @@ describe('GPU ray resource helpers', () => {
     expect(Object.values(emptyResources.buffers).every((buffer) => buffer.size > 0)).toBe(true);
   });
 
+  test('uploads the base-colour atlas as one sampled texture', () => {
+    const device = mockDevice();
+    const scene = createCornellBoxScene();
+    scene.images = [{ width: 2, height: 1, data: new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]) }];
+    scene.materials[0] = { ...scene.materials[0], baseColorImageIndex: 0 };
+    const packed = packGpuScene(scene, buildAccelerationStructures(scene));
+    const { textureAtlas } = createGpuRaySceneResources(device, packed);
+    expect(textureAtlas.texture.desc.size).toEqual([2, 1, 1]);
+    expect(textureAtlas.texture.desc.usage).toBe(GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST);
+    expect(device.queue.writeTexture).toHaveBeenCalledWith(
+      { texture: textureAtlas.texture }, packed.textureAtlas.data, { bytesPerRow: 8, rowsPerImage: 1 }, [2, 1, 1],
+    );
+  });
+
   test('partial updates write only TLAS node/leaf prefixes and instances', () => {
     const device = mockDevice();
     const packed = packedCornell();
@@ -148,8 +166,10 @@ describe('GPU ray resource helpers', () => {
   test('creates explicit layouts and bind groups with the documented resources', () => {
     const device = mockDevice();
     const layouts = createGpuRayBindGroupLayouts(device);
-    expect(layouts.scene.desc.entries).toHaveLength(8);
+    expect(layouts.scene.desc.entries).toHaveLength(10);
     expect(layouts.scene.desc.entries[7]).toMatchObject({ binding: 7, buffer: { type: 'storage' } });
+    expect(layouts.scene.desc.entries[8]).toMatchObject({ binding: 8, buffer: { type: 'read-only-storage' } });
+    expect(layouts.scene.desc.entries[9]).toMatchObject({ binding: 9, texture: { sampleType: 'unfilterable-float' } });
     expect(layouts.accumulation.desc.entries[1].storageTexture).toEqual({ access: 'write-only', format: ACCUMULATION_FORMAT });
     expect(layouts.tracePipeline.desc.bindGroupLayouts).toEqual([layouts.scene, layouts.accumulation]);
 
@@ -157,11 +177,19 @@ describe('GPU ray resource helpers', () => {
     const sceneResources = createGpuRaySceneResources(device, packed);
     const frameResources = createGpuRayFrameResources(device);
     const targets = createAccumulationTargets(device, 64, 32);
-    const sceneGroup = createGpuRaySceneBindGroup(device, layouts.scene, sceneResources, frameResources);
+    const lightingResources = createGpuRayLightingResources(
+      device, packGpuLighting(null, createCornellBoxScene(), packed.metadata.geometryRanges),
+    );
+    expect(lightingResources.metadata).toMatchObject({ width: 0, lightCount: 2, lightOffset: 0 });
+    const sceneGroup = createGpuRaySceneBindGroup(
+      device, layouts.scene, sceneResources, frameResources, lightingResources,
+    );
     const accumulationGroups = createGpuRayAccumulationBindGroups(device, layouts.accumulation, targets);
     const displayGroups = createGpuRayDisplayBindGroups(device, layouts.display, targets, frameResources);
-    expect(sceneGroup.desc.entries.map((entry) => entry.binding)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(sceneGroup.desc.entries.map((entry) => entry.binding)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
     expect(sceneGroup.desc.entries[3].resource.buffer).toBe(sceneResources.buffers.bvhNodes);
+    expect(sceneGroup.desc.entries[8].resource.buffer).toBe(lightingResources.buffer);
+    expect(sceneGroup.desc.entries[9].resource).toBe(sceneResources.textureAtlas.view);
     expect(accumulationGroups[0].desc.entries[0].resource).toBe(targets.views[0]);
     expect(accumulationGroups[0].desc.entries[1].resource).toBe(targets.views[1]);
     expect(displayGroups[1].desc.entries[0].resource).toBe(targets.views[1]);
@@ -178,7 +206,7 @@ describe('GPU ray resource helpers', () => {
     destroyGpuRayFrameResources(frameResources);
     destroyAccumulationTargets(targets);
     destroyAccumulationTargets(targets);
-    [...Object.values(sceneResources.buffers), frameResources.uniformBuffer, frameResources.diagnosticsBuffer,
+    [...Object.values(sceneResources.buffers), sceneResources.textureAtlas.texture, frameResources.uniformBuffer, frameResources.diagnosticsBuffer,
       frameResources.diagnosticsReadbackBuffer, frameResources.displayUniformBuffer, ...targets.textures]
       .forEach((resource) => expect(resource.destroy).toHaveBeenCalledTimes(1));
   });
@@ -1,22 +1,66 @@
 import { invertMatrix } from '../scripts/engine/matrix.js';
 import { buildAccelerationStructures, updateAccelerationStructures } from '../scripts/engine/raytracing/acceleration/acceleration-structure.js';
 import { createCornellBoxScene } from '../scripts/engine/raytracing/core/cornell-box.js';
+import { createEnvironmentMap } from '../scripts/engine/raytracing/core/environment-map.js';
 import { prepareRayScene } from '../scripts/engine/raytracing/core/ray-scene.js';
+import { shadingMaterial, srgbToLinear } from '../scripts/engine/raytracing/cpu/path-integrator.js';
+import { decodeTextureTransform } from '../scripts/engine/gltf-texture-transform.js';
 import {
   BVH_NODE_OFFSETS, BVH_NODE_SIZE,
   FRAME_FLAG_HAS_TLAS, FRAME_UNIFORM_OFFSETS, FRAME_UNIFORM_SIZE,
-  INSTANCE_OFFSETS, INSTANCE_SIZE, INVALID_INDEX,
-  MATERIAL_OFFSETS, MATERIAL_SIZE,
+  INSTANCE_OFFSETS, INSTANCE_SIZE, INVALID_INDEX, LIGHT_RECORD_WORDS,
+  MATERIAL_FLAG_ALPHA_MASK, MATERIAL_FLAG_THIN_WALLED, MATERIAL_OFFSETS, MATERIAL_SIZE, MAX_TEXTURE_ATLAS_DIMENSION,
   TRIANGLE_OFFSETS, TRIANGLE_SIZE,
   VERTEX_OFFSETS, VERTEX_SIZE,
   packFrameUniforms,
 } from '../scripts/engine/raytracing/gpu/gpu-ray-layout.js';
-import { packGpuScene, repackGpuTlasAndInstances } from '../scripts/engine/raytracing/gpu/gpu-scene-packer.js';
+import {
+  packGpuLighting, packGpuScene, packTextureAtlas, repackGpuMaterials, repackGpuTlasAndInstances,
+} from '../scripts/engine/raytracing/gpu/gpu-scene-packer.js';
 
 function view(buffer) { return new DataView(buffer); }
 function f32(data, offset) { return data.getFloat32(offset, true); }
 function u32(data, offset) { return data.getUint32(offset, true); }
 
+/**
+ * The base colour raytrace.wgsl shades a hit with, step for step from packed
+ * bytes alone: baseColorUv() picks the material's TEXCOORD set and applies its
+ * uv transform, then sampleBaseColor() filters the atlas rectangle.
+ */
+function gpuBaseColor(packed, materialIndex, triangleIndex, barycentric) {
+  const materials = view(packed.buffers.materials);
+  const vertices = view(packed.buffers.vertices);
+  const triangles = view(packed.buffers.triangles);
+  const base = materialIndex * MATERIAL_SIZE;
+  const texCoordOffset = u32(materials, base + MATERIAL_OFFSETS.texCoord) === 1 ? VERTEX_OFFSETS.texCoord1 : VERTEX_OFFSETS.texCoord;
+  const uv = [0, 0];
+  barycentric.forEach((weight, corner) => {
+    const vertex = u32(triangles, triangleIndex * TRIANGLE_SIZE + corner * 4) * VERTEX_SIZE + texCoordOffset;
+    uv[0] += f32(vertices, vertex) * weight;
+    uv[1] += f32(vertices, vertex + 4) * weight;
+  });
+  const [u, v] = [0, 16].map((row) => {
+    const m = [0, 4, 8].map((offset) => f32(materials, base + MATERIAL_OFFSETS.uvTransform + row + offset));
+    return m[0] * uv[0] + m[1] * uv[1] + m[2];
+  });
+  const [x0, y0, width, height] = [0, 4, 8, 12].map((offset) => u32(materials, base + MATERIAL_OFFSETS.textureRect + offset));
+  const { data, width: atlasWidth } = packed.textureAtlas;
+  const x = u * width - 0.5;
+  const y = v * height - 0.5;
+  const fx = x - Math.floor(x);
+  const fy = y - Math.floor(y);
+  const texel = [0, 0, 0, 0];
+  [[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([dx, dy]) => {
+    const weight = (dx ? fx : 1 - fx) * (dy ? fy : 1 - fy);
+    const px = (((Math.floor(x) + dx) % width) + width) % width;
+    const py = (((Math.floor(y) + dy) % height) + height) % height;
+    const offset = ((y0 + py) * atlasWidth + x0 + px) * 4;
+    for (let channel = 0; channel < 4; channel += 1) texel[channel] += (data[offset + channel] / 255) * weight;
+  });
+  const linear = [srgbToLinear(texel[0]), srgbToLinear(texel[1]), srgbToLinear(texel[2]), texel[3]];
+  return linear.map((value, channel) => value * f32(materials, base + MATERIAL_OFFSETS.baseColor + channel * 4));
+}
+
 describe('GPU ray scene packer', () => {
   test('packs unique Cornell geometry and exact vertex/triangle/material fields', () => {
     const scene = createCornellBoxScene();
@@ -36,7 +80,7 @@ describe('GPU ray scene packer', () => {
     expect(f32(vertices, VERTEX_OFFSETS.position + 4)).toBeCloseTo(-0.5);
     expect(f32(vertices, VERTEX_OFFSETS.normal + 8)).toBeCloseTo(1);
     expect(f32(vertices, VERTEX_OFFSETS.texCoord)).toBeCloseTo(0);
-    expect(f32(vertices, 44)).toBe(0);
+    expect([0, 4].map((offset) => u32(vertices, VERTEX_OFFSETS.color + offset))).toEqual([0xffffffff, 0xffffffff]);
 
     const triangles = view(packed.buffers.triangles);
     expect([0,4,8].map((offset) => u32(triangles, TRIANGLE_OFFSETS.i0 + offset))).toEqual([0,1,2]);
@@ -53,6 +97,110 @@ describe('GPU ray scene packer', () => {
     expect(u32(materials, MATERIAL_OFFSETS.textureIndex)).toBe(INVALID_INDEX);
   });
 
+  test('packs vertex colours as clamped unorm16 RGBA', () => {
+    const scene = createCornellBoxScene();
+    const vertexCount = scene.geometries[0].positions.length / 3;
+    const colors = new Float32Array(vertexCount * 4).fill(1);
+    colors.set([0.5, 0, 2, -1]);
+    const packed = packGpuScene(
+      prepareRayScene({ ...scene, geometries: [{ ...scene.geometries[0], colors }, ...scene.geometries.slice(1)] }),
+      buildAccelerationStructures(scene),
+    );
+    const vertices = view(packed.buffers.vertices);
+    expect([0, 2, 4, 6].map((offset) => vertices.getUint16(VERTEX_OFFSETS.color + offset, true)))
+      .toEqual([32768, 0, 65535, 0]);
+  });
+
+  test('flags MASK materials and packs their cutoff beside the surface terms', () => {
+    const scene = createCornellBoxScene();
+    scene.materials[1] = { ...scene.materials[1], alphaMode: 'MASK', alphaCutoff: 0.3 };
+    const packed = packGpuScene(scene, buildAccelerationStructures(scene));
+    const materials = view(packed.buffers.materials);
+    expect(u32(materials, MATERIAL_OFFSETS.flags)).toBe(0);
+    expect(u32(materials, MATERIAL_SIZE + MATERIAL_OFFSETS.flags)).toBe(MATERIAL_FLAG_ALPHA_MASK);
+    expect(f32(materials, MATERIAL_SIZE + MATERIAL_OFFSETS.surface + 8)).toBeCloseTo(0.3);
+  });
+
+  test('packs base-colour images into one atlas and points materials at their rectangles', () => {
+    const scene = createCornellBoxScene();
+    const texels = (width, height, value) => ({ width, height, data: new Uint8Array(width * height * 4).fill(value) });
+    scene.images = [texels(2, 1, 10), null, texels(1, 2, 20)];
+    scene.materials[0] = { ...scene.materials[0], baseColorImageIndex: 0 };
+    scene.materials[1] = { ...scene.materials[1], baseColorImageIndex: 1 };
+    scene.materials[2] = { ...scene.materials[2], baseColorImageIndex: 2 };
+    const packed = packGpuScene(prepareRayScene(scene), buildAccelerationStructures(scene));
+
+    // Tallest first: the 1×2 image opens a 2-wide shelf the 2×1 one overflows.
+    const { textureAtlas } = packed;
+    expect(textureAtlas).toMatchObject({ width: 2, height: 3, rects: [[0, 2, 2, 1], null, [0, 0, 1, 2]] });
+    const texel = (x, y) => textureAtlas.data[(y * textureAtlas.width + x) * 4];
+    expect([texel(0, 0), texel(0, 1), texel(0, 2), texel(1, 2), texel(1, 0)]).toEqual([20, 20, 10, 10, 0]);
+
+    const materials = view(packed.buffers.materials);
+    const rect = (index) => [0, 4, 8, 12].map((offset) => u32(materials, index * MATERIAL_SIZE + MATERIAL_OFFSETS.textureRect + offset));
+    expect(u32(materials, MATERIAL_OFFSETS.textureIndex)).toBe(0);
+    expect(rect(0)).toEqual([0, 2, 2, 1]);
+    // An image without texels leaves its material untextured, as on the CPU.
+    expect(u32(materials, MATERIAL_SIZE + MATERIAL_OFFSETS.textureIndex)).toBe(INVALID_INDEX);
+    expect(rect(2)).toEqual([0, 0, 1, 2]);
+  });
+
+  test('gives the GPU lookup the TEXCOORD set, uv transform and texels the CPU tracer shades with', () => {
+    const scene = createCornellBoxScene();
+    const floor = scene.geometries[0];
+    const vertexCount = floor.positions.length / 3;
+    const texCoords1 = Float32Array.from({ length: vertexCount * 2 }, (_, index) => 0.15 + index * 0.35);
+    scene.geometries[0] = { ...floor, texCoords: new Float32Array(vertexCount * 2).fill(0.5), texCoords1 };
+    const data = Uint8Array.from({ length: 3 * 2 * 4 }, (_, index) => (index * 41) % 256);
+    scene.images = [null, { width: 3, height: 2, data }];
+    const { texCoord, uvTransform } = decodeTextureTransform({
+      texCoord: 1, extensions: { KHR_texture_transform: { offset: [0.25, -0.5], rotation: 0.7, scale: [1.5, 2] } },
+    }, 'floor');
+    scene.materials[0] = {
+      ...scene.materials[0], baseColor: [1, 0.5, 0.25, 0.8],
+      baseColorImageIndex: 1, baseColorTexCoord: texCoord, baseColorUvTransform: uvTransform,
+    };
+    const prepared = prepareRayScene(scene);
+    const packed = packGpuScene(prepared, buildAccelerationStructures(prepared));
+
+    for (const [triangleIndex, barycentric] of [[0, [0.2, 0.3, 0.5]], [1, [0.6, 0.1, 0.3]], [0, [1, 0, 0]]]) {
+      const cpu = shadingMaterial(prepared, { materialIndex: 0, geometryIndex: 0, triangleIndex, barycentric }).baseColor;
+      gpuBaseColor(packed, 0, triangleIndex, barycentric).forEach((value, channel) => expect(value).toBeCloseTo(cpu[channel], 4));
+    }
+    // A geometry without TEXCOORD_1 repeats TEXCOORD_0, as the CPU falls back to it.
+    const vertices = view(packed.buffers.vertices);
+    const cube = packed.metadata.geometryRanges[1].vertexOffset * VERTEX_SIZE;
+    expect(f32(vertices, cube + VERTEX_OFFSETS.texCoord1)).toBe(f32(vertices, cube + VERTEX_OFFSETS.texCoord));
+  });
+
+  test('halves every image when the atlas would outgrow the device-guaranteed size', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const wide = { width: MAX_TEXTURE_ATLAS_DIMENSION * 2, height: 1, data: new Uint8Array(MAX_TEXTURE_ATLAS_DIMENSION * 8) };
+    wide.data.set([0, 0, 0, 0, 200, 100, 50, 255]);
+    const atlas = packTextureAtlas([wide, { width: 2, height: 2, data: new Uint8Array(16).fill(40) }]);
+    expect(atlas.width).toBe(MAX_TEXTURE_ATLAS_DIMENSION);
+    expect(atlas.rects).toEqual([[0, 0, MAX_TEXTURE_ATLAS_DIMENSION, 1], [0, 1, 1, 1]]);
+    expect(Array.from(atlas.data.subarray(0, 4))).toEqual([100, 50, 25, 128]);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/halved 1×/));
+    warn.mockRestore();
+  });
+
+  test('packs volume absorption and transmission and flags thin-walled transmissive materials', () => {
+    const scene = createCornellBoxScene();
+    scene.materials[1] = {
+      ...scene.materials[1], transmission: 0.75, thickness: 1, attenuationColor: [0.5, 1, 1], attenuationDistance: 2,
+    };
+    scene.materials[2] = { ...scene.materials[2], transmission: 1 };
+    const materials = view(packGpuScene(scene, buildAccelerationStructures(scene)).buffers.materials);
+    const volume = MATERIAL_SIZE + MATERIAL_OFFSETS.transmission;
+    expect(f32(materials, volume)).toBeCloseTo(Math.LN2 / 2);
+    expect(f32(materials, volume + 4)).toBe(0);
+    expect(f32(materials, volume + 12)).toBeCloseTo(0.75);
+    expect(u32(materials, MATERIAL_SIZE + MATERIAL_OFFSETS.flags)).toBe(0);
+    expect(u32(materials, 2 * MATERIAL_SIZE + MATERIAL_OFFSETS.flags)).toBe(MATERIAL_FLAG_THIN_WALLED);
+    expect(u32(materials, MATERIAL_OFFSETS.flags)).toBe(0);
+  });
+
   test('packs TLAS first, rebases BLAS nodes/leaves, and shares BLAS roots', () => {
     const scene = createCornellBoxScene();
     const acceleration = buildAccelerationStructures(scene);
@@ -84,9 +232,12 @@ describe('GPU ray scene packer', () => {
         eye: [1,2,3], right: [4,5,6], up: [7,8,9], forward: [10,11,12], tanHalfFovY: 13,
       },
       width: 14, height: 15, sampleIndex: 16, frameSeed: 17,
-      maxBounces: 18, samplesPerFrame: 19, lightType: 'rect', flags: FRAME_FLAG_HAS_TLAS,
+      maxBounces: 18, samplesPerFrame: 19, flags: FRAME_FLAG_HAS_TLAS,
       rayEpsilon: 20, exposure: 21, environmentIntensity: 22, environment: [23,24,25],
-      light: { center: [26,27,28], intensity: 29, u: [30,31,32], v: [33,34,35], color: [36,37,38] },
+      lighting: {
+        lightCount: 26, lightOffset: 27, lightCdfOffset: 28, instanceLightOffset: 29,
+        width: 39, height: 40, conditionalOffset: 41, texelOffset: 42,
+      },
     });
     expect(buffer.byteLength).toBe(FRAME_UNIFORM_SIZE);
     const data = view(buffer);
@@ -95,13 +246,59 @@ describe('GPU ray scene packer', () => {
     expect([0,4,8].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.cameraUp + o))).toEqual([7,8,9]);
     expect([0,4,8,12].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.cameraForward + o))).toEqual([10,11,12,13]);
     expect([0,4,8,12].map((o) => u32(data, FRAME_UNIFORM_OFFSETS.dimensions + o))).toEqual([14,15,16,17]);
-    expect([0,4,8,12].map((o) => u32(data, FRAME_UNIFORM_OFFSETS.renderSettings + o))).toEqual([18,19,2,1]);
+    expect([0,4,8,12].map((o) => u32(data, FRAME_UNIFORM_OFFSETS.renderSettings + o))).toEqual([18,19,0,1]);
     expect([0,4,8].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.numerical + o))).toEqual([20,21,22]);
     expect([0,4,8].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.environment + o))).toEqual([23,24,25]);
-    expect([0,4,8,12].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.lightPosition + o))).toEqual([26,27,28,29]);
-    expect([0,4,8].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.lightU + o))).toEqual([30,31,32]);
-    expect([0,4,8].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.lightV + o))).toEqual([33,34,35]);
-    expect([0,4,8].map((o) => f32(data, FRAME_UNIFORM_OFFSETS.lightColor + o))).toEqual([36,37,38]);
+    expect([0,4,8,12].map((o) => u32(data, FRAME_UNIFORM_OFFSETS.lights + o))).toEqual([26,27,28,29]);
+    expect([0,4,8,12].map((o) => u32(data, FRAME_UNIFORM_OFFSETS.environmentMap + o))).toEqual([39,40,41,42]);
+  });
+
+  test('packs environment CDFs and texels into one float buffer with their offsets', () => {
+    const map = createEnvironmentMap({ width: 3, height: 2, data: new Float32Array(18).map((_, i) => i + 1) });
+    const empty = prepareRayScene({ geometries: [], instances: [], materials: [] });
+    const packed = packGpuLighting(map, empty, []);
+    expect(packed).toMatchObject({ width: 3, height: 2, conditionalOffset: 3, texelOffset: 11, lightCount: 0 });
+    const floats = new Float32Array(packed.buffer);
+    expect(floats).toHaveLength(11 + 24);
+    expect([...floats.subarray(0, 3)]).toEqual([...map.marginalCdf]);
+    expect([...floats.subarray(3, 11)]).toEqual([...map.conditionalCdf]);
+    expect([...floats.subarray(11)]).toEqual([...map.texels]);
+
+    expect(packGpuLighting(null, empty, [])).toMatchObject({ width: 0, height: 0, lightCount: 0 });
+    expect(packGpuLighting(null, empty, []).buffer.byteLength).toBeGreaterThan(0);
+    expect(() => packGpuLighting({ ...map, texels: new Float32Array(4) }, empty, [])).toThrow(/do not match/);
+  });
+
+  test('packs light records, the selection CDF and per-instance triangle-light bases', () => {
+    const cornell = createCornellBoxScene();
+    const scene = prepareRayScene({
+      ...cornell,
+      lights: [{ type: 'spot', position: [0,1.5,0], direction: [0,-1,0], color: [1,1,1], intensity: 4, outerConeAngle: 0.5, range: 3 }],
+    });
+    const { metadata } = packGpuScene(scene, buildAccelerationStructures(scene));
+    const packed = packGpuLighting(null, scene, metadata.geometryRanges);
+    expect(packed).toMatchObject({
+      lightCount: 3, lightOffset: 0, lightCdfOffset: 3 * LIGHT_RECORD_WORDS, instanceLightOffset: 3 * LIGHT_RECORD_WORDS + 4,
+    });
+    const floats = new Float32Array(packed.buffer);
+    const words = new Uint32Array(packed.buffer);
+    expect([...floats.subarray(0, 3)]).toEqual([0,1.5,0]);
+    expect(words[3]).toBe(4);
+    expect(floats[15]).toBeCloseTo(Math.cos(0.5), 6);
+    expect(words[16]).toBe(INVALID_INDEX);
+    expect(floats[19]).toBe(3);
+    expect(floats[LIGHT_RECORD_WORDS + 19]).toBe(0); // triangle lights have no range
+    // The emissive quad's second triangle names its instance and global triangle.
+    const second = 2 * LIGHT_RECORD_WORDS;
+    expect(words[second + 3]).toBe(5);
+    expect(words[second + 16]).toBe(7);
+    expect(words[second + 17]).toBe(metadata.geometryRanges[0].triangleOffset + 1);
+    expect([...floats.subarray(second + 12, second + 15)].map((value) => Math.round(value * 100) / 100)).toEqual([15,14.25,12]);
+    expect([...floats.subarray(packed.lightCdfOffset, packed.lightCdfOffset + 4)])
+      .toEqual([...scene.lightTable.cdf].map(Math.fround));
+    const bases = words.subarray(packed.instanceLightOffset, packed.instanceLightOffset + 8);
+    expect([...bases.subarray(0, 7)].every((base) => base === INVALID_INDEX)).toBe(true);
+    expect((bases[7] + metadata.geometryRanges[0].triangleOffset + 1) >>> 0).toBe(2);
   });
 
   test('repacking a transform changes only TLAS prefixes and instances', () => {
@@ -154,6 +351,32 @@ describe('GPU ray scene packer', () => {
     )).toThrow(/unchanged geometry/);
   });
 
+  test('repacking materials rewrites materials and instance material indices only', () => {
+    const scene = createCornellBoxScene();
+    const acceleration = buildAccelerationStructures(scene);
+    const packed = packGpuScene(scene, acceleration);
+    const originalNodes = new Uint8Array(packed.buffers.bvhNodes).slice();
+    const nextScene = {
+      ...scene,
+      instances: scene.instances.map((instance, index) => (index === 2 ? { ...instance, materialIndex: 3 } : instance)),
+      materials: scene.materials.map((material, index) => (index === 0 ? { ...material, baseColor: [0.5, 0.5, 0.5, 1] } : material)),
+    };
+    const ranges = repackGpuMaterials(packed, nextScene);
+    expect(ranges).toEqual({ materialByteLength: 4 * MATERIAL_SIZE, instanceByteLength: 8 * INSTANCE_SIZE });
+    expect(f32(view(packed.buffers.materials), MATERIAL_OFFSETS.baseColor)).toBeCloseTo(0.5);
+    expect(u32(view(packed.buffers.instances), 2 * INSTANCE_SIZE + INSTANCE_OFFSETS.materialIndex)).toBe(3);
+    expect(new Uint8Array(packed.buffers.bvhNodes)).toEqual(originalNodes);
+    // The repacked materials become the static inputs later TLAS repacks compare against.
+    expect(() => repackGpuTlasAndInstances(packed, nextScene, acceleration)).not.toThrow();
+
+    expect(() => repackGpuMaterials(packed, { ...nextScene, materials: nextScene.materials.slice(1) }))
+      .toThrow(/stable material and instance counts/);
+    expect(() => repackGpuMaterials(packed, {
+      ...nextScene,
+      geometries: scene.geometries.map((geometry) => ({ ...geometry })),
+    })).toThrow(/unchanged geometry/);
+  });
+
   test('empty scenes expose zero logical counts and nonzero allocation metadata', () => {
     const scene = prepareRayScene({ geometries: [], instances: [], materials: [] });
     const packed = packGpuScene(scene, buildAccelerationStructures(scene));
@@ -0,0 +1,55 @@
+import { parseRadianceHdr } from '../scripts/engine/hdr-loader.js';
+
+function encodeHdr(headerLines, pixelBytes) {
+  const header = new TextEncoder().encode(`${headerLines.join('\n')}\n`);
+  const bytes = new Uint8Array(header.length + pixelBytes.length);
+  bytes.set(header, 0);
+  bytes.set(pixelBytes, header.length);
+  return bytes.buffer;
+}
+
+const HEADER = ['#?RADIANCE', 'FORMAT=32-bit_rle_rgbe', ''];
+
+describe('parseRadianceHdr', () => {
+  test('decodes flat RGBE scanlines top row first', () => {
+    // 2x2: (128,64,0,129) = (1, 0.5, 0); a zero exponent is black.
+    const pixels = new Uint8Array([
+      128, 64, 0, 129,   0, 0, 0, 0,
+      128, 128, 128, 130, 128, 0, 0, 128,
+    ]);
+    const image = parseRadianceHdr(encodeHdr([...HEADER, '-Y 2 +X 2'], pixels));
+    expect(image.width).toBe(2);
+    expect(image.height).toBe(2);
+    expect([...image.data]).toEqual([1, 0.5, 0, 0, 0, 0, 2, 2, 2, 0.5, 0, 0]);
+  });
+
+  test('decodes adaptive run-length scanlines and applies EXPOSURE', () => {
+    const width = 8;
+    // Per channel: R is a run of 8, G two literals then a run of 6, B a run, E a run.
+    const scanline = [
+      2, 2, 0, width,
+      128 + 8, 128,
+      2, 64, 32, 128 + 6, 0,
+      128 + 8, 0,
+      128 + 8, 129,
+    ];
+    const image = parseRadianceHdr(encodeHdr(
+      ['#?RADIANCE', 'EXPOSURE=2', 'FORMAT=32-bit_rle_rgbe', '', `-Y 1 +X ${width}`],
+      new Uint8Array(scanline),
+    ));
+    expect(image.width).toBe(width);
+    expect(Array.from(image.data.subarray(0, 6))).toEqual([0.5, 0.25, 0, 0.5, 0.125, 0]);
+    expect(image.data[21]).toBe(0.5);
+    expect(image.data[22]).toBe(0);
+  });
+
+  test('rejects bad magic, pixel formats, orientations and truncated data', () => {
+    const pixel = new Uint8Array([128, 128, 128, 129]);
+    expect(() => parseRadianceHdr(encodeHdr(['P6', '', '-Y 1 +X 1'], pixel))).toThrow(/missing "#\?RADIANCE"/);
+    expect(() => parseRadianceHdr(encodeHdr(['#?RADIANCE', 'FORMAT=32-bit_rle_xyze', '', '-Y 1 +X 1'], pixel)))
+      .toThrow(/Unsupported HDR pixel format "32-bit_rle_xyze"/);
+    expect(() => parseRadianceHdr(encodeHdr([...HEADER, '+Y 1 +X 1'], pixel))).toThrow(/Unsupported HDR orientation/);
+    expect(() => parseRadianceHdr(encodeHdr([...HEADER, '-Y 2 +X 1'], pixel))).toThrow(/truncated/);
+    expect(() => parseRadianceHdr(new Uint8Array(4))).toThrow(/expects an ArrayBuffer/);
+  });
+});
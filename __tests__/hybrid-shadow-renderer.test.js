@@ -156,6 +156,9 @@ describe('HybridShadowRenderer G-buffer foundation', () => {
       .not.toBe(passes[0].pass.setBindGroup.mock.calls.filter((call) => call[0] === 0)[1][1]);
     expect(passes[1].pass.draw).toHaveBeenCalledWith(3);
     expect(device.queue.writeBuffer).toHaveBeenCalledTimes(5); // frame + material per draw, then light
+    const light = device.queue.writeBuffer.mock.calls[4][2];
+    expect([...light.subarray(0, 8)]).toEqual([2, 3, 4, 1, 1, expect.closeTo(0.8), expect.closeTo(0.6), 5]);
+    expect(light[15]).toBe(0); // unlimited range
     expect(renderer.getStats()).toMatchObject({ renderMode: 'hybrid-shadows', triangleCount: 3, instanceCount: 2 });
   });
 
@@ -200,11 +203,16 @@ describe('HybridShadowRenderer G-buffer foundation', () => {
     for (const attachment of [renderer.gbuffer].filter(Boolean)) expect(attachment.destroyed).toBe(true);
   });
 
-  test('validates directional and point light inputs', () => {
+  test('validates directional, point and spot light inputs', () => {
     const { device } = deviceHarness();
     const renderer = new HybridShadowRenderer(device, 'bgra8unorm');
-    expect(() => renderer.setLight({ type: 'spot' })).toThrow(/directional or point/);
+    expect(() => renderer.setLight({ type: 'area' })).toThrow(/directional, point or spot/);
     expect(() => renderer.setLight({ type: 'point' })).toThrow(/point light vector/);
+    expect(() => renderer.setLight({ type: 'spot', position: [0, 1, 0] })).not.toThrow();
+    expect(() => renderer.setLight({ type: 'spot', position: [0, 1, 0], direction: null })).toThrow(/spot light direction/);
+    expect(() => renderer.setLight({ type: 'spot', position: [0, 1, 0], direction: [0, -1, 0], innerConeAngle: 1, outerConeAngle: 0.5 }))
+      .toThrow(/cone angles/);
+    expect(() => renderer.setLight({ type: 'point', position: [0, 1, 0], range: 0 })).toThrow(/range/);
     expect(() => renderer.setLight({ intensity: -1 })).toThrow(/intensity/);
   });
 
@@ -271,6 +279,10 @@ describe('HybridShadowRenderer G-buffer foundation', () => {
     const firstShadow = renderer.drawableStates.get(drawable).shadow;
     const firstBlas = firstShadow.acceleration.blases[0];
     const firstResources = firstShadow.sceneResources;
+    // MASK shadow rays read base-colour alpha from the scene's texture atlas.
+    const sceneBindGroup = device.createBindGroup.mock.calls
+      .map(([desc]) => desc).find((desc) => desc.label === 'Hybrid shadow scene bind group');
+    expect(sceneBindGroup.entries.find((entry) => entry.binding === 7).resource).toBe(firstResources.textureAtlas.view);
 
     frame.sceneState.modelViewMatrix = createIdentityMatrix();
     frame.sceneState.modelViewMatrix[12] = 2;
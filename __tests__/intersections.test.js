@@ -1,9 +1,11 @@
 import { createIdentityMatrix } from '../scripts/engine/matrix.js';
 import { prepareRayScene } from '../scripts/engine/raytracing/core/ray-scene.js';
+import { buildAccelerationStructures } from '../scripts/engine/raytracing/acceleration/acceleration-structure.js';
 import {
   intersectAabb,
   intersectGeometryBruteForce,
   intersectSceneBruteForce,
+  intersectTlas,
   intersectTriangle,
 } from '../scripts/engine/raytracing/acceleration/intersections.js';
 
@@ -131,4 +133,56 @@ describe('ray intersections', () => {
     expect(hit.geometricNormal).toEqual([0,0,-1]);
     expect(hit.shadingNormal).toEqual([0,0,1]);
   });
+
+  test('skips MASK instances whose base-colour alpha falls below the cutoff', () => {
+    const translated = createIdentityMatrix();
+    translated[14] = -1;
+    const scene = prepareRayScene({
+      geometries: [triangleGeometry()],
+      instances: [
+        { id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() },
+        { id: 1, geometryIndex: 0, materialIndex: 1, worldMatrix: translated },
+      ],
+      materials: [
+        { baseColor: [1,1,1,0.3], alphaMode: 'MASK', alphaCutoff: 0.5 },
+        { baseColor: [1,1,1,0.3], alphaMode: 'BLEND' },
+      ],
+    });
+    const ray = { origin: [0,0,2], direction: [0,0,-1] };
+    const acceleration = buildAccelerationStructures(scene);
+    expect(intersectSceneBruteForce(ray, scene, 1e-4, 10).instanceIndex).toBe(1);
+    expect(intersectTlas(ray, scene, acceleration, 1e-4, 10).t).toBeCloseTo(3);
+
+    scene.materials[0].alphaCutoff = 0.25;
+    expect(intersectTlas(ray, scene, acceleration, 1e-4, 10).instanceIndex).toBe(0);
+  });
+
+  test('cuts MASK surfaces out per hit by their base-colour texel and vertex alpha', () => {
+    // Left texel column opaque, right column transparent; u runs with x.
+    const texCoords = new Float32Array([0,0, 1,0, 0.5,1]);
+    const colors = new Float32Array([1,1,1,1, 1,1,1,1, 1,1,1,0]);
+    const scene = prepareRayScene({
+      geometries: [triangleGeometry({ texCoords, colors })],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColor: [1,1,1,1], alphaMode: 'MASK', alphaCutoff: 0.5, baseColorImageIndex: 0 }],
+      images: [{ width: 2, height: 1, data: new Uint8Array([255,255,255,255, 255,255,255,0]) }],
+    });
+    const acceleration = buildAccelerationStructures(scene);
+    const cast = (x, y, anyHit = false) => {
+      const ray = { origin: [x,y,2], direction: [0,0,-1] };
+      const bruteForce = intersectSceneBruteForce(ray, scene, 1e-4, 10, anyHit);
+      const traversed = intersectTlas(ray, scene, acceleration, 1e-4, 10, anyHit);
+      expect(Boolean(traversed)).toBe(Boolean(bruteForce));
+      return Boolean(traversed);
+    };
+    expect(cast(-0.6, -0.9)).toBe(true);
+    expect(cast(0.6, -0.9)).toBe(false);
+    expect(cast(0.6, -0.9, true)).toBe(false);
+    // The top vertex's zero COLOR_0 alpha cuts out the opaque half too.
+    expect(cast(-0.1, 0.8)).toBe(false);
+
+    // Opaque materials ignore the same alpha.
+    scene.materials[0].alphaMode = 'OPAQUE';
+    expect(cast(0.6, -0.9)).toBe(true);
+  });
 });
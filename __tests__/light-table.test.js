@@ -0,0 +1,116 @@
+import { createIdentityMatrix } from '../scripts/engine/matrix.js';
+import {
+  buildLightTable,
+  intersectAnalyticLight,
+  LIGHT_KINDS,
+  lightSelectionProbability,
+  sampleLight,
+  selectLight,
+} from '../scripts/engine/raytracing/core/light-table.js';
+import { createRng } from '../scripts/engine/raytracing/core/random.js';
+import { prepareRayScene } from '../scripts/engine/raytracing/core/ray-scene.js';
+
+function lightScene(lights, extra = {}) {
+  return prepareRayScene({ geometries: [], instances: [], materials: [], lights, ...extra });
+}
+
+function emissiveQuadScene(doubleSided = false) {
+  return prepareRayScene({
+    geometries: [{
+      id: 0, revision: 0,
+      positions: new Float32Array([0,0,0, 1,0,0, 1,1,0, 0,1,0]),
+      normals: new Float32Array([0,0,1, 0,0,1, 0,0,1, 0,0,1]),
+      indices: new Uint32Array([0,1,2, 0,2,3]),
+    }],
+    instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+    materials: [{ emissive: [1,1,1], emissiveStrength: 2, doubleSided }],
+  });
+}
+
+describe('light table', () => {
+  test('selects lights in proportion to power and drops dark ones', () => {
+    const table = lightScene([
+      { type: 'point', position: [0,0,0], color: [1,1,1], intensity: 1 },
+      { type: 'point', position: [0,0,0], color: [1,1,1], intensity: 0 },
+      { type: 'point', position: [1,0,0], color: [1,1,1], intensity: 3 },
+    ]).lightTable;
+    expect(table.lights.map((light) => light.position[0])).toEqual([0, 1]);
+    expect(lightSelectionProbability(table, 0)).toBeCloseTo(0.25, 10);
+    expect(lightSelectionProbability(table, 1)).toBeCloseTo(0.75, 10);
+    expect(selectLight(table, 0.2)).toMatchObject({ index: 0 });
+    expect(selectLight(table, 0.3)).toMatchObject({ index: 1 });
+    expect(selectLight(table, 0.999999).probability).toBeCloseTo(0.75, 10);
+    expect(lightScene([]).lightTable.lights).toHaveLength(0);
+    expect(LIGHT_KINDS.triangle).toBe(5);
+  });
+
+  test('rejects unknown light types and missing vectors', () => {
+    expect(() => lightScene([{ type: 'laser' }])).toThrow(/Light 0.type "laser" is not supported/);
+    expect(() => lightScene([{ type: 'spot', position: [0,0,0] }])).toThrow(/Light 0.direction must contain 3 values/);
+    expect(() => lightScene([{ type: 'sphere', center: [0,0,0], radius: 0 }])).toThrow(/radius must be positive/);
+  });
+
+  test('area-light samples report the density a BSDF ray toward them would see', () => {
+    const scene = lightScene([
+      { type: 'rect', center: [0,2,0], u: [0.5,0,0], v: [0,0,0.25], color: [1,1,1], intensity: 3 },
+      { type: 'sphere', center: [2,1,0], radius: 0.3, color: [1,1,1], intensity: 3 },
+    ]);
+    const rng = createRng(9);
+    for (const light of scene.lightTable.lights) {
+      for (let i = 0; i < 16; i++) {
+        const sample = sampleLight(scene, light, [0,0,0], rng);
+        expect(sample.delta).toBe(false);
+        const reached = intersectAnalyticLight(light, { origin: [0,0,0], direction: sample.direction }, 1e-4, Infinity);
+        expect(reached.distance).toBeCloseTo(sample.distance, 4);
+        expect(reached.pdf).toBeCloseTo(sample.pdf, 3);
+      }
+    }
+    // The rect emits along u × v (down), so it is dark from above.
+    expect(sampleLight(scene, scene.lightTable.lights[0], [0,3,0], rng)).toBeNull();
+  });
+
+  test('spot and directional lights are delta samples with glTF falloff', () => {
+    const scene = lightScene([
+      { type: 'spot', position: [0,2,0], direction: [0,-1,0], color: [1,1,1], intensity: 8,
+        innerConeAngle: 0.2, outerConeAngle: 0.4 },
+      { type: 'directional', direction: [0,-2,0], color: [1,0.5,0.25], intensity: 2 },
+    ]);
+    const [spot, sun] = scene.lightTable.lights;
+    const rng = createRng(3);
+    expect(sampleLight(scene, spot, [0,0,0], rng)).toMatchObject({ distance: 2, radiance: [2,2,2], delta: true });
+    expect(sampleLight(scene, spot, [2,0,0], rng)).toBeNull();
+    expect(sampleLight(scene, sun, [5,5,5], rng)).toEqual({
+      direction: [-0, 1, -0], distance: Infinity, radiance: [2,1,0.5], pdf: 1, delta: true,
+    });
+  });
+
+  test('point and spot ranges fade to zero with the glTF window', () => {
+    const scene = lightScene([{ type: 'point', position: [0,0,0], color: [1,1,1], intensity: 4, range: 2 }]);
+    const [point] = scene.lightTable.lights;
+    const rng = createRng(4);
+    // (1 - (1/2)^4)^2 of the unlimited 4 / 1^2.
+    expect(sampleLight(scene, point, [1,0,0], rng).radiance[0]).toBeCloseTo(4 * (15 / 16) ** 2, 10);
+    expect(sampleLight(scene, point, [2.5,0,0], rng)).toBeNull();
+    expect(lightScene([{ type: 'point', position: [0,0,0] }]).lightTable.lights[0].range).toBe(Infinity);
+    expect(() => lightScene([{ type: 'point', position: [0,0,0], range: 0 }])).toThrow(/range must be positive/);
+  });
+
+  test('emissive triangles become one-sided area lights that follow their instance', () => {
+    const scene = emissiveQuadScene();
+    const table = scene.lightTable;
+    expect(table.lights.map((light) => [light.kind, light.triangleIndex, light.twoSided]))
+      .toEqual([['triangle', 0, false], ['triangle', 1, false]]);
+    expect([...table.instanceLightOffsets]).toEqual([0]);
+    const rng = createRng(5);
+    const sample = sampleLight(scene, table.lights[0], [0.5,0.5,1], rng);
+    expect(sample.radiance).toEqual([2,2,2]);
+    expect(sample.direction[2]).toBeLessThan(0);
+    expect(sampleLight(scene, table.lights[0], [0.5,0.5,-1], rng)).toBeNull();
+    const twoSided = emissiveQuadScene(true);
+    expect(sampleLight(twoSided, twoSided.lightTable.lights[0], [0.5,0.5,-1], rng)).not.toBeNull();
+
+    scene.instances[0].worldMatrix[14] = 5;
+    expect(sampleLight(scene, table.lights[1], [0.5,0.5,6], rng).distance).toBeLessThan(1.5);
+    expect(buildLightTable(scene).lights).toHaveLength(2);
+  });
+});
@@ -6,22 +6,30 @@ const mockCreateUniformBuffer = jest.fn((_device, size) => {
 });
 const mockDefaultTexture = { createView: jest.fn(() => 'default-view'), destroy: jest.fn() };
 const mockDepthTexture = { createView: jest.fn(() => 'depth-view'), destroy: jest.fn() };
+const mockEnvironmentTexture = { createView: jest.fn(() => 'environment-view'), destroy: jest.fn() };
 const mockCreateBindGroup = jest.fn((_device, _pipeline, resources) => ({
   id: `bind-${mockCreateBindGroup.mock.calls.length}`,
   resources,
 }));
 
 jest.mock('../scripts/engine/webgpu-helpers.js', () => ({
-  MATRIX_UNIFORM_SIZE: 128,
-  MATERIAL_UNIFORM_SIZE: 32,
+  MATRIX_UNIFORM_SIZE: 224,
+  MATERIAL_UNIFORM_SIZE: 192,
+  ENVIRONMENT_UNIFORM_SIZE: 224,
+  MAX_PUNCTUAL_LIGHTS: 8,
+  PUNCTUAL_LIGHTS_UNIFORM_SIZE: 528,
   createUniformBuffer: (...args) => mockCreateUniformBuffer(...args),
   createDefaultTexture: jest.fn(() => mockDefaultTexture),
   createSampler: jest.fn(() => ({ sampler: true })),
+  createEnvironmentSampler: jest.fn(() => ({ environmentSampler: true })),
+  createEnvironmentTexture: jest.fn(() => mockEnvironmentTexture),
   createDepthTexture: jest.fn(() => mockDepthTexture),
   createBindGroup: (...args) => mockCreateBindGroup(...args),
 }));
 
-import { getMeshPrimitives, MeshRenderer } from '../scripts/engine/renderers/mesh-renderer.js';
+import {
+  getMeshPrimitives, MATERIAL_UNLIT_FLAG, MATERIAL_VERTEX_COLOR_FLAG, MeshRenderer,
+} from '../scripts/engine/renderers/mesh-renderer.js';
 import { createIdentityMatrix } from '../scripts/engine/matrix.js';
 
 function resource(name) {
@@ -33,6 +41,7 @@ function buffers(prefix) {
     position: resource(`${prefix}-position`),
     normal: resource(`${prefix}-normal`),
     texCoord: resource(`${prefix}-texcoord`),
+    tangent: resource(`${prefix}-tangent`),
     indices: resource(`${prefix}-indices`),
   };
 }
@@ -43,6 +52,12 @@ function translated(x) {
   return matrix;
 }
 
+// Uniform writes made by draws; the per-frame environment and light uniforms are left out.
+function drawWrites(renderer, device) {
+  return device.queue.writeBuffer.mock.calls
+    .filter((call) => call[0] !== renderer.environmentBuffer && call[0] !== renderer.lightsBuffer);
+}
+
 function harness() {
   const pass = {
     setPipeline: jest.fn(),
@@ -88,7 +103,7 @@ describe('MeshRenderer primitive draw contract', () => {
     renderer.record(frame, drawable);
     renderer.record(frame, drawable);
     expect(pass.drawIndexed).toHaveBeenCalledTimes(2);
-    expect(mockCreateUniformBuffer).toHaveBeenCalledTimes(2); // Cached across frames.
+    expect(mockCreateUniformBuffer).toHaveBeenCalledTimes(4); // Environment, lights + one primitive, cached across frames.
   });
 
   test('records two draws with distinct uniforms, materials, and instance transforms', () => {
@@ -110,7 +125,7 @@ describe('MeshRenderer primitive draw contract', () => {
     renderer.prepare(drawable);
     renderer.record(frame, drawable);
 
-    expect(mockCreateUniformBuffer.mock.calls.map((call) => call[1])).toEqual([128, 32, 128, 32]);
+    expect(mockCreateUniformBuffer.mock.calls.map((call) => call[1])).toEqual([224, 528, 224, 192, 224, 192]);
     expect(mockCreateBindGroup).toHaveBeenCalledTimes(2);
     expect(mockCreateBindGroup.mock.calls[0][2].materialBuffer)
       .not.toBe(mockCreateBindGroup.mock.calls[1][2].materialBuffer);
@@ -118,14 +133,282 @@ describe('MeshRenderer primitive draw contract', () => {
     expect(pass.setIndexBuffer.mock.calls.map((call) => call[1])).toEqual(['uint16', 'uint32']);
     expect(pass.drawIndexed.mock.calls.map((call) => call[0])).toEqual([3, 6]);
 
-    const matrixWrites = [device.queue.writeBuffer.mock.calls[0][2], device.queue.writeBuffer.mock.calls[2][2]];
+    const matrixWrites = [drawWrites(renderer, device)[0][2], drawWrites(renderer, device)[2][2]];
     expect(matrixWrites[0][28]).toBeCloseTo(11); // userModel(10) * instance(1)
     expect(matrixWrites[1][28]).toBeCloseTo(12); // userModel(10) * instance(2)
-    const materialWrites = [device.queue.writeBuffer.mock.calls[1][2], device.queue.writeBuffer.mock.calls[3][2]];
+    const materialWrites = [drawWrites(renderer, device)[1][2], drawWrites(renderer, device)[3][2]];
     expect([...materialWrites[0].subarray(0, 4)]).toEqual([1, 0, 0, 1]);
     expect([...materialWrites[1].subarray(0, 4)]).toEqual([0, 1, 0, 1]);
   });
 
+  test('applies the scene-graph node matrix and composites later nodes over earlier ones', () => {
+    const drawable = {
+      kind: 'mesh',
+      primitives: [{
+        buffers: buffers('node'), texture: null, indexCount: 3, indexFormat: 'uint16',
+        material: { baseColor: [1, 1, 1, 1] }, worldMatrix: translated(1), instanceIndex: 0,
+      }],
+    };
+    const { renderer, device, frame } = harness();
+    renderer.record({ ...frame, modelMatrix: translated(100), loadOp: 'load' }, drawable);
+
+    expect(drawWrites(renderer, device)[0][2][28]).toBeCloseTo(111); // user(10) * node(100) * instance(1)
+    const passDescriptor = frame.encoder.beginRenderPass.mock.calls[0][0];
+    expect(passDescriptor.colorAttachments[0].loadOp).toBe('load');
+    expect(passDescriptor.depthStencilAttachment.depthLoadOp).toBe('load');
+  });
+
+  test('keeps uniforms per node when two nodes share one drawable', () => {
+    const drawable = {
+      kind: 'mesh',
+      primitives: [{
+        buffers: buffers('shared'), texture: null, indexCount: 3, indexFormat: 'uint16',
+        material: { baseColor: [1, 1, 1, 1] }, worldMatrix: createIdentityMatrix(), instanceIndex: 0,
+      }],
+    };
+    const { renderer, device, frame, pass } = harness();
+    const recordNodes = () => {
+      renderer.record({ ...frame, modelMatrix: translated(1), nodeId: 1 }, drawable);
+      renderer.record({ ...frame, modelMatrix: translated(2), nodeId: 2, loadOp: 'load' }, drawable);
+    };
+    recordNodes();
+
+    const matrixWrites = drawWrites(renderer, device).filter((call) => call[2].length === 56);
+    expect(matrixWrites[0][0]).not.toBe(matrixWrites[1][0]);
+    expect(matrixWrites.map((call) => call[2][28])).toEqual([11, 12]); // user(10) * node
+    expect(pass.setBindGroup.mock.calls[0][1]).not.toBe(pass.setBindGroup.mock.calls[1][1]);
+
+    // Cached across frames: a second frame allocates nothing new.
+    const created = mockCreateUniformBuffer.mock.calls.length;
+    recordNodes();
+    expect(mockCreateUniformBuffer).toHaveBeenCalledTimes(created);
+
+    const [nodeOneMatrix, nodeOneMaterial] = mockUniformBuffers.slice(2, 4);
+    renderer.releaseNode(drawable, 1);
+    expect(nodeOneMatrix.destroy).toHaveBeenCalledTimes(1);
+    expect(nodeOneMaterial.destroy).toHaveBeenCalledTimes(1);
+    expect(mockUniformBuffers[4].destroy).not.toHaveBeenCalled();
+    expect(drawable.primitives[0].buffers.position.destroy).not.toHaveBeenCalled();
+  });
+
+  test('draws BLEND primitives after opaque ones, back to front, through the blended pipeline', () => {
+    const primitive = (name, z, material) => ({
+      buffers: buffers(name), texture: null, indexCount: 3, indexFormat: 'uint16',
+      material, center: [0, 0, z], worldMatrix: createIdentityMatrix(), instanceIndex: 0,
+    });
+    const drawable = {
+      kind: 'mesh',
+      primitives: [
+        primitive('near-glass', -1, { baseColor: [1, 1, 1, 0.5], alphaMode: 'BLEND' }),
+        primitive('leaf', -2, { baseColor: [0, 1, 0, 1], alphaMode: 'MASK', alphaCutoff: 0.3 }),
+        primitive('far-glass', -5, { baseColor: [1, 1, 1, 0.5], alphaMode: 'BLEND' }),
+      ],
+    };
+    const { renderer, device, frame, pass } = harness();
+    const opaquePipeline = renderer.pipeline;
+    const blendPipeline = { getBindGroupLayout: jest.fn() };
+    renderer.setPipeline(opaquePipeline, blendPipeline);
+    renderer.record(frame, drawable);
+
+    expect(pass.setVertexBuffer.mock.calls.filter((call) => call[0] === 0).map((call) => call[1].name))
+      .toEqual(['leaf-position', 'far-glass-position', 'near-glass-position']);
+    expect(pass.setPipeline.mock.calls.map((call) => call[0])).toEqual([opaquePipeline, blendPipeline]);
+    expect(mockCreateBindGroup.mock.calls.map((call) => call[1]))
+      .toEqual([blendPipeline, opaquePipeline, blendPipeline]);
+
+    const leafMaterial = drawWrites(renderer, device)[3][2];
+    expect(new Uint32Array(leafMaterial.buffer).subarray(4, 6)).toEqual(new Uint32Array([0, 1]));
+    expect(leafMaterial[6]).toBeCloseTo(0.3);
+  });
+
+  test('sorts BLEND primitives of several nodes together, after every node\'s opaque ones', () => {
+    const primitive = (name, z, alphaMode) => ({
+      buffers: buffers(name), texture: null, indexCount: 3, indexFormat: 'uint16',
+      material: { baseColor: [1, 1, 1, 0.5], alphaMode }, center: [0, 0, z],
+      worldMatrix: createIdentityMatrix(), instanceIndex: 0,
+    });
+    const mesh = (name) => ({
+      kind: 'mesh',
+      primitives: [primitive(`${name}-wall`, -1, 'OPAQUE'), primitive(`${name}-glass`, -1, 'BLEND')],
+    });
+    const front = mesh('front');
+    const back = mesh('back');
+    const { renderer, frame, pass } = harness();
+    renderer.setPipeline(renderer.pipeline, { getBindGroupLayout: jest.fn() });
+    frame.sceneState.modelViewMatrix = createIdentityMatrix();
+    const at = (z) => {
+      const matrix = createIdentityMatrix();
+      matrix[14] = z;
+      return matrix;
+    };
+    renderer.recordNodes(frame, [
+      { drawable: front, modelMatrix: at(0), nodeId: 1 },
+      { drawable: back, modelMatrix: at(-10), nodeId: 2 },
+    ]);
+
+    expect(frame.encoder.beginRenderPass).toHaveBeenCalledTimes(1);
+    expect(pass.setVertexBuffer.mock.calls.filter((call) => call[0] === 0).map((call) => call[1].name))
+      .toEqual(['front-wall-position', 'back-wall-position', 'back-glass-position', 'front-glass-position']);
+  });
+
+  test('draws points and lines through their topology pipelines, unlit, and skips them without one', () => {
+    const primitive = (name, mode, unlit) => ({
+      buffers: buffers(name), texture: null, indexCount: 4, indexFormat: 'uint16', mode, unlit,
+      material: { baseColor: [1, 1, 1, 1] }, worldMatrix: createIdentityMatrix(), instanceIndex: 0,
+    });
+    const drawable = {
+      kind: 'mesh',
+      primitives: [primitive('surface', 4, false), primitive('outline', 1, true), primitive('corners', 0, true)],
+    };
+    const { renderer, device, frame, pass } = harness();
+    renderer.record(frame, drawable);
+    expect(pass.drawIndexed).toHaveBeenCalledTimes(1);
+
+    const trianglePipeline = renderer.pipeline;
+    const points = { getBindGroupLayout: jest.fn() };
+    const lines = { getBindGroupLayout: jest.fn() };
+    renderer.setPipeline(trianglePipeline, null, { points, lines });
+    device.queue.writeBuffer.mockClear();
+    renderer.record(frame, drawable);
+    expect(pass.setPipeline.mock.calls.slice(1).map((call) => call[0])).toEqual([trianglePipeline, lines, points]);
+    expect(pass.drawIndexed).toHaveBeenCalledTimes(4);
+    const flags = [1, 3, 5].map((index) => new Uint32Array(drawWrites(renderer, device)[index][2].buffer)[7]);
+    expect(flags).toEqual([0, MATERIAL_UNLIT_FLAG, MATERIAL_UNLIT_FLAG]);
+  });
+
+  test('binds vertex colours at slot 5 and flags them, standing the tangents in without', () => {
+    const colored = { ...buffers('colored'), color: resource('colored-color') };
+    const drawable = {
+      kind: 'mesh',
+      primitives: [colored, buffers('plain')].map((primitiveBuffers) => ({
+        buffers: primitiveBuffers, texture: null, indexCount: 3, indexFormat: 'uint16',
+        material: { baseColor: [1, 1, 1, 1] }, worldMatrix: createIdentityMatrix(), instanceIndex: 0,
+      })),
+    };
+    const { renderer, device, frame, pass } = harness();
+    renderer.record(frame, drawable);
+    expect(pass.setVertexBuffer.mock.calls.filter((call) => call[0] === 5).map((call) => call[1].name))
+      .toEqual(['colored-color', 'plain-tangent']);
+    const flags = [1, 3].map((index) => new Uint32Array(drawWrites(renderer, device)[index][2].buffer)[7]);
+    expect(flags).toEqual([MATERIAL_VERTEX_COLOR_FLAG, 0]);
+
+    renderer.releaseDrawable(drawable);
+    expect(colored.color.destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('packs PBR factors, material maps, the normal matrix and the view-space light', () => {
+    const maps = {
+      normal: { createView: jest.fn(() => 'normal'), destroy: jest.fn() },
+      metallicRoughness: null,
+      occlusion: { createView: jest.fn(() => 'occlusion'), destroy: jest.fn() },
+    };
+    const scaled = createIdentityMatrix();
+    scaled[0] = 2;
+    const drawable = {
+      kind: 'mesh',
+      primitives: [{
+        buffers: buffers('pbr'), texture: null, materialTextures: maps, indexCount: 3, indexFormat: 'uint16',
+        material: {
+          baseColor: [1, 1, 1, 1], emissive: [1, 0.5, 0], emissiveStrength: 4,
+          metallic: 0.25, roughness: 0.75, normalScale: 0.5, occlusionStrength: 0.8,
+          normalTexCoord: 1, normalUvTransform: [2, 0, 0.5, 0, 2, 0.25],
+        },
+        worldMatrix: scaled, instanceIndex: 0,
+      }],
+    };
+    const { renderer, device, frame, pass } = harness();
+    frame.viewMatrix = new Float32Array([0, 0, -1, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1]); // 90° about Y
+    renderer.light = { direction: [0, 0, 2], color: [1, 0.5, 0.5], intensity: 2, ambient: 0.1 };
+    renderer.record(frame, drawable);
+
+    const matrices = drawWrites(renderer, device)[0][2];
+    // A (1, 1, 0) normal under a 2× X scale leans toward Y: (0.5, 1, 0), then turns with the view.
+    const normal = [0, 1, 2].map((row) => matrices[32 + row] + matrices[36 + row]);
+    expect(normal[0]).toBeCloseTo(0);
+    expect(normal[2] / normal[1]).toBeCloseTo(-0.5);
+    expect([...matrices.subarray(48, 51)].map((value) => Math.round(value))).toEqual([1, 0, 0]);
+    expect([...matrices.subarray(52, 56)]).toEqual([2, 1, 1, expect.closeTo(0.1)]);
+
+    const material = drawWrites(renderer, device)[1][2];
+    expect(new Uint32Array(material.buffer)[7]).toBe(1 | 4); // normal + occlusion
+    expect([...material.subarray(8, 12)]).toEqual([1, 0.5, 0, 4]);
+    expect([...material.subarray(12, 16)]).toEqual([0.25, 0.75, 0.5, expect.closeTo(0.8)]);
+    // Base colour keeps untransformed TEXCOORD_0; the normal map reads a scaled, offset TEXCOORD_1.
+    expect([...material.subarray(16, 24)]).toEqual([1, 0, 0, 0, 0, 1, 0, 0]);
+    expect([...material.subarray(24, 32)]).toEqual([2, 0, 0.5, 1, 0, 2, 0.25, 0]);
+
+    const resources = mockCreateBindGroup.mock.calls[0][2];
+    expect(resources).toMatchObject({
+      normalTexture: maps.normal, metallicRoughnessTexture: mockDefaultTexture, occlusionTexture: maps.occlusion,
+    });
+    expect(pass.setVertexBuffer).toHaveBeenCalledWith(3, drawable.primitives[0].buffers.tangent);
+    // Without a second UV set the first one feeds both vertex slots.
+    expect(pass.setVertexBuffer).toHaveBeenCalledWith(4, drawable.primitives[0].buffers.texCoord);
+
+    renderer.releaseDrawable(drawable);
+    expect(maps.normal.destroy).toHaveBeenCalledTimes(1);
+    expect(maps.occlusion.destroy).toHaveBeenCalledTimes(1);
+    expect(mockDefaultTexture.destroy).not.toHaveBeenCalled();
+  });
+
+  test('packs imported punctual lights in view space and switches the default light off', () => {
+    const { renderer, device, frame } = harness();
+    const drawable = { primitives: [{ buffers: buffers('a'), indexCount: 3 }] };
+    const spotMatrix = translated(1);
+    renderer.setLights([
+      {
+        type: 'spot', color: [1, 0.5, 0], intensity: 4, range: 3,
+        innerConeAngle: 0, outerConeAngle: Math.PI / 3, worldMatrix: spotMatrix,
+      },
+      { type: 'directional', color: [1, 1, 1], intensity: 2, range: null, worldMatrix: createIdentityMatrix() },
+    ]);
+    renderer.record(frame, drawable);
+
+    const packed = device.queue.writeBuffer.mock.calls.find((call) => call[0] === renderer.lightsBuffer)[2];
+    expect(new Uint32Array(packed.buffer)[0]).toBe(2);
+    // The user model (translated by 10) carries the lights with the model.
+    expect([...packed.subarray(4, 8)]).toEqual([11, 0, 0, 3]);
+    expect([...packed.subarray(8, 12)]).toEqual([0, 0, -1, 2]);
+    expect([...packed.subarray(12, 15)]).toEqual([4, 2, 0]);
+    expect([...packed.subarray(16, 18)]).toEqual([1, expect.closeTo(0.5)]);
+    expect([...packed.subarray(20, 24)]).toEqual([10, 0, 0, 0]);
+    expect(packed[27]).toBe(0);
+    const matrices = drawWrites(renderer, device)[0][2];
+    expect([...matrices.subarray(52, 56)]).toEqual([0, 0, 0, expect.closeTo(0.3)]);
+    expect(mockCreateBindGroup.mock.calls[0][2].lightsBuffer).toBe(renderer.lightsBuffer);
+
+    renderer.setLights([]);
+    device.queue.writeBuffer.mockClear();
+    renderer.record(frame, drawable);
+    expect(new Uint32Array(device.queue.writeBuffer.mock.calls
+      .find((call) => call[0] === renderer.lightsBuffer)[2].buffer)[0]).toBe(0);
+    expect([...drawWrites(renderer, device)[0][2].subarray(52, 55)]).toEqual([1, 1, 1]);
+  });
+
+  test('binds prefiltered environment lighting and packs its uniform per frame', () => {
+    const { renderer, device, frame } = harness();
+    const drawable = { primitives: [{ buffers: buffers('a'), indexCount: 3 }] };
+    renderer.record(frame, drawable);
+    const disabled = device.queue.writeBuffer.mock.calls.find((call) => call[0] === renderer.environmentBuffer)[2];
+    expect(disabled[52]).toBe(0);
+    expect(mockCreateBindGroup.mock.calls[0][2].environmentTexture).toBe(mockDefaultTexture);
+
+    const irradianceSh = new Float32Array(27).map((_, i) => i);
+    renderer.setEnvironment({ irradianceSh, specularLevels: [{}, {}, {}], intensity: 2 });
+    device.queue.writeBuffer.mockClear();
+    renderer.record(frame, drawable);
+
+    const resources = mockCreateBindGroup.mock.calls[1][2];
+    expect(resources.environmentTexture).toBe(mockEnvironmentTexture);
+    expect(resources.environmentBuffer).toBe(renderer.environmentBuffer);
+    const packed = device.queue.writeBuffer.mock.calls.find((call) => call[0] === renderer.environmentBuffer)[2];
+    expect([...packed.subarray(20, 23)]).toEqual([3, 4, 5]);
+    expect([...packed.subarray(52, 56)]).toEqual([1, 2, 3, 0]);
+
+    renderer.setEnvironment(null);
+    expect(mockEnvironmentTexture.destroy).toHaveBeenCalledTimes(1);
+  });
+
   test('releases shared primitive resources and owned uniforms exactly once', () => {
     const sharedBuffers = buffers('shared');
     const sharedTexture = { createView: jest.fn(), destroy: jest.fn() };
@@ -8,10 +8,13 @@ import {
   ZERO_SEED_FALLBACK,
 } from '../scripts/engine/raytracing/core/random.js';
 import { prepareRayScene } from '../scripts/engine/raytracing/core/ray-scene.js';
+import { createEnvironmentMap } from '../scripts/engine/raytracing/core/environment-map.js';
 import {
   linearRgbToRgba8,
   linearToSrgb,
+  powerHeuristic,
   reinhardToneMap,
+  shadingMaterial,
   srgbToLinear,
   traceSample,
 } from '../scripts/engine/raytracing/cpu/path-integrator.js';
@@ -96,6 +99,93 @@ describe('seeded CPU path integrator', () => {
     )).toEqual([0.1,0.2,0.3]);
   });
 
+  test('a camera ray that escapes returns the environment-map texel scaled by intensity', () => {
+    const data = new Float32Array(4 * 2 * 3).fill(0.5);
+    data.set([3, 2, 1], (1 * 4 + 3) * 3); // Bottom row, last column: -Y, toward -Z.
+    const scene = prepareRayScene({
+      geometries: [], instances: [], materials: [],
+      environment: { color: [0,0,0], map: createEnvironmentMap({ width: 4, height: 2, data }) },
+    });
+    const sample = traceSample(
+      { origin: [0,0,0], direction: [0.3,-0.5,-0.8] },
+      scene, buildAccelerationStructures(scene), createRng(1), { environmentIntensity: 2 },
+    );
+    expect(sample).toEqual([6,4,2]);
+  });
+
+  test('a diffuse plane under a uniform environment map converges to albedo × radiance', () => {
+    const scene = prepareRayScene({
+      geometries: [squareGeometry(0, 2)],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColor: [0.5,0.5,0.5,1] }],
+      environment: {
+        color: [0,0,0],
+        map: createEnvironmentMap({ width: 16, height: 8, data: new Float32Array(16 * 8 * 3).fill(1) }),
+      },
+    });
+    const acceleration = buildAccelerationStructures(scene);
+    const rng = createRng(4242);
+    const samples = 2000;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+      sum += traceSample({ origin: [0,0,1], direction: [0,0,-1] }, scene, acceleration, rng, { maxBounces: 2 })[0];
+    }
+    expect(sum / samples).toBeCloseTo(0.5, 1);
+    expect(powerHeuristic(1, 1)).toBe(0.5);
+    expect(powerHeuristic(3, 1)).toBeCloseTo(0.9, 8);
+    expect(powerHeuristic(0, 0)).toBe(0);
+  });
+
+  test('a mirror floor shows the rect light through the BSDF side of its MIS', () => {
+    const scene = prepareRayScene({
+      geometries: [squareGeometry(0, 2)],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColor: [1,1,1,1], metallic: 1, roughness: 0 }],
+      lights: [{ type: 'rect', center: [-2,0,2], u: [0,0.3,0], v: [0.3,0,0], color: [1,1,1], intensity: 5 }],
+      environment: { color: [0,0,0] },
+    });
+    const acceleration = buildAccelerationStructures(scene);
+    const ray = { origin: [1,0,1], direction: [-Math.SQRT1_2, 0, -Math.SQRT1_2] };
+    const rng = createRng(21);
+    let reflected = 0;
+    for (let i = 0; i < 1024; i++) reflected += traceSample(ray, scene, acceleration, rng, { maxBounces: 2 })[0] / 1024;
+    expect(reflected).toBeCloseTo(5, 1);
+    // Without a continuation only next-event estimation, which rarely lands in the mirror lobe, sees it.
+    expect(traceSample(ray, scene, acceleration, createRng(21), { maxBounces: 1 })[0]).toBeLessThan(0.1);
+  });
+
+  test('attenuates paths through a volume slab by Beer-Lambert absorption', () => {
+    // Two facing quads bound a 1-unit slab: the top faces up, the bottom down.
+    const flipped = createIdentityMatrix();
+    flipped[5] = -1; flipped[10] = -1; flipped[14] = -1;
+    const slab = (attenuationColor) => prepareRayScene({
+      geometries: [squareGeometry(0, 4)],
+      instances: [
+        { id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() },
+        { id: 1, geometryIndex: 0, materialIndex: 0, worldMatrix: flipped },
+      ],
+      materials: [{
+        baseColor: [1,1,1,1], roughness: 0, transmission: 1,
+        thickness: 1, attenuationColor, attenuationDistance: 1,
+      }],
+      environment: { color: [1,1,1] },
+    });
+    const ray = { origin: [0,0,1], direction: [0,0,-1] };
+    const trace = (scene) => {
+      const acceleration = buildAccelerationStructures(scene);
+      const rng = createRng(17);
+      let sum = 0;
+      for (let i = 0; i < 200; i++) sum += traceSample(ray, scene, acceleration, rng, { maxBounces: 3 })[0];
+      return sum / 200;
+    };
+    const clear = trace(slab([1,1,1]));
+    const tinted = trace(slab([0.5,0.5,0.5]));
+    // About 4% reflects at each face; the rest crosses one unit of absorber.
+    expect(clear).toBeGreaterThan(0.9);
+    expect(tinted).toBeCloseTo(0.5, 1);
+    expect(tinted).toBeLessThan(clear * 0.6);
+  });
+
   test('shows primary emission', () => {
     const scene = prepareRayScene({
       geometries: [squareGeometry(0, 1)],
@@ -118,6 +208,109 @@ describe('seeded CPU path integrator', () => {
     expect(blocked[0]).toBeLessThan(visible[0] * 0.01);
   });
 
+  test('point and directional lights add their exact delta contributions', () => {
+    const plane = (lights) => prepareRayScene({
+      geometries: [squareGeometry(0, 4)],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColor: [0.5,0.5,0.5,1] }],
+      lights,
+    });
+    const ray = { origin: [0,0,1], direction: [0,0,-1] };
+    const trace = (scene) => traceSample(ray, scene, buildAccelerationStructures(scene), createRng(3), { maxBounces: 1 })[0];
+    // Close to Lambertian albedo / π × intensity / distance²; the dielectric lobe trades a little of it.
+    expect(trace(plane([{ type: 'point', position: [0,0,2], intensity: 4 }]))).toBeCloseTo(0.5 / Math.PI, 2);
+    // With both lights each is picked half the time and weighted back up.
+    const both = plane([
+      { type: 'point', position: [0,0,2], intensity: 4 },
+      { type: 'directional', direction: [0,0,-1], intensity: 1 },
+    ]);
+    expect(both.lightTable.lights).toHaveLength(2);
+    const acceleration = buildAccelerationStructures(both);
+    const rng = createRng(11);
+    let sum = 0;
+    for (let i = 0; i < 400; i++) sum += traceSample(ray, both, acceleration, rng, { maxBounces: 1 })[0] / 400;
+    expect(sum).toBeCloseTo(0.5 / Math.PI * 2, 1);
+  });
+
+  test('emissive triangles light a floor like the equivalent rect light', () => {
+    const floor = { id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() };
+    // A quad 1 unit up facing down, either as emissive geometry or as a rect light.
+    const facingDown = createIdentityMatrix();
+    facingDown[5] = -1; facingDown[10] = -1; facingDown[14] = 1;
+    const emissive = prepareRayScene({
+      geometries: [squareGeometry(0, 4), squareGeometry(1, 0.5)],
+      instances: [floor, { id: 1, geometryIndex: 1, materialIndex: 1, worldMatrix: facingDown }],
+      materials: [{ baseColor: [0.5,0.5,0.5,1] }, { baseColor: [0,0,0,1], emissive: [1,1,1], emissiveStrength: 3 }],
+    });
+    const rect = prepareRayScene({
+      geometries: [squareGeometry(0, 4)],
+      instances: [floor],
+      materials: [{ baseColor: [0.5,0.5,0.5,1] }],
+      lights: [{ type: 'rect', center: [0,0,1], u: [0.5,0,0], v: [0,-0.5,0], intensity: 3 }],
+    });
+    expect(emissive.lightTable.lights.map((light) => light.kind)).toEqual(['triangle', 'triangle']);
+    const ray = { origin: [0.3,0.2,0.5], direction: [0,0,-1] };
+    const mean = (scene) => {
+      const acceleration = buildAccelerationStructures(scene);
+      const rng = createRng(5);
+      let sum = 0;
+      for (let i = 0; i < 2000; i++) sum += traceSample(ray, scene, acceleration, rng, { maxBounces: 2 })[0] / 2000;
+      return sum;
+    };
+    const fromRect = mean(rect);
+    expect(fromRect).toBeGreaterThan(0.1);
+    expect(mean(emissive) / fromRect).toBeCloseTo(1, 1);
+  });
+
+  test('multiplies the base colour by its bilinearly filtered image at the hit uv', () => {
+    // Left column red, right column blue, both sRGB 255 with half alpha.
+    const image = { width: 2, height: 1, data: new Uint8Array([255,0,0,128, 0,0,255,128]) };
+    const scene = prepareRayScene({
+      geometries: [{ ...squareGeometry(0, 1), texCoords: new Float32Array([0,0, 1,0, 1,1, 0,1]) }],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColor: [0.5, 1, 1, 1], baseColorImageIndex: 0 }, { baseColor: [0.5, 1, 1, 1] }],
+      images: [image],
+    });
+    const hit = (u, materialIndex = 0) => ({
+      materialIndex, geometryIndex: 0, triangleIndex: 0, barycentric: [1 - u, u, 0],
+    });
+    expect(shadingMaterial(scene, hit(0.25)).baseColor).toEqual([0.5, 0, 0, 128 / 255]);
+    expect(shadingMaterial(scene, hit(0.5)).baseColor[0]).toBeCloseTo(0.5 * srgbToLinear(0.5), 8);
+    expect(shadingMaterial(scene, hit(0.5, 1))).toBe(scene.materials[1]);
+
+    // A half-unit offset on the second uv set moves u = 0.25 onto the blue column.
+    const shifted = prepareRayScene({
+      geometries: [{
+        ...squareGeometry(0, 1),
+        texCoords: new Float32Array([0,0, 1,0, 1,1, 0,1]),
+        texCoords1: new Float32Array([0,0, 1,0, 1,1, 0,1]),
+      }],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColorImageIndex: 0, baseColorTexCoord: 1, baseColorUvTransform: [1, 0, 0.5, 0, 1, 0] }],
+      images: [image],
+    });
+    expect(shadingMaterial(shifted, hit(0.25)).baseColor.slice(0, 3)).toEqual([0, 0, 1]);
+
+    // Vertex colours scale the base colour before the image does.
+    const colored = prepareRayScene({
+      geometries: [{
+        ...squareGeometry(0, 1),
+        texCoords: new Float32Array([0,0, 1,0, 1,1, 0,1]),
+        colors: new Float32Array([1,1,1,1, 0,0.5,1,0.5, 1,1,1,1, 1,1,1,1]),
+      }],
+      instances: [{ id: 0, geometryIndex: 0, materialIndex: 0, worldMatrix: createIdentityMatrix() }],
+      materials: [{ baseColor: [0.5, 1, 1, 1] }, { baseColor: [0.5, 1, 1, 1], baseColorImageIndex: 0 }],
+      images: [image],
+    });
+    expect(shadingMaterial(colored, hit(1)).baseColor).toEqual([0, 0.5, 1, 0.5]);
+    expect(shadingMaterial(colored, hit(0.5)).baseColor).toEqual([0.25, 0.75, 1, 0.75]);
+    const texturedColor = shadingMaterial(colored, hit(0.25, 1)).baseColor;
+    expect(texturedColor.slice(0, 3)).toEqual([0.375, 0, 0]);
+    expect(texturedColor[3]).toBeCloseTo(0.875 * 128 / 255, 8);
+    expect(() => prepareRayScene({ geometries: [], instances: [], materials: [], images: [{ width: 2, height: 2, data: new Uint8Array(4) }] }))
+      .toThrow(/Image 0.data must hold width × height RGBA8 texels/);
+  });
+
   test('seeded paths are repeatable, finite, and color conversion is bounded', () => {
     const scene = directLightScene(false);
     const acceleration = buildAccelerationStructures(scene);
@@ -2,7 +2,8 @@ import fs from 'fs';
 import path from 'path';
 import { buildAccelerationStructures } from '../scripts/engine/raytracing/acceleration/acceleration-structure.js';
 import { createCornellBoxScene } from '../scripts/engine/raytracing/core/cornell-box.js';
-import { FRAME_UNIFORM_OFFSETS } from '../scripts/engine/raytracing/gpu/gpu-ray-layout.js';
+import { createEnvironmentMap } from '../scripts/engine/raytracing/core/environment-map.js';
+import { FRAME_FLAG_HAS_ENVIRONMENT_MAP, FRAME_UNIFORM_OFFSETS } from '../scripts/engine/raytracing/gpu/gpu-ray-layout.js';
 import { RayTraceRenderer } from '../scripts/engine/renderers/raytrace-renderer.js';
 
 const shaderSource = fs.readFileSync(path.join(process.cwd(), 'assets/shaders/raytrace.wgsl'), 'utf8');
@@ -120,7 +121,7 @@ describe('RayTraceRenderer', () => {
     expect(renderer.tracePipeline.desc.layout).toBe(renderer.layouts.tracePipeline);
     expect(renderer.displayPipeline.desc.layout).toBe(renderer.layouts.displayPipeline);
     expect(renderer.sceneResources.metadata).toMatchObject({ triangleCount: 14, instanceCount: 8 });
-    expect(renderer.sceneBindGroup.desc.entries).toHaveLength(8);
+    expect(renderer.sceneBindGroup.desc.entries).toHaveLength(10);
   });
 
   test('records compute then display with ceil-divided dispatch dimensions', () => {
@@ -181,6 +182,43 @@ describe('RayTraceRenderer', () => {
     }
   });
 
+  test('uploads a new environment map, rebinds the scene and restarts accumulation', () => {
+    const device = mockDevice();
+    const renderer = new RayTraceRenderer(device, 'bgra8unorm');
+    const drawable = rayDrawable();
+    renderer.setShader(shaderSource);
+    renderer.prepare(drawable);
+    const recorded = frame(8, 8);
+    recorded.frame.device = device;
+    renderer.record(recorded.frame, drawable);
+    renderer.record(recorded.frame, drawable);
+    expect(renderer.getStats().spp).toBe(2);
+    const flatBuffer = renderer.lightingResources.buffer;
+    const flatBindGroup = renderer.sceneBindGroup;
+
+    const map = createEnvironmentMap({ width: 4, height: 2, data: new Float32Array(24).fill(1) });
+    drawable.scene = { ...drawable.scene, environment: { ...drawable.scene.environment, map } };
+    renderer.record(recorded.frame, drawable);
+
+    expect(renderer.getStats().spp).toBe(1);
+    expect(flatBuffer.destroy).toHaveBeenCalledTimes(1);
+    expect(renderer.sceneBindGroup).not.toBe(flatBindGroup);
+    expect(renderer.sceneBindGroup.desc.entries[8].resource.buffer).toBe(renderer.lightingResources.buffer);
+    const frameWrites = device.queue.writeBuffer.mock.calls.filter(([buffer]) => buffer === renderer.frameResources.uniformBuffer);
+    const uniforms = new DataView(frameWrites.at(-1)[2]);
+    expect(uniforms.getUint32(FRAME_UNIFORM_OFFSETS.renderSettings + 12, true) & FRAME_FLAG_HAS_ENVIRONMENT_MAP)
+      .toBe(FRAME_FLAG_HAS_ENVIRONMENT_MAP);
+    expect([0, 4, 8, 12].map((offset) => uniforms.getUint32(FRAME_UNIFORM_OFFSETS.environmentMap + offset, true)))
+      .toEqual([4, 2, 3, 3 + 2 * 5]);
+    // The Cornell box's two emissive ceiling triangles follow the map's tables.
+    const lightOffset = 3 + 2 * 5 + 4 * 2 * 4;
+    expect([0, 4, 8, 12].map((offset) => uniforms.getUint32(FRAME_UNIFORM_OFFSETS.lights + offset, true)))
+      .toEqual([2, lightOffset, lightOffset + 2 * 20, lightOffset + 2 * 20 + 3]);
+
+    renderer.record(recorded.frame, drawable);
+    expect(renderer.getStats().spp).toBe(2);
+  });
+
   test('reads padded rgba16float accumulation into tightly packed float32 values', async () => {
     const device = mockDevice();
     device.queue.submit = jest.fn();
@@ -299,9 +337,19 @@ describe('RayTraceRenderer', () => {
     expect(shaderSource).toMatch(/struct Vertex[\s\S]*position\s*:\s*vec4<f32>[\s\S]*normal\s*:\s*vec4<f32>/);
     expect(shaderSource).toMatch(/struct BvhNode[\s\S]*leftFirst\s*:\s*u32[\s\S]*primitiveCount\s*:\s*u32/);
     expect(shaderSource).toContain('@group(0) @binding(7) var<storage, read_write> diagnostics');
+    expect(shaderSource).toContain('@group(0) @binding(8) var<storage, read> lightingData');
+    expect(shaderSource).toContain('@group(0) @binding(9) var textureAtlas : texture_2d<f32>');
+    expect(shaderSource).toMatch(/struct Material[\s\S]*flags\s*:\s*u32[\s\S]*textureRect\s*:\s*vec4<u32>[\s\S]*uvTransformV\s*:\s*vec4<f32>/);
+    expect(shaderSource).toMatch(/struct Vertex[\s\S]*texCoord\s*:\s*vec2<f32>[\s\S]*texCoord1\s*:\s*vec2<f32>/);
+    expect(shaderSource).toContain('material.baseColor = surfaceBaseColor(material, hit.triangleIndex, hit.barycentric)');
+    expect(shaderSource).toContain('color *= sampleBaseColor(material, baseColorUv(material, triangleIndex, barycentric))');
+    // MASK cut-outs are tested per triangle hit, not per instance.
+    expect(shaderSource).toContain('if (hit.valid == 0u || alphaMaskedOut(materialIndex, hit.triangleIndex, hit.barycentric))');
     expect(shaderSource).toContain('@compute @workgroup_size(8, 8, 1)');
-    expect(shaderSource).toContain('intersectScene(shadowRay, epsilon, distance - epsilon, true)');
-    expect(shaderSource).toContain('fn sampleCosineHemisphere');
+    expect(shaderSource).toContain('intersectScene(shadowRay, epsilon, shadowDistance, true)');
+    expect(shaderSource).toContain('fn sampleBsdf(surface : BsdfSurface, rng : ptr<function, u32>) -> BsdfSample');
+    expect(shaderSource).toContain('fn lightsAlongRay');
+    expect(shaderSource).toContain('fn sampleLight(light : Light, position : vec3<f32>, rng : ptr<function, u32>) -> LightSample');
     expect(shaderSource).toContain('if (bounce >= 2u)');
     expect(shaderSource).toContain('batchSampleSum');
     expect(shaderSource).toContain('fn fs_display');
@@ -54,6 +54,31 @@ describe('ray tracing coordinator', () => {
     expect(modes).toEqual(['raytrace-cpu', 'raster']);
   });
 
+  test('shares one environment map with current and later raster and CPU engines', async () => {
+    const map = { width: 4, height: 2 };
+    const firstRaster = { setEnvironmentMap: jest.fn() };
+    const cpu = {
+      loadCornellBox: jest.fn(() => ({ name: 'Cornell' })),
+      resume: jest.fn(), pause: jest.fn(), destroy: jest.fn(),
+      setEnvironmentMap: jest.fn(),
+    };
+    const coordinator = createRayTracingCoordinator({ cpuCanvas: canvas(), cpuFactory: async () => cpu });
+    coordinator.setRasterEngine(firstRaster);
+    coordinator.setEnvironmentMap(map);
+    expect(firstRaster.setEnvironmentMap).toHaveBeenCalledWith(map);
+
+    await coordinator.loadCornellBox();
+    expect(cpu.setEnvironmentMap).toHaveBeenCalledWith(map);
+    const nextRaster = { setEnvironmentMap: jest.fn() };
+    coordinator.setRasterEngine(nextRaster);
+    expect(nextRaster.setEnvironmentMap).toHaveBeenCalledWith(map);
+
+    coordinator.setEnvironmentMap(null);
+    expect(nextRaster.setEnvironmentMap).toHaveBeenLastCalledWith(null);
+    expect(cpu.setEnvironmentMap).toHaveBeenLastCalledWith(null);
+    coordinator.destroy();
+  });
+
   test('rejects unsupported modes and destroys CPU once', async () => {
     const cpu = { loadCornellBox: jest.fn(() => ({ name: 'Cornell' })), destroy: jest.fn() };
     const coordinator = createRayTracingCoordinator({ cpuCanvas: canvas(), cpuFactory: async () => cpu });
@@ -0,0 +1,82 @@
+import { createSceneGraph, resolveLocalMatrix, ROOT_NODE_ID } from '../scripts/engine/scene-graph.js';
+
+describe('scene graph', () => {
+  test('composes parent and child transforms into world matrices', () => {
+    const graph = createSceneGraph();
+    const parent = graph.addNode({ name: 'parent', translation: [1, 0, 0], scale: [2, 2, 2] });
+    const child = graph.addNode({ name: 'child', parent, translation: [0, 3, 0], drawable: { kind: 'mesh' } });
+
+    const world = graph.getWorldMatrix(child);
+    expect(world[12]).toBeCloseTo(1);
+    expect(world[13]).toBeCloseTo(6);
+    expect(world[0]).toBeCloseTo(2);
+    expect(graph.findNodeByName('child')).toBe(child);
+    expect(graph.listNodes().map((node) => [node.name, node.parentId, node.drawableKind]))
+      .toEqual([['parent', ROOT_NODE_ID, null], ['child', parent, 'mesh']]);
+
+    graph.setNodeTransform(parent, { translation: [5, 0, 0] });
+    expect(graph.getWorldMatrix(child)[12]).toBeCloseTo(5);
+    expect(graph.getWorldMatrix(child)[13]).toBeCloseTo(3);
+  });
+
+  test('lists only drawable nodes in depth-first order', () => {
+    const graph = createSceneGraph();
+    const a = graph.addNode({ name: 'a', drawable: { kind: 'mesh', id: 'a' } });
+    graph.addNode({ name: 'group' });
+    graph.addNode({ name: 'b', parent: a, drawable: { kind: 'splat', id: 'b' } });
+    graph.addNode({ name: 'c', drawable: { kind: 'mesh', id: 'c' } });
+    expect(graph.drawableNodes().map((node) => node.drawable.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('reparents with either local or world transform preserved', () => {
+    const graph = createSceneGraph();
+    const left = graph.addNode({ name: 'left', translation: [-4, 0, 0] });
+    const right = graph.addNode({ name: 'right', translation: [4, 0, 0] });
+    const item = graph.addNode({ name: 'item', parent: left, translation: [1, 0, 0] });
+
+    graph.reparentNode(item, right, { keepWorldTransform: true });
+    expect(graph.getWorldMatrix(item)[12]).toBeCloseTo(-3);
+    graph.reparentNode(item, left);
+    expect(graph.getWorldMatrix(item)[12]).toBeCloseTo(-11);
+    expect(graph.listNodes().find((node) => node.id === left).childIds).toEqual([item]);
+  });
+
+  test('rejects cycles, unknown nodes, and edits to the root', () => {
+    const graph = createSceneGraph();
+    const parent = graph.addNode({ name: 'parent' });
+    const child = graph.addNode({ name: 'child', parent });
+    expect(() => graph.reparentNode(parent, child)).toThrow(/own descendant/);
+    expect(() => graph.reparentNode(parent, parent)).toThrow(/own descendant/);
+    expect(() => graph.addNode({ parent: 99 })).toThrow(/Parent node 99 does not exist/);
+    expect(() => graph.removeNode(ROOT_NODE_ID)).toThrow(/root cannot be removed/);
+    expect(() => graph.setNodeTransform(ROOT_NODE_ID, {})).toThrow(/root transform is fixed/);
+    expect(() => resolveLocalMatrix({ matrix: [1, 2, 3] })).toThrow(/16 finite values/);
+  });
+
+  test('removing a node returns the drawables of its whole subtree', () => {
+    const graph = createSceneGraph();
+    const meshA = { kind: 'mesh' };
+    const splat = { kind: 'splat' };
+    const parent = graph.addNode({ name: 'parent', drawable: meshA });
+    graph.addNode({ name: 'child', parent, drawable: splat });
+    const other = graph.addNode({ name: 'other' });
+
+    expect(graph.removeNode(parent)).toEqual([meshA, splat]);
+    expect(graph.size).toBe(1);
+    expect(graph.hasNode(other)).toBe(true);
+    expect(graph.findNodeByDrawable(splat)).toBeNull();
+  });
+
+  test('swapping a drawable returns the previous one and bumps the revision', () => {
+    const graph = createSceneGraph();
+    const first = { kind: 'mesh' };
+    const second = { kind: 'mesh' };
+    const id = graph.addNode({ drawable: first });
+    const revision = graph.getRevision();
+    expect(graph.setNodeDrawable(id, second)).toBe(first);
+    expect(graph.getNodeDrawable(id)).toBe(second);
+    expect(graph.getRevision()).toBeGreaterThan(revision);
+    expect(graph.clear()).toEqual([second]);
+    expect(graph.size).toBe(0);
+  });
+});
@@ -0,0 +1,160 @@
+import {
+  compressSplatSource,
+  encodeDotSplat,
+  encodeSplatPly,
+  encodeSplatSource,
+  encodeSpz,
+} from '../scripts/engine/splat-export.js';
+import { decompressSplatSource, parseDotSplat, parseSpz } from '../scripts/engine/splat-formats.js';
+import { cloudBounds, parsePly } from '../scripts/engine/ply-loader.js';
+import { createSplatPipeline } from '../scripts/engine/splat-pipeline.js';
+import { cropSplatCloud } from '../scripts/engine/splat-transform.js';
+
+/** Two splats with degree-1 SH, in the parsed layout. */
+function sampleCloud() {
+  const positions = new Float32Array([1, 2, 3, -4, 0.5, -0.25]);
+  const half = Math.SQRT1_2;
+  return {
+    positions,
+    colors: new Float32Array([0.9, 0.5, 0.1, 0.2, 0.4, 0.6]),
+    opacities: new Float32Array([0.25, 0.95]),
+    scales: new Float32Array([0.1, 0.2, 0.3, 0.05, 0.05, 0.5]),
+    rotations: new Float32Array([1, 0, 0, 0, half, 0, half, 0]),
+    count: 2,
+    shCoeffs: new Float32Array([0.1, -0.2, 0.3, 0.4, 0.5, -0.6, 0.7, 0.05, -0.9, 0, 0, 0, 0.25, 0, 0, 0, 0, -0.25]),
+    shDegree: 1,
+    bounds: cloudBounds(positions, 2),
+  };
+}
+
+const near = (actual, expected, digits) => {
+  expect(actual).toHaveLength(expected.length);
+  Array.from(expected).forEach((value, i) => expect(actual[i]).toBeCloseTo(value, digits));
+};
+
+describe('encodeSplatPly', () => {
+  test('writes a binary INRIA PLY that parsePly reads back', () => {
+    const cloud = sampleCloud();
+    const parsed = parsePly(encodeSplatPly(cloud));
+    expect(parsed.count).toBe(2);
+    expect(parsed.shDegree).toBe(1);
+    near(parsed.positions, cloud.positions, 6);
+    near(parsed.colors, cloud.colors, 5);
+    near(parsed.opacities, cloud.opacities, 5);
+    near(parsed.scales, cloud.scales, 6);
+    near(parsed.rotations, cloud.rotations, 6);
+    near(parsed.shCoeffs, cloud.shCoeffs, 6);
+  });
+
+  test('names the standard 3DGS properties, SH channel-major', () => {
+    const text = new TextDecoder().decode(encodeSplatPly(sampleCloud()).slice(0, 2048));
+    const header = text.slice(0, text.indexOf('end_header'));
+    expect(header).toContain('format binary_little_endian 1.0\nelement vertex 2\n');
+    expect(header.match(/property float (\w+)/g).map((line) => line.split(' ')[2])).toEqual([
+      'x', 'y', 'z', 'nx', 'ny', 'nz', 'f_dc_0', 'f_dc_1', 'f_dc_2',
+      ...Array.from({ length: 9 }, (_, n) => `f_rest_${n}`),
+      'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3',
+    ]);
+  });
+
+  test('keeps fully opaque splats finite', () => {
+    const cloud = { ...sampleCloud(), opacities: new Float32Array([1, 0]) };
+    const opacities = parsePly(encodeSplatPly(cloud)).opacities;
+    expect(opacities[0]).toBeCloseTo(1, 5);
+    expect(opacities[1]).toBeCloseTo(0, 5);
+  });
+});
+
+describe('encodeDotSplat', () => {
+  test('writes 32-byte records that parseDotSplat reads back, without SH', () => {
+    const cloud = sampleCloud();
+    const buffer = encodeDotSplat(cloud);
+    expect(buffer.byteLength).toBe(64);
+    const parsed = parseDotSplat(buffer);
+    near(parsed.positions, cloud.positions, 6);
+    near(parsed.scales, cloud.scales, 6);
+    near(parsed.colors, cloud.colors, 2);
+    near(parsed.opacities, cloud.opacities, 2);
+    near(parsed.rotations, cloud.rotations, 2);
+    expect(parsed.shCoeffs).toBeNull();
+  });
+});
+
+describe('encodeSpz', () => {
+  test('writes a version-3 .spz that round-trips through gzip and parseSpz', async () => {
+    const cloud = sampleCloud();
+    const gzipped = await compressSplatSource(encodeSpz(cloud), 'spz');
+    expect(Array.from(new Uint8Array(gzipped, 0, 2))).toEqual([0x1f, 0x8b]);
+
+    const inflated = await decompressSplatSource(gzipped, 'spz');
+    expect(new DataView(inflated).getUint32(4, true)).toBe(3);
+    const parsed = parseSpz(inflated);
+    near(parsed.positions, cloud.positions, 3);
+    near(parsed.colors, cloud.colors, 2);
+    near(parsed.opacities, cloud.opacities, 2);
+    parsed.scales.forEach((scale, i) => expect(Math.abs(Math.log(scale / cloud.scales[i]))).toBeLessThan(1 / 32));
+    near(parsed.rotations, cloud.rotations, 2);
+    expect(parsed.shDegree).toBe(1);
+    near(parsed.shCoeffs, cloud.shCoeffs, 2);
+  });
+
+  test('coarsens fixed point for large scenes and refuses what cannot fit', () => {
+    const wide = { ...sampleCloud(), positions: new Float32Array([5000, 0, 0, -5000, 0, 0]) };
+    const bytes = new Uint8Array(encodeSpz(wide));
+    expect(bytes[13]).toBe(10);
+    near(parseSpz(bytes.buffer).positions, wide.positions, 2);
+
+    const huge = { ...sampleCloud(), positions: new Float32Array([1e8, 0, 0, 0, 0, 0]) };
+    expect(() => encodeSpz(huge)).toThrow(/beyond its 24-bit range/);
+  });
+});
+
+describe('encodeSplatSource', () => {
+  test('dispatches on format and rejects unknown ones', () => {
+    const cloud = sampleCloud();
+    expect(encodeSplatSource(cloud, 'splat').byteLength).toBe(64);
+    expect(parsePly(encodeSplatSource(cloud)).count).toBe(2);
+    expect(() => encodeSplatSource(cloud, 'ksplat')).toThrow(/Unsupported splat format: ksplat/);
+  });
+
+  test('leaves formats other than .spz uncompressed', async () => {
+    const buffer = encodeDotSplat(sampleCloud());
+    await expect(compressSplatSource(buffer, 'splat')).resolves.toBe(buffer);
+  });
+});
+
+describe('cropSplatCloud', () => {
+  test('keeps the splats whose centres fall in the box', () => {
+    const cloud = sampleCloud();
+    const cropped = cropSplatCloud(cloud, { min: [-5, 0, -1], max: [0, 1, 0] });
+    expect(cropped.count).toBe(1);
+    expect(Array.from(cropped.positions)).toEqual([-4, 0.5, -0.25]);
+    near(cropped.shCoeffs, cloud.shCoeffs.slice(9), 6);
+    expect(cropped.bounds.center).toEqual([-4, 0.5, -0.25]);
+    expect(cloud.count).toBe(2);
+  });
+
+  test('rejects a malformed box', () => {
+    expect(() => cropSplatCloud(sampleCloud(), { min: [0, 0], max: [1, 1, 1] })).toThrow(/finite min and max/);
+  });
+});
+
+describe('splat pipeline exportCloud', () => {
+  test('writes the retained cloud as flipped, posed and cropped', () => {
+    const pipeline = createSplatPipeline();
+    expect(() => pipeline.exportCloud('ply')).toThrow(/No splat cloud is loaded to export/);
+
+    const payload = pipeline.load(encodeDotSplat(sampleCloud()), true, 'splat');
+    const { center, radius } = payload.sourceTransform;
+    // Undo the normalization, the way the facade does for an untouched cloud.
+    const matrix = [radius, 0, 0, 0, 0, radius, 0, 0, 0, 0, radius, 0, ...center, 1];
+    const restored = parseDotSplat(pipeline.exportCloud('splat', { matrix }));
+    near(restored.positions, [1, -2, 3, -4, -0.5, -0.25], 4);
+    near(restored.scales, sampleCloud().scales, 5);
+
+    const cropped = parseDotSplat(pipeline.exportCloud('splat', { matrix, crop: { min: [0, -3, 0], max: [2, 0, 4] } }));
+    expect(cropped.count).toBe(1);
+    // Exporting leaves the retained cloud alone.
+    expect(pipeline.setFlip(false).count).toBe(2);
+  });
+});
@@ -0,0 +1,247 @@
+import zlib from 'zlib';
+import {
+  DOT_SPLAT_STRIDE, SPZ_MAGIC, decompressSplatSource, parseDotSplat, parseSplatSource, parseSpz, splatFormatOf,
+} from '../scripts/engine/splat-formats.js';
+import { SH_C0 } from '../scripts/engine/ply-loader.js';
+import { fitShDegree, packShCoeffs, shBytesPerSplat } from '../scripts/engine/splat-helpers.js';
+import { createSplatPipeline } from '../scripts/engine/splat-pipeline.js';
+import { loadAssetFiles } from '../scripts/engine/scene-ops.js';
+
+/** Encodes splats the way antimatter15's converter writes them. */
+function buildDotSplat(splats) {
+  const buffer = new ArrayBuffer(splats.length * DOT_SPLAT_STRIDE);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  splats.forEach((s, i) => {
+    const base = i * DOT_SPLAT_STRIDE;
+    [...s.position, ...s.scale].forEach((v, j) => view.setFloat32(base + j * 4, v, true));
+    bytes.set(s.rgba, base + 24);
+    bytes.set(s.rot, base + 28);
+  });
+  return buffer;
+}
+
+const S0 = { position: [1, 2, 3], scale: [0.5, 1, 2], rgba: [255, 0, 51, 128], rot: [255, 128, 128, 128] };
+const S1 = { position: [-1, -2, -3], scale: [1, 1, 1], rgba: [0, 255, 0, 255], rot: [0, 128, 228, 128] };
+
+describe('parseDotSplat', () => {
+  test('decodes position, linear scale, rgba colour and opacity', () => {
+    const parsed = parseDotSplat(buildDotSplat([S0, S1]));
+    expect(parsed.count).toBe(2);
+    expect(Array.from(parsed.positions)).toEqual([1, 2, 3, -1, -2, -3]);
+    expect(Array.from(parsed.scales)).toEqual([0.5, 1, 2, 1, 1, 1]);
+    expect(parsed.colors[0]).toBeCloseTo(1);
+    expect(parsed.colors[1]).toBeCloseTo(0);
+    expect(parsed.colors[2]).toBeCloseTo(0.2);
+    expect(parsed.opacities[0]).toBeCloseTo(128 / 255);
+    expect(parsed.opacities[1]).toBeCloseTo(1);
+  });
+
+  test('dequantizes rotation as (b - 128) / 128, normalized with qw >= 0', () => {
+    const { rotations } = parseDotSplat(buildDotSplat([S0, S1]));
+    // S0: (127/128, 0, 0, 0) -> identity.
+    expect(Array.from(rotations.slice(0, 4))).toEqual([1, 0, 0, 0]);
+    // S1: (-1, 0, 100/128, 0) -> negated to qw >= 0, then unit length.
+    const len = Math.hypot(1, 100 / 128);
+    const q = Array.from(rotations.slice(4, 8));
+    [1 / len, 0, -(100 / 128) / len, 0].forEach((v, i) => expect(q[i]).toBeCloseTo(v, 6));
+  });
+
+  test('decodes a zero quaternion as identity', () => {
+    const parsed = parseDotSplat(buildDotSplat([{ ...S0, rot: [128, 128, 128, 128] }]));
+    expect(Array.from(parsed.rotations)).toEqual([1, 0, 0, 0]);
+  });
+
+  test('carries no view-dependent colour and bounds the cloud', () => {
+    const parsed = parseDotSplat(buildDotSplat([S0, S1]));
+    expect(parsed.shDegree).toBe(0);
+    expect(parsed.shCoeffs).toBeNull();
+    expect(parsed.bounds.center).toEqual([0, 0, 0]);
+    expect(parsed.bounds.radius).toBeCloseTo(Math.hypot(1, 2, 3));
+  });
+
+  test('rejects a buffer that is not whole 32-byte records', () => {
+    expect(() => parseDotSplat(new ArrayBuffer(40))).toThrow(/not a whole number/);
+  });
+
+  test('parses an empty file as an empty cloud', () => {
+    const parsed = parseDotSplat(new ArrayBuffer(0));
+    expect(parsed.count).toBe(0);
+    expect(parsed.bounds).toBeNull();
+  });
+});
+
+const SH_DIM = { 0: 0, 1: 3, 2: 8, 3: 15 };
+
+/**
+ * Encodes an (uncompressed) .spz body. Each splat gives its raw quantized bytes
+ * except `position`, which is written as float16 (v1) or 24-bit fixed point.
+ */
+function buildSpz(splats, { version = 2, shDegree = 0, fractionalBits = 12 } = {}) {
+  const n = splats.length;
+  const positionBytes = version === 1 ? 6 : 9;
+  const rotationBytes = version >= 3 ? 4 : 3;
+  const shBytes = SH_DIM[shDegree] * 3;
+  const bytes = new Uint8Array(16 + n * (positionBytes + 7 + rotationBytes + shBytes));
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, SPZ_MAGIC, true);
+  view.setUint32(4, version, true);
+  view.setUint32(8, n, true);
+  bytes[12] = shDegree;
+  bytes[13] = fractionalBits;
+  let o = 16;
+  splats.forEach((sp) => sp.position.forEach((p) => {
+    if (version === 1) {
+      view.setUint16(o, sp.half, true); // the caller supplies the float16 bits
+      o += 2;
+    } else {
+      const fixed = Math.round(p * (1 << fractionalBits)) & 0xffffff;
+      bytes.set([fixed & 0xff, (fixed >> 8) & 0xff, fixed >> 16], o);
+      o += 3;
+    }
+  }));
+  splats.forEach((sp) => { bytes[o++] = sp.alpha; });
+  splats.forEach((sp) => { bytes.set(sp.color, o); o += 3; });
+  splats.forEach((sp) => { bytes.set(sp.scale, o); o += 3; });
+  splats.forEach((sp) => {
+    if (version >= 3) view.setUint32(o, sp.rot, true);
+    else bytes.set(sp.rot, o);
+    o += rotationBytes;
+  });
+  splats.forEach((sp) => { bytes.set(sp.sh ?? [], o); o += shBytes; });
+  return bytes.buffer;
+}
+
+const Z0 = {
+  position: [1.5, 2, -0.25], alpha: 51, color: [255, 127.5, 0].map(Math.round), scale: [160, 144, 176],
+  rot: [128, 128, 128], // (x, y, z) ≈ 0 -> identity
+};
+
+describe('parseSpz', () => {
+  test('dequantizes positions, alpha, DC colour and log scales into the PLY frame', () => {
+    const parsed = parseSpz(buildSpz([Z0]));
+    expect(parsed.count).toBe(1);
+    // Right-up-back -> right-down-front: y and z negate.
+    expect(Array.from(parsed.positions)).toEqual([1.5, -2, 0.25]);
+    expect(parsed.opacities[0]).toBeCloseTo(51 / 255);
+    expect(parsed.colors[0]).toBeCloseTo(0.5 + SH_C0 * ((255 / 255 - 0.5) / 0.15), 5);
+    expect(parsed.colors[2]).toBeCloseTo(0.5 + SH_C0 * (-0.5 / 0.15), 5);
+    expect(parsed.scales[0]).toBeCloseTo(Math.exp(0), 6);
+    expect(parsed.scales[1]).toBeCloseTo(Math.exp(-1), 6);
+    expect(parsed.scales[2]).toBeCloseTo(Math.exp(1), 6);
+    expect(parsed.shDegree).toBe(0);
+    expect(parsed.shCoeffs).toBeNull();
+  });
+
+  test('sign-extends negative fixed-point positions', () => {
+    const parsed = parseSpz(buildSpz([{ ...Z0, position: [-3, -0.5, 4] }], { fractionalBits: 10 }));
+    expect(Array.from(parsed.positions)).toEqual([-3, 0.5, -4]);
+  });
+
+  test('reads float16 positions from version 1 files', () => {
+    const parsed = parseSpz(buildSpz([{ ...Z0, position: [0.5, 0.5, 0.5], half: 0x3800 }], { version: 1 }));
+    expect(Array.from(parsed.positions)).toEqual([0.5, -0.5, -0.5]);
+  });
+
+  test('rebuilds w for version 2 rotations and conjugates them into the PLY frame', () => {
+    // xyz = (0.6, 0, 0) -> w = 0.8: a rotation about x survives a 180° x turn.
+    const aboutX = parseSpz(buildSpz([{ ...Z0, rot: [204, 128, 128] }]));
+    const q = Array.from(aboutX.rotations);
+    [0.8, 0.6, 0, 0].forEach((v, i) => expect(q[i]).toBeCloseTo(v, 2));
+    // A rotation about y flips its axis.
+    const aboutY = Array.from(parseSpz(buildSpz([{ ...Z0, rot: [128, 204, 128] }])).rotations);
+    [0.8, 0, -0.6, 0].forEach((v, i) => expect(aboutY[i]).toBeCloseTo(v, 2));
+  });
+
+  test('unpacks version 3 smallest-three rotations', () => {
+    // Largest = w (index 3); x = +max magnitude·√½, y = -max·√½, z = 0.
+    const mask = 511;
+    const packed = ((3 << 30) | (mask << 20) | ((1 << 9 | mask) << 10) | 0) >>> 0;
+    const parsed = parseSpz(buildSpz([{ ...Z0, rot: packed }], { version: 3 }));
+    const q = Array.from(parsed.rotations);
+    const h = Math.SQRT1_2;
+    // (w, x, y, z) = (0, √½, -√½, 0) -> conjugated y: (0, √½, √½, 0).
+    [0, h, h, 0].forEach((v, i) => expect(q[i]).toBeCloseTo(v, 5));
+  });
+
+  test('dequantizes degree-3 SH as coefficient-major rgb, sign-corrected for the frame change', () => {
+    const sh = Array.from({ length: 45 }, (_, n) => (n % 3 === 0 ? 192 : 128));
+    const parsed = parseSpz(buildSpz([{ ...Z0, sh }], { shDegree: 3 }));
+    expect(parsed.shDegree).toBe(3);
+    expect(parsed.shCoeffs).toHaveLength(45);
+    const red = Array.from({ length: 15 }, (_, k) => parsed.shCoeffs[k * 3]);
+    const flipped = new Set([0, 1, 3, 6, 8, 10, 11, 13]);
+    red.forEach((v, k) => expect(v).toBeCloseTo(flipped.has(k) ? -0.5 : 0.5));
+    expect(parsed.shCoeffs[1]).toBeCloseTo(0);
+  });
+
+  test('rejects bad magic, unknown versions, truncated bodies and still-compressed input', () => {
+    const good = buildSpz([Z0]);
+    const badMagic = good.slice(0);
+    new DataView(badMagic).setUint32(0, 0, true);
+    expect(() => parseSpz(badMagic)).toThrow(/NGSP/);
+    const v9 = good.slice(0);
+    new DataView(v9).setUint32(4, 9, true);
+    expect(() => parseSpz(v9)).toThrow(/version 9/);
+    expect(() => parseSpz(good.slice(0, good.byteLength - 1))).toThrow(/shorter/);
+    const gz = zlib.gzipSync(new Uint8Array(good));
+    expect(() => parseSpz(gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length))).toThrow(/gzip/);
+  });
+});
+
+describe('decompressSplatSource', () => {
+  test('gunzips .spz and passes other formats through', async () => {
+    const raw = buildSpz([Z0]);
+    const gz = zlib.gzipSync(new Uint8Array(raw));
+    const compressed = gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length);
+
+    const inflated = await decompressSplatSource(compressed, 'spz');
+    expect(new Uint8Array(inflated)).toEqual(new Uint8Array(raw));
+    expect(await decompressSplatSource(raw, 'spz')).toBe(raw);
+    expect(await decompressSplatSource(compressed, 'ply')).toBe(compressed);
+  });
+
+  test('yields an SH degree fitShDegree can still reduce', async () => {
+    const gz = zlib.gzipSync(new Uint8Array(buildSpz([Z0, Z0], { shDegree: 3 })));
+    const bytes = await decompressSplatSource(gz.buffer.slice(gz.byteOffset, gz.byteOffset + gz.length), 'spz');
+    const payload = createSplatPipeline().load(bytes, true, 'spz');
+    expect(payload.shDegree).toBe(3);
+
+    const degree = fitShDegree(payload.shDegree, payload.count, payload.count * shBytesPerSplat(1));
+    expect(degree).toBe(1);
+    const fitted = packShCoeffs(payload.shCoeffs, payload.count, payload.shDegree, degree);
+    expect(fitted).toHaveLength(payload.count * 9);
+  });
+});
+
+describe('splatFormatOf', () => {
+  test('maps splat extensions case-insensitively', () => {
+    expect(splatFormatOf('garden.splat')).toBe('splat');
+    expect(splatFormatOf('scans/Garden.SPLAT')).toBe('splat');
+    expect(splatFormatOf('point_cloud.ply')).toBe('ply');
+    expect(splatFormatOf('capture.spz')).toBe('spz');
+    expect(splatFormatOf('model.gltf')).toBeNull();
+    expect(splatFormatOf('splat')).toBeNull();
+  });
+});
+
+describe('parseSplatSource', () => {
+  test('dispatches on the format and rejects unknown ones', () => {
+    const buffer = buildDotSplat([S0]);
+    expect(parseSplatSource(buffer, 'splat').positions).toEqual(parseDotSplat(buffer).positions);
+    expect(() => parseSplatSource(buffer, 'ksplat')).toThrow(/Unsupported splat format: ksplat/);
+  });
+});
+
+describe('loadAssetFiles', () => {
+  test('routes a .splat file to the splat loader with its format', async () => {
+    const buffer = buildDotSplat([S0]);
+    const drawable = { kind: 'splat', bounds: null };
+    const engine = { loadSplats: jest.fn(async () => drawable), camera: null };
+    const file = { name: 'garden.splat', arrayBuffer: async () => buffer };
+
+    const result = await loadAssetFiles({ engine, files: [file], flipY: false });
+    expect(result).toEqual({ kind: 'splat', drawable });
+    expect(engine.loadSplats).toHaveBeenCalledWith(buffer, { flipY: false, alongside: false, format: 'splat' });
+  });
+});
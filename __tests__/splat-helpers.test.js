@@ -117,6 +117,14 @@ describe('GPU resource helpers (mocked device)', () => {
     expect(desc.fragment.targets[0].format).toBe('bgra8unorm');
   });
 
+  test('createSplatRenderPipeline depth-tests read-only against a shared attachment', () => {
+    createSplatRenderPipeline(device, 'WGSL', 'bgra8unorm', { depthFormat: 'depth24plus' });
+    createSplatDebugPipeline(device, 'WGSL', 'bgra8unorm', { depthFormat: 'depth24plus' });
+    for (const desc of pipelines) {
+      expect(desc.depthStencil).toEqual({ format: 'depth24plus', depthWriteEnabled: false, depthCompare: 'less-equal' });
+    }
+  });
+
   test('createSplatDebugPipeline is a point-list with no blend', () => {
     createSplatDebugPipeline(device, 'WGSL', 'bgra8unorm');
     const desc = pipelines[0];
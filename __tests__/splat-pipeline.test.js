@@ -1,6 +1,7 @@
 import { createSplatPipeline, payloadTransferables } from '../scripts/engine/splat-pipeline.js';
 import { parsePly, mirrorYInPlace, normalizeInPlace } from '../scripts/engine/ply-loader.js';
 import { packSplats } from '../scripts/engine/splat-helpers.js';
+import { parseDotSplat } from '../scripts/engine/splat-formats.js';
 
 const PROPS = [
   'x', 'y', 'z',
@@ -85,6 +86,22 @@ describe('createSplatPipeline', () => {
     expect(Array.from(back.packed)).toEqual(Array.from(unflipped.packed));
   });
 
+  test('load parses a .splat buffer when told its format', () => {
+    const splat = new ArrayBuffer(64);
+    const view = new DataView(splat);
+    [1, 2, 3, 0.1, 0.2, 0.3].forEach((v, i) => view.setFloat32(i * 4, v, true));
+    [-1, -2, -3, 0.3, 0.2, 0.1].forEach((v, i) => view.setFloat32(32 + i * 4, v, true));
+    new Uint8Array(splat).set([200, 100, 50, 255, 255, 128, 128, 128], 24);
+    new Uint8Array(splat).set([10, 20, 30, 40, 128, 255, 128, 128], 56);
+
+    const payload = createSplatPipeline().load(splat.slice(0), true, 'splat');
+    const expected = normalizeInPlace(mirrorYInPlace(parseDotSplat(splat)));
+    expect(payload.count).toBe(2);
+    expect(payload.shDegree).toBe(0);
+    expect(payload.shCoeffs).toBeNull();
+    expect(Array.from(payload.packed)).toEqual(Array.from(packSplats(expected)));
+  });
+
   test('setFlip returns null when the flip state is unchanged', () => {
     const pipeline = createSplatPipeline();
     pipeline.load(buildPly([V0]), true);
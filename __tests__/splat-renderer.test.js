@@ -0,0 +1,153 @@
+import { SplatRenderer } from '../scripts/engine/renderers/splat-renderer.js';
+import { createIdentityMatrix } from '../scripts/engine/matrix.js';
+
+function trackedResource(desc = {}) {
+  const resource = {
+    desc,
+    destroy: jest.fn(),
+    createView: jest.fn(() => ({ view: resource })),
+  };
+  return resource;
+}
+
+function deviceHarness() {
+  const buffers = [];
+  // writeBuffer copies at call time; keep a copy, as renderers reuse scratch arrays.
+  const writes = [];
+  const device = {
+    queue: { writeBuffer: jest.fn((buffer, _offset, data) => writes.push([buffer, data.slice(0)])) },
+    createBuffer: jest.fn((desc) => {
+      const buffer = trackedResource(desc);
+      buffers.push(buffer);
+      return buffer;
+    }),
+    createTexture: jest.fn((desc) => trackedResource(desc)),
+    createBindGroupLayout: jest.fn((desc) => ({ desc })),
+    createPipelineLayout: jest.fn((desc) => ({ desc })),
+    createBindGroup: jest.fn((desc) => ({ desc })),
+    createShaderModule: jest.fn((desc) => ({ desc })),
+    createRenderPipeline: jest.fn((desc) => ({ desc, getBindGroupLayout: () => ({ render: true }) })),
+    createComputePipeline: jest.fn((desc) => ({
+      entryPoint: desc.compute.entryPoint,
+      getBindGroupLayout: () => ({ entryPoint: desc.compute.entryPoint }),
+    })),
+  };
+  return { device, buffers, writes };
+}
+
+function encoderHarness() {
+  const computePass = () => ({
+    setPipeline: jest.fn(), setBindGroup: jest.fn(), dispatchWorkgroups: jest.fn(), end: jest.fn(),
+  });
+  const renderPasses = [];
+  const encoder = {
+    beginComputePass: jest.fn(() => computePass()),
+    beginRenderPass: jest.fn((desc) => {
+      const pass = {
+        desc, setPipeline: jest.fn(), setBindGroup: jest.fn(), draw: jest.fn(), drawIndirect: jest.fn(), end: jest.fn(),
+      };
+      renderPasses.push(pass);
+      return pass;
+    }),
+  };
+  return { encoder, renderPasses };
+}
+
+function splatDrawable(count = 1000) {
+  return {
+    kind: 'splat',
+    count,
+    shDegree: 0,
+    storageBuffer: trackedResource({ name: 'splats' }),
+    shBuffer: trackedResource({ name: 'sh' }),
+  };
+}
+
+function translated(x) {
+  const matrix = createIdentityMatrix();
+  matrix[12] = x;
+  return matrix;
+}
+
+function setup() {
+  const { device, buffers, writes } = deviceHarness();
+  const renderer = new SplatRenderer(device, 'bgra8unorm');
+  renderer.init();
+  renderer.setShaders('splat', 'sort', 'cull', 'radix');
+  return { device, buffers, writes, renderer };
+}
+
+/** Records one frame drawing `drawable` through nodes 1 and 2. */
+function recordTwoNodes(device, renderer, drawable) {
+  const { encoder, renderPasses } = encoderHarness();
+  const frame = {
+    device,
+    encoder,
+    targetView: { target: true },
+    camera: { getPosition: () => [0, 0, 5] },
+    viewMatrix: createIdentityMatrix(),
+    projectionMatrix: createIdentityMatrix(),
+    width: 100,
+    height: 40,
+    depthView: { depth: true },
+  };
+  renderer.record({ ...frame, modelMatrix: translated(1), nodeId: 1, loadOp: 'clear' }, drawable);
+  renderer.record({ ...frame, modelMatrix: translated(2), nodeId: 2, loadOp: 'load' }, drawable);
+  return renderPasses;
+}
+
+const boundBuffer = (pass, binding) => pass.setBindGroup.mock.calls[0][1].desc.entries
+  .find((entry) => entry.binding === binding).resource.buffer;
+
+describe('SplatRenderer', () => {
+  beforeEach(() => {
+    global.GPUBufferUsage = { STORAGE: 0x80, COPY_DST: 0x08, COPY_SRC: 0x04, UNIFORM: 0x40, INDIRECT: 0x100 };
+    global.GPUShaderStage = { COMPUTE: 0x04 };
+  });
+
+  test('sorts and draws a cloud shared by two nodes from state of their own', () => {
+    const { device, buffers, writes, renderer } = setup();
+    const drawable = splatDrawable();
+    const [first, second] = recordTwoNodes(device, renderer, drawable);
+
+    // Neither node's record tears down the other's sort buffers.
+    expect(buffers.every((buffer) => buffer.destroy.mock.calls.length === 0)).toBe(true);
+    const params = [boundBuffer(first, 0), boundBuffer(second, 0)];
+    expect(params[0]).not.toBe(params[1]);
+    expect(boundBuffer(first, 2)).not.toBe(boundBuffer(second, 2));
+
+    // Each node's view (view × node matrix) reaches its own params buffer.
+    const viewX = (buffer) => writes.find(([target]) => target === buffer)[1][16 + 12];
+    expect(params.map(viewX)).toEqual([1, 2]);
+
+    // Slots persist: the next frame allocates nothing and rebinds the same groups.
+    const allocated = buffers.length;
+    const [again] = recordTwoNodes(device, renderer, drawable);
+    expect(buffers).toHaveLength(allocated);
+    expect(again.setBindGroup.mock.calls[0][1]).toBe(first.setBindGroup.mock.calls[0][1]);
+  });
+
+  test('swaps every node to the new sort backend and releases nodes independently', () => {
+    const { device, buffers, renderer } = setup();
+    const drawable = splatDrawable();
+    recordTwoNodes(device, renderer, drawable);
+    const bitonicBuffers = [...buffers];
+
+    renderer.setSort('radix');
+    expect(bitonicBuffers.filter((buffer) => buffer.desc.usage & GPUBufferUsage.STORAGE)
+      .every((buffer) => buffer.destroy.mock.calls.length === 1)).toBe(true);
+    const [first, second] = recordTwoNodes(device, renderer, drawable);
+    const radixIndices = [boundBuffer(first, 2), boundBuffer(second, 2)];
+    expect(radixIndices[0]).not.toBe(radixIndices[1]);
+
+    renderer.releaseNode(drawable, 1);
+    expect(radixIndices[0].destroy).toHaveBeenCalledTimes(1);
+    expect(radixIndices[1].destroy).not.toHaveBeenCalled();
+    expect(drawable.storageBuffer.destroy).not.toHaveBeenCalled();
+
+    renderer.releaseDrawable(drawable);
+    expect(radixIndices[1].destroy).toHaveBeenCalledTimes(1);
+    expect(drawable.storageBuffer.destroy).toHaveBeenCalledTimes(1);
+    expect(buffers.every((buffer) => buffer.destroy.mock.calls.length === 1)).toBe(true);
+  });
+});
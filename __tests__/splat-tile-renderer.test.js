@@ -0,0 +1,250 @@
+import { SplatTileRenderer } from '../scripts/engine/renderers/splat-tile-renderer.js';
+import { BLOCK_SIZE, RADIX_PASSES } from '../scripts/engine/ordering/radix-reference.js';
+import { createIdentityMatrix } from '../scripts/engine/matrix.js';
+import { TILE_DUPLICATION, grownTileCapacity, tileCapacity, tileGrid } from '../scripts/engine/splat-tiles.js';
+
+function trackedResource(desc = {}) {
+  const resource = {
+    desc,
+    destroy: jest.fn(),
+    createView: jest.fn(() => ({ view: resource })),
+    // Readback buffers: `mapped` holds what the next map returns.
+    mapped: new Uint32Array(1),
+    mapAsync: jest.fn(async () => {}),
+    getMappedRange: jest.fn(() => resource.mapped.buffer),
+    unmap: jest.fn(),
+  };
+  return resource;
+}
+
+function deviceHarness() {
+  const buffers = [];
+  const device = {
+    limits: { maxStorageBufferBindingSize: 1 << 27, maxBufferSize: 1 << 28 },
+    queue: { writeBuffer: jest.fn() },
+    createBuffer: jest.fn((desc) => {
+      const buffer = trackedResource(desc);
+      buffers.push(buffer);
+      return buffer;
+    }),
+    createTexture: jest.fn((desc) => trackedResource(desc)),
+    createBindGroupLayout: jest.fn((desc) => ({ desc })),
+    createPipelineLayout: jest.fn((desc) => ({ desc })),
+    createBindGroup: jest.fn((desc) => ({ desc })),
+    createShaderModule: jest.fn((desc) => ({ desc })),
+    createRenderPipeline: jest.fn((desc) => ({ desc, getBindGroupLayout: () => ({ blit: true }) })),
+    createComputePipeline: jest.fn((desc) => ({
+      entryPoint: desc.compute.entryPoint,
+      getBindGroupLayout: () => ({ entryPoint: desc.compute.entryPoint }),
+    })),
+  };
+  return { device, buffers };
+}
+
+function encoderHarness() {
+  const log = [];
+  const computePass = () => {
+    let pipeline = null;
+    return {
+      setPipeline: jest.fn((p) => { pipeline = p; }),
+      setBindGroup: jest.fn(),
+      dispatchWorkgroups: jest.fn((x, y = 1) => log.push(['dispatch', pipeline.entryPoint, x, y])),
+      end: jest.fn(),
+    };
+  };
+  const renderPasses = [];
+  const encoder = {
+    clearBuffer: jest.fn((buffer) => log.push(['clear', buffer])),
+    copyBufferToBuffer: jest.fn((source, sourceOffset, target) => log.push(['copy', source, sourceOffset, target])),
+    beginComputePass: jest.fn(() => computePass()),
+    beginRenderPass: jest.fn((desc) => {
+      const pass = { desc, setPipeline: jest.fn(), setBindGroup: jest.fn(), draw: jest.fn(), end: jest.fn() };
+      renderPasses.push(pass);
+      return pass;
+    }),
+  };
+  return { encoder, log, renderPasses };
+}
+
+function splatDrawable(count = 5000) {
+  return {
+    kind: 'splat',
+    count,
+    shDegree: 1,
+    storageBuffer: trackedResource({ name: 'splats' }),
+    shBuffer: trackedResource({ name: 'sh' }),
+  };
+}
+
+function setup() {
+  const { device, buffers } = deviceHarness();
+  const renderer = new SplatTileRenderer(device, 'bgra8unorm');
+  renderer.init();
+  renderer.setShaders('blit', 'tile', 'radix');
+  return { device, buffers, renderer };
+}
+
+const slotOf = (renderer, drawable, nodeId = null) => renderer.slots.get(drawable).get(nodeId);
+
+function frameFor(device, encoder, overrides = {}) {
+  return {
+    device,
+    encoder,
+    targetView: { target: true },
+    camera: { getPosition: () => [0, 0, 5] },
+    viewMatrix: createIdentityMatrix(),
+    projectionMatrix: createIdentityMatrix(),
+    width: 100,
+    height: 40,
+    loadOp: 'clear',
+    depthView: null,
+    ...overrides,
+  };
+}
+
+/** A node's tile-params uniform as last uploaded, viewed as u32. */
+function lastParams(device, slot) {
+  const call = device.queue.writeBuffer.mock.calls.filter(([buffer]) => buffer === slot.paramsBuffer).at(-1);
+  return new Uint32Array(call[2].buffer.slice(0));
+}
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('SplatTileRenderer', () => {
+  beforeEach(() => {
+    global.GPUBufferUsage = { MAP_READ: 0x01, COPY_SRC: 0x04, STORAGE: 0x80, COPY_DST: 0x08, UNIFORM: 0x40 };
+    global.GPUMapMode = { READ: 0x01 };
+    global.GPUTextureUsage = { RENDER_ATTACHMENT: 0x10, TEXTURE_BINDING: 0x04, STORAGE_BINDING: 0x08 };
+    global.GPUShaderStage = { COMPUTE: 0x04 };
+  });
+
+  test('sizes the key and value buffers for both radix halves of the tile capacity', () => {
+    const { device, buffers, renderer } = setup();
+    const drawable = splatDrawable();
+    renderer.record(frameFor(device, encoderHarness().encoder), drawable);
+
+    const capacity = tileCapacity(drawable.count * TILE_DUPLICATION, device.limits);
+    expect(capacity % BLOCK_SIZE).toBe(0);
+    const sizes = buffers.map((buffer) => buffer.desc.size);
+    expect(sizes.filter((size) => size === capacity * 8)).toHaveLength(2);
+    expect(sizes).toContain(drawable.count * 48); // projected splats
+  });
+
+  test('records preprocess, scan, duplicate, radix, ranges and composite, then blits over the frame', () => {
+    const { device, renderer } = setup();
+    const drawable = splatDrawable();
+    const { encoder, log, renderPasses } = encoderHarness();
+    renderer.record(frameFor(device, encoder), drawable);
+
+    const grid = tileGrid(100, 40);
+    const capacity = tileCapacity(drawable.count * TILE_DUPLICATION, device.limits);
+    const stages = log.filter(([kind]) => kind === 'dispatch').map(([, entry]) => entry);
+    expect(stages.slice(0, 4)).toEqual(['preprocess', 'scan_blocks', 'scan_block_sums', 'duplicate']);
+    expect(stages.filter((entry) => entry === 'scatter')).toHaveLength(RADIX_PASSES);
+    expect(stages.slice(-2)).toEqual(['identify_ranges', 'composite']);
+    expect(log.find(([, entry]) => entry === 'composite').slice(2)).toEqual([grid.tilesX, grid.tilesY]);
+    expect(log.find(([, entry]) => entry === 'histogram')[2]).toBe(capacity / BLOCK_SIZE);
+
+    // Key slots and tile ranges are cleared before anything writes them.
+    expect(log.slice(0, 2).map(([kind]) => kind)).toEqual(['clear', 'clear']);
+
+    // The scan total is copied out after the scan, for readback().
+    const slot = slotOf(renderer, drawable);
+    expect(log.find(([kind]) => kind === 'copy')).toEqual(['copy', slot.res.blockSums, slot.res.scanBlocks * 4, slot.totalBuffer]);
+
+    const params = lastParams(device, slot);
+    expect(Array.from(params.slice(40, 47))).toEqual([
+      drawable.count, grid.tilesX, grid.tilesY, grid.tileBits, grid.depthBits, capacity, 0,
+    ]);
+
+    expect(renderPasses).toHaveLength(1);
+    const [blit] = renderPasses;
+    expect(blit.desc.colorAttachments[0].loadOp).toBe('clear');
+    expect(blit.desc.depthStencilAttachment.depthLoadOp).toBe('clear');
+    expect(blit.draw).toHaveBeenCalledWith(3);
+  });
+
+  test('tests splats against mesh depth only when an earlier pass drew it', () => {
+    const { device, renderer } = setup();
+    const drawable = splatDrawable();
+    const depthView = { depth: true };
+
+    const first = encoderHarness();
+    renderer.record(frameFor(device, first.encoder, { depthView, loadOp: 'clear' }), drawable);
+    expect(lastParams(device, slotOf(renderer, drawable))[46]).toBe(0);
+
+    const second = encoderHarness();
+    renderer.record(frameFor(device, second.encoder, { depthView, loadOp: 'load' }), drawable);
+    expect(lastParams(device, slotOf(renderer, drawable))[46]).toBe(1);
+    const [blit] = second.renderPasses;
+    expect(blit.desc.colorAttachments[0].loadOp).toBe('load');
+    expect(blit.desc.depthStencilAttachment.view).toBe(depthView);
+    const composite = device.createBindGroup.mock.calls.at(-1)[0];
+    expect(composite.entries.find((entry) => entry.binding === 11).resource).toBe(depthView);
+  });
+
+  test('grows the key and value buffers once a read-back scan total overflows them', async () => {
+    const { device, renderer } = setup();
+    // One splat covering 6×6 tiles pushes a full block of one-tile splats past 4 per splat.
+    const drawable = splatDrawable(BLOCK_SIZE);
+    const capacity = tileCapacity(drawable.count * TILE_DUPLICATION, device.limits);
+    const entries = capacity + 35;
+    renderer.record(frameFor(device, encoderHarness().encoder), drawable);
+    const slot = slotOf(renderer, drawable);
+    const { keys } = slot.res;
+    slot.totalBuffer.mapped[0] = entries;
+
+    renderer.readback();
+    // Single-flight: a frame recorded while the total maps copies nothing.
+    const during = encoderHarness();
+    renderer.record(frameFor(device, during.encoder), drawable);
+    expect(during.log.some(([kind]) => kind === 'copy')).toBe(false);
+    await flushPromises();
+
+    const { encoder, log } = encoderHarness();
+    renderer.record(frameFor(device, encoder), drawable);
+    const grown = grownTileCapacity(capacity, entries, device.limits);
+    expect(grown).toBeGreaterThanOrEqual(entries);
+    expect(keys.destroy).toHaveBeenCalledTimes(1);
+    expect(slot.res.keys.desc.size).toBe(grown * 8);
+    expect(log.find(([, entry]) => entry === 'histogram')[2]).toBe(grown / BLOCK_SIZE);
+    expect(lastParams(device, slot)[45]).toBe(grown);
+    expect(log.some(([kind]) => kind === 'copy')).toBe(true);
+  });
+
+  test('composites a cloud shared by two nodes from state of their own and releases nodes independently', () => {
+    const { device, buffers, renderer } = setup();
+    const drawable = splatDrawable();
+    const recordTwoNodes = () => {
+      const { encoder } = encoderHarness();
+      renderer.record(frameFor(device, encoder, { nodeId: 1 }), drawable);
+      renderer.record(frameFor(device, encoder, { nodeId: 2, loadOp: 'load' }), drawable);
+    };
+    recordTwoNodes();
+    const [first, second] = [slotOf(renderer, drawable, 1), slotOf(renderer, drawable, 2)];
+    expect(first.paramsBuffer).not.toBe(second.paramsBuffer);
+    expect(first.res.keys).not.toBe(second.res.keys);
+    expect(buffers.every((buffer) => buffer.destroy.mock.calls.length === 0)).toBe(true);
+
+    // Slots persist: the next frame allocates nothing.
+    const allocated = buffers.length;
+    recordTwoNodes();
+    expect(buffers).toHaveLength(allocated);
+
+    const owned = (slot) => [slot.paramsBuffer, slot.radixParamsBuffer, slot.totalBuffer, slot.res.keys, slot.res.projected];
+    const firstBuffers = owned(first);
+    const secondBuffers = owned(second);
+    renderer.releaseNode(drawable, 1);
+    expect(firstBuffers.every((buffer) => buffer.destroy.mock.calls.length === 1)).toBe(true);
+    expect(secondBuffers.every((buffer) => buffer.destroy.mock.calls.length === 0)).toBe(true);
+
+    renderer.releaseDrawable(splatDrawable());
+    expect(secondBuffers.every((buffer) => buffer.destroy.mock.calls.length === 0)).toBe(true);
+    renderer.releaseDrawable(drawable);
+    expect(secondBuffers.every((buffer) => buffer.destroy.mock.calls.length === 1)).toBe(true);
+    expect(renderer.slots.has(drawable)).toBe(false);
+    // The storage and SH buffers belong to the drawable.
+    expect(drawable.storageBuffer.destroy).not.toHaveBeenCalled();
+    expect(drawable.shBuffer.destroy).not.toHaveBeenCalled();
+  });
+});
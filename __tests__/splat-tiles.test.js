@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  TILE_SIZE,
+  tileGrid,
+  tileRect,
+  tileRectCount,
+  tileKey,
+  tileOfKey,
+  tileCapacity,
+  grownTileCapacity,
+  TILE_DUPLICATION,
+  splatFootprint,
+} from '../scripts/engine/splat-tiles.js';
+import { BLOCK_SIZE } from '../scripts/engine/ordering/radix-reference.js';
+
+const shader = (name) => fs.readFileSync(path.join(process.cwd(), 'assets/shaders', name), 'utf8');
+
+/** The falloff splat.wgsl draws: quad corner offsets → exp(-|local|²). */
+function instancedPower(a, b, d, local) {
+  const det = a * d - b * b;
+  const mid = 0.5 * (a + d);
+  const disc = mid * mid - det;
+  const lambda1 = mid + Math.sqrt(Math.max(0.01, disc));
+  const lambda2 = mid - Math.sqrt(Math.max(0.01, disc));
+  const len = Math.hypot(b, lambda1 - a + 1e-8);
+  const diag = [b / len, (lambda1 - a + 1e-8) / len];
+  const major = Math.min(Math.sqrt(2 * lambda1), 512);
+  const minor = Math.min(Math.sqrt(2 * lambda2), 512);
+  // NDC offset = (lx·major·diag + ly·minor·perp) / viewport ⇒ pixels = half of that sum.
+  const up = [
+    (local[0] * major * diag[0] + local[1] * minor * diag[1]) / 2,
+    (local[0] * major * diag[1] - local[1] * minor * diag[0]) / 2,
+  ];
+  return { offset: [up[0], -up[1]], power: -(local[0] ** 2 + local[1] ** 2) }; // y-down pixels
+}
+
+describe('tileGrid', () => {
+  test('covers the viewport in 16-pixel tiles and splits the key around the tile count', () => {
+    const grid = tileGrid(800, 600);
+    expect(grid).toMatchObject({ tilesX: 50, tilesY: 38, tileCount: 1900 });
+    // 1900 tiles + the reserved empty field need 11 bits.
+    expect(grid.tileBits).toBe(11);
+    expect(grid.depthBits).toBe(21);
+  });
+
+  test('reserves a field value for empty slots when the tile count is a power of two', () => {
+    const grid = tileGrid(TILE_SIZE * 4, TILE_SIZE * 4);
+    expect(grid.tileCount).toBe(16);
+    expect(grid.tileBits).toBe(5);
+  });
+});
+
+describe('tileRect', () => {
+  const grid = tileGrid(64, 64);
+
+  test('returns the half-open tile range a disc touches', () => {
+    const rect = tileRect(20, 20, 5, grid);
+    expect(rect).toEqual({ x0: 0, y0: 0, x1: 2, y1: 2 });
+    expect(tileRectCount(rect)).toBe(4);
+  });
+
+  test('clamps to the grid and is empty for off-screen or culled splats', () => {
+    expect(tileRect(-100, 10, 20, grid)).toEqual({ x0: 0, y0: 0, x1: 0, y1: 2 });
+    expect(tileRectCount(tileRect(-100, 10, 20, grid))).toBe(0);
+    expect(tileRectCount(tileRect(30, 30, 0, grid))).toBe(0);
+    expect(tileRectCount(tileRect(30, 30, 1000, grid))).toBe(16);
+  });
+});
+
+describe('tileKey', () => {
+  const grid = tileGrid(1920, 1080);
+
+  test('orders by tile, then nearest first within a tile', () => {
+    const entries = [
+      { tile: 3, depth: 5 },
+      { tile: 1, depth: 50 },
+      { tile: 3, depth: 0.5 },
+      { tile: 1, depth: 2 },
+      { tile: 0, depth: 1000 },
+    ];
+    const sorted = entries
+      .map((e) => ({ ...e, key: tileKey(e.tile, e.depth, grid) }))
+      .sort((x, y) => x.key - y.key)
+      .map(({ tile, depth }) => [tile, depth]);
+    expect(sorted).toEqual([[0, 1000], [1, 2], [1, 50], [3, 0.5], [3, 5]]);
+  });
+
+  test('round-trips the tile and leaves a cleared slot tileless', () => {
+    expect(tileOfKey(tileKey(grid.tileCount - 1, 3, grid), grid)).toBe(grid.tileCount - 1);
+    expect(tileOfKey(tileKey(0, 3, grid), grid)).toBe(0);
+    expect(tileOfKey(0, grid)).toBe(-1);
+  });
+});
+
+describe('tileCapacity', () => {
+  test('reserves whole radix blocks and respects the binding limit', () => {
+    expect(tileCapacity(10) % BLOCK_SIZE).toBe(0);
+    expect(tileCapacity(10000 * TILE_DUPLICATION)).toBeGreaterThanOrEqual(40000);
+    const capped = tileCapacity(1e7, { maxStorageBufferBindingSize: 8 * BLOCK_SIZE * 3 });
+    expect(capped).toBe(BLOCK_SIZE * 3);
+  });
+
+  test('grows past the per-splat reservation when one splat covers more than four tiles', () => {
+    // A full block of splats covering one tile each, plus one spanning 6×6 tiles.
+    const count = BLOCK_SIZE;
+    const big = tileRectCount(tileRect(48, 48, 40, tileGrid(256, 256)));
+    expect(big).toBe(36);
+    const entries = count - 1 + big;
+    const capacity = tileCapacity(count);
+    expect(entries).toBeGreaterThan(capacity);
+
+    const grown = grownTileCapacity(capacity, entries);
+    expect(grown).toBeGreaterThanOrEqual(entries);
+    expect(grown % BLOCK_SIZE).toBe(0);
+    expect(grownTileCapacity(grown, entries)).toBe(grown);
+    // At the binding limit it stops growing rather than overrunning.
+    const limits = { maxStorageBufferBindingSize: 8 * BLOCK_SIZE };
+    expect(grownTileCapacity(BLOCK_SIZE, entries, limits)).toBe(BLOCK_SIZE);
+  });
+});
+
+describe('splatFootprint', () => {
+  test.each([
+    [4, 0, 9],
+    [25, 6, 4],
+    [3, -2, 5],
+    [100, 40, 30],
+  ])('reproduces the instanced falloff for cov (%p, %p, %p)', (a, b, d) => {
+    const { radius, conic } = splatFootprint(a, b, d);
+    for (const local of [[1, 0], [0, 1], [0.5, -1.2], [-1.4, 1.4]]) {
+      const { offset: [dx, dy], power } = instancedPower(a, b, d, local);
+      const ours = -(conic[0] * dx * dx + 2 * conic[1] * dx * dy + conic[2] * dy * dy);
+      expect(ours).toBeCloseTo(power, 6);
+    }
+    // The disc edge (|local| = 2 along the major axis) lies at the radius.
+    const edge = instancedPower(a, b, d, [2, 0]).offset;
+    expect(Math.hypot(...edge)).toBeCloseTo(radius, 6);
+  });
+});
+
+describe('splat-tile-render.wgsl', () => {
+  const shBlock = (source) => {
+    const start = source.indexOf('// Real-SH basis constants');
+    const end = source.indexOf('\n}\n', source.indexOf('fn evalSh('));
+    return source.slice(start, end + 2);
+  };
+
+  test('evaluates SH with exactly the instanced shader\'s code', () => {
+    const tile = shBlock(shader('splat-tile-render.wgsl'));
+    expect(tile).toContain('fn evalSh(');
+    expect(tile).toBe(shBlock(shader('splat.wgsl')));
+  });
+
+  test('uses the tile size and scan block the JS side sizes buffers by', () => {
+    const source = shader('splat-tile-render.wgsl');
+    expect(source).toMatch(new RegExp(`const TILE\\s*: u32 = ${TILE_SIZE}u;`));
+    expect(source).toMatch(/const SCAN_BLOCK : u32 = 1024u;/);
+  });
+});
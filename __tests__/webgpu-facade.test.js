@@ -11,9 +11,15 @@ const mockScene = {
   resetRayAccumulation: jest.fn(),
   loadRayGeometry: jest.fn(),
   updateRayTlasAndInstances: jest.fn(),
+  updateRayMaterials: jest.fn(),
   getRenderMode: jest.fn(() => 'raster'),
   readRayAccumulation: jest.fn(),
   readRayDiagnostics: jest.fn(),
+  getRasterDrawable: jest.fn(() => null),
+  drawableNodes: jest.fn(() => []),
+  getPrimaryNodeId: jest.fn(() => 1),
+  getNodeWorldMatrix: jest.fn(() => new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1])),
+  getUserModelMatrix: jest.fn(() => new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1])),
   start: jest.fn(),
   destroy: jest.fn(),
 };
@@ -37,6 +43,9 @@ jest.mock('../scripts/engine/webgpu-helpers.js', () => ({
 }));
 
 import { initWebGPUEngine, createWebGPUGeometryFactory } from '../scripts/engine/webgpu-facade.js';
+import { createCornellBoxScene } from '../scripts/engine/raytracing/core/cornell-box.js';
+import { INSTANCE_OFFSETS } from '../scripts/engine/raytracing/gpu/gpu-ray-layout.js';
+import { parseGlb } from '../scripts/engine/gltf-container.js';
 
 describe('WebGPU Facade', () => {
   const fakeDevice = { id: 'device' };
@@ -174,4 +183,165 @@ describe('WebGPU Facade', () => {
     result.setLight({ type: 'directional', direction: [0, -1, 0] });
     expect(mockScene.setHybridLight).toHaveBeenCalledWith({ type: 'directional', direction: [0, -1, 0] });
   });
+
+  test('routes animation controls to the loaded mesh\'s clip player', async () => {
+    const result = await initWebGPUEngine({
+      canvas: fakeCanvas,
+      shaderSources: { wgsl: 'mesh shader' },
+      scriptSource: 'function init(){}\nfunction update(){}',
+      onError: jest.fn(),
+    });
+    expect(result.listAnimations()).toEqual([]);
+    expect(result.getAnimationState()).toBeNull();
+    expect(() => result.playAnimation()).toThrow(/no animation clips/);
+
+    const animation = {
+      listClips: jest.fn(() => [{ index: 0, name: 'walk', duration: 1, channelCount: 2 }]),
+      play: jest.fn(),
+      pause: jest.fn(),
+      seek: jest.fn(),
+      setSpeed: jest.fn(),
+    };
+    mockScene.getRasterDrawable.mockReturnValue({ kind: 'mesh', animation });
+    expect(result.listAnimations()[0].name).toBe('walk');
+    result.playAnimation('walk');
+    result.seekAnimation(0.5);
+    result.setAnimationSpeed(2);
+    result.pauseAnimation();
+    expect(animation.play).toHaveBeenCalledWith('walk');
+    expect(animation.seek).toHaveBeenCalledWith(0.5);
+    expect(animation.setSpeed).toHaveBeenCalledWith(2);
+    expect(animation.pause).toHaveBeenCalled();
+    mockScene.getRasterDrawable.mockReturnValue(null);
+  });
+
+  test('switches the viewport to an authored camera and back to the default lens', async () => {
+    const result = await initWebGPUEngine({
+      canvas: fakeCanvas,
+      shaderSources: { wgsl: 'mesh shader' },
+      scriptSource: 'function init(){}\nfunction update(){}',
+      onError: jest.fn(),
+    });
+    expect(result.listCameras()).toEqual([]);
+    expect(() => result.setCamera(0)).toThrow(/no camera 0/);
+
+    // Five units up +Y, looking straight down with -Z as screen up.
+    const worldMatrix = new Float32Array([1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 5, 0, 1]);
+    const projection = { type: 'perspective', yfov: 0.6, znear: 0.5, zfar: 40 };
+    mockScene.getRasterDrawable.mockReturnValue({
+      kind: 'mesh',
+      bounds: { center: [0, 1, 0], radius: 1 },
+      cameras: [{ name: 'top', projection, nodeIndex: 0, worldMatrix }],
+    });
+    expect(result.listCameras()).toEqual([{ index: 0, name: 'top', type: 'perspective' }]);
+    result.setCamera(0);
+    const { camera } = result;
+    expect(camera.target).toEqual([0, 1, 0]);
+    expect(camera.up).toEqual([0, 0, -1]);
+    expect(camera.zoom).toBeCloseTo(4);
+    camera.getPosition().forEach((value, axis) => expect(value).toBeCloseTo([0, 5, 0][axis]));
+    expect(camera.projection).toEqual({ ...projection, referenceZoom: 4 });
+
+    result.setCamera(null);
+    expect(camera.projection.yfov).toBeCloseTo(Math.PI / 4);
+    mockScene.getRasterDrawable.mockReturnValue(null);
+  });
+
+  test('places an authored camera by the primary node and the scene script model matrix', async () => {
+    const result = await initWebGPUEngine({
+      canvas: fakeCanvas,
+      shaderSources: { wgsl: 'mesh shader' },
+      scriptSource: 'function init(){}\nfunction update(){}',
+      onError: jest.fn(),
+    });
+    // Five units along +Z looking down -Z, at the model's origin.
+    const worldMatrix = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 5, 1]);
+    const projection = { type: 'perspective', yfov: 0.6, znear: 0.5, zfar: 40 };
+    mockScene.getRasterDrawable.mockReturnValue({
+      kind: 'mesh',
+      bounds: { center: [0, 0, 0], radius: 1 },
+      cameras: [{ name: 'front', projection, nodeIndex: 0, worldMatrix }],
+    });
+    // The node moves the model 10 along +X; the script doubles its size.
+    mockScene.getNodeWorldMatrix.mockReturnValue(new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 10, 0, 0, 1]));
+    mockScene.getUserModelMatrix.mockReturnValue(new Float32Array([2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 1]));
+    result.setCamera(0);
+    const { camera } = result;
+    expect(mockScene.getNodeWorldMatrix).toHaveBeenCalledWith(1);
+    expect(camera.target).toEqual([20, 0, 0]);
+    expect(camera.zoom).toBeCloseTo(10);
+    camera.getPosition().forEach((value, axis) => expect(value).toBeCloseTo([20, 0, 10][axis]));
+
+    mockScene.getNodeWorldMatrix.mockReturnValue(new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]));
+    mockScene.getUserModelMatrix.mockReturnValue(new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]));
+    mockScene.getRasterDrawable.mockReturnValue(null);
+  });
+
+  test('switches material variants and re-packs only the GPU ray materials', async () => {
+    const result = await initWebGPUEngine({
+      canvas: fakeCanvas,
+      shaderSources: { wgsl: 'mesh shader', raytraceWgsl: 'ray shader' },
+      scriptSource: 'function init(){}\nfunction update(){}',
+      onError: jest.fn(),
+    });
+    expect(result.listMaterialVariants()).toEqual([]);
+    expect(() => result.setMaterialVariant('Red')).toThrow(/no material variants/);
+
+    const preparedRayScene = createCornellBoxScene();
+    const rayTracing = { preparedRayScene, materialRevision: 0 };
+    let active = null;
+    const materialVariants = {
+      names: ['Red', 'Green'],
+      get active() { return active; },
+      select: jest.fn((name) => {
+        active = name;
+        preparedRayScene.instances[0].materialIndex = name === 'Green' ? 2 : 0;
+        rayTracing.materialRevision += 1;
+      }),
+    };
+    mockScene.getRasterDrawable.mockReturnValue({ kind: 'mesh', materialVariants, rayTracing });
+    const rayDrawable = result.loadRayScene(preparedRayScene);
+    const { blases } = rayDrawable.acceleration;
+
+    result.setMaterialVariant('Green');
+    expect(materialVariants.select).toHaveBeenCalledWith('Green');
+    expect(result.listMaterialVariants()).toEqual([
+      { index: 0, name: 'Red', active: false },
+      { index: 1, name: 'Green', active: true },
+    ]);
+    expect(mockScene.updateRayMaterials).toHaveBeenCalledWith(
+      rayDrawable,
+      rayDrawable.packedScene,
+      expect.objectContaining({ materialByteLength: expect.any(Number), instanceByteLength: expect.any(Number) }),
+    );
+    expect(mockScene.loadRayGeometry).toHaveBeenCalledTimes(1);
+    expect(rayDrawable.revisions.materialRevision).toBe(1);
+    expect(rayDrawable.acceleration.blases).toEqual(blases);
+    const instances = new DataView(rayDrawable.packedScene.buffers.instances);
+    expect(instances.getUint32(INSTANCE_OFFSETS.materialIndex, true)).toBe(2);
+    mockScene.getRasterDrawable.mockReturnValue(null);
+  });
+
+  test('exports scene-graph meshes placed by their node and the scene script model', async () => {
+    const result = await initWebGPUEngine({
+      canvas: fakeCanvas,
+      shaderSources: { wgsl: 'mesh shader' },
+      scriptSource: 'function init(){}\nfunction update(){}',
+      onError: jest.fn(),
+    });
+    await expect(result.exportGltf()).rejects.toThrow(/no meshes to export/);
+    await expect(result.exportSplats('spz')).rejects.toThrow(/No splat cloud is loaded to export/);
+
+    const cube = mockScene.loadGeometry.mock.calls[0][0];
+    mockScene.drawableNodes.mockReturnValue([
+      { drawable: cube, worldMatrix: new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 3, 0, 1]) },
+      { drawable: { kind: 'splat', count: 4 }, worldMatrix: new Float32Array(16) },
+    ]);
+    mockScene.getUserModelMatrix.mockReturnValue(new Float32Array([2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 1]));
+    const { json } = parseGlb(await result.exportGltf());
+    expect(json.nodes).toEqual([{ mesh: 0, matrix: [2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 0, 6, 0, 1] }]);
+    expect(json.accessors[0].count).toBe(cube.meshData.positions.length / 3);
+    expect(json.materials[0].pbrMetallicRoughness).toMatchObject({ metallicFactor: 0, roughnessFactor: 1 });
+    mockScene.drawableNodes.mockReturnValue([]);
+  });
 });
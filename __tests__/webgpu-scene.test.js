@@ -6,12 +6,17 @@ function mockRenderer(kind) {
     init: jest.fn(),
     prepare: jest.fn(),
     record: jest.fn(),
+    recordNodes: jest.fn(),
+    readback: jest.fn(),
     releaseDrawable: jest.fn(),
+    releaseNode: jest.fn(),
     destroy: jest.fn(),
     setPipeline: jest.fn(),
     setShaders: jest.fn(),
     setShader: jest.fn(),
     setShadowShader: jest.fn(),
+    setLight: jest.fn(),
+    setLights: jest.fn(),
     setReduction: jest.fn(),
     setSort: jest.fn(),
     setDebugMode: jest.fn(),
@@ -44,6 +49,15 @@ jest.mock('../scripts/engine/renderers/hybrid-shadow-renderer.js', () => ({
   HybridShadowRenderer: jest.fn(() => mockRenderer('hybrid')),
 }));
 
+const mockDepthTextures = [];
+jest.mock('../scripts/engine/webgpu-helpers.js', () => ({
+  createDepthTexture: jest.fn((_device, width, height) => {
+    const texture = { width, height, createView: jest.fn(() => ({ depth: true, width })), destroy: jest.fn() };
+    mockDepthTextures.push(texture);
+    return texture;
+  }),
+}));
+
 const mockTimers = [];
 jest.mock('../scripts/engine/gpu-timer.js', () => ({
   GpuTimer: jest.fn(() => {
@@ -60,6 +74,7 @@ jest.mock('../scripts/engine/gpu-timer.js', () => ({
 }));
 
 import { createWebGPUScene } from '../scripts/engine/webgpu-scene.js';
+import { createIdentityMatrix } from '../scripts/engine/matrix.js';
 
 function setup() {
   const encoder = { finish: jest.fn(() => ({ done: true })) };
@@ -137,7 +152,10 @@ describe('WebGPU scene ray tracing registry', () => {
 
     scene.setRenderMode('raster');
     scheduled.shift()(32);
-    expect(mesh.record).toHaveBeenCalledWith(expect.objectContaining({ width: 80, height: 60 }), rasterDrawable);
+    expect(mesh.recordNodes).toHaveBeenCalledWith(
+      expect.objectContaining({ width: 80, height: 60 }),
+      [expect.objectContaining({ drawable: rasterDrawable })],
+    );
     expect(update).toHaveBeenCalledTimes(1);
   });
 
@@ -175,6 +193,65 @@ describe('WebGPU scene ray tracing registry', () => {
     expect(update).toHaveBeenCalledTimes(1);
   });
 
+  test('lights raster meshes with imported lights and aims the hybrid light at them, with the user model', () => {
+    const { scene, mesh, hybrid } = setup();
+    scene.updateUserScript({
+      init: jest.fn(),
+      update: (state) => { state.modelViewMatrix[12] = 5; },
+    });
+    scene.setHybridShaders('gbuffer wgsl', 'composite wgsl');
+    scene.setHybridShadowShader('shadow wgsl');
+    const worldMatrix = new Float32Array([1,0,0,0, 0,1,0,0, 0,0,1,0, 0,2,0,1]);
+    const lights = [{
+      type: 'spot', color: [1, 0.5, 0.25], intensity: 8, range: 4,
+      innerConeAngle: 0.1, outerConeAngle: 0.5, worldMatrix,
+    }];
+    const drawable = {
+      kind: 'mesh', vertexCount: 6, bounds: { radius: 1 }, rayTracing: { preparedRayScene: {} }, lights,
+    };
+    scene.loadGeometry(drawable);
+    scene.start();
+    scheduled.shift()(16);
+    const [rasterLight] = mesh.setLights.mock.calls.at(-1)[0];
+    expect(rasterLight).toMatchObject({ type: 'spot', intensity: 8 });
+    expect(rasterLight.worldMatrix[13]).toBeCloseTo(2);
+
+    scene.setRenderMode('hybrid-shadows');
+    scheduled.shift()(32);
+    expect(hybrid.setLight).toHaveBeenCalledWith({
+      type: 'spot', position: [5, 2, 0], direction: [0, 0, -1], color: [1, 0.5, 0.25], intensity: 8,
+      range: 4, innerConeAngle: 0.1, outerConeAngle: 0.5,
+    });
+
+    scene.loadGeometry({ kind: 'mesh', vertexCount: 3, rayTracing: { preparedRayScene: {} } });
+    scheduled.shift()(48);
+    expect(mesh.setLights).toHaveBeenLastCalledWith([]);
+  });
+
+  test('collects lights from every mesh node, placed by the node, and hybrid takes the strongest', () => {
+    const { scene, mesh, hybrid } = setup();
+    scene.setHybridShaders('gbuffer wgsl', 'composite wgsl');
+    scene.setHybridShadowShader('shadow wgsl');
+    const light = (intensity) => ({ type: 'point', color: [1, 1, 1], intensity, worldMatrix: createIdentityMatrix() });
+    const dim = light(1);
+    const bright = light(20);
+    scene.loadGeometry({
+      kind: 'mesh', vertexCount: 3, bounds: { radius: 1 }, rayTracing: { preparedRayScene: {} }, lights: [dim],
+    });
+    scene.addNode({
+      name: 'lamp', translation: [0, 3, 0], drawable: { kind: 'mesh', vertexCount: 3, lights: [bright] },
+    });
+    scene.start();
+    scheduled.shift()(16);
+    const lights = mesh.setLights.mock.calls.at(-1)[0];
+    expect(lights.map((placed) => placed.intensity)).toEqual([1, 20]);
+    expect(lights[1].worldMatrix[13]).toBeCloseTo(3);
+
+    scene.setRenderMode('hybrid-shadows');
+    scheduled.shift()(32);
+    expect(hybrid.setLight).toHaveBeenLastCalledWith(expect.objectContaining({ intensity: 20, position: [0, 3, 0] }));
+  });
+
   test('routes settings, partial TLAS updates, stats, and idempotent cleanup', () => {
     const { scene, mesh, splat, tile, ray, hybrid } = setup();
     const rasterDrawable = { kind: 'mesh', vertexCount: 6 };
@@ -203,3 +280,146 @@ describe('WebGPU scene ray tracing registry', () => {
     expect(ray.releaseDrawable).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('WebGPU scene graph', () => {
+  let scheduled;
+
+  beforeEach(() => {
+    scheduled = [];
+    global.requestAnimationFrame = jest.fn((callback) => { scheduled.push(callback); return scheduled.length; });
+  });
+
+  test('records every drawable node with its world matrix, meshes before splats', () => {
+    const { scene, mesh, splat } = setup();
+    const primary = { kind: 'splat', count: 10, bounds: { radius: 1 } };
+    const sideMesh = { kind: 'mesh', vertexCount: 6, bounds: { radius: 1 } };
+    scene.loadGeometry(primary);
+    const group = scene.addNode({ name: 'group', translation: [2, 0, 0] });
+    scene.addNode({ name: 'side', parent: group, drawable: sideMesh, translation: [1, 0, 0] });
+    expect(mesh.prepare).toHaveBeenCalledWith(sideMesh);
+
+    scene.start();
+    scheduled.shift()(16);
+    const [meshFrame, [meshNode]] = mesh.recordNodes.mock.calls[0];
+    const [splatFrame, splatDrawable] = splat.record.mock.calls[0];
+    expect(meshNode.drawable).toBe(sideMesh);
+    expect(meshNode.modelMatrix[12]).toBeCloseTo(3);
+    expect(meshFrame.loadOp).toBe('clear');
+    expect(splatDrawable).toBe(primary);
+    expect(splatFrame.loadOp).toBe('load');
+    // One depth attachment per frame, shared so splats test against mesh depth.
+    expect(meshFrame.depthView).toBeTruthy();
+    expect(splatFrame.depthView).toBe(meshFrame.depthView);
+    expect(scene.getStats()).toMatchObject({ nodeCount: 3, triangleCount: 2, splatCount: 10 });
+    expect(scene.listNodes().map((node) => node.name)).toEqual(['primary', 'group', 'side']);
+  });
+
+  test('records every mesh node in one pass ahead of the splats, so blended primitives sort across nodes', () => {
+    const { scene, mesh, splat } = setup();
+    const cloud = { kind: 'splat', count: 10, bounds: { radius: 1 } };
+    const near = { kind: 'mesh', vertexCount: 3, bounds: { radius: 1 } };
+    const far = { kind: 'mesh', vertexCount: 3, bounds: { radius: 1 } };
+    scene.loadGeometry(cloud);
+    const nearNode = scene.addNode({ name: 'near', drawable: near });
+    const farNode = scene.addNode({ name: 'far', drawable: far, translation: [0, 0, -5] });
+
+    scene.start();
+    scheduled.shift()(16);
+    expect(mesh.record).not.toHaveBeenCalled();
+    expect(mesh.recordNodes).toHaveBeenCalledTimes(1);
+    const [meshFrame, nodes] = mesh.recordNodes.mock.calls[0];
+    expect(meshFrame.loadOp).toBe('clear');
+    expect(nodes.map((node) => [node.drawable, node.nodeId])).toEqual([[near, nearNode], [far, farNode]]);
+    expect(nodes[1].modelMatrix[14]).toBeCloseTo(-5);
+    expect(splat.record).toHaveBeenCalledWith(expect.objectContaining({ loadOp: 'load' }), cloud);
+  });
+
+  test('tile mode records splats through the tile renderer and releases them from both', () => {
+    const { scene, splat, tile } = setup();
+    const cloud = { kind: 'splat', count: 10, bounds: { radius: 1 } };
+    scene.loadGeometry(cloud);
+    scene.setSplatRenderMode('tile');
+    expect(tile.prepare).toHaveBeenCalledWith(cloud);
+    scene.setSplatShDegree(1);
+    expect(tile.setMaxShDegree).toHaveBeenCalledWith(1);
+    expect(splat.setMaxShDegree).toHaveBeenCalledWith(1);
+
+    scene.start();
+    scheduled.shift()(16);
+    expect(tile.record).toHaveBeenCalledWith(expect.objectContaining({ loadOp: 'clear' }), cloud);
+    expect(splat.record).not.toHaveBeenCalled();
+
+    scene.removeNode(scene.getPrimaryNodeId());
+    expect(tile.releaseDrawable).toHaveBeenCalledWith(cloud);
+    expect(splat.releaseDrawable).toHaveBeenCalledWith(cloud);
+  });
+
+  test('loadGeometry replaces only the primary node and removal releases subtrees', () => {
+    const { scene, mesh } = setup();
+    const first = { kind: 'mesh', vertexCount: 3, _debug: { name: 'first' } };
+    const second = { kind: 'mesh', vertexCount: 3, _debug: { name: 'second' } };
+    const extra = { kind: 'mesh', vertexCount: 3 };
+    scene.loadGeometry(first);
+    const extraNode = scene.addNode({ name: 'extra', drawable: extra });
+    scene.loadGeometry(second);
+    expect(mesh.releaseDrawable).toHaveBeenCalledWith(first);
+    expect(mesh.releaseDrawable).not.toHaveBeenCalledWith(extra);
+    expect(scene.findNodeByName('second')).toBe(scene.getPrimaryNodeId());
+
+    scene.removeNode(extraNode);
+    expect(mesh.releaseDrawable).toHaveBeenCalledWith(extra);
+    scene.removeNode(scene.getPrimaryNodeId());
+    expect(scene.getRasterDrawable()).toBeNull();
+    expect(mesh.releaseDrawable).toHaveBeenCalledWith(second);
+  });
+
+  test('keeps a drawable shared by two nodes alive until both are removed', () => {
+    const { scene, mesh } = setup();
+    const shared = { kind: 'mesh', vertexCount: 3 };
+    const a = scene.addNode({ name: 'a', drawable: shared });
+    const b = scene.addNode({ name: 'b', drawable: shared, translation: [2, 0, 0] });
+    scene.start();
+    scheduled.shift()(16);
+    expect(mesh.recordNodes.mock.calls[0][1].map((node) => node.nodeId)).toEqual([a, b]);
+
+    scene.removeNode(a);
+    expect(mesh.releaseNode).toHaveBeenCalledWith(shared, a);
+    expect(mesh.releaseDrawable).not.toHaveBeenCalled();
+    scene.removeNode(b);
+    expect(mesh.releaseDrawable).toHaveBeenCalledWith(shared);
+  });
+});
+
+describe('WebGPU scene frame composition', () => {
+  let scheduled;
+
+  beforeEach(() => {
+    scheduled = [];
+    global.requestAnimationFrame = jest.fn((callback) => { scheduled.push(callback); return scheduled.length; });
+  });
+
+  test('reuses the depth attachment across frames and recreates it on resize', () => {
+    const { scene, mesh } = setup();
+    scene.loadGeometry({ kind: 'mesh', vertexCount: 3 });
+    const before = mockDepthTextures.length;
+    scene.start();
+    scheduled.shift()(16);
+    scheduled.shift()(32);
+    expect(mockDepthTextures.length).toBe(before + 1);
+    expect(mockDepthTextures.at(-1)).toMatchObject({ width: 80, height: 60 });
+    expect(mesh.recordNodes.mock.calls[0][0].loadOp).toBe('clear');
+    scene.destroy();
+    expect(mockDepthTextures.at(-1).destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not hand the raster depth attachment to ray-traced frames', () => {
+    const { scene, ray } = setup();
+    scene.loadGeometry({ kind: 'mesh', vertexCount: 3 });
+    scene.loadRayGeometry({ kind: 'raytrace' });
+    scene.setRayTracingShader('ray wgsl');
+    scene.setRenderMode('raytrace-gpu');
+    scene.start();
+    scheduled.shift()(16);
+    expect(ray.record.mock.calls[0][0].depthView).toBeNull();
+  });
+});
@@ -1,28 +1,108 @@
 // Default WGSL shader for the WebGPU backend.
-// Mirrors the lighting model of default.vert / default.frag.
+// Metallic-roughness PBR (Cook-Torrance: GGX distribution, Smith-Schlick
+// geometry, Schlick Fresnel) under either a default directional light or the
+// scene's KHR_lights_punctual lights, plus either a flat ambient term or
+// image-based lighting from an HDR environment, with glTF
+// normal, metallic-roughness and occlusion maps, each read through its own
+// TEXCOORD set and KHR_texture_transform. Lighting is done in view
+// space and in linear colour; base-colour textures are decoded from sRGB and
+// the result is encoded back for the (non-sRGB) swap chain.
 
+const PI : f32 = 3.14159265;
+const DIELECTRIC_F0 : f32 = 0.04;
+const MIN_ROUGHNESS : f32 = 0.045;
+
+// textureFlags bits (MATERIAL_TEXTURE_FLAGS in mesh-renderer.js).
+const TEXTURE_NORMAL : u32 = 1u;
+const TEXTURE_METALLIC_ROUGHNESS : u32 = 2u;
+const TEXTURE_OCCLUSION : u32 = 4u;
+// Points and lines without normals: base colour plus emission (MATERIAL_UNLIT_FLAG).
+const MATERIAL_UNLIT : u32 = 8u;
+// A COLOR_0 vertex buffer is bound at location 5 (MATERIAL_VERTEX_COLOR_FLAG).
+const MATERIAL_VERTEX_COLOR : u32 = 16u;
+
+// Material.uvTransforms slots (MATERIAL_UV_SLOTS in mesh-renderer.js).
+const UV_BASE_COLOR : u32 = 0u;
+const UV_NORMAL : u32 = 1u;
+const UV_METALLIC_ROUGHNESS : u32 = 2u;
+const UV_OCCLUSION : u32 = 3u;
+
+// PunctualLight.directionType.w (PUNCTUAL_LIGHT_TYPES in mesh-renderer.js).
+const LIGHT_DIRECTIONAL : f32 = 0.0;
+const LIGHT_SPOT : f32 = 2.0;
+const MAX_PUNCTUAL_LIGHTS : u32 = 8u;
+
+// lightDirection points toward the default light, in view space. lightColor.rgb
+// is its colour × intensity (zero while punctual lights are set); lightColor.a
+// is the ambient term.
 struct Uniforms {
     projectionMatrix : mat4x4<f32>,
     modelViewMatrix  : mat4x4<f32>,
+    normalMatrix     : mat4x4<f32>,
+    lightDirection   : vec4<f32>,
+    lightColor       : vec4<f32>,
 }
 
+// alphaMode: 0 = OPAQUE, 1 = MASK, 2 = BLEND (glTF material alphaMode).
+// emissive.a is KHR_materials_emissive_strength; surface is (metallic,
+// roughness, normalScale, occlusionStrength). uvTransforms holds two rows of
+// a 2×3 UV transform per UV_* slot; the first row's w picks TEXCOORD_0 or _1.
 struct Material {
-    baseColor  : vec4<f32>,
-    hasTexture : u32,
-    _pad0 : u32,
-    _pad1 : u32,
-    _pad2 : u32,
+    baseColor    : vec4<f32>,
+    hasTexture   : u32,
+    alphaMode    : u32,
+    alphaCutoff  : f32,
+    textureFlags : u32,
+    emissive     : vec4<f32>,
+    surface      : vec4<f32>,
+    uvTransforms : array<vec4<f32>, 8>,
+}
+
+// Image-based lighting (environment-lighting.js). viewToWorld takes view-space
+// directions into the map's world space; irradiance holds order-2 SH
+// coefficients already convolved with the cosine lobe and divided by π;
+// params is (enabled, intensity, specular mip count, 0).
+struct Environment {
+    viewToWorld : mat4x4<f32>,
+    irradiance  : array<vec4<f32>, 9>,
+    params      : vec4<f32>,
+}
+
+// One imported light, in view space: position and range (0 when unlimited),
+// travel direction and type, colour × intensity, then the spot's inner and
+// outer cone cosines.
+struct PunctualLight {
+    positionRange  : vec4<f32>,
+    directionType  : vec4<f32>,
+    color          : vec4<f32>,
+    cone           : vec4<f32>,
+}
+
+struct PunctualLights {
+    count  : vec4<u32>,
+    lights : array<PunctualLight, MAX_PUNCTUAL_LIGHTS>,
 }
 
 @group(0) @binding(0) var<uniform> uniforms : Uniforms;
 @group(0) @binding(1) var<uniform> material : Material;
 @group(0) @binding(2) var uSampler : sampler;
 @group(0) @binding(3) var uTexture : texture_2d<f32>;
+@group(0) @binding(4) var uNormalTexture : texture_2d<f32>;
+@group(0) @binding(5) var uMetallicRoughnessTexture : texture_2d<f32>;
+@group(0) @binding(6) var uOcclusionTexture : texture_2d<f32>;
+@group(0) @binding(7) var<uniform> environment : Environment;
+@group(0) @binding(8) var uEnvironmentTexture : texture_2d<f32>;
+@group(0) @binding(9) var uEnvironmentSampler : sampler;
+@group(0) @binding(10) var<uniform> punctualLights : PunctualLights;
 
 struct VertexOut {
     @builtin(position) position  : vec4<f32>,
-    @location(0)       vLighting : vec3<f32>,
-    @location(1)       vTexCoord : vec2<f32>,
+    @location(0)       vViewPosition : vec3<f32>,
+    @location(1)       vNormal   : vec3<f32>,
+    @location(2)       vTexCoord : vec2<f32>,
+    @location(3)       vTangent  : vec4<f32>,
+    @location(4)       vTexCoord1 : vec2<f32>,
+    @location(5)       vColor    : vec4<f32>,
 }
 
 @vertex
@@ -30,25 +110,229 @@ fn vs_main(
     @location(0) aPosition : vec3<f32>,
     @location(1) aNormal   : vec3<f32>,
     @location(2) aTexCoord : vec2<f32>,
+    @location(3) aTangent  : vec4<f32>,
+    @location(4) aTexCoord1 : vec2<f32>,
+    @location(5) aColor    : vec4<f32>,
 ) -> VertexOut {
     var out : VertexOut;
-    out.position = uniforms.projectionMatrix * uniforms.modelViewMatrix * vec4<f32>(aPosition, 1.0);
-
-    let ambientLight           = vec3<f32>(0.3, 0.3, 0.3);
-    let directionalLightColor  = vec3<f32>(1.0, 1.0, 1.0);
-    let directionalVector      = normalize(vec3<f32>(0.85, 0.8, 0.75));
-
-    let directional = max(dot(aNormal, directionalVector), 0.0);
-    out.vLighting = ambientLight + directionalLightColor * directional;
+    let viewPosition = uniforms.modelViewMatrix * vec4<f32>(aPosition, 1.0);
+    out.position = uniforms.projectionMatrix * viewPosition;
+    out.vViewPosition = viewPosition.xyz;
+    out.vNormal = (uniforms.normalMatrix * vec4<f32>(aNormal, 0.0)).xyz;
+    // Tangents follow the surface, so they take the model-view transform itself.
+    out.vTangent = vec4<f32>((uniforms.modelViewMatrix * vec4<f32>(aTangent.xyz, 0.0)).xyz, aTangent.w);
     out.vTexCoord = aTexCoord;
+    out.vTexCoord1 = aTexCoord1;
+    out.vColor = aColor;
     return out;
 }
 
+// The texture coordinate a material slot samples at.
+fn materialUv(in : VertexOut, slot : u32) -> vec2<f32> {
+    let row0 = material.uvTransforms[slot * 2u];
+    let row1 = material.uvTransforms[slot * 2u + 1u];
+    let uv = vec3<f32>(select(in.vTexCoord, in.vTexCoord1, row0.w > 0.5), 1.0);
+    return vec2<f32>(dot(row0.xyz, uv), dot(row1.xyz, uv));
+}
+
+fn hasTextureFlag(flag : u32) -> bool {
+    return (material.textureFlags & flag) != 0u;
+}
+
+fn srgbToLinear(color : vec3<f32>) -> vec3<f32> {
+    let low = color / 12.92;
+    let high = pow((color + 0.055) / 1.055, vec3<f32>(2.4));
+    return select(high, low, color <= vec3<f32>(0.04045));
+}
+
+fn linearToSrgb(color : vec3<f32>) -> vec3<f32> {
+    let clamped = clamp(color, vec3<f32>(0.0), vec3<f32>(1.0));
+    let low = clamped * 12.92;
+    let high = 1.055 * pow(clamped, vec3<f32>(1.0 / 2.4)) - 0.055;
+    return select(high, low, clamped <= vec3<f32>(0.0031308));
+}
+
+// Perturbs the interpolated normal by the tangent-space normal map. A zero
+// tangent (no TANGENT and none generated) keeps the vertex normal.
+fn shadingNormal(in : VertexOut, normalSample : vec3<f32>) -> vec3<f32> {
+    let normal = normalize(in.vNormal);
+    if (!hasTextureFlag(TEXTURE_NORMAL) || dot(in.vTangent.xyz, in.vTangent.xyz) < 1e-12) {
+        return normal;
+    }
+    let tangent = normalize(in.vTangent.xyz - normal * dot(normal, in.vTangent.xyz));
+    let bitangent = cross(normal, tangent) * select(1.0, -1.0, in.vTangent.w < 0.0);
+    let scale = material.surface.z;
+    let local = (normalSample * 2.0 - 1.0) * vec3<f32>(scale, scale, 1.0);
+    return normalize(tangent * local.x + bitangent * local.y + normal * local.z);
+}
+
+fn distributionGgx(nDotH : f32, alpha : f32) -> f32 {
+    let alpha2 = alpha * alpha;
+    let denominator = nDotH * nDotH * (alpha2 - 1.0) + 1.0;
+    return alpha2 / (PI * denominator * denominator);
+}
+
+fn geometrySmith(nDotV : f32, nDotL : f32, roughness : f32) -> f32 {
+    let k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+    return (nDotV / (nDotV * (1.0 - k) + k)) * (nDotL / (nDotL * (1.0 - k) + k));
+}
+
+fn fresnelSchlick(vDotH : f32, f0 : vec3<f32>) -> vec3<f32> {
+    return f0 + (vec3<f32>(1.0) - f0) * pow(1.0 - vDotH, 5.0);
+}
+
+// Cook-Torrance BRDF × cosine for light arriving from toLight.
+fn reflectedFraction(
+    normal : vec3<f32>, toView : vec3<f32>, toLight : vec3<f32>,
+    albedo : vec3<f32>, f0 : vec3<f32>, metallic : f32, roughness : f32,
+) -> vec3<f32> {
+    let halfway = normalize(toView + toLight);
+    let nDotL = max(dot(normal, toLight), 0.0);
+    let nDotV = max(dot(normal, toView), 1e-4);
+    let nDotH = max(dot(normal, halfway), 0.0);
+    let vDotH = max(dot(toView, halfway), 0.0);
+    let fresnel = fresnelSchlick(vDotH, f0);
+    let specular = distributionGgx(nDotH, roughness * roughness)
+        * geometrySmith(nDotV, nDotL, roughness) * fresnel / (4.0 * nDotV * max(nDotL, 1e-4));
+    let diffuse = (vec3<f32>(1.0) - fresnel) * (1.0 - metallic) * albedo / PI;
+    return (diffuse + specular) * nDotL;
+}
+
+// Radiance-weighted reflection of one punctual light, with glTF range and
+// cone falloff.
+fn punctualLighting(
+    light : PunctualLight, position : vec3<f32>, normal : vec3<f32>, toView : vec3<f32>,
+    albedo : vec3<f32>, f0 : vec3<f32>, metallic : f32, roughness : f32,
+) -> vec3<f32> {
+    if (light.directionType.w == LIGHT_DIRECTIONAL) {
+        return reflectedFraction(normal, toView, -light.directionType.xyz, albedo, f0, metallic, roughness)
+            * light.color.rgb;
+    }
+    let offset = light.positionRange.xyz - position;
+    let distanceSquared = max(dot(offset, offset), 1e-8);
+    let toLight = offset * inverseSqrt(distanceSquared);
+    var falloff = 1.0 / distanceSquared;
+    let range = light.positionRange.w;
+    if (range > 0.0) {
+        let ratio = distanceSquared / (range * range);
+        let rangeWindow = clamp(1.0 - ratio * ratio, 0.0, 1.0);
+        falloff *= rangeWindow * rangeWindow;
+    }
+    if (light.directionType.w == LIGHT_SPOT) {
+        let t = clamp(
+            (dot(light.directionType.xyz, -toLight) - light.cone.y) / max(1e-3, light.cone.x - light.cone.y),
+            0.0, 1.0,
+        );
+        falloff *= t * t;
+    }
+    return reflectedFraction(normal, toView, toLight, albedo, f0, metallic, roughness) * light.color.rgb * falloff;
+}
+
+// Same basis as shBasis() in environment-lighting.js.
+fn irradianceSh(n : vec3<f32>) -> vec3<f32> {
+    let c = environment.irradiance;
+    let result = c[0].rgb * 0.282095
+        + c[1].rgb * (0.488603 * n.y)
+        + c[2].rgb * (0.488603 * n.z)
+        + c[3].rgb * (0.488603 * n.x)
+        + c[4].rgb * (1.092548 * n.x * n.y)
+        + c[5].rgb * (1.092548 * n.y * n.z)
+        + c[6].rgb * (0.315392 * (3.0 * n.z * n.z - 1.0))
+        + c[7].rgb * (1.092548 * n.x * n.z)
+        + c[8].rgb * (0.546274 * (n.x * n.x - n.y * n.y));
+    return max(result, vec3<f32>(0.0));
+}
+
+// v = 0 is +Y; u runs from +X through +Z (environment-map.js).
+fn equirectangularUv(direction : vec3<f32>) -> vec2<f32> {
+    var u = atan2(direction.z, direction.x) / (2.0 * PI);
+    if (u < 0.0) {
+        u += 1.0;
+    }
+    return vec2<f32>(u, acos(clamp(direction.y, -1.0, 1.0)) / PI);
+}
+
+// Analytic fit of the split-sum environment BRDF (Karis, "Physically Based
+// Shading on Mobile"): scale and bias applied to F0.
+fn environmentBrdf(nDotV : f32, roughness : f32) -> vec2<f32> {
+    let c0 = vec4<f32>(-1.0, -0.0275, -0.572, 0.022);
+    let c1 = vec4<f32>(1.0, 0.0425, 1.04, -0.04);
+    let r = roughness * c0 + c1;
+    let a004 = min(r.x * r.x, exp2(-9.28 * nDotV)) * r.x + r.y;
+    return vec2<f32>(-1.04, 1.04) * a004 + r.zw;
+}
+
 @fragment
 fn fs_main(in : VertexOut) -> @location(0) vec4<f32> {
-    var texColor = vec4<f32>(1.0, 1.0, 1.0, 1.0);
+    // Sample everything up front: implicit-derivative sampling must stay in
+    // uniform control flow, ahead of the MASK discard.
+    let baseSample = textureSample(uTexture, uSampler, materialUv(in, UV_BASE_COLOR));
+    let normalSample = textureSample(uNormalTexture, uSampler, materialUv(in, UV_NORMAL)).rgb;
+    let metallicRoughnessSample = textureSample(
+        uMetallicRoughnessTexture, uSampler, materialUv(in, UV_METALLIC_ROUGHNESS),
+    );
+    let occlusionSample = textureSample(uOcclusionTexture, uSampler, materialUv(in, UV_OCCLUSION)).r;
+
+    var baseColor = material.baseColor;
     if (material.hasTexture != 0u) {
-        texColor = textureSample(uTexture, uSampler, in.vTexCoord);
+        baseColor *= vec4<f32>(srgbToLinear(baseSample.rgb), baseSample.a);
+    }
+    if (hasTextureFlag(MATERIAL_VERTEX_COLOR)) {
+        baseColor *= in.vColor;
+    }
+    if (material.alphaMode == 1u && baseColor.a < material.alphaCutoff) {
+        discard;
+    }
+    let alpha = select(1.0, baseColor.a, material.alphaMode == 2u);
+    if (hasTextureFlag(MATERIAL_UNLIT)) {
+        return vec4<f32>(linearToSrgb(baseColor.rgb + material.emissive.rgb * material.emissive.a), alpha);
+    }
+
+    var metallic = material.surface.x;
+    var roughness = material.surface.y;
+    if (hasTextureFlag(TEXTURE_METALLIC_ROUGHNESS)) {
+        roughness *= metallicRoughnessSample.g;
+        metallic *= metallicRoughnessSample.b;
     }
-    return material.baseColor * texColor * vec4<f32>(in.vLighting, 1.0);
+    metallic = clamp(metallic, 0.0, 1.0);
+    roughness = clamp(roughness, MIN_ROUGHNESS, 1.0);
+    var occlusion = 1.0;
+    if (hasTextureFlag(TEXTURE_OCCLUSION)) {
+        occlusion = 1.0 + material.surface.w * (occlusionSample - 1.0);
+    }
+
+    let normal = shadingNormal(in, normalSample);
+    let toView = normalize(-in.vViewPosition);
+    let toLight = normalize(uniforms.lightDirection.xyz);
+    let nDotV = max(dot(normal, toView), 1e-4);
+
+    let albedo = baseColor.rgb;
+    let f0 = mix(vec3<f32>(DIELECTRIC_F0), albedo, metallic);
+    // Scaled by π so a white Lambertian surface facing the default light
+    // reflects exactly the light's colour, as the earlier vertex lighting did.
+    var direct = reflectedFraction(normal, toView, toLight, albedo, f0, metallic, roughness)
+        * uniforms.lightColor.rgb * PI;
+    for (var i = 0u; i < min(punctualLights.count.x, MAX_PUNCTUAL_LIGHTS); i++) {
+        direct += punctualLighting(
+            punctualLights.lights[i], in.vViewPosition, normal, toView, albedo, f0, metallic, roughness,
+        );
+    }
+    var ambient = (albedo * (1.0 - metallic) + f0) * uniforms.lightColor.a * occlusion;
+    if (environment.params.x > 0.0) {
+        let worldNormal = normalize((environment.viewToWorld * vec4<f32>(normal, 0.0)).xyz);
+        let reflected = reflect(-toView, normal);
+        let worldReflected = normalize((environment.viewToWorld * vec4<f32>(reflected, 0.0)).xyz);
+        let specularLevel = roughness * (environment.params.z - 1.0);
+        let prefiltered = textureSampleLevel(
+            uEnvironmentTexture, uEnvironmentSampler, equirectangularUv(worldReflected), specularLevel,
+        ).rgb;
+        let brdf = environmentBrdf(nDotV, roughness);
+        let diffuseIbl = albedo * (1.0 - metallic) * irradianceSh(worldNormal);
+        let specularIbl = prefiltered * (f0 * brdf.x + brdf.y);
+        ambient = (diffuseIbl + specularIbl) * environment.params.y * occlusion;
+    }
+    let emissive = material.emissive.rgb * material.emissive.a;
+
+    // Only the blended pipeline consumes alpha; the others write opaque pixels.
+    return vec4<f32>(linearToSrgb(direct + ambient + emissive), alpha);
 }
@@ -1,8 +1,12 @@
+// type (w of vectorAndType): 0 directional (xyz = travel direction), 1 point,
+// 2 spot (xyz = position). ambientExposureCone.zw holds the spot's inner and
+// outer cone cosines; spotDirectionAndRange is its travel direction and the
+// point/spot range (0 when unlimited).
 struct LightUniforms {
     vectorAndType : vec4<f32>,
     colorAndIntensity : vec4<f32>,
-    ambientExposure : vec4<f32>,
-    _reserved : vec4<f32>,
+    ambientExposureCone : vec4<f32>,
+    spotDirectionAndRange : vec4<f32>,
 }
 
 @group(0) @binding(0) var worldPositionTexture : texture_2d<f32>;
@@ -53,14 +57,28 @@ fn fs_composite(in : FullscreenOut) -> @location(0) vec4<f32> {
         let distanceSquared = max(dot(toLight, toLight), 1e-4);
         lightDirection = toLight * inverseSqrt(distanceSquared);
         attenuation = 1.0 / max(distanceSquared, 1.0);
+        let range = light.spotDirectionAndRange.w;
+        if (range > 0.0) {
+            let ratio = distanceSquared / (range * range);
+            let rangeWindow = clamp(1.0 - ratio * ratio, 0.0, 1.0);
+            attenuation *= rangeWindow * rangeWindow;
+        }
+        if (light.vectorAndType.w > 1.5) {
+            // glTF cone falloff, as in raytrace.wgsl.
+            let cosInner = light.ambientExposureCone.z;
+            let cosOuter = light.ambientExposureCone.w;
+            let cosAngle = dot(normalize(light.spotDirectionAndRange.xyz), -lightDirection);
+            let t = clamp((cosAngle - cosOuter) / max(1e-3, cosInner - cosOuter), 0.0, 1.0);
+            attenuation *= t * t;
+        }
     }
     let direct = visibility * max(dot(normal, lightDirection), 0.0)
         * light.colorAndIntensity.w * attenuation;
     let linear = albedo.rgb * (
-        vec3<f32>(light.ambientExposure.x)
+        vec3<f32>(light.ambientExposureCone.x)
         + light.colorAndIntensity.rgb * direct
     );
-    let exposed = linear * light.ambientExposure.y;
+    let exposed = linear * light.ambientExposureCone.y;
     let mapped = exposed / (vec3<f32>(1.0) + exposed);
     return vec4<f32>(linearToSrgb(mapped), 1.0);
 }
@@ -5,12 +5,19 @@ struct FrameUniforms {
     inverseModel : mat4x4<f32>,
 }
 
+// alphaMode: 0 = OPAQUE, 1 = MASK, 2 = BLEND; BLEND is stored as opaque.
+// Shares the mesh shader's 192-byte layout; the G-buffer does not store the
+// PBR terms (textureFlags, emissive, surface) yet, and of the UV transforms
+// reads only the base colour's (the first pair).
 struct MaterialUniforms {
     baseColor : vec4<f32>,
     hasTexture : u32,
-    _pad0 : u32,
-    _pad1 : u32,
-    _pad2 : u32,
+    alphaMode : u32,
+    alphaCutoff : f32,
+    textureFlags : u32,
+    emissive : vec4<f32>,
+    surface : vec4<f32>,
+    uvTransforms : array<vec4<f32>, 8>,
 }
 
 @group(0) @binding(0) var<uniform> frame : FrameUniforms;
@@ -23,6 +30,7 @@ struct VertexOut {
     @location(0) worldPosition : vec3<f32>,
     @location(1) worldNormal : vec3<f32>,
     @location(2) texCoord : vec2<f32>,
+    @location(3) texCoord1 : vec2<f32>,
 }
 
 @vertex
@@ -30,6 +38,7 @@ fn vs_gbuffer(
     @location(0) position : vec3<f32>,
     @location(1) normal : vec3<f32>,
     @location(2) texCoord : vec2<f32>,
+    @location(3) texCoord1 : vec2<f32>,
 ) -> VertexOut {
     var out : VertexOut;
     let world = frame.model * vec4<f32>(position, 1.0);
@@ -42,6 +51,7 @@ fn vs_gbuffer(
     out.worldPosition = world.xyz;
     out.worldNormal = normalize(transpose(inverseLinear) * normal);
     out.texCoord = texCoord;
+    out.texCoord1 = texCoord1;
     return out;
 }
 
@@ -56,7 +66,13 @@ fn fs_gbuffer(in : VertexOut) -> GBufferOut {
     var out : GBufferOut;
     var baseColor = material.baseColor;
     if (material.hasTexture != 0u) {
-        baseColor *= textureSample(baseColorTexture, materialSampler, in.texCoord);
+        let row0 = material.uvTransforms[0];
+        let uv = vec3<f32>(select(in.texCoord, in.texCoord1, row0.w > 0.5), 1.0);
+        let transformed = vec2<f32>(dot(row0.xyz, uv), dot(material.uvTransforms[1].xyz, uv));
+        baseColor *= textureSample(baseColorTexture, materialSampler, transformed);
+    }
+    if (material.alphaMode == 1u && baseColor.a < material.alphaCutoff) {
+        discard;
     }
     out.worldPosition = vec4<f32>(in.worldPosition, 1.0);
     out.normal = vec4<f32>(normalize(in.worldNormal), 1.0);
@@ -1,5 +1,6 @@
 const INVALID_INDEX : u32 = 0xffffffffu;
 const FRAME_FLAG_HAS_TLAS : u32 = 1u;
+const MATERIAL_FLAG_ALPHA_MASK : u32 = 1u;
 const TRIANGLE_EPSILON : f32 = 1e-8;
 const INFINITY_DISTANCE : f32 = 1e30;
 const STACK_CAPACITY : u32 = 64u;
@@ -8,7 +9,8 @@ struct Vertex {
     position : vec4<f32>,
     normal : vec4<f32>,
     texCoord : vec2<f32>,
-    padding : vec2<f32>,
+    color : vec2<u32>,
+    texCoord1 : vec2<f32>,
 }
 
 struct Triangle {
@@ -38,10 +40,17 @@ struct Material {
     baseColor : vec4<f32>,
     emissive : vec4<f32>,
     surface : vec4<f32>,
+    transmission : vec4<f32>,
     textureIndex : u32,
     flags : u32,
-    reserved0 : u32,
+    // The TEXCOORD set the base-colour image reads.
+    texCoord : u32,
     reserved1 : u32,
+    // Base-colour texels in the atlas: x, y, width, height.
+    textureRect : vec4<u32>,
+    // Rows of the base-colour 2×3 uv transform (gltf-texture-transform.js).
+    uvTransformU : vec4<f32>,
+    uvTransformV : vec4<f32>,
 }
 
 struct ShadowUniforms {
@@ -55,6 +64,11 @@ struct Ray {
     direction : vec3<f32>,
 }
 
+struct TriangleHit {
+    valid : bool,
+    barycentric : vec3<f32>,
+}
+
 @group(0) @binding(0) var<uniform> frame : ShadowUniforms;
 @group(0) @binding(1) var<storage, read> vertices : array<Vertex>;
 @group(0) @binding(2) var<storage, read> triangles : array<Triangle>;
@@ -62,6 +76,7 @@ struct Ray {
 @group(0) @binding(4) var<storage, read> leafReferences : array<u32>;
 @group(0) @binding(5) var<storage, read> instances : array<Instance>;
 @group(0) @binding(6) var<storage, read> materials : array<Material>;
+@group(0) @binding(7) var textureAtlas : texture_2d<f32>;
 
 @group(1) @binding(0) var worldPositionTexture : texture_2d<f32>;
 @group(1) @binding(1) var normalTexture : texture_2d<f32>;
@@ -91,8 +106,57 @@ fn intersectAabb(ray : Ray, boundsMin : vec3<f32>, boundsMax : vec3<f32>, tMin :
     return enter < tMax && exit >= tMin;
 }
 
+fn vertexTexCoord(index : u32, texCoordSet : u32) -> vec2<f32> {
+    let vertex = vertices[index];
+    return select(vertex.texCoord, vertex.texCoord1, texCoordSet == 1u);
+}
+
+// Base-colour alpha at a point of a triangle: factor, COLOR_0 and the bilinear
+// texel in the material's uv set and transform; the alpha baseColorUv(),
+// sampleBaseColor() and surfaceBaseColor() in raytrace.wgsl shade with.
+fn surfaceAlpha(material : Material, triangleIndex : u32, barycentric : vec3<f32>) -> f32 {
+    let triangle = triangles[triangleIndex];
+    let vertexAlpha = unpack2x16unorm(vertices[triangle.i0].color.y).y * barycentric.x
+        + unpack2x16unorm(vertices[triangle.i1].color.y).y * barycentric.y
+        + unpack2x16unorm(vertices[triangle.i2].color.y).y * barycentric.z;
+    let alpha = material.baseColor.a * vertexAlpha;
+    if (material.textureIndex == INVALID_INDEX) {
+        return alpha;
+    }
+    let uv = vec3<f32>(
+        vertexTexCoord(triangle.i0, material.texCoord) * barycentric.x
+        + vertexTexCoord(triangle.i1, material.texCoord) * barycentric.y
+        + vertexTexCoord(triangle.i2, material.texCoord) * barycentric.z,
+        1.0
+    );
+    let origin = vec2<i32>(material.textureRect.xy);
+    let size = vec2<i32>(material.textureRect.zw);
+    let position = vec2<f32>(dot(material.uvTransformU.xyz, uv), dot(material.uvTransformV.xyz, uv)) * vec2<f32>(size) - 0.5;
+    let corner = floor(position);
+    let fraction = position - corner;
+    var texelAlpha = 0.0;
+    for (var tap = 0u; tap < 4u; tap += 1u) {
+        let offset = vec2<i32>(i32(tap & 1u), i32(tap >> 1u));
+        let weight = select(1.0 - fraction.x, fraction.x, offset.x == 1) * select(1.0 - fraction.y, fraction.y, offset.y == 1);
+        let wrapped = ((vec2<i32>(corner) + offset) % size + size) % size;
+        texelAlpha += textureLoad(textureAtlas, origin + wrapped, 0).a * weight;
+    }
+    return alpha * texelAlpha;
+}
+
+// Mirrors isAlphaMaskedOut() in core/base-color.js: a MASK material lets
+// shadow rays through where its base-colour alpha falls below the cutoff.
+fn alphaMaskedOut(materialIndex : u32, triangleIndex : u32, barycentric : vec3<f32>) -> bool {
+    let material = materials[materialIndex];
+    if ((material.flags & MATERIAL_FLAG_ALPHA_MASK) == 0u) {
+        return false;
+    }
+    return surfaceAlpha(material, triangleIndex, barycentric) < material.surface.z;
+}
+
 // Absolute determinant rejection makes shadow traversal deliberately two-sided.
-fn intersectTriangleAny(ray : Ray, triangleIndex : u32, tMin : f32, tMax : f32) -> bool {
+fn intersectTriangleAny(ray : Ray, triangleIndex : u32, tMin : f32, tMax : f32) -> TriangleHit {
+    let miss = TriangleHit(false, vec3<f32>(0.0));
     let triangle = triangles[triangleIndex];
     let p0 = vertices[triangle.i0].position.xyz;
     let p1 = vertices[triangle.i1].position.xyz;
@@ -102,24 +166,24 @@ fn intersectTriangleAny(ray : Ray, triangleIndex : u32, tMin : f32, tMax : f32)
     let pVector = cross(ray.direction, edge2);
     let determinant = dot(edge1, pVector);
     if (abs(determinant) < TRIANGLE_EPSILON) {
-        return false;
+        return miss;
     }
     let inverseDeterminant = 1.0 / determinant;
     let tVector = ray.origin - p0;
     let u = dot(tVector, pVector) * inverseDeterminant;
     if (u < 0.0 || u > 1.0) {
-        return false;
+        return miss;
     }
     let qVector = cross(tVector, edge1);
     let v = dot(ray.direction, qVector) * inverseDeterminant;
     if (v < 0.0 || u + v > 1.0) {
-        return false;
+        return miss;
     }
     let distance = dot(edge2, qVector) * inverseDeterminant;
-    return distance >= tMin && distance < tMax;
+    return TriangleHit(distance >= tMin && distance < tMax, vec3<f32>(1.0 - u - v, u, v));
 }
 
-fn intersectBlasAny(ray : Ray, root : u32, tMin : f32, tMax : f32) -> bool {
+fn intersectBlasAny(ray : Ray, root : u32, materialIndex : u32, tMin : f32, tMax : f32) -> bool {
     if (root == INVALID_INDEX) {
         return false;
     }
@@ -138,7 +202,9 @@ fn intersectBlasAny(ray : Ray, root : u32, tMin : f32, tMax : f32) -> bool {
         if (node.primitiveCount > 0u) {
             let end = node.leftFirst + node.primitiveCount;
             for (var referenceIndex = node.leftFirst; referenceIndex < end; referenceIndex += 1u) {
-                if (intersectTriangleAny(ray, leafReferences[referenceIndex], tMin, tMax)) {
+                let triangleIndex = leafReferences[referenceIndex];
+                let hit = intersectTriangleAny(ray, triangleIndex, tMin, tMax);
+                if (hit.valid && !alphaMaskedOut(materialIndex, triangleIndex, hit.barycentric)) {
                     return true;
                 }
             }
@@ -180,7 +246,7 @@ fn sceneOccluded(ray : Ray, tMin : f32, tMax : f32) -> bool {
                     (instance.inverseWorldMatrix * vec4<f32>(ray.origin, 1.0)).xyz,
                     (instance.inverseWorldMatrix * vec4<f32>(ray.direction, 0.0)).xyz
                 );
-                if (intersectBlasAny(localRay, instance.blasRoot, tMin, tMax)) {
+                if (intersectBlasAny(localRay, instance.blasRoot, instance.materialIndex, tMin, tMax)) {
                     return true;
                 }
             }
@@ -0,0 +1,103 @@
+// Mesh deformation for glTF primitives (WebGPU backend): morph targets, then
+// linear-blend skinning, in the order the glTF spec applies them.
+//
+// deform_vertices: one thread per vertex → add the weighted POSITION/NORMAL/
+//   TANGENT deltas of every active morph target to the bind pose, blend up to
+//   four joint matrices by JOINTS_0/WEIGHTS_0, and write the result into the
+//   primitive's vertex buffers, which the mesh and hybrid G-buffer pipelines
+//   then draw unchanged. Mirrors deformVertices() in gltf-skinning.js
+//   (unit-tested there), including the renormalized normal and tangent.
+//
+// Unskinned primitives pass jointCount = 0 and unmorphed ones targetCount = 0;
+// their unused bindings hold small placeholder buffers. Inputs are interleaved
+// to stay within the default limit of eight storage buffers per stage.
+
+struct DeformParams {
+    vertexCount : u32,
+    jointCount  : u32,
+    targetCount : u32,
+    _pad0       : u32,
+}
+
+struct SkinInfluence {
+    joints  : vec4<u32>,
+    weights : vec4<f32>,
+}
+
+const BIND_POSE_STRIDE : u32 = 10u;  // position xyz, normal xyz, tangent xyzw
+const MORPH_DELTA_STRIDE : u32 = 9u; // position, normal, tangent deltas (xyz)
+
+@group(0) @binding(0) var<uniform>             params        : DeformParams;
+@group(0) @binding(1) var<storage, read>       bindPose      : array<f32>;
+@group(0) @binding(2) var<storage, read>       influences    : array<SkinInfluence>;
+@group(0) @binding(3) var<storage, read>       jointMatrices : array<mat4x4<f32>>;
+@group(0) @binding(4) var<storage, read>       morphDeltas   : array<f32>;
+@group(0) @binding(5) var<storage, read>       morphWeights  : array<f32>;
+@group(0) @binding(6) var<storage, read_write> outPositions  : array<f32>;
+@group(0) @binding(7) var<storage, read_write> outNormals    : array<f32>;
+@group(0) @binding(8) var<storage, read_write> outTangents   : array<f32>;
+
+fn safeNormalize(value : vec3<f32>) -> vec3<f32> {
+    let length2 = dot(value, value);
+    return select(vec3<f32>(0.0), value * inverseSqrt(length2), length2 > 0.0);
+}
+
+fn bindPoseVec3(offset : u32) -> vec3<f32> {
+    return vec3<f32>(bindPose[offset], bindPose[offset + 1u], bindPose[offset + 2u]);
+}
+
+fn morphDeltaVec3(offset : u32) -> vec3<f32> {
+    return vec3<f32>(morphDeltas[offset], morphDeltas[offset + 1u], morphDeltas[offset + 2u]);
+}
+
+@compute @workgroup_size(64)
+fn deform_vertices(@builtin(global_invocation_id) id : vec3<u32>) {
+    let vertex = id.x;
+    if (vertex >= params.vertexCount) {
+        return;
+    }
+    let pose = vertex * BIND_POSE_STRIDE;
+    var position = bindPoseVec3(pose);
+    var normal = bindPoseVec3(pose + 3u);
+    var tangent = bindPoseVec3(pose + 6u);
+    let handedness = bindPose[pose + 9u];
+
+    for (var morph = 0u; morph < params.targetCount; morph = morph + 1u) {
+        let weight = morphWeights[morph];
+        if (weight == 0.0) {
+            continue;
+        }
+        let delta = (morph * params.vertexCount + vertex) * MORPH_DELTA_STRIDE;
+        position += weight * morphDeltaVec3(delta);
+        normal += weight * morphDeltaVec3(delta + 3u);
+        tangent += weight * morphDeltaVec3(delta + 6u);
+    }
+
+    if (params.jointCount > 0u) {
+        let influence = influences[vertex];
+        let blended = jointMatrices[influence.joints.x] * influence.weights.x
+            + jointMatrices[influence.joints.y] * influence.weights.y
+            + jointMatrices[influence.joints.z] * influence.weights.z
+            + jointMatrices[influence.joints.w] * influence.weights.w;
+        position = (blended * vec4<f32>(position, 1.0)).xyz;
+        normal = (blended * vec4<f32>(normal, 0.0)).xyz;
+        tangent = (blended * vec4<f32>(tangent, 0.0)).xyz;
+    }
+
+    let base = vertex * 3u;
+    outPositions[base] = position.x;
+    outPositions[base + 1u] = position.y;
+    outPositions[base + 2u] = position.z;
+
+    let unitNormal = safeNormalize(normal);
+    outNormals[base] = unitNormal.x;
+    outNormals[base + 1u] = unitNormal.y;
+    outNormals[base + 2u] = unitNormal.z;
+
+    let unitTangent = safeNormalize(tangent);
+    let tangentBase = vertex * 4u;
+    outTangents[tangentBase] = unitTangent.x;
+    outTangents[tangentBase + 1u] = unitTangent.y;
+    outTangents[tangentBase + 2u] = unitTangent.z;
+    outTangents[tangentBase + 3u] = handedness;
+}
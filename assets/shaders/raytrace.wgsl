@@ -1,21 +1,42 @@
-// WebGPU ray tracing MVP: primary rays, TLAS -> BLAS traversal, direct area light,
-// hard shadows, running-average accumulation, and fullscreen tone mapping.
+// WebGPU ray tracing MVP: primary rays, TLAS -> BLAS traversal, a GGX
+// metallic-roughness BSDF with rough dielectric transmission and Beer-Lambert
+// absorption, a power-weighted light table (rect, sphere, point, spot,
+// directional and emissive-triangle lights) and importance-sampled HDR
+// environment light (area lights and the map MIS-weighted against BSDF
+// sampling), hard shadows, running-average accumulation, and fullscreen tone mapping.
 
 const INVALID_INDEX : u32 = 0xffffffffu;
 const INSTANCE_FLAG_FLIPS_HANDEDNESS : u32 = 1u;
 const FRAME_FLAG_HAS_TLAS : u32 = 1u;
+const FRAME_FLAG_HAS_ENVIRONMENT_MAP : u32 = 2u;
+const MATERIAL_FLAG_ALPHA_MASK : u32 = 1u;
+const MATERIAL_FLAG_THIN_WALLED : u32 = 2u;
+const MATERIAL_FLAG_DOUBLE_SIDED : u32 = 4u;
+// LIGHT_KINDS in core/light-table.js.
+const LIGHT_KIND_DIRECTIONAL : u32 = 0u;
+const LIGHT_KIND_POINT : u32 = 1u;
+const LIGHT_KIND_RECT : u32 = 2u;
+const LIGHT_KIND_SPHERE : u32 = 3u;
+const LIGHT_KIND_SPOT : u32 = 4u;
+const LIGHT_KIND_TRIANGLE : u32 = 5u;
+const LIGHT_RECORD_WORDS : u32 = 20u;
 const TRIANGLE_EPSILON : f32 = 1e-8;
 const INFINITY_DISTANCE : f32 = 1e30;
 const STACK_CAPACITY : u32 = 64u;
 const MAX_BOUNCES : u32 = 16u;
 const MAX_SAMPLES_PER_FRAME : u32 = 16u;
 const PI : f32 = 3.141592653589793;
+const MIN_ROUGHNESS : f32 = 0.045;
+const MIN_COSINE : f32 = 1e-4;
 
 struct Vertex {
     position : vec4<f32>,
     normal : vec4<f32>,
     texCoord : vec2<f32>,
-    padding : vec2<f32>,
+    // Linear RGBA vertex colour as pack2x16unorm words (white without COLOR_0).
+    color : vec2<u32>,
+    // TEXCOORD_1, or TEXCOORD_0 again when the geometry has no second set.
+    texCoord1 : vec2<f32>,
 }
 
 struct Triangle {
@@ -45,10 +66,18 @@ struct Material {
     baseColor : vec4<f32>,
     emissive : vec4<f32>,
     surface : vec4<f32>,
+    // xyz: absorption coefficient, w: transmission factor.
+    transmission : vec4<f32>,
     textureIndex : u32,
     flags : u32,
-    reserved0 : u32,
+    // The TEXCOORD set the base-colour image reads.
+    texCoord : u32,
     reserved1 : u32,
+    // Base-colour texels in the atlas: x, y, width, height.
+    textureRect : vec4<u32>,
+    // Rows of the base-colour 2×3 uv transform (gltf-texture-transform.js).
+    uvTransformU : vec4<f32>,
+    uvTransformV : vec4<f32>,
 }
 
 struct FrameUniforms {
@@ -60,10 +89,12 @@ struct FrameUniforms {
     renderSettings : vec4<u32>,
     numerical : vec4<f32>,
     environment : vec4<f32>,
-    lightPosition : vec4<f32>,
-    lightU : vec4<f32>,
-    lightV : vec4<f32>,
-    lightColor : vec4<f32>,
+    // Light count and the f32 offsets of the light records, the light CDF and
+    // the per-instance light bases in lightingData.
+    lights : vec4<u32>,
+    // width, height, and the f32 offsets of the conditional CDFs and texels
+    // in lightingData (packGpuLighting in gpu-scene-packer.js).
+    environmentMap : vec4<u32>,
 }
 
 struct Diagnostics {
@@ -73,6 +104,82 @@ struct Diagnostics {
     reserved : atomic<u32>,
 }
 
+struct CdfSample {
+    index : u32,
+    fraction : f32,
+}
+
+// One light-table record (LightTableEntry in core/light-table.js). u is the
+// rect half-edge or the spot/directional travel direction; range is zero for
+// unlimited point and spot lights.
+struct Light {
+    position : vec3<f32>,
+    kind : u32,
+    u : vec3<f32>,
+    radius : f32,
+    v : vec3<f32>,
+    cosInner : f32,
+    emission : vec3<f32>,
+    cosOuter : f32,
+    instanceIndex : u32,
+    triangleIndex : u32,
+    twoSided : bool,
+    range : f32,
+}
+
+struct LightSample {
+    direction : vec3<f32>,
+    distance : f32,
+    radiance : vec3<f32>,
+    pdf : f32,
+    delta : bool,
+    valid : bool,
+}
+
+// An emissive triangle's world-space corner and edges.
+struct EmitterTriangle {
+    p0 : vec3<f32>,
+    edge1 : vec3<f32>,
+    edge2 : vec3<f32>,
+}
+
+struct EnvironmentSample {
+    direction : vec3<f32>,
+    pdf : f32,
+    radiance : vec3<f32>,
+}
+
+// Per-hit BSDF state (createBsdfSurface in cpu/bsdf.js).
+struct BsdfSurface {
+    normal : vec3<f32>,
+    nDotV : f32,
+    outgoing : vec3<f32>,
+    alpha2 : f32,
+    f0 : vec3<f32>,
+    specularProbability : f32,
+    diffuseColor : vec3<f32>,
+    transmissionProbability : f32,
+    transmission : f32,
+    eta : f32,
+    thinWalled : bool,
+}
+
+struct BsdfSample {
+    direction : vec3<f32>,
+    pdf : f32,
+    weight : vec3<f32>,
+    valid : bool,
+    transmitted : bool,
+}
+
+// One GGX lobe toward a direction: Fresnel, the scalar lobe value and its pdf.
+struct Lobe {
+    fresnel : vec3<f32>,
+    value : f32,
+    pdf : f32,
+    valid : bool,
+}
+
 struct Ray {
     origin : vec3<f32>,
     direction : vec3<f32>,
@@ -93,9 +200,11 @@ struct WorldHit {
     t : f32,
     materialIndex : u32,
     instanceIndex : u32,
+    triangleIndex : u32,
     position : vec3<f32>,
     geometricNormal : vec3<f32>,
     shadingNormal : vec3<f32>,
+    barycentric : vec3<f32>,
 }
 
 @group(0) @binding(0) var<uniform> frame : FrameUniforms;
@@ -106,6 +215,9 @@ struct WorldHit {
 @group(0) @binding(5) var<storage, read> instances : array<Instance>;
 @group(0) @binding(6) var<storage, read> materials : array<Material>;
 @group(0) @binding(7) var<storage, read_write> diagnostics : Diagnostics;
+@group(0) @binding(8) var<storage, read> lightingData : array<f32>;
+// sRGB-encoded RGBA8 base-colour images (packTextureAtlas in gpu-scene-packer.js).
+@group(0) @binding(9) var textureAtlas : texture_2d<f32>;
 
 @group(1) @binding(0) var previousAccumulation : texture_2d<f32>;
 @group(1) @binding(1) var nextAccumulation : texture_storage_2d<rgba16float, write>;
@@ -115,7 +227,79 @@ fn noLocalHit(tMax : f32) -> LocalHit {
 }
 
 fn noWorldHit(tMax : f32) -> WorldHit {
-    return WorldHit(0u, tMax, INVALID_INDEX, INVALID_INDEX, vec3<f32>(0.0), vec3<f32>(0.0), vec3<f32>(0.0));
+    return WorldHit(
+        0u, tMax, INVALID_INDEX, INVALID_INDEX, INVALID_INDEX, vec3<f32>(0.0), vec3<f32>(0.0), vec3<f32>(0.0), vec3<f32>(0.0),
+    );
+}
+
+fn unpackVertexColor(color : vec2<u32>) -> vec4<f32> {
+    return vec4<f32>(unpack2x16unorm(color.x), unpack2x16unorm(color.y));
+}
+
+fn vertexTexCoord(index : u32, texCoordSet : u32) -> vec2<f32> {
+    let vertex = vertices[index];
+    return select(vertex.texCoord, vertex.texCoord1, texCoordSet == 1u);
+}
+
+// A material's base-colour uv at a point of a triangle: its TEXCOORD set
+// through its KHR_texture_transform; mirrors surfaceBaseColor() in core/base-color.js.
+fn baseColorUv(material : Material, triangleIndex : u32, barycentric : vec3<f32>) -> vec2<f32> {
+    let triangle = triangles[triangleIndex];
+    let uv = vec3<f32>(
+        vertexTexCoord(triangle.i0, material.texCoord) * barycentric.x
+        + vertexTexCoord(triangle.i1, material.texCoord) * barycentric.y
+        + vertexTexCoord(triangle.i2, material.texCoord) * barycentric.z,
+        1.0
+    );
+    return vec2<f32>(dot(material.uvTransformU.xyz, uv), dot(material.uvTransformV.xyz, uv));
+}
+
+fn srgbToLinear(color : vec3<f32>) -> vec3<f32> {
+    let low = color / 12.92;
+    let high = pow((color + vec3<f32>(0.055)) / 1.055, vec3<f32>(2.4));
+    return select(high, low, color <= vec3<f32>(0.04045));
+}
+
+// Bilinear, repeat-wrapped lookup of a material's base-colour image at glTF
+// texture coordinates, filtered in sRGB and then decoded; mirrors sampleImage()
+// in core/base-color.js.
+fn sampleBaseColor(material : Material, uv : vec2<f32>) -> vec4<f32> {
+    let origin = vec2<i32>(material.textureRect.xy);
+    let size = vec2<i32>(material.textureRect.zw);
+    let position = uv * vec2<f32>(size) - 0.5;
+    let corner = floor(position);
+    let fraction = position - corner;
+    var texel = vec4<f32>(0.0);
+    for (var tap = 0u; tap < 4u; tap += 1u) {
+        let offset = vec2<i32>(i32(tap & 1u), i32(tap >> 1u));
+        let weight = select(1.0 - fraction.x, fraction.x, offset.x == 1) * select(1.0 - fraction.y, fraction.y, offset.y == 1);
+        let wrapped = ((vec2<i32>(corner) + offset) % size + size) % size;
+        texel += textureLoad(textureAtlas, origin + wrapped, 0) * weight;
+    }
+    return vec4<f32>(srgbToLinear(texel.xyz), texel.w);
+}
+
+// A material's base colour at a point of a triangle: the factor times the
+// interpolated COLOR_0 and the base-colour texel; mirrors surfaceBaseColor() in core/base-color.js.
+fn surfaceBaseColor(material : Material, triangleIndex : u32, barycentric : vec3<f32>) -> vec4<f32> {
+    let triangle = triangles[triangleIndex];
+    var color = material.baseColor * (unpackVertexColor(vertices[triangle.i0].color) * barycentric.x
+        + unpackVertexColor(vertices[triangle.i1].color) * barycentric.y
+        + unpackVertexColor(vertices[triangle.i2].color) * barycentric.z);
+    if (material.textureIndex != INVALID_INDEX) {
+        color *= sampleBaseColor(material, baseColorUv(material, triangleIndex, barycentric));
+    }
+    return color;
+}
+
+// Mirrors isAlphaMaskedOut() in core/base-color.js: a MASK material cuts out
+// the hits whose shaded base-colour alpha falls below its cutoff.
+fn alphaMaskedOut(materialIndex : u32, triangleIndex : u32, barycentric : vec3<f32>) -> bool {
+    let material = materials[materialIndex];
+    if ((material.flags & MATERIAL_FLAG_ALPHA_MASK) == 0u) {
+        return false;
+    }
+    return surfaceBaseColor(material, triangleIndex, barycentric).a < material.surface.z;
 }
 
 fn rngNext(state : ptr<function, u32>) -> f32 {
@@ -235,7 +419,7 @@ fn pushChildren(
     return true;
 }
 
-fn intersectBlas(ray : Ray, root : u32, tMin : f32, tMax : f32, anyHit : bool) -> LocalHit {
+fn intersectBlas(ray : Ray, root : u32, materialIndex : u32, tMin : f32, tMax : f32, anyHit : bool) -> LocalHit {
     if (root == INVALID_INDEX) {
         return noLocalHit(tMax);
     }
@@ -258,7 +442,7 @@ fn intersectBlas(ray : Ray, root : u32, tMin : f32, tMax : f32, anyHit : bool) -
             let end = node.leftFirst + node.primitiveCount;
             for (var referenceIndex = node.leftFirst; referenceIndex < end; referenceIndex += 1u) {
                 let hit = intersectTriangle(ray, leafReferences[referenceIndex], tMin, closest);
-                if (hit.valid == 0u) {
+                if (hit.valid == 0u || alphaMaskedOut(materialIndex, hit.triangleIndex, hit.barycentric)) {
                     continue;
                 }
                 if (anyHit) {
@@ -322,7 +506,7 @@ fn intersectScene(ray : Ray, tMin : f32, tMax : f32, anyHit : bool) -> WorldHit
                     (instance.inverseWorldMatrix * vec4<f32>(ray.origin, 1.0)).xyz,
                     (instance.inverseWorldMatrix * vec4<f32>(ray.direction, 0.0)).xyz
                 );
-                let localHit = intersectBlas(localRay, instance.blasRoot, tMin, closest, anyHit);
+                let localHit = intersectBlas(localRay, instance.blasRoot, instance.materialIndex, tMin, closest, anyHit);
                 if (localHit.valid == 0u) {
                     continue;
                 }
@@ -343,9 +527,11 @@ fn intersectScene(ray : Ray, tMin : f32, tMax : f32, anyHit : bool) -> WorldHit
                     localHit.t,
                     instance.materialIndex,
                     instanceIndex,
+                    localHit.triangleIndex,
                     ray.origin + ray.direction * localHit.t,
                     geometricNormal,
-                    shadingNormal
+                    shadingNormal,
+                    localHit.barycentric
                 );
                 closest = localHit.t;
                 if (anyHit) {
@@ -367,57 +553,597 @@ fn intersectScene(ray : Ray, tMin : f32, tMax : f32, anyHit : bool) -> WorldHit
     return result;
 }
 
-fn estimateDirect(hit : WorldHit, incomingRay : Ray, material : Material, rng : ptr<function, u32>) -> vec3<f32> {
-    if (frame.renderSettings.z != 2u || frame.lightPosition.w <= 0.0) {
-        return vec3<f32>(0.0);
+// Origin for a ray leaving the hit along direction, nudged off the surface on that side.
+fn offsetOrigin(hit : WorldHit, incomingRay : Ray, direction : vec3<f32>) -> vec3<f32> {
+    var offsetNormal = orientedGeometricNormal(hit, incomingRay.direction);
+    if (dot(offsetNormal, direction) < 0.0) {
+        offsetNormal = -offsetNormal;
     }
-    let lightCross = cross(frame.lightU.xyz, frame.lightV.xyz);
-    let halfArea = length(lightCross);
-    if (halfArea <= 0.0) {
-        return vec3<f32>(0.0);
+    return hit.position + offsetNormal * frame.numerical.x;
+}
+
+fn loadLight(index : u32) -> Light {
+    let base = frame.lights.y + index * LIGHT_RECORD_WORDS;
+    return Light(
+        vec3<f32>(lightingData[base], lightingData[base + 1u], lightingData[base + 2u]),
+        bitcast<u32>(lightingData[base + 3u]),
+        vec3<f32>(lightingData[base + 4u], lightingData[base + 5u], lightingData[base + 6u]),
+        lightingData[base + 7u],
+        vec3<f32>(lightingData[base + 8u], lightingData[base + 9u], lightingData[base + 10u]),
+        lightingData[base + 11u],
+        vec3<f32>(lightingData[base + 12u], lightingData[base + 13u], lightingData[base + 14u]),
+        lightingData[base + 15u],
+        bitcast<u32>(lightingData[base + 16u]),
+        bitcast<u32>(lightingData[base + 17u]),
+        bitcast<u32>(lightingData[base + 18u]) != 0u,
+        lightingData[base + 19u],
+    );
+}
+
+fn lightKind(index : u32) -> u32 {
+    return bitcast<u32>(lightingData[frame.lights.y + index * LIGHT_RECORD_WORDS + 3u]);
+}
+
+fn lightSelectionProbability(index : u32) -> f32 {
+    return lightingData[frame.lights.z + index + 1u] - lightingData[frame.lights.z + index];
+}
+
+// World-space corners of an emissive triangle, posed by its instance's current transform.
+fn emitterTriangle(light : Light) -> EmitterTriangle {
+    let triangle = triangles[light.triangleIndex];
+    let worldMatrix = instances[light.instanceIndex].worldMatrix;
+    let p0 = (worldMatrix * vec4<f32>(vertices[triangle.i0].position.xyz, 1.0)).xyz;
+    let p1 = (worldMatrix * vec4<f32>(vertices[triangle.i1].position.xyz, 1.0)).xyz;
+    let p2 = (worldMatrix * vec4<f32>(vertices[triangle.i2].position.xyz, 1.0)).xyz;
+    return EmitterTriangle(p0, p1 - p0, p2 - p0);
+}
+
+// Distance along a unit ray to the near side of a sphere, or INFINITY_DISTANCE.
+fn sphereDistance(center : vec3<f32>, radius : f32, origin : vec3<f32>, direction : vec3<f32>) -> f32 {
+    let offset = origin - center;
+    let b = dot(direction, offset);
+    let discriminant = b * b - (dot(offset, offset) - radius * radius);
+    if (discriminant < 0.0) {
+        return INFINITY_DISTANCE;
+    }
+    let distance = -b - sqrt(discriminant);
+    return select(INFINITY_DISTANCE, distance, distance > 0.0);
+}
+
+// Solid-angle density of uniform sampling of the cone a sphere subtends.
+fn sphereConePdf(light : Light, origin : vec3<f32>) -> f32 {
+    let toCenter = light.position - origin;
+    let sinMax2 = light.radius * light.radius / dot(toCenter, toCenter);
+    if (!(sinMax2 < 1.0)) {
+        return 0.0;
+    }
+    return 1.0 / (2.0 * PI * (1.0 - sqrt(1.0 - sinMax2)));
+}
+
+fn noLightSample() -> LightSample {
+    return LightSample(vec3<f32>(0.0), 0.0, vec3<f32>(0.0), 0.0, false, false);
+}
+
+// Mirrors sampleLight() in core/light-table.js, including its two random
+// numbers for every light kind.
+fn sampleLight(light : Light, position : vec3<f32>, rng : ptr<function, u32>) -> LightSample {
+    let u1 = rngNext(rng);
+    let u2 = rngNext(rng);
+    if (light.kind == LIGHT_KIND_DIRECTIONAL) {
+        return LightSample(-light.u, INFINITY_DISTANCE, light.emission, 1.0, true, true);
+    }
+    if (light.kind == LIGHT_KIND_POINT || light.kind == LIGHT_KIND_SPOT) {
+        let toLight = light.position - position;
+        let distanceSquared = dot(toLight, toLight);
+        if (!(distanceSquared > 0.0)) {
+            return noLightSample();
+        }
+        let distance = sqrt(distanceSquared);
+        let direction = toLight / distance;
+        // glTF range window; a zero range is unlimited.
+        var falloff = 1.0;
+        if (light.range > 0.0) {
+            let ratio = distanceSquared / (light.range * light.range);
+            let rangeWindow = clamp(1.0 - ratio * ratio, 0.0, 1.0);
+            falloff = rangeWindow * rangeWindow;
+        }
+        if (light.kind == LIGHT_KIND_SPOT) {
+            let scale = 1.0 / max(1e-3, light.cosInner - light.cosOuter);
+            let t = clamp((dot(light.u, -direction) - light.cosOuter) * scale, 0.0, 1.0);
+            falloff *= t * t;
+        }
+        if (!(falloff > 0.0)) {
+            return noLightSample();
+        }
+        return LightSample(direction, distance, light.emission * (falloff / distanceSquared), 1.0, true, true);
+    }
+    if (light.kind == LIGHT_KIND_SPHERE) {
+        let pdf = sphereConePdf(light, position);
+        if (!(pdf > 0.0)) {
+            return noLightSample();
+        }
+        let toCenter = light.position - position;
+        let cosMax = sqrt(1.0 - light.radius * light.radius / dot(toCenter, toCenter));
+        let cosTheta = 1.0 - u1 * (1.0 - cosMax);
+        let sinTheta = sqrt(max(0.0, 1.0 - cosTheta * cosTheta));
+        let phi = 2.0 * PI * u2;
+        let direction = localToWorld(
+            normalize(toCenter),
+            vec3<f32>(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta),
+        );
+        var distance = sphereDistance(light.position, light.radius, position, direction);
+        // Grazing samples can miss the sphere by rounding; aim them at the centre instead.
+        if (distance >= INFINITY_DISTANCE) {
+            distance = length(toCenter);
+        }
+        return LightSample(direction, distance, light.emission, pdf, false, true);
+    }
+    var lightPoint : vec3<f32>;
+    var normal : vec3<f32>;
+    var area : f32;
+    if (light.kind == LIGHT_KIND_RECT) {
+        lightPoint = light.position + (u1 * 2.0 - 1.0) * light.u + (u2 * 2.0 - 1.0) * light.v;
+        normal = cross(light.u, light.v);
+        area = 4.0 * length(normal);
+    } else {
+        let triangle = emitterTriangle(light);
+        let root = sqrt(u1);
+        lightPoint = triangle.p0 + triangle.edge1 * (1.0 - root) + triangle.edge2 * (u2 * root);
+        normal = cross(triangle.edge1, triangle.edge2);
+        area = 0.5 * length(normal);
     }
-    let lightNormal = lightCross / halfArea;
-    let lightSample = frame.lightPosition.xyz
-        + (2.0 * rngNext(rng) - 1.0) * frame.lightU.xyz
-        + (2.0 * rngNext(rng) - 1.0) * frame.lightV.xyz;
-    let toLight = lightSample - hit.position;
+    if (!(area > 0.0)) {
+        return noLightSample();
+    }
+    normal = normalize(normal);
+    let toLight = lightPoint - position;
     let distanceSquared = dot(toLight, toLight);
-    let epsilon = frame.numerical.x;
-    if (distanceSquared <= epsilon * epsilon) {
-        return vec3<f32>(0.0);
+    if (!(distanceSquared > 0.0)) {
+        return noLightSample();
     }
     let distance = sqrt(distanceSquared);
     let direction = toLight / distance;
-    let surfaceCosine = dot(hit.shadingNormal, direction);
-    let lightCosine = dot(lightNormal, -direction);
-    if (surfaceCosine <= 0.0 || lightCosine <= 0.0) {
+    // One-sided emitters shine along their normal (u x v, or the winding normal).
+    var cosine = -dot(normal, direction);
+    if (light.twoSided) {
+        cosine = abs(cosine);
+    }
+    if (!(cosine > 0.0)) {
+        return noLightSample();
+    }
+    return LightSample(direction, distance, light.emission, distanceSquared / (cosine * area), false, true);
+}
+
+// Solid-angle density with which sampleLight() reaches a rect or sphere light
+// along the ray within maxDistance, zero when the ray misses it. Mirrors
+// intersectAnalyticLight() in core/light-table.js.
+fn analyticLightPdf(light : Light, ray : Ray, maxDistance : f32) -> f32 {
+    let epsilon = frame.numerical.x;
+    if (light.kind == LIGHT_KIND_SPHERE) {
+        let distance = sphereDistance(light.position, light.radius, ray.origin, ray.direction);
+        if (distance <= epsilon || distance > maxDistance + epsilon) {
+            return 0.0;
+        }
+        return sphereConePdf(light, ray.origin);
+    }
+    if (light.kind != LIGHT_KIND_RECT) {
+        return 0.0;
+    }
+    let lightCross = cross(light.u, light.v);
+    let lengthSquared = dot(lightCross, lightCross);
+    let denominator = dot(ray.direction, lightCross);
+    if (lengthSquared <= 0.0 || denominator >= 0.0) {
+        return 0.0;
+    }
+    let distance = dot(light.position - ray.origin, lightCross) / denominator;
+    if (distance <= epsilon || distance > maxDistance + epsilon) {
+        return 0.0;
+    }
+    let offset = ray.origin + ray.direction * distance - light.position;
+    let a = dot(cross(offset, light.v), lightCross) / lengthSquared;
+    let b = dot(cross(light.u, offset), lightCross) / lengthSquared;
+    if (abs(a) > 1.0 || abs(b) > 1.0) {
+        return 0.0;
+    }
+    let halfArea = sqrt(lengthSquared);
+    let lightCosine = -denominator / halfArea;
+    return distance * distance / (lightCosine * 4.0 * halfArea);
+}
+
+// Light-table next-event estimate; mirrors estimateDirectLighting() in
+// path-integrator.js, drawing one number to pick a light by power and two to
+// sample it. applyMis is false on a path's last vertex, where no BSDF
+// continuation can reach the light; delta lights are never weighted.
+fn estimateDirect(hit : WorldHit, incomingRay : Ray, surface : BsdfSurface, applyMis : bool, rng : ptr<function, u32>) -> vec3<f32> {
+    if (frame.lights.x == 0u) {
         return vec3<f32>(0.0);
     }
-    var offsetNormal = hit.geometricNormal;
-    if (dot(incomingRay.direction, offsetNormal) >= 0.0) {
-        offsetNormal = -offsetNormal;
+    let selection = sampleCdf(frame.lights.z, frame.lights.x, rngNext(rng));
+    let lightSample = sampleLight(loadLight(selection.index), hit.position, rng);
+    let epsilon = frame.numerical.x;
+    if (!lightSample.valid || !(lightSample.pdf > 0.0) || lightSample.distance <= epsilon) {
+        return vec3<f32>(0.0);
     }
-    let shadowRay = Ray(hit.position + offsetNormal * epsilon, direction);
-    if (intersectScene(shadowRay, epsilon, distance - epsilon, true).valid != 0u) {
+    let direction = lightSample.direction;
+    let surfaceCosine = abs(dot(hit.shadingNormal, direction));
+    if (surfaceCosine <= 0.0) {
         return vec3<f32>(0.0);
     }
-    let area = 4.0 * halfArea;
-    let emitted = frame.lightColor.xyz * frame.lightPosition.w;
-    return material.baseColor.xyz * emitted * (surfaceCosine * lightCosine * area / (distanceSquared * PI));
+    let bsdf = evaluateBsdf(surface, direction);
+    if (!(bsdf.w > 0.0)) {
+        return vec3<f32>(0.0);
+    }
+    let shadowRay = Ray(offsetOrigin(hit, incomingRay, direction), direction);
+    // Measured from the nudged origin, so the ray stops short of an emitter's own surface.
+    let shadowDistance = lightSample.distance - dot(shadowRay.origin - hit.position, direction) - epsilon;
+    if (intersectScene(shadowRay, epsilon, shadowDistance, true).valid != 0u) {
+        return vec3<f32>(0.0);
+    }
+    let lightPdf = lightSelectionProbability(selection.index) * lightSample.pdf;
+    var weight = 1.0;
+    if (applyMis && !lightSample.delta) {
+        weight = powerHeuristic(lightPdf, bsdf.w);
+    }
+    return bsdf.xyz * lightSample.radiance * (surfaceCosine * weight / lightPdf);
 }
 
-fn sampleCosineHemisphere(normal : vec3<f32>, rng : ptr<function, u32>) -> vec3<f32> {
-    let radialSample = clamp(rngNext(rng), 1e-7, 1.0 - 1e-7);
-    let angularSample = rngNext(rng);
-    let radius = sqrt(radialSample);
-    let angle = 2.0 * PI * angularSample;
-    let local = vec3<f32>(radius * cos(angle), radius * sin(angle), sqrt(max(0.0, 1.0 - radialSample)));
+// The BSDF side of the light table's MIS; mirrors lightsAlongRay() in
+// path-integrator.js. Explicit lights precede the emissive triangles in the
+// table, so the rect/sphere scan stops at the first triangle.
+fn lightsAlongRay(ray : Ray, hit : WorldHit, bsdfPdf : f32) -> vec3<f32> {
+    var radiance = vec3<f32>(0.0);
+    if (frame.lights.x == 0u) {
+        return radiance;
+    }
+    var maxDistance = INFINITY_DISTANCE;
+    if (hit.valid != 0u) {
+        maxDistance = hit.t;
+    }
+    for (var index = 0u; index < frame.lights.x; index += 1u) {
+        let kind = lightKind(index);
+        if (kind == LIGHT_KIND_TRIANGLE) {
+            break;
+        }
+        if (kind != LIGHT_KIND_RECT && kind != LIGHT_KIND_SPHERE) {
+            continue;
+        }
+        let light = loadLight(index);
+        let pdf = analyticLightPdf(light, ray, maxDistance);
+        if (pdf > 0.0) {
+            radiance += light.emission * powerHeuristic(bsdfPdf, lightSelectionProbability(index) * pdf);
+        }
+    }
+    if (hit.valid == 0u) {
+        return radiance;
+    }
+    let base = bitcast<u32>(lightingData[frame.lights.w + hit.instanceIndex]);
+    if (base == INVALID_INDEX) {
+        return radiance;
+    }
+    let index = base + hit.triangleIndex;
+    let light = loadLight(index);
+    let frontFace = dot(ray.direction, hit.geometricNormal) < 0.0;
+    let triangle = emitterTriangle(light);
+    let area = 0.5 * length(cross(triangle.edge1, triangle.edge2));
+    let cosine = abs(dot(hit.geometricNormal, ray.direction));
+    if ((frontFace || light.twoSided) && cosine > 0.0 && area > 0.0) {
+        let lightPdf = lightSelectionProbability(index) * hit.t * hit.t / (cosine * area);
+        radiance += light.emission * powerHeuristic(bsdfPdf, lightPdf);
+    }
+    return radiance;
+}
+
+fn hasEnvironmentMap() -> bool {
+    return (frame.renderSettings.w & FRAME_FLAG_HAS_ENVIRONMENT_MAP) != 0u;
+}
+
+fn powerHeuristic(pdf : f32, otherPdf : f32) -> f32 {
+    let a = pdf * pdf;
+    let b = otherPdf * otherPdf;
+    if (a + b <= 0.0) {
+        return 0.0;
+    }
+    return a / (a + b);
+}
+
+// Mirrors sampleCdf() in environment-map.js: the bucket of a piecewise-constant
+// CDF stored at lightingData[offset .. offset + count] that contains u.
+fn sampleCdf(offset : u32, count : u32, u : f32) -> CdfSample {
+    var low = 0u;
+    var high = count - 1u;
+    loop {
+        if (low >= high) {
+            break;
+        }
+        let middle = (low + high + 1u) >> 1u;
+        if (lightingData[offset + middle] <= u) {
+            low = middle;
+        } else {
+            high = middle - 1u;
+        }
+    }
+    let start = lightingData[offset + low];
+    let span = lightingData[offset + low + 1u] - start;
+    var fraction = 0.5;
+    if (span > 0.0) {
+        fraction = clamp((u - start) / span, 0.0, 1.0);
+    }
+    return CdfSample(low, fraction);
+}
+
+// v = 0 is +Y; u runs from +X through +Z (environmentUvToDirection in environment-map.js).
+fn environmentDirection(uv : vec2<f32>) -> vec3<f32> {
+    let theta = uv.y * PI;
+    let phi = uv.x * 2.0 * PI;
+    let sinTheta = sin(theta);
+    return vec3<f32>(sinTheta * cos(phi), cos(theta), sinTheta * sin(phi));
+}
+
+// Linear RGB radiance and the texel's density over the unit (u, v) square.
+fn environmentTexel(row : u32, column : u32) -> vec4<f32> {
+    let base = frame.environmentMap.w + (row * frame.environmentMap.x + column) * 4u;
+    return vec4<f32>(
+        lightingData[base],
+        lightingData[base + 1u],
+        lightingData[base + 2u],
+        lightingData[base + 3u]
+    );
+}
+
+fn environmentSolidAnglePdf(uvPdf : f32, direction : vec3<f32>) -> f32 {
+    let sinTheta = sqrt(max(0.0, 1.0 - direction.y * direction.y));
+    if (sinTheta <= 0.0) {
+        return 0.0;
+    }
+    return uvPdf / (2.0 * PI * PI * sinTheta);
+}
+
+// Nearest-texel radiance toward a normalized direction; w is the solid-angle
+// density with which sampleEnvironment() produces that direction.
+fn lookupEnvironment(direction : vec3<f32>) -> vec4<f32> {
+    var u = atan2(direction.z, direction.x) / (2.0 * PI);
+    if (u < 0.0) {
+        u += 1.0;
+    }
+    let v = acos(clamp(direction.y, -1.0, 1.0)) / PI;
+    let width = frame.environmentMap.x;
+    let height = frame.environmentMap.y;
+    let column = min(width - 1u, u32(floor(u * f32(width))));
+    let row = min(height - 1u, u32(floor(v * f32(height))));
+    let texel = environmentTexel(row, column);
+    return vec4<f32>(texel.xyz, environmentSolidAnglePdf(texel.w, direction));
+}
+
+fn sampleEnvironment(rng : ptr<function, u32>) -> EnvironmentSample {
+    let width = frame.environmentMap.x;
+    let height = frame.environmentMap.y;
+    let rowSample = sampleCdf(0u, height, rngNext(rng));
+    let columnSample = sampleCdf(frame.environmentMap.z + rowSample.index * (width + 1u), width, rngNext(rng));
+    let uv = vec2<f32>(
+        (f32(columnSample.index) + columnSample.fraction) / f32(width),
+        (f32(rowSample.index) + rowSample.fraction) / f32(height)
+    );
+    let direction = environmentDirection(uv);
+    let texel = environmentTexel(rowSample.index, columnSample.index);
+    return EnvironmentSample(direction, environmentSolidAnglePdf(texel.w, direction), texel.xyz);
+}
+
+// Environment next-event estimate, MIS-weighted against the BSDF bounce.
+// Mirrors estimateEnvironmentLighting() in path-integrator.js, including its
+// two random numbers per call whenever a map is bound.
+fn estimateEnvironment(hit : WorldHit, incomingRay : Ray, surface : BsdfSurface, applyMis : bool, rng : ptr<function, u32>) -> vec3<f32> {
+    if (!hasEnvironmentMap()) {
+        return vec3<f32>(0.0);
+    }
+    let environmentSample = sampleEnvironment(rng);
+    if (environmentSample.pdf <= 0.0) {
+        return vec3<f32>(0.0);
+    }
+    let surfaceCosine = abs(dot(hit.shadingNormal, environmentSample.direction));
+    let bsdf = evaluateBsdf(surface, environmentSample.direction);
+    if (surfaceCosine <= 0.0 || !(bsdf.w > 0.0)) {
+        return vec3<f32>(0.0);
+    }
+    let epsilon = frame.numerical.x;
+    let shadowRay = Ray(offsetOrigin(hit, incomingRay, environmentSample.direction), environmentSample.direction);
+    if (intersectScene(shadowRay, epsilon, INFINITY_DISTANCE, true).valid != 0u) {
+        return vec3<f32>(0.0);
+    }
+    var weight = 1.0;
+    if (applyMis) {
+        weight = powerHeuristic(environmentSample.pdf, bsdf.w);
+    }
+    return bsdf.xyz * environmentSample.radiance * (surfaceCosine * weight / environmentSample.pdf);
+}
+
+fn luminance(color : vec3<f32>) -> f32 {
+    return dot(color, vec3<f32>(0.2126, 0.7152, 0.0722));
+}
+
+fn fresnelSchlick(cosine : f32, f0 : vec3<f32>) -> vec3<f32> {
+    return f0 + (vec3<f32>(1.0) - f0) * pow(1.0 - cosine, 5.0);
+}
+
+// Schlick Fresnel from the denser side uses the transmitted angle and is total
+// past the critical angle; mirrors fresnel() in cpu/bsdf.js.
+fn fresnelSurface(surface : BsdfSurface, cosine : f32) -> vec3<f32> {
+    if (surface.eta >= 1.0) {
+        return fresnelSchlick(cosine, surface.f0);
+    }
+    let sinTransmitted2 = (1.0 - cosine * cosine) / (surface.eta * surface.eta);
+    if (sinTransmitted2 >= 1.0) {
+        return vec3<f32>(1.0);
+    }
+    return fresnelSchlick(sqrt(1.0 - sinTransmitted2), surface.f0);
+}
+
+fn distributionGgx(nDotH : f32, alpha2 : f32) -> f32 {
+    let denominator = nDotH * nDotH * (alpha2 - 1.0) + 1.0;
+    return alpha2 / (PI * denominator * denominator);
+}
+
+// Height-correlated Smith G2 / (4 n.l n.v).
+fn visibilitySmith(nDotV : f32, nDotL : f32, alpha2 : f32) -> f32 {
+    let lambdaV = nDotL * sqrt(nDotV * nDotV * (1.0 - alpha2) + alpha2);
+    let lambdaL = nDotV * sqrt(nDotL * nDotL * (1.0 - alpha2) + alpha2);
+    return 0.5 / (lambdaV + lambdaL);
+}
+
+fn localToWorld(normal : vec3<f32>, local : vec3<f32>) -> vec3<f32> {
     let helper = select(vec3<f32>(0.0, 0.0, 1.0), vec3<f32>(0.0, 1.0, 0.0), abs(normal.z) >= 0.999);
     let tangent = normalize(cross(helper, normal));
     let bitangent = cross(normal, tangent);
     return normalize(tangent * local.x + bitangent * local.y + normal * local.z);
 }
 
+// Mirrors createBsdfSurface() in cpu/bsdf.js; frontFace is true when
+// outgoing arrives from outside the surface.
+fn createBsdfSurface(material : Material, normal : vec3<f32>, outgoing : vec3<f32>, frontFace : bool) -> BsdfSurface {
+    let baseColor = material.baseColor.xyz;
+    let metallic = clamp(material.surface.x, 0.0, 1.0);
+    let roughness = clamp(material.surface.y, MIN_ROUGHNESS, 1.0);
+    let transmission = clamp(material.transmission.w, 0.0, 1.0);
+    let ior = max(1.0, material.surface.w);
+    let thinWalled = (material.flags & MATERIAL_FLAG_THIN_WALLED) != 0u;
+    let alpha = roughness * roughness;
+    let dielectricF0 = pow((ior - 1.0) / (ior + 1.0), 2.0);
+    let f0 = mix(vec3<f32>(dielectricF0), baseColor, metallic);
+    let diffuseColor = baseColor * (1.0 - metallic);
+    let nDotV = max(dot(normal, outgoing), MIN_COSINE);
+    var eta = 1.0;
+    if (transmission > 0.0 && !thinWalled) {
+        eta = select(1.0 / ior, ior, frontFace);
+    }
+    var surface = BsdfSurface(
+        normal, nDotV, outgoing, alpha * alpha, f0, 0.5, diffuseColor, 0.0, transmission, eta, thinWalled,
+    );
+    let specularWeight = luminance(fresnelSurface(surface, nDotV));
+    let baseWeight = luminance(diffuseColor);
+    let totalWeight = specularWeight + baseWeight;
+    if (totalWeight > 0.0) {
+        surface.specularProbability = specularWeight / totalWeight;
+        surface.transmissionProbability = baseWeight * transmission / totalWeight;
+    }
+    return surface;
+}
+
+// GGX reflection toward direction; mirrors reflectionLobe() in cpu/bsdf.js.
+fn reflectionLobe(surface : BsdfSurface, direction : vec3<f32>, nDotL : f32) -> Lobe {
+    let halfSum = surface.outgoing + direction;
+    if (dot(halfSum, halfSum) < 1e-24) {
+        return Lobe(vec3<f32>(0.0), 0.0, 0.0, false);
+    }
+    let halfVector = normalize(halfSum);
+    let nDotH = max(0.0, dot(surface.normal, halfVector));
+    let vDotH = max(0.0, dot(surface.outgoing, halfVector));
+    let distribution = distributionGgx(nDotH, surface.alpha2);
+    var pdf = 0.0;
+    if (vDotH > 0.0) {
+        pdf = distribution * nDotH / (4.0 * vDotH);
+    }
+    return Lobe(
+        fresnelSurface(surface, vDotH),
+        distribution * visibilitySmith(surface.nDotV, nDotL, surface.alpha2),
+        pdf,
+        true,
+    );
+}
+
+// Transmission below the surface; mirrors transmissionLobe() in cpu/bsdf.js.
+fn transmissionLobe(surface : BsdfSurface, direction : vec3<f32>, nDotL : f32) -> Lobe {
+    if (surface.thinWalled) {
+        return reflectionLobe(surface, direction - surface.normal * (2.0 * nDotL), -nDotL);
+    }
+    let halfSum = surface.outgoing + direction * surface.eta;
+    if (dot(halfSum, halfSum) < 1e-24) {
+        return Lobe(vec3<f32>(0.0), 0.0, 0.0, false);
+    }
+    var halfVector = normalize(halfSum);
+    if (dot(halfVector, surface.normal) < 0.0) {
+        halfVector = -halfVector;
+    }
+    let vDotH = dot(surface.outgoing, halfVector);
+    let lDotH = dot(direction, halfVector);
+    if (vDotH <= 0.0 || lDotH >= 0.0) {
+        return Lobe(vec3<f32>(0.0), 0.0, 0.0, false);
+    }
+    let nDotH = dot(surface.normal, halfVector);
+    let distribution = distributionGgx(nDotH, surface.alpha2);
+    let denominator = vDotH + surface.eta * lDotH;
+    let eta2 = surface.eta * surface.eta;
+    let jacobian = eta2 * -lDotH / (denominator * denominator);
+    return Lobe(
+        fresnelSurface(surface, vDotH),
+        distribution * 4.0 * visibilitySmith(surface.nDotV, -nDotL, surface.alpha2) * vDotH * jacobian / eta2,
+        distribution * nDotH * jacobian,
+        true,
+    );
+}
+
+// BSDF value (xyz) toward a direction and sampleBsdf()'s solid-angle density
+// for it (w). Mirrors evaluateBsdf() in cpu/bsdf.js.
+fn evaluateBsdf(surface : BsdfSurface, direction : vec3<f32>) -> vec4<f32> {
+    let nDotL = dot(surface.normal, direction);
+    let diffuseProbability = 1.0 - surface.specularProbability - surface.transmissionProbability;
+    if (nDotL > 0.0) {
+        let lobe = reflectionLobe(surface, direction, nDotL);
+        if (!lobe.valid) {
+            return vec4<f32>(0.0);
+        }
+        let value = (vec3<f32>(1.0) - lobe.fresnel) * (1.0 - surface.transmission) * surface.diffuseColor / PI
+            + lobe.value * lobe.fresnel;
+        return vec4<f32>(value, diffuseProbability * nDotL / PI + surface.specularProbability * lobe.pdf);
+    }
+    if (nDotL < 0.0 && surface.transmission > 0.0) {
+        let lobe = transmissionLobe(surface, direction, nDotL);
+        if (!lobe.valid) {
+            return vec4<f32>(0.0);
+        }
+        let value = (vec3<f32>(1.0) - lobe.fresnel) * surface.transmission * surface.diffuseColor * lobe.value;
+        return vec4<f32>(value, surface.transmissionProbability * lobe.pdf);
+    }
+    return vec4<f32>(0.0);
+}
+
+// Lobe choice, then a GGX half vector to reflect about or refract through, or
+// a cosine-weighted diffuse direction. Always three random numbers, like
+// sampleBsdf() in cpu/bsdf.js.
+fn sampleBsdf(surface : BsdfSurface, rng : ptr<function, u32>) -> BsdfSample {
+    let lobeSample = rngNext(rng);
+    let u1 = rngNext(rng);
+    let u2 = rngNext(rng);
+    let phi = 2.0 * PI * u2;
+    var direction : vec3<f32>;
+    if (lobeSample < surface.specularProbability + surface.transmissionProbability) {
+        let cosTheta = sqrt((1.0 - u1) / (1.0 + (surface.alpha2 - 1.0) * u1));
+        let sinTheta = sqrt(max(0.0, 1.0 - cosTheta * cosTheta));
+        let halfVector = localToWorld(surface.normal, vec3<f32>(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta));
+        let vDotH = dot(surface.outgoing, halfVector);
+        let reflected = normalize(halfVector * (2.0 * vDotH) - surface.outgoing);
+        if (lobeSample < surface.specularProbability) {
+            direction = reflected;
+        } else if (surface.thinWalled) {
+            direction = reflected - surface.normal * (2.0 * dot(surface.normal, reflected));
+        } else {
+            let ratio = 1.0 / surface.eta;
+            let cosTransmitted2 = 1.0 - ratio * ratio * (1.0 - vDotH * vDotH);
+            if (cosTransmitted2 <= 0.0 || vDotH <= 0.0) {
+                return BsdfSample(reflected, 0.0, vec3<f32>(0.0), false, false);
+            }
+            direction = normalize(halfVector * (ratio * vDotH - sqrt(cosTransmitted2)) - surface.outgoing * ratio);
+        }
+    } else {
+        let radius = sqrt(u1);
+        direction = localToWorld(surface.normal, vec3<f32>(radius * cos(phi), radius * sin(phi), sqrt(max(0.0, 1.0 - u1))));
+    }
+    let nDotL = dot(surface.normal, direction);
+    let bsdf = evaluateBsdf(surface, direction);
+    if (nDotL == 0.0 || !(bsdf.w > 0.0)) {
+        return BsdfSample(direction, 0.0, vec3<f32>(0.0), false, false);
+    }
+    return BsdfSample(direction, bsdf.w, bsdf.xyz * (abs(nDotL) / bsdf.w), true, nDotL < 0.0);
+}
+
 fn orientedGeometricNormal(hit : WorldHit, incomingDirection : vec3<f32>) -> vec3<f32> {
     if (dot(incomingDirection, hit.geometricNormal) < 0.0) {
         return hit.geometricNormal;
@@ -439,24 +1165,54 @@ fn samplePath(pixel : vec2<u32>, rng : ptr<function, u32>) -> vec3<f32> {
     var ray = Ray(frame.cameraPosition.xyz, direction);
     var radiance = vec3<f32>(0.0);
     var throughput = vec3<f32>(1.0);
+    // Density of the BSDF sample that produced `ray`; zero for the camera ray.
+    // Random-stream order per bounce matches traceSample() in path-integrator.js.
+    var bsdfPdf = 0.0;
+    // Absorption coefficient of the medium `ray` travels through.
+    var mediumSigma = vec3<f32>(0.0);
     let bounceLimit = min(frame.renderSettings.x, MAX_BOUNCES);
     for (var bounce = 0u; bounce < bounceLimit; bounce += 1u) {
         let hit = intersectScene(ray, frame.numerical.x, INFINITY_DISTANCE, false);
+        var hitDistance = INFINITY_DISTANCE;
+        if (hit.valid != 0u) {
+            hitDistance = hit.t;
+        }
+        throughput *= select(vec3<f32>(1.0), exp(-mediumSigma * hitDistance), mediumSigma > vec3<f32>(0.0));
+        if (bsdfPdf > 0.0) {
+            radiance += throughput * lightsAlongRay(ray, hit, bsdfPdf);
+        }
         if (hit.valid == 0u) {
-            radiance += throughput * frame.environment.xyz * frame.numerical.z;
+            var escaped = frame.environment.xyz;
+            if (hasEnvironmentMap()) {
+                let environment = lookupEnvironment(ray.direction);
+                escaped = environment.xyz;
+                if (bsdfPdf > 0.0) {
+                    escaped *= powerHeuristic(bsdfPdf, environment.w);
+                }
+            }
+            radiance += throughput * escaped * frame.numerical.z;
             break;
         }
-        let material = materials[hit.materialIndex];
-        if (bounce == 0u) {
+        var material = materials[hit.materialIndex];
+        material.baseColor = surfaceBaseColor(material, hit.triangleIndex, hit.barycentric);
+        let frontFace = dot(ray.direction, hit.geometricNormal) < 0.0;
+        if (bounce == 0u && (frontFace || (material.flags & MATERIAL_FLAG_DOUBLE_SIDED) != 0u)) {
             radiance += throughput * material.emissive.xyz * material.emissive.w;
         }
-        radiance += throughput * estimateDirect(hit, ray, material, rng);
-        if (bounce + 1u >= bounceLimit) {
+        let surface = createBsdfSurface(material, hit.shadingNormal, -ray.direction, frontFace);
+        let continues = bounce + 1u < bounceLimit;
+        radiance += throughput * estimateDirect(hit, ray, surface, continues, rng);
+        radiance += throughput * estimateEnvironment(hit, ray, surface, continues, rng) * frame.numerical.z;
+        if (!continues) {
             break;
         }
 
-        let nextDirection = sampleCosineHemisphere(hit.shadingNormal, rng);
-        throughput *= material.baseColor.xyz;
+        let scattered = sampleBsdf(surface, rng);
+        if (!scattered.valid) {
+            break;
+        }
+        bsdfPdf = scattered.pdf;
+        throughput *= scattered.weight;
         if (any(throughput != throughput)
             || any(abs(throughput) >= vec3<f32>(INFINITY_DISTANCE))
             || max(throughput.x, max(throughput.y, throughput.z)) <= 0.0) {
@@ -469,11 +1225,10 @@ fn samplePath(pixel : vec2<u32>, rng : ptr<function, u32>) -> vec3<f32> {
             }
             throughput /= survival;
         }
-        var offsetNormal = orientedGeometricNormal(hit, ray.direction);
-        if (dot(offsetNormal, nextDirection) < 0.0) {
-            offsetNormal = -offsetNormal;
+        if (scattered.transmitted && !surface.thinWalled) {
+            mediumSigma = select(vec3<f32>(0.0), material.transmission.xyz, frontFace);
         }
-        ray = Ray(hit.position + offsetNormal * frame.numerical.x, nextDirection);
+        ray = Ray(offsetOrigin(hit, ray, scattered.direction), scattered.direction);
     }
     return max(radiance, vec3<f32>(0.0));
 }
@@ -1,25 +1,415 @@
 /**
- * @file Tile compositor (WebGPU backend).
+ * @file Tile compositor for 3D Gaussian Splatting (WebGPU backend).
  * @copyright 2026 Kashyap Rajpal
  * @license MIT
  *
- * Step 1 (scaffold): a compute pass writes a test gradient into the output
- * storage texture, proving the compute → storage-texture → blit path before any
- * splat math. This grows into the per-tile shared-memory front-to-back
- * compositor (Kerbl et al. 2023) in a later step.
+ * Compute counterpart of splat.wgsl (Kerbl et al. 2023). Per frame:
+ *   preprocess       per splat: project, footprint conic, SH colour, tile count
+ *   scan_blocks      exclusive scan of tile counts within 1024-splat blocks
+ *   scan_block_sums  exclusive scan of the block totals (one workgroup)
+ *   duplicate        one (tile, depth) key + splat index per covered tile
+ *   — radix sort of the keys (splat-radix-sort.wgsl histogram/scan_hist/scatter) —
+ *   identify_ranges  [start, end) of each tile's run in the sorted keys
+ *   composite        one 16×16 workgroup per tile, front-to-back in shared-memory
+ *                    batches, stopping once every pixel's transmittance saturates
+ *
+ * The footprint and falloff reproduce the instanced quad exactly (see
+ * splat-tiles.js, which mirrors the tile math and is unit-tested), and the SH
+ * block below is kept byte-identical to splat.wgsl's — a test enforces it — so
+ * the two renderers cannot drift apart.
+ *
+ * Keys: high bits = tile index + 1, low bits = top bits of the orderable view
+ * depth. A cleared slot (0) names no tile and sorts to the front, so unused
+ * capacity needs no sentinel fill — encoder.clearBuffer does it.
  */
 
-@group(0) @binding(0) var outTex : texture_storage_2d<rgba8unorm, write>;
+struct TileParams {
+    proj      : mat4x4<f32>,
+    view      : mat4x4<f32>,
+    viewport  : vec2<f32>,
+    // Same prefix as splat.wgsl's RenderParams, so the shared SH block compiles
+    // unchanged: stride is fixed by the loaded scene, shDegree is the display clamp.
+    shStride  : u32,
+    _pad0     : u32,
+    camPos    : vec3<f32>,
+    shDegree  : u32,
+    count     : u32, // splats
+    tilesX    : u32,
+    tilesY    : u32,
+    tileBits  : u32,
+    depthBits : u32, // 32 - tileBits
+    capacity  : u32, // key/value slots sorted (first half of each ping-pong buffer)
+    useDepth  : u32, // 1 when sceneDepth holds opaque meshes drawn earlier this frame
+    _pad1     : u32,
+}
+
+struct Splat {
+    posPad       : vec4<f32>,
+    colorOpacity : vec4<f32>,
+    covA         : vec4<f32>, // σxx, σxy, σxz
+    covB         : vec4<f32>, // σyy, σyz, σzz
+}
+
+struct Projected {
+    centerRadius : vec4<f32>, // pixel centre (y-down), disc radius (0 = skipped), clamped NDC depth
+    conicOpacity : vec4<f32>, // cxx, cxy, cyy, opacity
+    colorDepth   : vec4<f32>, // SH-evaluated rgb, view depth (-viewZ)
+}
+
+@group(0) @binding(0)  var<uniform>             params     : TileParams;
+@group(0) @binding(1)  var<storage, read>       splats     : array<Splat>;
+@group(0) @binding(2)  var<storage, read>       shCoeffs   : array<f32>;
+@group(0) @binding(3)  var<storage, read_write> projected  : array<Projected>;
+@group(0) @binding(4)  var<storage, read_write> tileCounts : array<u32>;
+@group(0) @binding(5)  var<storage, read_write> offsets    : array<u32>;
+@group(0) @binding(6)  var<storage, read_write> blockSums  : array<u32>;
+@group(0) @binding(7)  var<storage, read_write> keys       : array<u32>;
+@group(0) @binding(8)  var<storage, read_write> values     : array<u32>;
+@group(0) @binding(9)  var<storage, read_write> ranges     : array<vec2<u32>>;
+@group(0) @binding(10) var outTex     : texture_storage_2d<rgba8unorm, write>;
+@group(0) @binding(11) var sceneDepth : texture_depth_2d;
+
+const TILE       : u32 = 16u;
+const SCAN_ITEMS : u32 = 4u;
+const SCAN_BLOCK : u32 = 1024u; // 256 invocations × SCAN_ITEMS
+const BATCH      : u32 = 256u;  // splats staged in shared memory per round
+const ALPHA_MIN  : f32 = 0.00392; // 1/255, as fs_main discards
+const T_MIN      : f32 = 0.0001;  // transmittance below which a pixel is done
+
+// ---- Shared with splat.wgsl: keep byte-identical ----
+// Real-SH basis constants for degrees 1-3.
+const SH_C1 : f32 = 0.4886025119029199;
+const SH_C2 = array<f32, 5>(
+     1.0925484305920792, -1.0925484305920792,  0.31539156525252005,
+    -1.0925484305920792,  0.5462742152960396,
+);
+const SH_C3 = array<f32, 7>(
+    -0.5900435899266435,  2.890611442640554,  -0.4570457994644658,
+     0.3731763325901154, -0.4570457994644658,  1.445305721320277,
+    -0.5900435899266435,
+);
+
+fn shCoeff(base : u32, k : u32) -> vec3<f32> {
+    let o = base + k * 3u;
+    return vec3<f32>(shCoeffs[o], shCoeffs[o + 1u], shCoeffs[o + 2u]);
+}
+
+/// View-dependent colour offset added to the DC term. `dir` must be normalized.
+fn evalSh(splatIndex : u32, dir : vec3<f32>) -> vec3<f32> {
+    if (params.shDegree == 0u) {
+        return vec3<f32>(0.0);
+    }
+    // Stride comes from the buffer, not the displayed degree.
+    let base = splatIndex * params.shStride * 3u;
+    let x = dir.x;
+    let y = dir.y;
+    let z = dir.z;
+
+    var result = SH_C1 * (-y * shCoeff(base, 0u) + z * shCoeff(base, 1u) - x * shCoeff(base, 2u));
+
+    if (params.shDegree >= 2u) {
+        let xx = x * x; let yy = y * y; let zz = z * z;
+        let xy = x * y; let yz = y * z; let xz = x * z;
+        result += SH_C2[0] * xy * shCoeff(base, 3u)
+                + SH_C2[1] * yz * shCoeff(base, 4u)
+                + SH_C2[2] * (2.0 * zz - xx - yy) * shCoeff(base, 5u)
+                + SH_C2[3] * xz * shCoeff(base, 6u)
+                + SH_C2[4] * (xx - yy) * shCoeff(base, 7u);
+
+        if (params.shDegree >= 3u) {
+            result += SH_C3[0] * y * (3.0 * xx - yy) * shCoeff(base, 8u)
+                    + SH_C3[1] * xy * z * shCoeff(base, 9u)
+                    + SH_C3[2] * y * (4.0 * zz - xx - yy) * shCoeff(base, 10u)
+                    + SH_C3[3] * z * (2.0 * zz - 3.0 * xx - 3.0 * yy) * shCoeff(base, 11u)
+                    + SH_C3[4] * x * (4.0 * zz - xx - yy) * shCoeff(base, 12u)
+                    + SH_C3[5] * z * (xx - yy) * shCoeff(base, 13u)
+                    + SH_C3[6] * x * (xx - 3.0 * yy) * shCoeff(base, 14u);
+        }
+    }
+    return result;
+}
+// ---- End shared block ----
+
+/** Order-preserving f32 → u32, as in splat-radix-sort.wgsl. */
+fn orderable(f : f32) -> u32 {
+    let u = bitcast<u32>(f);
+    let mask = select(0x80000000u, 0xFFFFFFFFu, (u & 0x80000000u) != 0u);
+    return u ^ mask;
+}
+
+/** Half-open tile rectangle (x0, y0, x1, y1) covered by a disc, clamped to the grid. */
+fn tileRect(center : vec2<f32>, radius : f32) -> vec4<u32> {
+    let grid = vec2<f32>(f32(params.tilesX), f32(params.tilesY));
+    let lo = clamp(floor((center - radius) / f32(TILE)), vec2<f32>(0.0), grid);
+    let hi = clamp(ceil((center + radius) / f32(TILE)), vec2<f32>(0.0), grid);
+    return vec4<u32>(vec2<u32>(lo), vec2<u32>(hi));
+}
+
+// ---------------------------------------------------------------------------
+// preprocess — one invocation per splat. The projection and covariance are
+// splat.wgsl's vs_main verbatim; only the output differs (a per-pixel conic
+// instead of quad corners).
+// ---------------------------------------------------------------------------
+@compute @workgroup_size(256)
+fn preprocess(@builtin(global_invocation_id) gid : vec3<u32>) {
+    let i = gid.x;
+    if (i >= params.count) { return; }
+    projected[i].centerRadius = vec4<f32>(0.0);
+    tileCounts[i] = 0u;
+
+    let s = splats[i];
+    let center = s.posPad.xyz;
+    let cam = params.view * vec4<f32>(center, 1.0);
+    let pos2d = params.proj * cam;
+    // Behind the camera, or too faint to pass the alpha cutoff anywhere.
+    if (pos2d.w <= 0.0 || s.colorOpacity.a < ALPHA_MIN) { return; }
+
+    let focal = vec2<f32>(
+        0.5 * params.viewport.x * params.proj[0][0],
+        0.5 * params.viewport.y * params.proj[1][1],
+    );
+    let Vrk = mat3x3<f32>(
+        vec3<f32>(s.covA.x, s.covA.y, s.covA.z),
+        vec3<f32>(s.covA.y, s.covB.x, s.covB.y),
+        vec3<f32>(s.covA.z, s.covB.y, s.covB.z),
+    );
+    let J = mat3x3<f32>(
+        vec3<f32>(focal.x / cam.z, 0.0, -(focal.x * cam.x) / (cam.z * cam.z)),
+        vec3<f32>(0.0, -focal.y / cam.z, (focal.y * cam.y) / (cam.z * cam.z)),
+        vec3<f32>(0.0, 0.0, 0.0),
+    );
+    let W = transpose(mat3x3<f32>(
+        params.view[0].xyz, params.view[1].xyz, params.view[2].xyz,
+    ));
+    let T = W * J;
+    let cov2d = transpose(T) * Vrk * T;
+
+    let a = cov2d[0][0] + 0.1;
+    let d = cov2d[1][1] + 0.1;
+    let b = cov2d[0][1];
+    let det = a * d - b * b;
+    let mid = 0.5 * (a + d);
+    let discriminant = mid * mid - det;
+    let lambda1 = mid + sqrt(max(0.01, discriminant));
+    let lambda2 = mid - sqrt(max(0.01, discriminant));
+    let diagonal = normalize(vec2<f32>(b, lambda1 - a + 1e-8));
+    let major = min(sqrt(max(0.0, 2.0 * lambda1)), 512.0);
+    let minor = min(sqrt(max(0.0, 2.0 * lambda2)), 512.0);
+    if (!(major > 0.0) || !(minor > 0.0)) { return; }
+
+    // The instanced quad spans local ±2 over ±axis/2 pixels and fades by
+    // exp(-|local|²); fold that into one quadratic form in y-down pixels.
+    let e = vec2<f32>(diagonal.x, -diagonal.y);
+    let sMajor = 4.0 / (major * major);
+    let sMinor = 4.0 / (minor * minor);
+    let conic = vec3<f32>(
+        sMajor * e.x * e.x + sMinor * e.y * e.y,
+        (sMajor - sMinor) * e.x * e.y,
+        sMajor * e.y * e.y + sMinor * e.x * e.x,
+    );
+
+    let ndc = pos2d.xy / pos2d.w;
+    let pixel = vec2<f32>(
+        (0.5 * ndc.x + 0.5) * params.viewport.x,
+        (0.5 - 0.5 * ndc.y) * params.viewport.y,
+    );
+    let rect = tileRect(pixel, major);
+    let covered = (rect.z - rect.x) * (rect.w - rect.y);
+    if (covered == 0u) { return; }
+
+    let viewDir = normalize(center - params.camPos);
+    let rgb = max(s.colorOpacity.rgb + evalSh(i, viewDir), vec3<f32>(0.0));
+
+    projected[i] = Projected(
+        vec4<f32>(pixel, major, clamp(pos2d.z / pos2d.w, 0.0, 1.0)),
+        vec4<f32>(conic, s.colorOpacity.a),
+        vec4<f32>(rgb, -cam.z),
+    );
+    tileCounts[i] = covered;
+}
+
+// ---------------------------------------------------------------------------
+// scan_blocks / scan_block_sums — exclusive prefix sum of tileCounts, in two
+// levels: offsets[] is local to its 1024-splat block and blockSums[] (scanned
+// afterwards) holds each block's base, so a splat's first slot is
+// offsets[i] + blockSums[i / SCAN_BLOCK] and no third "add" pass is needed.
+// The entry past the last block receives the grand total, which the renderer
+// reads back to grow its key/value capacity.
+// ---------------------------------------------------------------------------
+var<workgroup> scanPartial : array<u32, 256>;
+
+fn scanPartialInclusive(lid : u32) {
+    // Hillis-Steele; barriers stay in uniform control flow.
+    for (var offset = 1u; offset < 256u; offset = offset << 1u) {
+        var v = 0u;
+        if (lid >= offset) { v = scanPartial[lid - offset]; }
+        workgroupBarrier();
+        if (lid >= offset) { scanPartial[lid] = scanPartial[lid] + v; }
+        workgroupBarrier();
+    }
+}
+
+@compute @workgroup_size(256)
+fn scan_blocks(
+    @builtin(workgroup_id) wid : vec3<u32>,
+    @builtin(local_invocation_id) lid : vec3<u32>,
+) {
+    let first = wid.x * SCAN_BLOCK + lid.x * SCAN_ITEMS;
+    var exclusive : array<u32, 4>;
+    var sum = 0u;
+    for (var k = 0u; k < SCAN_ITEMS; k = k + 1u) {
+        exclusive[k] = sum;
+        if (first + k < params.count) { sum = sum + tileCounts[first + k]; }
+    }
+    scanPartial[lid.x] = sum;
+    workgroupBarrier();
+    scanPartialInclusive(lid.x);
+
+    var running = 0u;
+    if (lid.x > 0u) { running = scanPartial[lid.x - 1u]; }
+    for (var k = 0u; k < SCAN_ITEMS; k = k + 1u) {
+        if (first + k < params.count) { offsets[first + k] = running + exclusive[k]; }
+    }
+    if (lid.x == 255u) { blockSums[wid.x] = scanPartial[255u]; }
+}
+
+@compute @workgroup_size(256)
+fn scan_block_sums(@builtin(local_invocation_id) lid : vec3<u32>) {
+    // One workgroup, each invocation walking a contiguous chunk — as scan_hist.
+    let total = (params.count + SCAN_BLOCK - 1u) / SCAN_BLOCK;
+    let chunk = (total + 255u) / 256u;
+    let start = min(lid.x * chunk, total);
+    let end = min(start + chunk, total);
+
+    var sum = 0u;
+    for (var i = start; i < end; i = i + 1u) { sum = sum + blockSums[i]; }
+    scanPartial[lid.x] = sum;
+    workgroupBarrier();
+    scanPartialInclusive(lid.x);
+
+    var running = 0u;
+    if (lid.x > 0u) { running = scanPartial[lid.x - 1u]; }
+    for (var i = start; i < end; i = i + 1u) {
+        let c = blockSums[i];
+        blockSums[i] = running;
+        running = running + c;
+    }
+    // The last chunk always ends at `total`, so its running sum is the grand total.
+    if (lid.x == 255u) { blockSums[total] = running; }
+}
+
+// ---------------------------------------------------------------------------
+// duplicate — one key/value per tile a splat covers, written at its scanned
+// slot. Slots past the capacity are dropped rather than written out of range;
+// the renderer grows the capacity from the scan total for the next frame.
+// ---------------------------------------------------------------------------
+@compute @workgroup_size(256)
+fn duplicate(@builtin(global_invocation_id) gid : vec3<u32>) {
+    let i = gid.x;
+    if (i >= params.count || tileCounts[i] == 0u) { return; }
+    let p = projected[i];
+    let rect = tileRect(p.centerRadius.xy, p.centerRadius.z);
+    let depth = orderable(p.colorDepth.w) >> params.tileBits;
+    var slot = offsets[i] + blockSums[i / SCAN_BLOCK];
+    for (var y = rect.y; y < rect.w; y = y + 1u) {
+        for (var x = rect.x; x < rect.z; x = x + 1u) {
+            if (slot >= params.capacity) { return; }
+            keys[slot] = ((y * params.tilesX + x + 1u) << params.depthBits) | depth;
+            values[slot] = i;
+            slot = slot + 1u;
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// identify_ranges — after the sort each tile's entries are contiguous; record
+// where each run starts and ends. ranges[] is cleared to (0, 0) beforehand, so
+// tiles no splat touches stay empty.
+// ---------------------------------------------------------------------------
+@compute @workgroup_size(256)
+fn identify_ranges(@builtin(global_invocation_id) gid : vec3<u32>) {
+    let i = gid.x;
+    if (i >= params.capacity) { return; }
+    let field = keys[i] >> params.depthBits;
+    if (field == 0u) { return; }
+    let tile = field - 1u;
+    if (i == 0u || (keys[i - 1u] >> params.depthBits) != field) { ranges[tile].x = i; }
+    if (i + 1u == params.capacity || (keys[i + 1u] >> params.depthBits) != field) { ranges[tile].y = i + 1u; }
+}
+
+// ---------------------------------------------------------------------------
+// composite — one workgroup per tile, one invocation per pixel. Each round the
+// workgroup stages BATCH splats in shared memory, then every pixel blends them
+// front to back: C += c·α·T, T *= 1 - α. Output is premultiplied (C, 1 - T),
+// blitted "over" whatever earlier passes drew.
+// ---------------------------------------------------------------------------
+var<workgroup> tileRange    : vec2<u32>;
+var<workgroup> liveCount    : atomic<u32>;
+var<workgroup> liveSnapshot : u32;
+var<workgroup> batchCenter  : array<vec4<f32>, 256>; // xy centre, z clamped NDC depth
+var<workgroup> batchConic   : array<vec4<f32>, 256>;
+var<workgroup> batchColor   : array<vec3<f32>, 256>;
+
+@compute @workgroup_size(16, 16)
+fn composite(
+    @builtin(workgroup_id) wid : vec3<u32>,
+    @builtin(local_invocation_id) lid : vec3<u32>,
+    @builtin(local_invocation_index) lidx : u32,
+) {
+    let pixel = wid.xy * TILE + lid.xy;
+    let inside = pixel.x < u32(params.viewport.x) && pixel.y < u32(params.viewport.y);
+    let pixelCenter = vec2<f32>(pixel) + 0.5;
+
+    // Splats test their centre depth against the meshes' (less-equal), as the
+    // instanced pipeline's read-only depth test does.
+    var occluder = 1.0;
+    if (inside && params.useDepth != 0u) {
+        occluder = textureLoad(sceneDepth, vec2<i32>(pixel), 0);
+    }
+
+    // Loop bounds must be workgroup-uniform for the barriers inside.
+    if (lidx == 0u) { tileRange = ranges[wid.y * params.tilesX + wid.x]; }
+    let range = workgroupUniformLoad(&tileRange);
+    let rounds = (range.y - range.x + BATCH - 1u) / BATCH;
+
+    var color = vec3<f32>(0.0);
+    var transmittance = 1.0;
+    var done = !inside;
+    for (var r = 0u; r < rounds; r = r + 1u) {
+        // Early termination: stop the whole tile once no pixel can change.
+        if (lidx == 0u) { atomicStore(&liveCount, 0u); }
+        workgroupBarrier();
+        if (!done) { atomicAdd(&liveCount, 1u); }
+        workgroupBarrier();
+        if (lidx == 0u) { liveSnapshot = atomicLoad(&liveCount); }
+        if (workgroupUniformLoad(&liveSnapshot) == 0u) { break; }
+
+        let base = range.x + r * BATCH;
+        if (base + lidx < range.y) {
+            let p = projected[values[base + lidx]];
+            batchCenter[lidx] = vec4<f32>(p.centerRadius.xy, p.centerRadius.w, 0.0);
+            batchConic[lidx] = p.conicOpacity;
+            batchColor[lidx] = p.colorDepth.rgb;
+        }
+        workgroupBarrier();
+
+        let n = min(BATCH, range.y - base);
+        for (var k = 0u; k < n && !done; k = k + 1u) {
+            let c = batchCenter[k];
+            if (c.z > occluder) { continue; }
+            let delta = pixelCenter - c.xy;
+            let co = batchConic[k];
+            let power = -(co.x * delta.x * delta.x + 2.0 * co.y * delta.x * delta.y + co.z * delta.y * delta.y);
+            if (power < -4.0) { continue; }
+            let alpha = co.w * exp(power);
+            if (alpha < ALPHA_MIN) { continue; }
+            color = color + batchColor[k] * (alpha * transmittance);
+            transmittance = transmittance * (1.0 - alpha);
+            if (transmittance < T_MIN) { done = true; }
+        }
+    }
 
-@compute @workgroup_size(8, 8)
-fn cs_test_pattern(@builtin(global_invocation_id) gid : vec3<u32>) {
-    let dims = textureDimensions(outTex);
-    if (gid.x >= dims.x || gid.y >= dims.y) {
-        return;
+    if (inside) {
+        textureStore(outTex, vec2<i32>(pixel), vec4<f32>(color, 1.0 - transmittance));
     }
-    // Red ramps along x, green along y, blue constant — a legible gradient that
-    // confirms both texture axes map correctly through the blit.
-    let r = f32(gid.x) / f32(dims.x);
-    let g = f32(gid.y) / f32(dims.y);
-    textureStore(outTex, vec2<i32>(i32(gid.x), i32(gid.y)), vec4<f32>(r, g, 0.5, 1.0));
 }
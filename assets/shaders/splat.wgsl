@@ -167,7 +167,9 @@ fn vs_main(@builtin(vertex_index) vid : u32, @builtin(instance_index) iid : u32)
     let viewDir = normalize(center - params.camPos);
     let rgb = max(s.colorOpacity.rgb + evalSh(si, viewDir), vec3<f32>(0.0));
 
-    out.position = vec4<f32>(centerNDC + offset, 0.0, 1.0);
+    // Whole quad at the center's depth, so opaque meshes in the shared depth
+    // attachment occlude it; clamped so far splats are not clipped away.
+    out.position = vec4<f32>(centerNDC + offset, clamp(pos2d.z / pos2d.w, 0.0, 1.0), 1.0);
     out.color = vec4<f32>(rgb, s.colorOpacity.a);
     out.local = corner;
     return out;
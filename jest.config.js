@@ -1,7 +1,9 @@
 module.exports = {
   transform: {
-    '^.+\.js$': 'babel-jest',
+    '^.+\.m?js$': 'babel-jest',
   },
+  // meshoptimizer ships ES modules only.
+  transformIgnorePatterns: ['/node_modules/(?!meshoptimizer/)'],
   testEnvironment: 'node',
   globals: {
     'WebGLRenderingContext': {
@@ -4,7 +4,43 @@
  * @license MIT
  */
 
-import { createIdentityMatrix, createLookAtMatrix } from './matrix.js';
+import { createIdentityMatrix, createLookAtMatrix, createOrthographicMatrix, createPerspectiveMatrix } from './matrix.js';
+
+/** The viewport's projection until an authored camera replaces it. */
+export const DEFAULT_PROJECTION = Object.freeze({ type: 'perspective', yfov: 45 * Math.PI / 180 });
+
+function validateProjection(projection) {
+    const { type, znear, zfar } = projection;
+    if (type === 'perspective') {
+        if (!(projection.yfov > 0 && projection.yfov < Math.PI)) throw new Error('Perspective projection requires 0 < yfov < PI.');
+        if (znear != null && !(znear > 0)) throw new Error('Perspective projection znear must be positive.');
+    } else if (type === 'orthographic') {
+        if (!(projection.ymag > 0) || !(projection.xmag > 0)) throw new Error('Orthographic projection requires positive xmag and ymag.');
+        if (znear != null && !(znear >= 0)) throw new Error('Orthographic projection znear must be non-negative.');
+        if (zfar == null) throw new Error('Orthographic projection requires zfar.');
+    } else {
+        throw new Error(`Projection type must be perspective or orthographic, not ${type}.`);
+    }
+    if (zfar != null && !(zfar > (znear ?? 0) && Number.isFinite(zfar))) throw new Error('Projection zfar must be finite and beyond znear.');
+}
+
+/**
+ * Projection matrix for a camera's current projection. Authored clip planes
+ * win over the caller's fitted `zNear`/`zFar`; the viewport aspect always
+ * wins over an authored one so nothing stretches. An orthographic view widens
+ * with the orbit distance relative to `referenceZoom`, so the wheel still zooms.
+ */
+export function createProjectionMatrix(camera, aspect, zNear, zFar) {
+    const projection = camera.projection ?? DEFAULT_PROJECTION;
+    const near = projection.znear ?? zNear;
+    const far = projection.zfar ?? zFar;
+    if (projection.type === 'orthographic') {
+        const scale = projection.referenceZoom > 0 ? camera.zoom / projection.referenceZoom : 1;
+        const ymag = projection.ymag * scale;
+        return createOrthographicMatrix(ymag * aspect, ymag, near, far);
+    }
+    return createPerspectiveMatrix(projection.yfov, aspect, near, far);
+}
 
 export class Camera {
     constructor(canvas, initialPosition = [0, 0, 5]) {
@@ -16,6 +52,7 @@ export class Camera {
         this.minZoom = 1;
         this.maxZoom = 20;
         this.rotation = { x: 0, y: 0 };
+        this.projection = DEFAULT_PROJECTION;
         this.isDragging = false;
         this.lastMousePosition = { x: 0, y: 0 };
 
@@ -118,6 +155,18 @@ export class Camera {
         this.changeHandler?.(this.getState());
     }
 
+    /**
+     * Switch between perspective (`yfov`) and orthographic (`xmag`, `ymag`)
+     * projection, with optional `znear`/`zfar`; null restores the default.
+     * @param {{type: 'perspective'|'orthographic', yfov?: number, xmag?: number, ymag?: number,
+     *          znear?: number, zfar?: number, referenceZoom?: number}|null} projection
+     */
+    setProjection(projection) {
+        if (projection) validateProjection(projection);
+        this.projection = projection ? Object.freeze({ ...projection }) : DEFAULT_PROJECTION;
+        this.changeHandler?.(this.getState());
+    }
+
     setChangeHandler(handler) {
         this.changeHandler = typeof handler === 'function' ? handler : null;
     }
@@ -132,6 +181,7 @@ export class Camera {
             zoom: this.zoom,
             minZoom: this.minZoom,
             maxZoom: this.maxZoom,
+            projection: { ...this.projection },
         };
     }
 
@@ -142,6 +192,10 @@ export class Camera {
         if (Array.isArray(state.up) && state.up.length === 3) this.up = [...state.up];
         if (Number.isFinite(state.minZoom)) this.minZoom = state.minZoom;
         if (Number.isFinite(state.maxZoom)) this.maxZoom = state.maxZoom;
+        if (state.projection) {
+            validateProjection(state.projection);
+            this.projection = Object.freeze({ ...state.projection });
+        }
         this.setPose(
             Number.isFinite(state.rotationX) ? state.rotationX : this.rotation.x,
             Number.isFinite(state.rotationY) ? state.rotationY : this.rotation.y,
@@ -65,6 +65,7 @@ export async function initCpuRayEngine({
     let active = false;
     let scene = null;
     let acceleration = null;
+    let environmentMap = null;
     let settings = { ...DEFAULT_SETTINGS, ...initialSettings };
     let dimensions = { width: 0, height: 0 };
     let latestStats = {
@@ -116,9 +117,14 @@ export async function initCpuRayEngine({
     }
     camera.setChangeHandler(resetForViewChange);
 
+    function withEnvironmentMap(preparedScene) {
+        if ((preparedScene.environment?.map || null) === environmentMap) return preparedScene;
+        return { ...preparedScene, environment: { ...preparedScene.environment, map: environmentMap } };
+    }
+
     function loadRayScene(preparedScene) {
         if (destroyed) throw new Error('CPU ray engine has been destroyed.');
-        scene = preparedScene;
+        scene = withEnvironmentMap(preparedScene);
         acceleration = buildAccelerationStructures(scene);
         camera.setChangeHandler(null);
         cameraPoseFromScene(camera, scene.camera);
@@ -152,6 +158,14 @@ export async function initCpuRayEngine({
             }
         },
         resetAccumulation,
+        /** HDR environment (createEnvironmentMap output) for this and later scenes; null for the flat colour. */
+        setEnvironmentMap(map) {
+            environmentMap = map || null;
+            if (!scene || destroyed) return;
+            scene = withEnvironmentMap(scene);
+            controller.initialize(scene, acceleration, settings);
+            if (active) controller.render(renderRequest());
+        },
         resize() {
             if (!scene || !active) return;
             const next = canvasDisplaySize(canvas, settings);
@@ -0,0 +1,288 @@
+/**
+ * @file Image-based lighting for the raster mesh path: prefilters an
+ *       equirectangular environment map into what default.wgsl samples.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Two products, both in the environment map's world-space convention
+ * (see raytracing/core/environment-map.js):
+ *
+ *  - Diffuse: the irradiance as nine order-2 spherical-harmonic coefficients
+ *    (Ramamoorthi & Hanrahan), already convolved with the clamped cosine and
+ *    divided by π, so albedo × Σ cᵢ Yᵢ(n) is the outgoing Lambertian radiance.
+ *  - Specular: a GGX-prefiltered equirectangular mip chain for the split-sum
+ *    approximation. Level i holds roughness i / (levels - 1) under the usual
+ *    n = v = r assumption, importance-sampled from a box-filtered pyramid of
+ *    the source (filtered importance sampling) so bright, small features do
+ *    not turn into fireflies.
+ *
+ * GPU-free like the loaders; MeshRenderer.setEnvironment() uploads the result.
+ */
+import { directionToEnvironmentUv, environmentUvToDirection } from './raytracing/core/environment-map.js';
+
+export const DEFAULT_SPECULAR_WIDTH = 256;
+export const DEFAULT_SPECULAR_LEVELS = 6;
+export const DEFAULT_SPECULAR_SAMPLES = 64;
+
+// Real SH basis constants for bands 0..2.
+const SH_Y00 = 0.282095;
+const SH_Y1 = 0.488603;
+const SH_Y2 = 1.092548;
+const SH_Y20 = 0.315392;
+const SH_Y22 = 0.546274;
+// Clamped-cosine convolution per band, divided by π: Â_l / π.
+const SH_BAND_SCALE = [1, 2 / 3, 1 / 4];
+
+function shBasis(x, y, z) {
+    return [
+        SH_Y00,
+        SH_Y1 * y,
+        SH_Y1 * z,
+        SH_Y1 * x,
+        SH_Y2 * x * y,
+        SH_Y2 * y * z,
+        SH_Y20 * (3 * z * z - 1),
+        SH_Y2 * x * z,
+        SH_Y22 * (x * x - y * y),
+    ];
+}
+
+const SH_BANDS = [0, 1, 1, 1, 2, 2, 2, 2, 2];
+
+/**
+ * Projects the map's radiance onto the order-2 SH basis and applies the
+ * cosine-lobe convolution.
+ * @param {import('./raytracing/core/environment-map.js').EnvironmentMap} map
+ * @returns {Float32Array} 9 RGB coefficients (27 floats).
+ */
+export function computeIrradianceSh(map) {
+    const sums = new Float64Array(27);
+    const { width, height, texels } = map;
+    const texelArea = (2 * Math.PI / width) * (Math.PI / height);
+    for (let y = 0; y < height; y += 1) {
+        const v = (y + 0.5) / height;
+        const solidAngle = texelArea * Math.sin(v * Math.PI);
+        for (let x = 0; x < width; x += 1) {
+            const [dx, dy, dz] = environmentUvToDirection((x + 0.5) / width, v);
+            const basis = shBasis(dx, dy, dz);
+            const offset = (y * width + x) * 4;
+            for (let i = 0; i < 9; i += 1) {
+                const weight = basis[i] * solidAngle;
+                sums[i * 3] += texels[offset] * weight;
+                sums[i * 3 + 1] += texels[offset + 1] * weight;
+                sums[i * 3 + 2] += texels[offset + 2] * weight;
+            }
+        }
+    }
+    const coefficients = new Float32Array(27);
+    for (let i = 0; i < 9; i += 1) {
+        const scale = SH_BAND_SCALE[SH_BANDS[i]];
+        for (let channel = 0; channel < 3; channel += 1) {
+            coefficients[i * 3 + channel] = sums[i * 3 + channel] * scale;
+        }
+    }
+    return coefficients;
+}
+
+/** Evaluates computeIrradianceSh() output for a unit normal, as default.wgsl does. */
+export function evaluateIrradianceSh(coefficients, normal) {
+    const basis = shBasis(normal[0], normal[1], normal[2]);
+    const result = [0, 0, 0];
+    for (let i = 0; i < 9; i += 1) {
+        for (let channel = 0; channel < 3; channel += 1) {
+            result[channel] += coefficients[i * 3 + channel] * basis[i];
+        }
+    }
+    return result.map((value) => Math.max(0, value));
+}
+
+/** Box-filtered RGB pyramid of the map, level 0 at full resolution. */
+function buildPyramid(map) {
+    const levels = [];
+    let data = new Float32Array(map.width * map.height * 3);
+    for (let i = 0; i < map.width * map.height; i += 1) {
+        data[i * 3] = map.texels[i * 4];
+        data[i * 3 + 1] = map.texels[i * 4 + 1];
+        data[i * 3 + 2] = map.texels[i * 4 + 2];
+    }
+    let width = map.width;
+    let height = map.height;
+    levels.push({ width, height, data });
+    while (width > 1 || height > 1) {
+        const nextWidth = Math.max(1, width >> 1);
+        const nextHeight = Math.max(1, height >> 1);
+        const next = new Float32Array(nextWidth * nextHeight * 3);
+        for (let y = 0; y < nextHeight; y += 1) {
+            for (let x = 0; x < nextWidth; x += 1) {
+                const target = (y * nextWidth + x) * 3;
+                for (const [sx, sy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                    const source = (Math.min(height - 1, y * 2 + sy) * width + Math.min(width - 1, x * 2 + sx)) * 3;
+                    next[target] += data[source] * 0.25;
+                    next[target + 1] += data[source + 1] * 0.25;
+                    next[target + 2] += data[source + 2] * 0.25;
+                }
+            }
+        }
+        width = nextWidth;
+        height = nextHeight;
+        data = next;
+        levels.push({ width, height, data });
+    }
+    return levels;
+}
+
+function samplePyramid(level, direction, target) {
+    const [u, v] = directionToEnvironmentUv(direction);
+    const x = Math.min(level.width - 1, Math.floor(u * level.width));
+    const y = Math.min(level.height - 1, Math.floor(v * level.height));
+    const offset = (y * level.width + x) * 3;
+    target[0] = level.data[offset];
+    target[1] = level.data[offset + 1];
+    target[2] = level.data[offset + 2];
+    return target;
+}
+
+function radicalInverse(bits) {
+    let value = bits >>> 0;
+    value = ((value << 16) | (value >>> 16)) >>> 0;
+    value = (((value & 0x55555555) << 1) | ((value & 0xaaaaaaaa) >>> 1)) >>> 0;
+    value = (((value & 0x33333333) << 2) | ((value & 0xcccccccc) >>> 2)) >>> 0;
+    value = (((value & 0x0f0f0f0f) << 4) | ((value & 0xf0f0f0f0) >>> 4)) >>> 0;
+    value = (((value & 0x00ff00ff) << 8) | ((value & 0xff00ff00) >>> 8)) >>> 0;
+    return value * 2.3283064365386963e-10;
+}
+
+function tangentFrame(normal) {
+    const helper = Math.abs(normal[1]) < 0.999 ? [0, 1, 0] : [1, 0, 0];
+    const tangent = [
+        helper[1] * normal[2] - helper[2] * normal[1],
+        helper[2] * normal[0] - helper[0] * normal[2],
+        helper[0] * normal[1] - helper[1] * normal[0],
+    ];
+    const length = Math.hypot(...tangent);
+    tangent[0] /= length; tangent[1] /= length; tangent[2] /= length;
+    const bitangent = [
+        normal[1] * tangent[2] - normal[2] * tangent[1],
+        normal[2] * tangent[0] - normal[0] * tangent[2],
+        normal[0] * tangent[1] - normal[1] * tangent[0],
+    ];
+    return { tangent, bitangent };
+}
+
+function prefilterLevel(pyramid, width, height, roughness, sampleCount) {
+    const data = new Float32Array(width * height * 4);
+    const alpha = roughness * roughness;
+    const alpha2 = alpha * alpha;
+    const base = pyramid[0];
+    const texelSolidAngle = 4 * Math.PI / (base.width * base.height);
+    // Tangent-space half vectors and their source LOD do not depend on the texel.
+    const samples = [];
+    for (let i = 0; i < sampleCount; i += 1) {
+        const phi = 2 * Math.PI * (i + 0.5) / sampleCount;
+        const xi = radicalInverse(i);
+        const cosTheta = Math.sqrt((1 - xi) / (1 + (alpha2 - 1) * xi));
+        const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+        const nDotL = 2 * cosTheta * cosTheta - 1;
+        if (nDotL <= 0) continue;
+        const denominator = cosTheta * cosTheta * (alpha2 - 1) + 1;
+        const distribution = alpha2 / (Math.PI * denominator * denominator);
+        // With n = v the half-vector pdf D·(n·h) / (4 v·h) reduces to D / 4.
+        const sampleSolidAngle = 1 / (sampleCount * distribution / 4 + 1e-6);
+        const lod = Math.max(0, 0.5 * Math.log2(sampleSolidAngle / texelSolidAngle) + 1);
+        samples.push({
+            h: [sinTheta * Math.cos(phi), sinTheta * Math.sin(phi), cosTheta],
+            nDotL,
+            level: pyramid[Math.min(pyramid.length - 1, Math.round(lod))],
+        });
+    }
+    const color = [0, 0, 0];
+    const direction = [0, 0, 0];
+    for (let y = 0; y < height; y += 1) {
+        for (let x = 0; x < width; x += 1) {
+            const normal = environmentUvToDirection((x + 0.5) / width, (y + 0.5) / height);
+            const { tangent, bitangent } = tangentFrame(normal);
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let totalWeight = 0;
+            for (const sample of samples) {
+                const [hx, hy, hz] = sample.h;
+                const cosTheta = hz;
+                const h = [
+                    tangent[0] * hx + bitangent[0] * hy + normal[0] * hz,
+                    tangent[1] * hx + bitangent[1] * hy + normal[1] * hz,
+                    tangent[2] * hx + bitangent[2] * hy + normal[2] * hz,
+                ];
+                // L = reflect(-n, h) = 2 (n·h) h - n.
+                direction[0] = 2 * cosTheta * h[0] - normal[0];
+                direction[1] = 2 * cosTheta * h[1] - normal[1];
+                direction[2] = 2 * cosTheta * h[2] - normal[2];
+                samplePyramid(sample.level, direction, color);
+                r += color[0] * sample.nDotL;
+                g += color[1] * sample.nDotL;
+                b += color[2] * sample.nDotL;
+                totalWeight += sample.nDotL;
+            }
+            const offset = (y * width + x) * 4;
+            data[offset] = totalWeight > 0 ? r / totalWeight : 0;
+            data[offset + 1] = totalWeight > 0 ? g / totalWeight : 0;
+            data[offset + 2] = totalWeight > 0 ? b / totalWeight : 0;
+            data[offset + 3] = 1;
+        }
+    }
+    return { width, height, data };
+}
+
+/** Resamples the largest pyramid level no wider than `width` into RGBA. */
+function mirrorLevel(pyramid, width, height) {
+    const source = pyramid.find((level) => level.width <= width) || pyramid[pyramid.length - 1];
+    const data = new Float32Array(width * height * 4);
+    const color = [0, 0, 0];
+    for (let y = 0; y < height; y += 1) {
+        for (let x = 0; x < width; x += 1) {
+            samplePyramid(source, environmentUvToDirection((x + 0.5) / width, (y + 0.5) / height), color);
+            data.set([color[0], color[1], color[2], 1], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Prefilters the GGX specular mip chain. Level 0 is the mirror reflection;
+ * every level halves the previous one (2:1 aspect, at least 1 texel high).
+ * @returns {{width: number, height: number, data: Float32Array}[]} RGBA levels.
+ */
+export function prefilterSpecular(map, {
+    width = DEFAULT_SPECULAR_WIDTH,
+    levels = DEFAULT_SPECULAR_LEVELS,
+    sampleCount = DEFAULT_SPECULAR_SAMPLES,
+} = {}) {
+    if (!Number.isInteger(levels) || levels < 2) throw new Error('Specular prefiltering needs at least two levels.');
+    if (!Number.isInteger(width) || width < 2 ** levels) {
+        throw new Error(`Specular base width ${width} is too small for ${levels} levels.`);
+    }
+    const pyramid = buildPyramid(map);
+    const chain = [];
+    for (let level = 0; level < levels; level += 1) {
+        const levelWidth = width >> level;
+        const levelHeight = Math.max(1, levelWidth >> 1);
+        chain.push(level === 0
+            ? mirrorLevel(pyramid, levelWidth, levelHeight)
+            : prefilterLevel(pyramid, levelWidth, levelHeight, level / (levels - 1), sampleCount));
+    }
+    return chain;
+}
+
+/**
+ * Everything MeshRenderer.setEnvironment() needs for one map.
+ * @returns {{irradianceSh: Float32Array, specularLevels: {width: number, height: number, data: Float32Array}[], intensity: number}}
+ */
+export function prefilterEnvironmentLighting(map, { intensity = 1, ...options } = {}) {
+    if (!map?.texels) throw new Error('Environment lighting requires an environment map.');
+    if (!Number.isFinite(intensity) || intensity < 0) throw new Error('Environment intensity must be a non-negative finite number.');
+    return {
+        irradianceSh: computeIrradianceSh(map),
+        specularLevels: prefilterSpecular(map, options),
+        intensity,
+    };
+}
@@ -25,28 +25,18 @@ function normalizeInteger(value, info) {
 }
 
 /**
- * Decodes one accessor into a tightly packed typed array.
- * DataView reads make byte-strided and otherwise misaligned sources safe.
+ * Reads `count` elements from a bufferView into a tightly packed typed array.
+ * Sparse index and value views are tightly packed, so they pass `packed`.
  */
-export function decodeGltfAccessor(gltf, buffers, accessorIndex, label = `Accessor ${accessorIndex}`) {
-    const accessor = gltf.accessors?.[accessorIndex];
-    if (!accessor) throw new Error(`${label} references missing accessor ${accessorIndex}.`);
-    if (accessor.sparse) throw new Error(`${label} uses a sparse accessor, which is not supported.`);
-    if (!Number.isInteger(accessor.count) || accessor.count < 0) throw new Error(`${label} count must be a non-negative integer.`);
-    const componentCount = COMPONENTS_BY_TYPE[accessor.type];
-    if (!componentCount) throw new Error(`${label} uses unsupported accessor type ${accessor.type}.`);
-    const component = COMPONENT_INFO[accessor.componentType];
-    if (!component) throw new Error(`${label} uses unsupported component type ${accessor.componentType}.`);
-    if (accessor.normalized && accessor.componentType === 5126) {
-        throw new Error(`${label} cannot normalize floating-point components.`);
-    }
-    const bufferView = gltf.bufferViews?.[accessor.bufferView];
-    if (!bufferView) throw new Error(`${label} references missing bufferView ${accessor.bufferView}.`);
+function readBufferViewElements(gltf, buffers, source, label) {
+    const { bufferViewIndex, byteOffset, count, componentCount, component, normalized, packed = false } = source;
+    const bufferView = gltf.bufferViews?.[bufferViewIndex];
+    if (!bufferView) throw new Error(`${label} references missing bufferView ${bufferViewIndex}.`);
     const bufferData = buffers?.[bufferView.buffer];
     if (!(bufferData instanceof ArrayBuffer)) throw new Error(`${label} references unloaded buffer ${bufferView.buffer}.`);
 
     const elementBytes = componentCount * component.bytes;
-    const byteStride = bufferView.byteStride ?? elementBytes;
+    const byteStride = packed ? elementBytes : bufferView.byteStride ?? elementBytes;
     if (!Number.isInteger(byteStride) || byteStride < elementBytes || byteStride % component.bytes !== 0) {
         throw new Error(`${label} has invalid byteStride ${byteStride}.`);
     }
@@ -55,36 +45,127 @@ export function decodeGltfAccessor(gltf, buffers, accessorIndex, label = `Access
     if (!Number.isInteger(viewStart) || viewStart < 0 || !Number.isInteger(viewLength) || viewLength < 0) {
         throw new Error(`${label} bufferView range is invalid.`);
     }
-    const accessorOffset = accessor.byteOffset || 0;
+    const accessorOffset = byteOffset || 0;
     if (!Number.isInteger(accessorOffset) || accessorOffset < 0) throw new Error(`${label} byteOffset is invalid.`);
-    const requiredBytes = accessor.count === 0 ? 0 : (accessor.count - 1) * byteStride + elementBytes;
+    const requiredBytes = count === 0 ? 0 : (count - 1) * byteStride + elementBytes;
     if (accessorOffset + requiredBytes > viewLength || viewStart + accessorOffset + requiredBytes > bufferData.byteLength) {
         throw new Error(`${label} reads beyond its bufferView.`);
     }
 
-    const OutputType = accessor.normalized ? Float32Array : component.ArrayType;
-    const output = new OutputType(accessor.count * componentCount);
+    const OutputType = normalized ? Float32Array : component.ArrayType;
+    const output = new OutputType(count * componentCount);
     const view = new DataView(bufferData);
     const firstByte = viewStart + accessorOffset;
-    for (let elementIndex = 0; elementIndex < accessor.count; elementIndex += 1) {
+    for (let elementIndex = 0; elementIndex < count; elementIndex += 1) {
         const elementOffset = firstByte + elementIndex * byteStride;
         for (let componentIndex = 0; componentIndex < componentCount; componentIndex += 1) {
             const value = component.read(view, elementOffset + componentIndex * component.bytes);
-            output[elementIndex * componentCount + componentIndex] = accessor.normalized
+            output[elementIndex * componentCount + componentIndex] = normalized
                 ? normalizeInteger(value, component)
                 : value;
         }
     }
+    return output;
+}
+
+/**
+ * Overwrites the elements a sparse accessor substitutes. Its indices must be
+ * unsigned, strictly increasing and inside the accessor.
+ */
+function applySparseSubstitution(gltf, buffers, accessor, output, componentCount, component, label) {
+    const { sparse } = accessor;
+    if (!Number.isInteger(sparse.count) || sparse.count < 1 || sparse.count > accessor.count) {
+        throw new Error(`${label} sparse count must be between 1 and the accessor count.`);
+    }
+    const indexComponent = COMPONENT_INFO[sparse.indices?.componentType];
+    if (![5121, 5123, 5125].includes(sparse.indices?.componentType)) {
+        throw new Error(`${label} sparse indices use unsupported component type ${sparse.indices?.componentType}.`);
+    }
+    const indices = readBufferViewElements(gltf, buffers, {
+        bufferViewIndex: sparse.indices.bufferView,
+        byteOffset: sparse.indices.byteOffset,
+        count: sparse.count,
+        componentCount: 1,
+        component: indexComponent,
+        normalized: false,
+        packed: true,
+    }, `${label} sparse indices`);
+    const values = readBufferViewElements(gltf, buffers, {
+        bufferViewIndex: sparse.values?.bufferView,
+        byteOffset: sparse.values?.byteOffset,
+        count: sparse.count,
+        componentCount,
+        component,
+        normalized: accessor.normalized === true,
+        packed: true,
+    }, `${label} sparse values`);
+    indices.forEach((elementIndex, position) => {
+        if (elementIndex >= accessor.count) throw new Error(`${label} sparse index ${elementIndex} is out of range.`);
+        if (position > 0 && elementIndex <= indices[position - 1]) {
+            throw new Error(`${label} sparse indices must strictly increase.`);
+        }
+        output.set(values.subarray(position * componentCount, (position + 1) * componentCount), elementIndex * componentCount);
+    });
+}
+
+/**
+ * Decodes one accessor into a tightly packed typed array.
+ * DataView reads make byte-strided and otherwise misaligned sources safe. An
+ * accessor without a bufferView starts as zeros; sparse substitution applies last.
+ */
+export function decodeGltfAccessor(gltf, buffers, accessorIndex, label = `Accessor ${accessorIndex}`) {
+    const accessor = gltf.accessors?.[accessorIndex];
+    if (!accessor) throw new Error(`${label} references missing accessor ${accessorIndex}.`);
+    if (!Number.isInteger(accessor.count) || accessor.count < 0) throw new Error(`${label} count must be a non-negative integer.`);
+    const componentCount = COMPONENTS_BY_TYPE[accessor.type];
+    if (!componentCount) throw new Error(`${label} uses unsupported accessor type ${accessor.type}.`);
+    const component = COMPONENT_INFO[accessor.componentType];
+    if (!component) throw new Error(`${label} uses unsupported component type ${accessor.componentType}.`);
+    if (accessor.normalized && accessor.componentType === 5126) {
+        throw new Error(`${label} cannot normalize floating-point components.`);
+    }
+    const normalized = accessor.normalized === true;
+
+    const output = accessor.bufferView == null
+        ? new (normalized ? Float32Array : component.ArrayType)(accessor.count * componentCount)
+        : readBufferViewElements(gltf, buffers, {
+            bufferViewIndex: accessor.bufferView,
+            byteOffset: accessor.byteOffset,
+            count: accessor.count,
+            componentCount,
+            component,
+            normalized,
+        }, label);
+    if (accessor.sparse) applySparseSubstitution(gltf, buffers, accessor, output, componentCount, component, label);
     return {
         data: output,
         count: accessor.count,
         componentCount,
         componentType: accessor.componentType,
         type: accessor.type,
-        normalized: accessor.normalized === true,
+        normalized,
     };
 }
 
+/**
+ * The raw bytes of a bufferView, e.g. an embedded PNG or KTX2 image. The
+ * returned array views the loaded buffer rather than copying it.
+ * @returns {Uint8Array}
+ */
+export function readBufferViewBytes(gltf, buffers, bufferViewIndex, label = `BufferView ${bufferViewIndex}`) {
+    const bufferView = gltf.bufferViews?.[bufferViewIndex];
+    if (!bufferView) throw new Error(`${label} references missing bufferView ${bufferViewIndex}.`);
+    const bufferData = buffers?.[bufferView.buffer];
+    if (!(bufferData instanceof ArrayBuffer)) throw new Error(`${label} references unloaded buffer ${bufferView.buffer}.`);
+    const viewStart = bufferView.byteOffset || 0;
+    const viewLength = bufferView.byteLength;
+    if (!Number.isInteger(viewStart) || viewStart < 0 || !Number.isInteger(viewLength) || viewLength < 0
+        || viewStart + viewLength > bufferData.byteLength) {
+        throw new Error(`${label} bufferView range is invalid.`);
+    }
+    return new Uint8Array(bufferData, viewStart, viewLength);
+}
+
 export function createSequentialIndices(vertexCount) {
     if (!Number.isInteger(vertexCount) || vertexCount < 0) throw new Error('Vertex count must be a non-negative integer.');
     const IndexType = vertexCount <= 65536 ? Uint16Array : Uint32Array;
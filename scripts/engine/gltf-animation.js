@@ -0,0 +1,356 @@
+/**
+ * @file glTF animation — channel/sampler decoding, keyframe interpolation, and
+ *       a clip player that poses the retained asset's nodes.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * The player writes sampled TRS values into `asset.nodes[i].trs` and rewrites
+ * every node's `localMatrix`/`worldMatrix` in place; `weights` channels go to
+ * the node's morph instance (see ./gltf-morph.js). Raster primitives and
+ * skin instances hold references to those arrays, so meshes and skins follow
+ * without re-uploading; the prepared ray scene holds copies, so its instance
+ * transforms and punctual lights are synced explicitly and `onPose` tells the
+ * owner to bump its instance revision (the hybrid shadow path refits its TLAS
+ * and re-aims an imported light from that).
+ */
+import { composeTRSMatrix, invertMatrix, multiplyMatrices } from './matrix.js';
+import { decodeGltfAccessor } from './gltf-accessors.js';
+import { setMorphWeights } from './gltf-morph.js';
+import { syncRayLights } from './gltf-lights.js';
+import { computeSceneBounds } from './raytracing/core/ray-scene.js';
+
+/** Components per keyframe value for each supported target path. */
+const PATH_COMPONENTS = Object.freeze({ translation: 3, rotation: 4, scale: 3 });
+const PATH_TYPES = Object.freeze({ translation: 'VEC3', rotation: 'VEC4', scale: 'VEC3', weights: 'SCALAR' });
+const INTERPOLATIONS = Object.freeze(['LINEAR', 'STEP', 'CUBICSPLINE']);
+
+// A stalled tab or the first frame after resume reports a huge delta; cap the
+// step so playback resumes where it paused instead of jumping ahead.
+const MAX_STEP_SECONDS = 0.25;
+
+function decodeSampler(gltfJson, bufferData, sampler, label) {
+    const interpolation = sampler.interpolation ?? 'LINEAR';
+    if (!INTERPOLATIONS.includes(interpolation)) {
+        throw new Error(`${label} uses unsupported interpolation ${interpolation}.`);
+    }
+    const input = decodeGltfAccessor(gltfJson, bufferData, sampler.input, `${label} input`);
+    if (input.type !== 'SCALAR' || input.componentType !== 5126) {
+        throw new Error(`${label} input must be a FLOAT SCALAR accessor.`);
+    }
+    if (input.count === 0) throw new Error(`${label} input must contain at least one keyframe.`);
+    for (let key = 1; key < input.count; key += 1) {
+        if (!(input.data[key] > input.data[key - 1])) {
+            throw new Error(`${label} input times must be strictly increasing.`);
+        }
+    }
+    const output = decodeGltfAccessor(gltfJson, bufferData, sampler.output, `${label} output`);
+    if (!(output.data instanceof Float32Array)) {
+        throw new Error(`${label} output must be FLOAT or normalized integer data.`);
+    }
+    return {
+        interpolation,
+        input: input.data,
+        output: output.data,
+        type: output.type,
+        componentCount: output.componentCount,
+    };
+}
+
+/**
+ * Decodes `animations[]` against the nodes of the selected scene. Channels
+ * aimed at nodes outside that scene (or at no node) are dropped, as the spec
+ * allows; everything else that cannot be played fails by name.
+ * @param {object} gltfJson
+ * @param {ArrayBuffer[]} bufferData
+ * @param {Map<number, number>} nodeIndexBySource source node index → position in `nodes`.
+ * @param {object[]} nodes retained asset nodes.
+ * @param {object[]} [morphInstances] retained morph instances, for `weights` channels.
+ * @returns {{name: string, duration: number, samplers: object[],
+ *            channels: {nodeIndex: number, path: string, sampler: number, componentCount: number}[]}[]}
+ */
+export function decodeGltfAnimations(gltfJson, bufferData, nodeIndexBySource, nodes, morphInstances = []) {
+    return (gltfJson.animations || []).map((animation, animationIndex) => {
+        const label = `Animation ${animationIndex}`;
+        const samplers = (animation.samplers || []).map((sampler, samplerIndex) => (
+            decodeSampler(gltfJson, bufferData, sampler, `${label} sampler ${samplerIndex}`)
+        ));
+        const channels = [];
+        let duration = 0;
+        (animation.channels || []).forEach((channel, channelIndex) => {
+            const channelLabel = `${label} channel ${channelIndex}`;
+            const path = channel.target?.path;
+            if (!PATH_TYPES[path]) throw new Error(`${channelLabel} targets unsupported path ${path}.`);
+            const sampler = samplers[channel.sampler];
+            if (!sampler) throw new Error(`${channelLabel} references missing sampler ${channel.sampler}.`);
+            if (sampler.type !== PATH_TYPES[path]) {
+                throw new Error(`${channelLabel} ${path} output must be a ${PATH_TYPES[path]} accessor.`);
+            }
+            if (channel.target.node == null) return;
+            const nodeIndex = nodeIndexBySource.get(channel.target.node);
+            if (nodeIndex == null) return;
+            const node = nodes[nodeIndex];
+            let componentCount = PATH_COMPONENTS[path];
+            if (path === 'weights') {
+                if (node.morphInstanceIndex < 0) {
+                    throw new Error(`${channelLabel} animates weights of node ${channel.target.node}, which has no morph targets.`);
+                }
+                componentCount = morphInstances[node.morphInstanceIndex].weights.length;
+            } else if (!node.trs) {
+                throw new Error(`${channelLabel} animates node ${channel.target.node}, which uses a matrix transform.`);
+            }
+            const valuesPerKey = sampler.interpolation === 'CUBICSPLINE' ? 3 : 1;
+            if (sampler.output.length !== sampler.input.length * valuesPerKey * componentCount) {
+                throw new Error(`${channelLabel} output must hold ${valuesPerKey * componentCount} value(s) per keyframe.`);
+            }
+            channels.push({ nodeIndex, path, sampler: channel.sampler, componentCount });
+            duration = Math.max(duration, sampler.input[sampler.input.length - 1]);
+        });
+        return { name: animation.name || `Animation ${animationIndex}`, duration, samplers, channels };
+    });
+}
+
+function copyKey(output, offset, count, out) {
+    for (let component = 0; component < count; component += 1) out[component] = output[offset + component];
+    return out;
+}
+
+function normalizeQuaternion(out) {
+    const length = Math.hypot(out[0], out[1], out[2], out[3]);
+    if (length > 0) for (let component = 0; component < 4; component += 1) out[component] /= length;
+    return out;
+}
+
+function slerp(output, a, b, u, out) {
+    let dot = 0;
+    for (let component = 0; component < 4; component += 1) dot += output[a + component] * output[b + component];
+    // Take the short way round; q and -q are the same rotation.
+    const sign = dot < 0 ? -1 : 1;
+    dot *= sign;
+    let wa = 1 - u;
+    let wb = u * sign;
+    if (dot < 0.9995) {
+        const theta = Math.acos(dot);
+        const sinTheta = Math.sin(theta);
+        wa = Math.sin((1 - u) * theta) / sinTheta;
+        wb = (Math.sin(u * theta) / sinTheta) * sign;
+    }
+    for (let component = 0; component < 4; component += 1) {
+        out[component] = wa * output[a + component] + wb * output[b + component];
+    }
+    return normalizeQuaternion(out);
+}
+
+/**
+ * Samples one channel's keyframes at `time` (seconds), clamping outside the
+ * keyed range. Rotations slerp under LINEAR and are renormalized after
+ * CUBICSPLINE, per the glTF spec.
+ * @param {{interpolation: string, input: Float32Array, output: Float32Array, componentCount: number}} sampler
+ * @param {'translation'|'rotation'|'scale'|'weights'} path
+ * @param {number} time
+ * @param {Float32Array|number[]} out receives `count` values.
+ * @param {number} [count] values per keyframe; `weights` channels pass their
+ *        morph target count, since their output accessor is SCALAR.
+ */
+export function sampleAnimationChannel(sampler, path, time, out, count = sampler.componentCount) {
+    const { input, output, interpolation } = sampler;
+    const cubic = interpolation === 'CUBICSPLINE';
+    const stride = cubic ? count * 3 : count;
+    const valueOffset = cubic ? count : 0;
+    const last = input.length - 1;
+    if (time <= input[0]) return copyKey(output, valueOffset, count, out);
+    if (time >= input[last]) return copyKey(output, last * stride + valueOffset, count, out);
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (input[middle] <= time) low = middle;
+        else high = middle;
+    }
+    const span = input[high] - input[low];
+    const u = (time - input[low]) / span;
+    if (interpolation === 'STEP') return copyKey(output, low * stride, count, out);
+    if (!cubic) {
+        if (path === 'rotation') return slerp(output, low * stride, high * stride, u, out);
+        for (let component = 0; component < count; component += 1) {
+            out[component] = output[low * stride + component] * (1 - u) + output[high * stride + component] * u;
+        }
+        return out;
+    }
+    const u2 = u * u;
+    const u3 = u2 * u;
+    for (let component = 0; component < count; component += 1) {
+        const p0 = output[low * stride + count + component];
+        const m0 = span * output[low * stride + 2 * count + component]; // out-tangent of the earlier key
+        const p1 = output[high * stride + count + component];
+        const m1 = span * output[high * stride + component]; // in-tangent of the later key
+        out[component] = (2 * u3 - 3 * u2 + 1) * p0 + (u3 - 2 * u2 + u) * m0
+            + (-2 * u3 + 3 * u2) * p1 + (u3 - u2) * m1;
+    }
+    return path === 'rotation' ? normalizeQuaternion(out) : out;
+}
+
+/**
+ * Recomposes TRS nodes' local matrices and propagates world matrices in place.
+ * `asset.nodes` is in depth-first pre-order, so parents are always updated
+ * before their children.
+ */
+export function updateAssetWorldMatrices(asset) {
+    for (const node of asset.nodes) {
+        if (node.trs) node.localMatrix.set(composeTRSMatrix(node.trs.translation, node.trs.rotation, node.trs.scale));
+        const parent = node.parentIndex >= 0 ? asset.nodes[node.parentIndex] : null;
+        node.worldMatrix.set(parent ? multiplyMatrices(parent.worldMatrix, node.localMatrix) : node.localMatrix);
+    }
+}
+
+/**
+ * Copies node world matrices onto the prepared ray scene's instances. An
+ * instance whose node collapsed to a singular matrix (scale-to-zero keys are a
+ * common way to hide parts) keeps its previous transform.
+ */
+export function syncRayInstances(asset) {
+    const rayScene = asset.rayScene;
+    if (!rayScene || !asset.rayInstanceNodes) return;
+    rayScene.instances.forEach((instance, instanceIndex) => {
+        const worldMatrix = asset.nodes[asset.rayInstanceNodes[instanceIndex]].worldMatrix;
+        let inverseWorldMatrix;
+        try {
+            inverseWorldMatrix = invertMatrix(worldMatrix);
+        } catch (_error) {
+            return;
+        }
+        instance.worldMatrix.set(worldMatrix);
+        instance.inverseWorldMatrix = inverseWorldMatrix;
+    });
+    rayScene.bounds = computeSceneBounds(rayScene);
+}
+
+/**
+ * Plays an asset's animation clips. Nothing is posed until a clip is played
+ * or scrubbed, so loading an animated file shows its authored rest pose.
+ * @param {object} asset retained glTF asset with `animations`.
+ * @param {{onPose?: () => void}} [options] called after every applied pose.
+ */
+export function createAnimationPlayer(asset, { onPose } = {}) {
+    const clips = asset.animations || [];
+    const scratch = new Float32Array(clips.reduce((size, clip) => clip.channels.reduce(
+        (largest, channel) => Math.max(largest, channel.componentCount ?? 0),
+        size,
+    ), 4));
+    let clipIndex = clips.length ? 0 : -1;
+    let time = 0;
+    let speed = 1;
+    let loop = true;
+    let playing = false;
+    let dirty = false;
+
+    function resolveClip(clip) {
+        const index = typeof clip === 'string' ? clips.findIndex((entry) => entry.name === clip) : clip;
+        if (!Number.isInteger(index) || !clips[index]) throw new Error(`Animation clip ${clip} does not exist.`);
+        return index;
+    }
+
+    function selectClip(clip) {
+        const index = resolveClip(clip);
+        if (index !== clipIndex) {
+            clipIndex = index;
+            time = 0;
+        }
+        dirty = true;
+    }
+
+    function applyPose() {
+        const clip = clips[clipIndex];
+        for (const channel of clip.channels) {
+            const node = asset.nodes[channel.nodeIndex];
+            sampleAnimationChannel(clip.samplers[channel.sampler], channel.path, time, scratch, channel.componentCount);
+            if (channel.path === 'weights') {
+                setMorphWeights(asset.morphInstances[node.morphInstanceIndex], scratch);
+                continue;
+            }
+            const target = node.trs[channel.path];
+            for (let component = 0; component < target.length; component += 1) target[component] = scratch[component];
+        }
+        updateAssetWorldMatrices(asset);
+        syncRayInstances(asset);
+        syncRayLights(asset);
+        onPose?.();
+    }
+
+    return {
+        /** @returns {{index: number, name: string, duration: number, channelCount: number}[]} */
+        listClips: () => clips.map((clip, index) => ({
+            index,
+            name: clip.name,
+            duration: clip.duration,
+            channelCount: clip.channels.length,
+        })),
+
+        /** Starts (or resumes) playback, switching clips first when one is named. */
+        play(clip = clipIndex) {
+            selectClip(clip);
+            playing = true;
+        },
+
+        pause() {
+            playing = false;
+        },
+
+        /** Switches clips without changing play/pause; the new clip starts at 0. */
+        selectClip,
+
+        /** Scrubs the current clip to `seconds`, clamped to its duration. */
+        seek(seconds) {
+            if (clipIndex < 0) throw new Error('The asset has no animation clips.');
+            if (!Number.isFinite(seconds)) throw new Error('Animation time must be a finite number of seconds.');
+            time = Math.min(Math.max(seconds, 0), clips[clipIndex].duration);
+            dirty = true;
+        },
+
+        /** Playback rate multiplier; negative values play backwards. */
+        setSpeed(value) {
+            if (!Number.isFinite(value)) throw new Error('Animation speed must be a finite number.');
+            speed = value;
+        },
+
+        setLoop(value) {
+            loop = !!value;
+        },
+
+        /**
+         * Advances playback by `deltaTime` seconds and applies the pose when it
+         * changed. Called once per frame by the scene core.
+         * @returns {boolean} whether a new pose was applied.
+         */
+        update(deltaTime) {
+            if (clipIndex < 0) return false;
+            const duration = clips[clipIndex].duration;
+            if (playing) {
+                time += Math.min(Math.max(deltaTime, 0), MAX_STEP_SECONDS) * speed;
+                if (time > duration || time < 0) {
+                    if (loop && duration > 0) {
+                        time = ((time % duration) + duration) % duration;
+                    } else {
+                        time = Math.min(Math.max(time, 0), duration);
+                        playing = false;
+                    }
+                }
+                dirty = true;
+            }
+            if (!dirty) return false;
+            dirty = false;
+            applyPose();
+            return true;
+        },
+
+        getState: () => ({
+            clipIndex,
+            clipName: clips[clipIndex]?.name ?? null,
+            time,
+            duration: clips[clipIndex]?.duration ?? 0,
+            speed,
+            loop,
+            playing,
+        }),
+    };
+}
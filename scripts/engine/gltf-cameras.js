@@ -0,0 +1,97 @@
+/**
+ * @file glTF cameras — perspective and orthographic camera decoding and posing.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Every node of the selected scene that references a camera gets one retained
+ * camera holding that node's `worldMatrix` by reference. A camera sits at its
+ * node's origin, looks down the node's local -Z with +Y up, and carries its
+ * projection in the shape `Camera.setProjection` takes. glTF cameras have no
+ * focus distance, so the orbit target is placed where the view axis passes the
+ * asset's bounds centre.
+ */
+import { transformDirection, transformPoint } from './matrix.js';
+
+function normalize(vector, fallback) {
+    const length = Math.hypot(vector[0], vector[1], vector[2]);
+    return length > 0 ? vector.map((component) => component / length) : fallback;
+}
+
+function decodeProjection(source, label) {
+    if (source?.type === 'perspective') {
+        const { yfov, znear, zfar, aspectRatio } = source.perspective || {};
+        if (!(yfov > 0 && yfov < Math.PI)) throw new Error(`${label} perspective yfov must be between 0 and π.`);
+        if (!(znear > 0 && Number.isFinite(znear))) throw new Error(`${label} perspective znear must be positive.`);
+        if (zfar != null && !(zfar > znear && Number.isFinite(zfar))) {
+            throw new Error(`${label} perspective zfar must be finite and greater than znear.`);
+        }
+        if (aspectRatio != null && !(aspectRatio > 0 && Number.isFinite(aspectRatio))) {
+            throw new Error(`${label} perspective aspectRatio must be positive.`);
+        }
+        // An absent zfar is an infinite projection; the viewport then fits its own.
+        const projection = { type: 'perspective', yfov, znear };
+        if (zfar != null) projection.zfar = zfar;
+        if (aspectRatio != null) projection.aspectRatio = aspectRatio;
+        return projection;
+    }
+    if (source?.type === 'orthographic') {
+        const { xmag, ymag, znear, zfar } = source.orthographic || {};
+        if (!(Number.isFinite(xmag) && xmag !== 0 && Number.isFinite(ymag) && ymag !== 0)) {
+            throw new Error(`${label} orthographic xmag and ymag must be non-zero numbers.`);
+        }
+        if (!(znear >= 0 && zfar > znear && Number.isFinite(zfar))) {
+            throw new Error(`${label} orthographic clip planes must satisfy 0 <= znear < zfar.`);
+        }
+        return { type: 'orthographic', xmag: Math.abs(xmag), ymag: Math.abs(ymag), znear, zfar };
+    }
+    throw new Error(`${label} has unsupported type ${source?.type}.`);
+}
+
+/**
+ * Decodes the document's `cameras` and binds one copy to every retained node
+ * that references them.
+ * @param {object} gltfJson
+ * @param {object[]} nodes retained asset nodes.
+ * @returns {{name: string, projection: object, nodeIndex: number, worldMatrix: Float32Array}[]}
+ */
+export function decodeGltfCameras(gltfJson, nodes) {
+    const definitions = (gltfJson.cameras || []).map((source, cameraIndex) => ({
+        name: source?.name || '',
+        projection: decodeProjection(source, `Camera ${cameraIndex}`),
+    }));
+    const cameras = [];
+    nodes.forEach((node, nodeIndex) => {
+        const cameraIndex = gltfJson.nodes?.[node.sourceNodeIndex]?.camera;
+        if (cameraIndex == null) return;
+        if (!Number.isInteger(cameraIndex) || !definitions[cameraIndex]) {
+            throw new Error(`Node ${node.sourceNodeIndex} references missing camera ${cameraIndex}.`);
+        }
+        const definition = definitions[cameraIndex];
+        cameras.push({ name: definition.name, projection: { ...definition.projection }, nodeIndex, worldMatrix: node.worldMatrix });
+    });
+    return cameras;
+}
+
+/**
+ * Converts a retained camera into the ray-scene camera contract (see
+ * RayScene.camera), aiming the orbit target at `bounds`.
+ * @param {object} camera retained camera.
+ * @param {{center: number[], radius: number}|null} [bounds]
+ * @returns {{eye: number[], target: number[], up: number[], fovY?: number, projection: object}}
+ */
+export function gltfCameraToRayCamera(camera, bounds = null) {
+    const eye = transformPoint(camera.worldMatrix, [0, 0, 0]);
+    const forward = normalize(transformDirection(camera.worldMatrix, [0, 0, -1]), [0, 0, -1]);
+    const up = normalize(transformDirection(camera.worldMatrix, [0, 1, 0]), [0, 1, 0]);
+    const center = bounds?.center ?? eye;
+    const along = (center[0] - eye[0]) * forward[0] + (center[1] - eye[1]) * forward[1] + (center[2] - eye[2]) * forward[2];
+    const distance = along > 0 ? along : bounds?.radius > 0 ? bounds.radius : 1;
+    const rayCamera = {
+        eye,
+        target: eye.map((value, axis) => value + forward[axis] * distance),
+        up,
+        projection: { ...camera.projection },
+    };
+    if (camera.projection.type === 'perspective') rayCamera.fovY = camera.projection.yfov;
+    return rayCamera;
+}
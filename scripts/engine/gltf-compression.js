@@ -0,0 +1,256 @@
+/**
+ * @file glTF geometry decompression — KHR_draco_mesh_compression and
+ * EXT_meshopt_compression (also under its ratified KHR_meshopt_compression name).
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Both decoders are WebAssembly libraries loaded on first use, so documents
+ * without compression never fetch them. Decoded bytes land in new in-memory
+ * buffers and the compressed bufferViews and Draco accessors are rewritten as
+ * plain ones over them, so the parser reads them with decodeGltfAccessor like
+ * any uncompressed document and retains identical primitive arrays.
+ */
+
+export const MESHOPT_EXTENSIONS = Object.freeze(['EXT_meshopt_compression', 'KHR_meshopt_compression']);
+const MESHOPT_MODES = Object.freeze(['ATTRIBUTES', 'TRIANGLES', 'INDICES']);
+const MESHOPT_FILTERS = Object.freeze(['NONE', 'OCTAHEDRAL', 'QUATERNION', 'EXPONENTIAL', 'COLOR']);
+
+// Draco encodes triangle meshes and point clouds only.
+const DRACO_TRIANGLES = 4;
+const DRACO_POINTS = 0;
+
+// glTF component type -> Draco data type and the typed array it is read into.
+const DRACO_COMPONENTS = Object.freeze({
+    5120: { dataType: 'DT_INT8', ArrayType: Int8Array },
+    5121: { dataType: 'DT_UINT8', ArrayType: Uint8Array },
+    5122: { dataType: 'DT_INT16', ArrayType: Int16Array },
+    5123: { dataType: 'DT_UINT16', ArrayType: Uint16Array },
+    5125: { dataType: 'DT_UINT32', ArrayType: Uint32Array },
+    5126: { dataType: 'DT_FLOAT32', ArrayType: Float32Array },
+});
+
+let meshoptDecoder = null;
+async function getMeshoptDecoder() {
+    if (!meshoptDecoder) {
+        meshoptDecoder = (async () => {
+            const decoder = globalThis.MeshoptDecoder ?? (await import('meshoptimizer/decoder')).MeshoptDecoder;
+            await decoder.ready;
+            return decoder;
+        })();
+    }
+    return meshoptDecoder;
+}
+
+// The draco3d package only carries a Node build, so the ui bundles the browser
+// decoder three.js vendors (the draco-decoder alias in ui/vite.config.js) and
+// its .wasm as an asset URL. A DracoDecoderModule global stands in for both.
+let dracoDecoder = null;
+async function getDracoDecoder() {
+    if (!dracoDecoder) {
+        dracoDecoder = (async () => {
+            if (globalThis.DracoDecoderModule) return globalThis.DracoDecoderModule({});
+            const [wrapper, wasm] = await Promise.all([
+                import('draco-decoder/draco_wasm_wrapper.js'),
+                import('draco-decoder/draco_decoder.wasm?url'),
+            ]);
+            const createDecoderModule = wrapper.default || wrapper;
+            return createDecoderModule({ locateFile: () => wasm.default });
+        })();
+        // A failed load may succeed on a later document.
+        dracoDecoder.catch(() => { dracoDecoder = null; });
+    }
+    return dracoDecoder;
+}
+
+/** Whether a buffer only stands in for meshopt-compressed data and need not be loaded. */
+export function isMeshoptFallbackBuffer(buffer) {
+    return MESHOPT_EXTENSIONS.some((name) => buffer.extensions?.[name]?.fallback === true);
+}
+
+function meshoptExtension(bufferView) {
+    const name = MESHOPT_EXTENSIONS.find((candidate) => bufferView.extensions?.[candidate]);
+    return name ? bufferView.extensions[name] : null;
+}
+
+function withoutExtension(object, name) {
+    const { extensions = {}, ...rest } = object;
+    const { [name]: decoded, ...remaining } = extensions;
+    return Object.keys(remaining).length ? { ...rest, extensions: remaining } : rest;
+}
+
+function bufferViewBytes(gltfJson, buffers, viewIndex, label) {
+    const view = gltfJson.bufferViews?.[viewIndex];
+    if (!view) throw new Error(`${label} references missing bufferView ${viewIndex}.`);
+    const data = buffers[view.buffer];
+    const byteOffset = view.byteOffset || 0;
+    if (!(data instanceof ArrayBuffer) || byteOffset + view.byteLength > data.byteLength) {
+        throw new Error(`${label} bufferView ${viewIndex} lies outside its buffer.`);
+    }
+    return new Uint8Array(data, byteOffset, view.byteLength);
+}
+
+function decodeMeshoptView(decoder, view, buffers, viewIndex) {
+    const label = `BufferView ${viewIndex}`;
+    const { buffer, byteOffset = 0, byteLength, byteStride, count, mode, filter = 'NONE' } = meshoptExtension(view);
+    if (!MESHOPT_MODES.includes(mode)) throw new Error(`${label} uses unknown meshopt mode ${mode}.`);
+    if (!MESHOPT_FILTERS.includes(filter)) throw new Error(`${label} uses unknown meshopt filter ${filter}.`);
+    const validStride = mode === 'ATTRIBUTES'
+        ? Number.isInteger(byteStride) && byteStride > 0 && byteStride <= 256 && byteStride % 4 === 0
+        : byteStride === 2 || byteStride === 4;
+    if (!validStride) throw new Error(`${label} has invalid meshopt byteStride ${byteStride} for ${mode}.`);
+    if (!Number.isInteger(count) || count < 0 || (mode === 'TRIANGLES' && count % 3 !== 0)) {
+        throw new Error(`${label} has invalid meshopt count ${count}.`);
+    }
+    const data = buffers[buffer];
+    if (!(data instanceof ArrayBuffer) || !(byteOffset >= 0) || byteOffset + byteLength > data.byteLength) {
+        throw new Error(`${label} meshopt source lies outside buffer ${buffer}.`);
+    }
+    const target = new Uint8Array(new ArrayBuffer(count * byteStride));
+    try {
+        decoder.decodeGltfBuffer(target, count, byteStride, new Uint8Array(data, byteOffset, byteLength), mode, filter);
+    } catch (error) {
+        throw new Error(`${label} meshopt data could not be decoded: ${error.message}`);
+    }
+    return target.buffer;
+}
+
+/**
+ * Decodes one Draco primitive's attributes and indices into typed arrays, each
+ * paired with a copy of the accessor that will describe it. A POINTS primitive
+ * decodes as a point cloud, without indices.
+ */
+function decodeDracoPrimitive(draco, gltfJson, buffers, primitive, label) {
+    const extension = primitive.extensions.KHR_draco_mesh_compression;
+    const bytes = bufferViewBytes(gltfJson, buffers, extension.bufferView, `${label} KHR_draco_mesh_compression`);
+    const points = (primitive.mode ?? DRACO_TRIANGLES) === DRACO_POINTS;
+    const decoder = new draco.Decoder();
+    const geometry = points ? new draco.PointCloud() : new draco.Mesh();
+    try {
+        const status = points
+            ? decoder.DecodeArrayToPointCloud(bytes, bytes.byteLength, geometry)
+            : decoder.DecodeArrayToMesh(bytes, bytes.byteLength, geometry);
+        if (!status.ok() || geometry.ptr === 0) throw new Error(`${label} Draco data could not be decoded: ${status.error_msg()}`);
+        const pointCount = geometry.num_points();
+        const read = (ArrayType, count, fill) => {
+            const byteLength = count * ArrayType.BYTES_PER_ELEMENT;
+            const pointer = draco._malloc(byteLength);
+            try {
+                fill(byteLength, pointer);
+                return new ArrayType(draco.HEAPU8.buffer, pointer, count).slice();
+            } finally {
+                draco._free(pointer);
+            }
+        };
+
+        const attributes = {};
+        for (const [semantic, uniqueId] of Object.entries(extension.attributes || {})) {
+            const accessorIndex = primitive.attributes?.[semantic];
+            const accessor = gltfJson.accessors?.[accessorIndex];
+            if (!accessor) throw new Error(`${label} Draco ${semantic} has no accessor.`);
+            const component = DRACO_COMPONENTS[accessor.componentType];
+            const attribute = decoder.GetAttributeByUniqueId(geometry, uniqueId);
+            if (!component || !attribute || attribute.ptr === 0) {
+                throw new Error(`${label} Draco ${semantic} attribute ${uniqueId} cannot be decoded.`);
+            }
+            const componentCount = attribute.num_components();
+            const data = read(component.ArrayType, pointCount * componentCount, (byteLength, pointer) => {
+                decoder.GetAttributeDataArrayForAllPoints(geometry, attribute, draco[component.dataType], byteLength, pointer);
+            });
+            attributes[semantic] = { accessor: { ...accessor, count: pointCount }, data };
+        }
+
+        let indices = null;
+        if (!points && primitive.indices != null) {
+            const accessor = gltfJson.accessors?.[primitive.indices];
+            const ArrayType = { 5121: Uint8Array, 5123: Uint16Array, 5125: Uint32Array }[accessor?.componentType];
+            if (!ArrayType) throw new Error(`${label} Draco indices must use an unsigned integer accessor.`);
+            const triangles = read(Uint32Array, geometry.num_faces() * 3, (byteLength, pointer) => {
+                decoder.GetTrianglesUInt32Array(geometry, byteLength, pointer);
+            });
+            indices = { accessor: { ...accessor, count: triangles.length }, data: ArrayType.from(triangles) };
+        }
+        return { attributes, indices, chunks: [...Object.values(attributes), ...(indices ? [indices] : [])] };
+    } finally {
+        draco.destroy(geometry);
+        draco.destroy(decoder);
+    }
+}
+
+/**
+ * Decodes meshopt bufferViews and Draco primitives, returning a rewritten
+ * document and buffer list; documents without compression pass through.
+ * @param {object} gltfJson
+ * @param {(ArrayBuffer|null)[]} buffers loaded buffers; meshopt fallbacks are null.
+ * @returns {Promise<{gltfJson: object, buffers: (ArrayBuffer|null)[]}>}
+ */
+export async function decompressGltfGeometry(gltfJson, buffers) {
+    let json = gltfJson;
+    const decodedBuffers = [...buffers];
+
+    if (json.bufferViews?.some(meshoptExtension)) {
+        const decoder = await getMeshoptDecoder();
+        json = {
+            ...json,
+            bufferViews: json.bufferViews.map((view, viewIndex) => {
+                const extensionName = MESHOPT_EXTENSIONS.find((name) => view.extensions?.[name]);
+                if (!extensionName) return view;
+                const data = decodeMeshoptView(decoder, view, decodedBuffers, viewIndex);
+                decodedBuffers.push(data);
+                return {
+                    ...withoutExtension(view, extensionName),
+                    buffer: decodedBuffers.length - 1,
+                    byteOffset: 0,
+                    byteLength: data.byteLength,
+                };
+            }),
+        };
+    }
+
+    const isDraco = (primitive) => primitive.extensions?.KHR_draco_mesh_compression != null;
+    json.meshes?.forEach((mesh, meshIndex) => mesh.primitives?.forEach((primitive, primitiveIndex) => {
+        const mode = primitive.mode ?? DRACO_TRIANGLES;
+        if (isDraco(primitive) && mode !== DRACO_TRIANGLES && mode !== DRACO_POINTS) {
+            throw new Error(`Mesh ${meshIndex} primitive ${primitiveIndex} uses KHR_draco_mesh_compression with mode ${mode}; `
+                + 'Draco only compresses TRIANGLES and POINTS.');
+        }
+    }));
+    if (json.meshes?.some((mesh) => mesh.primitives?.some(isDraco))) {
+        const draco = await getDracoDecoder();
+        const accessors = [...(json.accessors || [])];
+        const bufferViews = [...(json.bufferViews || [])];
+        // Each Draco primitive gets one buffer holding its decoded attributes and indices.
+        const addChunks = (chunks) => {
+            const byteLength = chunks.reduce((total, chunk) => total + Math.ceil(chunk.data.byteLength / 4) * 4, 0);
+            const bytes = new Uint8Array(new ArrayBuffer(byteLength));
+            const bufferIndex = decodedBuffers.length;
+            let byteOffset = 0;
+            for (const chunk of chunks) {
+                bytes.set(new Uint8Array(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength), byteOffset);
+                bufferViews.push({ buffer: bufferIndex, byteOffset, byteLength: chunk.data.byteLength });
+                accessors.push({ ...chunk.accessor, bufferView: bufferViews.length - 1, byteOffset: 0 });
+                chunk.accessorIndex = accessors.length - 1;
+                byteOffset += Math.ceil(chunk.data.byteLength / 4) * 4;
+            }
+            decodedBuffers.push(bytes.buffer);
+        };
+        const meshes = json.meshes.map((mesh, meshIndex) => ({
+            ...mesh,
+            primitives: (mesh.primitives || []).map((primitive, primitiveIndex) => {
+                if (!isDraco(primitive)) return primitive;
+                const label = `Mesh ${meshIndex} primitive ${primitiveIndex}`;
+                const decoded = decodeDracoPrimitive(draco, json, decodedBuffers, primitive, label);
+                addChunks(decoded.chunks);
+                const rewritten = withoutExtension(primitive, 'KHR_draco_mesh_compression');
+                rewritten.attributes = { ...primitive.attributes };
+                for (const [semantic, chunk] of Object.entries(decoded.attributes)) {
+                    rewritten.attributes[semantic] = chunk.accessorIndex;
+                }
+                if (decoded.indices) rewritten.indices = decoded.indices.accessorIndex;
+                else delete rewritten.indices;
+                return rewritten;
+            }),
+        }));
+        json = { ...json, meshes, accessors, bufferViews };
+    }
+    return { gltfJson: json, buffers: decodedBuffers };
+}
@@ -73,3 +73,36 @@ export function parseGltfContainer(arrayBuffer, { expectGlb = false } = {}) {
         throw new Error(`Malformed glTF JSON: ${error.message}`);
     }
 }
+
+/**
+ * Writes a GLB v2 container. The JSON chunk is padded with spaces and the BIN
+ * chunk, omitted when null or empty, with zeros.
+ * @param {object} json glTF document.
+ * @param {Uint8Array|ArrayBuffer|null} [binaryChunk]
+ * @returns {ArrayBuffer}
+ */
+export function encodeGlb(json, binaryChunk = null) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const binaryBytes = binaryChunk instanceof ArrayBuffer ? new Uint8Array(binaryChunk) : binaryChunk;
+    const pad = (length) => (length + 3) & ~3;
+    const jsonLength = pad(jsonBytes.byteLength);
+    const binaryLength = binaryBytes?.byteLength ? pad(binaryBytes.byteLength) : 0;
+    const totalLength = 12 + 8 + jsonLength + (binaryLength ? 8 + binaryLength : 0);
+    const output = new ArrayBuffer(totalLength);
+    const view = new DataView(output);
+    const bytes = new Uint8Array(output);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_JSON_CHUNK, true);
+    bytes.set(jsonBytes, 20);
+    bytes.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+    if (binaryLength) {
+        const binaryStart = 20 + jsonLength;
+        view.setUint32(binaryStart, binaryLength, true);
+        view.setUint32(binaryStart + 4, GLB_BIN_CHUNK, true);
+        bytes.set(binaryBytes, binaryStart + 8);
+    }
+    return output;
+}
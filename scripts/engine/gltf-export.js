@@ -0,0 +1,496 @@
+/**
+ * @file glTF export — writes retained assets back out as one GLB.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * The writer is the inverse of parseGltfAsset(): the retained nodes, mesh
+ * primitives, materials, images, lights, cameras and material variants of
+ * each asset are written so that parsing the GLB retains the same data. Each
+ * asset's placement in the editor (its scene-graph node and the scene
+ * script's model matrix) is baked into its root nodes; an unplaced asset
+ * keeps its roots' authored TRS. An animated root cannot take a baked
+ * matrix (channels drive TRS), so it keeps its TRS under an added parent node
+ * holding the placement instead. Skins, morph targets and animation clips are
+ * written with the bind-pose geometry they deform, each node carrying its
+ * current TRS and morph weights. Images are embedded as the encoded files
+ * they were loaded from. KHR_gaussian_splatting clouds are left out with a
+ * warning (the splat exporter writes them); a mesh holding nothing else is
+ * not written, and its nodes carry no mesh.
+ */
+import { encodeGlb } from './gltf-container.js';
+import { GLTF_PRIMITIVE_MODES, expandRgbToRgba } from './gltf-geometry.js';
+import { isKtx2ImageSource } from './gltf-ktx2.js';
+import { IDENTITY_UV_TRANSFORM, encodeTextureTransform } from './gltf-texture-transform.js';
+import { createIdentityMatrix, multiplyMatrices } from './matrix.js';
+
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const COMPONENT_COUNTS = Object.freeze({ SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 });
+
+function indexComponentType(indices, label) {
+    if (indices instanceof Uint8Array) return 5121;
+    if (indices instanceof Uint16Array) return 5123;
+    if (indices instanceof Uint32Array) return 5125;
+    throw new Error(`${label} indices must be a Uint8Array, Uint16Array or Uint32Array.`);
+}
+
+function isIdentityMatrix(matrix) {
+    const identity = createIdentityMatrix();
+    return identity.every((value, index) => matrix[index] === value);
+}
+
+function positionBounds(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let offset = 0; offset < positions.length; offset += 3) {
+        for (let axis = 0; axis < 3; axis += 1) {
+            min[axis] = Math.min(min[axis], positions[offset + axis]);
+            max[axis] = Math.max(max[axis], positions[offset + axis]);
+        }
+    }
+    return positions.length ? { min, max } : { min: [0, 0, 0], max: [0, 0, 0] };
+}
+
+/** Packs bufferViews into the one GLB BIN buffer, each 4-byte aligned. */
+function createBinaryWriter(json) {
+    const chunks = [];
+    let byteLength = 0;
+    const writer = {
+        addBufferView(bytes, target) {
+            const byteOffset = (byteLength + 3) & ~3;
+            const bufferView = { buffer: 0, byteOffset, byteLength: bytes.byteLength };
+            if (target) bufferView.target = target;
+            json.bufferViews.push(bufferView);
+            chunks.push({ byteOffset, bytes });
+            byteLength = byteOffset + bytes.byteLength;
+            return json.bufferViews.length - 1;
+        },
+        addAccessor(data, type, componentType, target, extra = {}) {
+            const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            const componentCount = COMPONENT_COUNTS[type];
+            json.accessors.push({
+                bufferView: writer.addBufferView(bytes, target),
+                componentType,
+                count: data.length / componentCount,
+                type,
+                ...extra,
+            });
+            return json.accessors.length - 1;
+        },
+        finish() {
+            const binary = new Uint8Array((byteLength + 3) & ~3);
+            for (const { byteOffset, bytes } of chunks) binary.set(bytes, byteOffset);
+            return binary;
+        },
+    };
+    return writer;
+}
+
+/** A textureInfo for one material slot, or null when the slot is empty or its image was not exported. */
+function encodeTextureInfo(material, slot, textureIndexOf, extensionsUsed, extra = {}) {
+    const textureIndex = textureIndexOf(material[`${slot}ImageIndex`] ?? -1);
+    if (textureIndex < 0) return null;
+    const info = { index: textureIndex, ...extra };
+    const texCoord = material[`${slot}TexCoord`] ?? 0;
+    if (texCoord) info.texCoord = texCoord;
+    const transform = encodeTextureTransform(material[`${slot}UvTransform`] ?? IDENTITY_UV_TRANSFORM);
+    if (transform) {
+        info.extensions = { KHR_texture_transform: transform };
+        extensionsUsed.add('KHR_texture_transform');
+    }
+    return info;
+}
+
+/**
+ * Writes a retained material. Absent PBR factors are written as the rough
+ * dielectric the mesh renderer draws them as (see packMaterialUniform).
+ */
+function encodeMaterial(material, textureIndexOf, extensionsUsed) {
+    const pbrMetallicRoughness = {
+        baseColorFactor: [...(material.baseColor ?? [1, 1, 1, 1])],
+        metallicFactor: material.metallic ?? 0,
+        roughnessFactor: material.roughness ?? 1,
+    };
+    const baseColorTexture = encodeTextureInfo(material, 'baseColor', textureIndexOf, extensionsUsed);
+    if (baseColorTexture) pbrMetallicRoughness.baseColorTexture = baseColorTexture;
+    const metallicRoughnessTexture = encodeTextureInfo(material, 'metallicRoughness', textureIndexOf, extensionsUsed);
+    if (metallicRoughnessTexture) pbrMetallicRoughness.metallicRoughnessTexture = metallicRoughnessTexture;
+
+    const encoded = {
+        pbrMetallicRoughness,
+        emissiveFactor: [...(material.emissive ?? [0, 0, 0])],
+        alphaMode: material.alphaMode ?? 'OPAQUE',
+        doubleSided: material.doubleSided === true,
+    };
+    if (encoded.alphaMode === 'MASK') encoded.alphaCutoff = material.alphaCutoff ?? 0.5;
+    const normalTexture = encodeTextureInfo(material, 'normal', textureIndexOf, extensionsUsed, { scale: material.normalScale ?? 1 });
+    if (normalTexture) encoded.normalTexture = normalTexture;
+    const occlusionTexture = encodeTextureInfo(
+        material,
+        'occlusion',
+        textureIndexOf,
+        extensionsUsed,
+        { strength: material.occlusionStrength ?? 1 },
+    );
+    if (occlusionTexture) encoded.occlusionTexture = occlusionTexture;
+
+    const extensions = {};
+    if ((material.emissiveStrength ?? 1) !== 1) {
+        extensions.KHR_materials_emissive_strength = { emissiveStrength: material.emissiveStrength };
+    }
+    if (material.transmission > 0) extensions.KHR_materials_transmission = { transmissionFactor: material.transmission };
+    if ((material.indexOfRefraction ?? 1.5) !== 1.5) extensions.KHR_materials_ior = { ior: material.indexOfRefraction };
+    const attenuationColor = material.attenuationColor ?? [1, 1, 1];
+    const attenuationDistance = material.attenuationDistance ?? Infinity;
+    if (material.thickness > 0 || Number.isFinite(attenuationDistance) || attenuationColor.some((value) => value !== 1)) {
+        const volume = { thicknessFactor: material.thickness ?? 0, attenuationColor: [...attenuationColor] };
+        // JSON has no Infinity; an absent distance reads back as one.
+        if (Number.isFinite(attenuationDistance)) volume.attenuationDistance = attenuationDistance;
+        extensions.KHR_materials_volume = volume;
+    }
+    if (Object.keys(extensions).length) {
+        encoded.extensions = extensions;
+        Object.keys(extensions).forEach((name) => extensionsUsed.add(name));
+    }
+    return encoded;
+}
+
+function encodeLight(light) {
+    const encoded = { type: light.type, color: [...light.color], intensity: light.intensity };
+    if (light.name) encoded.name = light.name;
+    if (light.range != null) encoded.range = light.range;
+    if (light.type === 'spot') {
+        encoded.spot = { innerConeAngle: light.innerConeAngle, outerConeAngle: light.outerConeAngle };
+    }
+    return encoded;
+}
+
+function encodeCamera(camera) {
+    const { type, ...projection } = camera.projection;
+    const encoded = { type, [type]: projection };
+    if (camera.name) encoded.name = camera.name;
+    return encoded;
+}
+
+/** Writes one morph target's deltas; POSITION deltas need bounds like POSITION itself. */
+function encodeMorphTarget(writer, target) {
+    const encoded = {};
+    if (target.positions) {
+        encoded.POSITION = writer.addAccessor(target.positions, 'VEC3', FLOAT, ARRAY_BUFFER, positionBounds(target.positions));
+    }
+    if (target.normals) encoded.NORMAL = writer.addAccessor(target.normals, 'VEC3', FLOAT, ARRAY_BUFFER);
+    if (target.tangents) encoded.TANGENT = writer.addAccessor(target.tangents, 'VEC3', FLOAT, ARRAY_BUFFER);
+    return encoded;
+}
+
+/** Writes one primitive in its bind pose, with the joint influences and morph targets that deform it. */
+function encodePrimitive(writer, primitive, label) {
+    const mode = primitive.mode ?? GLTF_PRIMITIVE_MODES.TRIANGLES;
+    const attributes = {
+        POSITION: writer.addAccessor(primitive.positions, 'VEC3', FLOAT, ARRAY_BUFFER, positionBounds(primitive.positions)),
+    };
+    // Unlit points and lines are the ones parsed without normals.
+    if (!primitive.unlit) attributes.NORMAL = writer.addAccessor(primitive.normals, 'VEC3', FLOAT, ARRAY_BUFFER);
+    if (primitive.texCoords) attributes.TEXCOORD_0 = writer.addAccessor(primitive.texCoords, 'VEC2', FLOAT, ARRAY_BUFFER);
+    if (primitive.texCoords1) attributes.TEXCOORD_1 = writer.addAccessor(primitive.texCoords1, 'VEC2', FLOAT, ARRAY_BUFFER);
+    if (primitive.colors) attributes.COLOR_0 = writer.addAccessor(primitive.colors, 'VEC4', FLOAT, ARRAY_BUFFER);
+    if (primitive.tangents) attributes.TANGENT = writer.addAccessor(primitive.tangents, 'VEC4', FLOAT, ARRAY_BUFFER);
+    if (primitive.joints) {
+        attributes.JOINTS_0 = writer.addAccessor(primitive.joints, 'VEC4', UNSIGNED_SHORT, ARRAY_BUFFER);
+        attributes.WEIGHTS_0 = writer.addAccessor(primitive.weights, 'VEC4', FLOAT, ARRAY_BUFFER);
+    }
+    const encoded = {
+        attributes,
+        indices: writer.addAccessor(
+            primitive.indices,
+            'SCALAR',
+            indexComponentType(primitive.indices, label),
+            ELEMENT_ARRAY_BUFFER,
+        ),
+    };
+    if (primitive.morphTargets?.length) encoded.targets = primitive.morphTargets.map((target) => encodeMorphTarget(writer, target));
+    if (mode !== GLTF_PRIMITIVE_MODES.TRIANGLES) encoded.mode = mode;
+    return encoded;
+}
+
+/**
+ * Writes a retained clip. `nodeOf` maps a retained node index to its exported
+ * one; samplers no kept channel uses are left out. Returns null for a clip
+ * whose every channel was dropped on load, as glTF needs at least one.
+ */
+function encodeAnimation(writer, animation, nodeOf) {
+    if (!animation.channels.length) return null;
+    const samplerIndices = new Map();
+    const samplers = [];
+    const channels = animation.channels.map((channel) => {
+        if (!samplerIndices.has(channel.sampler)) {
+            const { interpolation, input, output, type } = animation.samplers[channel.sampler];
+            samplers.push({
+                // Animation inputs must carry their time range.
+                input: writer.addAccessor(input, 'SCALAR', FLOAT, undefined, { min: [input[0]], max: [input[input.length - 1]] }),
+                output: writer.addAccessor(output, type, FLOAT),
+                interpolation,
+            });
+            samplerIndices.set(channel.sampler, samplers.length - 1);
+        }
+        return { sampler: samplerIndices.get(channel.sampler), target: { node: nodeOf(channel.nodeIndex), path: channel.path } };
+    });
+    return { name: animation.name, samplers, channels };
+}
+
+/** Reads each exportable image's encoded bytes; `imageSources[i]` is `{blob, mimeType}` or null. */
+async function readImageFiles(asset) {
+    return Promise.all((asset.imageSources ?? []).map(async (source) => {
+        if (!source?.blob || !source.mimeType) return null;
+        return { bytes: new Uint8Array(await source.blob.arrayBuffer()), mimeType: source.mimeType };
+    }));
+}
+
+/**
+ * Serializes retained glTF assets into one GLB.
+ * @param {{asset: object, matrix?: ArrayLike<number>|null}[]} sources each
+ *        asset with the column-major world matrix that places it, baked into
+ *        its root nodes.
+ * @param {{generator?: string}} [options]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function exportGltfScene(sources, { generator = 'Drishyam3D' } = {}) {
+    if (!sources.length) throw new Error('Nothing to export: no glTF assets or meshes were given.');
+    const imageFiles = await Promise.all(sources.map(({ asset }) => readImageFiles(asset)));
+
+    const json = {
+        asset: { version: '2.0', generator },
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        textures: [],
+        images: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: [],
+    };
+    const lights = [];
+    const cameras = [];
+    const skins = [];
+    const animations = [];
+    const variantNames = [];
+    const extensionsUsed = new Set();
+    const writer = createBinaryWriter(json);
+    let droppedImages = 0;
+    let droppedSplats = 0;
+
+    sources.forEach(({ asset, matrix = null }, sourceIndex) => {
+        const label = asset.sourceName || `Asset ${sourceIndex}`;
+        const placement = matrix && !isIdentityMatrix(matrix) ? matrix : null;
+
+        const textureIndices = imageFiles[sourceIndex].map((file, imageIndex) => {
+            if (!file) return -1;
+            const image = { bufferView: writer.addBufferView(file.bytes), mimeType: file.mimeType };
+            json.images.push(image);
+            const source = json.images.length - 1;
+            if (isKtx2ImageSource(image)) {
+                json.textures.push({ extensions: { KHR_texture_basisu: { source } } });
+                extensionsUsed.add('KHR_texture_basisu');
+            } else {
+                json.textures.push({ source });
+            }
+            return json.textures.length - 1;
+        });
+        const textureIndexOf = (imageIndex) => {
+            if (imageIndex < 0) return -1;
+            const textureIndex = textureIndices[imageIndex] ?? -1;
+            if (textureIndex < 0) droppedImages += 1;
+            return textureIndex;
+        };
+
+        const materialOffset = json.materials.length;
+        for (const material of asset.materials ?? []) {
+            json.materials.push(encodeMaterial(material, textureIndexOf, extensionsUsed));
+        }
+        // Variants are matched by name, so assets naming the same variant switch together.
+        const variantIndices = (asset.materialVariants ?? []).map((name) => {
+            if (!variantNames.includes(name)) variantNames.push(name);
+            return variantNames.indexOf(name);
+        });
+
+        const encodeMesh = (mesh, meshIndex) => {
+            const primitives = mesh.primitives.map((primitive, primitiveIndex) => {
+                const primitiveLabel = `${label} mesh ${meshIndex} primitive ${primitiveIndex}`;
+                const encoded = encodePrimitive(writer, primitive, primitiveLabel);
+                encoded.material = materialOffset + (primitive.defaultMaterialIndex ?? primitive.materialIndex);
+                const mappings = new Map();
+                (primitive.variantMaterialIndices ?? []).forEach((materialIndex, variant) => {
+                    if (materialIndex < 0) return;
+                    if (!mappings.has(materialIndex)) mappings.set(materialIndex, []);
+                    mappings.get(materialIndex).push(variantIndices[variant]);
+                });
+                if (mappings.size) {
+                    encoded.extensions = {
+                        KHR_materials_variants: {
+                            mappings: [...mappings].map(([materialIndex, variants]) => ({
+                                material: materialOffset + materialIndex,
+                                variants,
+                            })),
+                        },
+                    };
+                }
+                return encoded;
+            });
+            json.meshes.push(mesh.name ? { name: mesh.name, primitives } : { primitives });
+            return json.meshes.length - 1;
+        };
+
+        const nodeOffset = json.nodes.length;
+        const nodeIndexBySource = new Map(asset.nodes.map((node, index) => [node.sourceNodeIndex, index]));
+        const meshIndices = new Map();
+        const skinIndices = new Map();
+        // Channels drive TRS, so these roots cannot take a baked placement matrix.
+        const animatedNodes = new Set((asset.animations ?? []).flatMap((animation) => animation.channels
+            .filter((channel) => channel.path !== 'weights')
+            .map((channel) => channel.nodeIndex)));
+        const placedRoots = [];
+        asset.nodes.forEach((node, nodeIndex) => {
+            const encoded = {};
+            if (node.name) encoded.name = node.name;
+            if (node.children?.length) {
+                encoded.children = node.children.map((sourceIndex) => nodeOffset + nodeIndexBySource.get(sourceIndex));
+            }
+            const isRoot = !(node.parentIndex >= 0);
+            if (isRoot && placement && !animatedNodes.has(nodeIndex)) {
+                encoded.matrix = Array.from(multiplyMatrices(placement, node.localMatrix));
+            } else if (node.trs) {
+                const { translation, rotation, scale } = node.trs;
+                if (translation.some((value) => value !== 0)) encoded.translation = [...translation];
+                if (rotation.some((value, index) => value !== (index === 3 ? 1 : 0))) encoded.rotation = [...rotation];
+                if (scale.some((value) => value !== 1)) encoded.scale = [...scale];
+            } else if (!isIdentityMatrix(node.localMatrix)) {
+                encoded.matrix = Array.from(node.localMatrix);
+            }
+            const mesh = node.meshIndex >= 0 ? asset.meshes[node.meshIndex] : null;
+            droppedSplats += mesh?.splats?.length ?? 0;
+            // A mesh of splat clouds alone has nothing to write; glTF meshes need a primitive.
+            if (mesh?.primitives.length) {
+                if (!meshIndices.has(node.meshIndex)) meshIndices.set(node.meshIndex, encodeMesh(mesh, node.meshIndex));
+                encoded.mesh = meshIndices.get(node.meshIndex);
+                if (node.morphInstanceIndex >= 0) encoded.weights = Array.from(asset.morphInstances[node.morphInstanceIndex].weights);
+            }
+            if (encoded.mesh != null && node.skinInstanceIndex >= 0) {
+                const { skinIndex, jointNodeIndices } = asset.skinInstances[node.skinInstanceIndex];
+                if (!skinIndices.has(skinIndex)) {
+                    const skin = asset.skins[skinIndex];
+                    const encodedSkin = {
+                        joints: jointNodeIndices.map((jointIndex) => nodeOffset + jointIndex),
+                        inverseBindMatrices: writer.addAccessor(skin.inverseBindMatrices, 'MAT4', FLOAT),
+                    };
+                    if (skin.name) encodedSkin.name = skin.name;
+                    if (nodeIndexBySource.has(skin.skeleton)) encodedSkin.skeleton = nodeOffset + nodeIndexBySource.get(skin.skeleton);
+                    skins.push(encodedSkin);
+                    skinIndices.set(skinIndex, skins.length - 1);
+                }
+                encoded.skin = skinIndices.get(skinIndex);
+            }
+            json.nodes.push(encoded);
+            if (!isRoot) return;
+            if (placement && animatedNodes.has(nodeIndex)) placedRoots.push(json.nodes.length - 1);
+            else json.scenes[0].nodes.push(json.nodes.length - 1);
+        });
+        // Added after the asset's nodes so their indices stay nodeOffset-relative.
+        for (const rootIndex of placedRoots) {
+            json.nodes.push({ matrix: Array.from(placement), children: [rootIndex] });
+            json.scenes[0].nodes.push(json.nodes.length - 1);
+        }
+        for (const animation of asset.animations ?? []) {
+            const encoded = encodeAnimation(writer, animation, (nodeIndex) => nodeOffset + nodeIndex);
+            if (encoded) animations.push(encoded);
+        }
+        (asset.lights ?? []).forEach((light) => {
+            lights.push(encodeLight(light));
+            json.nodes[nodeOffset + light.nodeIndex].extensions = { KHR_lights_punctual: { light: lights.length - 1 } };
+        });
+        (asset.cameras ?? []).forEach((camera) => {
+            cameras.push(encodeCamera(camera));
+            json.nodes[nodeOffset + camera.nodeIndex].camera = cameras.length - 1;
+        });
+    });
+
+    if (droppedImages) console.warn(`glTF export: ${droppedImages} texture reference(s) have no source image and were left out.`);
+    if (droppedSplats) {
+        console.warn(`glTF export: ${droppedSplats} KHR_gaussian_splatting cloud instance(s) were left out; export splats separately.`);
+    }
+    if (cameras.length) json.cameras = cameras;
+    if (skins.length) json.skins = skins;
+    if (animations.length) json.animations = animations;
+    const extensions = {};
+    if (lights.length) {
+        extensions.KHR_lights_punctual = { lights };
+        extensionsUsed.add('KHR_lights_punctual');
+    }
+    if (variantNames.length) {
+        extensions.KHR_materials_variants = { variants: variantNames.map((name) => ({ name })) };
+        extensionsUsed.add('KHR_materials_variants');
+    }
+    if (Object.keys(extensions).length) json.extensions = extensions;
+    if (extensionsUsed.size) json.extensionsUsed = [...extensionsUsed];
+    // KTX2 textures carry no PNG/JPEG fallback.
+    if (extensionsUsed.has('KHR_texture_basisu')) json.extensionsRequired = ['KHR_texture_basisu'];
+    for (const key of ['materials', 'textures', 'images']) {
+        if (!json[key].length) delete json[key];
+    }
+
+    const binary = writer.finish();
+    json.buffers.push({ byteLength: binary.byteLength });
+    return encodeGlb(json, binary);
+}
+
+/**
+ * Wraps a parsed triangle mesh (see mesh-ply-loader.js, or the procedural
+ * shapes) as a one-node retained asset for exportGltfScene(). PLY colours
+ * are RGB and are widened to RGBA.
+ * @param {{name?: string, positions: Float32Array, normals: Float32Array, texCoords?: Float32Array,
+ *          colors?: Float32Array|null, indices: Uint16Array|Uint32Array}} meshData
+ * @param {{material?: object, image?: {blob: Blob, mimeType: string}|null}} [options]
+ *        `material` holds retained material fields; `image`, the encoded base-colour file.
+ * @returns {object}
+ */
+export function meshDataToGltfAsset(meshData, { material = {}, image = null } = {}) {
+    const name = meshData.name || '';
+    return {
+        sourceName: name || 'mesh',
+        nodes: [{
+            sourceNodeIndex: 0,
+            name,
+            children: [],
+            parentIndex: -1,
+            localMatrix: createIdentityMatrix(),
+            trs: null,
+            meshIndex: 0,
+            skinInstanceIndex: -1,
+            morphInstanceIndex: -1,
+        }],
+        meshes: [{
+            name,
+            primitives: [{
+                mode: GLTF_PRIMITIVE_MODES.TRIANGLES,
+                unlit: false,
+                positions: meshData.positions,
+                normals: meshData.normals,
+                texCoords: meshData.texCoords ?? null,
+                texCoords1: null,
+                colors: meshData.colors ? expandRgbToRgba(meshData.colors) : null,
+                tangents: null,
+                indices: meshData.indices,
+                defaultMaterialIndex: 0,
+                variantMaterialIndices: [],
+            }],
+        }],
+        materials: [{ ...material, baseColorImageIndex: image ? 0 : -1 }],
+        imageSources: image ? [image] : [],
+        lights: [],
+        cameras: [],
+        materialVariants: [],
+    };
+}
@@ -1,4 +1,4 @@
-/** Pure geometry fallbacks used while extracting glTF triangle meshes. */
+/** Pure geometry fallbacks used while extracting glTF meshes. */
 
 export function generateVertexNormals(positions, indices) {
     if (!positions || positions.length % 3 !== 0) throw new Error('Positions must contain complete xyz vertices.');
@@ -43,3 +43,128 @@ export function generateVertexNormals(positions, indices) {
     }
     return normals;
 }
+
+/**
+ * Per-vertex tangents for normal mapping when a primitive omits TANGENT.
+ * Follows MikkTSpace's conventions — triangle UV gradients accumulated per
+ * vertex, Gram-Schmidt against the normal, bitangent sign in w — but does not
+ * split vertices along tangent-space seams, so mirrored-UV seams can shade
+ * slightly differently from a baked MikkTSpace export.
+ * @returns {Float32Array} four floats (xyz, w = ±1) per vertex.
+ */
+export function generateVertexTangents(positions, normals, texCoords, indices) {
+    if (!texCoords) throw new Error('Tangent generation requires TEXCOORD_0.');
+    const vertexCount = positions.length / 3;
+    const tangentSums = new Float32Array(vertexCount * 3);
+    const bitangentSums = new Float32Array(vertexCount * 3);
+    for (let triangle = 0; triangle < indices.length; triangle += 3) {
+        const corners = [indices[triangle], indices[triangle + 1], indices[triangle + 2]];
+        const [a, b, c] = corners;
+        const e1 = [0, 1, 2].map((axis) => positions[b * 3 + axis] - positions[a * 3 + axis]);
+        const e2 = [0, 1, 2].map((axis) => positions[c * 3 + axis] - positions[a * 3 + axis]);
+        const du1 = texCoords[b * 2] - texCoords[a * 2];
+        const dv1 = texCoords[b * 2 + 1] - texCoords[a * 2 + 1];
+        const du2 = texCoords[c * 2] - texCoords[a * 2];
+        const dv2 = texCoords[c * 2 + 1] - texCoords[a * 2 + 1];
+        const determinant = du1 * dv2 - du2 * dv1;
+        if (Math.abs(determinant) < 1e-12) continue; // degenerate UVs add nothing
+        const inverse = 1 / determinant;
+        for (const vertex of corners) {
+            for (let axis = 0; axis < 3; axis += 1) {
+                tangentSums[vertex * 3 + axis] += (e1[axis] * dv2 - e2[axis] * dv1) * inverse;
+                bitangentSums[vertex * 3 + axis] += (e2[axis] * du1 - e1[axis] * du2) * inverse;
+            }
+        }
+    }
+    const tangents = new Float32Array(vertexCount * 4);
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+        const n = [normals[vertex * 3], normals[vertex * 3 + 1], normals[vertex * 3 + 2]];
+        const t = [tangentSums[vertex * 3], tangentSums[vertex * 3 + 1], tangentSums[vertex * 3 + 2]];
+        const nDotT = n[0] * t[0] + n[1] * t[1] + n[2] * t[2];
+        let ortho = [t[0] - n[0] * nDotT, t[1] - n[1] * nDotT, t[2] - n[2] * nDotT];
+        let length = Math.hypot(...ortho);
+        if (length < 1e-12) {
+            // No usable UV gradient: any unit vector perpendicular to the normal.
+            ortho = Math.abs(n[0]) < 0.9 ? [0, -n[2], n[1]] : [-n[2], 0, n[0]];
+            length = Math.hypot(...ortho) || 1;
+        }
+        const cross = [
+            n[1] * ortho[2] - n[2] * ortho[1],
+            n[2] * ortho[0] - n[0] * ortho[2],
+            n[0] * ortho[1] - n[1] * ortho[0],
+        ];
+        const handedness = cross[0] * bitangentSums[vertex * 3]
+            + cross[1] * bitangentSums[vertex * 3 + 1]
+            + cross[2] * bitangentSums[vertex * 3 + 2];
+        tangents[vertex * 4] = ortho[0] / length;
+        tangents[vertex * 4 + 1] = ortho[1] / length;
+        tangents[vertex * 4 + 2] = ortho[2] / length;
+        tangents[vertex * 4 + 3] = handedness < 0 ? -1 : 1;
+    }
+    return tangents;
+}
+
+/** glTF primitive modes; loops, strips and fans are converted to their list forms. */
+export const GLTF_PRIMITIVE_MODES = Object.freeze({
+    POINTS: 0,
+    LINES: 1,
+    LINE_LOOP: 2,
+    LINE_STRIP: 3,
+    TRIANGLES: 4,
+    TRIANGLE_STRIP: 5,
+    TRIANGLE_FAN: 6,
+});
+
+/**
+ * Rewrites LINE_LOOP/LINE_STRIP indices as LINES and TRIANGLE_STRIP/TRIANGLE_FAN
+ * indices as TRIANGLES, following the glTF 2.0 vertex orderings so every strip
+ * triangle keeps the first one's winding. List modes pass through unchanged.
+ * @param {number} mode glTF primitive mode.
+ * @param {Uint8Array|Uint16Array|Uint32Array} indices
+ * @returns {{mode: number, indices: Uint8Array|Uint16Array|Uint32Array}} mode is POINTS, LINES or TRIANGLES.
+ */
+export function convertPrimitiveIndices(mode, indices) {
+    const { LINES, LINE_LOOP, LINE_STRIP, TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN } = GLTF_PRIMITIVE_MODES;
+    const count = indices.length;
+    if (mode === LINE_STRIP || mode === LINE_LOOP) {
+        const segmentCount = Math.max(0, count - 1) + (mode === LINE_LOOP && count > 1 ? 1 : 0);
+        const lines = new indices.constructor(segmentCount * 2);
+        for (let segment = 0; segment < segmentCount; segment += 1) {
+            lines[segment * 2] = indices[segment];
+            lines[segment * 2 + 1] = indices[(segment + 1) % count];
+        }
+        return { mode: LINES, indices: lines };
+    }
+    if (mode === TRIANGLE_STRIP || mode === TRIANGLE_FAN) {
+        const triangleCount = Math.max(0, count - 2);
+        const triangles = new indices.constructor(triangleCount * 3);
+        for (let triangle = 0; triangle < triangleCount; triangle += 1) {
+            const target = triangle * 3;
+            if (mode === TRIANGLE_STRIP) {
+                const odd = triangle % 2;
+                triangles[target] = indices[triangle];
+                triangles[target + 1] = indices[triangle + 1 + odd];
+                triangles[target + 2] = indices[triangle + 2 - odd];
+            } else {
+                triangles[target] = indices[triangle + 1];
+                triangles[target + 1] = indices[triangle + 2];
+                triangles[target + 2] = indices[0];
+            }
+        }
+        return { mode: TRIANGLES, indices: triangles };
+    }
+    return { mode, indices };
+}
+
+/** Widens tightly packed RGB triples to RGBA with opaque alpha (glTF VEC3 COLOR_0). */
+export function expandRgbToRgba(rgb) {
+    const vertexCount = rgb.length / 3;
+    const rgba = new Float32Array(vertexCount * 4);
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+        rgba[vertex * 4] = rgb[vertex * 3];
+        rgba[vertex * 4 + 1] = rgb[vertex * 3 + 1];
+        rgba[vertex * 4 + 2] = rgb[vertex * 3 + 2];
+        rgba[vertex * 4 + 3] = 1;
+    }
+    return rgba;
+}
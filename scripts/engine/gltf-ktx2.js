@@ -0,0 +1,182 @@
+/**
+ * @file glTF KHR_texture_basisu — KTX2 images transcoded for the GPU and the CPU tracer.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * KTX2 images are retained as Basis Universal supercompressed bytes and only
+ * transcoded when a backend asks for a format: WebGPU uploads pick the first
+ * block-compressed format the device enables, falling back to RGBA8, while
+ * WebGL and the CPU path tracer read RGBA8 texels. The transcoder is a
+ * WebAssembly library loaded on first use, so documents without KTX2 images
+ * never fetch it. Like the PNG/JPEG path, texels stay sRGB-encoded in unorm
+ * formats; the shaders decode base colour themselves.
+ */
+
+/** Transcode targets in preference order; `rgba8` is always available. */
+export const KTX2_TARGET_FORMATS = Object.freeze({
+    bc7: Object.freeze({ feature: 'texture-compression-bc', basisFormat: 6, gpuFormat: 'bc7-rgba-unorm', blockSize: 4, bytesPerBlock: 16 }),
+    astc: Object.freeze({ feature: 'texture-compression-astc', basisFormat: 10, gpuFormat: 'astc-4x4-unorm', blockSize: 4, bytesPerBlock: 16 }),
+    etc2: Object.freeze({ feature: 'texture-compression-etc2', basisFormat: 1, gpuFormat: 'etc2-rgba8unorm', blockSize: 4, bytesPerBlock: 16 }),
+    rgba8: Object.freeze({ feature: null, basisFormat: 13, gpuFormat: 'rgba8unorm', blockSize: 1, bytesPerBlock: 4 }),
+});
+
+/** Device features initWebGPU() requests when the adapter offers them. */
+export const KTX2_TEXTURE_FEATURES = Object.freeze(
+    Object.values(KTX2_TARGET_FORMATS).map(({ feature }) => feature).filter(Boolean),
+);
+
+const KTX2_IDENTIFIER = Object.freeze([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// The transcoder three.js ships, bundled by the ui (the basis-transcoder alias
+// in ui/vite.config.js) with its .wasm as an asset URL. A BASIS global — the
+// module factory the script defines — stands in for both.
+let basisTranscoder = null;
+async function getBasisTranscoder() {
+    if (!basisTranscoder) {
+        basisTranscoder = (async () => {
+            let createModule = globalThis.BASIS;
+            const module = {};
+            if (!createModule) {
+                const [transcoder, wasm] = await Promise.all([
+                    import('basis-transcoder/basis_transcoder.js'),
+                    import('basis-transcoder/basis_transcoder.wasm?url'),
+                ]);
+                createModule = transcoder.default || transcoder;
+                module.locateFile = () => wasm.default;
+            }
+            const basis = await new Promise((resolve) => {
+                module.onRuntimeInitialized = () => resolve(module);
+                createModule(module);
+            });
+            basis.initializeBasis();
+            return basis;
+        })();
+        // A failed load may succeed on a later document.
+        basisTranscoder.catch(() => { basisTranscoder = null; });
+    }
+    return basisTranscoder;
+}
+
+/** Whether a glTF image is a KTX2 container, by MIME type or file extension. */
+export function isKtx2ImageSource(imageSource) {
+    return imageSource?.mimeType === 'image/ktx2' || /\.ktx2$/i.test(imageSource?.uri || '');
+}
+
+/** Whether a retained image came from decodeKtx2Image() rather than createImageBitmap(). */
+export function isKtx2Image(image) {
+    return image?.kind === 'ktx2';
+}
+
+/**
+ * The transcode target for a device's enabled features. Block-compressed
+ * formats need a base level whose sides are whole blocks, so other sizes fall
+ * back to RGBA8.
+ * @param {{has: (feature: string) => boolean}|null} features
+ * @param {number} width
+ * @param {number} height
+ * @returns {keyof KTX2_TARGET_FORMATS}
+ */
+export function selectKtx2TargetFormat(features, width, height) {
+    return Object.keys(KTX2_TARGET_FORMATS).find((name) => {
+        const { feature, blockSize } = KTX2_TARGET_FORMATS[name];
+        if (!feature) return true;
+        return features?.has(feature) && width % blockSize === 0 && height % blockSize === 0;
+    });
+}
+
+function transcodeLevels(basis, bytes, target, levelCount, label) {
+    const { basisFormat } = KTX2_TARGET_FORMATS[target];
+    const file = new basis.KTX2File(bytes);
+    try {
+        if (!file.startTranscoding()) throw new Error(`${label} KTX2 data could not be transcoded.`);
+        const levels = [];
+        for (let level = 0; level < levelCount; level += 1) {
+            const { origWidth, origHeight } = file.getImageLevelInfo(level, 0, 0);
+            const data = new Uint8Array(new ArrayBuffer(file.getImageTranscodedSizeInBytes(level, 0, 0, basisFormat)));
+            if (!file.transcodeImage(data, level, 0, 0, basisFormat, 0, -1, -1)) {
+                throw new Error(`${label} KTX2 level ${level} could not be transcoded to ${target}.`);
+            }
+            levels.push({ width: origWidth, height: origHeight, data });
+        }
+        return levels;
+    } finally {
+        file.close();
+        file.delete();
+    }
+}
+
+/**
+ * Validates a KTX2 container and retains it for on-demand transcoding.
+ * `transcode(target)` returns every mip level in one of KTX2_TARGET_FORMATS;
+ * `rgba()` returns the base level as RGBA8 and keeps it for later calls.
+ * @param {ArrayBuffer} buffer
+ * @param {string} label prefix for error messages, e.g. `Image 2`.
+ * @returns {Promise<{kind: 'ktx2', width: number, height: number, levelCount: number, hasAlpha: boolean,
+ *          transcode: (target: string) => {width: number, height: number, data: Uint8Array}[],
+ *          rgba: () => {width: number, height: number, data: Uint8Array}}>}
+ */
+export async function decodeKtx2Image(buffer, label) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < KTX2_IDENTIFIER.length || KTX2_IDENTIFIER.some((value, index) => bytes[index] !== value)) {
+        throw new Error(`${label} is not a KTX2 file.`);
+    }
+    const basis = await getBasisTranscoder();
+    const file = new basis.KTX2File(bytes);
+    let header;
+    try {
+        if (!file.isValid()) throw new Error(`${label} KTX2 data is not Basis Universal supercompressed.`);
+        header = {
+            width: file.getWidth(),
+            height: file.getHeight(),
+            levelCount: Math.max(1, file.getLevels()),
+            hasAlpha: !!file.getHasAlpha(),
+        };
+    } finally {
+        file.close();
+        file.delete();
+    }
+    let rgba = null;
+    return {
+        kind: 'ktx2',
+        ...header,
+        transcode: (target) => {
+            if (!KTX2_TARGET_FORMATS[target]) throw new Error(`Unknown KTX2 transcode target ${target}.`);
+            return transcodeLevels(basis, bytes, target, header.levelCount, label);
+        },
+        rgba: () => {
+            rgba ??= transcodeLevels(basis, bytes, 'rgba8', 1, label)[0];
+            return rgba;
+        },
+    };
+}
+
+/**
+ * Uploads a retained KTX2 image with all its mip levels, transcoded to the
+ * best format the device enables.
+ * @param {GPUDevice} device
+ * @param {object} image from decodeKtx2Image().
+ * @returns {GPUTexture}
+ */
+export function createTextureFromKtx2Image(device, image) {
+    const target = selectKtx2TargetFormat(device.features, image.width, image.height);
+    const { gpuFormat, blockSize, bytesPerBlock } = KTX2_TARGET_FORMATS[target];
+    const levels = image.transcode(target);
+    const texture = device.createTexture({
+        size: [image.width, image.height, 1],
+        format: gpuFormat,
+        mipLevelCount: levels.length,
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+    });
+    levels.forEach(({ width, height, data }, mipLevel) => {
+        // Small mips still occupy whole blocks.
+        const blocksWide = Math.ceil(width / blockSize);
+        const blocksHigh = Math.ceil(height / blockSize);
+        device.queue.writeTexture(
+            { texture, mipLevel },
+            data,
+            { bytesPerRow: blocksWide * bytesPerBlock, rowsPerImage: blocksHigh },
+            [blocksWide * blockSize, blocksHigh * blockSize, 1],
+        );
+    });
+    return texture;
+}
@@ -0,0 +1,109 @@
+/**
+ * @file glTF KHR_lights_punctual — light decoding and world-space posing.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Every node of the selected scene that references a light gets one retained
+ * light holding that node's `worldMatrix` by reference, so lights follow
+ * animation the same way raster primitives do. A light sits at its node's
+ * origin and shines down the node's local -Z. Point and spot intensities are
+ * candela and directional ones lux; the renderers use them unscaled, as
+ * radiant intensity and irradiance.
+ */
+import { multiplyMatrices, transformDirection, transformPoint } from './matrix.js';
+import { buildLightTable } from './raytracing/core/light-table.js';
+
+const LIGHT_TYPES = Object.freeze(['directional', 'point', 'spot']);
+
+function normalize(vector) {
+    const length = Math.hypot(vector[0], vector[1], vector[2]);
+    return length > 0 ? vector.map((component) => component / length) : [0, 0, -1];
+}
+
+function decodeLight(source, lightIndex) {
+    const label = `KHR_lights_punctual light ${lightIndex}`;
+    if (!LIGHT_TYPES.includes(source?.type)) throw new Error(`${label} has unsupported type ${source?.type}.`);
+    const color = source.color ?? [1, 1, 1];
+    if (!Array.isArray(color) || color.length !== 3 || !color.every((value) => Number.isFinite(value) && value >= 0)) {
+        throw new Error(`${label} color must be three non-negative numbers.`);
+    }
+    const intensity = source.intensity ?? 1;
+    if (!Number.isFinite(intensity) || intensity < 0) throw new Error(`${label} intensity must be non-negative.`);
+    const range = source.range ?? null;
+    if (range != null && (source.type === 'directional' || !(range > 0) || !Number.isFinite(range))) {
+        throw new Error(`${label} range must be a positive number on point and spot lights.`);
+    }
+    let innerConeAngle = 0;
+    let outerConeAngle = Math.PI / 4;
+    if (source.type === 'spot') {
+        innerConeAngle = source.spot?.innerConeAngle ?? innerConeAngle;
+        outerConeAngle = source.spot?.outerConeAngle ?? outerConeAngle;
+        if (!(innerConeAngle >= 0 && innerConeAngle < outerConeAngle && outerConeAngle <= Math.PI / 2)) {
+            throw new Error(`${label} spot cone angles must satisfy 0 <= inner < outer <= π/2.`);
+        }
+    }
+    return { name: source.name || '', type: source.type, color: [...color], intensity, range, innerConeAngle, outerConeAngle };
+}
+
+/**
+ * Decodes the document's `KHR_lights_punctual.lights` and binds one copy to
+ * every retained node that references them.
+ * @param {object} gltfJson
+ * @param {object[]} nodes retained asset nodes.
+ * @returns {{name: string, type: 'directional'|'point'|'spot', color: number[], intensity: number,
+ *            range: number|null, innerConeAngle: number, outerConeAngle: number,
+ *            nodeIndex: number, worldMatrix: Float32Array}[]}
+ */
+export function decodeGltfLights(gltfJson, nodes) {
+    const sourceLights = gltfJson.extensions?.KHR_lights_punctual?.lights || [];
+    const definitions = sourceLights.map(decodeLight);
+    const lights = [];
+    nodes.forEach((node, nodeIndex) => {
+        const lightIndex = gltfJson.nodes?.[node.sourceNodeIndex]?.extensions?.KHR_lights_punctual?.light;
+        if (lightIndex == null) return;
+        if (!Number.isInteger(lightIndex) || !definitions[lightIndex]) {
+            throw new Error(`Node ${node.sourceNodeIndex} references missing KHR_lights_punctual light ${lightIndex}.`);
+        }
+        const definition = definitions[lightIndex];
+        lights.push({ ...definition, color: [...definition.color], nodeIndex, worldMatrix: node.worldMatrix });
+    });
+    return lights;
+}
+
+/**
+ * World-space position and unit travel direction of a retained light,
+ * optionally placed by a further model matrix.
+ * @returns {{position: number[], direction: number[]}}
+ */
+export function posePunctualLight(light, modelMatrix = null) {
+    const matrix = modelMatrix ? multiplyMatrices(modelMatrix, light.worldMatrix) : light.worldMatrix;
+    return {
+        position: transformPoint(matrix, [0, 0, 0]),
+        direction: normalize(transformDirection(matrix, [0, 0, -1])),
+    };
+}
+
+/** Converts a retained light into the ray-scene light contract (see RayScene.lights). */
+export function punctualLightToRayLight(light) {
+    const { position, direction } = posePunctualLight(light);
+    const rayLight = { type: light.type, color: [...light.color], intensity: light.intensity };
+    if (light.type !== 'directional') rayLight.position = position;
+    if (light.type !== 'point') rayLight.direction = direction;
+    if (light.type === 'spot') {
+        rayLight.innerConeAngle = light.innerConeAngle;
+        rayLight.outerConeAngle = light.outerConeAngle;
+    }
+    if (light.range != null) rayLight.range = light.range;
+    return rayLight;
+}
+
+/**
+ * Re-poses the prepared ray scene's lights from their nodes and rebuilds its
+ * light table, which the GPU path tracer repacks when it changes.
+ */
+export function syncRayLights(asset) {
+    const rayScene = asset.rayScene;
+    if (!rayScene || !asset.lights?.length) return;
+    rayScene.lights = asset.lights.map(punctualLightToRayLight);
+    rayScene.lightTable = buildLightTable(rayScene);
+}
@@ -0,0 +1,140 @@
+/**
+ * @file glTF morph targets — POSITION/NORMAL delta decoding and CPU blending.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Each mesh node with morph targets gets a morph instance holding its current
+ * weights (node `weights`, else mesh `weights`, else zeros). Animation
+ * `weights` channels write into that array and bump its revision; the mesh
+ * deformation pass (assets/shaders/mesh-deform.wgsl) and the ray sidecar
+ * refit both key off the revision, as they do for skin instances.
+ *
+ * Targets are blended before skinning, per the glTF spec. TANGENT deltas move
+ * the tangent's xyz; its handedness (w) is never morphed.
+ */
+import { decodeGltfAccessor } from './gltf-accessors.js';
+
+function decodeDelta(gltfJson, bufferData, accessorIndex, vertexCount, label) {
+    if (accessorIndex == null) return null;
+    const delta = decodeGltfAccessor(gltfJson, bufferData, accessorIndex, label);
+    if (delta.type !== 'VEC3' || !(delta.data instanceof Float32Array)) {
+        throw new Error(`${label} must be FLOAT or normalized integer VEC3 data.`);
+    }
+    if (delta.count !== vertexCount) throw new Error(`${label} count must match POSITION count.`);
+    return delta.data;
+}
+
+/**
+ * Decodes a primitive's `targets[]` into per-target delta arrays.
+ * @returns {{positions: Float32Array|null, normals: Float32Array|null, tangents: Float32Array|null}[]}
+ *          a null array means that target leaves the attribute unchanged.
+ */
+export function decodeMorphTargets(gltfJson, bufferData, targets, vertexCount, label) {
+    return targets.map((target, targetIndex) => ({
+        positions: decodeDelta(gltfJson, bufferData, target.POSITION, vertexCount, `${label} target ${targetIndex} POSITION`),
+        normals: decodeDelta(gltfJson, bufferData, target.NORMAL, vertexCount, `${label} target ${targetIndex} NORMAL`),
+        tangents: decodeDelta(gltfJson, bufferData, target.TANGENT, vertexCount, `${label} target ${targetIndex} TANGENT`),
+    }));
+}
+
+/**
+ * Initial weights for a mesh node: the node's own `weights` override the
+ * mesh's default, which in turn defaults to all zeros.
+ * @returns {Float32Array}
+ */
+export function resolveMorphWeights(sourceMesh, sourceNode, targetCount, label) {
+    const weights = sourceNode.weights ?? sourceMesh.weights ?? new Array(targetCount).fill(0);
+    if (!Array.isArray(weights) || weights.length !== targetCount || weights.some((weight) => !Number.isFinite(weight))) {
+        throw new Error(`${label} weights must list one number per morph target (${targetCount}).`);
+    }
+    return new Float32Array(weights);
+}
+
+/** Floats per vertex per target in packMorphDeltas(): position, normal, tangent xyz. */
+export const MORPH_DELTA_STRIDE = 9;
+
+/**
+ * Packs targets for the GPU deformation pass: per target, per vertex, the
+ * position, normal and tangent deltas (nine floats), zero where absent.
+ * @returns {Float32Array}
+ */
+export function packMorphDeltas(morphTargets, vertexCount) {
+    const packed = new Float32Array(Math.max(morphTargets.length * vertexCount * MORPH_DELTA_STRIDE, 4));
+    morphTargets.forEach((target, targetIndex) => {
+        for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+            const offset = (targetIndex * vertexCount + vertex) * MORPH_DELTA_STRIDE;
+            for (let component = 0; component < 3; component += 1) {
+                if (target.positions) packed[offset + component] = target.positions[vertex * 3 + component];
+                if (target.normals) packed[offset + 3 + component] = target.normals[vertex * 3 + component];
+                if (target.tangents) packed[offset + 6 + component] = target.tangents[vertex * 3 + component];
+            }
+        }
+    });
+    return packed;
+}
+
+/** Normalizes xyz in place for every `stride`-float element of `values`. */
+export function normalizeVectors(values, stride) {
+    for (let index = 0; index < values.length; index += stride) {
+        const length = Math.hypot(values[index], values[index + 1], values[index + 2]);
+        const scale = length > 0 ? 1 / length : 0;
+        values[index] *= scale;
+        values[index + 1] *= scale;
+        values[index + 2] *= scale;
+    }
+    return values;
+}
+
+/**
+ * CPU morph blending, matching mesh-deform.wgsl: base + Σ weightᵢ × deltaᵢ,
+ * with normals (and tangents, when the primitive has them) renormalized.
+ * @param {{positions: Float32Array, normals: Float32Array, tangents?: Float32Array|null, morphTargets: object[]}} primitive
+ * @param {Float32Array} weights one per target.
+ * @param {{positions?: Float32Array, normals?: Float32Array, tangents?: Float32Array}} [out] reused when provided.
+ * @returns {{positions: Float32Array, normals: Float32Array, tangents?: Float32Array}}
+ */
+export function morphVertices({ positions, normals, tangents = null, morphTargets }, weights, out = {}) {
+    const morphedPositions = out.positions || new Float32Array(positions.length);
+    const morphedNormals = out.normals || new Float32Array(normals.length);
+    const morphedTangents = tangents ? out.tangents || new Float32Array(tangents.length) : null;
+    morphedPositions.set(positions);
+    morphedNormals.set(normals);
+    morphedTangents?.set(tangents);
+    morphTargets.forEach((target, targetIndex) => {
+        const weight = weights[targetIndex];
+        if (weight === 0) return;
+        if (target.positions) {
+            for (let index = 0; index < positions.length; index += 1) morphedPositions[index] += weight * target.positions[index];
+        }
+        if (target.normals) {
+            for (let index = 0; index < normals.length; index += 1) morphedNormals[index] += weight * target.normals[index];
+        }
+        if (target.tangents && morphedTangents) {
+            for (let vertex = 0; vertex < morphedTangents.length / 4; vertex += 1) {
+                for (let axis = 0; axis < 3; axis += 1) {
+                    morphedTangents[vertex * 4 + axis] += weight * target.tangents[vertex * 3 + axis];
+                }
+            }
+        }
+    });
+    normalizeVectors(morphedNormals, 3);
+    if (!morphedTangents) return { positions: morphedPositions, normals: morphedNormals };
+    return { positions: morphedPositions, normals: morphedNormals, tangents: normalizeVectors(morphedTangents, 4) };
+}
+
+/**
+ * Writes new weights into a morph instance, bumping its revision only when a
+ * value changed.
+ * @returns {boolean} whether the weights changed.
+ */
+export function setMorphWeights(instance, weights) {
+    let changed = false;
+    for (let index = 0; index < instance.weights.length; index += 1) {
+        if (instance.weights[index] !== weights[index]) {
+            instance.weights[index] = weights[index];
+            changed = true;
+        }
+    }
+    if (changed) instance.revision += 1;
+    return changed;
+}
@@ -5,16 +5,48 @@
  */
 
 import { composeTRSMatrix, createIdentityMatrix, multiplyMatrices } from './matrix.js';
-import { createSequentialIndices, decodeGltfAccessor } from './gltf-accessors.js';
+import { createSequentialIndices, decodeGltfAccessor, readBufferViewBytes } from './gltf-accessors.js';
+import { decodeGltfAnimations } from './gltf-animation.js';
 import { parseGltfContainer } from './gltf-container.js';
-import { generateVertexNormals } from './gltf-geometry.js';
-import { prepareRayScene } from './raytracing/core/ray-scene.js';
+import {
+    GLTF_PRIMITIVE_MODES,
+    convertPrimitiveIndices,
+    expandRgbToRgba,
+    generateVertexNormals,
+    generateVertexTangents,
+} from './gltf-geometry.js';
+import { decodeGltfSkin, decodeJointInfluences, deformVertices, updateSkinInstances } from './gltf-skinning.js';
+import { decodeMorphTargets, resolveMorphWeights } from './gltf-morph.js';
+import { decodeGltfLights, punctualLightToRayLight } from './gltf-lights.js';
+import { decodeGltfCameras, gltfCameraToRayCamera } from './gltf-cameras.js';
+import { decompressGltfGeometry, isMeshoptFallbackBuffer } from './gltf-compression.js';
+import { decodeKtx2Image, isKtx2Image, isKtx2ImageSource } from './gltf-ktx2.js';
+import { decodeTextureTransform } from './gltf-texture-transform.js';
+import { decodeMaterialVariants, decodeVariantMappings, rasterMaterialFields } from './gltf-variants.js';
+import { decodeGaussianSplatPrimitive, isGaussianSplatPrimitive, mergeSplatClouds } from './gltf-splats.js';
+import { transformSplatCloud } from './splat-transform.js';
+import { computeSceneBounds, prepareRayScene } from './raytracing/core/ray-scene.js';
 import { uploadGltfWebGL, uploadGltfWebGPU } from './gltf-upload.js';
 
 export { getWebGLComponentType } from './gltf-upload.js';
 
-// This loader intentionally targets static glTF 2.0 triangle scenes. Unsupported
-// animation/deformation/compression features fail by name instead of being ignored.
+// This loader targets glTF 2.0 scenes of triangle, line and point primitives
+// (strips, loops and fans become lists; only triangles are ray traced),
+// optionally skinned (see ./gltf-skinning.js), morphed (see ./gltf-morph.js)
+// and animated (see ./gltf-animation.js), with KHR_lights_punctual lights
+// (see ./gltf-lights.js) and perspective or orthographic cameras (see
+// ./gltf-cameras.js). Draco and meshopt geometry is decompressed up front
+// (see ./gltf-compression.js), and KHR_texture_basisu KTX2 images are
+// transcoded on demand (see ./gltf-ktx2.js). Textures may read TEXCOORD_0 or
+// TEXCOORD_1 through a KHR_texture_transform (see
+// ./gltf-texture-transform.js). KHR_materials_variants mappings are retained
+// per primitive and switched in place (see ./gltf-variants.js). Images may be
+// external files or GLB bufferViews; each keeps its encoded file so the asset
+// can be written back out (see ./gltf-export.js). KHR_gaussian_splatting
+// primitives are splat clouds, not geometry: they are decoded into one posed
+// cloud for the splat pipeline (see ./gltf-splats.js), beside any meshes.
+
+const ALPHA_MODES = Object.freeze(['OPAQUE', 'MASK', 'BLEND']);
 
 
 /**
@@ -40,11 +72,37 @@ function defaultMaterial() {
         metallic: 1,
         roughness: 1,
         baseColorImageIndex: -1,
+        metallicRoughnessImageIndex: -1,
+        normalImageIndex: -1,
+        normalScale: 1,
+        occlusionImageIndex: -1,
+        occlusionStrength: 1,
+        ...slotTextureTransforms({}, 'Default material'),
         alphaMode: 'OPAQUE',
+        alphaCutoff: 0.5,
         doubleSided: false,
+        transmission: 0,
+        indexOfRefraction: 1.5,
+        thickness: 0,
+        attenuationColor: [1, 1, 1],
+        attenuationDistance: Infinity,
     };
 }
 
+/**
+ * The sRGB-encoded RGBA8 texels of a retained image: KTX2 images transcode
+ * them, browser-decoded bitmaps are read back through a 2D canvas. Null where
+ * neither is possible (no OffscreenCanvas), leaving the material untextured.
+ */
+function imageTexels(image) {
+    if (isKtx2Image(image)) return image.rgba();
+    if (typeof OffscreenCanvas === 'undefined' || !(image?.width > 0 && image?.height > 0)) return null;
+    const context = new OffscreenCanvas(image.width, image.height).getContext('2d');
+    context.drawImage(image, 0, 0);
+    const { data } = context.getImageData(0, 0, image.width, image.height);
+    return { width: image.width, height: image.height, data: new Uint8Array(data.buffer) };
+}
+
 /** Converts retained glTF scene data into the shared ray-scene contract. */
 export function assetToRayScene(asset) {
     if (asset.rayScene) return asset.rayScene;
@@ -52,25 +110,54 @@ export function assetToRayScene(asset) {
         const geometries = [];
         const instances = [];
         const geometryIndices = new Map();
-        for (const node of asset.nodes) {
-            if (!Number.isInteger(node.meshIndex) || node.meshIndex < 0) continue;
+        const deformedRayGeometries = [];
+        const rayInstanceNodes = [];
+        const rayInstancePrimitives = [];
+        let skippedPrimitives = 0;
+        asset.nodes.forEach((node, nodeIndex) => {
+            if (!Number.isInteger(node.meshIndex) || node.meshIndex < 0) return;
             const mesh = asset.meshes[node.meshIndex];
             if (!mesh) throw new Error(`Node ${node.sourceNodeIndex} references missing mesh ${node.meshIndex}.`);
+            const skinInstance = node.skinInstanceIndex >= 0 ? asset.skinInstances[node.skinInstanceIndex] : null;
+            const morphInstance = node.morphInstanceIndex >= 0 ? asset.morphInstances[node.morphInstanceIndex] : null;
+            const deformable = !!(skinInstance || morphInstance);
             mesh.primitives.forEach((primitive, primitiveIndex) => {
-                const key = `${node.meshIndex}:${primitiveIndex}`;
+                // The tracers intersect triangles only; points and lines stay raster-only.
+                if ((primitive.mode ?? GLTF_PRIMITIVE_MODES.TRIANGLES) !== GLTF_PRIMITIVE_MODES.TRIANGLES) {
+                    skippedPrimitives += 1;
+                    return;
+                }
+                // Deformed geometry is posed per node, so it is never shared between instances.
+                const key = deformable ? `deform:${nodeIndex}:${primitiveIndex}` : `${node.meshIndex}:${primitiveIndex}`;
                 let geometryIndex = geometryIndices.get(key);
                 if (geometryIndex == null) {
                     geometryIndex = geometries.length;
                     geometryIndices.set(key, geometryIndex);
+                    const deformed = deformable ? deformVertices(primitive, skinInstance, morphInstance) : primitive;
                     geometries.push({
                         id: geometryIndex,
                         revision: 0,
-                        positions: primitive.positions,
-                        normals: primitive.normals,
+                        positions: deformed.positions,
+                        normals: deformed.normals,
                         texCoords: primitive.texCoords,
+                        texCoords1: primitive.texCoords1,
+                        colors: primitive.colors,
                         indices: primitive.indices,
                     });
+                    if (deformable) {
+                        deformedRayGeometries.push({
+                            geometryIndex,
+                            skinInstanceIndex: node.skinInstanceIndex,
+                            morphInstanceIndex: node.morphInstanceIndex,
+                            meshIndex: node.meshIndex,
+                            primitiveIndex,
+                            skinRevision: skinInstance?.revision ?? 0,
+                            morphRevision: morphInstance?.revision ?? 0,
+                        });
+                    }
                 }
+                rayInstanceNodes.push(nodeIndex);
+                rayInstancePrimitives.push(primitiveIndex);
                 instances.push({
                     id: instances.length,
                     geometryIndex,
@@ -78,14 +165,31 @@ export function assetToRayScene(asset) {
                     worldMatrix: node.worldMatrix,
                 });
             });
+        });
+        // refitDeformedRayScene() re-poses these in place when a skin or morph
+        // changes, and syncRayInstances() copies animated node transforms onto instances.
+        asset.deformedRayGeometries = deformedRayGeometries;
+        asset.rayInstanceNodes = rayInstanceNodes;
+        asset.rayInstancePrimitives = rayInstancePrimitives;
+        if (skippedPrimitives) {
+            console.warn(`${asset.sourceName || 'glTF'}: ${skippedPrimitives} point or line primitive(s) are not ray traced.`);
         }
-        return prepareRayScene({
+        // Both path tracers multiply base-colour texels into the material.
+        const baseColorImages = new Set(asset.materials.map((material) => material.baseColorImageIndex));
+        const images = (asset.images || []).map((image, imageIndex) => (
+            baseColorImages.has(imageIndex) ? imageTexels(image) : null
+        ));
+        const rayScene = prepareRayScene({
             geometries,
             instances,
             materials: asset.materials,
-            lights: [],
+            images,
+            lights: (asset.lights || []).map(punctualLightToRayLight),
             environment: { color: [0, 0, 0] },
         });
+        // The first authored camera frames path-traced renders like the DCC did.
+        if (asset.cameras?.length) rayScene.camera = gltfCameraToRayCamera(asset.cameras[0], rayScene.bounds);
+        return rayScene;
     }
     return prepareRayScene({
         geometries: [{
@@ -117,19 +221,26 @@ export function assetToRasterPrimitives(asset) {
         if (!Number.isInteger(node.meshIndex) || node.meshIndex < 0) continue;
         const mesh = asset.meshes[node.meshIndex];
         if (!mesh) throw new Error(`Node ${node.sourceNodeIndex} references missing mesh ${node.meshIndex}.`);
+        const skinInstance = node.skinInstanceIndex >= 0 ? asset.skinInstances[node.skinInstanceIndex] : null;
+        const morphInstance = node.morphInstanceIndex >= 0 ? asset.morphInstances[node.morphInstanceIndex] : null;
         for (const primitive of mesh.primitives) {
-            const material = asset.materials[primitive.materialIndex];
-            const imageIndex = material?.baseColorImageIndex ?? -1;
             primitives.push({
+                mode: primitive.mode ?? GLTF_PRIMITIVE_MODES.TRIANGLES,
+                unlit: primitive.unlit === true,
                 positions: primitive.positions,
                 normals: primitive.normals,
                 texCoords: primitive.texCoords,
+                texCoords1: primitive.texCoords1 ?? null,
+                colors: primitive.colors ?? null,
+                tangents: primitive.tangents ?? null,
                 indices: primitive.indices,
                 indicesComponentType: primitive.indicesComponentType,
-                materialIndex: primitive.materialIndex,
-                material,
-                imageIndex,
-                textureBitmap: imageIndex >= 0 ? asset.images?.[imageIndex] || null : null,
+                joints: skinInstance ? primitive.joints : null,
+                weights: skinInstance ? primitive.weights : null,
+                skinInstance,
+                morphTargets: morphInstance ? primitive.morphTargets : null,
+                morphInstance,
+                ...rasterMaterialFields(asset, primitive.materialIndex),
                 worldMatrix: node.worldMatrix,
                 sourceNodeIndex: node.sourceNodeIndex,
                 sourceMeshIndex: node.meshIndex,
@@ -155,15 +266,31 @@ export async function parseGltf(gl, source) {
 
 /**
  * Parses and uploads GLTF for the active rendering backend.
+ *
+ * A KHR_gaussian_splatting cloud is not uploaded here — it belongs to the
+ * splat pipeline, which needs the scene to place it — so it rides along as
+ * `drawable.gaussianSplats` for the caller (see scene-ops.js). A splat-only
+ * asset has no geometry and yields `{ kind: 'gltf-splats', gaussianSplats, bounds }`.
  * @param {{gl?: WebGLRenderingContext, device?: GPUDevice}} engine
  * @param {ArrayBuffer | string | FileList | Map<string, File>} source
  * @returns {Promise<object>}
  */
 export async function parseGltfForBackend(engine, source) {
     const asset = await parseGltfAsset(source);
-    if (engine?.gl) return uploadGltfWebGL(engine.gl, asset);
-    if (engine?.device) return uploadGltfWebGPU(engine.device, asset);
-    throw new Error('Unsupported engine context. Expected WebGL or WebGPU engine.');
+    if (!asset.rasterPrimitives.length) {
+        return {
+            kind: 'gltf-splats',
+            gaussianSplats: asset.gaussianSplats,
+            bounds: asset.bounds,
+            _debug: { name: asset.sourceName },
+        };
+    }
+    let drawable;
+    if (engine?.gl) drawable = uploadGltfWebGL(engine.gl, asset);
+    else if (engine?.device) drawable = uploadGltfWebGPU(engine.device, asset);
+    else throw new Error('Unsupported engine context. Expected WebGL or WebGPU engine.');
+    drawable.gaussianSplats = asset.gaussianSplats;
+    return drawable;
 }
 
 /**
@@ -192,6 +319,8 @@ async function loadGltfBuffers(gltf, binaryChunk, baseUrl, localFileMap, listAva
         if (!Number.isInteger(buffer.byteLength) || buffer.byteLength < 0) {
             throw new Error(`Buffer ${bufferIndex} byteLength must be a non-negative integer.`);
         }
+        // Meshopt fallback buffers are never read once their views are decoded.
+        if (isMeshoptFallbackBuffer(buffer)) return null;
         let data;
         if (buffer.uri != null) {
             if (typeof buffer.uri !== 'string' || buffer.uri.startsWith('data:')) {
@@ -221,20 +350,87 @@ async function loadGltfBuffers(gltf, binaryChunk, baseUrl, localFileMap, listAva
     }));
 }
 
-function retainMaterial(gltfJson, material = {}) {
+// Material texture slots, keyed by the retained `<slot>ImageIndex` field.
+const MATERIAL_TEXTURE_SLOTS = Object.freeze({
+    baseColor: (material) => material.pbrMetallicRoughness?.baseColorTexture,
+    metallicRoughness: (material) => material.pbrMetallicRoughness?.metallicRoughnessTexture,
+    normal: (material) => material.normalTexture,
+    occlusion: (material) => material.occlusionTexture,
+});
+
+const IMAGE_MIME_TYPES = Object.freeze({
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    ktx2: 'image/ktx2',
+});
+
+/** An image's MIME type: declared, else the fetched blob's, else from its URI extension. */
+export function imageMimeType(imageSource, blob) {
+    if (imageSource.mimeType) return imageSource.mimeType;
+    if (blob?.type) return blob.type;
+    const extension = /\.([a-z0-9]+)(?:$|[?#])/i.exec(imageSource.uri || '')?.[1]?.toLowerCase();
+    return IMAGE_MIME_TYPES[extension] ?? null;
+}
+
+// KHR_texture_basisu names the KTX2 image; `source`, if any, is a PNG/JPEG fallback.
+function textureSource(texture) {
+    return texture?.extensions?.KHR_texture_basisu?.source ?? texture?.source;
+}
+
+function textureImageIndex(gltfJson, textureInfo) {
+    const texture = textureInfo?.index != null ? gltfJson.textures?.[textureInfo.index] : null;
+    const source = textureSource(texture);
+    return Number.isInteger(source) ? source : -1;
+}
+
+/**
+ * The retained `<slot>TexCoord` and `<slot>UvTransform` fields of every
+ * material texture slot (see ./gltf-texture-transform.js).
+ */
+function slotTextureTransforms(material, label) {
+    const fields = {};
+    for (const [slot, textureInfoOf] of Object.entries(MATERIAL_TEXTURE_SLOTS)) {
+        const { texCoord, uvTransform } = decodeTextureTransform(textureInfoOf(material), `${label} ${slot} texture`);
+        fields[`${slot}TexCoord`] = texCoord;
+        fields[`${slot}UvTransform`] = uvTransform;
+    }
+    return fields;
+}
+
+/** Image indices a retained material samples, skipping absent slots. */
+function materialImageIndices(material) {
+    return Object.keys(MATERIAL_TEXTURE_SLOTS)
+        .map((slot) => material[`${slot}ImageIndex`])
+        .filter((imageIndex) => imageIndex >= 0);
+}
+
+function retainMaterial(gltfJson, material = {}, materialIndex = 0) {
     const pbr = material.pbrMetallicRoughness || {};
-    const textureIndex = pbr.baseColorTexture?.index;
-    const texture = textureIndex != null ? gltfJson.textures?.[textureIndex] : null;
-    const baseColorImageIndex = Number.isInteger(texture?.source) ? texture.source : -1;
+    // Transmission and thickness textures are not sampled; the factors apply uniformly.
+    const volume = material.extensions?.KHR_materials_volume || {};
     return {
         baseColor: [...(pbr.baseColorFactor || [1, 1, 1, 1])],
         emissive: [...(material.emissiveFactor || [0, 0, 0])],
         emissiveStrength: material.extensions?.KHR_materials_emissive_strength?.emissiveStrength ?? 1,
         metallic: pbr.metallicFactor ?? 1,
         roughness: pbr.roughnessFactor ?? 1,
-        baseColorImageIndex,
+        baseColorImageIndex: textureImageIndex(gltfJson, pbr.baseColorTexture),
+        metallicRoughnessImageIndex: textureImageIndex(gltfJson, pbr.metallicRoughnessTexture),
+        normalImageIndex: textureImageIndex(gltfJson, material.normalTexture),
+        normalScale: material.normalTexture?.scale ?? 1,
+        occlusionImageIndex: textureImageIndex(gltfJson, material.occlusionTexture),
+        occlusionStrength: material.occlusionTexture?.strength ?? 1,
+        ...slotTextureTransforms(material, `Material ${materialIndex}`),
         alphaMode: material.alphaMode || 'OPAQUE',
+        alphaCutoff: material.alphaCutoff ?? 0.5,
         doubleSided: material.doubleSided === true,
+        transmission: material.extensions?.KHR_materials_transmission?.transmissionFactor ?? 0,
+        indexOfRefraction: material.extensions?.KHR_materials_ior?.ior ?? 1.5,
+        thickness: volume.thicknessFactor ?? 0,
+        attenuationColor: [...(volume.attenuationColor || [1, 1, 1])],
+        attenuationDistance: volume.attenuationDistance ?? Infinity,
     };
 }
 
@@ -313,23 +509,17 @@ export async function parseGltfAsset(source) {
     }
 
     if (gltfJson?.asset?.version !== '2.0') throw new Error(`Unsupported glTF version ${gltfJson?.asset?.version || '(missing)'}; expected 2.0.`);
-    const extensions = new Set(gltfJson.extensionsUsed || []);
-    if (extensions.has('KHR_draco_mesh_compression')) {
-        throw new Error('KHR_draco_mesh_compression is not supported; provide uncompressed mesh data.');
-    }
-    if (extensions.has('EXT_meshopt_compression')) {
-        throw new Error('EXT_meshopt_compression is not supported; provide uncompressed mesh data.');
-    }
-    if (gltfJson.bufferViews?.some((view) => view.extensions?.EXT_meshopt_compression)) {
-        throw new Error('EXT_meshopt_compression is not supported; provide uncompressed mesh data.');
-    }
     if (!gltfJson || !gltfJson.meshes || gltfJson.meshes.length === 0) {
         throw new Error("GLTF file does not contain any meshes.");
     }
 
-    const bufferData = await loadGltfBuffers(gltfJson, binaryChunk, baseUrl, localFileMap, listAvailableFiles);
+    let bufferData = await loadGltfBuffers(gltfJson, binaryChunk, baseUrl, localFileMap, listAvailableFiles);
+    ({ gltfJson, buffers: bufferData } = await decompressGltfGeometry(gltfJson, bufferData));
 
-    const retainedMaterials = (gltfJson.materials || []).map((material) => retainMaterial(gltfJson, material));
+    const retainedMaterials = (gltfJson.materials || []).map((material, materialIndex) => (
+        retainMaterial(gltfJson, material, materialIndex)
+    ));
+    const materialVariants = decodeMaterialVariants(gltfJson);
     let defaultMaterialIndex = -1;
     const getMaterialIndex = (primitive, label) => {
         if (primitive.material == null) {
@@ -342,32 +532,38 @@ export async function parseGltfAsset(source) {
         if (!Number.isInteger(primitive.material) || !retainedMaterials[primitive.material]) {
             throw new Error(`${label} references missing material ${primitive.material}.`);
         }
-        const textureIndex = gltfJson.materials[primitive.material]
-            ?.pbrMetallicRoughness?.baseColorTexture?.index;
-        if (textureIndex != null && !Number.isInteger(gltfJson.textures?.[textureIndex]?.source)) {
-            throw new Error(`${label} references missing base-color texture ${textureIndex}.`);
+        for (const [slot, textureInfoOf] of Object.entries(MATERIAL_TEXTURE_SLOTS)) {
+            const textureIndex = textureInfoOf(gltfJson.materials[primitive.material])?.index;
+            if (textureIndex != null && !Number.isInteger(textureSource(gltfJson.textures?.[textureIndex]))) {
+                const name = slot === 'baseColor' ? 'base-color' : slot === 'metallicRoughness' ? 'metallic-roughness' : slot;
+                throw new Error(`${label} references missing ${name} texture ${textureIndex}.`);
+            }
+        }
+        const { alphaMode, alphaCutoff } = retainedMaterials[primitive.material];
+        if (!ALPHA_MODES.includes(alphaMode)) {
+            throw new Error(`${label} uses unknown alpha mode ${alphaMode}.`);
         }
-        if (retainedMaterials[primitive.material].alphaMode !== 'OPAQUE') {
-            throw new Error(`${label} uses unsupported alpha mode ${retainedMaterials[primitive.material].alphaMode}.`);
+        if (!Number.isFinite(alphaCutoff) || alphaCutoff < 0) {
+            throw new Error(`${label} material alphaCutoff must be a non-negative number.`);
         }
         return primitive.material;
     };
 
-    const meshes = gltfJson.meshes.map((mesh) => ({ name: mesh.name || '', primitives: [] }));
+    const meshes = gltfJson.meshes.map((mesh) => ({ name: mesh.name || '', primitives: [], splats: [], targetCount: 0 }));
     const parseMesh = (meshIndex) => {
         const retainedMesh = meshes[meshIndex];
         if (!retainedMesh) throw new Error(`Scene node references missing mesh ${meshIndex}.`);
-        if (retainedMesh.primitives.length) return retainedMesh;
+        if (retainedMesh.primitives.length || retainedMesh.splats.length) return retainedMesh;
         const sourceMesh = gltfJson.meshes[meshIndex];
         if (!sourceMesh.primitives?.length) throw new Error(`Mesh ${meshIndex} does not contain primitives.`);
         retainedMesh.primitives = sourceMesh.primitives.map((primitive, primitiveIndex) => {
             const label = `Mesh ${meshIndex} primitive ${primitiveIndex}`;
-            const mode = primitive.mode ?? 4;
-            if (mode !== 4) throw new Error(`${label} uses unsupported mode ${mode}; only TRIANGLES (4) is supported.`);
-            if (primitive.extensions?.KHR_draco_mesh_compression) {
-                throw new Error(`${label} uses KHR_draco_mesh_compression, which is not supported.`);
+            if (isGaussianSplatPrimitive(primitive)) {
+                retainedMesh.splats.push(decodeGaussianSplatPrimitive(gltfJson, bufferData, primitive, label));
+                return null;
             }
-            if (primitive.targets?.length) throw new Error(`${label} uses morph targets, which are not supported.`);
+            const sourceMode = primitive.mode ?? GLTF_PRIMITIVE_MODES.TRIANGLES;
+            if (!Object.values(GLTF_PRIMITIVE_MODES).includes(sourceMode)) throw new Error(`${label} uses unknown mode ${sourceMode}.`);
             if (primitive.attributes?.POSITION == null) throw new Error(`${label} omits POSITION.`);
 
             const position = decodeGltfAccessor(
@@ -394,13 +590,23 @@ export async function parseGltfAsset(source) {
                 indices = index.data;
                 indicesComponentType = index.componentType;
             }
-            if (indices.length % 3 !== 0) throw new Error(`${label} index count must be a multiple of three.`);
             for (let index = 0; index < indices.length; index += 1) {
                 if (indices[index] >= position.count) throw new Error(`${label} index ${index} is out of range.`);
             }
+            let mode;
+            ({ mode, indices } = convertPrimitiveIndices(sourceMode, indices));
+            const triangles = mode === GLTF_PRIMITIVE_MODES.TRIANGLES;
+            if (triangles && indices.length % 3 !== 0) throw new Error(`${label} index count must be a multiple of three.`);
+            if (mode === GLTF_PRIMITIVE_MODES.LINES && indices.length % 2 !== 0) {
+                throw new Error(`${label} index count must be a multiple of two.`);
+            }
 
             let normals;
-            if (primitive.attributes.NORMAL == null) {
+            // Points and lines without normals draw unlit in their base colour.
+            const unlit = !triangles && primitive.attributes.NORMAL == null;
+            if (unlit) {
+                normals = new Float32Array(positions.length);
+            } else if (primitive.attributes.NORMAL == null) {
                 normals = generateVertexNormals(positions, indices);
             } else {
                 const normal = decodeGltfAccessor(
@@ -418,35 +624,119 @@ export async function parseGltfAsset(source) {
                 if (normal.count !== position.count) throw new Error(`${label} NORMAL count must match POSITION count.`);
             }
 
-            let texCoords = null;
-            if (primitive.attributes.TEXCOORD_0 != null) {
+            const decodeTexCoords = (semantic) => {
+                if (primitive.attributes[semantic] == null) return null;
                 const texCoord = decodeGltfAccessor(
                     gltfJson,
                     bufferData,
-                    primitive.attributes.TEXCOORD_0,
-                    `${label} TEXCOORD_0`,
+                    primitive.attributes[semantic],
+                    `${label} ${semantic}`,
                 );
                 const supportedTexCoord = texCoord.componentType === 5126
                     || (texCoord.normalized && [5121, 5123].includes(texCoord.componentType));
                 if (texCoord.type !== 'VEC2' || !supportedTexCoord || !(texCoord.data instanceof Float32Array)) {
-                    throw new Error(`${label} TEXCOORD_0 must be FLOAT or normalized unsigned-integer VEC2 data.`);
+                    throw new Error(`${label} ${semantic} must be FLOAT or normalized unsigned-integer VEC2 data.`);
+                }
+                if (texCoord.count !== position.count) throw new Error(`${label} ${semantic} count must match POSITION count.`);
+                return texCoord.data;
+            };
+            const texCoords = decodeTexCoords('TEXCOORD_0');
+            const texCoords1 = decodeTexCoords('TEXCOORD_1');
+
+            // Linear RGBA per vertex, multiplied into the base colour.
+            let colors = null;
+            if (primitive.attributes.COLOR_0 != null) {
+                const color = decodeGltfAccessor(gltfJson, bufferData, primitive.attributes.COLOR_0, `${label} COLOR_0`);
+                const supportedColor = color.componentType === 5126
+                    || (color.normalized && [5121, 5123].includes(color.componentType));
+                if (!['VEC3', 'VEC4'].includes(color.type) || !supportedColor || !(color.data instanceof Float32Array)) {
+                    throw new Error(`${label} COLOR_0 must be FLOAT or normalized unsigned-integer VEC3 or VEC4 data.`);
+                }
+                if (color.count !== position.count) throw new Error(`${label} COLOR_0 count must match POSITION count.`);
+                colors = color.type === 'VEC4' ? color.data : expandRgbToRgba(color.data);
+            }
+
+            const materialIndex = getMaterialIndex(primitive, label);
+            const variantMaterialIndices = decodeVariantMappings(primitive, materialVariants.length, label)
+                .map((variantMaterial, variant) => (variantMaterial < 0 ? -1 : getMaterialIndex(
+                    { material: variantMaterial },
+                    `${label} variant ${variant}`,
+                )));
+            // Variant materials must be drawable with this primitive's attributes too.
+            const primitiveMaterials = [materialIndex, ...variantMaterialIndices.filter((index) => index >= 0)]
+                .map((index) => retainedMaterials[index]);
+            for (const slot of Object.keys(MATERIAL_TEXTURE_SLOTS)) {
+                if (primitiveMaterials.some((material) => (
+                    material[`${slot}ImageIndex`] >= 0 && material[`${slot}TexCoord`] === 1
+                )) && !texCoords1) {
+                    throw new Error(`${label} ${slot} texture reads TEXCOORD_1, which the primitive omits.`);
+                }
+            }
+            const normalMapped = primitiveMaterials.find((material) => material.normalImageIndex >= 0);
+            let tangents = null;
+            if (primitive.attributes.TANGENT != null) {
+                const tangent = decodeGltfAccessor(
+                    gltfJson,
+                    bufferData,
+                    primitive.attributes.TANGENT,
+                    `${label} TANGENT`,
+                );
+                if (tangent.type !== 'VEC4' || tangent.componentType !== 5126) {
+                    throw new Error(`${label} TANGENT must be a FLOAT VEC4 accessor.`);
                 }
-                if (texCoord.count !== position.count) throw new Error(`${label} TEXCOORD_0 count must match POSITION count.`);
-                texCoords = texCoord.data;
+                if (tangent.count !== position.count) throw new Error(`${label} TANGENT count must match POSITION count.`);
+                tangents = tangent.data;
+            } else if (normalMapped && triangles) {
+                // Tangents follow the UV set the normal map is laid out in.
+                const normalTexCoords = normalMapped.normalTexCoord === 1 ? texCoords1 : texCoords;
+                if (normalTexCoords) tangents = generateVertexTangents(positions, normals, normalTexCoords, indices);
             }
 
+            const morphTargets = primitive.targets?.length
+                ? decodeMorphTargets(gltfJson, bufferData, primitive.targets, position.count, label)
+                : [];
+
+            const attributes = primitive.attributes;
+            const influences = [attributes.JOINTS_0, attributes.WEIGHTS_0, attributes.JOINTS_1, attributes.WEIGHTS_1]
+                .some((accessorIndex) => accessorIndex != null)
+                ? decodeJointInfluences(gltfJson, bufferData, attributes, position.count, label)
+                : null;
+
             return {
                 sourcePrimitiveIndex: primitiveIndex,
                 mode,
-                attributes: { POSITION: positions, NORMAL: normals, TEXCOORD_0: texCoords },
+                unlit,
+                attributes: {
+                    POSITION: positions,
+                    NORMAL: normals,
+                    TEXCOORD_0: texCoords,
+                    TEXCOORD_1: texCoords1,
+                    COLOR_0: colors,
+                    TANGENT: tangents,
+                    JOINTS_0: influences?.joints ?? null,
+                    WEIGHTS_0: influences?.weights ?? null,
+                },
                 positions,
                 normals,
                 texCoords,
+                texCoords1,
+                colors,
+                tangents,
+                joints: influences?.joints ?? null,
+                weights: influences?.weights ?? null,
+                maxJoint: influences?.maxJoint ?? -1,
+                morphTargets,
                 indices,
                 indicesComponentType,
-                materialIndex: getMaterialIndex(primitive, label),
+                materialIndex,
+                defaultMaterialIndex: materialIndex,
+                variantMaterialIndices,
             };
-        });
+        }).filter((primitive) => primitive !== null);
+        retainedMesh.targetCount = retainedMesh.primitives[0]?.morphTargets.length ?? 0;
+        if (retainedMesh.primitives.some((primitive) => primitive.morphTargets.length !== retainedMesh.targetCount)) {
+            throw new Error(`Mesh ${meshIndex} primitives must all have the same number of morph targets.`);
+        }
         return retainedMesh;
     };
 
@@ -461,14 +751,17 @@ export async function parseGltfAsset(source) {
     const nodes = [];
     const visited = new Set();
     const activePath = new Set();
-    const visitNode = (nodeIndex, parentWorld) => {
+    const visitNode = (nodeIndex, parentWorld, parentIndex) => {
         if (!Number.isInteger(nodeIndex) || !sourceNodes[nodeIndex]) throw new Error(`Scene references missing node ${nodeIndex}.`);
         if (activePath.has(nodeIndex)) throw new Error(`Cycle detected at glTF node ${nodeIndex}.`);
         if (visited.has(nodeIndex)) throw new Error(`glTF node ${nodeIndex} is referenced more than once in the selected scene.`);
         activePath.add(nodeIndex);
         visited.add(nodeIndex);
         const sourceNode = sourceNodes[nodeIndex];
-        if (sourceNode.skin != null) throw new Error(`Node ${nodeIndex} uses unsupported skinning.`);
+        const skinIndex = sourceNode.skin ?? -1;
+        if (skinIndex !== -1 && (!Number.isInteger(skinIndex) || !gltfJson.skins?.[skinIndex])) {
+            throw new Error(`Node ${nodeIndex} references missing skin ${skinIndex}.`);
+        }
         const localMatrix = nodeLocalMatrix(sourceNode, nodeIndex);
         const worldMatrix = multiplyMatrices(parentWorld, localMatrix);
         const meshIndex = sourceNode.mesh ?? -1;
@@ -476,49 +769,143 @@ export async function parseGltfAsset(source) {
             throw new Error(`Node ${nodeIndex} mesh index must be a non-negative integer.`);
         }
         if (meshIndex >= 0) parseMesh(meshIndex);
+        const retainedIndex = nodes.length;
         nodes.push({
             sourceNodeIndex: nodeIndex,
             name: sourceNode.name || '',
             children: [...(sourceNode.children || [])],
+            parentIndex,
             localMatrix,
             worldMatrix,
+            // Animation channels write TRS; matrix nodes cannot be animated.
+            trs: sourceNode.matrix == null ? {
+                translation: [...(sourceNode.translation ?? [0, 0, 0])],
+                rotation: [...(sourceNode.rotation ?? [0, 0, 0, 1])],
+                scale: [...(sourceNode.scale ?? [1, 1, 1])],
+            } : null,
             meshIndex,
+            skinIndex,
+            skinInstanceIndex: -1,
+            morphInstanceIndex: -1,
         });
-        for (const childIndex of sourceNode.children || []) visitNode(childIndex, worldMatrix);
+        for (const childIndex of sourceNode.children || []) visitNode(childIndex, worldMatrix, retainedIndex);
         activePath.delete(nodeIndex);
     };
 
     if (hasSceneGraph) {
-        for (const rootIndex of selectedRoots) visitNode(rootIndex, createIdentityMatrix());
+        for (const rootIndex of selectedRoots) visitNode(rootIndex, createIdentityMatrix(), -1);
     } else {
         parseMesh(0);
         nodes.push({
             sourceNodeIndex: 0,
             name: '',
             children: [],
+            parentIndex: -1,
             localMatrix: createIdentityMatrix(),
             worldMatrix: createIdentityMatrix(),
+            trs: null,
             meshIndex: 0,
+            skinIndex: -1,
+            skinInstanceIndex: -1,
+            morphInstanceIndex: -1,
         });
     }
 
+    // One skin instance per skinned mesh node. Joints resolve to positions in
+    // `nodes`, so they must belong to the selected scene.
+    const skins = new Array(gltfJson.skins?.length || 0).fill(null);
+    const skinInstances = [];
+    const nodeIndexBySource = new Map(nodes.map((node, index) => [node.sourceNodeIndex, index]));
+    nodes.forEach((node, nodeIndex) => {
+        if (node.skinIndex < 0 || node.meshIndex < 0) return;
+        skins[node.skinIndex] ??= decodeGltfSkin(gltfJson, bufferData, node.skinIndex);
+        const skin = skins[node.skinIndex];
+        for (const primitive of meshes[node.meshIndex].primitives) {
+            const label = `Node ${node.sourceNodeIndex} mesh ${node.meshIndex} primitive ${primitive.sourcePrimitiveIndex}`;
+            if (!primitive.joints) throw new Error(`${label} is skinned but omits JOINTS_0 or WEIGHTS_0.`);
+            if (primitive.maxJoint >= skin.joints.length) {
+                throw new Error(`${label} references joint ${primitive.maxJoint}; skin ${node.skinIndex} has ${skin.joints.length}.`);
+            }
+        }
+        const jointNodeIndices = skin.joints.map((jointNode) => {
+            const index = nodeIndexBySource.get(jointNode);
+            if (index == null) {
+                throw new Error(`Skin ${node.skinIndex} joint node ${jointNode} is not part of the selected scene.`);
+            }
+            return index;
+        });
+        node.skinInstanceIndex = skinInstances.length;
+        skinInstances.push({
+            nodeIndex,
+            skinIndex: node.skinIndex,
+            jointNodeIndices,
+            jointMatrices: new Float32Array(jointNodeIndices.length * 16),
+            revision: 0,
+        });
+    });
+
+    // One morph instance per mesh node with targets, so nodes sharing a mesh
+    // can carry (and animate) their own weights.
+    const morphInstances = [];
+    nodes.forEach((node, nodeIndex) => {
+        if (node.meshIndex < 0 || !meshes[node.meshIndex].targetCount) return;
+        node.morphInstanceIndex = morphInstances.length;
+        morphInstances.push({
+            nodeIndex,
+            meshIndex: node.meshIndex,
+            weights: resolveMorphWeights(
+                gltfJson.meshes[node.meshIndex],
+                sourceNodes[node.sourceNodeIndex] ?? {},
+                meshes[node.meshIndex].targetCount,
+                `Node ${node.sourceNodeIndex} mesh ${node.meshIndex}`,
+            ),
+            revision: 0,
+        });
+    });
+    const animations = decodeGltfAnimations(gltfJson, bufferData, nodeIndexBySource, nodes, morphInstances);
+    // Every node instance of a splat mesh, posed into one world-space cloud.
+    const splatClouds = nodes.flatMap((node) => (node.meshIndex < 0 ? [] : meshes[node.meshIndex].splats.map((cloud) => (
+        transformSplatCloud(structuredClone(cloud), node.worldMatrix, `Node ${node.sourceNodeIndex}`)
+    ))));
+    const gaussianSplats = mergeSplatClouds(splatClouds);
+    const lights = decodeGltfLights(gltfJson, nodes);
+    const cameras = decodeGltfCameras(gltfJson, nodes);
+
     const usedImageIndices = new Set();
     for (const node of nodes) {
         if (node.meshIndex < 0) continue;
         for (const primitive of meshes[node.meshIndex].primitives) {
-            const imageIndex = retainedMaterials[primitive.materialIndex].baseColorImageIndex;
-            if (imageIndex >= 0) usedImageIndices.add(imageIndex);
+            const materialIndices = [primitive.materialIndex, ...primitive.variantMaterialIndices.filter((index) => index >= 0)];
+            for (const materialIndex of materialIndices) {
+                for (const imageIndex of materialImageIndices(retainedMaterials[materialIndex])) {
+                    usedImageIndices.add(imageIndex);
+                }
+            }
         }
     }
     const images = new Array(gltfJson.images?.length || 0).fill(null);
+    // The encoded file behind each decoded image, which GLB export embeds unchanged.
+    const imageSources = new Array(images.length).fill(null);
     await Promise.all([...usedImageIndices].map(async (imageIndex) => {
         const imageSource = gltfJson.images?.[imageIndex];
         if (!imageSource) throw new Error(`Material references missing image ${imageIndex}.`);
-        if (!imageSource.uri) throw new Error('Embedded glTF images are not supported.');
+        const decodeImage = async (blob) => {
+            imageSources[imageIndex] = { blob, mimeType: imageMimeType(imageSource, blob) };
+            return isKtx2ImageSource(imageSource)
+                ? decodeKtx2Image(await blob.arrayBuffer(), `Image ${imageIndex}`)
+                : createImageBitmap(blob);
+        };
+        if (imageSource.bufferView != null) {
+            if (!imageSource.mimeType) throw new Error(`Image ${imageIndex} is stored in a bufferView but names no mimeType.`);
+            const bytes = readBufferViewBytes(gltfJson, bufferData, imageSource.bufferView, `Image ${imageIndex}`);
+            images[imageIndex] = await decodeImage(new Blob([bytes], { type: imageSource.mimeType }));
+            return;
+        }
+        if (!imageSource.uri) throw new Error(`Image ${imageIndex} has neither a uri nor a bufferView.`);
         const imagePath = baseUrl + imageSource.uri;
         const localImageFile = resolveLocalFile(localFileMap, imagePath);
         if (localImageFile) {
-            images[imageIndex] = await createImageBitmap(localImageFile);
+            images[imageIndex] = await decodeImage(localImageFile);
             return;
         }
         if (!baseUrl) {
@@ -528,7 +915,7 @@ export async function parseGltfAsset(source) {
         if (!imageResponse.ok) {
             throw new Error(`Failed to load texture from ${imagePath}: ${imageResponse.status} ${imageResponse.statusText}`);
         }
-        images[imageIndex] = await createImageBitmap(await imageResponse.blob());
+        images[imageIndex] = await decodeImage(await imageResponse.blob());
     }));
 
     const asset = {
@@ -541,11 +928,33 @@ export async function parseGltfAsset(source) {
         meshes,
         materials: retainedMaterials,
         images,
+        imageSources,
+        skins,
+        skinInstances,
+        morphInstances,
+        animations,
+        lights,
+        cameras,
+        materialVariants,
+        activeMaterialVariant: null,
+        gaussianSplats,
     };
+    updateSkinInstances(asset);
     asset.rasterPrimitives = assetToRasterPrimitives(asset);
-    if (!asset.rasterPrimitives.length) throw new Error('Selected glTF scene does not contain triangle primitives.');
+    if (!asset.rasterPrimitives.length) {
+        if (!gaussianSplats) throw new Error('Selected glTF scene does not contain mesh primitives.');
+        // A splat-only asset has no geometry to upload, ray trace or frame.
+        asset.bounds = gaussianSplats.bounds;
+        return asset;
+    }
     asset.rayScene = assetToRayScene(asset);
-    asset.bounds = asset.rayScene.bounds;
+    // Points and lines are missing from the ray scene, so they frame through their raster copies.
+    asset.bounds = asset.rasterPrimitives.every((primitive) => primitive.mode === GLTF_PRIMITIVE_MODES.TRIANGLES)
+        ? asset.rayScene.bounds
+        : computeSceneBounds({
+            geometries: asset.rasterPrimitives,
+            instances: asset.rasterPrimitives.map((primitive, index) => ({ geometryIndex: index, worldMatrix: primitive.worldMatrix })),
+        });
 
     // Legacy aliases keep existing single-primitive upload paths working until RT-010B.
     const firstPrimitive = asset.rasterPrimitives[0];
@@ -554,6 +963,7 @@ export async function parseGltfAsset(source) {
     asset.texCoords = firstPrimitive.texCoords;
     asset.indices = firstPrimitive.indices;
     asset.indicesComponentType = firstPrimitive.indicesComponentType;
+    asset.mode = firstPrimitive.mode;
     asset.material = firstPrimitive.material;
     asset.textureBitmap = firstPrimitive.textureBitmap;
     return asset;
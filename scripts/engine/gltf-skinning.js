@@ -0,0 +1,247 @@
+/**
+ * @file glTF skeletal skinning — skin decoding, joint matrices, and CPU
+ *       linear-blend skinning.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Joint matrices follow the glTF convention of skinning into the skinned
+ * mesh node's space: `inverse(meshWorld) × jointWorld × inverseBind`. The
+ * renderers keep applying the mesh node's world matrix afterwards, so skinned
+ * primitives flow through the same draw and ray-instance paths as rigid ones.
+ *
+ * The WebGPU mesh path skins on the GPU (assets/shaders/mesh-deform.wgsl).
+ * The CPU variant here is the fallback when that shader is unavailable and the
+ * source of the deformed triangles the ray-tracing sidecar refits against.
+ * Morph targets (./gltf-morph.js) are blended first wherever both apply.
+ */
+import { createIdentityMatrix, invertMatrix, multiplyMatrices } from './matrix.js';
+import { decodeGltfAccessor } from './gltf-accessors.js';
+import { morphVertices } from './gltf-morph.js';
+import { computeGeometryBounds, computeSceneBounds } from './raytracing/core/ray-scene.js';
+
+/** Joint influences per vertex; only JOINTS_0/WEIGHTS_0 are read. */
+export const JOINT_INFLUENCES = 4;
+
+/**
+ * Decodes one `skins[]` entry.
+ * @returns {{name: string, joints: number[], inverseBindMatrices: Float32Array, skeleton: number}}
+ *          `joints` holds source node indices; `skeleton` is -1 when absent.
+ */
+export function decodeGltfSkin(gltfJson, bufferData, skinIndex) {
+    const skin = gltfJson.skins?.[skinIndex];
+    const label = `Skin ${skinIndex}`;
+    if (!skin) throw new Error(`${label} does not exist.`);
+    if (!Array.isArray(skin.joints) || skin.joints.length === 0) throw new Error(`${label} must list at least one joint.`);
+    for (const joint of skin.joints) {
+        if (!Number.isInteger(joint) || !gltfJson.nodes?.[joint]) {
+            throw new Error(`${label} references missing joint node ${joint}.`);
+        }
+    }
+    const jointCount = skin.joints.length;
+    const inverseBindMatrices = new Float32Array(jointCount * 16);
+    if (skin.inverseBindMatrices == null) {
+        const identity = createIdentityMatrix();
+        for (let joint = 0; joint < jointCount; joint += 1) inverseBindMatrices.set(identity, joint * 16);
+    } else {
+        const accessor = decodeGltfAccessor(
+            gltfJson,
+            bufferData,
+            skin.inverseBindMatrices,
+            `${label} inverseBindMatrices`,
+        );
+        if (accessor.type !== 'MAT4' || accessor.componentType !== 5126) {
+            throw new Error(`${label} inverseBindMatrices must be a FLOAT MAT4 accessor.`);
+        }
+        if (accessor.count < jointCount) {
+            throw new Error(`${label} inverseBindMatrices must provide one matrix per joint.`);
+        }
+        inverseBindMatrices.set(accessor.data.subarray(0, jointCount * 16));
+    }
+    return {
+        name: skin.name || '',
+        joints: [...skin.joints],
+        inverseBindMatrices,
+        skeleton: Number.isInteger(skin.skeleton) ? skin.skeleton : -1,
+    };
+}
+
+/**
+ * Decodes JOINTS_0/WEIGHTS_0 for a skinned primitive. A mesh may be shared by
+ * nodes with different skins, so joint ranges are checked per node against
+ * `maxJoint` rather than here.
+ * @returns {{joints: Uint16Array, weights: Float32Array, maxJoint: number}} four
+ *          entries per vertex; `maxJoint` is the largest joint carrying weight.
+ */
+export function decodeJointInfluences(gltfJson, bufferData, attributes, vertexCount, label) {
+    if (attributes.JOINTS_1 != null || attributes.WEIGHTS_1 != null) {
+        throw new Error(`${label} uses more than ${JOINT_INFLUENCES} joint influences per vertex, which is not supported.`);
+    }
+    if (attributes.JOINTS_0 == null || attributes.WEIGHTS_0 == null) {
+        throw new Error(`${label} is skinned but omits JOINTS_0 or WEIGHTS_0.`);
+    }
+    const joint = decodeGltfAccessor(gltfJson, bufferData, attributes.JOINTS_0, `${label} JOINTS_0`);
+    if (joint.type !== 'VEC4' || ![5121, 5123].includes(joint.componentType) || joint.normalized) {
+        throw new Error(`${label} JOINTS_0 must be an unnormalized UNSIGNED_BYTE or UNSIGNED_SHORT VEC4 accessor.`);
+    }
+    if (joint.count !== vertexCount) throw new Error(`${label} JOINTS_0 count must match POSITION count.`);
+    const weight = decodeGltfAccessor(gltfJson, bufferData, attributes.WEIGHTS_0, `${label} WEIGHTS_0`);
+    const supportedWeight = weight.componentType === 5126
+        || (weight.normalized && [5121, 5123].includes(weight.componentType));
+    if (weight.type !== 'VEC4' || !supportedWeight || !(weight.data instanceof Float32Array)) {
+        throw new Error(`${label} WEIGHTS_0 must be FLOAT or normalized unsigned-integer VEC4 data.`);
+    }
+    if (weight.count !== vertexCount) throw new Error(`${label} WEIGHTS_0 count must match POSITION count.`);
+    const joints = new Uint16Array(joint.data);
+    let maxJoint = -1;
+    for (let index = 0; index < joints.length; index += 1) {
+        // Zero-weight slots commonly carry joint 0 or garbage; only weighted ones must resolve.
+        if (weight.data[index] !== 0 && joints[index] > maxJoint) maxJoint = joints[index];
+    }
+    return { joints, weights: weight.data, maxJoint };
+}
+
+/**
+ * Rewrites a skin instance's joint matrices from the asset's current node
+ * world matrices. Bumps `instance.revision` only when a matrix changed, so
+ * GPU dispatches and ray refits can skip unchanged poses.
+ * @returns {boolean} whether the pose changed.
+ */
+export function updateJointMatrices(asset, instance) {
+    const skin = asset.skins[instance.skinIndex];
+    const inverseMeshWorld = invertMatrix(asset.nodes[instance.nodeIndex].worldMatrix);
+    const jointMatrices = instance.jointMatrices;
+    let changed = false;
+    instance.jointNodeIndices.forEach((nodeIndex, joint) => {
+        const inverseBind = skin.inverseBindMatrices.subarray(joint * 16, joint * 16 + 16);
+        const matrix = multiplyMatrices(inverseMeshWorld, multiplyMatrices(asset.nodes[nodeIndex].worldMatrix, inverseBind));
+        const offset = joint * 16;
+        for (let element = 0; element < 16; element += 1) {
+            if (jointMatrices[offset + element] !== matrix[element]) {
+                jointMatrices.set(matrix, offset);
+                changed = true;
+                break;
+            }
+        }
+    });
+    if (changed) instance.revision += 1;
+    return changed;
+}
+
+/** Updates every skin instance of an asset. @returns {boolean} whether any pose changed. */
+export function updateSkinInstances(asset) {
+    let changed = false;
+    for (const instance of asset.skinInstances || []) {
+        if (updateJointMatrices(asset, instance)) changed = true;
+    }
+    return changed;
+}
+
+/**
+ * CPU linear-blend skinning. Normals and tangents use the joint matrices'
+ * upper 3×3 and are renormalized, matching mesh-deform.wgsl; tangent
+ * handedness (w) is carried through.
+ * @param {{positions: Float32Array, normals: Float32Array, tangents?: Float32Array|null, joints: Uint16Array, weights: Float32Array}} primitive
+ * @param {Float32Array} jointMatrices 16 floats per joint, column-major.
+ * @param {{positions?: Float32Array, normals?: Float32Array, tangents?: Float32Array}} [out] reused when provided.
+ * @returns {{positions: Float32Array, normals: Float32Array, tangents?: Float32Array}}
+ */
+export function skinVertices({ positions, normals, tangents = null, joints, weights }, jointMatrices, out = {}) {
+    const skinnedPositions = out.positions || new Float32Array(positions.length);
+    const skinnedNormals = out.normals || new Float32Array(normals.length);
+    const skinnedTangents = tangents ? out.tangents || new Float32Array(tangents.length) : null;
+    const vertexCount = positions.length / 3;
+    const blended = new Float32Array(16);
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+        blended.fill(0);
+        for (let influence = 0; influence < JOINT_INFLUENCES; influence += 1) {
+            const weight = weights[vertex * 4 + influence];
+            if (weight === 0) continue;
+            const offset = joints[vertex * 4 + influence] * 16;
+            for (let element = 0; element < 16; element += 1) {
+                blended[element] += weight * jointMatrices[offset + element];
+            }
+        }
+        const [px, py, pz] = [positions[vertex * 3], positions[vertex * 3 + 1], positions[vertex * 3 + 2]];
+        skinnedPositions[vertex * 3] = blended[0] * px + blended[4] * py + blended[8] * pz + blended[12];
+        skinnedPositions[vertex * 3 + 1] = blended[1] * px + blended[5] * py + blended[9] * pz + blended[13];
+        skinnedPositions[vertex * 3 + 2] = blended[2] * px + blended[6] * py + blended[10] * pz + blended[14];
+
+        const [nx, ny, nz] = [normals[vertex * 3], normals[vertex * 3 + 1], normals[vertex * 3 + 2]];
+        const sx = blended[0] * nx + blended[4] * ny + blended[8] * nz;
+        const sy = blended[1] * nx + blended[5] * ny + blended[9] * nz;
+        const sz = blended[2] * nx + blended[6] * ny + blended[10] * nz;
+        const length = Math.hypot(sx, sy, sz);
+        const scale = length > 0 ? 1 / length : 0;
+        skinnedNormals[vertex * 3] = sx * scale;
+        skinnedNormals[vertex * 3 + 1] = sy * scale;
+        skinnedNormals[vertex * 3 + 2] = sz * scale;
+
+        if (!skinnedTangents) continue;
+        const [tx, ty, tz, tw] = tangents.subarray(vertex * 4, vertex * 4 + 4);
+        const ux = blended[0] * tx + blended[4] * ty + blended[8] * tz;
+        const uy = blended[1] * tx + blended[5] * ty + blended[9] * tz;
+        const uz = blended[2] * tx + blended[6] * ty + blended[10] * tz;
+        const tangentLength = Math.hypot(ux, uy, uz);
+        const tangentScale = tangentLength > 0 ? 1 / tangentLength : 0;
+        skinnedTangents.set([ux * tangentScale, uy * tangentScale, uz * tangentScale, tw], vertex * 4);
+    }
+    if (!skinnedTangents) return { positions: skinnedPositions, normals: skinnedNormals };
+    return { positions: skinnedPositions, normals: skinnedNormals, tangents: skinnedTangents };
+}
+
+/**
+ * Full CPU deformation of one primitive: morph targets, then skinning. Either
+ * instance may be null; with neither, the bind pose is copied. Tangents are
+ * deformed only when the primitive has them.
+ * @param {object} primitive retained primitive (positions, normals, tangents, joints, weights, morphTargets).
+ * @param {object|null} skinInstance
+ * @param {object|null} morphInstance
+ * @param {{positions?: Float32Array, normals?: Float32Array, tangents?: Float32Array}} [out] reused when provided.
+ * @returns {{positions: Float32Array, normals: Float32Array, tangents?: Float32Array}}
+ */
+export function deformVertices(primitive, skinInstance, morphInstance, out = {}) {
+    if (!skinInstance) {
+        if (morphInstance) return morphVertices(primitive, morphInstance.weights, out);
+        const positions = out.positions || new Float32Array(primitive.positions.length);
+        const normals = out.normals || new Float32Array(primitive.normals.length);
+        positions.set(primitive.positions);
+        normals.set(primitive.normals);
+        if (!primitive.tangents) return { positions, normals };
+        const tangents = out.tangents || new Float32Array(primitive.tangents.length);
+        tangents.set(primitive.tangents);
+        return { positions, normals, tangents };
+    }
+    const source = morphInstance
+        ? { ...primitive, ...morphVertices(primitive, morphInstance.weights) }
+        : primitive;
+    return skinVertices(source, skinInstance.jointMatrices, out);
+}
+
+/**
+ * Re-deforms the ray-scene geometries of skinned or morphed nodes whose pose
+ * or weights changed since they were last written, bumping each one's
+ * revision so its BLAS rebuilds while rigid geometry keeps its cached BLAS.
+ * @returns {boolean} whether any geometry changed (callers bump their geometryRevision).
+ */
+export function refitDeformedRayScene(asset) {
+    const rayScene = asset.rayScene;
+    let changed = false;
+    for (const entry of asset.deformedRayGeometries || []) {
+        const skinInstance = entry.skinInstanceIndex >= 0 ? asset.skinInstances[entry.skinInstanceIndex] : null;
+        const morphInstance = entry.morphInstanceIndex >= 0 ? asset.morphInstances[entry.morphInstanceIndex] : null;
+        const skinRevision = skinInstance?.revision ?? 0;
+        const morphRevision = morphInstance?.revision ?? 0;
+        if (entry.skinRevision === skinRevision && entry.morphRevision === morphRevision) continue;
+        const geometry = rayScene.geometries[entry.geometryIndex];
+        const primitive = asset.meshes[entry.meshIndex].primitives[entry.primitiveIndex];
+        // Ray geometry carries no tangents.
+        deformVertices({ ...primitive, tangents: null }, skinInstance, morphInstance, geometry);
+        geometry.bounds = computeGeometryBounds(geometry.positions);
+        geometry.revision += 1;
+        entry.skinRevision = skinRevision;
+        entry.morphRevision = morphRevision;
+        changed = true;
+    }
+    if (changed) rayScene.bounds = computeSceneBounds(rayScene);
+    return changed;
+}
@@ -0,0 +1,173 @@
+/**
+ * @file glTF KHR_gaussian_splatting — splat-cloud decoding and world posing.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * A POINTS primitive carrying the extension is a Gaussian splat cloud, not
+ * geometry: each point is one splat, described by POSITION plus the
+ * extension's `KHR_gaussian_splatting:*` attributes. The decoder produces the
+ * same parsed arrays `parsePly` does (see splat-formats.js), so the cloud goes
+ * through the splat worker pipeline like any other splat file instead of the
+ * mesh upload.
+ *
+ * Attribute conventions, per the extension: ROTATION is an xyzw unit
+ * quaternion, SCALE is log-space, OPACITY is already in [0, 1], and the
+ * SH_DEGREE_l_COEF_n attributes hold raw spherical-harmonic coefficients in the
+ * same per-band order as a PLY's f_rest_* (m = -l..l). COLOR_0, which exporters
+ * write as a fallback for point renderers, stands in for a missing
+ * SH_DEGREE_0_COEF_0 or OPACITY.
+ *
+ * A cloud is posed by baking its node's world matrix into it (see
+ * splat-transform.js), so every instance lands in one world-space cloud the
+ * worker can own.
+ */
+import { decodeGltfAccessor } from './gltf-accessors.js';
+import { cloudBounds, SH_C0, SH_REST_PER_CHANNEL } from './ply-loader.js';
+import { packShCoeffs } from './splat-helpers.js';
+
+export const KHR_GAUSSIAN_SPLATTING = 'KHR_gaussian_splatting';
+
+const ATTRIBUTE_PREFIX = `${KHR_GAUSSIAN_SPLATTING}:`;
+const POINTS = 0;
+
+/** Whether a mesh primitive is a splat cloud rather than geometry. */
+export function isGaussianSplatPrimitive(primitive) {
+    return primitive?.extensions?.[KHR_GAUSSIAN_SPLATTING] != null;
+}
+
+function decodeAttribute(gltfJson, buffers, primitive, semantic, { type, count, label }) {
+    const accessorIndex = primitive.attributes?.[semantic];
+    if (accessorIndex == null) return null;
+    const accessor = decodeGltfAccessor(gltfJson, buffers, accessorIndex, `${label} ${semantic}`);
+    if (!type.includes(accessor.type)) throw new Error(`${label} ${semantic} must be a ${type.join(' or ')} accessor.`);
+    if (accessor.count !== count) throw new Error(`${label} ${semantic} count must match POSITION count.`);
+    return accessor;
+}
+
+/**
+ * Decodes one KHR_gaussian_splatting primitive into parsed splat arrays, in
+ * the primitive's local frame.
+ * @param {object} gltfJson
+ * @param {ArrayBuffer[]} buffers
+ * @param {object} primitive
+ * @param {string} label
+ * @returns {{ positions: Float32Array, colors: Float32Array, opacities: Float32Array,
+ *            scales: Float32Array, rotations: Float32Array, count: number,
+ *            shCoeffs: Float32Array|null, shDegree: number, bounds: object|null }}
+ */
+export function decodeGaussianSplatPrimitive(gltfJson, buffers, primitive, label) {
+    const extension = primitive.extensions[KHR_GAUSSIAN_SPLATTING];
+    if ((primitive.mode ?? 4) !== POINTS) throw new Error(`${label} ${KHR_GAUSSIAN_SPLATTING} primitives must use POINTS mode.`);
+    if ((extension.kernel ?? 'ellipse') !== 'ellipse') {
+        throw new Error(`${label} uses unsupported ${KHR_GAUSSIAN_SPLATTING} kernel ${extension.kernel}.`);
+    }
+    if (primitive.attributes?.POSITION == null) throw new Error(`${label} omits POSITION.`);
+    const position = decodeGltfAccessor(gltfJson, buffers, primitive.attributes.POSITION, `${label} POSITION`);
+    if (position.type !== 'VEC3' || position.componentType !== 5126) {
+        throw new Error(`${label} POSITION must be a FLOAT VEC3 accessor.`);
+    }
+    const count = position.count;
+    const attribute = (name, type) => decodeAttribute(gltfJson, buffers, primitive, ATTRIBUTE_PREFIX + name, { type, count, label });
+
+    const rotation = attribute('ROTATION', ['VEC4']);
+    const scale = attribute('SCALE', ['VEC3']);
+    const opacity = attribute('OPACITY', ['SCALAR']);
+    const dc = attribute('SH_DEGREE_0_COEF_0', ['VEC3']);
+    const color = decodeAttribute(gltfJson, buffers, primitive, 'COLOR_0', { type: ['VEC3', 'VEC4'], count, label });
+    if (!rotation || !scale) throw new Error(`${label} omits ${ATTRIBUTE_PREFIX}ROTATION or ${ATTRIBUTE_PREFIX}SCALE.`);
+
+    // The highest degree whose bands are all present; a partial band is unusable.
+    const bands = [];
+    for (let degree = 1; degree <= 3; degree++) {
+        const band = [];
+        for (let n = 0; n < 2 * degree + 1; n++) band.push(attribute(`SH_DEGREE_${degree}_COEF_${n}`, ['VEC3']));
+        if (band.some((coefficient) => !coefficient)) break;
+        bands.push(...band);
+    }
+    const shDegree = bands.length ? Math.round(Math.sqrt(bands.length + 1)) - 1 : 0;
+    const shStride = bands.length * 3;
+    const shCoeffs = shStride ? new Float32Array(count * shStride) : null;
+
+    const positions = new Float32Array(position.data);
+    const colors = new Float32Array(count * 3);
+    const opacities = new Float32Array(count);
+    const scales = new Float32Array(count * 3);
+    const rotations = new Float32Array(count * 4);
+    const colorStride = color?.componentCount ?? 0;
+
+    for (let i = 0; i < count; i++) {
+        for (let c = 0; c < 3; c++) {
+            if (dc) colors[i * 3 + c] = 0.5 + SH_C0 * dc.data[i * 3 + c];
+            else colors[i * 3 + c] = color ? color.data[i * colorStride + c] : 0.5;
+            scales[i * 3 + c] = Math.exp(scale.data[i * 3 + c]);
+        }
+        if (opacity) opacities[i] = opacity.data[i];
+        else opacities[i] = colorStride === 4 ? color.data[i * 4 + 3] : 1;
+
+        // xyzw -> the parsed (w, x, y, z), unit length with qw >= 0.
+        const x = rotation.data[i * 4 + 0];
+        const y = rotation.data[i * 4 + 1];
+        const z = rotation.data[i * 4 + 2];
+        const w = rotation.data[i * 4 + 3];
+        const len = Math.hypot(w, x, y, z);
+        if (len > 0) {
+            const sign = w < 0 ? -1 : 1;
+            rotations.set([(w * sign) / len, (x * sign) / len, (y * sign) / len, (z * sign) / len], i * 4);
+        } else {
+            rotations[i * 4] = 1;
+        }
+
+        for (let k = 0; k < bands.length; k++) {
+            for (let c = 0; c < 3; c++) shCoeffs[i * shStride + k * 3 + c] = bands[k].data[i * 3 + c];
+        }
+    }
+
+    return {
+        positions, colors, opacities, scales, rotations,
+        count, shCoeffs, shDegree, bounds: cloudBounds(positions, count),
+    };
+}
+
+/**
+ * Concatenates posed clouds into one. SH keep the lowest degree any part has,
+ * so every splat carries the same coefficient stride.
+ * @param {ReturnType<typeof decodeGaussianSplatPrimitive>[]} clouds
+ * @returns {ReturnType<typeof decodeGaussianSplatPrimitive>|null}
+ */
+export function mergeSplatClouds(clouds) {
+    if (!clouds.length) return null;
+    if (clouds.length === 1) return clouds[0];
+    const count = clouds.reduce((sum, cloud) => sum + cloud.count, 0);
+    const shDegree = Math.min(...clouds.map((cloud) => cloud.shDegree));
+    const concat = (key, width) => {
+        const out = new Float32Array(count * width);
+        let offset = 0;
+        for (const cloud of clouds) {
+            out.set(cloud[key], offset);
+            offset += cloud.count * width;
+        }
+        return out;
+    };
+    const positions = concat('positions', 3);
+    let shCoeffs = null;
+    if (shDegree > 0) {
+        const stride = SH_REST_PER_CHANNEL[shDegree] * 3;
+        shCoeffs = new Float32Array(count * stride);
+        let offset = 0;
+        for (const cloud of clouds) {
+            shCoeffs.set(packShCoeffs(cloud.shCoeffs, cloud.count, cloud.shDegree, shDegree), offset);
+            offset += cloud.count * stride;
+        }
+    }
+    return {
+        positions,
+        colors: concat('colors', 3),
+        opacities: concat('opacities', 1),
+        scales: concat('scales', 3),
+        rotations: concat('rotations', 4),
+        count,
+        shCoeffs,
+        shDegree,
+        bounds: cloudBounds(positions, count),
+    };
+}
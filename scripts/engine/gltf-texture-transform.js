@@ -0,0 +1,76 @@
+/**
+ * @file glTF texture-coordinate sets and KHR_texture_transform.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Every material texture slot is retained with the TEXCOORD set it reads and
+ * a 2×3 affine UV transform, stored row-major: u' = m[0]·u + m[1]·v + m[2] and
+ * v' = m[3]·u + m[4]·v + m[5]. KHR_texture_transform composes it as
+ * translation × rotation × scale, and its `texCoord` overrides the texture
+ * info's own.
+ */
+
+/** TEXCOORD_0 and TEXCOORD_1 are decoded; higher sets are rejected. */
+export const MAX_TEXCOORD_SETS = 2;
+
+export const IDENTITY_UV_TRANSFORM = Object.freeze([1, 0, 0, 0, 1, 0]);
+
+function finitePair(value, fallback, label) {
+    if (value == null) return fallback;
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+        throw new Error(`${label} must be two finite numbers.`);
+    }
+    return value;
+}
+
+/**
+ * Resolves the coordinate set and UV transform of a glTF textureInfo.
+ * @param {object|undefined} textureInfo
+ * @param {string} label prefix for error messages, e.g. `Material 0 normal texture`.
+ * @returns {{texCoord: number, uvTransform: number[]}}
+ */
+export function decodeTextureTransform(textureInfo, label) {
+    const transform = textureInfo?.extensions?.KHR_texture_transform;
+    const texCoord = transform?.texCoord ?? textureInfo?.texCoord ?? 0;
+    if (!Number.isInteger(texCoord) || texCoord < 0 || texCoord >= MAX_TEXCOORD_SETS) {
+        throw new Error(`${label} texCoord ${texCoord} is not supported; only TEXCOORD_0 and TEXCOORD_1 are read.`);
+    }
+    if (!transform) return { texCoord, uvTransform: [...IDENTITY_UV_TRANSFORM] };
+    const [offsetU, offsetV] = finitePair(transform.offset, [0, 0], `${label} KHR_texture_transform offset`);
+    const [scaleU, scaleV] = finitePair(transform.scale, [1, 1], `${label} KHR_texture_transform scale`);
+    const rotation = transform.rotation ?? 0;
+    if (!Number.isFinite(rotation)) throw new Error(`${label} KHR_texture_transform rotation must be a finite number.`);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+        texCoord,
+        uvTransform: [cos * scaleU, sin * scaleV, offsetU, -sin * scaleU, cos * scaleV, offsetV],
+    };
+}
+
+/**
+ * The KHR_texture_transform that decodeTextureTransform() turns back into
+ * `uvTransform`, or null for the identity. Rotation is read from the U column,
+ * so a negative U scale comes back as a half turn with both scales flipped.
+ * @param {number[]} uvTransform retained 2×3 row-major matrix.
+ * @returns {{offset: number[], rotation: number, scale: number[]}|null}
+ */
+export function encodeTextureTransform(uvTransform) {
+    if (uvTransform.every((value, index) => value === IDENTITY_UV_TRANSFORM[index])) return null;
+    const [a, b, offsetU, d, e, offsetV] = uvTransform;
+    const scaleU = Math.hypot(a, d);
+    const rotation = scaleU > 0 ? Math.atan2(-d, a) : 0;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    // The V column is (sin, cos)·scaleV; divide by the larger term.
+    const scaleV = Math.abs(cos) >= Math.abs(sin) ? e / cos : b / sin;
+    return { offset: [offsetU, offsetV], rotation, scale: [scaleU, scaleV] };
+}
+
+/** Applies a retained UV transform to one coordinate pair. */
+export function transformUv(uvTransform, u, v) {
+    return [
+        uvTransform[0] * u + uvTransform[1] * v + uvTransform[2],
+        uvTransform[3] * u + uvTransform[4] * v + uvTransform[5],
+    ];
+}
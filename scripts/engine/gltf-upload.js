@@ -1,4 +1,17 @@
-import { createIndexBuffer, createTextureFromImageBitmap, createVertexBuffer } from './webgpu-helpers.js';
+import {
+    createIndexBuffer,
+    createStorageBuffer,
+    createTextureFromImageBitmap,
+    createVertexBuffer,
+} from './webgpu-helpers.js';
+import { deformVertices, refitDeformedRayScene, updateSkinInstances } from './gltf-skinning.js';
+import { packMorphDeltas } from './gltf-morph.js';
+import { packBindPose, packSkinInfluences } from './gpu-deformation.js';
+import { createAnimationPlayer } from './gltf-animation.js';
+import { createTextureFromKtx2Image, isKtx2Image } from './gltf-ktx2.js';
+import { applyMaterialVariant } from './gltf-variants.js';
+import { GLTF_PRIMITIVE_MODES } from './gltf-geometry.js';
+import { computeGeometryBounds } from './raytracing/core/ray-scene.js';
 
 function isPowerOf2(value) {
     return (value & (value - 1)) === 0;
@@ -14,7 +27,13 @@ function createWebGLBuffer(gl, target, data) {
 function createWebGLTexture(gl, image) {
     const texture = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    if (isKtx2Image(image)) {
+        // WebGL gets the transcoded RGBA8 base level and builds its own mips.
+        const { width, height, data } = image.rgba();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    } else {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    }
     if (isPowerOf2(image.width) && isPowerOf2(image.height)) {
         gl.generateMipmap(gl.TEXTURE_2D);
     } else {
@@ -58,6 +77,9 @@ export function uploadGltfWebGL(gl, asset) {
         texture: asset.textureBitmap ? createWebGLTexture(gl, asset.textureBitmap) : null,
         vertexCount: indices.length,
         indexType,
+        // Strips, fans and loops were already rewritten as lists by the parser.
+        drawMode: asset.mode === GLTF_PRIMITIVE_MODES.POINTS ? gl.POINTS
+            : asset.mode === GLTF_PRIMITIVE_MODES.LINES ? gl.LINES : gl.TRIANGLES,
         bounds: asset.bounds,
         rayTracing: { asset, preparedRayScene: asset.rayScene },
         _debug: {
@@ -69,6 +91,42 @@ export function uploadGltfWebGL(gl, asset) {
     };
 }
 
+/**
+ * Skinned and morphed primitives draw from position/normal/tangent buffers
+ * that GpuMeshDeformer rewrites each pose; the bind pose, joint influences and
+ * packed morph deltas ride alongside as storage inputs. The vertex buffers
+ * start as the pose the parser computed, so an undeformed frame is valid.
+ */
+function createDeformedGeometryBuffers(device, primitive, tangents) {
+    const vertexCount = primitive.positions.length / 3;
+    const posed = deformVertices({ ...primitive, tangents }, primitive.skinInstance, primitive.morphInstance);
+    const skinned = !!primitive.skinInstance;
+    const morphed = !!primitive.morphInstance;
+    return {
+        position: createStorageBuffer(device, posed.positions, GPUBufferUsage.VERTEX),
+        normal: createStorageBuffer(device, posed.normals, GPUBufferUsage.VERTEX),
+        tangent: createStorageBuffer(device, posed.tangents, GPUBufferUsage.VERTEX),
+        deformation: {
+            skinInstance: primitive.skinInstance,
+            morphInstance: primitive.morphInstance,
+            vertexCount,
+            positions: primitive.positions,
+            normals: primitive.normals,
+            tangents,
+            joints: primitive.joints,
+            weights: primitive.weights,
+            morphTargets: primitive.morphTargets,
+            buffers: {
+                bindPose: createStorageBuffer(device, packBindPose(primitive.positions, primitive.normals, tangents)),
+                influences: skinned
+                    ? createStorageBuffer(device, new Uint32Array(packSkinInfluences(primitive.joints, primitive.weights)))
+                    : null,
+                morphDeltas: morphed ? createStorageBuffer(device, packMorphDeltas(primitive.morphTargets, vertexCount)) : null,
+            },
+        },
+    };
+}
+
 export function uploadGltfWebGPU(device, asset) {
     const sourcePrimitives = asset.rasterPrimitives?.length ? asset.rasterPrimitives : [{
         positions: asset.positions,
@@ -81,10 +139,37 @@ export function uploadGltfWebGPU(device, asset) {
     }];
     const geometryResources = new Map();
     const textureResources = new Map();
+    const textureFor = (bitmap) => {
+        if (!bitmap) return null;
+        let texture = textureResources.get(bitmap);
+        if (!texture) {
+            texture = isKtx2Image(bitmap)
+                ? createTextureFromKtx2Image(device, bitmap)
+                : createTextureFromImageBitmap(device, bitmap);
+            textureResources.set(bitmap, texture);
+        }
+        return texture;
+    };
+    const materialResources = (primitive) => {
+        const bitmaps = primitive.materialBitmaps;
+        return {
+            texture: textureFor(primitive.textureBitmap),
+            materialTextures: {
+                metallicRoughness: textureFor(bitmaps?.metallicRoughness),
+                normal: textureFor(bitmaps?.normal),
+                occlusion: textureFor(bitmaps?.occlusion),
+            },
+            material: primitive.material || asset.material,
+        };
+    };
     const primitives = sourcePrimitives.map((primitive, instanceIndex) => {
-        const geometryKey = Number.isInteger(primitive.sourceMeshIndex)
-            ? `${primitive.sourceMeshIndex}:${primitive.sourcePrimitiveIndex}`
-            : primitive;
+        // Skinned or morphed geometry is deformed per node, so it is keyed by node as well.
+        const deformed = !!(primitive.skinInstance || primitive.morphInstance);
+        let geometryKey = primitive;
+        if (Number.isInteger(primitive.sourceMeshIndex)) {
+            geometryKey = `${primitive.sourceMeshIndex}:${primitive.sourcePrimitiveIndex}`;
+            if (deformed) geometryKey = `deform:${primitive.sourceNodeIndex}:${geometryKey}`;
+        }
         let geometry = geometryResources.get(geometryKey);
         if (!geometry) {
             let indices = primitive.indices;
@@ -97,38 +182,60 @@ export function uploadGltfWebGPU(device, asset) {
                 uploadIndices = new Uint16Array(indices.length + 1);
                 uploadIndices.set(indices);
             }
-            const texCoords = primitive.texCoords
-                || new Float32Array((primitive.positions.length / 3) * 2);
+            const vertexCount = primitive.positions.length / 3;
+            const texCoords = primitive.texCoords || new Float32Array(vertexCount * 2);
+            // Zero tangents tell the mesh shader to skip normal mapping.
+            const tangents = primitive.tangents || new Float32Array(vertexCount * 4);
+            const deformedBuffers = deformed ? createDeformedGeometryBuffers(device, primitive, tangents) : null;
             geometry = {
                 buffers: {
-                    position: createVertexBuffer(device, primitive.positions),
-                    normal: createVertexBuffer(device, primitive.normals),
+                    position: deformedBuffers?.position ?? createVertexBuffer(device, primitive.positions),
+                    normal: deformedBuffers?.normal ?? createVertexBuffer(device, primitive.normals),
                     texCoord: createVertexBuffer(device, texCoords),
+                    texCoord1: primitive.texCoords1 ? createVertexBuffer(device, primitive.texCoords1) : null,
+                    color: primitive.colors ? createVertexBuffer(device, primitive.colors) : null,
+                    tangent: deformedBuffers?.tangent ?? createVertexBuffer(device, tangents),
                     indices: createIndexBuffer(device, uploadIndices),
                 },
                 indexCount: indices.length,
                 indexFormat,
+                // Local-space depth-sort anchor for BLEND primitives (bind pose when deformed).
+                center: computeGeometryBounds(primitive.positions).center,
+                deformation: deformedBuffers?.deformation ?? null,
             };
             geometryResources.set(geometryKey, geometry);
         }
-        let texture = null;
-        if (primitive.textureBitmap) {
-            texture = textureResources.get(primitive.textureBitmap);
-            if (!texture) {
-                texture = createTextureFromImageBitmap(device, primitive.textureBitmap);
-                textureResources.set(primitive.textureBitmap, texture);
-            }
-        }
         return {
             ...geometry,
-            texture,
-            material: primitive.material || asset.material,
+            ...materialResources(primitive),
             worldMatrix: primitive.worldMatrix,
             instanceIndex,
+            mode: primitive.mode,
+            unlit: primitive.unlit,
         };
     });
     const first = primitives[0];
-    return {
+    const rayTracing = {
+        asset,
+        preparedRayScene: asset.rayScene,
+        geometryRevision: asset.revisions?.geometryRevision ?? 0,
+        instanceRevision: asset.revisions?.instanceRevision ?? 0,
+        materialRevision: asset.revisions?.materialRevision ?? 0,
+    };
+    // Pose hooks for the scene core (GPU deformation) and the hybrid shadow
+    // sidecar (CPU refit); absent on rigid assets.
+    const deformation = asset.skinInstances?.length || asset.morphInstances?.length ? {
+        update: () => updateSkinInstances(asset),
+        refitRayScene() {
+            updateSkinInstances(asset);
+            if (refitDeformedRayScene(asset)) rayTracing.geometryRevision += 1;
+        },
+    } : null;
+    // Each applied pose moves node transforms, so the hybrid sidecar repacks its TLAS.
+    const animation = asset.animations?.length ? createAnimationPlayer(asset, {
+        onPose: () => { rayTracing.instanceRevision += 1; },
+    }) : null;
+    const drawable = {
         kind: 'mesh',
         primitives,
         buffers: first?.buffers,
@@ -137,12 +244,13 @@ export function uploadGltfWebGPU(device, asset) {
         vertexCount: primitives.reduce((sum, primitive) => sum + primitive.indexCount, 0),
         indexFormat: first?.indexFormat ?? 'uint16',
         bounds: asset.bounds,
-        rayTracing: {
-            asset,
-            preparedRayScene: asset.rayScene,
-            geometryRevision: asset.revisions?.geometryRevision ?? 0,
-            instanceRevision: asset.revisions?.instanceRevision ?? 0,
-        },
+        // KHR_lights_punctual lights, posed through their nodes' world matrices.
+        lights: asset.lights ?? [],
+        // Authored cameras, which the facade's setCamera() switches the viewport to.
+        cameras: asset.cameras ?? [],
+        rayTracing,
+        deformation,
+        animation,
         _debug: {
             name: asset.sourceName,
             primitiveCount: primitives.length,
@@ -151,4 +259,19 @@ export function uploadGltfWebGPU(device, asset) {
             indexElementCount: primitives.reduce((sum, primitive) => sum + primitive.indexCount, 0),
         },
     };
+    // KHR_materials_variants, which the facade's setMaterialVariant() switches.
+    // Textures upload on first use and stay cached for switching back.
+    drawable.materialVariants = asset.materialVariants?.length ? {
+        names: [...asset.materialVariants],
+        get active() { return asset.activeMaterialVariant ?? null; },
+        get textures() { return [...textureResources.values()]; },
+        select(name) {
+            applyMaterialVariant(asset, name);
+            primitives.forEach((primitive, index) => Object.assign(primitive, materialResources(sourcePrimitives[index])));
+            drawable.texture = first?.texture ?? null;
+            drawable.material = first?.material;
+            rayTracing.materialRevision += 1;
+        },
+    } : null;
+    return drawable;
 }
@@ -0,0 +1,111 @@
+/**
+ * @file glTF KHR_materials_variants — named material sets switched per primitive.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * The document names its variants once and each primitive maps some of them
+ * to other materials. Every mapped material is retained and its images are
+ * loaded with the document, so switching only re-points primitives and ray
+ * instances at other material indices; geometry and acceleration structures
+ * are untouched. Primitives a variant does not map keep their own material.
+ */
+
+/**
+ * Variant names in document order.
+ * @param {object} gltfJson
+ * @returns {string[]}
+ */
+export function decodeMaterialVariants(gltfJson) {
+    const variants = gltfJson.extensions?.KHR_materials_variants?.variants;
+    if (variants == null) return [];
+    if (!Array.isArray(variants)) throw new Error('KHR_materials_variants variants must be an array.');
+    return variants.map((variant, variantIndex) => {
+        if (typeof variant?.name !== 'string' || !variant.name) {
+            throw new Error(`Material variant ${variantIndex} must have a name.`);
+        }
+        return variant.name;
+    });
+}
+
+/**
+ * A primitive's material per variant: entry `v` is the glTF material index
+ * variant `v` selects, or -1 where the primitive keeps its own material.
+ * @param {object} primitive glTF mesh primitive.
+ * @param {number} variantCount
+ * @param {string} label prefix for error messages, e.g. `Mesh 0 primitive 1`.
+ * @returns {number[]}
+ */
+export function decodeVariantMappings(primitive, variantCount, label) {
+    const materialIndices = new Array(variantCount).fill(-1);
+    const mappings = primitive.extensions?.KHR_materials_variants?.mappings;
+    if (mappings == null) return materialIndices;
+    if (!Array.isArray(mappings)) throw new Error(`${label} KHR_materials_variants mappings must be an array.`);
+    mappings.forEach((mapping, mappingIndex) => {
+        if (!Array.isArray(mapping?.variants)) {
+            throw new Error(`${label} material variant mapping ${mappingIndex} must list its variants.`);
+        }
+        if (!Number.isInteger(mapping.material) || mapping.material < 0) {
+            throw new Error(`${label} material variant mapping ${mappingIndex} must name a material.`);
+        }
+        for (const variant of mapping.variants) {
+            if (!Number.isInteger(variant) || variant < 0 || variant >= variantCount) {
+                throw new Error(`${label} maps missing material variant ${variant}.`);
+            }
+            if (materialIndices[variant] >= 0) throw new Error(`${label} maps material variant ${variant} more than once.`);
+            materialIndices[variant] = mapping.material;
+        }
+    });
+    return materialIndices;
+}
+
+/**
+ * The material, base-colour bitmap and linear-data bitmaps a raster primitive
+ * draws with for one retained material.
+ * @param {object} asset retained glTF asset.
+ * @param {number} materialIndex
+ */
+export function rasterMaterialFields(asset, materialIndex) {
+    const material = asset.materials[materialIndex];
+    const imageFor = (slot) => {
+        const index = material?.[`${slot}ImageIndex`] ?? -1;
+        return index >= 0 ? asset.images?.[index] || null : null;
+    };
+    return {
+        materialIndex,
+        material,
+        imageIndex: material?.baseColorImageIndex ?? -1,
+        textureBitmap: imageFor('baseColor'),
+        // Linear-data maps; the base-colour image stays `textureBitmap`.
+        materialBitmaps: {
+            metallicRoughness: imageFor('metallicRoughness'),
+            normal: imageFor('normal'),
+            occlusion: imageFor('occlusion'),
+        },
+    };
+}
+
+/**
+ * Selects a variant by name, or each primitive's own material for null, and
+ * updates the raster primitives and ray-scene instances in place.
+ * @param {object} asset retained glTF asset with `materialVariants`.
+ * @param {string|null} name
+ */
+export function applyMaterialVariant(asset, name) {
+    const variantIndex = name == null ? -1 : (asset.materialVariants ?? []).indexOf(name);
+    if (name != null && variantIndex < 0) throw new Error(`The loaded model has no material variant ${name}.`);
+    for (const mesh of asset.meshes) {
+        for (const primitive of mesh.primitives) {
+            const mapped = variantIndex >= 0 ? primitive.variantMaterialIndices[variantIndex] : -1;
+            primitive.materialIndex = mapped >= 0 ? mapped : primitive.defaultMaterialIndex;
+        }
+    }
+    for (const rasterPrimitive of asset.rasterPrimitives) {
+        const primitive = asset.meshes[rasterPrimitive.sourceMeshIndex].primitives[rasterPrimitive.sourcePrimitiveIndex];
+        Object.assign(rasterPrimitive, rasterMaterialFields(asset, primitive.materialIndex));
+    }
+    asset.rayScene.instances.forEach((instance, index) => {
+        const node = asset.nodes[asset.rayInstanceNodes[index]];
+        instance.materialIndex = asset.meshes[node.meshIndex].primitives[asset.rayInstancePrimitives[index]].materialIndex;
+    });
+    asset.activeMaterialVariant = variantIndex >= 0 ? name : null;
+}
@@ -0,0 +1,229 @@
+/**
+ * @file GpuMeshDeformer — per-frame morph-target blending and skinning of
+ *       glTF mesh drawables.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Runs before any raster pass that draws a mesh (mesh and hybrid G-buffer
+ * alike): joint matrices are re-evaluated from the asset's node transforms,
+ * and every deformed primitive whose skin pose or morph weights changed is
+ * rewritten in place in its position/normal/tangent vertex buffers (see
+ * createDeformedGeometryBuffers in gltf-upload.js). The draw pipelines never
+ * see joints, weights or morph deltas.
+ *
+ * Inputs are interleaved (packBindPose, packSkinInfluences) so the pass
+ * stays within WebGPU's default of eight storage buffers per stage.
+ *
+ * With mesh-deform.wgsl loaded this is one compute dispatch per primitive.
+ * Until then — or on a device that cannot create the pipeline — the CPU
+ * deformVertices() result is uploaded instead, so deformed assets never fall
+ * back to the bind pose.
+ */
+import { createUniformBuffer } from './webgpu-helpers.js';
+import { deformVertices } from './gltf-skinning.js';
+
+const DEFORM_PARAMS_SIZE = 16; // vertexCount, jointCount, targetCount + padding
+const DEFORM_WORKGROUP = 64;   // matches @workgroup_size in deform_vertices
+const PLACEHOLDER_SIZE = 64;   // one mat4; stands in for unused storage bindings
+
+/** Floats per vertex in packBindPose(): position xyz, normal xyz, tangent xyzw. */
+export const BIND_POSE_STRIDE = 10;
+
+/**
+ * Interleaves the bind pose for mesh-deform.wgsl. Primitives without tangents
+ * pack zeros, which deform to zero and leave the shader on the vertex normal.
+ * @returns {Float32Array}
+ */
+export function packBindPose(positions, normals, tangents = null) {
+    const vertexCount = positions.length / 3;
+    const packed = new Float32Array(vertexCount * BIND_POSE_STRIDE);
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+        const offset = vertex * BIND_POSE_STRIDE;
+        packed.set(positions.subarray(vertex * 3, vertex * 3 + 3), offset);
+        packed.set(normals.subarray(vertex * 3, vertex * 3 + 3), offset + 3);
+        if (tangents) packed.set(tangents.subarray(vertex * 4, vertex * 4 + 4), offset + 6);
+    }
+    return packed;
+}
+
+/**
+ * Interleaves JOINTS_0 and WEIGHTS_0 as one `SkinInfluence` (vec4<u32> joints,
+ * vec4<f32> weights) per vertex.
+ * @returns {ArrayBuffer}
+ */
+export function packSkinInfluences(joints, weights) {
+    const vertexCount = joints.length / 4;
+    const buffer = new ArrayBuffer(vertexCount * 32);
+    const words = new Uint32Array(buffer);
+    const floats = new Float32Array(buffer);
+    for (let vertex = 0; vertex < vertexCount; vertex += 1) {
+        for (let influence = 0; influence < 4; influence += 1) {
+            words[vertex * 8 + influence] = joints[vertex * 4 + influence];
+            floats[vertex * 8 + 4 + influence] = weights[vertex * 4 + influence];
+        }
+    }
+    return buffer;
+}
+
+function destroy(resource) {
+    resource?.destroy?.();
+}
+
+function createStorage(device, size) {
+    return device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+}
+
+export class GpuMeshDeformer {
+    /** @param {GPUDevice} device */
+    constructor(device) {
+        this.device = device;
+        this.pipeline = null;
+        this.placeholder = null;
+        this.states = new WeakMap(); // primitive.deformation -> per-primitive GPU state
+        this.liveStates = new Set();
+    }
+
+    setShader(meshDeformWgsl) {
+        if (!meshDeformWgsl) return;
+        const module = this.device.createShaderModule({ code: meshDeformWgsl });
+        this.pipeline = this.device.createComputePipeline({
+            layout: 'auto', compute: { module, entryPoint: 'deform_vertices' },
+        });
+        // Bind groups follow the pipeline's layout; force a re-deform under the new one.
+        for (const state of this.liveStates) {
+            state.bindGroup = null;
+            state.skinRevision = -1;
+        }
+    }
+
+    _ensureState(deformation, primitive) {
+        let state = this.states.get(deformation);
+        if (!state) {
+            state = {
+                deformation,
+                paramsBuffer: null,
+                jointBuffer: null,
+                morphWeightBuffer: null,
+                bindGroup: null,
+                cpuOutput: null,
+                skinRevision: -1,
+                morphRevision: -1,
+            };
+            this.states.set(deformation, state);
+            this.liveStates.add(state);
+        }
+        state.primitive = primitive;
+        return state;
+    }
+
+    _ensureBindGroup(state) {
+        if (state.bindGroup) return state.bindGroup;
+        const { device } = this;
+        const { deformation, primitive } = state;
+        const { skinInstance, morphInstance, buffers } = deformation;
+        if (!state.paramsBuffer) {
+            state.paramsBuffer = createUniformBuffer(device, DEFORM_PARAMS_SIZE);
+            device.queue.writeBuffer(state.paramsBuffer, 0, new Uint32Array([
+                deformation.vertexCount,
+                skinInstance ? skinInstance.jointNodeIndices.length : 0,
+                morphInstance ? morphInstance.weights.length : 0,
+                0,
+            ]));
+        }
+        if (skinInstance && !state.jointBuffer) {
+            state.jointBuffer = createStorage(device, skinInstance.jointMatrices.byteLength);
+        }
+        if (morphInstance && !state.morphWeightBuffer) {
+            // Storage bindings must be at least 16 bytes and 4-byte multiples.
+            state.morphWeightBuffer = createStorage(device, Math.max(16, morphInstance.weights.byteLength));
+        }
+        // Skinned-only or morphed-only primitives bind a shared stand-in for the other half.
+        if (!skinInstance || !morphInstance) this.placeholder ??= createStorage(device, PLACEHOLDER_SIZE);
+        const placeholder = this.placeholder;
+        state.bindGroup = device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: state.paramsBuffer } },
+                { binding: 1, resource: { buffer: buffers.bindPose } },
+                { binding: 2, resource: { buffer: buffers.influences ?? placeholder } },
+                { binding: 3, resource: { buffer: state.jointBuffer ?? placeholder } },
+                { binding: 4, resource: { buffer: buffers.morphDeltas ?? placeholder } },
+                { binding: 5, resource: { buffer: state.morphWeightBuffer ?? placeholder } },
+                { binding: 6, resource: { buffer: primitive.buffers.position } },
+                { binding: 7, resource: { buffer: primitive.buffers.normal } },
+                { binding: 8, resource: { buffer: primitive.buffers.tangent } },
+            ],
+        });
+        return state.bindGroup;
+    }
+
+    /**
+     * Brings every deformed primitive of a mesh drawable up to the current
+     * skin pose and morph weights.
+     * @param {object} frame per-frame state (device, encoder)
+     * @param {object} drawable
+     */
+    record(frame, drawable) {
+        if (!drawable?.deformation) return;
+        drawable.deformation.update();
+        let pass = null;
+        for (const primitive of drawable.primitives ?? []) {
+            const deformation = primitive.deformation;
+            if (!deformation) continue;
+            const state = this._ensureState(deformation, primitive);
+            const { skinInstance, morphInstance } = deformation;
+            const skinRevision = skinInstance?.revision ?? 0;
+            const morphRevision = morphInstance?.revision ?? 0;
+            if (state.skinRevision === skinRevision && state.morphRevision === morphRevision) continue;
+            if (this.pipeline) {
+                const bindGroup = this._ensureBindGroup(state);
+                if (skinInstance) frame.device.queue.writeBuffer(state.jointBuffer, 0, skinInstance.jointMatrices);
+                if (morphInstance) frame.device.queue.writeBuffer(state.morphWeightBuffer, 0, morphInstance.weights);
+                pass ??= frame.encoder.beginComputePass({ label: 'Mesh deformation pass' });
+                pass.setPipeline(this.pipeline);
+                pass.setBindGroup(0, bindGroup);
+                pass.dispatchWorkgroups(Math.ceil(deformation.vertexCount / DEFORM_WORKGROUP));
+            } else {
+                state.cpuOutput = deformVertices(deformation, skinInstance, morphInstance, state.cpuOutput ?? {});
+                frame.device.queue.writeBuffer(primitive.buffers.position, 0, state.cpuOutput.positions);
+                frame.device.queue.writeBuffer(primitive.buffers.normal, 0, state.cpuOutput.normals);
+                if (state.cpuOutput.tangents) {
+                    frame.device.queue.writeBuffer(primitive.buffers.tangent, 0, state.cpuOutput.tangents);
+                }
+            }
+            state.skinRevision = skinRevision;
+            state.morphRevision = morphRevision;
+        }
+        pass?.end();
+    }
+
+    /** Frees per-primitive deformation resources; the vertex buffers stay with the mesh renderer. */
+    releaseDrawable(drawable) {
+        if (!drawable?.deformation) return;
+        for (const primitive of drawable.primitives ?? []) {
+            const deformation = primitive.deformation;
+            if (!deformation) continue;
+            const state = this.states.get(deformation);
+            if (state) {
+                this._destroyState(state);
+                this.states.delete(deformation);
+                this.liveStates.delete(state);
+            }
+            for (const buffer of Object.values(deformation.buffers)) destroy(buffer);
+        }
+    }
+
+    _destroyState(state) {
+        destroy(state.paramsBuffer);
+        destroy(state.jointBuffer);
+        destroy(state.morphWeightBuffer);
+    }
+
+    destroy() {
+        for (const state of this.liveStates) this._destroyState(state);
+        this.liveStates.clear();
+        destroy(this.placeholder);
+        this.placeholder = null;
+        this.pipeline = null;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * @file Pure parser for Radiance `.hdr` (RGBE) images, the usual container for
+ *       equirectangular environment maps.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Layout: an ASCII header (`#?RADIANCE` magic, `KEY=value` lines, a blank
+ * line), a resolution line such as `-Y 512 +X 1024`, then one scanline per
+ * row. Scanlines are either flat 4-byte RGBE pixels or the "new" adaptive
+ * run-length encoding, where each of the four channels is stored separately
+ * as runs (count > 128: repeat the next byte) and literals (count <= 128).
+ *
+ * Like the PLY loaders this is GPU-free: it returns linear float RGB that
+ * the environment-map and IBL builders consume. Only the standard `-Y H +X W`
+ * orientation is accepted; row 0 is the top of the image.
+ */
+
+const MAX_HEADER_BYTES = 64 * 1024;
+const MIN_RLE_WIDTH = 8;
+const MAX_RLE_WIDTH = 0x7fff;
+
+function readLine(bytes, offset) {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0x0a) end++;
+    if (end >= bytes.length) return null;
+    let text = '';
+    for (let i = offset; i < end; i++) text += String.fromCharCode(bytes[i]);
+    return { text: text.replace(/\r$/, ''), next: end + 1 };
+}
+
+/**
+ * Reads the header and resolution line.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, exposure: number, dataOffset: number}}
+ */
+function parseHeader(bytes) {
+    const first = readLine(bytes, 0);
+    if (!first || !/^#\?(RADIANCE|RGBE)\b/.test(first.text)) {
+        throw new Error('Invalid HDR: missing "#?RADIANCE" magic.');
+    }
+    let offset = first.next;
+    let exposure = 1;
+    for (;;) {
+        if (offset > MAX_HEADER_BYTES) throw new Error('Invalid HDR: header is not terminated.');
+        const line = readLine(bytes, offset);
+        if (!line) throw new Error('Invalid HDR: header is not terminated.');
+        offset = line.next;
+        if (line.text === '') break;
+        const format = /^FORMAT=(.*)$/.exec(line.text);
+        if (format && format[1].trim() !== '32-bit_rle_rgbe') {
+            throw new Error(`Unsupported HDR pixel format "${format[1].trim()}"; expected 32-bit_rle_rgbe.`);
+        }
+        const exposureMatch = /^EXPOSURE=\s*([-+0-9.eE]+)/.exec(line.text);
+        if (exposureMatch) exposure *= Number(exposureMatch[1]) || 1;
+    }
+    const resolution = readLine(bytes, offset);
+    const match = resolution && /^-Y\s+(\d+)\s+\+X\s+(\d+)$/.exec(resolution.text.trim());
+    if (!match) {
+        throw new Error(`Unsupported HDR orientation "${resolution?.text ?? ''}"; expected "-Y <height> +X <width>".`);
+    }
+    const height = Number(match[1]);
+    const width = Number(match[2]);
+    if (!(width > 0 && height > 0)) throw new Error('Invalid HDR: image has no pixels.');
+    return { width, height, exposure, dataOffset: resolution.next };
+}
+
+/**
+ * Decodes one scanline of RGBE bytes into `scanline` (width * 4 bytes).
+ * @returns {number} offset just past the scanline.
+ */
+function readScanline(bytes, offset, width, scanline) {
+    const isRle = width >= MIN_RLE_WIDTH && width <= MAX_RLE_WIDTH
+        && bytes[offset] === 2 && bytes[offset + 1] === 2 && (bytes[offset + 2] & 0x80) === 0;
+    if (!isRle) {
+        const end = offset + width * 4;
+        if (end > bytes.length) throw new Error('Invalid HDR: pixel data is truncated.');
+        scanline.set(bytes.subarray(offset, end));
+        return end;
+    }
+    if (((bytes[offset + 2] << 8) | bytes[offset + 3]) !== width) {
+        throw new Error('Invalid HDR: run-length scanline width does not match the image.');
+    }
+    offset += 4;
+    for (let channel = 0; channel < 4; channel++) {
+        let x = 0;
+        while (x < width) {
+            if (offset >= bytes.length) throw new Error('Invalid HDR: pixel data is truncated.');
+            let count = bytes[offset++];
+            if (count > 128) {
+                count -= 128;
+                if (x + count > width || offset >= bytes.length) throw new Error('Invalid HDR: run overflows its scanline.');
+                const value = bytes[offset++];
+                for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = value;
+            } else {
+                if (count === 0 || x + count > width || offset + count > bytes.length) {
+                    throw new Error('Invalid HDR: run overflows its scanline.');
+                }
+                for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = bytes[offset++];
+            }
+        }
+    }
+    return offset;
+}
+
+/**
+ * Parses a Radiance RGBE file into linear float RGB.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {{width: number, height: number, data: Float32Array}} `data` holds
+ *          width * height RGB triples, row 0 at the top.
+ */
+export function parseRadianceHdr(arrayBuffer) {
+    if (!(arrayBuffer instanceof ArrayBuffer)) throw new Error('parseRadianceHdr expects an ArrayBuffer.');
+    const bytes = new Uint8Array(arrayBuffer);
+    const { width, height, exposure, dataOffset } = parseHeader(bytes);
+    const data = new Float32Array(width * height * 3);
+    const scanline = new Uint8Array(width * 4);
+    let offset = dataOffset;
+    for (let y = 0; y < height; y++) {
+        offset = readScanline(bytes, offset, width, scanline);
+        for (let x = 0; x < width; x++) {
+            const e = scanline[x * 4 + 3];
+            const target = (y * width + x) * 3;
+            if (e === 0) continue;
+            // EXPOSURE records a multiplier already applied to the stored values.
+            const scale = 2 ** (e - 136) / exposure;
+            data[target] = scanline[x * 4] * scale;
+            data[target + 1] = scanline[x * 4 + 1] * scale;
+            data[target + 2] = scanline[x * 4 + 2] * scale;
+        }
+    }
+    return { width, height, data };
+}
@@ -153,6 +153,17 @@ export function createPerspectiveMatrix(fieldOfView, aspect, zNear, zFar) {
     ]);
 }
 
+/** Orthographic projection with half-extents `xmag`/`ymag`, in the same clip convention as the perspective one. */
+export function createOrthographicMatrix(xmag, ymag, zNear, zFar) {
+    const rangeInv = 1 / (zNear - zFar);
+    return new Float32Array([
+        1 / xmag, 0, 0, 0,
+        0, 1 / ymag, 0, 0,
+        0, 0, 2 * rangeInv, 0,
+        0, 0, (zNear + zFar) * rangeInv, 1
+    ]);
+}
+
 export function translateMatrix(matrix, vector) {
     const x = vector[0], y = vector[1], z = vector[2];
     matrix[12] = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
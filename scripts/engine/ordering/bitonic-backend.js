@@ -21,17 +21,13 @@ export class BitonicSortBackend extends SortBackend {
     constructor(device) {
         super(device);
         this.sortPipelines = null; // { keys, step }
-        this.keysParamsBuffer = null;
         this.keysParamsData = new ArrayBuffer(KEYS_PARAMS_SIZE);
-        this.sort = null;       // { indexBuffer, keyBuffer, paddedCount, stepBuffer, stages, storageBuffer }
-        this.bindGroups = null; // { keys, steps: [] }
+        // slot -> { drawable, indexBuffer, keyBuffer, paddedCount, stepBuffer,
+        //           keysParamsBuffer, stages, bindGroups: { keys, steps: [] } }
+        this.slots = new Map();
     }
 
-    get indexBuffer() { return this.sort?.indexBuffer ?? null; }
-
-    init() {
-        this.keysParamsBuffer = createUniformBuffer(this.device, KEYS_PARAMS_SIZE);
-    }
+    indexBufferFor(slot) { return this.slots.get(slot)?.indexBuffer ?? null; }
 
     setShaders(sortWgsl) {
         this.sortPipelines = createSortPipelines(this.device, sortWgsl);
@@ -46,16 +42,17 @@ export class BitonicSortBackend extends SortBackend {
         return stages;
     }
 
-    prepare(drawable) {
-        this._release();
+    prepare(drawable, slot = drawable) {
+        this.releaseSlot(slot);
         if (!drawable || drawable.kind !== 'splat' || !drawable.count) return;
-        if (!this.sortPipelines || !this.keysParamsBuffer) return;
+        if (!this.sortPipelines) return;
 
         const { device } = this;
         const { storageBuffer, count } = drawable;
 
         const { indexBuffer, keyBuffer, paddedCount } = createSortBuffers(device, count);
         const stages = BitonicSortBackend._stages(paddedCount);
+        const keysParamsBuffer = createUniformBuffer(device, KEYS_PARAMS_SIZE);
 
         // Precompute the per-stage (k, j, padded) uniforms — camera-independent.
         const stepBuffer = createUniformBuffer(device, Math.max(stages.length, 1) * STEP_STRIDE);
@@ -70,8 +67,6 @@ export class BitonicSortBackend extends SortBackend {
             device.queue.writeBuffer(stepBuffer, 0, u32);
         }
 
-        this.sort = { indexBuffer, keyBuffer, paddedCount, stepBuffer, stages, storageBuffer };
-
         const keysLayout = this.sortPipelines.keys.getBindGroupLayout(0);
         const stepLayout = this.sortPipelines.step.getBindGroupLayout(0);
 
@@ -84,11 +79,11 @@ export class BitonicSortBackend extends SortBackend {
             ],
         }));
 
-        this.bindGroups = {
+        const bindGroups = {
             keys: device.createBindGroup({
                 layout: keysLayout,
                 entries: [
-                    { binding: 0, resource: { buffer: this.keysParamsBuffer } },
+                    { binding: 0, resource: { buffer: keysParamsBuffer } },
                     { binding: 1, resource: { buffer: storageBuffer } },
                     { binding: 2, resource: { buffer: keyBuffer } },
                     { binding: 3, resource: { buffer: indexBuffer } },
@@ -96,6 +91,10 @@ export class BitonicSortBackend extends SortBackend {
             }),
             steps,
         };
+
+        this.slots.set(slot, {
+            drawable, indexBuffer, keyBuffer, paddedCount, stepBuffer, keysParamsBuffer, stages, bindGroups,
+        });
     }
 
     /**
@@ -104,13 +103,14 @@ export class BitonicSortBackend extends SortBackend {
      * an indirect draw-args buffer so the renderer draws only the reduced set.
      * @returns {{ indexBuffer: GPUBuffer, count: number, indirect: GPUBuffer|null }}
      */
-    run(frame, drawable, reduction) {
+    run(frame, drawable, reduction, slot = drawable) {
         const { device, encoder, viewMatrix } = frame;
-        if (!this.sortPipelines || !this.sort || !this.bindGroups || !drawable.count) {
-            return { indexBuffer: this.indexBuffer, count: drawable.count, indirect: null };
+        const sort = this.slots.get(slot);
+        if (!this.sortPipelines || !sort || !drawable.count) {
+            return { indexBuffer: this.indexBufferFor(slot), count: drawable.count, indirect: null };
         }
 
-        const { paddedCount } = this.sort;
+        const { paddedCount, bindGroups } = sort;
         const workgroups = Math.ceil(paddedCount / WORKGROUP_SIZE);
 
         // Keys params: view + count + padded.
@@ -119,13 +119,13 @@ export class BitonicSortBackend extends SortBackend {
         kf.set(viewMatrix, 0);
         ku[16] = drawable.count;
         ku[17] = paddedCount;
-        device.queue.writeBuffer(this.keysParamsBuffer, 0, this.keysParamsData);
+        device.queue.writeBuffer(sort.keysParamsBuffer, 0, this.keysParamsData);
 
         // Pass 1: depth keys + identity indices.
         {
             const pass = encoder.beginComputePass();
             pass.setPipeline(this.sortPipelines.keys);
-            pass.setBindGroup(0, this.bindGroups.keys);
+            pass.setBindGroup(0, bindGroups.keys);
             pass.dispatchWorkgroups(workgroups);
             pass.end();
         }
@@ -135,9 +135,10 @@ export class BitonicSortBackend extends SortBackend {
         let indirect = null;
         if (reduction && typeof reduction.maskKeys === 'function') {
             indirect = reduction.maskKeys(frame, {
-                keyBuffer: this.sort.keyBuffer,
+                keyBuffer: sort.keyBuffer,
                 splatBuffer: drawable.storageBuffer,
                 count: drawable.count,
+                slot,
             });
         }
 
@@ -146,31 +147,37 @@ export class BitonicSortBackend extends SortBackend {
             const ts = frame.gpuTimer?.span('sort');
             const pass = encoder.beginComputePass(ts ? { timestampWrites: ts } : {});
             pass.setPipeline(this.sortPipelines.step);
-            for (const stepGroup of this.bindGroups.steps) {
+            for (const stepGroup of bindGroups.steps) {
                 pass.setBindGroup(0, stepGroup);
                 pass.dispatchWorkgroups(workgroups);
             }
             pass.end();
         }
 
-        return { indexBuffer: this.sort.indexBuffer, count: drawable.count, indirect };
+        return { indexBuffer: sort.indexBuffer, count: drawable.count, indirect };
     }
 
-    _release() {
-        if (!this.sort) return;
-        this.sort.indexBuffer?.destroy?.();
-        this.sort.keyBuffer?.destroy?.();
-        this.sort.stepBuffer?.destroy?.();
-        this.sort = null;
-        this.bindGroups = null;
+    releaseSlot(slot) {
+        const sort = this.slots.get(slot);
+        if (!sort) return;
+        sort.indexBuffer?.destroy?.();
+        sort.keyBuffer?.destroy?.();
+        sort.stepBuffer?.destroy?.();
+        sort.keysParamsBuffer?.destroy?.();
+        this.slots.delete(slot);
+    }
+
+    releaseDrawable(drawable) {
+        for (const [slot, sort] of [...this.slots]) {
+            if (sort.drawable === drawable) this.releaseSlot(slot);
+        }
     }
 
-    releaseDrawable() {
-        this._release();
+    _releaseAll() {
+        for (const slot of [...this.slots.keys()]) this.releaseSlot(slot);
     }
 
     destroy() {
-        this._release();
-        this.keysParamsBuffer?.destroy?.();
+        this._releaseAll();
     }
 }
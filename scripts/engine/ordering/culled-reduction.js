@@ -29,19 +29,21 @@ export class CulledReduction extends ReductionStage {
         super(device);
         this.cullPipeline = null;
         this.applyPipeline = null;
-        this.cullParamsBuffer = null;
         this.cullParamsData = new ArrayBuffer(CULL_PARAMS_SIZE);
-        this.grid = null;
-        this.cellVisibleBuffer = null;
-        this.indirectBuffer = null;
-        this.cullBindGroup = null;
-        this.applyBindGroup = null;
-        this._keyBuffer = null; // cached to detect when the apply bind group must rebuild
-        this.lastVisibleCount = -1; // debug: splats surviving the cull last frame (-1 = unknown)
+        // The grid depends only on the splats, so nodes sharing a cloud share it.
+        this.grids = new WeakMap();
+        // slot -> { drawable, grid, cullParamsBuffer, cellVisibleBuffer, indirectBuffer,
+        //           cullBindGroup, applyBindGroup, keyBuffer, visibleCount }
+        this.slots = new Map();
     }
 
-    init() {
-        this.cullParamsBuffer = createUniformBuffer(this.device, CULL_PARAMS_SIZE);
+    /** Debug: splats surviving the cull last frame, summed over slots (-1 = unknown). */
+    get lastVisibleCount() {
+        let visible = -1;
+        for (const state of this.slots.values()) {
+            if (state.visibleCount >= 0) visible = Math.max(visible, 0) + state.visibleCount;
+        }
+        return visible;
     }
 
     setShaders(cullWgsl) {
@@ -53,45 +55,58 @@ export class CulledReduction extends ReductionStage {
         this.applyPipeline = this.device.createComputePipeline({
             layout: 'auto', compute: { module, entryPoint: 'apply_cull' },
         });
-        this._keyBuffer = null;
+        // Bind groups were built against the old layouts.
+        for (const slot of [...this.slots.keys()]) this.releaseSlot(slot);
     }
 
-    prepare(drawable) {
-        this._release();
+    prepare(drawable, slot = drawable) {
+        this.releaseSlot(slot);
         if (!drawable || drawable.kind !== 'splat' || !drawable.count || !drawable.positions) return;
-        if (!this.cullPipeline || !this.cullParamsBuffer) return;
+        if (!this.cullPipeline) return;
 
         const { device } = this;
-        this.grid = buildGrid(drawable.positions, drawable.count, { dim: GRID_DIM });
+        let grid = this.grids.get(drawable);
+        if (!grid) {
+            grid = buildGrid(drawable.positions, drawable.count, { dim: GRID_DIM });
+            this.grids.set(drawable, grid);
+        }
 
-        this.cellVisibleBuffer = device.createBuffer({
-            size: Math.max(this.grid.cellCount, 1) * 4,
+        const cullParamsBuffer = createUniformBuffer(device, CULL_PARAMS_SIZE);
+        const cellVisibleBuffer = device.createBuffer({
+            size: Math.max(grid.cellCount, 1) * 4,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
         });
-        this.indirectBuffer = device.createBuffer({
+        const indirectBuffer = device.createBuffer({
             size: 16, // [vertexCount, instanceCount, firstVertex, firstInstance]
             usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
         });
 
-        this.cullBindGroup = device.createBindGroup({
+        const cullBindGroup = device.createBindGroup({
             layout: this.cullPipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: this.cullParamsBuffer } },
-                { binding: 1, resource: { buffer: this.cellVisibleBuffer } },
+                { binding: 0, resource: { buffer: cullParamsBuffer } },
+                { binding: 1, resource: { buffer: cellVisibleBuffer } },
             ],
         });
-        this._keyBuffer = null; // apply bind group is built lazily (needs the sort's key buffer)
+        this.slots.set(slot, {
+            drawable, grid, cullParamsBuffer, cellVisibleBuffer, indirectBuffer, cullBindGroup,
+            applyBindGroup: null, // built lazily: needs the sort's key buffer
+            keyBuffer: null,
+            visibleCount: -1,
+        });
     }
 
     /**
      * Sort hook: reject culled splats' keys and count the visible instances.
      * @param {object} frame per-frame state (encoder, view/projection matrices)
-     * @param {{keyBuffer: GPUBuffer, splatBuffer: GPUBuffer, count: number}} ctx
+     * @param {{keyBuffer: GPUBuffer, splatBuffer: GPUBuffer, count: number, slot: object}} ctx
      * @returns {GPUBuffer|null} indirect draw-args buffer, or null if inactive
      */
-    maskKeys(frame, { keyBuffer, splatBuffer, count }) {
-        if (!this.cullPipeline || !this.applyPipeline || !this.grid || !this.cellVisibleBuffer) return null;
+    maskKeys(frame, { keyBuffer, splatBuffer, count, slot }) {
+        const state = this.slots.get(slot);
+        if (!this.cullPipeline || !this.applyPipeline || !state) return null;
         const { device, encoder, viewMatrix, projectionMatrix } = frame;
+        const { grid } = state;
 
         // Upload cull params: 6 frustum planes + grid descriptor.
         const vp = viewProjection(projectionMatrix, viewMatrix);
@@ -100,13 +115,13 @@ export class CulledReduction extends ReductionStage {
         // Debug: exact visible-splat count, computed CPU-side from the grid using the
         // same cell-visibility test the GPU runs (sum the populations of visible cells).
         // Cheap — cellCount (≈4096) plane tests — and matches apply_cull's atomic count.
-        const cellVis = cellVisibility(this.grid, planes);
+        const cellVis = cellVisibility(grid, planes);
         let visible = 0;
-        const cs = this.grid.cellStart;
-        for (let c = 0; c < this.grid.cellCount; c++) {
+        const cs = grid.cellStart;
+        for (let c = 0; c < grid.cellCount; c++) {
             if (cellVis[c]) visible += cs[c + 1] - cs[c];
         }
-        this.lastVisibleCount = visible;
+        state.visibleCount = visible;
 
         const f = new Float32Array(this.cullParamsData);
         const u = new Uint32Array(this.cullParamsData);
@@ -119,59 +134,60 @@ export class CulledReduction extends ReductionStage {
         // WGSL std140-ish layout: a vec3 has size 12 / align 16, so the scalars
         // after cellSize pack at byte 124 onward — NOT 128. Offsets are in
         // 4-byte words: gridMin@24, cellSize@28, dim@31, cellCount@32, splatCount@33.
-        f[24] = this.grid.min[0]; f[25] = this.grid.min[1]; f[26] = this.grid.min[2]; // gridMin  (byte 96)
-        f[28] = this.grid.cellSize[0]; f[29] = this.grid.cellSize[1]; f[30] = this.grid.cellSize[2]; // cellSize (byte 112)
-        u[31] = this.grid.dim;       // byte 124
-        u[32] = this.grid.cellCount; // byte 128
-        u[33] = count;               // byte 132 (splatCount)
-        device.queue.writeBuffer(this.cullParamsBuffer, 0, this.cullParamsData);
+        f[24] = grid.min[0]; f[25] = grid.min[1]; f[26] = grid.min[2]; // gridMin  (byte 96)
+        f[28] = grid.cellSize[0]; f[29] = grid.cellSize[1]; f[30] = grid.cellSize[2]; // cellSize (byte 112)
+        u[31] = grid.dim;       // byte 124
+        u[32] = grid.cellCount; // byte 128
+        u[33] = count;          // byte 132 (splatCount)
+        device.queue.writeBuffer(state.cullParamsBuffer, 0, this.cullParamsData);
 
         // Reset indirect args: vertexCount=4, instanceCount=0, first*=0.
-        device.queue.writeBuffer(this.indirectBuffer, 0, new Uint32Array([4, 0, 0, 0]));
+        device.queue.writeBuffer(state.indirectBuffer, 0, new Uint32Array([4, 0, 0, 0]));
 
-        if (this._keyBuffer !== keyBuffer) {
-            this.applyBindGroup = device.createBindGroup({
+        if (state.keyBuffer !== keyBuffer) {
+            state.applyBindGroup = device.createBindGroup({
                 layout: this.applyPipeline.getBindGroupLayout(0),
                 entries: [
-                    { binding: 0, resource: { buffer: this.cullParamsBuffer } },
-                    { binding: 1, resource: { buffer: this.cellVisibleBuffer } },
+                    { binding: 0, resource: { buffer: state.cullParamsBuffer } },
+                    { binding: 1, resource: { buffer: state.cellVisibleBuffer } },
                     { binding: 2, resource: { buffer: splatBuffer } },
                     { binding: 3, resource: { buffer: keyBuffer } },
-                    { binding: 4, resource: { buffer: this.indirectBuffer } },
+                    { binding: 4, resource: { buffer: state.indirectBuffer } },
                 ],
             });
-            this._keyBuffer = keyBuffer;
+            state.keyBuffer = keyBuffer;
         }
 
         const ts = frame.gpuTimer?.span('reduce');
         const pass = encoder.beginComputePass(ts ? { timestampWrites: ts } : {});
         pass.setPipeline(this.cullPipeline);
-        pass.setBindGroup(0, this.cullBindGroup);
-        pass.dispatchWorkgroups(Math.ceil(this.grid.cellCount / CULL_WORKGROUP));
+        pass.setBindGroup(0, state.cullBindGroup);
+        pass.dispatchWorkgroups(Math.ceil(grid.cellCount / CULL_WORKGROUP));
         pass.setPipeline(this.applyPipeline);
-        pass.setBindGroup(0, this.applyBindGroup);
+        pass.setBindGroup(0, state.applyBindGroup);
         pass.dispatchWorkgroups(Math.ceil(count / APPLY_WORKGROUP));
         pass.end();
 
-        return this.indirectBuffer;
+        return state.indirectBuffer;
     }
 
-    _release() {
-        this.cellVisibleBuffer?.destroy?.();
-        this.indirectBuffer?.destroy?.();
-        this.cellVisibleBuffer = null;
-        this.indirectBuffer = null;
-        this.cullBindGroup = null;
-        this.applyBindGroup = null;
-        this.grid = null;
-        this._keyBuffer = null;
-        this.lastVisibleCount = -1;
+    releaseSlot(slot) {
+        const state = this.slots.get(slot);
+        if (!state) return;
+        state.cullParamsBuffer?.destroy?.();
+        state.cellVisibleBuffer?.destroy?.();
+        state.indirectBuffer?.destroy?.();
+        this.slots.delete(slot);
     }
 
-    releaseDrawable() { this._release(); }
+    releaseDrawable(drawable) {
+        for (const [slot, state] of [...this.slots]) {
+            if (state.drawable === drawable) this.releaseSlot(slot);
+        }
+        this.grids.delete(drawable);
+    }
 
     destroy() {
-        this._release();
-        this.cullParamsBuffer?.destroy?.();
+        for (const slot of [...this.slots.keys()]) this.releaseSlot(slot);
     }
 }
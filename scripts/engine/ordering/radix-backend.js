@@ -20,8 +20,76 @@ import { RADIX_BUCKETS, RADIX_PASSES, BLOCK_SIZE, alignUp } from './radix-refere
 
 const WORKGROUP_SIZE = 256;
 const KEYS_PARAMS_SIZE = 80;   // view(64) + count(4) + padded(4) + pad(8) — matches KeysParams
-const RADIX_PARAMS_SIZE = 32;  // padded, blockCount, pass, inBase, outBase + 3 pad
-const PARAMS_STRIDE = 256;     // 256B-aligned slice per pass (minUniformBufferOffsetAlignment)
+export const RADIX_PARAMS_SIZE = 32;  // padded, blockCount, pass, inBase, outBase + 3 pad
+export const RADIX_PARAMS_STRIDE = 256; // 256B-aligned slice per pass (minUniformBufferOffsetAlignment)
+
+/**
+ * Builds the four radix pipelines over one explicit layout, so a single set of
+ * bind groups (one per pass, differing only in the uniform slice) drives every
+ * dispatch. With layout:'auto' each entry point would derive its own layout
+ * from the bindings it happens to touch. Shared with SplatTileRenderer, which
+ * sorts its (tile, depth) keys with the same passes.
+ * @param {GPUDevice} device
+ * @param {string} radixWgsl splat-radix-sort.wgsl
+ */
+export function createRadixPipelines(device, radixWgsl) {
+    const bindGroupLayout = device.createBindGroupLayout({
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform', minBindingSize: RADIX_PARAMS_SIZE } },
+            { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+            { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+            { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+            { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+        ],
+    });
+    const layout = device.createPipelineLayout({ bindGroupLayouts: [bindGroupLayout] });
+    const module = device.createShaderModule({ code: radixWgsl });
+    const stage = (entryPoint) => device.createComputePipeline({ layout, compute: { module, entryPoint } });
+    return {
+        bindGroupLayout,
+        encode: stage('encode_keys'),
+        histogram: stage('histogram'),
+        scan: stage('scan_hist'),
+        scatter: stage('scatter'),
+    };
+}
+
+/**
+ * Per-pass uniform slices for sorting `padded` entries. Pass p reads half
+ * (p%2) and writes the other, so after an even RADIX_PASSES the result is back
+ * in half 0 — which keeps bind groups built against offset 0 valid without a
+ * copy-back.
+ * @returns {Uint32Array} RADIX_PASSES slices of RADIX_PARAMS_STRIDE bytes
+ */
+export function radixPassParams(padded) {
+    const blockCount = padded / BLOCK_SIZE;
+    const params = new Uint32Array(RADIX_PASSES * (RADIX_PARAMS_STRIDE / 4));
+    for (let p = 0; p < RADIX_PASSES; p++) {
+        const base = p * (RADIX_PARAMS_STRIDE / 4);
+        params[base + 0] = padded;
+        params[base + 1] = blockCount;
+        params[base + 2] = p;
+        params[base + 3] = p % 2 === 0 ? 0 : padded;      // inBase
+        params[base + 4] = p % 2 === 0 ? padded : 0;      // outBase
+    }
+    return params;
+}
+
+/**
+ * Records the 4 x (histogram → scan → scatter) passes into an open compute
+ * pass. The keys must already be encoded into half 0.
+ */
+export function recordRadixPasses(pass, pipelines, bindGroups, blockCount) {
+    for (let p = 0; p < RADIX_PASSES; p++) {
+        pass.setBindGroup(0, bindGroups[p]);
+        pass.setPipeline(pipelines.histogram);
+        pass.dispatchWorkgroups(blockCount);
+        pass.setPipeline(pipelines.scan);
+        pass.dispatchWorkgroups(1);
+        pass.setPipeline(pipelines.scatter);
+        pass.dispatchWorkgroups(blockCount);
+    }
+}
 
 export class RadixSortBackend extends SortBackend {
     get name() { return 'radix'; }
@@ -31,18 +99,11 @@ export class RadixSortBackend extends SortBackend {
         this.keysPipeline = null;   // compute_keys, from splat-sort.wgsl
         this.pipelines = null;      // { encode, histogram, scan, scatter }
         this.bindGroupLayout = null;
-        this.keysParamsBuffer = null;
-        this.radixParamsBuffer = null;
-        this.res = null;            // per-drawable buffers + bind groups
+        this.slots = new Map();     // slot -> per-slot buffers + bind groups
     }
 
-    /** The sorted index buffer. Always the A half, at offset 0 — see run(). */
-    get indexBuffer() { return this.res?.idxBuffer ?? null; }
-
-    init() {
-        this.keysParamsBuffer = createUniformBuffer(this.device, KEYS_PARAMS_SIZE);
-        this.radixParamsBuffer = createUniformBuffer(this.device, RADIX_PASSES * PARAMS_STRIDE);
-    }
+    /** A slot's sorted index buffer. Always the A half, at offset 0 — see run(). */
+    indexBufferFor(slot) { return this.slots.get(slot)?.idxBuffer ?? null; }
 
     /**
      * @param {string} sortWgsl  splat-sort.wgsl — only compute_keys is used
@@ -52,37 +113,16 @@ export class RadixSortBackend extends SortBackend {
         if (sortWgsl) this.keysPipeline = createSortPipelines(this.device, sortWgsl).keys;
         if (!radixWgsl) return;
 
-        const { device } = this;
-        // One explicit layout shared by all four radix pipelines, so a single set
-        // of bind groups (one per pass, differing only in the uniform slice)
-        // drives every dispatch. With layout:'auto' each entry point would derive
-        // its own layout from the bindings it happens to touch.
-        this.bindGroupLayout = device.createBindGroupLayout({
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform', minBindingSize: RADIX_PARAMS_SIZE } },
-                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
-                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
-                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
-                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
-            ],
-        });
-        const layout = device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] });
-        const module = device.createShaderModule({ code: radixWgsl });
-        const stage = (entryPoint) => device.createComputePipeline({ layout, compute: { module, entryPoint } });
-
-        this.pipelines = {
-            encode: stage('encode_keys'),
-            histogram: stage('histogram'),
-            scan: stage('scan_hist'),
-            scatter: stage('scatter'),
-        };
-        this._release();
+        const { bindGroupLayout, ...pipelines } = createRadixPipelines(this.device, radixWgsl);
+        this.bindGroupLayout = bindGroupLayout;
+        this.pipelines = pipelines;
+        this._releaseAll();
     }
 
-    prepare(drawable) {
-        this._release();
+    prepare(drawable, slot = drawable) {
+        this.releaseSlot(slot);
         if (!drawable || drawable.kind !== 'splat' || !drawable.count) return;
-        if (!this.keysPipeline || !this.pipelines || !this.keysParamsBuffer) return;
+        if (!this.keysPipeline || !this.pipelines) return;
 
         const { device } = this;
         const count = drawable.count;
@@ -107,27 +147,16 @@ export class RadixSortBackend extends SortBackend {
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
         });
 
-        // Per-pass uniform slices. Pass p reads half (p%2) and writes the other,
-        // so after an even RADIX_PASSES the result is back in half 0 — which is
-        // what keeps the renderer's bind group (bound to idxBuffer at offset 0)
-        // valid without a copy-back.
-        const params = new Uint32Array(RADIX_PASSES * (PARAMS_STRIDE / 4));
-        for (let p = 0; p < RADIX_PASSES; p++) {
-            const base = p * (PARAMS_STRIDE / 4);
-            params[base + 0] = padded;
-            params[base + 1] = blockCount;
-            params[base + 2] = p;
-            params[base + 3] = p % 2 === 0 ? 0 : padded;      // inBase
-            params[base + 4] = p % 2 === 0 ? padded : 0;      // outBase
-        }
-        device.queue.writeBuffer(this.radixParamsBuffer, 0, params);
+        const keysParamsBuffer = createUniformBuffer(device, KEYS_PARAMS_SIZE);
+        const radixParamsBuffer = createUniformBuffer(device, RADIX_PASSES * RADIX_PARAMS_STRIDE);
+        device.queue.writeBuffer(radixParamsBuffer, 0, radixPassParams(padded));
 
         const bindGroups = [];
         for (let p = 0; p < RADIX_PASSES; p++) {
             bindGroups.push(device.createBindGroup({
                 layout: this.bindGroupLayout,
                 entries: [
-                    { binding: 0, resource: { buffer: this.radixParamsBuffer, offset: p * PARAMS_STRIDE, size: RADIX_PARAMS_SIZE } },
+                    { binding: 0, resource: { buffer: radixParamsBuffer, offset: p * RADIX_PARAMS_STRIDE, size: RADIX_PARAMS_SIZE } },
                     { binding: 1, resource: { buffer: keysF32Buffer } },
                     { binding: 2, resource: { buffer: keysU32Buffer } },
                     { binding: 3, resource: { buffer: idxBuffer } },
@@ -140,17 +169,17 @@ export class RadixSortBackend extends SortBackend {
         const keysBindGroup = device.createBindGroup({
             layout: this.keysPipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: this.keysParamsBuffer } },
+                { binding: 0, resource: { buffer: keysParamsBuffer } },
                 { binding: 1, resource: { buffer: drawable.storageBuffer } },
                 { binding: 2, resource: { buffer: keysF32Buffer } },
                 { binding: 3, resource: { buffer: idxBuffer, offset: 0, size: padded * 4 } },
             ],
         });
 
-        this.res = {
-            keysF32Buffer, keysU32Buffer, idxBuffer, histBuffer,
+        this.slots.set(slot, {
+            drawable, keysF32Buffer, keysU32Buffer, idxBuffer, histBuffer, keysParamsBuffer, radixParamsBuffer,
             bindGroups, keysBindGroup, padded, blockCount,
-        };
+        });
     }
 
     /**
@@ -161,13 +190,14 @@ export class RadixSortBackend extends SortBackend {
      * timestamp span — directly comparable to bitonic's.
      * @returns {{ indexBuffer: GPUBuffer, count: number, indirect: GPUBuffer|null }}
      */
-    run(frame, drawable, reduction) {
+    run(frame, drawable, reduction, slot = drawable) {
         const { device, encoder, viewMatrix } = frame;
-        if (!this.res || !this.pipelines || !drawable.count) {
-            return { indexBuffer: this.indexBuffer, count: drawable.count, indirect: null };
+        const res = this.slots.get(slot);
+        if (!res || !this.pipelines || !drawable.count) {
+            return { indexBuffer: this.indexBufferFor(slot), count: drawable.count, indirect: null };
         }
 
-        const { padded, blockCount, bindGroups, keysBindGroup } = this.res;
+        const { padded, blockCount, bindGroups, keysBindGroup } = res;
 
         // Keys params: view + count + padded (same struct the bitonic path uses).
         const keysParams = new ArrayBuffer(KEYS_PARAMS_SIZE);
@@ -175,7 +205,7 @@ export class RadixSortBackend extends SortBackend {
         const ku = new Uint32Array(keysParams);
         ku[16] = drawable.count;
         ku[17] = padded;
-        device.queue.writeBuffer(this.keysParamsBuffer, 0, keysParams);
+        device.queue.writeBuffer(res.keysParamsBuffer, 0, keysParams);
 
         // Pass 1: depth keys + identity indices (untimed, exactly as bitonic
         // leaves it — so the 'sort' spans measure the same scope on both).
@@ -193,9 +223,10 @@ export class RadixSortBackend extends SortBackend {
         let indirect = null;
         if (reduction && typeof reduction.maskKeys === 'function') {
             indirect = reduction.maskKeys(frame, {
-                keyBuffer: this.res.keysF32Buffer,
+                keyBuffer: res.keysF32Buffer,
                 splatBuffer: drawable.storageBuffer,
                 count: drawable.count,
+                slot,
             });
         }
 
@@ -208,37 +239,36 @@ export class RadixSortBackend extends SortBackend {
             pass.setBindGroup(0, bindGroups[0]); // slice 0 targets half 0
             pass.dispatchWorkgroups(Math.ceil(padded / WORKGROUP_SIZE));
 
-            for (let p = 0; p < RADIX_PASSES; p++) {
-                pass.setBindGroup(0, bindGroups[p]);
-                pass.setPipeline(this.pipelines.histogram);
-                pass.dispatchWorkgroups(blockCount);
-                pass.setPipeline(this.pipelines.scan);
-                pass.dispatchWorkgroups(1);
-                pass.setPipeline(this.pipelines.scatter);
-                pass.dispatchWorkgroups(blockCount);
-            }
+            recordRadixPasses(pass, this.pipelines, bindGroups, blockCount);
             pass.end();
         }
 
-        return { indexBuffer: this.res.idxBuffer, count: drawable.count, indirect };
+        return { indexBuffer: res.idxBuffer, count: drawable.count, indirect };
     }
 
-    _release() {
-        if (!this.res) return;
-        this.res.keysF32Buffer?.destroy?.();
-        this.res.keysU32Buffer?.destroy?.();
-        this.res.idxBuffer?.destroy?.();
-        this.res.histBuffer?.destroy?.();
-        this.res = null;
+    releaseSlot(slot) {
+        const res = this.slots.get(slot);
+        if (!res) return;
+        res.keysF32Buffer?.destroy?.();
+        res.keysU32Buffer?.destroy?.();
+        res.idxBuffer?.destroy?.();
+        res.histBuffer?.destroy?.();
+        res.keysParamsBuffer?.destroy?.();
+        res.radixParamsBuffer?.destroy?.();
+        this.slots.delete(slot);
+    }
+
+    releaseDrawable(drawable) {
+        for (const [slot, res] of [...this.slots]) {
+            if (res.drawable === drawable) this.releaseSlot(slot);
+        }
     }
 
-    releaseDrawable() {
-        this._release();
+    _releaseAll() {
+        for (const slot of [...this.slots.keys()]) this.releaseSlot(slot);
     }
 
     destroy() {
-        this._release();
-        this.keysParamsBuffer?.destroy?.();
-        this.radixParamsBuffer?.destroy?.();
+        this._releaseAll();
     }
 }
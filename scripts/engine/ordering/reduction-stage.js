@@ -21,24 +21,32 @@ export class ReductionStage {
     /** Compile any compute pipelines this reduction needs. */
     setShaders(_wgsl) {}
 
-    /** Create device-lifetime resources (uniform buffers). */
+    /** Create device-lifetime resources. */
     init() {}
 
-    /** Build per-scene structures (grid/octree/hierarchy) at load. */
-    prepare(_drawable) {}
+    /**
+     * Build per-scene structures (grid/octree/hierarchy) at load, and the
+     * per-slot state to reduce with — slots as in SortBackend.
+     */
+    prepare(_drawable, _slot = _drawable) {}
 
     /**
      * Sort hook, invoked by the SortBackend after compute_keys and before the
      * sort steps. A reduction may mask sort keys (e.g. sink culled splats) and
      * return an indirect draw-args buffer so the renderer draws only the reduced
      * set. The base is a no-op (passthrough) — None keeps the sort byte-identical.
+     * @param {object} frame
+     * @param {{keyBuffer: GPUBuffer, splatBuffer: GPUBuffer, count: number, slot: object}} ctx
      * @returns {GPUBuffer|null} indirect draw-args buffer, or null for passthrough
      */
     maskKeys(_frame, _ctx) {
         return null;
     }
 
-    /** Free per-drawable resources. */
+    /** Free one slot's resources. */
+    releaseSlot(_slot) {}
+
+    /** Free the resources of every slot prepared for a drawable. */
     releaseDrawable(_drawable) {}
 
     /** Free device-lifetime resources. */
@@ -6,6 +6,12 @@
  * Axis 2 of the ordering matrix (see docs/splat-ordering.md). A backend records
  * its compute passes into the frame encoder and exposes a back-to-front index
  * buffer the renderer draws from. Bitonic is the exact correctness oracle.
+ *
+ * State is kept per slot: one drawable drawn through several scene-graph nodes
+ * is sorted once per node, for that node's view, into buffers of its own. A
+ * slot is any object the renderer hands in (the drawable itself by default);
+ * every queue write a slot needs goes to its own uniform buffer, since all of
+ * a frame's writes land before the encoder runs.
  */
 export class SortBackend {
     /** @param {GPUDevice} device */
@@ -18,19 +24,19 @@ export class SortBackend {
         throw new Error('SortBackend.name not implemented');
     }
 
-    /** The current back-to-front index buffer (valid after prepare()). */
-    get indexBuffer() {
+    /** A slot's back-to-front index buffer (valid after prepare()). */
+    indexBufferFor(_slot) {
         return null;
     }
 
-    /** Create device-lifetime resources (uniform buffers). */
+    /** Create device-lifetime resources. */
     init() {}
 
     /** Compile pipelines from WGSL. */
     setShaders(_sortWgsl) {}
 
-    /** Build per-scene buffers/bind groups for a drawable. */
-    prepare(_drawable) {}
+    /** Build a slot's buffers/bind groups for a drawable, replacing any it had. */
+    prepare(_drawable, _slot = _drawable) {}
 
     /**
      * Record the ordering compute passes into frame.encoder. An optional
@@ -39,13 +45,17 @@ export class SortBackend {
      * @param {object} frame per-frame state (device, encoder, matrices, gpuTimer)
      * @param {object} drawable the splat drawable
      * @param {import('./reduction-stage.js').ReductionStage} [reduction] active reduction
+     * @param {object} [slot] the state to sort with, as given to prepare()
      * @returns {{ indexBuffer: GPUBuffer|null, count: number, indirect: GPUBuffer|null }}
      */
-    run(_frame, _drawable, _reduction) {
+    run(_frame, _drawable, _reduction, _slot = _drawable) {
         throw new Error(`${this.name}: run() not implemented`);
     }
 
-    /** Free per-drawable resources. */
+    /** Free one slot's resources. */
+    releaseSlot(_slot) {}
+
+    /** Free the resources of every slot prepared for a drawable. */
     releaseDrawable(_drawable) {}
 
     /** Free device-lifetime resources. */
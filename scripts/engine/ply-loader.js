@@ -184,8 +184,6 @@ export function parsePly(arrayBuffer) {
     const shStride = shPerChannel * 3;
     const shCoeffs = shPerChannel > 0 ? new Float32Array(vertexCount * shStride) : null;
 
-    let cx = 0, cy = 0, cz = 0;
-
     for (let i = 0; i < vertexCount; i++) {
         const base = i * stride;
 
@@ -196,7 +194,6 @@ export function parsePly(arrayBuffer) {
         positions[i * 3 + 0] = x;
         positions[i * 3 + 1] = y;
         positions[i * 3 + 2] = z;
-        cx += x; cy += y; cz += z;
 
         // Color from SH degree-0 DC term (default mid-grey if absent).
         colors[i * 3 + 0] = has('f_dc_0') ? 0.5 + SH_C0 * read(base, 'f_dc_0') : 0.5;
@@ -241,26 +238,39 @@ export function parsePly(arrayBuffer) {
         }
     }
 
-    let bounds = null;
-    if (vertexCount > 0) {
-        const center = [cx / vertexCount, cy / vertexCount, cz / vertexCount];
-        let radius = 0;
-        for (let i = 0; i < vertexCount; i++) {
-            const dx = positions[i * 3] - center[0];
-            const dy = positions[i * 3 + 1] - center[1];
-            const dz = positions[i * 3 + 2] - center[2];
-            const d = Math.hypot(dx, dy, dz);
-            if (d > radius) radius = d;
-        }
-        bounds = { center, radius };
-    }
-
     return {
         positions, colors, opacities, scales, rotations,
-        count: vertexCount, shCoeffs, shDegree, bounds,
+        count: vertexCount, shCoeffs, shDegree, bounds: cloudBounds(positions, vertexCount),
     };
 }
 
+/**
+ * Centroid and enclosing radius of `count` xyz positions, or null when empty.
+ * Shared by every splat format so they all hand `normalizeInPlace` the same frame.
+ * @param {Float32Array} positions
+ * @param {number} count
+ * @returns {{ center: [number,number,number], radius: number } | null}
+ */
+export function cloudBounds(positions, count) {
+    if (count <= 0) return null;
+    let cx = 0, cy = 0, cz = 0;
+    for (let i = 0; i < count; i++) {
+        cx += positions[i * 3];
+        cy += positions[i * 3 + 1];
+        cz += positions[i * 3 + 2];
+    }
+    const center = [cx / count, cy / count, cz / count];
+    let radius = 0;
+    for (let i = 0; i < count; i++) {
+        const dx = positions[i * 3] - center[0];
+        const dy = positions[i * 3 + 1] - center[1];
+        const dz = positions[i * 3 + 2] - center[2];
+        const d = Math.hypot(dx, dy, dz);
+        if (d > radius) radius = d;
+    }
+    return { center, radius };
+}
+
 /**
  * Rescales a parsed cloud into a canonical space: centered on the origin with
  * radius 1, in place.
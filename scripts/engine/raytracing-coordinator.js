@@ -45,6 +45,7 @@ export function createRayTracingCoordinator({ cpuCanvas, cpuFactory, onModeChang
     let gpuLoadedAsset = null;
     let gpuLoadedEngine = null;
     let assetGeneration = 0;
+    let environmentMap = null;
     const releasedImages = new WeakSet();
 
     function releaseAssetImages(asset) {
@@ -87,6 +88,7 @@ export function createRayTracingCoordinator({ cpuCanvas, cpuFactory, onModeChang
                         throw new Error('Ray tracing coordinator was destroyed during CPU initialization.');
                     }
                     cpuEngine = engine;
+                    if (environmentMap) engine.setEnvironmentMap?.(environmentMap);
                     return engine;
                 })
                 .finally(() => { cpuPromise = null; });
@@ -149,6 +151,7 @@ export function createRayTracingCoordinator({ cpuCanvas, cpuFactory, onModeChang
             rasterEngine = engine;
             gpuLoadedAsset = null;
             gpuLoadedEngine = null;
+            if (environmentMap) rasterEngine?.setEnvironmentMap?.(environmentMap);
             if (mode === 'raytrace-cpu') rasterEngine?.scene?.pause?.();
         },
         async setSceneAsset(source) {
@@ -184,6 +187,21 @@ export function createRayTracingCoordinator({ cpuCanvas, cpuFactory, onModeChang
             }
             return retainedAsset;
         },
+        /**
+         * Re-reads the retained asset's revisions after an in-place edit such
+         * as a material variant switch, reloading the active ray tracer.
+         */
+        async refreshSceneAsset() {
+            if (destroyed) throw new Error('Ray tracing coordinator has been destroyed.');
+            if (!retainedAsset) return null;
+            retainedAsset = normalizeSceneAsset(retainedAsset.source);
+            cpuLoadedAsset = null;
+            gpuLoadedAsset = null;
+            gpuLoadedEngine = null;
+            if (mode === 'raytrace-cpu') await loadCpuAsset();
+            else if (mode === 'raytrace-gpu') await loadGpuAsset();
+            return retainedAsset;
+        },
         async loadCornellBox(targetMode = 'raytrace-cpu') {
             if (targetMode === 'raytrace-gpu') {
                 const gpuCapabilities = capabilities()['raytrace-gpu'];
@@ -263,6 +281,15 @@ export function createRayTracingCoordinator({ cpuCanvas, cpuFactory, onModeChang
         setLight(light) {
             rasterEngine?.setLight?.(light);
         },
+        /**
+         * Shares one HDR environment (createEnvironmentMap output) with the
+         * raster IBL and both path tracers, including engines created later.
+         */
+        setEnvironmentMap(map) {
+            environmentMap = map || null;
+            rasterEngine?.setEnvironmentMap?.(environmentMap);
+            cpuEngine?.setEnvironmentMap?.(environmentMap);
+        },
         resetAccumulation() {
             if (mode === 'raytrace-gpu') rasterEngine?.resetAccumulation?.();
             else cpuEngine?.resetAccumulation?.();
@@ -1,4 +1,5 @@
 import { determinant3x3, transformDirection, transformPoint } from '../../matrix.js';
+import { isAlphaMaskedOut } from '../core/base-color.js';
 
 export const TRIANGLE_EPSILON = 1e-8;
 export const TRAVERSAL_STACK_SIZE = 64;
@@ -122,13 +123,13 @@ export function intersectTriangle(ray, geometry, triangleIndex, tMin, tMax) {
     };
 }
 
-export function intersectGeometryBruteForce(ray, geometry, tMin, tMax, anyHit = false) {
+export function intersectGeometryBruteForce(ray, geometry, tMin, tMax, anyHit = false, skipHit = null) {
     let closest = null;
     let closestT = tMax;
     const triangleCount = geometry.indices.length / 3;
     for (let triangleIndex = 0; triangleIndex < triangleCount; triangleIndex += 1) {
         const hit = intersectTriangle(ray, geometry, triangleIndex, tMin, closestT);
-        if (!hit) continue;
+        if (!hit || skipHit?.(hit)) continue;
         if (anyHit) return hit;
         closest = hit;
         closestT = hit.t;
@@ -136,8 +137,11 @@ export function intersectGeometryBruteForce(ray, geometry, tMin, tMax, anyHit =
     return closest;
 }
 
-/** Closest-hit or any-hit traversal of one local-space BLAS. */
-export function intersectBlas(rayLocal, geometry, blas, tMin, tMax, anyHit = false) {
+/**
+ * Closest-hit or any-hit traversal of one local-space BLAS. `skipHit`, when
+ * given, rejects triangle hits traversal should pass through (alpha cut-outs).
+ */
+export function intersectBlas(rayLocal, geometry, blas, tMin, tMax, anyHit = false, skipHit = null) {
     if (!blas?.nodes?.length) return null;
     const stack = [0];
     let closest = null;
@@ -151,7 +155,7 @@ export function intersectBlas(rayLocal, geometry, blas, tMin, tMax, anyHit = fal
             for (let referenceIndex = node.leftFirst; referenceIndex < end; referenceIndex += 1) {
                 const triangleIndex = blas.triangleIndices[referenceIndex];
                 const hit = intersectTriangle(rayLocal, geometry, triangleIndex, tMin, closestT);
-                if (!hit) continue;
+                if (!hit || skipHit?.(hit)) continue;
                 if (anyHit) return hit;
                 closest = hit;
                 closestT = hit.t;
@@ -175,6 +179,12 @@ export function intersectBlas(rayLocal, geometry, blas, tMin, tMax, anyHit = fal
     return closest;
 }
 
+/** The per-hit alpha test for an instance's MASK material, or null when every hit counts. */
+function alphaMaskTest(scene, instance) {
+    if (scene.materials?.[instance.materialIndex]?.alphaMode !== 'MASK') return null;
+    return (hit) => isAlphaMaskedOut(scene, instance, hit);
+}
+
 function localRayForInstance(ray, instance) {
     return {
         origin: transformPoint(instance.inverseWorldMatrix, ray.origin),
@@ -230,6 +240,7 @@ export function intersectSceneBruteForce(ray, scene, tMin, tMax, anyHit = false)
             tMin,
             closestT,
             anyHit,
+            alphaMaskTest(scene, instance),
         );
         if (!localHit) continue;
         const worldHit = toWorldHit(ray, localHit, instance, instanceIndex, instance.geometryIndex);
@@ -268,6 +279,7 @@ export function intersectTlas(rayWorld, scene, acceleration, tMin, tMax, anyHit
                     tMin,
                     closestT,
                     anyHit,
+                    alphaMaskTest(scene, instance),
                 );
                 if (!localHit) continue;
                 const worldHit = toWorldHit(rayWorld, localHit, instance, instanceIndex, geometryIndex);
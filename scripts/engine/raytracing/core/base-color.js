@@ -0,0 +1,82 @@
+import { transformUv } from '../../gltf-texture-transform.js';
+
+export function srgbToLinear(value) {
+    const safe = Math.max(0, Number.isFinite(value) ? value : 0);
+    return safe <= 0.04045 ? safe / 12.92 : ((safe + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Bilinear, repeat-wrapped lookup of an sRGB-encoded RGBA8 image at glTF
+ * texture coordinates (v runs down the image); returns linear RGB and alpha.
+ */
+export function sampleImage(image, u, v) {
+    const { width, height, data } = image;
+    const x = u * width - 0.5;
+    const y = v * height - 0.5;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const texel = [0, 0, 0, 0];
+    for (const [dx, dy, weight] of [[0, 0, (1 - fx) * (1 - fy)], [1, 0, fx * (1 - fy)], [0, 1, (1 - fx) * fy], [1, 1, fx * fy]]) {
+        const px = (((x0 + dx) % width) + width) % width;
+        const py = (((y0 + dy) % height) + height) % height;
+        const offset = (py * width + px) * 4;
+        for (let channel = 0; channel < 4; channel += 1) texel[channel] += data[offset + channel] * weight;
+    }
+    return [srgbToLinear(texel[0] / 255), srgbToLinear(texel[1] / 255), srgbToLinear(texel[2] / 255), texel[3] / 255];
+}
+
+/** Barycentric blend of a triangle's linear RGBA vertex colours (RayGeometry.colors). */
+function interpolateVertexColor(geometry, triangleIndex, barycentric) {
+    const color = [0, 0, 0, 0];
+    for (let corner = 0; corner < 3; corner += 1) {
+        const vertex = geometry.indices[triangleIndex * 3 + corner];
+        for (let channel = 0; channel < 4; channel += 1) {
+            color[channel] += geometry.colors[vertex * 4 + channel] * barycentric[corner];
+        }
+    }
+    return color;
+}
+
+/**
+ * A material's linear RGBA base colour at a point of one of a geometry's
+ * triangles: the factor times the interpolated vertex colour when the geometry
+ * has one, times the base-colour image when the scene carries texels for it
+ * (see RayScene.images), looked up in the material's uv set and transform.
+ */
+export function surfaceBaseColor(scene, material, geometry, triangleIndex, barycentric) {
+    let baseColor = material.baseColor || [1, 1, 1, 1];
+    if (geometry?.colors) {
+        const vertexColor = interpolateVertexColor(geometry, triangleIndex, barycentric);
+        baseColor = baseColor.map((factor, channel) => factor * vertexColor[channel]);
+    }
+    const image = scene.images?.[material.baseColorImageIndex];
+    if (!image) return baseColor;
+    const texCoords = material.baseColorTexCoord === 1 && geometry.texCoords1 ? geometry.texCoords1 : geometry.texCoords;
+    let u = 0;
+    let v = 0;
+    for (let corner = 0; corner < 3; corner += 1) {
+        const vertex = geometry.indices[triangleIndex * 3 + corner];
+        u += texCoords[vertex * 2] * barycentric[corner];
+        v += texCoords[vertex * 2 + 1] * barycentric[corner];
+    }
+    const texel = sampleImage(image, ...transformUv(material.baseColorUvTransform, u, v));
+    return baseColor.map((factor, channel) => factor * texel[channel]);
+}
+
+/**
+ * Whether traversal should pass through a hit on an instance: a MASK
+ * material cuts out where its base-colour alpha — factor, vertex colour and
+ * texel, as shaded — falls below the cutoff. BLEND surfaces are traced as
+ * opaque.
+ * @param {object} scene Prepared ray scene.
+ * @param {{ geometryIndex: number, materialIndex: number }} instance
+ * @param {{ triangleIndex: number, barycentric: number[] }} hit Local or world hit.
+ */
+export function isAlphaMaskedOut(scene, instance, hit) {
+    const material = scene.materials?.[instance.materialIndex];
+    if (material?.alphaMode !== 'MASK') return false;
+    const geometry = scene.geometries[instance.geometryIndex];
+    return surfaceBaseColor(scene, material, geometry, hit.triangleIndex, hit.barycentric)[3] < material.alphaCutoff;
+}
@@ -94,14 +94,8 @@ export function createCornellBoxScene() {
         geometries: [unitQuadGeometry(), unitCubeGeometry()],
         instances,
         materials,
-        lights: [{
-            type: 'rect',
-            center: [0, 1.99, -0.2],
-            u: [0.25, 0, 0],
-            v: [0, 0, 0.2],
-            color: [1, 0.95, 0.8],
-            intensity: 15,
-        }],
+        // The emissive ceiling quad is the light; its triangles join the light table.
+        lights: [],
         camera: { eye: [0, 1, 3.2], target: [0, 1, 0], up: [0, 1, 0], fovY: 40 * Math.PI / 180 },
         environment: { color: [0, 0, 0] },
     });
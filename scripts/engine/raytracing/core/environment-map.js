@@ -0,0 +1,206 @@
+import { nextFloat } from './random.js';
+
+/**
+ * @typedef {Object} EnvironmentMap
+ * @property {number} width
+ * @property {number} height
+ * @property {Float32Array} texels width * height * 4 floats: linear RGB
+ *           radiance, then the texel's importance-sampling density over the
+ *           unit (u, v) square.
+ * @property {Float32Array} marginalCdf height + 1 row CDF values.
+ * @property {Float32Array} conditionalCdf height rows of width + 1 values.
+ */
+
+export const DEFAULT_ENVIRONMENT_MAP_WIDTH = 1024;
+
+const PI = Math.PI;
+
+function luminance(r, g, b) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** Box-filters an RGB image down by an integer factor so its width fits `maxWidth`. */
+function downsample(image, maxWidth) {
+    const factor = Math.ceil(image.width / maxWidth);
+    if (factor <= 1) return image;
+    const width = Math.ceil(image.width / factor);
+    const height = Math.max(1, Math.ceil(image.height / factor));
+    const data = new Float32Array(width * height * 3);
+    for (let y = 0; y < height; y += 1) {
+        for (let x = 0; x < width; x += 1) {
+            let count = 0;
+            const target = (y * width + x) * 3;
+            for (let sy = y * factor; sy < Math.min(image.height, (y + 1) * factor); sy += 1) {
+                for (let sx = x * factor; sx < Math.min(image.width, (x + 1) * factor); sx += 1) {
+                    const source = (sy * image.width + sx) * 3;
+                    data[target] += image.data[source];
+                    data[target + 1] += image.data[source + 1];
+                    data[target + 2] += image.data[source + 2];
+                    count += 1;
+                }
+            }
+            data[target] /= count;
+            data[target + 1] /= count;
+            data[target + 2] /= count;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Direction for equirectangular coordinates. v = 0 is +Y (the top row) and
+ * u runs from +X through +Z: (sinθ cosφ, cosθ, sinθ sinφ) with θ = πv, φ = 2πu.
+ * Keep in sync with environmentDirection() in raytrace.wgsl.
+ */
+export function environmentUvToDirection(u, v) {
+    const theta = v * PI;
+    const phi = u * 2 * PI;
+    const sinTheta = Math.sin(theta);
+    return [sinTheta * Math.cos(phi), Math.cos(theta), sinTheta * Math.sin(phi)];
+}
+
+/** Inverse of environmentUvToDirection for a normalized direction. */
+export function directionToEnvironmentUv(direction) {
+    let u = Math.atan2(direction[2], direction[0]) / (2 * PI);
+    if (u < 0) u += 1;
+    const v = Math.acos(Math.min(1, Math.max(-1, direction[1]))) / PI;
+    return [u, v];
+}
+
+/**
+ * Builds the importance-sampling tables for an equirectangular radiance
+ * image (for example the result of parseRadianceHdr). Texels are weighted by
+ * luminance × sinθ, so sampling follows the radiance actually reaching a
+ * point rather than the oversized polar rows. Images wider than `maxWidth`
+ * are box-filtered down first.
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image RGB triples.
+ * @returns {EnvironmentMap}
+ */
+export function createEnvironmentMap(image, { maxWidth = DEFAULT_ENVIRONMENT_MAP_WIDTH } = {}) {
+    if (!image || !Number.isInteger(image.width) || !Number.isInteger(image.height)
+        || image.width < 1 || image.height < 1) {
+        throw new Error('Environment map requires a non-empty image.');
+    }
+    if (!image.data || image.data.length < image.width * image.height * 3) {
+        throw new Error('Environment map image data must hold width * height RGB values.');
+    }
+    const { width, height, data } = downsample(image, maxWidth);
+    const texels = new Float32Array(width * height * 4);
+    const weights = new Float64Array(width * height);
+    let total = 0;
+    for (let y = 0; y < height; y += 1) {
+        const sinTheta = Math.sin((y + 0.5) / height * PI);
+        for (let x = 0; x < width; x += 1) {
+            const index = y * width + x;
+            const r = Math.max(0, data[index * 3]) || 0;
+            const g = Math.max(0, data[index * 3 + 1]) || 0;
+            const b = Math.max(0, data[index * 3 + 2]) || 0;
+            texels.set([r, g, b], index * 4);
+            weights[index] = luminance(r, g, b) * sinTheta;
+            total += weights[index];
+        }
+    }
+    // A black map still needs a valid distribution; fall back to uniform over the sphere.
+    if (!(total > 0)) {
+        total = 0;
+        for (let y = 0; y < height; y += 1) {
+            const sinTheta = Math.sin((y + 0.5) / height * PI);
+            for (let x = 0; x < width; x += 1) {
+                weights[y * width + x] = sinTheta;
+                total += sinTheta;
+            }
+        }
+    }
+
+    const marginalCdf = new Float32Array(height + 1);
+    const conditionalCdf = new Float32Array(height * (width + 1));
+    let rowStart = 0;
+    for (let y = 0; y < height; y += 1) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x += 1) rowSum += weights[y * width + x];
+        const base = y * (width + 1);
+        let running = 0;
+        for (let x = 0; x < width; x += 1) {
+            running += weights[y * width + x];
+            conditionalCdf[base + x + 1] = rowSum > 0 ? running / rowSum : (x + 1) / width;
+        }
+        conditionalCdf[base + width] = 1;
+        rowStart += rowSum;
+        marginalCdf[y + 1] = rowStart / total;
+    }
+    marginalCdf[height] = 1;
+
+    const meanWeight = total / (width * height);
+    for (let index = 0; index < width * height; index += 1) {
+        texels[index * 4 + 3] = weights[index] / meanWeight;
+    }
+    return { width, height, texels, marginalCdf, conditionalCdf };
+}
+
+/**
+ * Finds the bucket of a piecewise-constant CDF containing `u`.
+ * Mirrors sampleCdf() in raytrace.wgsl.
+ */
+function sampleCdf(cdf, offset, count, u) {
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (cdf[offset + middle] <= u) low = middle;
+        else high = middle - 1;
+    }
+    const start = cdf[offset + low];
+    const span = cdf[offset + low + 1] - start;
+    return { index: low, fraction: span > 0 ? Math.min(1, Math.max(0, (u - start) / span)) : 0.5 };
+}
+
+function solidAnglePdf(uvPdf, direction) {
+    const sinTheta = Math.sqrt(Math.max(0, 1 - direction[1] * direction[1]));
+    return sinTheta > 0 ? uvPdf / (2 * PI * PI * sinTheta) : 0;
+}
+
+/**
+ * Nearest-texel radiance toward `direction` and the solid-angle density with
+ * which sampleEnvironment() would have produced it.
+ */
+export function lookupEnvironment(map, direction) {
+    const [u, v] = directionToEnvironmentUv(direction);
+    const column = Math.min(map.width - 1, Math.floor(u * map.width));
+    const row = Math.min(map.height - 1, Math.floor(v * map.height));
+    const offset = (row * map.width + column) * 4;
+    return {
+        radiance: [map.texels[offset], map.texels[offset + 1], map.texels[offset + 2]],
+        pdf: solidAnglePdf(map.texels[offset + 3], direction),
+    };
+}
+
+/** Solid-angle density of sampleEnvironment() for a normalized direction. */
+export function environmentPdf(map, direction) {
+    return lookupEnvironment(map, direction).pdf;
+}
+
+/**
+ * Importance-samples a direction: row from the marginal CDF, then column from
+ * that row's conditional CDF. Always consumes two random numbers. Returns
+ * null for the measure-zero poles.
+ */
+export function sampleEnvironment(map, rngState) {
+    const rowSample = sampleCdf(map.marginalCdf, 0, map.height, nextFloat(rngState));
+    const columnSample = sampleCdf(
+        map.conditionalCdf,
+        rowSample.index * (map.width + 1),
+        map.width,
+        nextFloat(rngState),
+    );
+    const u = (columnSample.index + columnSample.fraction) / map.width;
+    const v = (rowSample.index + rowSample.fraction) / map.height;
+    const direction = environmentUvToDirection(u, v);
+    const offset = (rowSample.index * map.width + columnSample.index) * 4;
+    const pdf = solidAnglePdf(map.texels[offset + 3], direction);
+    if (!(pdf > 0)) return null;
+    return {
+        direction,
+        radiance: [map.texels[offset], map.texels[offset + 1], map.texels[offset + 2]],
+        pdf,
+    };
+}
@@ -0,0 +1,389 @@
+import { transformPoint } from '../../matrix.js';
+import { nextFloat } from './random.js';
+
+/**
+ * @typedef {Object} LightTableEntry
+ * @property {string} kind One of the LIGHT_KINDS keys.
+ * @property {number[]} position Rect/sphere centre or point/spot position.
+ * @property {number[]} u Rect half-edge; spot and directional travel direction.
+ * @property {number[]} v Rect half-edge.
+ * @property {number} radius Sphere radius.
+ * @property {number} cosInner Spot inner-cone cosine.
+ * @property {number} cosOuter Spot outer-cone cosine.
+ * @property {number} range Point/spot cutoff distance (glTF `range`); Infinity when unlimited.
+ * @property {number[]} emission colour × intensity: radiance for area lights,
+ *           intensity for point and spot lights, irradiance for directional ones.
+ * @property {number} instanceIndex Emissive triangles: the instance they belong to.
+ * @property {number} triangleIndex Emissive triangles: index within the instance's geometry.
+ * @property {boolean} twoSided Emissive triangles: whether the back face emits too.
+ * @property {number} power Approximate emitted luminous power, for selection.
+ */
+
+/**
+ * @typedef {Object} LightTable
+ * @property {LightTableEntry[]} lights
+ * @property {Float64Array} cdf lights.length + 1 cumulative selection probabilities.
+ * @property {Int32Array} instanceLightOffsets First triangle light of each
+ *           emissive instance, -1 for the others.
+ * @property {number[]} analyticLightIndices Rect and sphere lights, the ones a
+ *           BSDF ray can reach without hitting scene geometry.
+ */
+
+/** Light kinds and the ids raytrace.wgsl switches on. */
+export const LIGHT_KINDS = Object.freeze({ directional: 0, point: 1, rect: 2, sphere: 3, spot: 4, triangle: 5 });
+
+const PI = Math.PI;
+const DEFAULT_SPOT_OUTER_CONE = PI / 4;
+const EMPTY_TABLE = Object.freeze({
+    lights: Object.freeze([]),
+    cdf: new Float64Array(1),
+    instanceLightOffsets: new Int32Array(0),
+    analyticLightIndices: Object.freeze([]),
+});
+const builtTables = new WeakMap();
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scale(vector, scalar) {
+    return [vector[0] * scalar, vector[1] * scalar, vector[2] * scalar];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0],
+    ];
+}
+
+function normalize(vector) {
+    const length = Math.hypot(vector[0], vector[1], vector[2]);
+    if (!Number.isFinite(length) || length < 1e-12) return null;
+    return scale(vector, 1 / length);
+}
+
+function luminance(color) {
+    return 0.2126 * color[0] + 0.7152 * color[1] + 0.0722 * color[2];
+}
+
+function lightEmission(light) {
+    return scale((light.color || [1, 1, 1]).slice(0, 3), light.intensity ?? 1);
+}
+
+/** Radiance leaving an emissive material, or black from the back of a one-sided emitter. */
+export function emittedRadiance(material, frontFace = true) {
+    const strength = material?.emissiveStrength || 0;
+    if (!(strength > 0) || (!frontFace && material.doubleSided !== true)) return [0, 0, 0];
+    return scale((material.emissive || [0, 0, 0]).slice(0, 3), strength);
+}
+
+/** World-space corners and (unnormalized, winding-ordered) normal of an instance triangle. */
+export function triangleLightGeometry(scene, instanceIndex, triangleIndex) {
+    const instance = scene.instances[instanceIndex];
+    const geometry = scene.geometries[instance.geometryIndex];
+    const corners = [0, 1, 2].map((corner) => {
+        const vertex = geometry.indices[triangleIndex * 3 + corner] * 3;
+        return transformPoint(instance.worldMatrix, [
+            geometry.positions[vertex], geometry.positions[vertex + 1], geometry.positions[vertex + 2],
+        ]);
+    });
+    const normal = cross(subtract(corners[1], corners[0]), subtract(corners[2], corners[0]));
+    return { corners, normal, area: 0.5 * Math.hypot(...normal) };
+}
+
+function explicitLight(light, sceneRadius) {
+    const emission = lightEmission(light);
+    const strength = luminance(emission);
+    const entry = {
+        kind: light.type === 'rectangle' ? 'rect' : light.type,
+        position: [...(light.center || light.position || [0, 0, 0])],
+        u: [0, 0, 0],
+        v: [0, 0, 0],
+        radius: 0,
+        cosInner: 1,
+        cosOuter: 1,
+        range: light.range > 0 ? light.range : Infinity,
+        emission,
+        instanceIndex: -1,
+        triangleIndex: -1,
+        twoSided: false,
+        power: 0,
+    };
+    switch (entry.kind) {
+    case 'rect':
+        entry.u = [...light.u];
+        entry.v = [...light.v];
+        entry.power = strength * PI * 4 * Math.hypot(...cross(light.u, light.v));
+        break;
+    case 'sphere':
+        entry.radius = light.radius;
+        entry.power = strength * 4 * PI * PI * light.radius * light.radius;
+        break;
+    case 'point':
+        entry.power = strength * 4 * PI;
+        break;
+    case 'spot': {
+        entry.u = normalize(light.direction) || [0, 0, -1];
+        const outer = light.outerConeAngle ?? DEFAULT_SPOT_OUTER_CONE;
+        entry.cosOuter = Math.cos(outer);
+        entry.cosInner = Math.cos(Math.min(light.innerConeAngle ?? 0, outer));
+        entry.power = strength * 2 * PI * (1 - 0.5 * (entry.cosInner + entry.cosOuter));
+        break;
+    }
+    case 'directional':
+        entry.u = normalize(light.direction) || [0, -1, 0];
+        // Irradiance over a disc the size of the scene.
+        entry.power = strength * PI * Math.max(1, sceneRadius) ** 2;
+        break;
+    default:
+        throw new Error(`Unsupported light type "${light.type}".`);
+    }
+    return entry;
+}
+
+/**
+ * Collects every explicit light and one entry per emissive triangle into a
+ * table sampled in proportion to power. Triangle entries keep their instance
+ * and local triangle index so animated instances are sampled where they are
+ * now; their selection probabilities stay those of the pose at build time.
+ * @returns {LightTable}
+ */
+export function buildLightTable(scene) {
+    const lights = [];
+    const sceneRadius = scene.bounds?.radius || 0;
+    for (const light of scene.lights || []) {
+        const entry = explicitLight(light, sceneRadius);
+        if (entry.power > 0) lights.push(entry);
+    }
+    const instances = scene.instances || [];
+    const instanceLightOffsets = new Int32Array(instances.length).fill(-1);
+    instances.forEach((instance, instanceIndex) => {
+        const material = scene.materials[instance.materialIndex];
+        const emission = emittedRadiance(material);
+        if (!(luminance(emission) > 0)) return;
+        const triangleCount = scene.geometries[instance.geometryIndex].indices.length / 3;
+        instanceLightOffsets[instanceIndex] = lights.length;
+        const sides = material.doubleSided === true ? 2 : 1;
+        for (let triangleIndex = 0; triangleIndex < triangleCount; triangleIndex += 1) {
+            const { area } = triangleLightGeometry(scene, instanceIndex, triangleIndex);
+            lights.push({
+                kind: 'triangle',
+                position: [0, 0, 0],
+                u: [0, 0, 0],
+                v: [0, 0, 0],
+                radius: 0,
+                cosInner: 1,
+                cosOuter: 1,
+                range: Infinity,
+                emission,
+                instanceIndex,
+                triangleIndex,
+                twoSided: sides === 2,
+                power: Number.isFinite(area) ? luminance(emission) * PI * area * sides : 0,
+            });
+        }
+    });
+    const totalPower = lights.reduce((sum, light) => sum + light.power, 0);
+    if (!(totalPower > 0) || !Number.isFinite(totalPower)) return EMPTY_TABLE;
+    const cdf = new Float64Array(lights.length + 1);
+    lights.forEach((light, index) => {
+        cdf[index + 1] = cdf[index] + light.power / totalPower;
+    });
+    cdf[lights.length] = 1;
+    const analyticLightIndices = lights
+        .map((light, index) => (light.kind === 'rect' || light.kind === 'sphere' ? index : -1))
+        .filter((index) => index >= 0);
+    return { lights, cdf, instanceLightOffsets, analyticLightIndices };
+}
+
+/** The prepared scene's light table, built and cached for scenes that lack one. */
+export function getLightTable(scene) {
+    if (scene.lightTable) return scene.lightTable;
+    let table = builtTables.get(scene);
+    if (!table) {
+        table = buildLightTable(scene);
+        builtTables.set(scene, table);
+    }
+    return table;
+}
+
+export function lightSelectionProbability(table, index) {
+    return table.cdf[index + 1] - table.cdf[index];
+}
+
+/** Picks the light whose CDF bucket contains `u`; zero-power lights are never chosen. */
+export function selectLight(table, u) {
+    let low = 0;
+    let high = table.lights.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (table.cdf[middle] <= u) low = middle;
+        else high = middle - 1;
+    }
+    return { index: low, light: table.lights[low], probability: lightSelectionProbability(table, low) };
+}
+
+function orthonormalBasis(normal) {
+    const helper = Math.abs(normal[2]) < 0.999 ? [0, 0, 1] : [0, 1, 0];
+    const tangent = normalize(cross(helper, normal));
+    return [tangent, cross(normal, tangent)];
+}
+
+/** Distance along a unit ray to the near side of a sphere, or Infinity. */
+function sphereDistance(center, radius, origin, direction) {
+    const offset = subtract(origin, center);
+    const b = dot(direction, offset);
+    const discriminant = b * b - (dot(offset, offset) - radius * radius);
+    if (discriminant < 0) return Infinity;
+    const distance = -b - Math.sqrt(discriminant);
+    return distance > 0 ? distance : Infinity;
+}
+
+/** Solid-angle density of uniform sampling of the cone a sphere subtends. */
+function sphereConePdf(light, origin) {
+    const distanceSquared = dot(subtract(light.position, origin), subtract(light.position, origin));
+    const sinMax2 = light.radius * light.radius / distanceSquared;
+    if (!(sinMax2 < 1)) return 0;
+    return 1 / (2 * PI * (1 - Math.sqrt(1 - sinMax2)));
+}
+
+/** Emission of a spot light toward a unit direction leaving it (glTF cone falloff). */
+function spotFalloff(light, direction) {
+    const scale = 1 / Math.max(1e-3, light.cosInner - light.cosOuter);
+    const t = Math.min(1, Math.max(0, (dot(light.u, direction) - light.cosOuter) * scale));
+    return t * t;
+}
+
+/** glTF's smooth window that takes a point or spot light to zero at its range. */
+function rangeFalloff(light, distanceSquared) {
+    if (light.range === Infinity) return 1;
+    const ratio = distanceSquared / (light.range * light.range);
+    const window = Math.min(1, Math.max(0, 1 - ratio * ratio));
+    return window * window;
+}
+
+/**
+ * Samples incident light at `position` from one table entry. Always
+ * consumes two random numbers. `pdf` is the solid-angle density, excluding
+ * the selection probability; delta lights report a pdf of one and are not
+ * MIS-weighted. `distance` is Infinity for directional lights.
+ * @returns {{direction: number[], distance: number, radiance: number[], pdf: number, delta: boolean} | null}
+ */
+export function sampleLight(scene, light, position, rngState) {
+    const u1 = nextFloat(rngState);
+    const u2 = nextFloat(rngState);
+    switch (light.kind) {
+    case 'directional':
+        return { direction: scale(light.u, -1), distance: Infinity, radiance: light.emission, pdf: 1, delta: true };
+    case 'point':
+    case 'spot': {
+        const toLight = subtract(light.position, position);
+        const distanceSquared = dot(toLight, toLight);
+        if (!(distanceSquared > 0)) return null;
+        const distance = Math.sqrt(distanceSquared);
+        const direction = scale(toLight, 1 / distance);
+        const falloff = rangeFalloff(light, distanceSquared)
+            * (light.kind === 'spot' ? spotFalloff(light, scale(direction, -1)) : 1);
+        if (!(falloff > 0)) return null;
+        return {
+            direction, distance, radiance: scale(light.emission, falloff / distanceSquared), pdf: 1, delta: true,
+        };
+    }
+    case 'sphere': {
+        const pdf = sphereConePdf(light, position);
+        if (!(pdf > 0)) return null;
+        const toCenter = subtract(light.position, position);
+        const axis = normalize(toCenter);
+        const cosMax = Math.sqrt(1 - light.radius * light.radius / dot(toCenter, toCenter));
+        const cosTheta = 1 - u1 * (1 - cosMax);
+        const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+        const [tangent, bitangent] = orthonormalBasis(axis);
+        const phi = 2 * PI * u2;
+        const direction = normalize(add(
+            add(scale(tangent, sinTheta * Math.cos(phi)), scale(bitangent, sinTheta * Math.sin(phi))),
+            scale(axis, cosTheta),
+        ));
+        const distance = sphereDistance(light.position, light.radius, position, direction);
+        // Grazing samples can miss the sphere by rounding; aim them at the centre instead.
+        return {
+            direction,
+            distance: Number.isFinite(distance) ? distance : Math.sqrt(dot(toCenter, toCenter)),
+            radiance: light.emission,
+            pdf,
+            delta: false,
+        };
+    }
+    case 'rect':
+    case 'triangle': {
+        let point;
+        let normal;
+        let area;
+        if (light.kind === 'rect') {
+            point = add(light.position, add(scale(light.u, u1 * 2 - 1), scale(light.v, u2 * 2 - 1)));
+            normal = cross(light.u, light.v);
+            area = 4 * Math.hypot(...normal);
+        } else {
+            const triangle = triangleLightGeometry(scene, light.instanceIndex, light.triangleIndex);
+            const root = Math.sqrt(u1);
+            const b1 = 1 - root;
+            const b2 = u2 * root;
+            const [p0, p1, p2] = triangle.corners;
+            point = add(add(scale(p0, 1 - b1 - b2), scale(p1, b1)), scale(p2, b2));
+            normal = triangle.normal;
+            area = triangle.area;
+        }
+        normal = normalize(normal);
+        if (!normal || !(area > 0)) return null;
+        const toLight = subtract(point, position);
+        const distanceSquared = dot(toLight, toLight);
+        if (!(distanceSquared > 0)) return null;
+        const distance = Math.sqrt(distanceSquared);
+        const direction = scale(toLight, 1 / distance);
+        // One-sided emitters shine along their normal (u × v, or the winding normal).
+        const lightCosine = -dot(normal, direction);
+        const cosine = light.twoSided ? Math.abs(lightCosine) : lightCosine;
+        if (!(cosine > 0)) return null;
+        return { direction, distance, radiance: light.emission, pdf: distanceSquared / (cosine * area), delta: false };
+    }
+    default:
+        return null;
+    }
+}
+
+/**
+ * Where a unit ray first meets a rect or sphere light within `maxDistance`,
+ * with the solid-angle density sampleLight() would have given that direction.
+ * @returns {{distance: number, radiance: number[], pdf: number} | null}
+ */
+export function intersectAnalyticLight(light, ray, epsilon, maxDistance) {
+    if (light.kind === 'sphere') {
+        const distance = sphereDistance(light.position, light.radius, ray.origin, ray.direction);
+        if (!(distance > epsilon) || distance > maxDistance + epsilon) return null;
+        const pdf = sphereConePdf(light, ray.origin);
+        return pdf > 0 ? { distance, radiance: light.emission, pdf } : null;
+    }
+    if (light.kind !== 'rect') return null;
+    const crossUv = cross(light.u, light.v);
+    const lengthSquared = dot(crossUv, crossUv);
+    const denominator = dot(ray.direction, crossUv);
+    if (!(lengthSquared > 0) || denominator >= 0) return null;
+    const distance = dot(subtract(light.position, ray.origin), crossUv) / denominator;
+    if (!(distance > epsilon) || distance > maxDistance + epsilon) return null;
+    const offset = subtract(add(ray.origin, scale(ray.direction, distance)), light.position);
+    const a = dot(cross(offset, light.v), crossUv) / lengthSquared;
+    const b = dot(cross(light.u, offset), crossUv) / lengthSquared;
+    if (Math.abs(a) > 1 || Math.abs(b) > 1) return null;
+    const halfArea = Math.sqrt(lengthSquared);
+    const lightCosine = -denominator / halfArea;
+    return { distance, radiance: light.emission, pdf: distance * distance / (lightCosine * 4 * halfArea) };
+}
@@ -1,4 +1,6 @@
 import { createIdentityMatrix, invertMatrix, transformPoint } from '../../matrix.js';
+import { IDENTITY_UV_TRANSFORM } from '../../gltf-texture-transform.js';
+import { buildLightTable } from './light-table.js';
 
 /**
  * @typedef {Object} Bounds
@@ -15,6 +17,9 @@ import { createIdentityMatrix, invertMatrix, transformPoint } from '../../matrix
  * @property {ArrayLike<number>} positions Tightly packed local-space xyz values.
  * @property {ArrayLike<number>} normals Tightly packed local-space xyz values.
  * @property {ArrayLike<number>} [texCoords] Tightly packed uv values.
+ * @property {ArrayLike<number>|null} [texCoords1] Second uv set (glTF TEXCOORD_1).
+ * @property {ArrayLike<number>|null} [colors] Linear RGBA per vertex (glTF COLOR_0),
+ *           multiplied into the material's base colour.
  * @property {ArrayLike<number>} indices Triangle vertex indices.
  */
 
@@ -31,15 +36,26 @@ import { createIdentityMatrix, invertMatrix, transformPoint } from '../../matrix
  * @property {RayGeometry[]} geometries
  * @property {RayInstance[]} instances
  * @property {Object[]} materials
- * @property {Object[]} [lights]
- * @property {Object|null} [camera]
- * @property {{color: number[]}} [environment]
+ * @property {({width: number, height: number, data: Uint8Array}|null)[]} [images] sRGB-encoded
+ *           RGBA8 texels indexed by a material's `baseColorImageIndex`; both
+ *           tracers multiply them into the base colour, reading the uv set named by
+ *           `baseColorTexCoord` through `baseColorUvTransform` (see
+ *           ../../gltf-texture-transform.js), and null entries are skipped.
+ * @property {Object[]} [lights] `{type, color, intensity}` plus, per type: rect
+ *           `center, u, v` (half-edges, emitting along u × v); sphere `center, radius`;
+ *           point `position`; spot `position, direction, innerConeAngle, outerConeAngle`;
+ *           directional `direction` (the way the light travels). Point and spot
+ *           lights take an optional glTF `range`.
+ * @property {Object|null} [camera] `{eye, target, up, fovY}`, optionally with the
+ *           viewport `projection` (see Camera.setProjection) it was authored with.
+ * @property {{color: number[], map?: import('./environment-map.js').EnvironmentMap|null}} [environment]
+ *           `map`, when present, replaces the flat `color` for escaping rays.
  */
 
 /**
  * Prepared scenes own Float32/Uint32 copies of source arrays. Instances additionally
  * contain inverseWorldMatrix and geometries contain local Bounds.
- * @typedef {RayScene & {bounds: Bounds}} PreparedRayScene
+ * @typedef {RayScene & {bounds: Bounds, lightTable: import('./light-table.js').LightTable}} PreparedRayScene
  */
 
 export function emptyBounds() {
@@ -145,6 +161,17 @@ function validateFiniteArray(errors, value, expectedMultiple, label, { allowEmpt
     }
 }
 
+// Vector fields each explicit light type requires. Triangle lights come from
+// emissive materials, never from scene.lights.
+const LIGHT_VECTOR_FIELDS = Object.freeze({
+    rect: ['center', 'u', 'v'],
+    rectangle: ['center', 'u', 'v'],
+    sphere: ['center'],
+    point: ['position'],
+    spot: ['position', 'direction'],
+    directional: ['direction'],
+});
+
 /** @param {RayScene} scene */
 export function validateRayScene(scene) {
     const errors = [];
@@ -170,10 +197,17 @@ export function validateRayScene(scene) {
         if (geometry?.positions?.length !== geometry?.normals?.length) {
             errors.push(`${label}.normals length must match positions length.`);
         }
-        if (geometry?.texCoords != null) {
-            validateFiniteArray(errors, geometry.texCoords, 2, `${label}.texCoords`, { allowEmpty: true });
-            if (geometry.positions && geometry.texCoords.length !== (geometry.positions.length / 3) * 2) {
-                errors.push(`${label}.texCoords length must be two values per vertex.`);
+        for (const key of ['texCoords', 'texCoords1']) {
+            if (geometry?.[key] == null) continue;
+            validateFiniteArray(errors, geometry[key], 2, `${label}.${key}`, { allowEmpty: true });
+            if (geometry.positions && geometry[key].length !== (geometry.positions.length / 3) * 2) {
+                errors.push(`${label}.${key} length must be two values per vertex.`);
+            }
+        }
+        if (geometry?.colors != null) {
+            validateFiniteArray(errors, geometry.colors, 4, `${label}.colors`, { allowEmpty: true });
+            if (geometry.positions && geometry.colors.length !== (geometry.positions.length / 3) * 4) {
+                errors.push(`${label}.colors length must be four values per vertex.`);
             }
         }
         if (!geometry?.indices || typeof geometry.indices.length !== 'number') {
@@ -209,6 +243,32 @@ export function validateRayScene(scene) {
             try { invertMatrix(instance.worldMatrix); } catch (_error) { errors.push(`${label}.worldMatrix must be invertible.`); }
         }
     });
+
+    (Array.isArray(scene.images) ? scene.images : []).forEach((image, imageIndex) => {
+        if (image == null) return;
+        const label = `Image ${imageIndex}`;
+        if (!Number.isInteger(image.width) || image.width < 1 || !Number.isInteger(image.height) || image.height < 1) {
+            errors.push(`${label} width and height must be positive integers.`);
+        } else if (!ArrayBuffer.isView(image.data) || image.data.length !== image.width * image.height * 4) {
+            errors.push(`${label}.data must hold width × height RGBA8 texels.`);
+        }
+    });
+
+    (Array.isArray(scene.lights) ? scene.lights : []).forEach((light, lightIndex) => {
+        const label = `Light ${lightIndex}`;
+        const type = light?.type;
+        if (!Object.hasOwn(LIGHT_VECTOR_FIELDS, type)) {
+            errors.push(`${label}.type "${type}" is not supported.`);
+            return;
+        }
+        for (const key of LIGHT_VECTOR_FIELDS[type]) {
+            if (light[key]?.length !== 3) errors.push(`${label}.${key} must contain 3 values.`);
+            else validateFiniteArray(errors, light[key], 3, `${label}.${key}`);
+        }
+        if (type === 'sphere' && !(light.radius > 0)) errors.push(`${label}.radius must be positive.`);
+        if (light.intensity != null && !(light.intensity >= 0)) errors.push(`${label}.intensity must be non-negative.`);
+        if (light.range != null && !(light.range > 0)) errors.push(`${label}.range must be positive.`);
+    });
     return { ok: errors.length === 0, errors };
 }
 
@@ -220,9 +280,38 @@ function normalizeMaterial(material = {}) {
         metallic: Number.isFinite(material.metallic) ? material.metallic : 0,
         roughness: Number.isFinite(material.roughness) ? material.roughness : 1,
         baseColorImageIndex: Number.isInteger(material.baseColorImageIndex) ? material.baseColorImageIndex : -1,
+        baseColorTexCoord: material.baseColorTexCoord === 1 ? 1 : 0,
+        baseColorUvTransform: [...(material.baseColorUvTransform || IDENTITY_UV_TRANSFORM)],
+        alphaMode: material.alphaMode || 'OPAQUE',
+        alphaCutoff: Number.isFinite(material.alphaCutoff) ? material.alphaCutoff : 0.5,
+        doubleSided: material.doubleSided === true,
+        transmission: Number.isFinite(material.transmission) ? Math.min(1, Math.max(0, material.transmission)) : 0,
+        indexOfRefraction: material.indexOfRefraction >= 1 ? material.indexOfRefraction : 1.5,
+        thickness: material.thickness > 0 ? material.thickness : 0,
+        attenuationColor: [...(material.attenuationColor || [1, 1, 1])],
+        attenuationDistance: material.attenuationDistance > 0 ? material.attenuationDistance : Infinity,
     };
 }
 
+/**
+ * Without a volume thickness (KHR_materials_volume) a transmissive surface is
+ * an infinitely thin sheet: light passes straight through without bending.
+ */
+export function isThinWalled(material) {
+    return !(material?.thickness > 0);
+}
+
+/**
+ * Beer-Lambert absorption per unit distance inside a volume material:
+ * -ln(attenuationColor) / attenuationDistance, zero for clear or thin media.
+ */
+export function attenuationCoefficient(material) {
+    const distance = material?.attenuationDistance;
+    if (isThinWalled(material) || !(distance > 0) || !Number.isFinite(distance)) return [0, 0, 0];
+    return (material.attenuationColor || [1, 1, 1]).slice(0, 3)
+        .map((value) => Math.log(1 / Math.min(1, Math.max(1e-6, value))) / distance);
+}
+
 /** @param {RayScene} scene @returns {PreparedRayScene} */
 export function prepareRayScene(scene) {
     const validation = validateRayScene(scene);
@@ -238,6 +327,8 @@ export function prepareRayScene(scene) {
             texCoords: geometry.texCoords
                 ? new Float32Array(geometry.texCoords)
                 : new Float32Array(vertexCount * 2),
+            texCoords1: geometry.texCoords1 ? new Float32Array(geometry.texCoords1) : null,
+            colors: geometry.colors ? new Float32Array(geometry.colors) : null,
             indices: new Uint32Array(geometry.indices),
             bounds: computeGeometryBounds(positions),
         };
@@ -256,10 +347,14 @@ export function prepareRayScene(scene) {
         geometries,
         instances,
         materials: scene.materials.map(normalizeMaterial),
+        // Texels are never written after decoding, so prepared scenes share them.
+        images: [...(scene.images || [])],
         lights: (scene.lights || []).map((light) => ({ ...light })),
         camera: scene.camera ? { ...scene.camera } : null,
-        environment: { color: [...(scene.environment?.color || [0, 0, 0])] },
+        // The map's tables are immutable once built, so prepared scenes share them.
+        environment: { color: [...(scene.environment?.color || [0, 0, 0])], map: scene.environment?.map || null },
     };
     prepared.bounds = computeSceneBounds(prepared);
+    prepared.lightTable = buildLightTable(prepared);
     return prepared;
 }
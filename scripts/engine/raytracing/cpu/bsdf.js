@@ -0,0 +1,253 @@
+import { nextFloat } from '../core/random.js';
+import { isThinWalled } from '../core/ray-scene.js';
+
+/**
+ * Metallic-roughness BSDF shared by every path-traced surface: a GGX
+ * (Trowbridge-Reitz) specular lobe with Schlick Fresnel and the
+ * height-correlated Smith visibility term, over a dielectric base that is
+ * Lambertian or, in proportion to KHR_materials_transmission, a rough GGX
+ * transmission lobe (Walter et al. 2007). The base reflectance follows
+ * KHR_materials_ior. Thin-walled materials transmit straight through;
+ * volumes refract. raytrace.wgsl mirrors this file function for function;
+ * both consume exactly three random numbers per sampleBsdf() call so the CPU
+ * oracle and the GPU stay on one stream.
+ */
+
+/** Smallest perceptual roughness; default.wgsl clamps to the same value. */
+export const MIN_ROUGHNESS = 0.045;
+
+const PI = Math.PI;
+const MIN_COSINE = 1e-4;
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scale(vector, scalar) {
+    return [vector[0] * scalar, vector[1] * scalar, vector[2] * scalar];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0],
+    ];
+}
+
+function normalize(vector) {
+    const length = Math.hypot(vector[0], vector[1], vector[2]);
+    if (!Number.isFinite(length) || length < 1e-12) return null;
+    return scale(vector, 1 / length);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function luminance(color) {
+    return 0.2126 * color[0] + 0.7152 * color[1] + 0.0722 * color[2];
+}
+
+function fresnelSchlick(cosine, f0) {
+    const weight = (1 - cosine) ** 5;
+    return f0.map((value) => value + (1 - value) * weight);
+}
+
+/**
+ * Schlick Fresnel seen from the optically denser side uses the transmitted
+ * angle, and is total beyond the critical angle. `eta` is the index ratio
+ * across the interface (transmitted side over incident side).
+ */
+function fresnel(surface, cosine) {
+    if (surface.eta >= 1) return fresnelSchlick(cosine, surface.f0);
+    const sinTransmitted2 = (1 - cosine * cosine) / (surface.eta * surface.eta);
+    if (sinTransmitted2 >= 1) return [1, 1, 1];
+    return fresnelSchlick(Math.sqrt(1 - sinTransmitted2), surface.f0);
+}
+
+function distributionGgx(nDotH, alpha2) {
+    const denominator = nDotH * nDotH * (alpha2 - 1) + 1;
+    return alpha2 / (PI * denominator * denominator);
+}
+
+/** Height-correlated Smith G2 / (4 n·l n·v). */
+function visibilitySmith(nDotV, nDotL, alpha2) {
+    const lambdaV = nDotL * Math.sqrt(nDotV * nDotV * (1 - alpha2) + alpha2);
+    const lambdaL = nDotV * Math.sqrt(nDotL * nDotL * (1 - alpha2) + alpha2);
+    return 0.5 / (lambdaV + lambdaL);
+}
+
+/** Local-to-world transform for a normal, built like the old cosine sampler's frame. */
+function localToWorld(normal, local) {
+    const helper = Math.abs(normal[2]) < 0.999 ? [0, 0, 1] : [0, 1, 0];
+    const tangent = normalize(cross(helper, normal));
+    const bitangent = cross(normal, tangent);
+    return normalize([
+        tangent[0] * local[0] + bitangent[0] * local[1] + normal[0] * local[2],
+        tangent[1] * local[0] + bitangent[1] * local[1] + normal[1] * local[2],
+        tangent[2] * local[0] + bitangent[2] * local[1] + normal[2] * local[2],
+    ]);
+}
+
+/**
+ * Per-hit BSDF state. `outgoing` points back along the incoming ray and
+ * `frontFace` says whether it arrives from outside the surface. Lobes are
+ * picked in proportion to their share of the reflectance at the viewing
+ * angle: Fresnel-weighted specular, then the base split between diffuse and
+ * transmission.
+ */
+export function createBsdfSurface(material, normal, outgoing, frontFace = true) {
+    const baseColor = (material.baseColor || [1, 1, 1]).slice(0, 3);
+    const metallic = clamp(material.metallic ?? 0, 0, 1);
+    const roughness = clamp(material.roughness ?? 1, MIN_ROUGHNESS, 1);
+    const transmission = clamp(material.transmission ?? 0, 0, 1);
+    const ior = Math.max(1, material.indexOfRefraction ?? 1.5);
+    const thinWalled = isThinWalled(material);
+    const alpha = roughness * roughness;
+    const dielectricF0 = ((ior - 1) / (ior + 1)) ** 2;
+    const f0 = baseColor.map((value) => dielectricF0 + (value - dielectricF0) * metallic);
+    const diffuseColor = baseColor.map((value) => value * (1 - metallic));
+    const surface = {
+        normal,
+        outgoing,
+        nDotV: Math.max(dot(normal, outgoing), MIN_COSINE),
+        alpha2: alpha * alpha,
+        f0,
+        diffuseColor,
+        transmission,
+        thinWalled,
+        // Thin sheets and opaque surfaces never see the denser side.
+        eta: thinWalled || transmission <= 0 ? 1 : (frontFace ? ior : 1 / ior),
+        specularProbability: 0.5,
+        transmissionProbability: 0,
+    };
+    const specularWeight = luminance(fresnel(surface, surface.nDotV));
+    const baseWeight = luminance(diffuseColor);
+    const totalWeight = specularWeight + baseWeight;
+    if (totalWeight > 0) {
+        surface.specularProbability = specularWeight / totalWeight;
+        surface.transmissionProbability = baseWeight * transmission / totalWeight;
+    }
+    return surface;
+}
+
+function reflectionLobe(surface, direction, nDotL) {
+    const half = normalize(add(surface.outgoing, direction));
+    if (!half) return null;
+    const nDotH = Math.max(0, dot(surface.normal, half));
+    const vDotH = Math.max(0, dot(surface.outgoing, half));
+    const distribution = distributionGgx(nDotH, surface.alpha2);
+    return {
+        fresnel: fresnel(surface, vDotH),
+        specular: distribution * visibilitySmith(surface.nDotV, nDotL, surface.alpha2),
+        pdf: vDotH > 0 ? distribution * nDotH / (4 * vDotH) : 0,
+    };
+}
+
+/** Transmission toward `direction` below the surface: value (before base colour) and lobe pdf. */
+function transmissionLobe(surface, direction, nDotL) {
+    if (surface.thinWalled) {
+        // A thin sheet transmits the mirror image of its reflection lobe.
+        const mirrored = subtract(direction, scale(surface.normal, 2 * nDotL));
+        const lobe = reflectionLobe(surface, mirrored, -nDotL);
+        if (!lobe) return null;
+        return { fresnel: lobe.fresnel, value: lobe.specular, pdf: lobe.pdf };
+    }
+    let half = normalize(add(surface.outgoing, scale(direction, surface.eta)));
+    if (!half) return null;
+    if (dot(half, surface.normal) < 0) half = scale(half, -1);
+    const vDotH = dot(surface.outgoing, half);
+    const lDotH = dot(direction, half);
+    if (vDotH <= 0 || lDotH >= 0) return null;
+    const nDotH = dot(surface.normal, half);
+    const distribution = distributionGgx(nDotH, surface.alpha2);
+    const denominator = vDotH + surface.eta * lDotH;
+    const jacobian = surface.eta * surface.eta * -lDotH / (denominator * denominator);
+    return {
+        fresnel: fresnel(surface, vDotH),
+        value: distribution * 4 * visibilitySmith(surface.nDotV, -nDotL, surface.alpha2) * vDotH * jacobian
+            / (surface.eta * surface.eta),
+        pdf: distribution * nDotH * jacobian,
+    };
+}
+
+/**
+ * BSDF value toward `direction` and the solid-angle density with which
+ * sampleBsdf() would have produced it.
+ */
+export function evaluateBsdf(surface, direction) {
+    const nDotL = dot(surface.normal, direction);
+    const diffuseProbability = 1 - surface.specularProbability - surface.transmissionProbability;
+    if (nDotL > 0) {
+        const lobe = reflectionLobe(surface, direction, nDotL);
+        if (!lobe) return { value: [0, 0, 0], pdf: 0 };
+        const value = lobe.fresnel.map((f, channel) => (
+            (1 - f) * (1 - surface.transmission) * surface.diffuseColor[channel] / PI + lobe.specular * f
+        ));
+        return { value, pdf: diffuseProbability * nDotL / PI + surface.specularProbability * lobe.pdf };
+    }
+    if (nDotL < 0 && surface.transmission > 0) {
+        const lobe = transmissionLobe(surface, direction, nDotL);
+        if (!lobe) return { value: [0, 0, 0], pdf: 0 };
+        const value = lobe.fresnel.map((f, channel) => (
+            (1 - f) * surface.transmission * surface.diffuseColor[channel] * lobe.value
+        ));
+        return { value, pdf: surface.transmissionProbability * lobe.pdf };
+    }
+    return { value: [0, 0, 0], pdf: 0 };
+}
+
+/**
+ * Picks a lobe, then a direction: a GGX half vector that the outgoing
+ * direction reflects about or refracts through, or a cosine-weighted diffuse
+ * direction. Always consumes three random numbers. Returns null when the
+ * sampled direction carries no energy (below the surface, or past the
+ * critical angle of its microfacet).
+ * @returns {{direction: number[], pdf: number, weight: number[], transmitted: boolean} | null}
+ *          `weight` is f · |cosθ| / pdf.
+ */
+export function sampleBsdf(surface, rngState) {
+    const lobeSample = nextFloat(rngState);
+    const u1 = nextFloat(rngState);
+    const u2 = nextFloat(rngState);
+    const phi = 2 * PI * u2;
+    let direction;
+    if (lobeSample < surface.specularProbability + surface.transmissionProbability) {
+        const cosTheta = Math.sqrt((1 - u1) / (1 + (surface.alpha2 - 1) * u1));
+        const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+        const half = localToWorld(surface.normal, [sinTheta * Math.cos(phi), sinTheta * Math.sin(phi), cosTheta]);
+        const vDotH = half ? dot(surface.outgoing, half) : 0;
+        const reflected = half && normalize(subtract(scale(half, 2 * vDotH), surface.outgoing));
+        if (lobeSample < surface.specularProbability) {
+            direction = reflected;
+        } else if (surface.thinWalled) {
+            direction = reflected && subtract(reflected, scale(surface.normal, 2 * dot(surface.normal, reflected)));
+        } else {
+            // refract(-outgoing, half) with the incident-over-transmitted index ratio.
+            const ratio = 1 / surface.eta;
+            const cosTransmitted2 = 1 - ratio * ratio * (1 - vDotH * vDotH);
+            direction = half && cosTransmitted2 > 0 && vDotH > 0
+                ? normalize(subtract(scale(half, ratio * vDotH - Math.sqrt(cosTransmitted2)), scale(surface.outgoing, ratio)))
+                : null;
+        }
+    } else {
+        const radius = Math.sqrt(u1);
+        direction = localToWorld(surface.normal, [
+            radius * Math.cos(phi), radius * Math.sin(phi), Math.sqrt(Math.max(0, 1 - u1)),
+        ]);
+    }
+    if (!direction) return null;
+    const nDotL = dot(surface.normal, direction);
+    const { value, pdf } = evaluateBsdf(surface, direction);
+    if (nDotL === 0 || !(pdf > 0)) return null;
+    return { direction, pdf, weight: scale(value, Math.abs(nDotL) / pdf), transmitted: nDotL < 0 };
+}
@@ -1,5 +1,18 @@
 import { intersectTlas } from '../acceleration/intersections.js';
 import { nextFloat } from '../core/random.js';
+import { lookupEnvironment, sampleEnvironment } from '../core/environment-map.js';
+import { attenuationCoefficient } from '../core/ray-scene.js';
+import { srgbToLinear, surfaceBaseColor } from '../core/base-color.js';
+import {
+    emittedRadiance,
+    getLightTable,
+    intersectAnalyticLight,
+    lightSelectionProbability,
+    sampleLight,
+    selectLight,
+    triangleLightGeometry,
+} from '../core/light-table.js';
+import { createBsdfSurface, evaluateBsdf, sampleBsdf } from './bsdf.js';
 
 export const DEFAULT_PATH_TRACING_SETTINGS = Object.freeze({
     maxBounces: 4,
@@ -11,10 +24,6 @@ function add(a, b) {
     return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
 }
 
-function subtract(a, b) {
-    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
-}
-
 function multiply(a, b) {
     return [a[0] * b[0], a[1] * b[1], a[2] * b[2]];
 }
@@ -27,20 +36,6 @@ function dot(a, b) {
     return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
 }
 
-function cross(a, b) {
-    return [
-        a[1] * b[2] - a[2] * b[1],
-        a[2] * b[0] - a[0] * b[2],
-        a[0] * b[1] - a[1] * b[0],
-    ];
-}
-
-function normalize(vector) {
-    const length = Math.hypot(vector[0], vector[1], vector[2]);
-    if (!Number.isFinite(length) || length < 1e-12) return null;
-    return scale(vector, 1 / length);
-}
-
 function maxComponent(vector) {
     return Math.max(vector[0], vector[1], vector[2]);
 }
@@ -53,112 +48,197 @@ function orientedGeometricNormal(hit) {
     return hit.frontFace ? hit.geometricNormal : scale(hit.geometricNormal, -1);
 }
 
+/** Origin for a ray leaving `hit` along `direction`, nudged off the surface on that side. */
+function offsetOrigin(hit, direction, epsilon) {
+    const normal = orientedGeometricNormal(hit);
+    return add(hit.position, scale(normal, dot(normal, direction) >= 0 ? epsilon : -epsilon));
+}
+
+/** Beer-Lambert transmittance over `distance` through absorption `sigma`. */
+function transmittance(sigma, distance) {
+    return sigma.map((value) => (value > 0 ? Math.exp(-value * distance) : 1));
+}
+
 function rayEpsilon(scene) {
     return 1e-4 * Math.max(1, scene.bounds?.radius || 0);
 }
 
-/** Cosine-weighted direction around a normalized world-space normal. */
-export function sampleCosineHemisphere(normal, rngState) {
-    const r1 = nextFloat(rngState);
-    const r2 = nextFloat(rngState);
-    const radius = Math.sqrt(Math.max(0, r1));
-    const angle = 2 * PI * r2;
-    const localX = radius * Math.cos(angle);
-    const localY = radius * Math.sin(angle);
-    const localZ = Math.sqrt(Math.max(0, 1 - r1));
-    const helper = Math.abs(normal[2]) < 0.999 ? [0, 0, 1] : [0, 1, 0];
-    const tangent = normalize(cross(helper, normal));
-    const bitangent = cross(normal, tangent);
-    return normalize([
-        tangent[0] * localX + bitangent[0] * localY + normal[0] * localZ,
-        tangent[1] * localX + bitangent[1] * localY + normal[1] * localZ,
-        tangent[2] * localX + bitangent[2] * localY + normal[2] * localZ,
-    ]);
-}
-
-export function sampleRectLight(light, rngState) {
-    const uSample = nextFloat(rngState) * 2 - 1;
-    const vSample = nextFloat(rngState) * 2 - 1;
-    const crossUv = cross(light.u, light.v);
-    const halfParallelogramArea = Math.hypot(...crossUv);
-    if (!(halfParallelogramArea > 0)) return null;
-    return {
-        position: add(light.center, add(scale(light.u, uSample), scale(light.v, vSample))),
-        normal: scale(crossUv, 1 / halfParallelogramArea),
-        area: 4 * halfParallelogramArea,
-    };
-}
-
-/** One-sample next-event estimate for diffuse rectangular lights. */
-export function estimateDirectLighting(hit, material, scene, acceleration, rngState, epsilon, rayCounter) {
-    const lights = (scene.lights || []).filter((light) => light.type === 'rect');
-    if (lights.length === 0) return [0, 0, 0];
-    // The MVP GPU scene layout carries one rectangular light. Using the first
-    // light here keeps the CPU oracle on the exact same random-number stream.
-    const light = lights[0];
-    const sample = sampleRectLight(light, rngState);
-    if (!sample) return [0, 0, 0];
-    const toLight = subtract(sample.position, hit.position);
-    const distanceSquared = dot(toLight, toLight);
-    if (!(distanceSquared > epsilon * epsilon)) return [0, 0, 0];
-    const distance = Math.sqrt(distanceSquared);
-    const direction = scale(toLight, 1 / distance);
-    const surfaceCosine = dot(hit.shadingNormal, direction);
-    const lightCosine = dot(sample.normal, scale(direction, -1));
-    if (surfaceCosine <= 0 || lightCosine <= 0) return [0, 0, 0];
-
-    const originNormal = orientedGeometricNormal(hit);
-    const shadowRay = {
-        origin: add(hit.position, scale(originNormal, epsilon)),
-        direction,
-    };
+/**
+ * The material shading `hit`, its base colour evaluated at the hit (see
+ * surfaceBaseColor()): times the vertex colour and base-colour image when the
+ * hit geometry and scene carry them.
+ */
+export function shadingMaterial(scene, hit) {
+    const material = scene.materials[hit.materialIndex] || {};
+    const geometry = scene.geometries[hit.geometryIndex];
+    if (!geometry?.colors && !scene.images?.[material.baseColorImageIndex]) return material;
+    return { ...material, baseColor: surfaceBaseColor(scene, material, geometry, hit.triangleIndex, hit.barycentric) };
+}
+
+/** Power heuristic (β = 2) weight for a sample drawn from the first strategy. */
+export function powerHeuristic(pdf, otherPdf) {
+    const a = pdf * pdf;
+    const b = otherPdf * otherPdf;
+    return a + b > 0 ? a / (a + b) : 0;
+}
+
+/**
+ * One-sample next-event estimate over the scene's light table: one light is
+ * picked in proportion to power, then sampled. Consumes three random numbers
+ * whenever the table has a light. With `applyMis` area-light samples are
+ * weighted against a BSDF continuation that may also reach the light (see
+ * lightsAlongRay); on a path's last vertex there is none. Delta lights
+ * (point, spot, directional) cannot be hit and are never weighted.
+ */
+export function estimateDirectLighting(hit, surface, scene, acceleration, rngState, epsilon, rayCounter, applyMis = true) {
+    const table = getLightTable(scene);
+    if (table.lights.length === 0) return [0, 0, 0];
+    const selected = selectLight(table, nextFloat(rngState));
+    const sample = sampleLight(scene, selected.light, hit.position, rngState);
+    if (!sample || !(sample.pdf > 0) || !(sample.distance > epsilon)) return [0, 0, 0];
+    // Transmissive surfaces also gather light from below.
+    const surfaceCosine = Math.abs(dot(hit.shadingNormal, sample.direction));
+    if (surfaceCosine <= 0) return [0, 0, 0];
+    const bsdf = evaluateBsdf(surface, sample.direction);
+    if (!(bsdf.pdf > 0)) return [0, 0, 0];
+
+    const shadowRay = { origin: offsetOrigin(hit, sample.direction, epsilon), direction: sample.direction };
+    // Measured from the nudged origin, so the ray stops short of an emitter's own surface.
+    const shadowDistance = sample.distance - dot(shadowRay.origin, sample.direction)
+        + dot(hit.position, sample.direction) - epsilon;
     if (rayCounter) rayCounter.count += 1;
-    if (intersectTlas(shadowRay, scene, acceleration, epsilon, distance - epsilon, true)) {
+    if (intersectTlas(shadowRay, scene, acceleration, epsilon, shadowDistance, true)) {
         return [0, 0, 0];
     }
-    const emitted = scale(light.color || [1, 1, 1], light.intensity ?? 1);
-    const geometryOverPdf = surfaceCosine * lightCosine * sample.area / distanceSquared;
-    return scale(multiply(material.baseColor.slice(0, 3), emitted), geometryOverPdf / PI);
+    const lightPdf = selected.probability * sample.pdf;
+    const weight = applyMis && !sample.delta ? powerHeuristic(lightPdf, bsdf.pdf) : 1;
+    return scale(multiply(bsdf.value, sample.radiance), surfaceCosine * weight / lightPdf);
+}
+
+/**
+ * The BSDF side of the light table's MIS for a ray that left a surface with
+ * density `bsdfPdf`: rect and sphere lights it meets before `hit`, plus the
+ * emission of `hit` itself when that is an emissive triangle.
+ */
+function lightsAlongRay(scene, ray, hit, bsdfPdf, epsilon) {
+    const table = getLightTable(scene);
+    let radiance = [0, 0, 0];
+    const maxDistance = hit ? hit.t : Infinity;
+    for (const index of table.analyticLightIndices) {
+        const light = table.lights[index];
+        const reached = intersectAnalyticLight(light, ray, epsilon, maxDistance);
+        if (!reached) continue;
+        const lightPdf = lightSelectionProbability(table, index) * reached.pdf;
+        radiance = add(radiance, scale(reached.radiance, powerHeuristic(bsdfPdf, lightPdf)));
+    }
+    const firstLight = hit ? table.instanceLightOffsets[hit.instanceIndex] : -1;
+    if (firstLight >= 0) {
+        const index = firstLight + hit.triangleIndex;
+        const light = table.lights[index];
+        const emitted = emittedRadiance(scene.materials[hit.materialIndex], hit.frontFace);
+        const { area } = triangleLightGeometry(scene, light.instanceIndex, light.triangleIndex);
+        const cosine = Math.abs(dot(hit.geometricNormal, ray.direction));
+        if (cosine > 0 && area > 0) {
+            const lightPdf = lightSelectionProbability(table, index) * hit.t * hit.t / (cosine * area);
+            radiance = add(radiance, scale(emitted, powerHeuristic(bsdfPdf, lightPdf)));
+        }
+    }
+    return radiance;
+}
+
+/**
+ * One-sample next-event estimate for an HDR environment map, MIS-weighted
+ * against the BSDF continuation that may also escape to it. Consumes two
+ * random numbers whenever the scene carries a map; returns radiance before
+ * `environmentIntensity`.
+ */
+export function estimateEnvironmentLighting(hit, surface, scene, acceleration, rngState, epsilon, rayCounter, applyMis = true) {
+    const map = scene.environment?.map;
+    if (!map) return [0, 0, 0];
+    const sample = sampleEnvironment(map, rngState);
+    if (!sample) return [0, 0, 0];
+    const surfaceCosine = Math.abs(dot(hit.shadingNormal, sample.direction));
+    const bsdf = evaluateBsdf(surface, sample.direction);
+    if (surfaceCosine <= 0 || !(bsdf.pdf > 0)) return [0, 0, 0];
+    const shadowRay = { origin: offsetOrigin(hit, sample.direction, epsilon), direction: sample.direction };
+    if (rayCounter) rayCounter.count += 1;
+    if (intersectTlas(shadowRay, scene, acceleration, epsilon, Infinity, true)) return [0, 0, 0];
+    const weight = applyMis ? powerHeuristic(sample.pdf, bsdf.pdf) : 1;
+    return scale(multiply(bsdf.value, sample.radiance), surfaceCosine * weight / sample.pdf);
 }
 
-/** Pure single-path sample. All stochastic state is supplied by the caller. */
+/**
+ * Radiance of a ray that left the scene. With an environment map, rays after
+ * the first bounce share it with estimateEnvironmentLighting(), so they carry
+ * the BSDF side of the MIS weight; `bsdfPdf` of 0 marks a camera ray.
+ */
+function escapedRadiance(scene, direction, bsdfPdf) {
+    const map = scene.environment?.map;
+    if (!map) return scene.environment?.color || [0, 0, 0];
+    const { radiance, pdf } = lookupEnvironment(map, direction);
+    return bsdfPdf > 0 ? scale(radiance, powerHeuristic(bsdfPdf, pdf)) : radiance;
+}
+
+/**
+ * Pure single-path sample. All stochastic state is supplied by the caller.
+ * Per bounce the random stream is: light NEE (3, when the light table is
+ * non-empty), environment NEE (2, when a map is bound), BSDF sample (3), then
+ * Russian roulette (1, from the third bounce). raytrace.wgsl draws the same.
+ * Inside a volume material the throughput is attenuated along each segment
+ * (Beer-Lambert); a path is inside once it refracts in through a front face.
+ * Next-event shadow rays ignore the absorption.
+ */
 export function traceSample(initialRay, scene, acceleration, rngState, settings = {}) {
     const maxBounces = settings.maxBounces ?? DEFAULT_PATH_TRACING_SETTINGS.maxBounces;
     if (!Number.isInteger(maxBounces) || maxBounces < 1) {
         throw new Error('maxBounces must be a positive integer.');
     }
     const epsilon = settings.rayEpsilon ?? rayEpsilon(scene);
+    const environmentIntensity = settings.environmentIntensity ?? 1;
     let ray = { origin: [...initialRay.origin], direction: [...initialRay.direction] };
     let radiance = [0, 0, 0];
     let throughput = [1, 1, 1];
+    // Density of the BSDF sample that produced `ray`; zero for the camera ray.
+    let bsdfPdf = 0;
+    // Absorption coefficient of the medium `ray` travels through.
+    let mediumSigma = [0, 0, 0];
 
     for (let bounce = 0; bounce < maxBounces; bounce += 1) {
         if (settings.shouldCancel?.()) break;
         if (settings.rayCounter) settings.rayCounter.count += 1;
         const hit = intersectTlas(ray, scene, acceleration, epsilon, Infinity);
+        throughput = multiply(throughput, transmittance(mediumSigma, hit ? hit.t : Infinity));
+        if (bsdfPdf > 0) {
+            radiance = add(radiance, multiply(throughput, lightsAlongRay(scene, ray, hit, bsdfPdf, epsilon)));
+        }
         if (!hit) {
             radiance = add(radiance, scale(
-                multiply(throughput, scene.environment?.color || [0, 0, 0]),
-                settings.environmentIntensity ?? 1,
+                multiply(throughput, escapedRadiance(scene, ray.direction, bsdfPdf)),
+                environmentIntensity,
             ));
             break;
         }
-        const material = scene.materials[hit.materialIndex] || {};
-        if (bounce === 0 && (material.emissiveStrength || 0) > 0) {
-            radiance = add(radiance, multiply(
-                throughput,
-                scale(material.emissive || [0, 0, 0], material.emissiveStrength),
-            ));
+        const material = shadingMaterial(scene, hit);
+        if (bounce === 0) {
+            radiance = add(radiance, multiply(throughput, emittedRadiance(material, hit.frontFace)));
         }
 
+        const surface = createBsdfSurface(material, hit.shadingNormal, scale(ray.direction, -1), hit.frontFace);
+        const continues = bounce + 1 < maxBounces;
         const direct = estimateDirectLighting(
-            hit, material, scene, acceleration, rngState, epsilon, settings.rayCounter,
+            hit, surface, scene, acceleration, rngState, epsilon, settings.rayCounter, continues,
         );
         radiance = add(radiance, multiply(throughput, direct));
+        const environment = estimateEnvironmentLighting(
+            hit, surface, scene, acceleration, rngState, epsilon, settings.rayCounter, continues,
+        );
+        radiance = add(radiance, scale(multiply(throughput, environment), environmentIntensity));
+        if (!continues) break;
 
-        const nextDirection = sampleCosineHemisphere(hit.shadingNormal, rngState);
-        if (!nextDirection) break;
-        throughput = multiply(throughput, (material.baseColor || [1, 1, 1]).slice(0, 3));
+        const scattered = sampleBsdf(surface, rngState);
+        if (!scattered) break;
+        bsdfPdf = scattered.pdf;
+        throughput = multiply(throughput, scattered.weight);
         if (!throughput.every(Number.isFinite) || maxComponent(throughput) <= 0) break;
 
         if (bounce >= 2) {
@@ -166,11 +246,10 @@ export function traceSample(initialRay, scene, acceleration, rngState, settings
             if (nextFloat(rngState) > survival) break;
             throughput = scale(throughput, 1 / survival);
         }
-        const normal = orientedGeometricNormal(hit);
-        ray = {
-            origin: add(hit.position, scale(dot(normal, nextDirection) >= 0 ? normal : scale(normal, -1), epsilon)),
-            direction: nextDirection,
-        };
+        if (scattered.transmitted && !surface.thinWalled) {
+            mediumSigma = hit.frontFace ? attenuationCoefficient(material) : [0, 0, 0];
+        }
+        ray = { origin: offsetOrigin(hit, scattered.direction, epsilon), direction: scattered.direction };
     }
     return finiteColor(radiance);
 }
@@ -185,10 +264,7 @@ export function linearToSrgb(value) {
     return safe <= 0.0031308 ? 12.92 * safe : 1.055 * (safe ** (1 / 2.4)) - 0.055;
 }
 
-export function srgbToLinear(value) {
-    const safe = Math.max(0, Number.isFinite(value) ? value : 0);
-    return safe <= 0.04045 ? safe / 12.92 : ((safe + 0.055) / 1.055) ** 2.4;
-}
+export { srgbToLinear };
 
 export function linearRgbToRgba8(color, target, offset = 0) {
     for (let channel = 0; channel < 3; channel += 1) {
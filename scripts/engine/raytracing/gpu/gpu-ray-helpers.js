@@ -1,6 +1,6 @@
-import { DIAGNOSTICS_SIZE, FRAME_UNIFORM_SIZE } from './gpu-ray-layout.js';
+import { DIAGNOSTICS_SIZE, FRAME_UNIFORM_SIZE, TEXTURE_ATLAS_FORMAT } from './gpu-ray-layout.js';
 
-export const REQUIRED_STORAGE_BUFFERS_PER_STAGE = 7;
+export const REQUIRED_STORAGE_BUFFERS_PER_STAGE = 8;
 export const ACCUMULATION_FORMAT = 'rgba16float';
 export const DISPLAY_UNIFORM_SIZE = 16;
 
@@ -65,7 +65,26 @@ export function assertRayTracingDeviceSupport(device, packed = null) {
     return { requiredStorageBuffers: REQUIRED_STORAGE_BUFFERS_PER_STAGE, largestStorageBufferSize };
 }
 
-/** Allocates and uploads the six packed scene storage buffers, including dummy records. */
+/**
+ * Allocates and uploads a packTextureAtlas() atlas; a scene without texels
+ * gets a 1×1 dummy so the binding stays valid.
+ */
+function createTextureAtlas(device, atlas) {
+    const width = Math.max(1, atlas?.width || 0);
+    const height = Math.max(1, atlas?.height || 0);
+    const texture = device.createTexture({
+        label: 'Ray tracing base-colour atlas',
+        size: [width, height, 1],
+        format: TEXTURE_ATLAS_FORMAT,
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+    });
+    if (atlas?.data?.byteLength > 0) {
+        device.queue.writeTexture({ texture }, atlas.data, { bytesPerRow: width * 4, rowsPerImage: height }, [width, height, 1]);
+    }
+    return { texture, view: texture.createView() };
+}
+
+/** Allocates and uploads the six packed scene storage buffers, including dummy records, and the texture atlas. */
 export function createGpuRaySceneResources(device, packed) {
     assertRayTracingDeviceSupport(device, packed);
     if (!packed?.buffers || !packed?.metadata?.allocationByteLengths) {
@@ -88,11 +107,12 @@ export function createGpuRaySceneResources(device, packed) {
             buffers[name] = buffer;
             uploadIfPresent(device, buffer, data);
         }
+        const textureAtlas = createTextureAtlas(device, packed.textureAtlas);
+        return { buffers, textureAtlas, metadata: packed.metadata, destroyed: false };
     } catch (error) {
         Object.values(buffers).forEach(destroyOnce);
         throw error;
     }
-    return { buffers, metadata: packed.metadata, destroyed: false };
 }
 
 /** Uploads only the mutable TLAS prefixes and instance records. */
@@ -111,9 +131,51 @@ export function uploadGpuRayTlasAndInstances(device, resources, packed, ranges)
     }
 }
 
+/** Uploads only the material buffer and instance records a repackGpuMaterials() call rewrote. */
+export function uploadGpuRayMaterials(device, resources, packed, ranges) {
+    if (resources?.destroyed) throw new Error('Cannot update destroyed GPU ray scene resources.');
+    for (const [name, byteLength] of [
+        ['materials', ranges?.materialByteLength],
+        ['instances', ranges?.instanceByteLength],
+    ]) {
+        if (!Number.isSafeInteger(byteLength) || byteLength < 0 || byteLength > packed.buffers[name].byteLength) {
+            throw new Error(`Invalid ${name} upload byte length.`);
+        }
+        if (byteLength > resources.buffers[name].size) throw new Error(`${name} update exceeds its GPU allocation.`);
+        if (byteLength > 0) device.queue.writeBuffer(resources.buffers[name], 0, packed.buffers[name], 0, byteLength);
+    }
+}
+
+/** Allocates and uploads a packGpuLighting() buffer (binding 8 of the scene group). */
+export function createGpuRayLightingResources(device, packedLighting) {
+    if (!(packedLighting?.buffer instanceof ArrayBuffer)) {
+        throw new Error('GPU lighting resources require packed lighting.');
+    }
+    const limit = device.limits?.maxStorageBufferBindingSize;
+    if (Number.isFinite(limit) && packedLighting.buffer.byteLength > limit) {
+        throw new Error(`Ray tracing lighting needs ${packedLighting.buffer.byteLength} bytes; device limit is ${limit}.`);
+    }
+    const buffer = createBuffer(
+        device,
+        'Ray tracing lighting',
+        packedLighting.buffer.byteLength,
+        GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    );
+    uploadIfPresent(device, buffer, packedLighting.buffer);
+    const { buffer: _packed, ...metadata } = packedLighting;
+    return { buffer, metadata, destroyed: false };
+}
+
+export function destroyGpuRayLightingResources(resources) {
+    if (!resources || resources.destroyed) return;
+    destroyOnce(resources.buffer);
+    resources.destroyed = true;
+}
+
 export function destroyGpuRaySceneResources(resources) {
     if (!resources || resources.destroyed) return;
     Object.values(resources.buffers || {}).forEach(destroyOnce);
+    destroyOnce(resources.textureAtlas?.texture);
     resources.destroyed = true;
 }
 
@@ -267,6 +329,8 @@ export function createGpuRayBindGroupLayouts(device) {
                 buffer: { type: 'read-only-storage' },
             })),
             { binding: 7, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+            { binding: 8, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+            { binding: 9, visibility: GPUShaderStage.COMPUTE, texture: { sampleType: 'unfilterable-float' } },
         ],
     });
     const accumulation = device.createBindGroupLayout({
@@ -296,7 +360,8 @@ export function createGpuRayBindGroupLayouts(device) {
     };
 }
 
-export function createGpuRaySceneBindGroup(device, layoutOrPipeline, sceneResources, frameResources) {
+export function createGpuRaySceneBindGroup(device, layoutOrPipeline, sceneResources, frameResources, lightingResources) {
+    if (!lightingResources?.buffer) throw new Error('The ray tracing scene bind group requires lighting resources.');
     return device.createBindGroup({
         label: 'Ray tracing scene bind group',
         layout: resolveLayout(layoutOrPipeline, 0),
@@ -307,6 +372,8 @@ export function createGpuRaySceneBindGroup(device, layoutOrPipeline, sceneResour
                 resource: { buffer: sceneResources.buffers[name] },
             })),
             { binding: 7, resource: { buffer: frameResources.diagnosticsBuffer } },
+            { binding: 8, resource: { buffer: lightingResources.buffer } },
+            { binding: 9, resource: sceneResources.textureAtlas.view },
         ],
     });
 }
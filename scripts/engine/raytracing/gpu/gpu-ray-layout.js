@@ -1,8 +1,10 @@
 export const U32_MAX = 0xffffffff;
 export const INVALID_INDEX = U32_MAX;
 
-export const VERTEX_SIZE = 48;
-export const VERTEX_OFFSETS = Object.freeze({ position: 0, normal: 16, texCoord: 32 });
+export const VERTEX_SIZE = 64;
+// `color` is linear RGBA as four unorm16 values (two pack2x16unorm words);
+// `texCoord1` repeats TEXCOORD_0 when a geometry has no second set.
+export const VERTEX_OFFSETS = Object.freeze({ position: 0, normal: 16, texCoord: 32, color: 40, texCoord1: 48 });
 
 export const TRIANGLE_SIZE = 16;
 export const TRIANGLE_OFFSETS = Object.freeze({ i0: 0, i1: 4, i2: 8, geometryIndex: 12 });
@@ -13,10 +15,28 @@ export const BVH_NODE_OFFSETS = Object.freeze({ min: 0, leftFirst: 12, max: 16,
 export const INSTANCE_SIZE = 144;
 export const INSTANCE_OFFSETS = Object.freeze({ worldMatrix: 0, inverseWorldMatrix: 64, blasRoot: 128, geometryIndex: 132, materialIndex: 136, flags: 140 });
 
-export const MATERIAL_SIZE = 64;
-export const MATERIAL_OFFSETS = Object.freeze({ baseColor: 0, emissive: 16, surface: 32, textureIndex: 48, flags: 52 });
+export const MATERIAL_SIZE = 128;
+// `textureRect` is the base-colour image's texel rectangle (x, y, width, height)
+// in the texture atlas, read through TEXCOORD_`texCoord` and the two rows of
+// its 2×3 `uvTransform` (see gltf-texture-transform.js), one vec4 each.
+export const MATERIAL_OFFSETS = Object.freeze({
+    baseColor: 0,
+    emissive: 16,
+    surface: 32,
+    transmission: 48,
+    textureIndex: 64,
+    flags: 68,
+    texCoord: 72,
+    textureRect: 80,
+    uvTransform: 96,
+});
+
+// Base-colour texels stay sRGB-encoded bytes; the shader filters, then decodes (like sampleImage() on the CPU).
+export const TEXTURE_ATLAS_FORMAT = 'rgba8unorm';
+// WebGPU's guaranteed maxTextureDimension2D.
+export const MAX_TEXTURE_ATLAS_DIMENSION = 8192;
 
-export const FRAME_UNIFORM_SIZE = 192;
+export const FRAME_UNIFORM_SIZE = 160;
 export const FRAME_UNIFORM_OFFSETS = Object.freeze({
     cameraPosition: 0,
     cameraRight: 16,
@@ -26,16 +46,19 @@ export const FRAME_UNIFORM_OFFSETS = Object.freeze({
     renderSettings: 80,
     numerical: 96,
     environment: 112,
-    lightPosition: 128,
-    lightU: 144,
-    lightV: 160,
-    lightColor: 176,
+    lights: 128,
+    environmentMap: 144,
 });
 
 export const DIAGNOSTICS_SIZE = 16;
 export const INSTANCE_FLAG_FLIPS_HANDEDNESS = 1;
+export const MATERIAL_FLAG_ALPHA_MASK = 1;
+export const MATERIAL_FLAG_THIN_WALLED = 2;
+export const MATERIAL_FLAG_DOUBLE_SIDED = 4;
 export const FRAME_FLAG_HAS_TLAS = 1;
-export const LIGHT_TYPES = Object.freeze({ directional: 0, point: 1, rect: 2, rectangle: 2 });
+export const FRAME_FLAG_HAS_ENVIRONMENT_MAP = 2;
+// f32 words per light-table record in the lighting buffer (packGpuLighting()).
+export const LIGHT_RECORD_WORDS = 20;
 
 function requireFiniteVector(value, length, label) {
     if (!value || value.length < length) throw new Error(`${label} requires ${length} values.`);
@@ -54,7 +77,12 @@ function requireU32(value, label) {
     return value;
 }
 
-/** Packs the one authoritative 192-byte FrameUniforms representation. */
+/**
+ * Packs the one authoritative 160-byte FrameUniforms representation.
+ * `lighting` is packGpuLighting() metadata: the light count and f32 offsets
+ * of the light records, light CDF and instance light bases, plus the
+ * environment map's width, height and conditional-CDF and texel offsets.
+ */
 export function packFrameUniforms({
     cameraFrame,
     width,
@@ -63,13 +91,12 @@ export function packFrameUniforms({
     frameSeed = 0,
     maxBounces = 1,
     samplesPerFrame = 1,
-    lightType = 2,
     flags = 0,
     rayEpsilon = 1e-4,
     exposure = 1,
     environmentIntensity = 1,
     environment = [0, 0, 0],
-    light = {},
+    lighting = null,
 } = {}) {
     if (!cameraFrame) throw new Error('Frame uniforms require a camera frame.');
     const buffer = new ArrayBuffer(FRAME_UNIFORM_SIZE);
@@ -82,17 +109,20 @@ export function packFrameUniforms({
     [width, height, sampleIndex, frameSeed].forEach((value, index) => {
         view.setUint32(FRAME_UNIFORM_OFFSETS.dimensions + index * 4, requireU32(value, `dimensions[${index}]`), true);
     });
-    const resolvedLightType = typeof lightType === 'string' ? LIGHT_TYPES[lightType] : lightType;
-    [maxBounces, samplesPerFrame, resolvedLightType, flags].forEach((value, index) => {
+    [maxBounces, samplesPerFrame, 0, flags].forEach((value, index) => {
         view.setUint32(FRAME_UNIFORM_OFFSETS.renderSettings + index * 4, requireU32(value, `renderSettings[${index}]`), true);
     });
     writeFloatVector(view, FRAME_UNIFORM_OFFSETS.numerical, [rayEpsilon, exposure, environmentIntensity], 3, 'numerical settings');
     writeFloatVector(view, FRAME_UNIFORM_OFFSETS.environment, environment, 3, 'environment');
-    const lightPosition = light.center || light.position || light.direction || [0, 0, 0];
-    writeFloatVector(view, FRAME_UNIFORM_OFFSETS.lightPosition, lightPosition, 3, 'light position');
-    view.setFloat32(FRAME_UNIFORM_OFFSETS.lightPosition + 12, light.intensity ?? 0, true);
-    writeFloatVector(view, FRAME_UNIFORM_OFFSETS.lightU, light.u || [0, 0, 0], 3, 'light U');
-    writeFloatVector(view, FRAME_UNIFORM_OFFSETS.lightV, light.v || [0, 0, 0], 3, 'light V');
-    writeFloatVector(view, FRAME_UNIFORM_OFFSETS.lightColor, light.color || [1, 1, 1], 3, 'light color');
+    const {
+        lightCount = 0, lightOffset = 0, lightCdfOffset = 0, instanceLightOffset = 0,
+        width: mapWidth = 0, height: mapHeight = 0, conditionalOffset = 0, texelOffset = 0,
+    } = lighting || {};
+    [lightCount, lightOffset, lightCdfOffset, instanceLightOffset].forEach((value, index) => {
+        view.setUint32(FRAME_UNIFORM_OFFSETS.lights + index * 4, requireU32(value, `lights[${index}]`), true);
+    });
+    [mapWidth, mapHeight, conditionalOffset, texelOffset].forEach((value, index) => {
+        view.setUint32(FRAME_UNIFORM_OFFSETS.environmentMap + index * 4, requireU32(value, `environmentMap[${index}]`), true);
+    });
     return buffer;
 }
@@ -1,4 +1,7 @@
+import { IDENTITY_UV_TRANSFORM } from '../../gltf-texture-transform.js';
 import { determinant3x3 } from '../../matrix.js';
+import { getLightTable, LIGHT_KINDS } from '../core/light-table.js';
+import { attenuationCoefficient, isThinWalled } from '../core/ray-scene.js';
 import {
     BVH_NODE_OFFSETS,
     BVH_NODE_SIZE,
@@ -6,8 +9,13 @@ import {
     INSTANCE_OFFSETS,
     INSTANCE_SIZE,
     INVALID_INDEX,
+    LIGHT_RECORD_WORDS,
+    MATERIAL_FLAG_ALPHA_MASK,
+    MATERIAL_FLAG_DOUBLE_SIDED,
+    MATERIAL_FLAG_THIN_WALLED,
     MATERIAL_OFFSETS,
     MATERIAL_SIZE,
+    MAX_TEXTURE_ATLAS_DIMENSION,
     TRIANGLE_OFFSETS,
     TRIANGLE_SIZE,
     U32_MAX,
@@ -92,6 +100,11 @@ function packVertices(scene, ranges, vertexCount) {
             writeFloats(view, offset + VERTEX_OFFSETS.position, geometry.positions.subarray(localVertex * 3, localVertex * 3 + 3), 3, `Geometry ${geometryIndex} position`);
             writeFloats(view, offset + VERTEX_OFFSETS.normal, geometry.normals.subarray(localVertex * 3, localVertex * 3 + 3), 3, `Geometry ${geometryIndex} normal`);
             writeFloats(view, offset + VERTEX_OFFSETS.texCoord, geometry.texCoords.subarray(localVertex * 2, localVertex * 2 + 2), 2, `Geometry ${geometryIndex} texCoord`);
+            writeFloats(view, offset + VERTEX_OFFSETS.texCoord1, (geometry.texCoords1 || geometry.texCoords).subarray(localVertex * 2, localVertex * 2 + 2), 2, `Geometry ${geometryIndex} texCoord1`);
+            for (let channel = 0; channel < 4; channel += 1) {
+                const value = geometry.colors ? geometry.colors[localVertex * 4 + channel] : 1;
+                view.setUint16(offset + VERTEX_OFFSETS.color + channel * 2, Math.round(Math.min(Math.max(value, 0), 1) * 65535), true);
+            }
         }
     });
     return buffer;
@@ -212,7 +225,88 @@ function packInstances(scene, ranges) {
     return buffer;
 }
 
-function packMaterials(materials) {
+/** Halves an RGBA8 image with a 2×2 box filter (odd edges repeat their last texel). */
+function downsampleImage({ width, height, data }) {
+    const nextWidth = Math.max(1, width >> 1);
+    const nextHeight = Math.max(1, height >> 1);
+    const next = new Uint8Array(nextWidth * nextHeight * 4);
+    for (let y = 0; y < nextHeight; y += 1) {
+        for (let x = 0; x < nextWidth; x += 1) {
+            for (let channel = 0; channel < 4; channel += 1) {
+                let sum = 0;
+                for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                    const sx = Math.min(width - 1, x * 2 + dx);
+                    const sy = Math.min(height - 1, y * 2 + dy);
+                    sum += data[(sy * width + sx) * 4 + channel];
+                }
+                next[(y * nextWidth + x) * 4 + channel] = Math.round(sum / 4);
+            }
+        }
+    }
+    return { width: nextWidth, height: nextHeight, data: next };
+}
+
+/** Shelf-packs images, tallest first, into rows no wider than the atlas. */
+function shelfPack(images) {
+    const order = images.map((_image, index) => index).filter((index) => images[index])
+        .sort((a, b) => images[b].height - images[a].height);
+    const rects = images.map(() => null);
+    if (!order.length) return { width: 0, height: 0, rects };
+    const area = order.reduce((sum, index) => sum + images[index].width * images[index].height, 0);
+    const widest = Math.max(...order.map((index) => images[index].width));
+    const width = Math.max(widest, Math.min(MAX_TEXTURE_ATLAS_DIMENSION, 2 ** Math.ceil(Math.log2(Math.sqrt(area)))));
+    let x = 0;
+    let y = 0;
+    let shelfHeight = 0;
+    for (const index of order) {
+        const { width: imageWidth, height: imageHeight } = images[index];
+        if (x + imageWidth > width) {
+            y += shelfHeight;
+            x = 0;
+            shelfHeight = 0;
+        }
+        rects[index] = [x, y, imageWidth, imageHeight];
+        x += imageWidth;
+        shelfHeight = Math.max(shelfHeight, imageHeight);
+    }
+    return { width, height: y + shelfHeight, rects };
+}
+
+/**
+ * Packs a RayScene's sRGB-encoded RGBA8 base-colour images into one atlas the
+ * GPU tracer samples (binding 9 of the scene group), so both integrators read
+ * the same texels. Each image keeps its own rectangle — the shader wraps and
+ * filters inside it — and null images get none. Images that cannot fit a
+ * MAX_TEXTURE_ATLAS_DIMENSION square are all halved until they do, with a
+ * warning, as the GPU then samples a coarser copy than the CPU tracer.
+ * @param {import('../core/ray-scene.js').RayScene['images']} images
+ * @returns {{width: number, height: number, data: Uint8Array, rects: (number[]|null)[]}}
+ */
+export function packTextureAtlas(images = []) {
+    let levels = images.map((image) => image || null);
+    let layout = shelfPack(levels);
+    let halvings = 0;
+    while (layout.width > MAX_TEXTURE_ATLAS_DIMENSION || layout.height > MAX_TEXTURE_ATLAS_DIMENSION) {
+        levels = levels.map((image) => image && downsampleImage(image));
+        layout = shelfPack(levels);
+        halvings += 1;
+    }
+    if (halvings) {
+        console.warn(`GPU ray tracing: base-colour textures were halved ${halvings}× to fit a ${MAX_TEXTURE_ATLAS_DIMENSION}² atlas.`);
+    }
+    const data = new Uint8Array(layout.width * layout.height * 4);
+    layout.rects.forEach((rect, index) => {
+        if (!rect) return;
+        const [x, y, width, height] = rect;
+        const source = levels[index].data;
+        for (let row = 0; row < height; row += 1) {
+            data.set(source.subarray(row * width * 4, (row + 1) * width * 4), ((y + row) * layout.width + x) * 4);
+        }
+    });
+    return { ...layout, data };
+}
+
+function packMaterials(materials, textureRects) {
     const buffer = new ArrayBuffer(checkedByteLength(materials.length, MATERIAL_SIZE, 'material'));
     const view = new DataView(buffer);
     materials.forEach((material, materialIndex) => {
@@ -228,11 +322,31 @@ function packMaterials(materials) {
             material.alphaCutoff ?? 0.5,
             material.indexOfRefraction ?? 1.5,
         ], 4, `Material ${materialIndex} surface`);
-        const textureIndex = Number.isInteger(material.baseColorImageIndex) && material.baseColorImageIndex >= 0
+        // Absorption coefficient, then the transmission factor.
+        writeFloats(view, offset + MATERIAL_OFFSETS.transmission, [
+            ...attenuationCoefficient(material),
+            material.transmission ?? 0,
+        ], 4, `Material ${materialIndex} transmission`);
+        // Materials whose image has no texels trace untextured, as on the CPU.
+        const textureRect = Number.isInteger(material.baseColorImageIndex) && material.baseColorImageIndex >= 0
+            ? textureRects[material.baseColorImageIndex] ?? null
+            : null;
+        const textureIndex = textureRect
             ? requireU32(material.baseColorImageIndex, `Material ${materialIndex} texture index`)
             : INVALID_INDEX;
         view.setUint32(offset + MATERIAL_OFFSETS.textureIndex, textureIndex, true);
-        view.setUint32(offset + MATERIAL_OFFSETS.flags, requireU32(material.flags ?? 0, `Material ${materialIndex} flags`), true);
+        (textureRect || [0, 0, 0, 0]).forEach((value, index) => {
+            view.setUint32(offset + MATERIAL_OFFSETS.textureRect + index * 4, value, true);
+        });
+        view.setUint32(offset + MATERIAL_OFFSETS.texCoord, material.baseColorTexCoord === 1 ? 1 : 0, true);
+        const uvTransform = material.baseColorUvTransform || IDENTITY_UV_TRANSFORM;
+        writeFloats(view, offset + MATERIAL_OFFSETS.uvTransform, uvTransform.slice(0, 3), 3, `Material ${materialIndex} uv transform`);
+        writeFloats(view, offset + MATERIAL_OFFSETS.uvTransform + 16, uvTransform.slice(3, 6), 3, `Material ${materialIndex} uv transform`);
+        let flags = requireU32(material.flags ?? 0, `Material ${materialIndex} flags`);
+        if (material.alphaMode === 'MASK') flags |= MATERIAL_FLAG_ALPHA_MASK;
+        if ((material.transmission ?? 0) > 0 && isThinWalled(material)) flags |= MATERIAL_FLAG_THIN_WALLED;
+        if (material.doubleSided === true) flags |= MATERIAL_FLAG_DOUBLE_SIDED;
+        view.setUint32(offset + MATERIAL_OFFSETS.flags, flags >>> 0, true);
     });
     return buffer;
 }
@@ -247,13 +361,14 @@ export function packGpuScene(scene, acceleration) {
     const nodeCount = tlasNodeCount + acceleration.blases.reduce((sum, blas) => sum + blas.nodes.length, 0);
     const leafCount = tlasLeafCount + acceleration.blases.reduce((sum, blas) => sum + blas.triangleIndices.length, 0);
     const { nodeBuffer, leafBuffer } = packNodesAndLeaves(scene, acceleration, geometryRanges, nodeCount, leafCount);
+    const textureAtlas = packTextureAtlas(scene.images);
     const buffers = {
         vertices: packVertices(scene, geometryRanges, vertexCount),
         triangles: packTriangles(scene, geometryRanges, triangleCount),
         bvhNodes: nodeBuffer,
         bvhLeafReferences: leafBuffer,
         instances: packInstances(scene, geometryRanges),
-        materials: packMaterials(scene.materials),
+        materials: packMaterials(scene.materials, textureAtlas.rects),
     };
     const logicalByteLengths = Object.fromEntries(Object.entries(buffers).map(([key, value]) => [key, value.byteLength]));
     const metadata = {
@@ -278,7 +393,7 @@ export function packGpuScene(scene, acceleration) {
             materials: Math.max(MATERIAL_SIZE, buffers.materials.byteLength),
         },
     };
-    const packed = { buffers, metadata };
+    const packed = { buffers, metadata, textureAtlas };
     staticPackingSources.set(packed, {
         geometries: [...scene.geometries],
         materials: [...scene.materials],
@@ -324,3 +439,114 @@ export function repackGpuTlasAndInstances(packed, scene, acceleration) {
         instanceByteLength: nextInstances.byteLength,
     };
 }
+
+/**
+ * Mutates only the material buffer and the instance records that reference
+ * it (a material variant switch re-points instances); returns upload byte ranges.
+ */
+export function repackGpuMaterials(packed, scene) {
+    const currentMetadata = packed.metadata;
+    const staticSources = staticPackingSources.get(packed);
+    const geometryUnchanged = staticSources
+        && staticSources.geometries.length === scene.geometries.length
+        && staticSources.geometries.every((geometry, index) => geometry === scene.geometries[index]);
+    if (!geometryUnchanged) throw new Error('Material repack requires unchanged geometry objects.');
+    if (scene.materials.length !== currentMetadata.materialCount
+        || scene.instances.length !== currentMetadata.instanceCount) {
+        throw new Error('Material repack requires stable material and instance counts.');
+    }
+    const nextMaterials = packMaterials(scene.materials, packed.textureAtlas.rects);
+    const nextInstances = packInstances(scene, currentMetadata.geometryRanges);
+    new Uint8Array(packed.buffers.materials).set(new Uint8Array(nextMaterials));
+    new Uint8Array(packed.buffers.instances).set(new Uint8Array(nextInstances));
+    staticSources.materials = [...scene.materials];
+    return {
+        materialByteLength: nextMaterials.byteLength,
+        instanceByteLength: nextInstances.byteLength,
+    };
+}
+
+function packEnvironmentTables(map) {
+    if (!map) return { width: 0, height: 0, tables: [] };
+    const width = requireU32(map.width, 'Environment width');
+    const height = requireU32(map.height, 'Environment height');
+    if (map.marginalCdf?.length !== height + 1
+        || map.conditionalCdf?.length !== height * (width + 1)
+        || map.texels?.length !== width * height * 4) {
+        throw new Error('Environment map tables do not match its dimensions.');
+    }
+    return { width, height, tables: [map.marginalCdf, map.conditionalCdf, map.texels] };
+}
+
+function writeLightRecord(floats, words, base, light, globalTriangleIndex) {
+    floats.set(light.position, base);
+    words[base + 3] = LIGHT_KINDS[light.kind];
+    floats.set(light.u, base + 4);
+    floats[base + 7] = light.radius;
+    floats.set(light.v, base + 8);
+    floats[base + 11] = light.cosInner;
+    floats.set(light.emission, base + 12);
+    floats[base + 15] = light.cosOuter;
+    words[base + 16] = light.instanceIndex >= 0 ? light.instanceIndex : INVALID_INDEX;
+    words[base + 17] = globalTriangleIndex;
+    words[base + 18] = light.twoSided ? 1 : 0;
+    floats[base + 19] = light.range === Infinity ? 0 : light.range;
+}
+
+/**
+ * Packs the environment map and the scene's light table into the one f32
+ * storage buffer read by raytrace.wgsl: the marginal CDF, every row's
+ * conditional CDF and the RGB + density texels; then LIGHT_RECORD_WORDS
+ * words per light, the light-selection CDF, and one u32 per instance that,
+ * added to a global triangle index, gives that triangle's light (u32
+ * wrap-around, INVALID_INDEX for instances that do not emit). Without a map
+ * or lights the zero width and count leave those paths off; a zero vec4 keeps
+ * the binding valid.
+ * @param {import('../core/environment-map.js').EnvironmentMap|null} map
+ * @param {import('../core/ray-scene.js').PreparedRayScene} scene
+ * @param {Object[]} geometryRanges packGpuScene() metadata.geometryRanges.
+ */
+export function packGpuLighting(map, scene, geometryRanges) {
+    const { width, height, tables } = packEnvironmentTables(map);
+    const table = getLightTable(scene);
+    const lights = table.lights;
+    const conditionalOffset = tables[0]?.length || 0;
+    const texelOffset = conditionalOffset + (tables[1]?.length || 0);
+    const lightOffset = texelOffset + (tables[2]?.length || 0);
+    const lightCdfOffset = lightOffset + lights.length * LIGHT_RECORD_WORDS;
+    const instanceLightOffset = lightCdfOffset + (lights.length > 0 ? lights.length + 1 : 0);
+    const instanceCount = lights.length > 0 ? scene.instances.length : 0;
+    const buffer = new ArrayBuffer(Math.max(16, (instanceLightOffset + instanceCount) * 4));
+    const floats = new Float32Array(buffer);
+    const words = new Uint32Array(buffer);
+    tables.forEach((values, index) => floats.set(values, [0, conditionalOffset, texelOffset][index]));
+    const triangleOffset = (instanceIndex) => {
+        const range = geometryRanges[scene.instances[instanceIndex].geometryIndex];
+        if (!range) throw new Error(`Light instance ${instanceIndex} has no packed geometry range.`);
+        return range.triangleOffset;
+    };
+    lights.forEach((light, index) => {
+        const globalTriangleIndex = light.kind === 'triangle'
+            ? triangleOffset(light.instanceIndex) + light.triangleIndex
+            : INVALID_INDEX;
+        writeLightRecord(floats, words, lightOffset + index * LIGHT_RECORD_WORDS, light, globalTriangleIndex);
+    });
+    if (lights.length > 0) floats.set(table.cdf, lightCdfOffset);
+    for (let instanceIndex = 0; instanceIndex < instanceCount; instanceIndex += 1) {
+        const first = table.instanceLightOffsets[instanceIndex];
+        words[instanceLightOffset + instanceIndex] = first >= 0
+            ? (first - triangleOffset(instanceIndex)) >>> 0
+            : INVALID_INDEX;
+    }
+    return {
+        buffer,
+        width,
+        height,
+        conditionalOffset,
+        texelOffset,
+        lightCount: lights.length,
+        lightOffset,
+        lightCdfOffset,
+        instanceLightOffset,
+    };
+}
@@ -1,15 +1,17 @@
 import { Renderer } from './renderer.js';
-import { getMeshPrimitives } from './mesh-renderer.js';
+import { getMeshPrimitives, packMaterialUniform } from './mesh-renderer.js';
+import { GLTF_PRIMITIVE_MODES } from '../gltf-geometry.js';
 import { createIdentityMatrix, invertMatrix, multiplyMatrices } from '../matrix.js';
 import { computeSceneBounds } from '../raytracing/core/ray-scene.js';
 import {
     buildAccelerationStructures,
     updateAccelerationStructures,
 } from '../raytracing/acceleration/acceleration-structure.js';
-import { packGpuScene, repackGpuTlasAndInstances } from '../raytracing/gpu/gpu-scene-packer.js';
+import { packGpuScene, repackGpuMaterials, repackGpuTlasAndInstances } from '../raytracing/gpu/gpu-scene-packer.js';
 import {
     createGpuRaySceneResources,
     destroyGpuRaySceneResources,
+    uploadGpuRayMaterials,
     uploadGpuRayTlasAndInstances,
 } from '../raytracing/gpu/gpu-ray-helpers.js';
 import {
@@ -29,13 +31,13 @@ import {
 export const HYBRID_FRAME_UNIFORM_SIZE = 256;
 export const HYBRID_LIGHT_UNIFORM_SIZE = 64;
 export const HYBRID_SHADOW_UNIFORM_SIZE = 48;
-const HYBRID_MATERIAL_UNIFORM_SIZE = 32;
+const HYBRID_MATERIAL_UNIFORM_SIZE = 192;
 const FRAME_FLAG_HAS_TLAS = 1;
 const SHADOW_WORKGROUP_SIZE = 8;
 const SCENE_BUFFER_NAMES = Object.freeze([
     'vertices', 'triangles', 'bvhNodes', 'bvhLeafReferences', 'instances', 'materials',
 ]);
-const LIGHT_TYPE = Object.freeze({ directional: 0, point: 1 });
+const LIGHT_TYPE = Object.freeze({ directional: 0, point: 1, spot: 2 });
 const DEFAULT_LIGHT = Object.freeze({
     type: 'directional',
     direction: [-0.5, -1, -0.3],
@@ -133,6 +135,7 @@ export class HybridShadowRenderer extends Renderer {
                     visibility: GPUShaderStage.COMPUTE,
                     buffer: { type: 'read-only-storage' },
                 })),
+                { binding: SCENE_BUFFER_NAMES.length + 1, visibility: GPUShaderStage.COMPUTE, texture: { sampleType: 'unfilterable-float' } },
             ],
         });
         const shadowAttachments = this.device.createBindGroupLayout({
@@ -180,6 +183,7 @@ export class HybridShadowRenderer extends Renderer {
                     { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
                     { arrayStride: 12, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] },
                     { arrayStride: 8, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x2' }] },
+                    { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
                 ],
             },
             fragment: {
@@ -224,14 +228,29 @@ export class HybridShadowRenderer extends Renderer {
         }
     }
 
+    /**
+     * Merges `partial` into the light: `directional` (travel `direction`),
+     * `point` (`position`) or `spot` (`position`, `direction` and glTF
+     * `innerConeAngle`/`outerConeAngle`). Point and spot lights take an
+     * optional `range`, null for unlimited.
+     */
     setLight(partial = {}) {
         const next = { ...this.light, ...partial };
-        if (!(next.type in LIGHT_TYPE)) throw new Error('Hybrid light type must be directional or point.');
-        validateVector(next.type === 'point' ? next.position : next.direction, `Hybrid ${next.type} light vector`);
+        if (!(next.type in LIGHT_TYPE)) throw new Error('Hybrid light type must be directional, point or spot.');
+        if (next.type !== 'directional') validateVector(next.position, `Hybrid ${next.type} light vector`);
+        if (next.type !== 'point') validateVector(next.direction, `Hybrid ${next.type} light direction`);
         validateVector(next.color, 'Hybrid light color');
         for (const field of ['intensity', 'ambient', 'exposure']) {
             if (!Number.isFinite(next[field]) || next[field] < 0) throw new Error(`Hybrid light ${field} must be non-negative and finite.`);
         }
+        if (next.range != null && !(next.range > 0)) throw new Error('Hybrid light range must be positive.');
+        if (next.type === 'spot') {
+            const inner = next.innerConeAngle ?? 0;
+            const outer = next.outerConeAngle ?? Math.PI / 4;
+            if (!(inner >= 0 && inner < outer && outer <= Math.PI / 2)) {
+                throw new Error('Hybrid spot cone angles must satisfy 0 <= inner < outer <= π/2.');
+            }
+        }
         this.light = {
             ...next,
             direction: next.direction ? [...next.direction] : undefined,
@@ -267,13 +286,18 @@ export class HybridShadowRenderer extends Renderer {
                     binding: index + 1,
                     resource: { buffer: sceneResources.buffers[name] },
                 })),
+                // Alpha-MASK shadow rays read base-colour alpha from the atlas.
+                { binding: SCENE_BUFFER_NAMES.length + 1, resource: sceneResources.textureAtlas.view },
             ],
         });
     }
 
-    _createFullShadowState(baseScene, userModel, revisions) {
+    _createFullShadowState(baseScene, userModel, revisions, previousAcceleration = null) {
         const effectiveScene = createEffectiveScene(baseScene, userModel);
-        const acceleration = buildAccelerationStructures(effectiveScene, { revisions });
+        // A re-posed skinned sidecar keeps its rigid geometries' BLASes.
+        const acceleration = previousAcceleration
+            ? updateAccelerationStructures(previousAcceleration, effectiveScene, revisions)
+            : buildAccelerationStructures(effectiveScene, { revisions });
         const packedScene = packGpuScene(effectiveScene, acceleration);
         const sceneResources = createGpuRaySceneResources(this.device, packedScene);
         return {
@@ -287,6 +311,7 @@ export class HybridShadowRenderer extends Renderer {
             geometryRevision: revisions.geometryRevision,
             sourceInstanceRevision: revisions.instanceRevision,
             dynamicInstanceRevision: revisions.instanceRevision,
+            materialRevision: revisions.materialRevision,
         };
     }
 
@@ -294,22 +319,28 @@ export class HybridShadowRenderer extends Renderer {
         if (!this.shadowPipeline) return null;
         const baseScene = drawable.rayTracing?.preparedRayScene;
         if (!baseScene) throw new Error('Hybrid shadows require a prepared RayScene sidecar.');
+        // Skinned/morphed sidecars re-deform on the CPU and bump geometryRevision when posed.
+        drawable.deformation?.refitRayScene();
         const revisions = {
             geometryRevision: drawable.rayTracing.geometryRevision ?? 0,
             instanceRevision: drawable.rayTracing.instanceRevision ?? 0,
+            materialRevision: drawable.rayTracing.materialRevision ?? 0,
         };
         const nextModelKey = matrixKey(userModel);
         const needsFullRebuild = !state.shadow
             || state.shadow.baseScene !== baseScene
             || state.shadow.geometryRevision !== revisions.geometryRevision;
         if (needsFullRebuild) {
+            const previousAcceleration = state.shadow?.baseScene === baseScene ? state.shadow.acceleration : null;
             this._destroyShadowState(state);
-            state.shadow = this._createFullShadowState(baseScene, userModel, revisions);
+            state.shadow = this._createFullShadowState(baseScene, userModel, revisions, previousAcceleration);
             return state.shadow;
         }
+        // A material variant switch re-points instances at other materials.
+        const materialChanged = state.shadow.materialRevision !== revisions.materialRevision;
         const transformChanged = state.shadow.modelKey !== nextModelKey
             || state.shadow.sourceInstanceRevision !== revisions.instanceRevision;
-        if (!transformChanged) return state.shadow;
+        if (!transformChanged && !materialChanged) return state.shadow;
 
         const effectiveScene = createEffectiveScene(baseScene, userModel);
         const dynamicInstanceRevision = state.shadow.dynamicInstanceRevision + 1;
@@ -326,12 +357,17 @@ export class HybridShadowRenderer extends Renderer {
                 state.shadow.packedScene,
                 ranges,
             );
+            if (materialChanged) {
+                const materialRanges = repackGpuMaterials(state.shadow.packedScene, effectiveScene);
+                uploadGpuRayMaterials(this.device, state.shadow.sceneResources, state.shadow.packedScene, materialRanges);
+            }
             Object.assign(state.shadow, {
                 effectiveScene,
                 acceleration,
                 modelKey: nextModelKey,
                 sourceInstanceRevision: revisions.instanceRevision,
                 dynamicInstanceRevision,
+                materialRevision: revisions.materialRevision,
             });
         } catch (error) {
             if (!/requires stable instance, node, and leaf counts/.test(error.message)) throw error;
@@ -366,14 +402,8 @@ export class HybridShadowRenderer extends Renderer {
                             layout: this.layouts.frame,
                             entries: [{ binding: 0, resource: { buffer: frameBuffer } }],
                         }),
-                        materialBindGroup: this.device.createBindGroup({
-                            layout: this.layouts.material,
-                            entries: [
-                                { binding: 0, resource: { buffer: materialBuffer } },
-                                { binding: 1, resource: this.sampler },
-                                { binding: 2, resource: (primitive.texture || this.defaultTexture).createView() },
-                            ],
-                        }),
+                        materialBindGroup: this._createMaterialBindGroup(materialBuffer, primitive.texture),
+                        boundTexture: primitive.texture,
                     };
                 }),
             };
@@ -432,6 +462,17 @@ export class HybridShadowRenderer extends Renderer {
         });
     }
 
+    _createMaterialBindGroup(materialBuffer, texture) {
+        return this.device.createBindGroup({
+            layout: this.layouts.material,
+            entries: [
+                { binding: 0, resource: { buffer: materialBuffer } },
+                { binding: 1, resource: this.sampler },
+                { binding: 2, resource: (texture || this.defaultTexture).createView() },
+            ],
+        });
+    }
+
     _uploadPrimitive(frame, primitive, state) {
         const userModel = frame.sceneState.modelViewMatrix || createIdentityMatrix();
         const model = multiplyMatrices(userModel, primitive.worldMatrix || createIdentityMatrix());
@@ -442,20 +483,29 @@ export class HybridShadowRenderer extends Renderer {
         state.frameData.set(inverseModel, 48);
         frame.device.queue.writeBuffer(state.frameBuffer, 0, state.frameData);
 
-        state.materialData.fill(0);
-        state.materialData.set(primitive.material?.baseColor || [1, 1, 1, 1], 0);
-        new Uint32Array(state.materialData.buffer)[4] = primitive.texture ? 1 : 0;
+        packMaterialUniform(state.materialData, primitive);
         frame.device.queue.writeBuffer(state.materialBuffer, 0, state.materialData);
+        // A material variant switch swaps the primitive's base-colour texture.
+        if (state.boundTexture !== primitive.texture) {
+            state.materialBindGroup = this._createMaterialBindGroup(state.materialBuffer, primitive.texture);
+            state.boundTexture = primitive.texture;
+        }
     }
 
     _uploadLight() {
         const data = new Float32Array(HYBRID_LIGHT_UNIFORM_SIZE / 4);
-        data.set(this.light.type === 'point' ? this.light.position : this.light.direction, 0);
+        data.set(this.light.type === 'directional' ? this.light.direction : this.light.position, 0);
         data[3] = LIGHT_TYPE[this.light.type];
         data.set(this.light.color, 4);
         data[7] = this.light.intensity;
         data[8] = this.light.ambient;
         data[9] = this.light.exposure;
+        if (this.light.type === 'spot') {
+            data[10] = Math.cos(this.light.innerConeAngle ?? 0);
+            data[11] = Math.cos(this.light.outerConeAngle ?? Math.PI / 4);
+            data.set(this.light.direction, 12);
+        }
+        data[15] = this.light.type === 'directional' ? 0 : this.light.range ?? 0;
         this.device.queue.writeBuffer(this.lightBuffer, 0, data);
     }
 
@@ -463,7 +513,7 @@ export class HybridShadowRenderer extends Renderer {
         const buffer = new ArrayBuffer(HYBRID_SHADOW_UNIFORM_SIZE);
         const floats = new Float32Array(buffer);
         const integers = new Uint32Array(buffer);
-        floats.set(this.light.type === 'point' ? this.light.position : this.light.direction, 0);
+        floats.set(this.light.type === 'directional' ? this.light.direction : this.light.position, 0);
         floats[3] = LIGHT_TYPE[this.light.type];
         const sceneRadius = shadowState.effectiveScene.bounds?.radius || 0;
         floats[4] = 1e-4 * Math.max(1, sceneRadius);
@@ -504,11 +554,14 @@ export class HybridShadowRenderer extends Renderer {
         });
         gbufferPass.setPipeline(this.gbufferPipeline);
         state.meshPrimitives.forEach((primitive, index) => {
+            // The G-buffer pipeline rasterizes triangles only; points and lines are not lit here.
+            if ((primitive.mode ?? GLTF_PRIMITIVE_MODES.TRIANGLES) !== GLTF_PRIMITIVE_MODES.TRIANGLES) return;
             gbufferPass.setBindGroup(0, state.primitives[index].frameBindGroup);
             gbufferPass.setBindGroup(1, state.primitives[index].materialBindGroup);
             gbufferPass.setVertexBuffer(0, primitive.buffers.position);
             gbufferPass.setVertexBuffer(1, primitive.buffers.normal);
             gbufferPass.setVertexBuffer(2, primitive.buffers.texCoord);
+            gbufferPass.setVertexBuffer(3, primitive.buffers.texCoord1 ?? primitive.buffers.texCoord);
             gbufferPass.setIndexBuffer(primitive.buffers.indices, primitive.indexFormat || 'uint16');
             gbufferPass.drawIndexed(primitive.indexCount);
         });
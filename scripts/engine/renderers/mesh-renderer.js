@@ -1,15 +1,38 @@
 /**
- * @file MeshRenderer — opaque indexed-triangle path for the WebGPU backend.
+ * @file MeshRenderer — indexed triangle, line and point path for the WebGPU backend.
  * @copyright 2026 Kashyap Rajpal
  * @license MIT
+ *
+ * glTF alpha modes: OPAQUE and MASK primitives draw first through the main
+ * pipeline (MASK discards below its cutoff in the shader), then BLEND
+ * primitives draw back to front through the blended variant, which tests
+ * against but does not write depth. recordNodes() applies that order across
+ * every node it is given, not per node. glTF point and line primitives draw
+ * through pipelines of their own topology, blended ones included, and are
+ * skipped until setPipeline() has been given them.
+ *
+ * Shading is metallic-roughness PBR (default.wgsl) under one directional
+ * light, supplied per frame in view space, or under up to MAX_PUNCTUAL_LIGHTS
+ * imported KHR_lights_punctual lights once setLights() has some, plus either
+ * a flat ambient term or,
+ * once setEnvironment() has a prefiltered map, image-based lighting: SH
+ * irradiance for diffuse and a split-sum lookup into the specular mip chain.
  */
 import { Renderer } from './renderer.js';
-import { createIdentityMatrix, multiplyMatrices } from '../matrix.js';
+import { createIdentityMatrix, multiplyMatrices, transformDirection } from '../matrix.js';
+import { posePunctualLight } from '../gltf-lights.js';
+import { IDENTITY_UV_TRANSFORM } from '../gltf-texture-transform.js';
+import { GLTF_PRIMITIVE_MODES } from '../gltf-geometry.js';
 import {
     MATRIX_UNIFORM_SIZE,
     MATERIAL_UNIFORM_SIZE,
+    ENVIRONMENT_UNIFORM_SIZE,
+    MAX_PUNCTUAL_LIGHTS,
+    PUNCTUAL_LIGHTS_UNIFORM_SIZE,
     createUniformBuffer,
     createDefaultTexture,
+    createEnvironmentSampler,
+    createEnvironmentTexture,
     createSampler,
     createDepthTexture,
     createBindGroup,
@@ -17,6 +40,34 @@ import {
 
 const LEGACY_UNTEXTURED_COLOR = Object.freeze([0.5, 0.5, 1, 1]);
 const WHITE = Object.freeze([1, 1, 1, 1]);
+const NO_CENTER = Object.freeze([0, 0, 0]);
+const NO_EMISSION = Object.freeze([0, 0, 0]);
+
+/** Values of the material uniform's `alphaMode` field (default.wgsl, hybrid-gbuffer.wgsl). */
+export const ALPHA_MODE_IDS = Object.freeze({ OPAQUE: 0, MASK: 1, BLEND: 2 });
+
+/** Bits of the material uniform's `textureFlags` field: which material maps to sample. */
+export const MATERIAL_TEXTURE_FLAGS = Object.freeze({ normal: 1, metallicRoughness: 2, occlusion: 4 });
+
+/** `textureFlags` bit for point and line primitives without normals, which skip lighting. */
+export const MATERIAL_UNLIT_FLAG = 8;
+
+/** `textureFlags` bit for primitives with a colour vertex buffer (glTF COLOR_0, PLY colours). */
+export const MATERIAL_VERTEX_COLOR_FLAG = 16;
+
+/** Order of the material uniform's `uvTransforms` pairs (UV_* constants in default.wgsl). */
+export const MATERIAL_UV_SLOTS = Object.freeze(['baseColor', 'normal', 'metallicRoughness', 'occlusion']);
+
+/** Values of PunctualLight.directionType.w in default.wgsl. */
+export const PUNCTUAL_LIGHT_TYPES = Object.freeze({ directional: 0, point: 1, spot: 2 });
+
+/** World-space light used until the scene supplies its own; matches the old vertex lighting. */
+export const DEFAULT_MESH_LIGHT = Object.freeze({
+    direction: Object.freeze([0.85, 0.8, 0.75]),
+    color: Object.freeze([1, 1, 1]),
+    intensity: 1,
+    ambient: 0.3,
+});
 const legacyPrimitiveLists = new WeakMap();
 
 /**
@@ -42,6 +93,126 @@ export function getMeshPrimitives(drawable) {
     return primitives;
 }
 
+/**
+ * Fills the 192-byte material uniform shared by the mesh and hybrid G-buffer
+ * shaders: baseColor, hasTexture, alphaMode, alphaCutoff, textureFlags,
+ * emissive (rgb, strength), surface (metallic, roughness, normalScale,
+ * occlusionStrength), then per MATERIAL_UV_SLOTS entry the two rows of its UV
+ * transform with the TEXCOORD set in the first row's w. Materials without PBR
+ * factors shade as rough dielectrics with untransformed TEXCOORD_0.
+ * @param {Float32Array} target forty-eight floats, overwritten.
+ * @param {object} primitive reads `material`, `texture`, `materialTextures`, `unlit` and `buffers.color`.
+ */
+export function packMaterialUniform(target, primitive, fallbackColor = WHITE) {
+    const material = primitive.material;
+    target.fill(0);
+    target.set(material?.baseColor || fallbackColor, 0);
+    const words = new Uint32Array(target.buffer, target.byteOffset, 8);
+    words[4] = primitive.texture ? 1 : 0;
+    words[5] = ALPHA_MODE_IDS[material?.alphaMode] ?? ALPHA_MODE_IDS.OPAQUE;
+    target[6] = material?.alphaCutoff ?? 0.5;
+    let textureFlags = 0;
+    for (const [slot, flag] of Object.entries(MATERIAL_TEXTURE_FLAGS)) {
+        if (primitive.materialTextures?.[slot]) textureFlags |= flag;
+    }
+    if (primitive.unlit) textureFlags |= MATERIAL_UNLIT_FLAG;
+    if (primitive.buffers?.color) textureFlags |= MATERIAL_VERTEX_COLOR_FLAG;
+    words[7] = textureFlags;
+    target.set(material?.emissive || NO_EMISSION, 8);
+    target[11] = material?.emissiveStrength ?? 1;
+    target[12] = material?.metallic ?? 0;
+    target[13] = material?.roughness ?? 1;
+    target[14] = material?.normalScale ?? 1;
+    target[15] = material?.occlusionStrength ?? 1;
+    MATERIAL_UV_SLOTS.forEach((slot, index) => {
+        const transform = material?.[`${slot}UvTransform`] || IDENTITY_UV_TRANSFORM;
+        const offset = 16 + index * 8;
+        target.set(transform.slice(0, 3), offset);
+        target[offset + 3] = material?.[`${slot}TexCoord`] === 1 ? 1 : 0;
+        target.set(transform.slice(3, 6), offset + 4);
+    });
+    return target;
+}
+
+/**
+ * Writes the normal matrix (inverse transpose of the upper 3x3) as a mat4,
+ * scaled by |det| so degenerate (zero-scale) nodes do not throw; the shader
+ * renormalizes.
+ */
+function writeNormalMatrix(target, offset, m) {
+    const c00 = m[5] * m[10] - m[6] * m[9];
+    const c01 = m[6] * m[8] - m[4] * m[10];
+    const c02 = m[4] * m[9] - m[5] * m[8];
+    const c10 = m[2] * m[9] - m[1] * m[10];
+    const c11 = m[0] * m[10] - m[2] * m[8];
+    const c12 = m[1] * m[8] - m[0] * m[9];
+    const c20 = m[1] * m[6] - m[2] * m[5];
+    const c21 = m[2] * m[4] - m[0] * m[6];
+    const c22 = m[0] * m[5] - m[1] * m[4];
+    // Mirrored transforms (negative determinant) must not flip the normals.
+    const sign = m[0] * c00 + m[1] * c01 + m[2] * c02 < 0 ? -1 : 1;
+    target.set([
+        sign * c00, sign * c01, sign * c02, 0,
+        sign * c10, sign * c11, sign * c12, 0,
+        sign * c20, sign * c21, sign * c22, 0,
+        0, 0, 0, 1,
+    ], offset);
+}
+
+/**
+ * Fills the environment uniform: the inverse view rotation (view-space
+ * normals to the map's world space), nine SH irradiance coefficients, then
+ * (enabled, intensity, specular mip count, 0).
+ */
+function packEnvironmentUniform(target, viewMatrix, environment) {
+    target.fill(0);
+    // The view matrix is rigid, so its rotation's inverse is the transpose.
+    target.set([
+        viewMatrix[0], viewMatrix[4], viewMatrix[8], 0,
+        viewMatrix[1], viewMatrix[5], viewMatrix[9], 0,
+        viewMatrix[2], viewMatrix[6], viewMatrix[10], 0,
+        0, 0, 0, 1,
+    ], 0);
+    if (!environment) return target;
+    for (let i = 0; i < 9; i++) target.set(environment.irradianceSh.subarray(i * 3, i * 3 + 3), 16 + i * 4);
+    target.set([1, environment.intensity, environment.mipCount, 0], 52);
+    return target;
+}
+
+/**
+ * Fills the punctual-lights uniform: the count, then per light its view-space
+ * position and range (0 when unlimited), travel direction and type, colour ×
+ * intensity, and spot cone cosines. Lights are posed from their node
+ * transforms every frame, so animated lights follow their nodes.
+ * @param {Float32Array} target PUNCTUAL_LIGHTS_UNIFORM_SIZE / 4 floats, overwritten.
+ * @param {number[]} viewModel view × user model matrix.
+ * @param {object[]} lights retained glTF lights (decodeGltfLights()).
+ */
+function packPunctualLights(target, viewModel, lights) {
+    target.fill(0);
+    const count = Math.min(lights.length, MAX_PUNCTUAL_LIGHTS);
+    new Uint32Array(target.buffer, target.byteOffset, 1)[0] = count;
+    for (let index = 0; index < count; index++) {
+        const light = lights[index];
+        const { position, direction } = posePunctualLight(light, viewModel);
+        const base = 4 + index * 16;
+        target.set(position, base);
+        target[base + 3] = light.range ?? 0;
+        target.set(direction, base + 4);
+        target[base + 7] = PUNCTUAL_LIGHT_TYPES[light.type];
+        target.set(light.color.map((component) => component * light.intensity), base + 8);
+        if (light.type === 'spot') {
+            target[base + 12] = Math.cos(light.innerConeAngle);
+            target[base + 13] = Math.cos(light.outerConeAngle);
+        }
+    }
+    return target;
+}
+
+function isBlended(primitive) {
+    return primitive.material?.alphaMode === 'BLEND';
+}
+
 function destroyOnce(resource, destroyedResources) {
     if (!resource || destroyedResources.has(resource)) return;
     destroyedResources.add(resource);
@@ -54,8 +225,20 @@ export class MeshRenderer extends Renderer {
     constructor(device, format) {
         super(device, format);
         this.pipeline = null;
+        this.blendPipeline = null;
+        this.pointPipeline = null;
+        this.linePipeline = null;
         this.sampler = null;
         this.defaultTexture = null;
+        this.light = DEFAULT_MESH_LIGHT;
+        this.lights = [];
+        this.lightsBuffer = null;
+        this.lightsData = new Float32Array(PUNCTUAL_LIGHTS_UNIFORM_SIZE / 4);
+        this.environment = null;
+        this.environmentTexture = null;
+        this.environmentSampler = null;
+        this.environmentBuffer = null;
+        this.environmentData = new Float32Array(ENVIRONMENT_UNIFORM_SIZE / 4);
         this.depthTexture = null;
         this.depthWidth = 0;
         this.depthHeight = 0;
@@ -70,39 +253,83 @@ export class MeshRenderer extends Renderer {
         if (this.destroyed || this.sampler) return;
         this.sampler = createSampler(this.device);
         this.defaultTexture = createDefaultTexture(this.device);
+        this.environmentSampler = createEnvironmentSampler(this.device);
+        this.environmentBuffer = createUniformBuffer(this.device, ENVIRONMENT_UNIFORM_SIZE);
+        this.lightsBuffer = createUniformBuffer(this.device, PUNCTUAL_LIGHTS_UNIFORM_SIZE);
+    }
+
+    /**
+     * Light the scene with imported glTF punctual lights (decodeGltfLights()
+     * entries; the first MAX_PUNCTUAL_LIGHTS are used) in place of the default
+     * directional light, whose ambient term stays. An empty list restores it.
+     * Each is placed by its `worldMatrix` under the frame's user model, so the
+     * scene core re-bases a node's lights onto that node before handing them in.
+     */
+    setLights(lights = []) {
+        this.lights = [...lights];
+    }
+
+    /**
+     * Switch image-based lighting on with prefilterEnvironmentLighting()
+     * output, or back to the flat ambient term with null.
+     */
+    setEnvironment(lighting) {
+        if (this.destroyed) return;
+        const previous = this.environmentTexture;
+        this.environmentTexture = lighting ? createEnvironmentTexture(this.device, lighting.specularLevels) : null;
+        this.environment = lighting ? {
+            irradianceSh: lighting.irradianceSh,
+            intensity: lighting.intensity ?? 1,
+            mipCount: lighting.specularLevels.length,
+        } : null;
+        // Bind groups notice the new texture and rebuild on the next record.
+        if (previous) destroyOnce(previous, this.destroyedResources);
     }
 
-    /** Set the render pipeline; its layout invalidates every cached bind group. */
-    setPipeline(pipeline) {
+    /**
+     * Set the render pipelines; their layouts invalidate every cached bind
+     * group. Without a blended variant, BLEND primitives draw as opaque.
+     * @param {GPURenderPipeline} pipeline
+     * @param {GPURenderPipeline|null} [blendPipeline]
+     * @param {{points?: GPURenderPipeline, lines?: GPURenderPipeline}} [topologyPipelines]
+     *        point-list and line-list variants for glTF modes 0 and 1.
+     */
+    setPipeline(pipeline, blendPipeline = null, { points = null, lines = null } = {}) {
         this.pipeline = pipeline;
+        this.blendPipeline = blendPipeline;
+        this.pointPipeline = points;
+        this.linePipeline = lines;
         for (const state of this.liveStates) {
-            for (const primitiveState of state.primitiveStates) primitiveState.bindGroup = null;
+            for (const primitiveStates of state.nodeStates.values()) {
+                for (const primitiveState of primitiveStates) primitiveState.bindGroup = null;
+            }
         }
     }
 
-    _destroyState(state) {
-        if (!state || state.released) return;
-        state.released = true;
-        for (const primitiveState of state.primitiveStates) {
+    _destroyPrimitiveStates(primitiveStates) {
+        for (const primitiveState of primitiveStates) {
             destroyOnce(primitiveState.matrixBuffer, this.destroyedResources);
             destroyOnce(primitiveState.materialBuffer, this.destroyedResources);
         }
+    }
+
+    _destroyState(state) {
+        if (!state || state.released) return;
+        state.released = true;
+        for (const primitiveStates of state.nodeStates.values()) this._destroyPrimitiveStates(primitiveStates);
+        state.nodeStates.clear();
         this.liveStates.delete(state);
     }
 
+    // Geometry and materials are shared by every node holding the drawable,
+    // but the matrix uniform is not: all of a frame's writeBuffer calls land
+    // before the encoder runs, so each node draws from uniforms of its own.
     _createState(drawable, primitives) {
         const state = {
             drawable,
             primitives,
             released: false,
-            primitiveStates: primitives.map(() => ({
-                matrixBuffer: createUniformBuffer(this.device, MATRIX_UNIFORM_SIZE),
-                materialBuffer: createUniformBuffer(this.device, MATERIAL_UNIFORM_SIZE),
-                matrixData: new Float32Array(32),
-                materialData: new Float32Array(8),
-                bindGroup: null,
-                boundTexture: null,
-            })),
+            nodeStates: new Map(), // frame.nodeId (null when standalone) -> per-primitive uniforms
         };
         this.drawableStates.set(drawable, state);
         this.liveStates.add(state);
@@ -125,6 +352,23 @@ export class MeshRenderer extends Renderer {
         return this.drawableStates.get(drawable);
     }
 
+    _nodePrimitiveStates(state, nodeId) {
+        let primitiveStates = state.nodeStates.get(nodeId);
+        if (primitiveStates) return primitiveStates;
+        primitiveStates = state.primitives.map(() => ({
+            matrixBuffer: createUniformBuffer(this.device, MATRIX_UNIFORM_SIZE),
+            materialBuffer: createUniformBuffer(this.device, MATERIAL_UNIFORM_SIZE),
+            matrixData: new Float32Array(MATRIX_UNIFORM_SIZE / 4),
+            materialData: new Float32Array(MATERIAL_UNIFORM_SIZE / 4),
+            bindGroup: null,
+            boundTextures: null,
+            boundPipeline: null,
+            viewDepth: 0,
+        }));
+        state.nodeStates.set(nodeId, primitiveStates);
+        return primitiveStates;
+    }
+
     _ensureDepthTexture(width, height) {
         if (this.depthTexture && this.depthWidth === width && this.depthHeight === height) return;
         destroyOnce(this.depthTexture, this.destroyedResources);
@@ -133,71 +377,175 @@ export class MeshRenderer extends Renderer {
         this.depthHeight = height;
     }
 
-    _updatePrimitiveState(frame, primitive, primitiveState) {
+    _updatePrimitiveState(frame, primitive, primitiveState, lightUniform) {
         const userModel = frame.sceneState.modelViewMatrix || createIdentityMatrix();
         const instanceWorld = primitive.worldMatrix || createIdentityMatrix();
-        const effectiveWorld = multiplyMatrices(userModel, instanceWorld);
+        const nodeModel = frame.modelMatrix ? multiplyMatrices(userModel, frame.modelMatrix) : userModel;
+        const effectiveWorld = multiplyMatrices(nodeModel, instanceWorld);
         const modelViewMatrix = multiplyMatrices(frame.viewMatrix, effectiveWorld);
-        primitiveState.matrixData.set(frame.projectionMatrix, 0);
-        primitiveState.matrixData.set(modelViewMatrix, 16);
-        frame.device.queue.writeBuffer(primitiveState.matrixBuffer, 0, primitiveState.matrixData);
-
-        const hasTexture = primitive.texture ? 1 : 0;
-        const baseColor = primitive.material?.baseColor || (hasTexture ? WHITE : LEGACY_UNTEXTURED_COLOR);
-        primitiveState.materialData.fill(0);
-        primitiveState.materialData.set(baseColor, 0);
-        new Uint32Array(primitiveState.materialData.buffer)[4] = hasTexture;
+        const [cx, cy, cz] = primitive.center || NO_CENTER;
+        primitiveState.viewDepth = modelViewMatrix[2] * cx + modelViewMatrix[6] * cy
+            + modelViewMatrix[10] * cz + modelViewMatrix[14];
+        const { matrixData } = primitiveState;
+        matrixData.set(frame.projectionMatrix, 0);
+        matrixData.set(modelViewMatrix, 16);
+        writeNormalMatrix(matrixData, 32, modelViewMatrix);
+        matrixData.set(lightUniform, 48);
+        frame.device.queue.writeBuffer(primitiveState.matrixBuffer, 0, matrixData);
+
+        packMaterialUniform(
+            primitiveState.materialData,
+            primitive,
+            primitive.texture ? WHITE : LEGACY_UNTEXTURED_COLOR,
+        );
         frame.device.queue.writeBuffer(primitiveState.materialBuffer, 0, primitiveState.materialData);
 
-        const texture = primitive.texture || this.defaultTexture;
-        if (!primitiveState.bindGroup || primitiveState.boundTexture !== texture) {
-            primitiveState.bindGroup = createBindGroup(frame.device, this.pipeline, {
+        // Auto-layout bind groups only fit the pipeline they were created from.
+        const maps = primitive.materialTextures;
+        const textures = [
+            primitive.texture || this.defaultTexture,
+            maps?.normal || this.defaultTexture,
+            maps?.metallicRoughness || this.defaultTexture,
+            maps?.occlusion || this.defaultTexture,
+            this.environmentTexture || this.defaultTexture,
+        ];
+        const pipeline = this._pipelineFor(primitive);
+        if (!pipeline) return;
+        if (!primitiveState.bindGroup || primitiveState.boundPipeline !== pipeline
+            || textures.some((texture, slot) => primitiveState.boundTextures[slot] !== texture)) {
+            primitiveState.bindGroup = createBindGroup(frame.device, pipeline, {
                 matrixBuffer: primitiveState.matrixBuffer,
                 materialBuffer: primitiveState.materialBuffer,
                 sampler: this.sampler,
-                texture,
+                texture: textures[0],
+                normalTexture: textures[1],
+                metallicRoughnessTexture: textures[2],
+                occlusionTexture: textures[3],
+                environmentBuffer: this.environmentBuffer,
+                environmentTexture: textures[4],
+                environmentSampler: this.environmentSampler,
+                lightsBuffer: this.lightsBuffer,
             });
-            primitiveState.boundTexture = texture;
+            primitiveState.boundTextures = textures;
+            primitiveState.boundPipeline = pipeline;
         }
     }
 
+    /**
+     * Packs the light into the matrix uniform's tail: view-space direction
+     * toward the light, then colour × intensity with the ambient term in w.
+     * Imported punctual lights switch the default light off.
+     */
+    _packLight(viewMatrix) {
+        const { direction, color, ambient = 0 } = this.light;
+        const intensity = this.lights.length ? 0 : this.light.intensity ?? 1;
+        const [x, y, z] = transformDirection(viewMatrix, direction);
+        const length = Math.hypot(x, y, z) || 1;
+        return new Float32Array([
+            x / length, y / length, z / length, 0,
+            color[0] * intensity, color[1] * intensity, color[2] * intensity, ambient,
+        ]);
+    }
+
+    _pipelineFor(primitive) {
+        if (primitive.mode === GLTF_PRIMITIVE_MODES.POINTS) return this.pointPipeline;
+        if (primitive.mode === GLTF_PRIMITIVE_MODES.LINES) return this.linePipeline;
+        return isBlended(primitive) ? this.blendPipeline ?? this.pipeline : this.pipeline;
+    }
+
     record(frame, drawable) {
-        if (!this.pipeline || !drawable || this.destroyed) return;
-        const state = this._ensureState(drawable);
-        if (!state?.primitives.length) return;
-        this._ensureDepthTexture(frame.width, frame.height);
+        const node = { drawable, modelMatrix: frame.modelMatrix ?? null, nodeId: frame.nodeId ?? null };
+        this.recordNodes(frame, [node]);
+    }
 
-        state.primitives.forEach((primitive, index) => {
-            this._updatePrimitiveState(frame, primitive, state.primitiveStates[index]);
-        });
+    /**
+     * Draws several mesh nodes in one pass: every node's opaque primitives
+     * first, then the blended primitives of all of them, farthest first, so
+     * blending composites across nodes (the blend pipeline writes no depth).
+     */
+    recordNodes(frame, nodes) {
+        if (!this.pipeline || this.destroyed) return;
+        const lightUniform = this._packLight(frame.viewMatrix);
+        const draws = [];
+        for (const { drawable, modelMatrix, nodeId } of nodes) {
+            if (!drawable) continue;
+            const state = this._ensureState(drawable);
+            if (!state?.primitives.length) continue;
+            const primitiveStates = this._nodePrimitiveStates(state, nodeId ?? null);
+            const nodeFrame = { ...frame, modelMatrix };
+            state.primitives.forEach((primitive, index) => {
+                this._updatePrimitiveState(nodeFrame, primitive, primitiveStates[index], lightUniform);
+                draws.push({ primitive, primitiveState: primitiveStates[index] });
+            });
+        }
+        if (!draws.length) return;
+        // The scene core's shared attachment, so splats drawn afterwards can
+        // depth-test against these meshes; a private one when run standalone.
+        let depthView = frame.depthView;
+        if (!depthView) {
+            this._ensureDepthTexture(frame.width, frame.height);
+            depthView = this.depthTexture.createView();
+        }
 
+        packEnvironmentUniform(this.environmentData, frame.viewMatrix, this.environment);
+        frame.device.queue.writeBuffer(this.environmentBuffer, 0, this.environmentData);
+        // Lights travel with the user model, like the glTF they came from.
+        const userModel = frame.sceneState.modelViewMatrix || createIdentityMatrix();
+        packPunctualLights(this.lightsData, multiplyMatrices(frame.viewMatrix, userModel), this.lights);
+        frame.device.queue.writeBuffer(this.lightsBuffer, 0, this.lightsData);
+
+        // Later mesh passes in the same frame keep the earlier ones' depth.
+        const loadOp = frame.loadOp ?? 'clear';
         const pass = frame.encoder.beginRenderPass({
             colorAttachments: [{
                 view: frame.targetView,
                 clearValue: { r: 0, g: 0, b: 0, a: 1 },
-                loadOp: 'clear',
+                loadOp,
                 storeOp: 'store',
             }],
             depthStencilAttachment: {
-                view: this.depthTexture.createView(),
+                view: depthView,
                 depthClearValue: 1,
-                depthLoadOp: 'clear',
+                depthLoadOp: loadOp,
                 depthStoreOp: 'store',
             },
         });
 
-        pass.setPipeline(this.pipeline);
-        state.primitives.forEach((primitive, index) => {
-            pass.setBindGroup(0, state.primitiveStates[index].bindGroup);
+        // Blended primitives go last, farthest first (view space looks down -Z).
+        const opaque = draws.filter((draw) => !isBlended(draw.primitive));
+        const blended = draws.filter((draw) => isBlended(draw.primitive))
+            .sort((a, b) => a.primitiveState.viewDepth - b.primitiveState.viewDepth);
+
+        let boundPipeline = null;
+        for (const { primitive, primitiveState } of [...opaque, ...blended]) {
+            const pipeline = this._pipelineFor(primitive);
+            if (!pipeline) continue;
+            if (pipeline !== boundPipeline) {
+                pass.setPipeline(pipeline);
+                boundPipeline = pipeline;
+            }
+            pass.setBindGroup(0, primitiveState.bindGroup);
             pass.setVertexBuffer(0, primitive.buffers.position);
             pass.setVertexBuffer(1, primitive.buffers.normal);
             pass.setVertexBuffer(2, primitive.buffers.texCoord);
+            pass.setVertexBuffer(3, primitive.buffers.tangent);
+            pass.setVertexBuffer(4, primitive.buffers.texCoord1 ?? primitive.buffers.texCoord);
+            pass.setVertexBuffer(5, primitive.buffers.color ?? primitive.buffers.tangent);
             pass.setIndexBuffer(primitive.buffers.indices, primitive.indexFormat ?? 'uint16');
             pass.drawIndexed(primitive.indexCount);
-        });
+        }
         pass.end();
     }
 
+    /** Free the uniforms a node drew the drawable with, once it no longer holds it. */
+    releaseNode(drawable, nodeId) {
+        const state = this.drawableStates.get(drawable);
+        const primitiveStates = state?.nodeStates.get(nodeId);
+        if (!primitiveStates) return;
+        this._destroyPrimitiveStates(primitiveStates);
+        state.nodeStates.delete(nodeId);
+    }
+
     releaseDrawable(drawable) {
         if (!drawable || this.releasedDrawables.has(drawable)) return;
         this.releasedDrawables.add(drawable);
@@ -206,11 +554,16 @@ export class MeshRenderer extends Renderer {
             destroyOnce(primitive.buffers?.position, this.destroyedResources);
             destroyOnce(primitive.buffers?.normal, this.destroyedResources);
             destroyOnce(primitive.buffers?.texCoord, this.destroyedResources);
+            destroyOnce(primitive.buffers?.texCoord1, this.destroyedResources);
+            destroyOnce(primitive.buffers?.color, this.destroyedResources);
+            destroyOnce(primitive.buffers?.tangent, this.destroyedResources);
             destroyOnce(primitive.buffers?.indices, this.destroyedResources);
-            if (primitive.texture && primitive.texture !== this.defaultTexture) {
-                destroyOnce(primitive.texture, this.destroyedResources);
+            for (const texture of [primitive.texture, ...Object.values(primitive.materialTextures ?? {})]) {
+                if (texture && texture !== this.defaultTexture) destroyOnce(texture, this.destroyedResources);
             }
         }
+        // Maps of material variants not currently selected.
+        for (const texture of drawable.materialVariants?.textures ?? []) destroyOnce(texture, this.destroyedResources);
     }
 
     destroy() {
@@ -219,7 +572,14 @@ export class MeshRenderer extends Renderer {
         for (const state of [...this.liveStates]) this.releaseDrawable(state.drawable);
         destroyOnce(this.depthTexture, this.destroyedResources);
         destroyOnce(this.defaultTexture, this.destroyedResources);
+        destroyOnce(this.environmentTexture, this.destroyedResources);
+        destroyOnce(this.environmentBuffer, this.destroyedResources);
+        destroyOnce(this.lightsBuffer, this.destroyedResources);
         this.depthTexture = null;
         this.defaultTexture = null;
+        this.environmentTexture = null;
+        this.environmentBuffer = null;
+        this.lightsBuffer = null;
+        this.environment = null;
     }
 }
@@ -1,11 +1,13 @@
 import { Renderer } from './renderer.js';
 import { createCameraFrame } from '../raytracing/core/camera-rays.js';
+import { getLightTable } from '../raytracing/core/light-table.js';
 import {
     DIAGNOSTICS_SIZE,
+    FRAME_FLAG_HAS_ENVIRONMENT_MAP,
     FRAME_FLAG_HAS_TLAS,
     packFrameUniforms,
 } from '../raytracing/gpu/gpu-ray-layout.js';
-import { packGpuScene } from '../raytracing/gpu/gpu-scene-packer.js';
+import { packGpuLighting, packGpuScene } from '../raytracing/gpu/gpu-scene-packer.js';
 import {
     advanceAccumulationTargets,
     assertRayTracingDeviceSupport,
@@ -14,14 +16,17 @@ import {
     createGpuRayBindGroupLayouts,
     createGpuRayDisplayBindGroups,
     createGpuRayFrameResources,
+    createGpuRayLightingResources,
     createGpuRaySceneBindGroup,
     createGpuRaySceneResources,
     destroyAccumulationTargets,
     destroyGpuRayFrameResources,
+    destroyGpuRayLightingResources,
     destroyGpuRaySceneResources,
     getAccumulationPair,
     resizeAccumulationTargets,
     uploadGpuRayFrameUniforms,
+    uploadGpuRayMaterials,
     uploadGpuRayTlasAndInstances,
 } from '../raytracing/gpu/gpu-ray-helpers.js';
 
@@ -56,17 +61,6 @@ function cameraKey(cameraFrame, width, height) {
     ].join(',');
 }
 
-function firstLight(scene) {
-    return scene.lights?.[0] || {
-        type: 'rect',
-        center: [0, 0, 0],
-        u: [0, 0, 0],
-        v: [0, 0, 0],
-        color: [1, 1, 1],
-        intensity: 0,
-    };
-}
-
 function revisionsKey(revisions = {}) {
     return REVISION_FIELDS.map((field) => {
         const value = revisions[field] ?? 0;
@@ -93,6 +87,8 @@ export class RayTraceRenderer extends Renderer {
         this.layouts = null;
         this.frameResources = null;
         this.sceneResources = null;
+        this.lightingResources = null;
+        this.lightingSources = null;
         this.packedScene = null;
         this.drawable = null;
         this.tracePipeline = null;
@@ -178,13 +174,42 @@ export class RayTraceRenderer extends Renderer {
         this.sceneResources = createGpuRaySceneResources(this.device, packed);
         this.packedScene = packed;
         this.drawable = drawable;
+        this.syncLighting(drawable.scene);
+        this.rebuildSceneBindGroup();
+        this.resetAccumulation();
+    }
+
+    rebuildSceneBindGroup() {
+        if (!this.sceneResources || !this.lightingResources) return;
         this.sceneBindGroup = createGpuRaySceneBindGroup(
             this.device,
             this.layouts.scene,
             this.sceneResources,
             this.frameResources,
+            this.lightingResources,
         );
-        this.resetAccumulation();
+    }
+
+    /**
+     * Re-uploads the lighting buffer when the scene's environment map, its
+     * light table or the packed geometry the triangle lights index change.
+     * @returns {boolean} whether it changed, invalidating the accumulation.
+     */
+    syncLighting(scene) {
+        const sources = [
+            scene.environment?.map || null,
+            getLightTable(scene),
+            this.packedScene.metadata.geometryRanges,
+        ];
+        if (this.lightingResources && sources.every((source, index) => source === this.lightingSources[index])) {
+            return false;
+        }
+        const next = createGpuRayLightingResources(this.device, packGpuLighting(sources[0], scene, sources[2]));
+        destroyGpuRayLightingResources(this.lightingResources);
+        this.lightingResources = next;
+        this.lightingSources = sources;
+        this.rebuildSceneBindGroup();
+        return true;
     }
 
     /** Applies an already-packed transform-only update without replacing static buffers. */
@@ -197,6 +222,15 @@ export class RayTraceRenderer extends Renderer {
         this.resetAccumulation();
     }
 
+    updateMaterials(drawable, packed, ranges) {
+        if (drawable !== this.drawable || !this.sceneResources) {
+            throw new Error('Material update requires the currently prepared ray drawable.');
+        }
+        uploadGpuRayMaterials(this.device, this.sceneResources, packed, ranges);
+        this.packedScene = packed;
+        this.resetAccumulation();
+    }
+
     resetAccumulation() {
         this.sampleCount = 0;
         this.lastCameraKey = null;
@@ -242,12 +276,18 @@ export class RayTraceRenderer extends Renderer {
             eye: camera.getPosition(),
             target: camera.target,
             up: camera.up,
-            fovY: scene.camera?.fovY || 45 * Math.PI / 180,
+            // The viewport's perspective wins, so switching to an authored camera
+            // changes the traced view too; orthographic cameras trace in perspective.
+            fovY: camera.projection?.type === 'perspective'
+                ? camera.projection.yfov
+                : scene.camera?.fovY || 45 * Math.PI / 180,
             aspect: width / height,
         });
         const nextCameraKey = cameraKey(cameraFrame, width, height);
         const nextRevisionKey = revisionsKey(drawable.revisions);
-        if ((this.lastCameraKey !== null && this.lastCameraKey !== nextCameraKey)
+        const lightingChanged = this.syncLighting(scene);
+        if (lightingChanged
+            || (this.lastCameraKey !== null && this.lastCameraKey !== nextCameraKey)
             || (this.lastRevisionKey !== null && this.lastRevisionKey !== nextRevisionKey)) {
             this.sampleCount = 0;
             this.accumulationTargets.readIndex = 0;
@@ -255,7 +295,6 @@ export class RayTraceRenderer extends Renderer {
         this.lastCameraKey = nextCameraKey;
         this.lastRevisionKey = nextRevisionKey;
 
-        const light = firstLight(scene);
         const uniforms = packFrameUniforms({
             cameraFrame,
             width,
@@ -264,13 +303,13 @@ export class RayTraceRenderer extends Renderer {
             frameSeed: this.settings.seed,
             maxBounces: this.settings.maxBounces,
             samplesPerFrame: this.settings.samplesPerFrame,
-            lightType: light.type || 'rect',
-            flags: this.packedScene.metadata.tlasNodeCount > 0 ? FRAME_FLAG_HAS_TLAS : 0,
+            flags: (this.packedScene.metadata.tlasNodeCount > 0 ? FRAME_FLAG_HAS_TLAS : 0)
+                | (this.lightingResources.metadata.width > 0 ? FRAME_FLAG_HAS_ENVIRONMENT_MAP : 0),
             rayEpsilon: 1e-4 * Math.max(1, scene.bounds?.radius || 0),
             exposure: this.settings.exposure,
             environmentIntensity: this.settings.environmentIntensity,
             environment: scene.environment?.color || [0, 0, 0],
-            light,
+            lighting: this.lightingResources.metadata,
         });
         uploadGpuRayFrameUniforms(device, this.frameResources, uniforms);
         clearGpuRayDiagnostics(device, this.frameResources);
@@ -400,6 +439,9 @@ export class RayTraceRenderer extends Renderer {
     destroy() {
         if (this.destroyed) return;
         this.releaseDrawable(this.drawable);
+        destroyGpuRayLightingResources(this.lightingResources);
+        this.lightingResources = null;
+        this.lightingSources = null;
         destroyAccumulationTargets(this.accumulationTargets);
         destroyGpuRayFrameResources(this.frameResources);
         this.accumulationTargets = null;
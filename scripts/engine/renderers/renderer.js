@@ -35,13 +35,21 @@ export class Renderer {
      * Record this frame's compute/draw commands into `frame.encoder`.
      * @param {object} frame - shared per-frame state from the scene core:
      *   { device, encoder, targetView, camera, viewMatrix, projectionMatrix,
-     *     width, height, deltaTime, sceneState }
+     *     width, height, deltaTime, sceneState, modelMatrix, nodeId, loadOp }
+     *   `modelMatrix` is the drawable's scene-graph world matrix (null means
+     *   identity) and `nodeId` the node carrying it (null outside the graph);
+     *   one drawable may be recorded once per node holding it, so per-draw
+     *   uniforms must be kept per node. `loadOp` is 'clear' for the frame's
+     *   first pass and 'load' for passes that composite over earlier ones.
      * @param {object} drawable - the active drawable (this renderer's `kind`)
      */
     record(_frame, _drawable) {
         throw new Error(`${this.kind} renderer: record() not implemented`);
     }
 
+    /** Free per-node state for a drawable the node no longer carries (other nodes still may). */
+    releaseNode(_drawable, _nodeId) {}
+
     /** Free GPU resources owned by a drawable of this renderer's kind. */
     releaseDrawable(_drawable) {}
 
@@ -6,13 +6,22 @@
  * Draws splats as instanced premultiplied-alpha billboards. Depth ordering is
  * delegated to a pluggable SortBackend and the splat set to a ReductionStage
  * (see docs/splat-ordering.md); this renderer owns only the render/debug
- * pipelines, the render-params buffer, and the blend pass. A debug mode draws
+ * pipelines, the render-params buffers, and the blend pass. A debug mode draws
  * splat centers as points to validate parsing/projection independently.
  *
+ * Everything view-dependent lives in a slot per (drawable, scene-graph node):
+ * render params, bind groups, and the sort and reduction state, which the
+ * backends key by the same slot. One cloud placed by two nodes is therefore
+ * sorted twice, each for its own view, and slots persist across frames.
+ *
  * Shared entities (camera, view/projection matrices) arrive via `frame`.
+ * Passes attach `frame.depthView` read-only, so splats composited after the
+ * opaque meshes are occluded by them; without one, a private cleared depth
+ * texture stands in and the result matches the old depth-less draw.
  */
 import { Renderer } from './renderer.js';
-import { createUniformBuffer } from '../webgpu-helpers.js';
+import { DEPTH_FORMAT, createDepthTexture, createUniformBuffer } from '../webgpu-helpers.js';
+import { invertMatrix, multiplyMatrices, transformPoint } from '../matrix.js';
 import {
     createSplatRenderPipeline,
     createSplatDebugPipeline,
@@ -35,7 +44,6 @@ export class SplatRenderer extends Renderer {
         this.renderPipeline = null;
         this.debugPipeline = null;
 
-        this.renderParamsBuffer = null;
         this.renderParamsData = new Float32Array(RENDER_PARAMS_SIZE / 4);
         // Aliased u32 view so shStride/shDegree can share the render-params scratch.
         this.renderParamsU32 = new Uint32Array(this.renderParamsData.buffer);
@@ -54,15 +62,17 @@ export class SplatRenderer extends Renderer {
         this.culledReduction = new CulledReduction(device);
         this.reduction = this.noneReduction;
 
-        this.renderBindGroup = null;
-        this.debugBindGroup = null;
-        // Held so setSort() can rebuild the render bind group, which binds the
-        // *active* backend's index buffer.
-        this.drawable = null;
+        // drawable -> (frame.nodeId -> slot). A slot holds the node's render
+        // params buffer and bind groups; the render bind group binds the active
+        // backend's index buffer, so setSort() rebuilds every slot.
+        this.slots = new Map();
+
+        this.depthTexture = null;
+        this.depthWidth = 0;
+        this.depthHeight = 0;
     }
 
     init() {
-        this.renderParamsBuffer = createUniformBuffer(this.device, RENDER_PARAMS_SIZE);
         this.bitonicSort.init();
         this.radixSort.init();
         this.noneReduction.init();
@@ -71,11 +81,13 @@ export class SplatRenderer extends Renderer {
 
     /** Build the render + debug pipelines; hand the sort + cull WGSL to the backends. */
     setShaders(splatWgsl, sortWgsl, cullWgsl, radixWgsl) {
-        this.renderPipeline = createSplatRenderPipeline(this.device, splatWgsl, this.format);
-        this.debugPipeline = createSplatDebugPipeline(this.device, splatWgsl, this.format);
+        const options = { depthFormat: DEPTH_FORMAT };
+        this.renderPipeline = createSplatRenderPipeline(this.device, splatWgsl, this.format, options);
+        this.debugPipeline = createSplatDebugPipeline(this.device, splatWgsl, this.format, options);
         this.bitonicSort.setShaders(sortWgsl);
         this.radixSort.setShaders(sortWgsl, radixWgsl);
         if (cullWgsl) this.culledReduction.setShaders(cullWgsl);
+        for (const slot of this._allSlots()) this._prepareSlot(slot);
     }
 
     setDebugMode(mode) {
@@ -84,7 +96,10 @@ export class SplatRenderer extends Renderer {
 
     /** Select the reduction axis: 'none' (passthrough) or 'culled' (frustum cull). */
     setReduction(mode) {
-        this.reduction = mode === 'culled' ? this.culledReduction : this.noneReduction;
+        const next = mode === 'culled' ? this.culledReduction : this.noneReduction;
+        if (next === this.reduction) return;
+        this.reduction = next;
+        for (const slot of this._allSlots()) this.reduction.prepare(slot.drawable, slot);
     }
 
     /**
@@ -93,14 +108,14 @@ export class SplatRenderer extends Renderer {
      * Unlike the reduction axis, this must re-prepare: the render bind group
      * holds the *previous* backend's index buffer, so drawing without a rebuild
      * would read a stale (or destroyed) buffer. The outgoing backend's
-     * per-drawable buffers are released so only the active one is resident.
+     * per-slot buffers are released so only the active one is resident.
      */
     setSort(mode) {
         const next = mode === 'radix' ? this.radixSort : this.bitonicSort;
         if (next === this.sortBackend) return;
-        this.sortBackend.releaseDrawable(this.drawable);
+        for (const slot of this._allSlots()) this.sortBackend.releaseSlot(slot);
         this.sortBackend = next;
-        if (this.drawable) this.prepare(this.drawable);
+        for (const slot of this._allSlots()) this._prepareSlot(slot);
     }
 
     /** Debug info for the stats overlay: active sort/reduction + visible-splat count. */
@@ -117,42 +132,92 @@ export class SplatRenderer extends Renderer {
         this.maxShDegree = Math.max(0, Math.min(3, degree | 0));
     }
 
-    prepare(drawable) {
-        this.renderBindGroup = null;
-        this.debugBindGroup = null;
-        this.drawable = drawable ?? null;
+    *_allSlots() {
+        for (const nodeSlots of this.slots.values()) yield* nodeSlots.values();
+    }
+
+    /** The slot a node draws the drawable through, built on first use. */
+    _slot(drawable, nodeId) {
+        let nodeSlots = this.slots.get(drawable);
+        if (!nodeSlots) {
+            nodeSlots = new Map();
+            this.slots.set(drawable, nodeSlots);
+        }
+        let slot = nodeSlots.get(nodeId);
+        if (!slot) {
+            slot = { drawable, nodeId, renderParamsBuffer: null, renderBindGroup: null, debugBindGroup: null };
+            nodeSlots.set(nodeId, slot);
+            this._prepareSlot(slot);
+        }
+        return slot;
+    }
+
+    _prepareSlot(slot) {
+        slot.renderBindGroup = null;
+        slot.debugBindGroup = null;
+        const { drawable } = slot;
         if (!drawable || drawable.kind !== 'splat' || !drawable.count || !drawable.shBuffer) return;
-        if (!this.renderPipeline || !this.renderParamsBuffer) return;
+        if (!this.renderPipeline) return;
 
-        this.reduction.prepare(drawable);
-        this.sortBackend.prepare(drawable);
-        const indexBuffer = this.sortBackend.indexBuffer;
+        this.reduction.prepare(drawable, slot);
+        this.sortBackend.prepare(drawable, slot);
+        const indexBuffer = this.sortBackend.indexBufferFor(slot);
         if (!indexBuffer) return;
 
         const { device } = this;
         const { storageBuffer } = drawable;
+        slot.renderParamsBuffer ??= createUniformBuffer(device, RENDER_PARAMS_SIZE);
 
-        this.renderBindGroup = device.createBindGroup({
+        slot.renderBindGroup = device.createBindGroup({
             layout: this.renderPipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: this.renderParamsBuffer } },
+                { binding: 0, resource: { buffer: slot.renderParamsBuffer } },
                 { binding: 1, resource: { buffer: storageBuffer } },
                 { binding: 2, resource: { buffer: indexBuffer } },
                 { binding: 3, resource: { buffer: drawable.shBuffer } },
             ],
         });
-        this.debugBindGroup = device.createBindGroup({
+        slot.debugBindGroup = device.createBindGroup({
             layout: this.debugPipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: this.renderParamsBuffer } },
+                { binding: 0, resource: { buffer: slot.renderParamsBuffer } },
                 { binding: 1, resource: { buffer: storageBuffer } },
             ],
         });
     }
 
+    /** Rebuild the drawable's slots; nodes that have not drawn it yet build theirs on first record. */
+    prepare(drawable) {
+        for (const slot of this.slots.get(drawable)?.values() ?? []) this._prepareSlot(slot);
+    }
+
+    _depthView(frame) {
+        if (frame.depthView) return frame.depthView;
+        if (!this.depthTexture || this.depthWidth !== frame.width || this.depthHeight !== frame.height) {
+            this.depthTexture?.destroy?.();
+            this.depthTexture = createDepthTexture(this.device, frame.width, frame.height);
+            this.depthWidth = frame.width;
+            this.depthHeight = frame.height;
+        }
+        return this.depthTexture.createView();
+    }
+
     record(frame, drawable) {
-        const { device, encoder, targetView, camera, viewMatrix, projectionMatrix, width, height } = frame;
+        const { device, encoder, targetView, camera, projectionMatrix, width, height } = frame;
         if (!this.renderPipeline || !drawable.count) return;
+        const slot = this._slot(drawable, frame.nodeId ?? null);
+        if (!slot.renderParamsBuffer) return;
+
+        // Splats are shaded in the cloud's own frame: fold the node's world
+        // matrix into the view and bring the eye into local space, so the sort
+        // and reduction stages see a consistent view without knowing about nodes.
+        let viewMatrix = frame.viewMatrix;
+        let eye = camera?.getPosition?.() ?? [0, 0, 0];
+        if (frame.modelMatrix) {
+            viewMatrix = multiplyMatrices(frame.viewMatrix, frame.modelMatrix);
+            eye = transformPoint(invertMatrix(frame.modelMatrix), eye);
+            frame = { ...frame, viewMatrix };
+        }
 
         // Upload render params (proj, view, viewport, camera position, SH stride/degree).
         this.renderParamsData.set(projectionMatrix, 0);
@@ -162,35 +227,42 @@ export class SplatRenderer extends Renderer {
         // Buffer stride is fixed by the loaded scene; the displayed degree is clamped
         // independently, so lowering it must not shift where each splat's SH starts.
         this.renderParamsU32[34] = shCoeffCount(drawable.shDegree ?? 0);
-        const eye = camera?.getPosition?.() ?? [0, 0, 0];
         this.renderParamsData[36] = eye[0];
         this.renderParamsData[37] = eye[1];
         this.renderParamsData[38] = eye[2];
         this.renderParamsU32[39] = Math.min(drawable.shDegree ?? 0, this.maxShDegree);
-        device.queue.writeBuffer(this.renderParamsBuffer, 0, this.renderParamsData);
+        device.queue.writeBuffer(slot.renderParamsBuffer, 0, this.renderParamsData);
 
         const colorAttachment = {
             view: targetView,
             clearValue: { r: 0, g: 0, b: 0, a: 1 },
-            loadOp: 'clear',
+            loadOp: frame.loadOp ?? 'clear',
             storeOp: 'store',
         };
+        // Read-only use of the shared depth: clear it only if this is the
+        // frame's first pass (nothing opaque was drawn before the splats).
+        const depthStencilAttachment = {
+            view: this._depthView(frame),
+            depthClearValue: 1,
+            depthLoadOp: frame.loadOp ?? 'clear',
+            depthStoreOp: 'store',
+        };
 
         if (this.debugMode === 'points') {
-            if (!this.debugBindGroup) return;
-            const pass = encoder.beginRenderPass({ colorAttachments: [colorAttachment] });
+            if (!slot.debugBindGroup) return;
+            const pass = encoder.beginRenderPass({ colorAttachments: [colorAttachment], depthStencilAttachment });
             pass.setPipeline(this.debugPipeline);
-            pass.setBindGroup(0, this.debugBindGroup);
+            pass.setBindGroup(0, slot.debugBindGroup);
             pass.draw(drawable.count); // one point per splat
             pass.end();
             return;
         }
 
-        if (!this.renderBindGroup) return;
+        if (!slot.renderBindGroup) return;
 
         // Sort back-to-front; the active reduction may mask culled keys mid-sort and
         // return indirect draw args (see docs/splat-ordering.md).
-        const sortResult = this.sortBackend.run(frame, drawable, this.reduction);
+        const sortResult = this.sortBackend.run(frame, drawable, this.reduction, slot);
 
         // --- Blend pass (instanced billboards, back-to-front) ---
         // Timed as 'render': with no early-out, every splat rasterizes its full
@@ -199,10 +271,11 @@ export class SplatRenderer extends Renderer {
         const renderTs = frame.gpuTimer?.span('render');
         const pass = encoder.beginRenderPass({
             colorAttachments: [colorAttachment],
+            depthStencilAttachment,
             ...(renderTs ? { timestampWrites: renderTs } : {}),
         });
         pass.setPipeline(this.renderPipeline);
-        pass.setBindGroup(0, this.renderBindGroup);
+        pass.setBindGroup(0, slot.renderBindGroup);
         if (sortResult?.indirect) {
             pass.drawIndirect(sortResult.indirect, 0); // only the visible instance count
         } else {
@@ -211,24 +284,42 @@ export class SplatRenderer extends Renderer {
         pass.end();
     }
 
+    _releaseSlot(slot) {
+        this.bitonicSort.releaseSlot(slot);
+        this.radixSort.releaseSlot(slot);
+        this.noneReduction.releaseSlot(slot);
+        this.culledReduction.releaseSlot(slot);
+        slot.renderParamsBuffer?.destroy?.();
+        slot.renderParamsBuffer = null;
+        slot.renderBindGroup = null;
+        slot.debugBindGroup = null;
+    }
+
+    releaseNode(drawable, nodeId) {
+        const nodeSlots = this.slots.get(drawable);
+        const slot = nodeSlots?.get(nodeId);
+        if (!slot) return;
+        this._releaseSlot(slot);
+        nodeSlots.delete(nodeId);
+    }
+
     releaseDrawable(drawable) {
         // The storage and SH buffers are owned by the drawable (created by the facade).
         if (drawable?.storageBuffer?.destroy) drawable.storageBuffer.destroy();
         if (drawable?.shBuffer?.destroy) drawable.shBuffer.destroy();
-        this.bitonicSort.releaseDrawable(drawable);
-        this.radixSort.releaseDrawable(drawable);
-        this.noneReduction.releaseDrawable(drawable);
+        for (const slot of this.slots.get(drawable)?.values() ?? []) this._releaseSlot(slot);
+        this.slots.delete(drawable);
         this.culledReduction.releaseDrawable(drawable);
-        this.renderBindGroup = null;
-        this.debugBindGroup = null;
-        this.drawable = null;
     }
 
     destroy() {
+        for (const slot of this._allSlots()) this._releaseSlot(slot);
+        this.slots.clear();
         this.bitonicSort.destroy();
         this.radixSort.destroy();
         this.noneReduction.destroy();
         this.culledReduction.destroy();
-        this.renderParamsBuffer?.destroy?.();
+        this.depthTexture?.destroy?.();
+        this.depthTexture = null;
     }
 }
@@ -7,13 +7,59 @@
  * scan + duplicate (per-tile key/value), sort (global depth), composite (per-tile
  * shared-memory front-to-back), blit (storage texture → swapchain).
  *
- * Step 1 (scaffold): a compute pass writes a test pattern into an rgba8unorm
- * storage texture, then a fullscreen blit samples it to the swapchain. Proves
- * the compute → storage-texture → blit plumbing before any splat math.
+ * The stages live in splat-tile-render.wgsl; the (tile, depth) keys are sorted
+ * by the same radix passes as RadixSortBackend (splat-radix-sort.wgsl), and the
+ * tile grid and key split come from splat-tiles.js. The composite writes
+ * premultiplied (colour, 1 - transmittance) into an rgba8unorm storage texture
+ * that the blit lays "over" the frame, so the image matches the instanced
+ * SplatRenderer's back-to-front blend.
+ *
+ * Like the instanced path, splats are occluded by opaque meshes drawn earlier
+ * in the frame: the composite reads `frame.depthView` per pixel, and the blit
+ * pass attaches it so that, as the frame's first pass, it still clears depth.
+ * The Sort and Reduction axes do not apply — tiling culls off-screen splats by
+ * construction and the key sort is always radix.
+ *
+ * As in SplatRenderer, everything view-dependent lives in a slot per
+ * (drawable, scene-graph node): the params uniforms, the per-splat and
+ * key/value buffers and their bind groups. The viewport-sized output texture
+ * and tile ranges are shared, since each node's passes finish with its blit
+ * before the next node's begin.
+ *
+ * Key/value capacity starts at TILE_DUPLICATION entries per splat. Each slot
+ * copies its scan total into a mappable buffer; readback() (after submit)
+ * maps it, and the next record grows the slot's buffers if the frame needed
+ * more, so at most one frame drops entries when splats cover many tiles.
  */
 import { Renderer } from './renderer.js';
+import { DEPTH_FORMAT, createDepthTexture, createUniformBuffer } from '../webgpu-helpers.js';
+import { invertMatrix, multiplyMatrices, transformPoint } from '../matrix.js';
+import { shCoeffCount } from '../splat-helpers.js';
+import { BLOCK_SIZE, RADIX_BUCKETS, RADIX_PASSES } from '../ordering/radix-reference.js';
+import {
+    RADIX_PARAMS_SIZE,
+    RADIX_PARAMS_STRIDE,
+    createRadixPipelines,
+    radixPassParams,
+    recordRadixPasses,
+} from '../ordering/radix-backend.js';
+import { SCAN_BLOCK, TILE_DUPLICATION, grownTileCapacity, tileCapacity, tileGrid } from '../splat-tiles.js';
 
-const PATTERN_WORKGROUP = 8; // must match @workgroup_size in splat-tile-render.wgsl
+const WORKGROUP_SIZE = 256;
+// proj(64) + view(64) + viewport(8) + shStride/pad(8) + camPos/shDegree(16)
+// + count, tilesX, tilesY, tileBits, depthBits, capacity, useDepth, pad (32).
+// The prefix matches splat.wgsl's RenderParams.
+const TILE_PARAMS_SIZE = 192;
+const PROJECTED_STRIDE = 48; // three vec4<f32> — matches Projected
+
+// Bindings each entry point touches; layout:'auto' expects exactly these.
+const STAGE_BINDINGS = {
+    preprocess: [0, 1, 2, 3, 4],
+    scan_blocks: [0, 4, 5, 6],
+    scan_block_sums: [0, 6],
+    duplicate: [0, 3, 4, 5, 6, 7, 8],
+    identify_ranges: [0, 7, 9],
+};
 
 export class SplatTileRenderer extends Renderer {
     get kind() { return 'splat'; }
@@ -21,107 +67,385 @@ export class SplatTileRenderer extends Renderer {
     constructor(device, format) {
         super(device, format);
         this.blitPipeline = null;
-        this.patternPipeline = null;
+        this.pipelines = null;       // compute stages of splat-tile-render.wgsl, by entry point
+        this.radix = null;           // { bindGroupLayout, histogram, scan, scatter, ... }
+
+        this.paramsData = new Float32Array(TILE_PARAMS_SIZE / 4);
+        this.paramsU32 = new Uint32Array(this.paramsData.buffer);
 
-        // Output texture the compute pass writes and the blit pass samples.
+        // Upper bound on SH degree, shared with the instanced renderer's setting.
+        this.maxShDegree = 3;
+
+        // drawable -> (frame.nodeId -> slot); see the file comment.
+        this.slots = new Map();
+
+        // Output texture the composite writes and the blit samples, plus the
+        // per-tile ranges, both sized by the viewport.
         this.outputTexture = null;
         this.outputView = null;
+        this.rangesBuffer = null;
         this.blitBindGroup = null;
-        this.patternBindGroup = null;
+        this.grid = null;
         this.texWidth = 0;
         this.texHeight = 0;
-    }
 
-    init() {
-        // Pipelines are built in setShaders() once the WGSL is available.
+        // Stand-ins when the frame brings no depth: a private attachment for the
+        // blit, and a 1×1 texture to satisfy the composite's depth binding.
+        this.depthTexture = null;
+        this.depthWidth = 0;
+        this.depthHeight = 0;
+        this.emptyDepthTexture = null;
     }
 
     /**
-     * Build the blit + compute pipelines.
+     * Build the blit, tile and radix pipelines.
      * @param {string} blitWgsl        fullscreen storage-texture → swapchain
-     * @param {string} tileRenderWgsl  compute compositor (test pattern for now)
+     * @param {string} tileRenderWgsl  preprocess / scan / duplicate / ranges / composite
+     * @param {string} radixWgsl       splat-radix-sort.wgsl, for the key sort
      */
-    setShaders(blitWgsl, tileRenderWgsl) {
-        if (!blitWgsl || !tileRenderWgsl) return;
+    setShaders(blitWgsl, tileRenderWgsl, radixWgsl) {
+        if (!blitWgsl || !tileRenderWgsl || !radixWgsl) return;
+        const { device } = this;
         try {
-            const blitModule = this.device.createShaderModule({ code: blitWgsl });
-            // The blit needs no vertex buffers and no depth attachment, so it must
-            // NOT use the mesh createRenderPipeline helper (which forces both).
-            this.blitPipeline = this.device.createRenderPipeline({
+            const blitModule = device.createShaderModule({ code: blitWgsl });
+            // The blit needs no vertex buffers, so it must NOT use the mesh
+            // createRenderPipeline helper. It blends premultiplied "over" and
+            // carries a depth attachment only to clear it as a frame's first pass.
+            const blend = {
+                color: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+            };
+            this.blitPipeline = device.createRenderPipeline({
                 layout: 'auto',
                 vertex: { module: blitModule, entryPoint: 'vs_main' },
-                fragment: { module: blitModule, entryPoint: 'fs_main', targets: [{ format: this.format }] },
+                fragment: { module: blitModule, entryPoint: 'fs_main', targets: [{ format: this.format, blend }] },
                 primitive: { topology: 'triangle-list' },
+                depthStencil: { format: DEPTH_FORMAT, depthWriteEnabled: false, depthCompare: 'always' },
             });
 
-            const patternModule = this.device.createShaderModule({ code: tileRenderWgsl });
-            this.patternPipeline = this.device.createComputePipeline({
+            const tileModule = device.createShaderModule({ code: tileRenderWgsl });
+            const stage = (entryPoint) => device.createComputePipeline({
                 layout: 'auto',
-                compute: { module: patternModule, entryPoint: 'cs_test_pattern' },
+                compute: { module: tileModule, entryPoint },
             });
+            this.pipelines = {
+                preprocess: stage('preprocess'),
+                scan_blocks: stage('scan_blocks'),
+                scan_block_sums: stage('scan_block_sums'),
+                duplicate: stage('duplicate'),
+                identify_ranges: stage('identify_ranges'),
+                composite: stage('composite'),
+            };
+            this.radix = createRadixPipelines(device, radixWgsl);
         } catch (e) {
             console.error('SplatTileRenderer: failed to build pipelines:', e);
+            this.blitPipeline = null;
+            this.pipelines = null;
+            this.radix = null;
         }
-        // Force texture/bind-group rebuild against the new pipeline layouts.
-        this.texWidth = 0;
-        this.texHeight = 0;
+        // Bind groups were built against the old pipeline layouts.
+        this._releaseViewport();
+        for (const slot of this._allSlots()) this._prepareSlot(slot);
+    }
+
+    /** Clamp the SH degree used for shading (0 = flat DC colour). */
+    setMaxShDegree(degree) {
+        this.maxShDegree = Math.max(0, Math.min(3, degree | 0));
+    }
+
+    /** Stats-overlay info: tiling has no reduction stage and always sorts by radix. */
+    getReductionInfo() {
+        return { mode: 'none', sort: 'radix', visible: -1 };
+    }
+
+    *_allSlots() {
+        for (const nodeSlots of this.slots.values()) yield* nodeSlots.values();
+    }
+
+    /** The slot a node draws the drawable through, built on first use. */
+    _slot(drawable, nodeId) {
+        let nodeSlots = this.slots.get(drawable);
+        if (!nodeSlots) {
+            nodeSlots = new Map();
+            this.slots.set(drawable, nodeSlots);
+        }
+        let slot = nodeSlots.get(nodeId);
+        if (!slot) {
+            slot = {
+                drawable,
+                nodeId,
+                capacity: tileCapacity(drawable.count * TILE_DUPLICATION, this.device.limits),
+                res: null,
+                paramsBuffer: null,
+                radixParamsBuffer: null,
+                // Scan-total readback: 'idle' → 'armed' (copy recorded) → 'mapping'.
+                totalBuffer: null,
+                totalState: 'idle',
+                neededEntries: 0,
+                overflowWarned: false,
+            };
+            nodeSlots.set(nodeId, slot);
+            this._prepareSlot(slot);
+        }
+        return slot;
     }
 
+    /** (Re)builds a slot's buffers and bind groups for its current capacity. */
+    _prepareSlot(slot) {
+        this._releaseSlotBuffers(slot);
+        const { drawable } = slot;
+        if (!drawable || drawable.kind !== 'splat' || !drawable.count || !drawable.shBuffer) return;
+        if (!this.pipelines || !this.radix) return;
+
+        const { device } = this;
+        const count = drawable.count;
+        const capacity = slot.capacity;
+        const scanBlocks = Math.ceil(count / SCAN_BLOCK);
+        const storage = (size, extra = 0) => device.createBuffer({
+            size: Math.max(size, 4),
+            usage: GPUBufferUsage.STORAGE | extra,
+        });
+        slot.paramsBuffer ??= createUniformBuffer(device, TILE_PARAMS_SIZE);
+        slot.radixParamsBuffer ??= createUniformBuffer(device, RADIX_PASSES * RADIX_PARAMS_STRIDE);
+        slot.totalBuffer ??= device.createBuffer({ size: 4, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+
+        const buffers = {
+            projected: storage(count * PROJECTED_STRIDE),
+            tileCounts: storage(count * 4),
+            offsets: storage(count * 4),
+            // One base per block, then the grand total the readback copies out.
+            blockSums: storage((scanBlocks + 1) * 4, GPUBufferUsage.COPY_SRC),
+            // Both ping-pong halves; the tile stages read and write half 0.
+            keys: storage(capacity * 2 * 4, GPUBufferUsage.COPY_DST),
+            values: storage(capacity * 2 * 4),
+            hist: storage(RADIX_BUCKETS * (capacity / BLOCK_SIZE) * 4),
+        };
+        const resources = {
+            0: { buffer: slot.paramsBuffer },
+            1: { buffer: drawable.storageBuffer },
+            2: { buffer: drawable.shBuffer },
+            3: { buffer: buffers.projected },
+            4: { buffer: buffers.tileCounts },
+            5: { buffer: buffers.offsets },
+            6: { buffer: buffers.blockSums },
+            7: { buffer: buffers.keys },
+            8: { buffer: buffers.values },
+        };
+        const bindGroups = {};
+        for (const [name, bindings] of Object.entries(STAGE_BINDINGS)) {
+            if (name === 'identify_ranges') continue; // needs the viewport's ranges buffer
+            bindGroups[name] = device.createBindGroup({
+                layout: this.pipelines[name].getBindGroupLayout(0),
+                entries: bindings.map((binding) => ({ binding, resource: resources[binding] })),
+            });
+        }
+
+        device.queue.writeBuffer(slot.radixParamsBuffer, 0, radixPassParams(capacity));
+        const radixBindGroups = [];
+        for (let p = 0; p < RADIX_PASSES; p++) {
+            radixBindGroups.push(device.createBindGroup({
+                layout: this.radix.bindGroupLayout,
+                entries: [
+                    { binding: 0, resource: { buffer: slot.radixParamsBuffer, offset: p * RADIX_PARAMS_STRIDE, size: RADIX_PARAMS_SIZE } },
+                    // encode_keys is never dispatched here (duplicate writes u32
+                    // keys directly), but the shared layout still wants a buffer.
+                    { binding: 1, resource: { buffer: buffers.tileCounts } },
+                    { binding: 2, resource: { buffer: buffers.keys } },
+                    { binding: 3, resource: { buffer: buffers.values } },
+                    { binding: 4, resource: { buffer: buffers.hist } },
+                ],
+            }));
+        }
+
+        // `rangesBuffer` records which viewport the identify_ranges group binds.
+        slot.res = { ...buffers, bindGroups, radixBindGroups, capacity, scanBlocks, rangesBuffer: null };
+    }
+
+    /** Rebuild the drawable's slots; nodes that have not drawn it yet build theirs on first record. */
     prepare(drawable) {
-        if (!drawable || drawable.kind !== 'splat') return;
+        for (const slot of this.slots.get(drawable)?.values() ?? []) this._prepareSlot(slot);
     }
 
-    _ensureTexture(width, height) {
+    /** Grows a slot whose last read-back scan total overflowed its capacity. */
+    _growSlot(slot) {
+        const capacity = grownTileCapacity(slot.res.capacity, slot.neededEntries, this.device.limits);
+        if (capacity > slot.res.capacity) {
+            slot.capacity = capacity;
+            this._prepareSlot(slot);
+        }
+        if (slot.neededEntries > slot.capacity && !slot.overflowWarned) {
+            slot.overflowWarned = true;
+            console.warn(
+                `SplatTileRenderer: ${slot.neededEntries} tile entries exceed the device limit of ${slot.capacity}; `
+                + 'splats past it are dropped.',
+            );
+        }
+    }
+
+    /** Viewport-sized state: tile grid, ranges, output texture and the blit bind group. */
+    _ensureViewport(width, height) {
         if (this.outputTexture && this.texWidth === width && this.texHeight === height) return;
-        if (!this.patternPipeline || !this.blitPipeline) return;
+        this._releaseViewport();
 
-        this.outputTexture?.destroy?.();
-        this.outputTexture = this.device.createTexture({
+        const { device } = this;
+        this.grid = tileGrid(width, height);
+        this.outputTexture = device.createTexture({
             size: [width, height, 1],
             format: 'rgba8unorm',
             // STORAGE_BINDING: compute writes it. TEXTURE_BINDING: blit samples it.
             usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING,
         });
         this.outputView = this.outputTexture.createView();
+        this.rangesBuffer = device.createBuffer({
+            size: this.grid.tileCount * 8,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
         this.texWidth = width;
         this.texHeight = height;
-
-        this.patternBindGroup = this.device.createBindGroup({
-            layout: this.patternPipeline.getBindGroupLayout(0),
-            entries: [{ binding: 0, resource: this.outputView }],
-        });
-        this.blitBindGroup = this.device.createBindGroup({
+        this.blitBindGroup = device.createBindGroup({
             layout: this.blitPipeline.getBindGroupLayout(0),
             entries: [{ binding: 0, resource: this.outputView }],
         });
     }
 
+    _depthView(frame) {
+        if (frame.depthView) return frame.depthView;
+        if (!this.depthTexture || this.depthWidth !== frame.width || this.depthHeight !== frame.height) {
+            this.depthTexture?.destroy?.();
+            this.depthTexture = createDepthTexture(this.device, frame.width, frame.height);
+            this.depthWidth = frame.width;
+            this.depthHeight = frame.height;
+        }
+        return this.depthTexture.createView();
+    }
+
+    _emptyDepthView() {
+        this.emptyDepthTexture ??= createDepthTexture(this.device, 1, 1);
+        return this.emptyDepthTexture.createView();
+    }
+
     record(frame, drawable) {
-        if (!drawable || drawable.kind !== 'splat') return;
-        if (!this.blitPipeline || !this.patternPipeline) return;
-
-        const { encoder, targetView, width, height } = frame;
-        this._ensureTexture(width, height);
-        if (!this.outputTexture) return;
-
-        // --- Compute: write the test pattern into the storage texture ---
-        const compute = encoder.beginComputePass();
-        compute.setPipeline(this.patternPipeline);
-        compute.setBindGroup(0, this.patternBindGroup);
-        compute.dispatchWorkgroups(
-            Math.ceil(width / PATTERN_WORKGROUP),
-            Math.ceil(height / PATTERN_WORKGROUP),
-        );
-        compute.end();
-
-        // --- Blit: sample the texture to the swapchain ---
+        if (!drawable || drawable.kind !== 'splat' || !drawable.count) return;
+        if (!this.blitPipeline || !this.pipelines || !this.radix) return;
+        const slot = this._slot(drawable, frame.nodeId ?? null);
+        if (slot.res && slot.neededEntries > slot.res.capacity) this._growSlot(slot);
+        const { res } = slot;
+        if (!res) return;
+
+        const { device, encoder, targetView, camera, projectionMatrix, width, height } = frame;
+        this._ensureViewport(width, height);
+        const { grid } = this;
+        if (res.rangesBuffer !== this.rangesBuffer) {
+            res.bindGroups.identify_ranges = device.createBindGroup({
+                layout: this.pipelines.identify_ranges.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: slot.paramsBuffer } },
+                    { binding: 7, resource: { buffer: res.keys } },
+                    { binding: 9, resource: { buffer: this.rangesBuffer } },
+                ],
+            });
+            res.rangesBuffer = this.rangesBuffer;
+        }
+
+        // Shade in the cloud's own frame, exactly as SplatRenderer does.
+        let viewMatrix = frame.viewMatrix;
+        let eye = camera?.getPosition?.() ?? [0, 0, 0];
+        if (frame.modelMatrix) {
+            viewMatrix = multiplyMatrices(frame.viewMatrix, frame.modelMatrix);
+            eye = transformPoint(invertMatrix(frame.modelMatrix), eye);
+        }
+        // Depth is only meaningful once an earlier pass this frame has written it.
+        const useDepth = !!frame.depthView && frame.loadOp === 'load';
+
+        this.paramsData.set(projectionMatrix, 0);
+        this.paramsData.set(viewMatrix, 16);
+        this.paramsData[32] = width;
+        this.paramsData[33] = height;
+        this.paramsU32[34] = shCoeffCount(drawable.shDegree ?? 0);
+        this.paramsData[36] = eye[0];
+        this.paramsData[37] = eye[1];
+        this.paramsData[38] = eye[2];
+        this.paramsU32[39] = Math.min(drawable.shDegree ?? 0, this.maxShDegree);
+        this.paramsU32[40] = drawable.count;
+        this.paramsU32[41] = grid.tilesX;
+        this.paramsU32[42] = grid.tilesY;
+        this.paramsU32[43] = grid.tileBits;
+        this.paramsU32[44] = grid.depthBits;
+        this.paramsU32[45] = res.capacity;
+        this.paramsU32[46] = useDepth ? 1 : 0;
+        device.queue.writeBuffer(slot.paramsBuffer, 0, this.paramsData);
+
+        // Unused key slots must read as "no tile"; stale ranges as empty.
+        encoder.clearBuffer(res.keys, 0, res.capacity * 4);
+        encoder.clearBuffer(this.rangesBuffer);
+
+        const splatGroups = Math.ceil(drawable.count / WORKGROUP_SIZE);
+        {
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(this.pipelines.preprocess);
+            pass.setBindGroup(0, res.bindGroups.preprocess);
+            pass.dispatchWorkgroups(splatGroups);
+            pass.setPipeline(this.pipelines.scan_blocks);
+            pass.setBindGroup(0, res.bindGroups.scan_blocks);
+            pass.dispatchWorkgroups(res.scanBlocks);
+            pass.setPipeline(this.pipelines.scan_block_sums);
+            pass.setBindGroup(0, res.bindGroups.scan_block_sums);
+            pass.dispatchWorkgroups(1);
+            pass.setPipeline(this.pipelines.duplicate);
+            pass.setBindGroup(0, res.bindGroups.duplicate);
+            pass.dispatchWorkgroups(splatGroups);
+            pass.end();
+        }
+        // Single-flight: while a total is being mapped, later frames skip the copy.
+        if (slot.totalState === 'idle') {
+            encoder.copyBufferToBuffer(res.blockSums, res.scanBlocks * 4, slot.totalBuffer, 0, 4);
+            slot.totalState = 'armed';
+        }
+        {
+            const ts = frame.gpuTimer?.span('sort');
+            const pass = encoder.beginComputePass(ts ? { timestampWrites: ts } : {});
+            recordRadixPasses(pass, this.radix, res.radixBindGroups, res.capacity / BLOCK_SIZE);
+            pass.end();
+        }
+
+        // The depth view is a fresh object each frame, so this group is too.
+        const compositeBindGroup = device.createBindGroup({
+            layout: this.pipelines.composite.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: slot.paramsBuffer } },
+                { binding: 3, resource: { buffer: res.projected } },
+                { binding: 8, resource: { buffer: res.values } },
+                { binding: 9, resource: { buffer: this.rangesBuffer } },
+                { binding: 10, resource: this.outputView },
+                { binding: 11, resource: frame.depthView ?? this._emptyDepthView() },
+            ],
+        });
+        {
+            const ts = frame.gpuTimer?.span('render');
+            const pass = encoder.beginComputePass(ts ? { timestampWrites: ts } : {});
+            pass.setPipeline(this.pipelines.identify_ranges);
+            pass.setBindGroup(0, res.bindGroups.identify_ranges);
+            pass.dispatchWorkgroups(Math.ceil(res.capacity / WORKGROUP_SIZE));
+            pass.setPipeline(this.pipelines.composite);
+            pass.setBindGroup(0, compositeBindGroup);
+            pass.dispatchWorkgroups(grid.tilesX, grid.tilesY);
+            pass.end();
+        }
+
+        // --- Blit: composite the tile output over the frame ---
         const pass = encoder.beginRenderPass({
             colorAttachments: [{
                 view: targetView,
                 clearValue: { r: 0, g: 0, b: 0, a: 1 },
-                loadOp: 'clear',
+                loadOp: frame.loadOp ?? 'clear',
                 storeOp: 'store',
             }],
+            depthStencilAttachment: {
+                view: this._depthView(frame),
+                depthClearValue: 1,
+                depthLoadOp: frame.loadOp ?? 'clear',
+                depthStoreOp: 'store',
+            },
         });
         pass.setPipeline(this.blitPipeline);
         pass.setBindGroup(0, this.blitBindGroup);
@@ -129,15 +453,75 @@ export class SplatTileRenderer extends Renderer {
         pass.end();
     }
 
-    releaseDrawable() {
-        // No drawable-specific resources yet.
+    /**
+     * Maps the scan totals recorded this frame; the next record() grows any
+     * slot that overflowed. Call after submit; never awaited by the caller.
+     */
+    readback() {
+        for (const slot of this._allSlots()) {
+            if (slot.totalState !== 'armed') continue;
+            slot.totalState = 'mapping';
+            const buffer = slot.totalBuffer;
+            buffer.mapAsync(GPUMapMode.READ).then(() => {
+                slot.neededEntries = new Uint32Array(buffer.getMappedRange())[0];
+                buffer.unmap();
+            }).catch(() => {
+                /* slot released mid-map / device lost — the next frame tries again */
+            }).then(() => {
+                slot.totalState = 'idle';
+            });
+        }
     }
 
-    destroy() {
+    _releaseSlotBuffers(slot) {
+        if (!slot.res) return;
+        for (const name of ['projected', 'tileCounts', 'offsets', 'blockSums', 'keys', 'values', 'hist']) {
+            slot.res[name]?.destroy?.();
+        }
+        slot.res = null;
+    }
+
+    _releaseSlot(slot) {
+        this._releaseSlotBuffers(slot);
+        for (const name of ['paramsBuffer', 'radixParamsBuffer', 'totalBuffer']) {
+            slot[name]?.destroy?.();
+            slot[name] = null;
+        }
+    }
+
+    _releaseViewport() {
         this.outputTexture?.destroy?.();
+        this.rangesBuffer?.destroy?.();
         this.outputTexture = null;
         this.outputView = null;
+        this.rangesBuffer = null;
         this.blitBindGroup = null;
-        this.patternBindGroup = null;
+        this.grid = null;
+        this.texWidth = 0;
+        this.texHeight = 0;
+    }
+
+    releaseNode(drawable, nodeId) {
+        const nodeSlots = this.slots.get(drawable);
+        const slot = nodeSlots?.get(nodeId);
+        if (!slot) return;
+        this._releaseSlot(slot);
+        nodeSlots.delete(nodeId);
+    }
+
+    releaseDrawable(drawable) {
+        // The storage and SH buffers belong to the drawable; SplatRenderer frees them.
+        for (const slot of this.slots.get(drawable)?.values() ?? []) this._releaseSlot(slot);
+        this.slots.delete(drawable);
+    }
+
+    destroy() {
+        for (const slot of this._allSlots()) this._releaseSlot(slot);
+        this.slots.clear();
+        this._releaseViewport();
+        this.depthTexture?.destroy?.();
+        this.emptyDepthTexture?.destroy?.();
+        this.depthTexture = null;
+        this.emptyDepthTexture = null;
     }
 }
@@ -0,0 +1,239 @@
+/**
+ * @file Scene graph for the WebGPU scene core — named nodes with parent/child
+ *       transforms, each optionally carrying one drawable.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * The graph is backend-neutral: it owns hierarchy and transforms only. The
+ * scene core walks `drawableNodes()` each frame and dispatches every drawable
+ * to the renderer registered for its `kind`, passing the node's world matrix
+ * along. GPU resources stay owned by the renderers — removing a node hands
+ * its drawables back to the caller for release instead of destroying them.
+ */
+import { composeTRSMatrix, createIdentityMatrix, invertMatrix, multiplyMatrices } from './matrix.js';
+
+/** Id of the implicit root; every other node descends from it. */
+export const ROOT_NODE_ID = 0;
+
+/**
+ * Resolves a transform description to a local matrix. Accepts either a
+ * column-major `matrix` or glTF-style `translation`/`rotation`/`scale`.
+ * @param {{matrix?: ArrayLike<number>, translation?: number[], rotation?: number[], scale?: number[]}} [transform]
+ * @returns {Float32Array}
+ */
+export function resolveLocalMatrix(transform = {}) {
+    if (transform.matrix != null) {
+        if (transform.matrix.length !== 16 || !Array.from(transform.matrix).every(Number.isFinite)) {
+            throw new Error('Node matrix must contain 16 finite values.');
+        }
+        return new Float32Array(transform.matrix);
+    }
+    return composeTRSMatrix(transform.translation, transform.rotation, transform.scale);
+}
+
+export function createSceneGraph() {
+    const nodes = new Map();
+    let nextId = ROOT_NODE_ID + 1;
+    // Bumped by every structural or transform edit so callers can cheaply tell
+    // whether anything derived from the graph (bounds, draw lists) is stale.
+    let revision = 0;
+    let worldDirty = false;
+
+    const root = {
+        id: ROOT_NODE_ID,
+        name: 'root',
+        parent: null,
+        children: [],
+        localMatrix: createIdentityMatrix(),
+        worldMatrix: createIdentityMatrix(),
+        drawable: null,
+    };
+    nodes.set(ROOT_NODE_ID, root);
+
+    function requireNode(id, label = 'Node') {
+        const node = nodes.get(id);
+        if (!node) throw new Error(`${label} ${id} does not exist in the scene graph.`);
+        return node;
+    }
+
+    function isAncestor(candidate, node) {
+        for (let current = node; current; current = current.parent) {
+            if (current === candidate) return true;
+        }
+        return false;
+    }
+
+    function touch() {
+        revision += 1;
+        worldDirty = true;
+    }
+
+    function updateWorldMatrices() {
+        if (!worldDirty) return;
+        const visit = (node, parentWorld) => {
+            node.worldMatrix = multiplyMatrices(parentWorld, node.localMatrix);
+            for (const child of node.children) visit(child, node.worldMatrix);
+        };
+        for (const child of root.children) visit(child, root.worldMatrix);
+        worldDirty = false;
+    }
+
+    function collectSubtree(node, out = []) {
+        out.push(node);
+        for (const child of node.children) collectSubtree(child, out);
+        return out;
+    }
+
+    return {
+        /**
+         * Adds a node under `parent` (the root by default).
+         * @param {{name?: string, parent?: number, drawable?: object|null,
+         *          matrix?: ArrayLike<number>, translation?: number[], rotation?: number[], scale?: number[]}} [options]
+         * @returns {number} the new node's id.
+         */
+        addNode({ name = '', parent = ROOT_NODE_ID, drawable = null, ...transform } = {}) {
+            const parentNode = requireNode(parent, 'Parent node');
+            const node = {
+                id: nextId++,
+                name: String(name),
+                parent: parentNode,
+                children: [],
+                localMatrix: resolveLocalMatrix(transform),
+                worldMatrix: createIdentityMatrix(),
+                drawable,
+            };
+            nodes.set(node.id, node);
+            parentNode.children.push(node);
+            touch();
+            return node.id;
+        },
+
+        /**
+         * Removes a node and its whole subtree.
+         * @returns {object[]} drawables that were attached to the removed nodes.
+         */
+        removeNode(id) {
+            if (id === ROOT_NODE_ID) throw new Error('The scene graph root cannot be removed.');
+            const node = requireNode(id);
+            const removed = collectSubtree(node);
+            node.parent.children.splice(node.parent.children.indexOf(node), 1);
+            for (const entry of removed) nodes.delete(entry.id);
+            touch();
+            return removed.map((entry) => entry.drawable).filter(Boolean);
+        },
+
+        /**
+         * Moves a node under a new parent. By default the local transform is kept
+         * (the node moves with its new parent); `keepWorldTransform` instead
+         * rewrites the local matrix so the node stays where it is in the world.
+         */
+        reparentNode(id, parentId = ROOT_NODE_ID, { keepWorldTransform = false } = {}) {
+            if (id === ROOT_NODE_ID) throw new Error('The scene graph root cannot be reparented.');
+            const node = requireNode(id);
+            const parentNode = requireNode(parentId, 'Parent node');
+            if (isAncestor(node, parentNode)) {
+                throw new Error(`Cannot reparent node ${id} under its own descendant ${parentId}.`);
+            }
+            if (keepWorldTransform) {
+                updateWorldMatrices();
+                node.localMatrix = multiplyMatrices(invertMatrix(parentNode.worldMatrix), node.worldMatrix);
+            }
+            node.parent.children.splice(node.parent.children.indexOf(node), 1);
+            node.parent = parentNode;
+            parentNode.children.push(node);
+            touch();
+        },
+
+        /** Replaces a node's local transform (see resolveLocalMatrix for accepted shapes). */
+        setNodeTransform(id, transform) {
+            if (id === ROOT_NODE_ID) throw new Error('The scene graph root transform is fixed.');
+            requireNode(id).localMatrix = resolveLocalMatrix(transform);
+            touch();
+        },
+
+        /**
+         * Attaches a drawable to a node (or detaches it with `null`).
+         * @returns {object|null} the previously attached drawable, for release.
+         */
+        setNodeDrawable(id, drawable) {
+            if (id === ROOT_NODE_ID) throw new Error('The scene graph root cannot carry a drawable.');
+            const node = requireNode(id);
+            const previous = node.drawable;
+            node.drawable = drawable ?? null;
+            if (previous !== node.drawable) revision += 1;
+            return previous;
+        },
+
+        setNodeName(id, name) {
+            requireNode(id).name = String(name);
+            revision += 1;
+        },
+
+        hasNode: (id) => nodes.has(id),
+
+        /** Returns the node's drawable, or null. */
+        getNodeDrawable: (id) => requireNode(id).drawable,
+
+        /** World matrix of a node, with pending transform edits applied. */
+        getWorldMatrix(id) {
+            updateWorldMatrices();
+            return requireNode(id).worldMatrix;
+        },
+
+        /** First node with the given name in depth-first order, or null. */
+        findNodeByName(name) {
+            for (const node of collectSubtree(root)) {
+                if (node !== root && node.name === name) return node.id;
+            }
+            return null;
+        },
+
+        /** Id of the node a drawable is attached to, or null. */
+        findNodeByDrawable(drawable) {
+            if (!drawable) return null;
+            for (const node of nodes.values()) {
+                if (node.drawable === drawable) return node.id;
+            }
+            return null;
+        },
+
+        /** Plain snapshot of every non-root node, depth-first, for UI/inspection. */
+        listNodes() {
+            updateWorldMatrices();
+            return collectSubtree(root).slice(1).map((node) => ({
+                id: node.id,
+                name: node.name,
+                parentId: node.parent.id,
+                childIds: node.children.map((child) => child.id),
+                drawableKind: node.drawable ? (node.drawable.kind ?? 'mesh') : null,
+                localMatrix: new Float32Array(node.localMatrix),
+                worldMatrix: new Float32Array(node.worldMatrix),
+            }));
+        },
+
+        /**
+         * Every node carrying a drawable, depth-first, with up-to-date world
+         * matrices. This is the per-frame draw list.
+         * @returns {{id: number, name: string, drawable: object, worldMatrix: Float32Array}[]}
+         */
+        drawableNodes() {
+            updateWorldMatrices();
+            return collectSubtree(root)
+                .filter((node) => node.drawable)
+                .map((node) => ({ id: node.id, name: node.name, drawable: node.drawable, worldMatrix: node.worldMatrix }));
+        },
+
+        /** Removes every node; returns the drawables that were attached. */
+        clear() {
+            const drawables = collectSubtree(root).map((node) => node.drawable).filter(Boolean);
+            root.children = [];
+            nodes.clear();
+            nodes.set(ROOT_NODE_ID, root);
+            touch();
+            return drawables;
+        },
+
+        getRevision: () => revision,
+        get size() { return nodes.size - 1; },
+    };
+}
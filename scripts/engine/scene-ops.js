@@ -4,11 +4,20 @@
  * @license MIT
  */
 
+import { DEFAULT_PROJECTION } from './camera.js';
 import { parseGltfForBackend } from './gltf-parser.js';
 import { parseMeshPly } from './mesh-ply-loader.js';
+import { splatFormatOf } from './splat-formats.js';
 
 const IMAGE_RE = /\.(jpe?g|png|webp)$/i;
 
+// Splat-only containers (`.splat`, `.spz`): unlike `.ply` there is no mesh
+// variant to sniff for, so the extension is the whole signal.
+const isSplatOnlyFile = (name) => {
+    const format = splatFormatOf(name);
+    return format !== null && format !== 'ply';
+};
+
 export const SAMPLE_GLTF_MODEL = Object.freeze({
     name: 'Chronograph Watch',
     creator: 'Eric Chadwick / Darmstadt Graphics Group GmbH',
@@ -53,26 +62,35 @@ export function detectPlyKind(headerText) {
 /**
  * Single entry point for loading a user-picked asset. Infers the format and
  * routes to the splat / mesh / glTF path.
- * @param {{ engine: object, files: File[]|FileList, flipY?: boolean }} args
- * @returns {Promise<{ kind: 'splat'|'mesh'|'gltf', drawable: object }>}
+ * @param {{ engine: object, files: File[]|FileList, flipY?: boolean, alongside?: boolean }} args
+ *        `alongside` (WebGPU) adds the asset in its own scene node and keeps the
+ *        current one, e.g. a CAD mesh placed inside a scanned splat environment.
+ * @returns {Promise<{ kind: 'splat'|'mesh'|'gltf', drawable: object, splats?: object, flipY?: boolean }>}
+ *          `splats` is the splat drawable loaded beside a glTF's meshes when the
+ *          file also carries a KHR_gaussian_splatting cloud; `flipY` reports the
+ *          flip a glTF cloud was loaded with (glTF is +Y up, so never flipped).
  */
-export async function loadAssetFiles({ engine, files, flipY = true }) {
+export async function loadAssetFiles({ engine, files, flipY = true, alongside = false }) {
     const list = Array.from(files);
     const zipFile = list.find((f) => /\.zip$/i.test(f.name));
     const gltfFile = list.find((f) => /\.(gltf|glb)$/i.test(f.name));
     const plyFile = list.find((f) => /\.ply$/i.test(f.name));
+    const splatFile = list.find((f) => isSplatOnlyFile(f.name));
 
     if (zipFile) {
-        const drawable = await importZipFile({ engine, file: zipFile });
-        return { kind: 'gltf', drawable };
+        const drawable = await parseGltfForBackend(engine, await readZipFileMap(zipFile));
+        return showGltfDrawable(engine, drawable, { alongside });
     }
 
     if (gltfFile) {
         const fileMap = new Map(list.map((f) => [f.name, f])); // let it resolve companion .bin / textures
         const drawable = await parseGltfForBackend(engine, fileMap);
-        engine.scene.loadGeometry(drawable);
-        frameCamera(engine.camera, drawable);
-        return { kind: 'gltf', drawable };
+        return showGltfDrawable(engine, drawable, { alongside });
+    }
+
+    if (splatFile) {
+        const drawable = await loadSplatFile({ engine, file: splatFile, flipY, alongside });
+        return { kind: 'splat', drawable };
     }
 
     if (plyFile) {
@@ -80,33 +98,34 @@ export async function loadAssetFiles({ engine, files, flipY = true }) {
             new Uint8Array(await plyFile.slice(0, 64 * 1024).arrayBuffer()),
         );
         if (detectPlyKind(headerText) === 'splat') {
-            const drawable = await loadSplatFile({ engine, file: plyFile, flipY });
+            const drawable = await loadSplatFile({ engine, file: plyFile, flipY, alongside });
             return { kind: 'splat', drawable };
         }
         const texture = findTextureByBasename(plyFile, list);
-        const drawable = await loadMeshFile({ engine, files: texture ? [plyFile, texture] : [plyFile] });
+        const drawable = await loadMeshFile({ engine, files: texture ? [plyFile, texture] : [plyFile], alongside });
         return { kind: 'mesh', drawable };
     }
 
-    throw new Error('Unsupported file. Select a .gltf/.glb/.zip, or (on WebGPU) a .ply — plus a texture image if the mesh needs one.');
+    throw new Error('Unsupported file. Select a .gltf/.glb/.zip, or (on WebGPU) a .ply, .splat or .spz — plus a texture image if the mesh needs one.');
 }
 
 /**
- * Loads an asset from a picked directory: finds the primary `.gltf`/`.ply` and
+ * Loads an asset from a picked directory: finds the primary `.gltf`/`.ply`/`.splat`/`.spz` and
  * pulls its companion files (`.bin`, textures) straight from the same folder.
  *
  * A directory grant is what makes "select the model, auto-load its neighbours"
  * possible — a single-file pick can't read sibling files — and it preserves the
  * relative paths (`textures/…`) that external glTF resources reference.
  *
- * @param {{ engine: object, dirHandle: FileSystemDirectoryHandle, flipY?: boolean }} args
- * @returns {Promise<{ kind: 'splat'|'mesh'|'gltf', drawable: object }>}
+ * @param {{ engine: object, dirHandle: FileSystemDirectoryHandle, flipY?: boolean, alongside?: boolean }} args
+ * @returns {Promise<{ kind: 'splat'|'mesh'|'gltf', drawable: object, splats?: object, flipY?: boolean }>}
  */
-export async function loadAssetFromDirectory({ engine, dirHandle, flipY = true }) {
+export async function loadAssetFromDirectory({ engine, dirHandle, flipY = true, alongside = false }) {
     const dirMap = await buildFileMapFromDirectory(dirHandle);
     const paths = Array.from(dirMap.keys());
     const gltfPath = paths.find((p) => /\.gltf$/i.test(p));
     const plyPath = paths.find((p) => /\.ply$/i.test(p));
+    const splatPath = paths.find((p) => isSplatOnlyFile(p));
 
     if (gltfPath) {
         // Order the glTF first so parseGltfAsset picks it as the main file and
@@ -115,9 +134,12 @@ export async function loadAssetFromDirectory({ engine, dirHandle, flipY = true }
         orderedMap.set(gltfPath, dirMap.get(gltfPath));
         dirMap.forEach((file, path) => { if (path !== gltfPath) orderedMap.set(path, file); });
         const drawable = await parseGltfForBackend(engine, orderedMap);
-        engine.scene.loadGeometry(drawable);
-        frameCamera(engine.camera, drawable);
-        return { kind: 'gltf', drawable };
+        return showGltfDrawable(engine, drawable, { alongside });
+    }
+
+    if (splatPath) {
+        const drawable = await loadSplatFile({ engine, file: dirMap.get(splatPath), flipY, alongside });
+        return { kind: 'splat', drawable };
     }
 
     if (plyPath) {
@@ -126,16 +148,16 @@ export async function loadAssetFromDirectory({ engine, dirHandle, flipY = true }
             new Uint8Array(await plyFile.slice(0, 64 * 1024).arrayBuffer()),
         );
         if (detectPlyKind(headerText) === 'splat') {
-            const drawable = await loadSplatFile({ engine, file: plyFile, flipY });
+            const drawable = await loadSplatFile({ engine, file: plyFile, flipY, alongside });
             return { kind: 'splat', drawable };
         }
         const texture = findTextureByBasename(plyFile, Array.from(dirMap.values()));
         const files = texture ? [plyFile, texture] : [plyFile];
-        const drawable = await loadMeshFile({ engine, files });
+        const drawable = await loadMeshFile({ engine, files, alongside });
         return { kind: 'mesh', drawable };
     }
 
-    throw new Error('No .gltf or .ply found in the selected folder.');
+    throw new Error('No .gltf, .ply, .splat or .spz found in the selected folder.');
 }
 
 /**
@@ -167,9 +189,73 @@ export function frameCamera(camera, drawable, { zoomScale = 2.5 } = {}) {
     camera.zoom = radius * zoomScale; // whole asset comfortably in frame
     camera.minZoom = radius * 0.1;   // close enough to inspect detail
     camera.maxZoom = radius * 10;    // far enough for context, not lost in space
+    camera.projection = DEFAULT_PROJECTION; // drop any authored camera's lens
     camera.updateViewMatrix();
 }
 
+/**
+ * Frames a freshly loaded asset through its first authored glTF camera when
+ * the backend can switch to one, and from its bounds otherwise.
+ */
+function frameDrawable(engine, drawable, options) {
+    if (drawable?.cameras?.length && typeof engine.setCamera === 'function') {
+        engine.setCamera(0);
+        return;
+    }
+    frameCamera(engine.camera, drawable, options);
+}
+
+function requireComposition(engine) {
+    if (typeof engine.addNode !== 'function') {
+        throw new Error('Adding assets alongside the current scene requires the WebGPU backend.');
+    }
+}
+
+/**
+ * Shows an uploaded drawable: as the scene's asset (framed by the camera), or
+ * `alongside` it in a new node, leaving the camera on the existing scene.
+ */
+function showDrawable(engine, drawable, { alongside = false } = {}) {
+    if (alongside) {
+        requireComposition(engine);
+        engine.addNode({ name: drawable._debug?.name || 'asset', drawable });
+        return;
+    }
+    engine.scene.loadGeometry(drawable);
+    frameDrawable(engine, drawable);
+}
+
+/**
+ * Shows a parsed glTF. A KHR_gaussian_splatting cloud goes through the splat
+ * pipeline: a splat-only file (`kind: 'gltf-splats'`) becomes a splat load of
+ * its own, while a mixed file shows its meshes and then adds the cloud in its
+ * own node, in the same frame as the meshes. glTF is +Y up, so the cloud is
+ * loaded unflipped and the result reports `flipY: false` for the Flip-Y toggle.
+ * @returns {Promise<{ kind: 'splat'|'gltf', drawable: object, splats?: object, flipY?: boolean }>}
+ */
+async function showGltfDrawable(engine, drawable, { alongside = false } = {}) {
+    const cloud = drawable.gaussianSplats;
+    if (!cloud) {
+        showDrawable(engine, drawable, { alongside });
+        return { kind: 'gltf', drawable };
+    }
+    if (typeof engine.loadSplatCloud !== 'function') {
+        throw new Error('glTF Gaussian splats (KHR_gaussian_splatting) require the WebGPU backend.');
+    }
+    if (drawable.kind === 'gltf-splats') {
+        const splats = await engine.loadSplatCloud(cloud, { alongside });
+        if (!alongside) frameCamera(engine.camera, splats);
+        return { kind: 'splat', drawable: splats, flipY: false };
+    }
+    // The worker takes ownership of the cloud's arrays; the mesh drawable must
+    // not keep pointing at detached buffers.
+    drawable.gaussianSplats = null;
+    showDrawable(engine, drawable, { alongside });
+    requireComposition(engine);
+    const splats = await engine.loadSplatCloud(cloud, { alongside: true });
+    return { kind: 'gltf', drawable, splats, flipY: false };
+}
+
 export async function loadShape({ engine, geometryFactory, shape, textured }) {
     if (!engine || !geometryFactory) return;
     const key = (textured ? 'createTextured' : 'create') + shape.charAt(0).toUpperCase() + shape.slice(1);
@@ -186,22 +272,27 @@ export async function resetScene({ engine, geometryFactory }) {
     engine.scene.loadGeometry(cube);
 }
 
-export async function loadSplatFile({ engine, file, flipY = true }) {
+/**
+ * Loads a splat cloud file; the container (`.ply` / `.splat` / `.spz`) follows its extension.
+ * @param {{ engine: object, file: File, flipY?: boolean, alongside?: boolean }} args
+ */
+export async function loadSplatFile({ engine, file, flipY = true, alongside = false }) {
     if (typeof engine.loadSplats !== 'function') {
         throw new Error('Splat loading requires the WebGPU backend.');
     }
+    const format = splatFormatOf(file.name) ?? 'ply';
     const arrayBuffer = await file.arrayBuffer();
-    const drawable = await engine.loadSplats(arrayBuffer, { flipY });
-    frameCamera(engine.camera, drawable);
+    const drawable = await engine.loadSplats(arrayBuffer, { flipY, alongside, format });
+    if (!alongside) frameCamera(engine.camera, drawable);
     return drawable;
 }
 
 /**
  * Loads a triangle-mesh `.ply` plus an optional companion image texture.
- * @param {{ engine: object, files: File[]|FileList }} args `files` should
- *        contain the `.ply` and (for textured meshes) its image.
+ * @param {{ engine: object, files: File[]|FileList, alongside?: boolean }} args
+ *        `files` should contain the `.ply` and (for textured meshes) its image.
  */
-export async function loadMeshFile({ engine, files }) {
+export async function loadMeshFile({ engine, files, alongside = false }) {
     if (typeof engine.loadMesh !== 'function') {
         throw new Error('Mesh loading requires the WebGPU backend.');
     }
@@ -219,19 +310,18 @@ export async function loadMeshFile({ engine, files }) {
         throw new Error(`"${plyFile.name}" is a textured mesh — also select its image file (e.g. the companion .jpg).`);
     }
 
-    const drawable = engine.loadMesh({ meshData, textureBitmap });
-    frameCamera(engine.camera, drawable);
+    const drawable = engine.loadMesh({ meshData, textureBitmap, textureFile: imgFile ?? null, alongside });
+    if (!alongside) frameCamera(engine.camera, drawable);
     return drawable;
 }
 
 export async function loadSampleGltf({ engine }) {
-    // Use the external-file glTF distribution. The equivalent GLB embeds its
-    // PNGs in bufferViews, which the loader does not support yet.
+    // Use the external-file glTF distribution.
     const drawable = await parseGltfForBackend(engine, SAMPLE_GLTF_MODEL.url);
     engine.scene.loadGeometry(drawable);
     // The editor viewport is narrower than its height at common desktop sizes;
     // leave extra room for the watch and its long strap along the horizontal axis.
-    frameCamera(engine.camera, drawable, { zoomScale: SAMPLE_GLTF_MODEL.cameraZoomScale });
+    frameDrawable(engine, drawable, { zoomScale: SAMPLE_GLTF_MODEL.cameraZoomScale });
     return drawable;
 }
 
@@ -256,7 +346,7 @@ async function buildFileMapFromDirectory(dirHandle, prefix = '') {
     return fileMap;
 }
 
-export async function importZipFile({ engine, file }) {
+async function readZipFileMap(file) {
     const JSZipLib = await getJSZip();
     if (!JSZipLib) throw new Error('JSZip library is not loaded. Cannot process .zip file.');
 
@@ -273,11 +363,12 @@ export async function importZipFile({ engine, file }) {
         }
     });
     await Promise.all(filePromises);
+    return fileMap;
+}
 
-    const drawable = await parseGltfForBackend(engine, fileMap);
-    engine.scene.loadGeometry(drawable);
-    frameCamera(engine.camera, drawable);
-    return drawable;
+export async function importZipFile({ engine, file }) {
+    const drawable = await parseGltfForBackend(engine, await readZipFileMap(file));
+    return (await showGltfDrawable(engine, drawable)).drawable;
 }
 
 export async function importFolderHandle({ engine, dirHandle, preferredGltfName }) {
@@ -307,7 +398,5 @@ export async function importFolderHandle({ engine, dirHandle, preferredGltfName
     });
 
     const drawable = await parseGltfForBackend(engine, orderedMap);
-    engine.scene.loadGeometry(drawable);
-    frameCamera(engine.camera, drawable);
-    return drawable;
+    return (await showGltfDrawable(engine, drawable)).drawable;
 }
@@ -4,7 +4,8 @@
  * @license MIT
  */
 
-import { createIdentityMatrix, createPerspectiveMatrix, createLookAtMatrix, multiplyMatrices } from './matrix.js';
+import { createProjectionMatrix } from './camera.js';
+import { createIdentityMatrix, createLookAtMatrix, multiplyMatrices } from './matrix.js';
 
 function resizeCanvas(canvas) {
     const displayWidth  = canvas.clientWidth;
@@ -146,11 +147,10 @@ export function createScene(gl, canvas, camera) {
 
         // Compute projection/modelView using the current camera so the debug
         // draw appears in the same view as the scene.
-        const fieldOfView = 45 * Math.PI / 180;
         const aspect = gl.canvas.clientWidth / gl.canvas.clientHeight;
         const zNear = 0.1;
         const zFar = 100.0;
-        const projectionMatrix = createPerspectiveMatrix(fieldOfView, aspect, zNear, zFar);
+        const projectionMatrix = createProjectionMatrix(camera, aspect, zNear, zFar);
         camera.updateViewMatrix();
         const viewMatrix = camera.getViewMatrix();
         const modelMatrix = createIdentityMatrix();
@@ -243,11 +243,10 @@ export function createScene(gl, canvas, camera) {
         gl.depthFunc(gl.LEQUAL);
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-        const fieldOfView = 45 * Math.PI / 180;
         const aspect = gl.canvas.clientWidth / gl.canvas.clientHeight;
         const zNear = 0.1;
         const zFar = 100.0;
-        const projectionMatrix = createPerspectiveMatrix(fieldOfView, aspect, zNear, zFar);
+        const projectionMatrix = createProjectionMatrix(camera, aspect, zNear, zFar);
 
         // Update the camera matrix and get the view matrix
         camera.updateViewMatrix();
@@ -335,7 +334,7 @@ export function createScene(gl, canvas, camera) {
             const vertexCount = drawable.vertexCount;
             const type = drawable.indexType; // Use the type from the drawable object
             const offset = 0;
-            gl.drawElements(gl.TRIANGLES, vertexCount, type, offset);
+            gl.drawElements(drawable.drawMode ?? gl.TRIANGLES, vertexCount, type, offset);
             const errAfter = gl.getError();
             if (errAfter !== gl.NO_ERROR) console.warn('GL error after drawElements:', errAfter);
         }
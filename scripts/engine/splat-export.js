@@ -0,0 +1,221 @@
+/**
+ * @file Pure writers for splat clouds: binary INRIA `.ply`, antimatter15
+ *       `.splat` and Niantic `.spz`, plus the format dispatch.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * The inverse of splat-formats.js: each writer takes the parsed arrays every
+ * format decodes to (activations applied, PLY right-down-front frame) and
+ * produces bytes the matching parser reads back. Like the parsers this has no
+ * GPU dependency and runs in the splat worker, which retains the cloud.
+ *
+ * Encoding is synchronous. The one asynchronous step — gzipping a `.spz` — is
+ * split out as {@link compressSplatSource}, mirroring `decompressSplatSource`.
+ */
+
+import { SH_C0, SH_REST_PER_CHANNEL } from './ply-loader.js';
+import {
+    DOT_SPLAT_STRIDE,
+    SH_REST_FLIP_YZ,
+    SPZ_COLOR_SCALE,
+    SPZ_HEADER_BYTES,
+    SPZ_MAGIC,
+    SPZ_MAX_VERSION,
+    SPZ_ROTATION_MASK,
+} from './splat-formats.js';
+
+// Keeps logit() finite for fully transparent or opaque splats.
+const OPACITY_EPSILON = 1e-6;
+// .spz positions are 24-bit signed fixed point.
+const SPZ_POSITION_LIMIT = 2 ** 23 - 1;
+const SPZ_FRACTIONAL_BITS = 12;
+
+const clampByte = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+const logit = (opacity) => {
+    const o = Math.min(1 - OPACITY_EPSILON, Math.max(OPACITY_EPSILON, opacity));
+    return Math.log(o / (1 - o));
+};
+
+/**
+ * Writes a cloud as a binary little-endian INRIA 3DGS `.ply` — the layout the
+ * reference trainer saves and `parsePly` reads: position, zeroed normals, the
+ * DC term, channel-major `f_rest_*`, then pre-activation opacity, log scale and
+ * the (w, x, y, z) rotation, all float32.
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @returns {ArrayBuffer}
+ */
+export function encodeSplatPly(cloud) {
+    const { positions, colors, opacities, scales, rotations, count, shCoeffs, shDegree } = cloud;
+    const shPerChannel = shCoeffs ? SH_REST_PER_CHANNEL[shDegree] : 0;
+    const properties = [
+        'x', 'y', 'z', 'nx', 'ny', 'nz', 'f_dc_0', 'f_dc_1', 'f_dc_2',
+        ...Array.from({ length: shPerChannel * 3 }, (_, n) => `f_rest_${n}`),
+        'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3',
+    ];
+    const header = new TextEncoder().encode([
+        'ply',
+        'format binary_little_endian 1.0',
+        `element vertex ${count}`,
+        ...properties.map((name) => `property float ${name}`),
+        'end_header',
+        '',
+    ].join('\n'));
+
+    const stride = properties.length;
+    const body = new Float32Array(count * stride);
+    const shStride = shPerChannel * 3;
+    for (let i = 0; i < count; i++) {
+        const base = i * stride;
+        body.set(positions.subarray(i * 3, i * 3 + 3), base);
+        for (let c = 0; c < 3; c++) body[base + 6 + c] = (colors[i * 3 + c] - 0.5) / SH_C0;
+        // Coefficient-major rgb triples -> f_rest_{channel · perChannel + k}.
+        for (let k = 0; k < shPerChannel; k++) {
+            for (let c = 0; c < 3; c++) body[base + 9 + c * shPerChannel + k] = shCoeffs[i * shStride + k * 3 + c];
+        }
+        const tail = base + 9 + shStride;
+        body[tail] = logit(opacities[i]);
+        for (let c = 0; c < 3; c++) body[tail + 1 + c] = Math.log(scales[i * 3 + c]);
+        body.set(rotations.subarray(i * 4, i * 4 + 4), tail + 4);
+    }
+
+    const bytes = new Uint8Array(header.length + body.byteLength);
+    bytes.set(header);
+    bytes.set(new Uint8Array(body.buffer), header.length);
+    return bytes.buffer;
+}
+
+/**
+ * Writes a cloud as an antimatter15 `.splat`: 32-byte records of position,
+ * linear scale, rgba and a (w, x, y, z) rotation quantized as q·128 + 128. The
+ * format has no view-dependent colour, so SH beyond the DC term are dropped.
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @returns {ArrayBuffer}
+ */
+export function encodeDotSplat(cloud) {
+    const { positions, colors, opacities, scales, rotations, count } = cloud;
+    const buffer = new ArrayBuffer(count * DOT_SPLAT_STRIDE);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < count; i++) {
+        const base = i * DOT_SPLAT_STRIDE;
+        for (let a = 0; a < 3; a++) {
+            view.setFloat32(base + a * 4, positions[i * 3 + a], true);
+            view.setFloat32(base + 12 + a * 4, scales[i * 3 + a], true);
+            bytes[base + 24 + a] = clampByte(colors[i * 3 + a] * 255);
+        }
+        bytes[base + 27] = clampByte(opacities[i] * 255);
+        for (let c = 0; c < 4; c++) bytes[base + 28 + c] = clampByte(rotations[i * 4 + c] * 128 + 128);
+    }
+    return buffer;
+}
+
+/**
+ * Writes a cloud as an uncompressed version-3 `.spz` body (gzip it with
+ * {@link compressSplatSource}). The cloud turns back from the PLY's
+ * right-down-front frame into `.spz`'s right-up-back one — `parseSpz` undoes
+ * exactly this — and positions use the finest fixed point (at most 12
+ * fractional bits) that still fits the cloud's extent in 24 bits.
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @returns {ArrayBuffer}
+ */
+export function encodeSpz(cloud) {
+    const { positions, colors, opacities, scales, rotations, count, shCoeffs } = cloud;
+    const shDegree = shCoeffs ? cloud.shDegree : 0;
+    const shPerChannel = SH_REST_PER_CHANNEL[shDegree];
+    const shStride = shPerChannel * 3;
+
+    let extent = 0;
+    for (let i = 0; i < count * 3; i++) extent = Math.max(extent, Math.abs(positions[i]));
+    let fractionalBits = SPZ_FRACTIONAL_BITS;
+    while (fractionalBits > 0 && extent * (1 << fractionalBits) > SPZ_POSITION_LIMIT) fractionalBits--;
+    if (extent * (1 << fractionalBits) > SPZ_POSITION_LIMIT) {
+        throw new Error(`Cannot write .spz: positions reach ${extent}, beyond its 24-bit range.`);
+    }
+
+    const positionsAt = SPZ_HEADER_BYTES;
+    const alphasAt = positionsAt + count * 9;
+    const colorsAt = alphasAt + count;
+    const scalesAt = colorsAt + count * 3;
+    const rotationsAt = scalesAt + count * 3;
+    const shAt = rotationsAt + count * 4;
+    const buffer = new ArrayBuffer(shAt + count * shStride);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, SPZ_MAGIC, true);
+    view.setUint32(4, SPZ_MAX_VERSION, true);
+    view.setUint32(8, count, true);
+    bytes[12] = shDegree;
+    bytes[13] = fractionalBits;
+
+    const positionScale = 1 << fractionalBits;
+    // Right-down-front -> right-up-back: y and z change sign.
+    const axisSign = [1, -1, -1];
+    for (let i = 0; i < count; i++) {
+        for (let a = 0; a < 3; a++) {
+            const fixed = Math.round(positions[i * 3 + a] * axisSign[a] * positionScale);
+            const o = positionsAt + (i * 3 + a) * 3;
+            bytes[o] = fixed & 0xff;
+            bytes[o + 1] = (fixed >> 8) & 0xff;
+            bytes[o + 2] = (fixed >> 16) & 0xff;
+            const dc = (colors[i * 3 + a] - 0.5) / SH_C0;
+            bytes[colorsAt + i * 3 + a] = clampByte((dc * SPZ_COLOR_SCALE + 0.5) * 255);
+            bytes[scalesAt + i * 3 + a] = clampByte((Math.log(scales[i * 3 + a]) + 10) * 16);
+        }
+        bytes[alphasAt + i] = clampByte(opacities[i] * 255);
+
+        // The 180° x-rotation conjugates (w,x,y,z) -> (w,x,-y,-z); .spz packs
+        // (x, y, z, w) as "smallest three", largest component made positive.
+        const q = [rotations[i * 4 + 1], -rotations[i * 4 + 2], -rotations[i * 4 + 3], rotations[i * 4]];
+        let largest = 0;
+        for (let c = 1; c < 4; c++) if (Math.abs(q[c]) > Math.abs(q[largest])) largest = c;
+        const sign = q[largest] < 0 ? -1 : 1;
+        let packed = largest;
+        for (let c = 0; c < 4; c++) {
+            if (c === largest) continue;
+            const value = q[c] * sign;
+            const magnitude = Math.min(SPZ_ROTATION_MASK, Math.round((Math.abs(value) / Math.SQRT1_2) * SPZ_ROTATION_MASK));
+            packed = (packed << 10) | ((value < 0 ? 1 : 0) << 9) | magnitude;
+        }
+        view.setUint32(rotationsAt + i * 4, packed >>> 0, true);
+
+        for (let k = 0; k < shPerChannel; k++) {
+            const flip = SH_REST_FLIP_YZ.has(k) ? -1 : 1;
+            for (let c = 0; c < 3; c++) {
+                const n = i * shStride + k * 3 + c;
+                bytes[shAt + n] = clampByte(flip * shCoeffs[n] * 128 + 128);
+            }
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Writes a cloud in a splat format. Compressed formats come out inflated (see
+ * {@link compressSplatSource}).
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @param {'ply' | 'splat' | 'spz'} [format]
+ * @returns {ArrayBuffer}
+ */
+export function encodeSplatSource(cloud, format = 'ply') {
+    switch (format) {
+        case 'ply': return encodeSplatPly(cloud);
+        case 'splat': return encodeDotSplat(cloud);
+        case 'spz': return encodeSpz(cloud);
+        default: throw new Error(`Unsupported splat format: ${format}`);
+    }
+}
+
+/**
+ * Gzips the container formats stored compressed (`.spz`) via the built-in
+ * `CompressionStream`; every other buffer passes through untouched.
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {string} [format]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function compressSplatSource(arrayBuffer, format = 'ply') {
+    if (format !== 'spz') return arrayBuffer;
+    const stream = new Blob([arrayBuffer]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+}
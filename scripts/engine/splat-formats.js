@@ -0,0 +1,303 @@
+/**
+ * @file Pure parsers for the non-PLY splat formats (`.splat`, `.spz`), plus the
+ *       format dispatch.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Every format normalizes to the parsed arrays `parsePly` returns
+ * (`{ positions, colors, opacities, scales, rotations, shCoeffs, shDegree, count,
+ * bounds }`), activations already applied, so `mirrorYInPlace`,
+ * `normalizeInPlace` and `packSplats` never learn where a cloud came from.
+ * Like ply-loader.js this has no GPU dependency and runs in the splat worker.
+ *
+ * Parsing is synchronous. The one asynchronous step — inflating a gzipped
+ * `.spz` — is split out as {@link decompressSplatSource}, which the worker (or
+ * the client's inline fallback) awaits before handing bytes to the pipeline.
+ */
+
+import { parsePly, cloudBounds, SH_C0, SH_REST_PER_CHANNEL } from './ply-loader.js';
+
+/** Bytes per splat in an antimatter15 `.splat` file. */
+export const DOT_SPLAT_STRIDE = 32;
+
+/** File extension -> format name understood by {@link parseSplatSource}. */
+const FORMAT_BY_EXTENSION = { ply: 'ply', splat: 'splat', spz: 'spz' };
+
+/**
+ * Splat format of a file name, or null when the extension is not a splat
+ * container. `.ply` is returned as a candidate only — it may still be a mesh
+ * (see `detectPlyKind`).
+ * @param {string} fileName
+ * @returns {'ply' | 'splat' | 'spz' | null}
+ */
+export function splatFormatOf(fileName) {
+    const match = /\.([^./\\]+)$/.exec(fileName ?? '');
+    return (match && FORMAT_BY_EXTENSION[match[1].toLowerCase()]) || null;
+}
+
+/**
+ * Parses an antimatter15 `.splat` ArrayBuffer: a headerless array of 32-byte
+ * records, little-endian —
+ *   position f32×3 | scale f32×3 (linear) | rgba u8×4 | rotation u8×4 (w,x,y,z)
+ *
+ * The format bakes the activations in at conversion time: scale is already
+ * exp()'d, rgb is the clamped degree-0 colour and alpha is sigmoid(opacity),
+ * each ×255. Rotation components are quantized as q·128 + 128, so decoding is
+ * (b − 128) / 128 followed by a renormalize. There is no view-dependent colour,
+ * so the result always has shDegree 0. The file frame is kept verbatim, the
+ * same as `parsePly`.
+ *
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {ReturnType<typeof parsePly>}
+ */
+export function parseDotSplat(arrayBuffer) {
+    if (arrayBuffer.byteLength % DOT_SPLAT_STRIDE !== 0) {
+        throw new Error(
+            `Invalid .splat: ${arrayBuffer.byteLength} bytes is not a whole number of ` +
+            `${DOT_SPLAT_STRIDE}-byte splats.`,
+        );
+    }
+    const count = arrayBuffer.byteLength / DOT_SPLAT_STRIDE;
+    const view = new DataView(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const opacities = new Float32Array(count);
+    const scales = new Float32Array(count * 3);
+    const rotations = new Float32Array(count * 4);
+
+    for (let i = 0; i < count; i++) {
+        const base = i * DOT_SPLAT_STRIDE;
+
+        positions[i * 3 + 0] = view.getFloat32(base + 0, true);
+        positions[i * 3 + 1] = view.getFloat32(base + 4, true);
+        positions[i * 3 + 2] = view.getFloat32(base + 8, true);
+
+        scales[i * 3 + 0] = view.getFloat32(base + 12, true);
+        scales[i * 3 + 1] = view.getFloat32(base + 16, true);
+        scales[i * 3 + 2] = view.getFloat32(base + 20, true);
+
+        colors[i * 3 + 0] = bytes[base + 24] / 255;
+        colors[i * 3 + 1] = bytes[base + 25] / 255;
+        colors[i * 3 + 2] = bytes[base + 26] / 255;
+        opacities[i] = bytes[base + 27] / 255;
+
+        // Same canonical form as parsePly: unit length, qw >= 0. An all-128
+        // (zero) quaternion decodes to identity rather than NaN.
+        let qw = (bytes[base + 28] - 128) / 128;
+        let qx = (bytes[base + 29] - 128) / 128;
+        let qy = (bytes[base + 30] - 128) / 128;
+        let qz = (bytes[base + 31] - 128) / 128;
+        const len = Math.hypot(qw, qx, qy, qz);
+        if (len === 0) {
+            qw = 1;
+        } else {
+            const sign = qw < 0 ? -1 : 1;
+            qw = (qw * sign) / len;
+            qx = (qx * sign) / len;
+            qy = (qy * sign) / len;
+            qz = (qz * sign) / len;
+        }
+        rotations[i * 4 + 0] = qw;
+        rotations[i * 4 + 1] = qx;
+        rotations[i * 4 + 2] = qy;
+        rotations[i * 4 + 3] = qz;
+    }
+
+    return {
+        positions, colors, opacities, scales, rotations,
+        count, shCoeffs: null, shDegree: 0, bounds: cloudBounds(positions, count),
+    };
+}
+
+// --- Niantic .spz ----------------------------------------------------------
+
+/** "NGSP", little-endian. */
+export const SPZ_MAGIC = 0x5053474e;
+export const SPZ_HEADER_BYTES = 16;
+export const SPZ_MAX_VERSION = 3;
+// DC colour is stored as dc·(0.15·255) + 0.5·255.
+export const SPZ_COLOR_SCALE = 0.15;
+export const SPZ_ROTATION_MASK = (1 << 9) - 1;
+
+/**
+ * Per-channel SH rest indices whose basis functions change sign under
+ * (y, z) -> (-y, -z): the ones odd in exactly one of y and z. Same index
+ * convention as `SH_REST_FLIP_Y`.
+ */
+export const SH_REST_FLIP_YZ = new Set([0, 1, 3, 6, 8, 10, 11, 13]);
+
+const isGzip = (bytes) => bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+function float16ToNumber(value) {
+    const sign = (value & 0x8000) ? -1 : 1;
+    const exponent = (value >> 10) & 0x1f;
+    const fraction = value & 0x03ff;
+    if (exponent === 0) return sign * fraction * (2 ** -24);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * (1 + fraction / 1024) * (2 ** (exponent - 15));
+}
+
+/**
+ * Inflates the container formats that arrive compressed (`.spz` is a gzip
+ * stream) via the built-in `DecompressionStream`; every other buffer passes
+ * through untouched. Available in workers and on the main thread alike.
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {string} [format]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function decompressSplatSource(arrayBuffer, format = 'ply') {
+    if (format !== 'spz' || !isGzip(new Uint8Array(arrayBuffer, 0, Math.min(2, arrayBuffer.byteLength)))) {
+        return arrayBuffer;
+    }
+    const stream = new Blob([arrayBuffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Parses an inflated Niantic `.spz` buffer (versions 1-3). After a 16-byte
+ * header (magic, version, count, SH degree, fractional bits, flags) the body is
+ * attribute-major — all positions, then alphas, colours, scales, rotations, SH:
+ *   - positions: v1 float16×3; v2+ 24-bit signed fixed point / 2^fractionalBits
+ *   - alpha:     u8, sigmoid(opacity)·255
+ *   - colour:    u8 DC coefficient, dc·0.15·255 + 127.5
+ *   - scale:     u8 log scale, s/16 − 10
+ *   - rotation:  v1-2 xyz u8 as b/127.5 − 1 with w ≥ 0 implied; v3 "smallest
+ *                three" in 32 bits (2-bit largest index + 3 × 10-bit signed)
+ *   - SH:        u8 (b − 128)/128, coefficient-major rgb triples — already the
+ *                layout `shCoeffs` uses
+ *
+ * `.spz` stores the cloud right-up-back, where INRIA PLYs are right-down-front;
+ * the parse rotates it 180° about x (y and z negated, SH sign-corrected to
+ * match) so the same capture lands in the same frame as its PLY and the Y-flip
+ * toggle means the same thing for both.
+ *
+ * @param {ArrayBuffer} arrayBuffer inflated bytes (see {@link decompressSplatSource})
+ * @returns {ReturnType<typeof parsePly>}
+ */
+export function parseSpz(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    if (isGzip(bytes)) {
+        throw new Error('Invalid .spz: still gzip-compressed; inflate it with decompressSplatSource first.');
+    }
+    if (bytes.length < SPZ_HEADER_BYTES) throw new Error('Invalid .spz: truncated header.');
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== SPZ_MAGIC) throw new Error('Invalid .spz: missing "NGSP" magic.');
+    const version = view.getUint32(4, true);
+    if (version < 1 || version > SPZ_MAX_VERSION) {
+        throw new Error(`Unsupported .spz version ${version}; expected 1-${SPZ_MAX_VERSION}.`);
+    }
+    const count = view.getUint32(8, true);
+    const shDegree = bytes[12];
+    const fractionalBits = bytes[13];
+    if (!(shDegree in SH_REST_PER_CHANNEL)) throw new Error(`Unsupported .spz SH degree ${shDegree}.`);
+
+    const positionBytes = version === 1 ? 6 : 9;
+    const rotationBytes = version >= 3 ? 4 : 3;
+    const shPerChannel = SH_REST_PER_CHANNEL[shDegree];
+    const shStride = shPerChannel * 3;
+    const positionsAt = SPZ_HEADER_BYTES;
+    const alphasAt = positionsAt + count * positionBytes;
+    const colorsAt = alphasAt + count;
+    const scalesAt = colorsAt + count * 3;
+    const rotationsAt = scalesAt + count * 3;
+    const shAt = rotationsAt + count * rotationBytes;
+    if (shAt + count * shStride > bytes.length) {
+        throw new Error('Invalid .spz: body shorter than its header declares.');
+    }
+
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const opacities = new Float32Array(count);
+    const scales = new Float32Array(count * 3);
+    const rotations = new Float32Array(count * 4);
+    const shCoeffs = shStride > 0 ? new Float32Array(count * shStride) : null;
+    const positionScale = 1 / (1 << fractionalBits);
+    // Right-up-back -> right-down-front: y and z change sign.
+    const axisSign = [1, -1, -1];
+
+    for (let i = 0; i < count; i++) {
+        for (let a = 0; a < 3; a++) {
+            let p;
+            if (version === 1) {
+                p = float16ToNumber(view.getUint16(positionsAt + (i * 3 + a) * 2, true));
+            } else {
+                const o = positionsAt + (i * 3 + a) * 3;
+                // Sign-extend the 24-bit value through the top byte.
+                p = ((bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16)) << 8 >> 8) * positionScale;
+            }
+            positions[i * 3 + a] = p * axisSign[a];
+            colors[i * 3 + a] = 0.5 + SH_C0 * ((bytes[colorsAt + i * 3 + a] / 255 - 0.5) / SPZ_COLOR_SCALE);
+            scales[i * 3 + a] = Math.exp(bytes[scalesAt + i * 3 + a] / 16 - 10);
+        }
+        opacities[i] = bytes[alphasAt + i] / 255;
+
+        // Decode as (x, y, z, w), the order .spz packs.
+        const q = [0, 0, 0, 0];
+        if (version >= 3) {
+            let packed = view.getUint32(rotationsAt + i * 4, true);
+            const largest = packed >>> 30;
+            let sumSquares = 0;
+            for (let c = 3; c >= 0; c--) {
+                if (c === largest) continue;
+                const magnitude = packed & SPZ_ROTATION_MASK;
+                const negative = (packed >>> 9) & 1;
+                packed >>>= 10;
+                q[c] = Math.SQRT1_2 * (magnitude / SPZ_ROTATION_MASK) * (negative ? -1 : 1);
+                sumSquares += q[c] * q[c];
+            }
+            q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+        } else {
+            const o = rotationsAt + i * 3;
+            q[0] = bytes[o] / 127.5 - 1;
+            q[1] = bytes[o + 1] / 127.5 - 1;
+            q[2] = bytes[o + 2] / 127.5 - 1;
+            q[3] = Math.sqrt(Math.max(0, 1 - q[0] * q[0] - q[1] * q[1] - q[2] * q[2]));
+        }
+        // The 180° x-rotation conjugates (w,x,y,z) -> (w,x,-y,-z); then the
+        // same canonical form as parsePly (unit length, qw >= 0).
+        const qw = q[3];
+        const qx = q[0];
+        const qy = -q[1];
+        const qz = -q[2];
+        const len = Math.hypot(qw, qx, qy, qz) || 1;
+        const sign = qw < 0 ? -1 : 1;
+        rotations[i * 4 + 0] = (qw * sign) / len;
+        rotations[i * 4 + 1] = (qx * sign) / len;
+        rotations[i * 4 + 2] = (qy * sign) / len;
+        rotations[i * 4 + 3] = (qz * sign) / len;
+
+        if (shCoeffs) {
+            const base = i * shStride;
+            for (let k = 0; k < shPerChannel; k++) {
+                const flip = SH_REST_FLIP_YZ.has(k) ? -1 : 1;
+                for (let c = 0; c < 3; c++) {
+                    const n = base + k * 3 + c;
+                    shCoeffs[n] = flip * (bytes[shAt + n] - 128) / 128;
+                }
+            }
+        }
+    }
+
+    return {
+        positions, colors, opacities, scales, rotations,
+        count, shCoeffs, shDegree, bounds: cloudBounds(positions, count),
+    };
+}
+
+/**
+ * Parses a splat file of a known format into the shared parsed arrays.
+ * Compressed formats must already be inflated (see {@link decompressSplatSource}).
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {'ply' | 'splat' | 'spz'} [format]
+ * @returns {ReturnType<typeof parsePly>}
+ */
+export function parseSplatSource(arrayBuffer, format = 'ply') {
+    switch (format) {
+        case 'ply': return parsePly(arrayBuffer);
+        case 'splat': return parseDotSplat(arrayBuffer);
+        case 'spz': return parseSpz(arrayBuffer);
+        default: throw new Error(`Unsupported splat format: ${format}`);
+    }
+}
@@ -174,11 +174,22 @@ export function createSortBuffers(device, count) {
     return { indexBuffer, keyBuffer, paddedCount };
 }
 
+/**
+ * Depth state for splat passes composited over opaque meshes: test against
+ * the meshes' depth, never write it (splats are sorted, not z-buffered).
+ */
+function splatDepthStencil(depthFormat) {
+    return depthFormat
+        ? { depthStencil: { format: depthFormat, depthWriteEnabled: false, depthCompare: 'less-equal' } }
+        : {};
+}
+
 /**
  * Render pipeline for full Gaussian splatting: instanced triangle-strip quads
- * with premultiplied alpha-over blending and no depth.
+ * with premultiplied alpha-over blending. With `depthFormat` the pipeline
+ * depth-tests (read-only) against a shared attachment; without it, no depth.
  */
-export function createSplatRenderPipeline(device, wgslSource, format) {
+export function createSplatRenderPipeline(device, wgslSource, format, { depthFormat = null } = {}) {
     const module = device.createShaderModule({ code: wgslSource });
     const blend = {
         color: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
@@ -189,17 +200,19 @@ export function createSplatRenderPipeline(device, wgslSource, format) {
         vertex: { module, entryPoint: 'vs_main' },
         fragment: { module, entryPoint: 'fs_main', targets: [{ format, blend }] },
         primitive: { topology: 'triangle-strip' },
+        ...splatDepthStencil(depthFormat),
     });
 }
 
-/** Debug pipeline: draws splat centers as points (no blend, no depth). */
-export function createSplatDebugPipeline(device, wgslSource, format) {
+/** Debug pipeline: draws splat centers as points (no blend; optional read-only depth test). */
+export function createSplatDebugPipeline(device, wgslSource, format, { depthFormat = null } = {}) {
     const module = device.createShaderModule({ code: wgslSource });
     return device.createRenderPipeline({
         layout: 'auto',
         vertex: { module, entryPoint: 'vs_debug_points' },
         fragment: { module, entryPoint: 'fs_debug_points', targets: [{ format }] },
         primitive: { topology: 'point-list' },
+        ...splatDepthStencil(depthFormat),
     });
 }
 
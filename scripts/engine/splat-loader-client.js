@@ -14,12 +14,16 @@
  * enters Jest's babel graph, which cannot parse `import.meta` (cf. geometry.js).
  */
 
-import { createSplatPipeline } from './splat-pipeline.js';
+import { cloudTransferables, createSplatPipeline } from './splat-pipeline.js';
+import { decompressSplatSource } from './splat-formats.js';
+import { compressSplatSource } from './splat-export.js';
 
 /**
  * @returns {{
- *   load: (arrayBuffer: ArrayBuffer, flipY: boolean) => Promise<object>,
+ *   load: (arrayBuffer: ArrayBuffer, flipY: boolean, format?: 'ply'|'splat'|'spz') => Promise<object>,
+ *   loadParsed: (cloud: object, flipY: boolean) => Promise<object>,
  *   setFlip: (flipY: boolean) => Promise<object|null>,
+ *   exportCloud: (format?: 'ply'|'splat'|'spz', opts?: { matrix?: ArrayLike<number>, crop?: object }) => Promise<ArrayBuffer>,
  *   destroy: () => void,
  * }}
  */
@@ -64,12 +68,19 @@ export function createSplatLoaderClient() {
         }
     }
 
-    function request(type, { buffer, flipY }) {
+    function request(type, { buffer, cloud, flipY, format, matrix, crop }) {
         ensureBackend();
         if (inline) {
-            // Same pipeline, run synchronously; keep the async contract.
+            // Same pipeline, run on this thread; keep the async contract.
+            if (type === 'load') {
+                return decompressSplatSource(buffer, format).then((bytes) => inline.load(bytes, flipY, format));
+            }
+            if (type === 'export') {
+                return Promise.resolve()
+                    .then(() => compressSplatSource(inline.exportCloud(format, { matrix, crop }), format));
+            }
             try {
-                const payload = type === 'load' ? inline.load(buffer, flipY) : inline.setFlip(flipY);
+                const payload = type === 'loadParsed' ? inline.loadParsed(cloud, flipY) : inline.setFlip(flipY);
                 return Promise.resolve(payload);
             } catch (err) {
                 return Promise.reject(err);
@@ -78,20 +89,29 @@ export function createSplatLoaderClient() {
         return new Promise((resolve, reject) => {
             const id = nextId++;
             pending.set(id, { resolve, reject });
-            // Transfer the source buffer into the worker to avoid a copy (the
-            // caller does not reuse it). setFlip has no buffer to transfer.
-            const transfer = type === 'load' && buffer ? [buffer] : [];
-            worker.postMessage({ id, type, buffer, flipY }, transfer);
+            // Transfer the source buffer (or parsed cloud) into the worker to
+            // avoid a copy (the caller does not reuse it). setFlip has nothing
+            // to transfer.
+            let transfer = [];
+            if (type === 'load' && buffer) transfer = [buffer];
+            else if (type === 'loadParsed') transfer = cloudTransferables(cloud);
+            worker.postMessage({ id, type, buffer, cloud, flipY, format, matrix, crop }, transfer);
         });
     }
 
     return {
-        load(arrayBuffer, flipY) {
-            return request('load', { buffer: arrayBuffer, flipY });
+        load(arrayBuffer, flipY, format = 'ply') {
+            return request('load', { buffer: arrayBuffer, flipY, format });
+        },
+        loadParsed(cloud, flipY) {
+            return request('loadParsed', { cloud, flipY });
         },
         setFlip(flipY) {
             return request('setFlip', { flipY });
         },
+        exportCloud(format = 'ply', { matrix = null, crop = null } = {}) {
+            return request('export', { format, matrix, crop });
+        },
         destroy() {
             if (worker) worker.terminate();
             worker = null;
@@ -5,7 +5,9 @@
  *
  * Pure (no GPU, no Worker, no `import.meta`) so it runs identically on the main
  * thread, inside `splat-worker.js`, and under Jest. It retains the parsed cloud
- * so the Y-flip can be toggled and re-packed without re-parsing the file.
+ * so the Y-flip can be toggled and re-packed without re-parsing the file. The
+ * source format (`.ply`, `.splat`, `.spz`) only matters to the parse step; see
+ * splat-formats.js.
  *
  * The output `payload` carries everything the GPU side needs (see
  * webgpu-facade.js `buildSplatDrawable`): the interleaved `packed` buffer, the
@@ -13,8 +15,11 @@
  * main thread, so degree fitting happens there), plus `count`/`bounds`/`positions`.
  */
 
-import { parsePly, mirrorYInPlace, normalizeInPlace } from './ply-loader.js';
+import { mirrorYInPlace, normalizeInPlace } from './ply-loader.js';
+import { encodeSplatSource } from './splat-export.js';
+import { parseSplatSource } from './splat-formats.js';
 import { packSplats } from './splat-helpers.js';
+import { cropSplatCloud, transformSplatCloud } from './splat-transform.js';
 
 /**
  * ArrayBuffers in a payload that can be transferred (zero-copy) across a
@@ -30,11 +35,24 @@ export function payloadTransferables(payload) {
     return transfers;
 }
 
+/**
+ * ArrayBuffers of a parsed cloud (see `parsePly`) handed to the worker by
+ * `loadParsed`; the sender gives the cloud up.
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @returns {ArrayBuffer[]}
+ */
+export function cloudTransferables(cloud) {
+    const arrays = [cloud.positions, cloud.colors, cloud.opacities, cloud.scales, cloud.rotations, cloud.shCoeffs];
+    return [...new Set(arrays.filter(Boolean).map((array) => array.buffer))];
+}
+
 /**
  * Creates a pipeline that owns one parsed splat cloud at a time.
  * @returns {{
- *   load: (arrayBuffer: ArrayBuffer, flipY: boolean) => object,
+ *   load: (arrayBuffer: ArrayBuffer, flipY: boolean, format?: 'ply'|'splat'|'spz') => object,
+ *   loadParsed: (cloud: object, flipY: boolean) => object,
  *   setFlip: (flipY: boolean) => object|null,
+ *   exportCloud: (format?: 'ply'|'splat'|'spz', opts?: { matrix?: ArrayLike<number>, crop?: object }) => ArrayBuffer,
  * }}
  */
 export function createSplatPipeline() {
@@ -58,19 +76,32 @@ export function createSplatPipeline() {
         };
     }
 
+    // Retain a freshly parsed cloud: parse -> (optional) mirror -> normalize.
+    function adopt(parsed, flipY) {
+        splatData = parsed;
+        flipped = false;
+        if (flipY) {
+            mirrorYInPlace(splatData);
+            flipped = true;
+        }
+        // After the flip, so the cloud is already in its final orientation
+        // and setFlip() then mirrors an origin-centered cloud about its own
+        // center — which is what the toggle means anyway.
+        normalizeInPlace(splatData);
+        return buildPayload();
+    }
+
     return {
-        load(arrayBuffer, flipY) {
-            splatData = parsePly(arrayBuffer);
-            flipped = false;
-            if (flipY) {
-                mirrorYInPlace(splatData);
-                flipped = true;
-            }
-            // After the flip, so the cloud is already in its final orientation
-            // and setFlip() then mirrors an origin-centered cloud about its own
-            // center — which is what the toggle means anyway.
-            normalizeInPlace(splatData);
-            return buildPayload();
+        // Compressed sources arrive already inflated (decompressSplatSource).
+        load(arrayBuffer, flipY, format = 'ply') {
+            return adopt(parseSplatSource(arrayBuffer, format), flipY);
+        },
+
+        // A cloud decoded elsewhere (e.g. a glTF KHR_gaussian_splatting
+        // primitive, see gltf-splats.js), already in the parsed layout. The
+        // pipeline takes ownership and mutates it.
+        loadParsed(cloud, flipY) {
+            return adopt(cloud, flipY);
         },
 
         // Returns null (no re-pack needed) when there is no cloud or the flip
@@ -82,5 +113,17 @@ export function createSplatPipeline() {
             flipped = want;
             return buildPayload();
         },
+
+        // Writes a copy of the retained cloud — flip applied, still normalized —
+        // posed by `matrix` (column-major 4×4) and then cut to `crop`'s
+        // `{ min, max }` box. Compressed formats come out inflated
+        // (compressSplatSource).
+        exportCloud(format = 'ply', { matrix = null, crop = null } = {}) {
+            if (!splatData) throw new Error('No splat cloud is loaded to export.');
+            let cloud = structuredClone(splatData);
+            if (matrix) transformSplatCloud(cloud, matrix, 'Splat cloud');
+            if (crop) cloud = cropSplatCloud(cloud, crop);
+            return encodeSplatSource(cloud, format);
+        },
     };
 }
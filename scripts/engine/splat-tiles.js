@@ -0,0 +1,161 @@
+/**
+ * @file Tile-grid math for the compute splat renderer.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Pure (no GPU): the tile grid, per-splat tile rectangles, the (tile, depth)
+ * sort key and the pixel-space footprint that splat-tile-render.wgsl mirrors.
+ * SplatTileRenderer sizes its buffers and uniforms from these, and
+ * __tests__/splat-tiles.test.js pins them — the same JS-first pattern as
+ * ordering/radix-reference.js ↔ splat-radix-sort.wgsl.
+ *
+ * The footprint reproduces the instanced path exactly rather than textbook EWA:
+ * splat.wgsl stretches a [-2, 2] quad along the covariance's principal axes and
+ * fades it by exp(-|local|²), so the compositor evaluates that same falloff per
+ * pixel and the two renderers agree to rounding.
+ */
+import { orderableFromFloat, BLOCK_SIZE, alignUp } from './ordering/radix-reference.js';
+
+/** Tile edge in pixels; one 16×16 workgroup composites one tile. */
+export const TILE_SIZE = 16;
+
+/** Splats per block of the two-level tile-count scan (256 invocations × 4). */
+export const SCAN_BLOCK = 1024;
+
+/**
+ * Key/value slots first reserved per splat. Most splats touch one to four
+ * tiles; when a frame's scan needs more, the renderer reads the total back and
+ * grows (see {@link grownTileCapacity}). Until then, entries past the capacity
+ * are dropped rather than overrunning the buffers.
+ */
+export const TILE_DUPLICATION = 4;
+
+/** Largest 1D dispatch the range pass may need (65535 workgroups × 256). */
+const MAX_LINEAR_ENTRIES = 65535 * 256;
+
+/**
+ * Tile grid for a viewport, and how the 32-bit sort key is split.
+ *
+ * The high `tileBits` hold tile index + 1, so a cleared (all-zero) slot never
+ * names a tile; the low `depthBits` hold the top bits of the orderable depth.
+ * @param {number} width
+ * @param {number} height
+ */
+export function tileGrid(width, height) {
+    const tilesX = Math.max(1, Math.ceil(width / TILE_SIZE));
+    const tilesY = Math.max(1, Math.ceil(height / TILE_SIZE));
+    const tileCount = tilesX * tilesY;
+    const tileBits = Math.max(1, Math.ceil(Math.log2(tileCount + 1)));
+    return { tilesX, tilesY, tileCount, tileBits, depthBits: 32 - tileBits };
+}
+
+/**
+ * Tiles a splat's disc covers, as a half-open rectangle clamped to the grid.
+ * @param {number} centerX pixels, y-down
+ * @param {number} centerY
+ * @param {number} radius pixels; 0 for a culled splat
+ * @param {{ tilesX: number, tilesY: number }} grid
+ */
+export function tileRect(centerX, centerY, radius, grid) {
+    const clamp = (v, hi) => Math.min(Math.max(v, 0), hi);
+    const rect = {
+        x0: clamp(Math.floor((centerX - radius) / TILE_SIZE), grid.tilesX),
+        y0: clamp(Math.floor((centerY - radius) / TILE_SIZE), grid.tilesY),
+        x1: clamp(Math.ceil((centerX + radius) / TILE_SIZE), grid.tilesX),
+        y1: clamp(Math.ceil((centerY + radius) / TILE_SIZE), grid.tilesY),
+    };
+    if (radius <= 0) rect.x1 = rect.x0;
+    return rect;
+}
+
+/** Number of tiles in a {@link tileRect}. */
+export function tileRectCount(rect) {
+    return Math.max(0, rect.x1 - rect.x0) * Math.max(0, rect.y1 - rect.y0);
+}
+
+/**
+ * Sort key for one splat × tile entry: ascending keys group each tile's
+ * entries together, nearest first within the tile.
+ * @param {number} tileIndex row-major tile index
+ * @param {number} viewDepth distance along the view direction (-viewZ)
+ * @param {{ tileBits: number, depthBits: number }} grid
+ * @returns {number} u32
+ */
+export function tileKey(tileIndex, viewDepth, grid) {
+    const depth = orderableFromFloat(viewDepth) >>> grid.tileBits;
+    return (((tileIndex + 1) << grid.depthBits) | depth) >>> 0;
+}
+
+/** Tile index a key belongs to, or -1 for an unused (cleared) slot. */
+export function tileOfKey(key, grid) {
+    return (key >>> grid.depthBits) - 1;
+}
+
+/**
+ * Key/value capacity for `entries` splat × tile entries: a whole number of
+ * radix blocks, bounded by the binding-size and dispatch limits. Keys and
+ * values are each stored twice over (radix ping-pong), hence the 8 bytes per
+ * entry.
+ * @param {number} entries
+ * @param {{ maxStorageBufferBindingSize?: number, maxBufferSize?: number }} [limits]
+ */
+export function tileCapacity(entries, limits = {}) {
+    const maxBytes = Math.min(
+        limits.maxStorageBufferBindingSize ?? 134217728,
+        limits.maxBufferSize ?? 268435456,
+    );
+    const limit = Math.min(Math.floor(maxBytes / 8), MAX_LINEAR_ENTRIES);
+    const wanted = alignUp(Math.max(entries, 1), BLOCK_SIZE);
+    return Math.max(BLOCK_SIZE, Math.min(wanted, Math.floor(limit / BLOCK_SIZE) * BLOCK_SIZE));
+}
+
+/**
+ * Capacity to use after a frame whose scan totalled `entries`: unchanged while
+ * they fit, else at least doubled so a camera closing in on a cloud does not
+ * regrow every frame. The result is still bounded by {@link tileCapacity}, so
+ * it can stay below `entries` at the device's limits.
+ * @param {number} capacity current capacity
+ * @param {number} entries the scan total read back from the GPU
+ * @param {{ maxStorageBufferBindingSize?: number, maxBufferSize?: number }} [limits]
+ */
+export function grownTileCapacity(capacity, entries, limits = {}) {
+    if (entries <= capacity) return capacity;
+    return Math.max(capacity, tileCapacity(Math.max(entries, capacity * 2), limits));
+}
+
+/**
+ * Pixel-space footprint of a splat from its low-pass-filtered 2D covariance
+ * [[a, b], [b, d]] (NDC-up axes, as splat.wgsl computes it).
+ *
+ * `radius` is the half-extent of the instanced quad's disc and `conic` the
+ * quadratic form with exp(-(cxx·dx² + 2·cxy·dx·dy + cyy·dy²)) equal to the
+ * instanced falloff at pixel offset (dx, dy), y-down.
+ * @returns {{ radius: number, conic: [number, number, number] }}
+ */
+export function splatFootprint(a, b, d) {
+    const det = a * d - b * b;
+    const mid = 0.5 * (a + d);
+    const discriminant = mid * mid - det;
+    const lambda1 = mid + Math.sqrt(Math.max(0.01, discriminant));
+    const lambda2 = mid - Math.sqrt(Math.max(0.01, discriminant));
+    const dx = b;
+    const dy = lambda1 - a + 1e-8;
+    const len = Math.hypot(dx, dy);
+    // Principal axis in y-down pixels (NDC y flips).
+    const ex = dx / len;
+    const ey = -dy / len;
+    const major = Math.min(Math.sqrt(Math.max(0, 2 * lambda1)), 512);
+    const minor = Math.min(Math.sqrt(Math.max(0, 2 * lambda2)), 512);
+    if (!(major > 0) || !(minor > 0)) return { radius: 0, conic: [0, 0, 0] };
+    // local = 2·(offset·axis)/|axis|: the quad spans ±2 local over ±|axis|/2 px.
+    const sMajor = 4 / (major * major);
+    const sMinor = 4 / (minor * minor);
+    return {
+        radius: major,
+        conic: [
+            sMajor * ex * ex + sMinor * ey * ey,
+            (sMajor - sMinor) * ex * ey,
+            sMajor * ey * ey + sMinor * ex * ex,
+        ],
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * @file Posing and cropping of parsed splat clouds.
+ * @copyright 2026 Kashyap Rajpal
+ * @license MIT
+ *
+ * Operates on the parsed arrays every splat format decodes to (see
+ * splat-formats.js) with no GPU dependency, so it runs in the splat worker as
+ * well as on the main thread. glTF nodes pose KHR_gaussian_splatting clouds
+ * through it (gltf-splats.js) and splat export bakes node, scene and crop
+ * state into the written file (splat-export.js).
+ */
+import { determinant3x3, transformPoint } from './matrix.js';
+import { cloudBounds, SH_REST_PER_CHANNEL } from './ply-loader.js';
+
+// The per-band basis polynomials splat.wgsl evaluates, constants included, so
+// rotated coefficients reproduce the shader's colour exactly.
+const SH_BASIS = [
+    null,
+    (x, y, z) => {
+        const c1 = 0.4886025119029199;
+        return [-c1 * y, c1 * z, -c1 * x];
+    },
+    (x, y, z) => [
+        1.0925484305920792 * x * y,
+        -1.0925484305920792 * y * z,
+        0.31539156525252005 * (2 * z * z - x * x - y * y),
+        -1.0925484305920792 * x * z,
+        0.5462742152960396 * (x * x - y * y),
+    ],
+    (x, y, z) => [
+        -0.5900435899266435 * y * (3 * x * x - y * y),
+        2.890611442640554 * x * y * z,
+        -0.4570457994644658 * y * (4 * z * z - x * x - y * y),
+        0.3731763325901154 * z * (2 * z * z - 3 * x * x - 3 * y * y),
+        -0.4570457994644658 * x * (4 * z * z - x * x - y * y),
+        1.445305721320277 * z * (x * x - y * y),
+        -0.5900435899266435 * x * (x * x - 3 * y * y),
+    ],
+];
+
+// Well-spread directions (a Fibonacci sphere) to fit each rotated band on.
+const FIT_DIRECTIONS = Array.from({ length: 16 }, (_, i) => {
+    const y = 1 - (2 * i + 1) / 16;
+    const r = Math.sqrt(1 - y * y);
+    const phi = i * Math.PI * (3 - Math.sqrt(5));
+    return [r * Math.cos(phi), y, r * Math.sin(phi)];
+});
+
+/** Solves the n×n system `a · x = b` for every column of `b` (Gauss-Jordan, partial pivoting). */
+function solveSquare(a, b, n, columns) {
+    const m = a.map((row, i) => [...row, ...b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        const scale = m[col][col];
+        for (let k = col; k < n + columns; k++) m[col][k] /= scale;
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = m[row][col];
+            for (let k = col; k < n + columns; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
+    return m.map((row) => row.slice(n));
+}
+
+/**
+ * The (2l+1)² matrix taking band-l coefficients fit in the source frame to the
+ * posed frame: colour(d) = colour_source(toSource · d) for every direction.
+ * Fit by least squares over FIT_DIRECTIONS, which is exact because each band
+ * maps onto itself under rotation.
+ */
+function shBandTransform(degree, toSource) {
+    const basis = SH_BASIS[degree];
+    const n = 2 * degree + 1;
+    const posed = FIT_DIRECTIONS.map(([x, y, z]) => basis(x, y, z));
+    const source = FIT_DIRECTIONS.map((d) => basis(
+        toSource[0] * d[0] + toSource[1] * d[1] + toSource[2] * d[2],
+        toSource[3] * d[0] + toSource[4] * d[1] + toSource[5] * d[2],
+        toSource[6] * d[0] + toSource[7] * d[1] + toSource[8] * d[2],
+    ));
+    // Normal equations: (PᵀP) T = PᵀS.
+    const normal = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (
+        posed.reduce((sum, row) => sum + row[i] * row[j], 0)
+    )));
+    const rhs = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (
+        posed.reduce((sum, row, k) => sum + row[i] * source[k][j], 0)
+    )));
+    return solveSquare(normal, rhs, n, n);
+}
+
+/** Quaternion (w, x, y, z) of a row-major proper rotation matrix. */
+function quaternionFromRotation(r) {
+    const trace = r[0] + r[4] + r[8];
+    let w, x, y, z;
+    if (trace > 0) {
+        const s = 2 * Math.sqrt(trace + 1);
+        w = s / 4; x = (r[7] - r[5]) / s; y = (r[2] - r[6]) / s; z = (r[3] - r[1]) / s;
+    } else if (r[0] > r[4] && r[0] > r[8]) {
+        const s = 2 * Math.sqrt(1 + r[0] - r[4] - r[8]);
+        w = (r[7] - r[5]) / s; x = s / 4; y = (r[1] + r[3]) / s; z = (r[2] + r[6]) / s;
+    } else if (r[4] > r[8]) {
+        const s = 2 * Math.sqrt(1 + r[4] - r[0] - r[8]);
+        w = (r[2] - r[6]) / s; x = (r[1] + r[3]) / s; y = s / 4; z = (r[5] + r[7]) / s;
+    } else {
+        const s = 2 * Math.sqrt(1 + r[8] - r[0] - r[4]);
+        w = (r[3] - r[1]) / s; x = (r[2] + r[6]) / s; y = (r[5] + r[7]) / s; z = s / 4;
+    }
+    return [w, x, y, z];
+}
+
+/**
+ * Bakes a world matrix into a parsed cloud, in place. Gaussians stay
+ * Gaussians only under similarity transforms, so the matrix must be a rotation
+ * (or reflection) times a uniform scale, plus translation.
+ *
+ * A reflection M = -s·R is handled as the rotation R: covariances are blind to
+ * the sign (Σ' = M Σ Mᵀ = s² R Σ Rᵀ), and SH see it through their parity —
+ * the fit below evaluates the source through M⁻¹ directly, so odd bands flip.
+ *
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @param {ArrayLike<number>} matrix column-major 4×4
+ * @param {string} label
+ * @returns {typeof cloud} the same object, mutated.
+ */
+export function transformSplatCloud(cloud, matrix, label) {
+    const det = determinant3x3(matrix);
+    const scale = Math.cbrt(Math.abs(det));
+    if (!(scale > 0)) throw new Error(`${label} node transform is degenerate.`);
+    const sign = det < 0 ? -1 : 1;
+    // Row-major rotation R with M = sign·scale·R.
+    const r = [0, 1, 2].flatMap((row) => [0, 1, 2].map((col) => (sign * matrix[col * 4 + row]) / scale));
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const dot = r[i] * r[j] + r[3 + i] * r[3 + j] + r[6 + i] * r[6 + j];
+            if (Math.abs(dot - (i === j ? 1 : 0)) > 1e-4) {
+                throw new Error(`${label} transform must be a rotation, uniform scale and translation; Gaussian splats cannot be sheared or stretched.`);
+            }
+        }
+    }
+
+    const { positions, rotations, scales, shCoeffs, shDegree, count } = cloud;
+    const [aw, ax, ay, az] = quaternionFromRotation(r);
+    for (let i = 0; i < count; i++) {
+        const p = transformPoint(matrix, [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]);
+        positions.set(p, i * 3);
+        scales[i * 3 + 0] *= scale;
+        scales[i * 3 + 1] *= scale;
+        scales[i * 3 + 2] *= scale;
+        // q' = r ⊗ q, kept canonical (qw >= 0).
+        const [bw, bx, by, bz] = rotations.subarray(i * 4, i * 4 + 4);
+        const q = [
+            aw * bw - ax * bx - ay * by - az * bz,
+            aw * bx + ax * bw + ay * bz - az * by,
+            aw * by - ax * bz + ay * bw + az * bx,
+            aw * bz + ax * by - ay * bx + az * bw,
+        ];
+        const flip = q[0] < 0 ? -1 : 1;
+        rotations.set(q.map((v) => v * flip), i * 4);
+    }
+
+    if (shCoeffs) {
+        // Directions pull back through M⁻¹ = sign·Rᵀ/scale; SH only see the direction.
+        const toSource = [0, 1, 2].flatMap((row) => [0, 1, 2].map((col) => sign * r[col * 3 + row]));
+        const stride = SH_REST_PER_CHANNEL[shDegree] * 3;
+        for (let degree = 1; degree <= shDegree; degree++) {
+            const t = shBandTransform(degree, toSource);
+            const first = degree * degree - 1;
+            const n = 2 * degree + 1;
+            const band = new Float64Array(n);
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < 3; c++) {
+                    const base = i * stride + first * 3 + c;
+                    for (let k = 0; k < n; k++) band[k] = shCoeffs[base + k * 3];
+                    for (let k = 0; k < n; k++) {
+                        let sum = 0;
+                        for (let j = 0; j < n; j++) sum += t[k][j] * band[j];
+                        shCoeffs[base + k * 3] = sum;
+                    }
+                }
+            }
+        }
+    }
+
+    cloud.bounds = cloudBounds(positions, count);
+    return cloud;
+}
+
+/**
+ * Keeps the splats whose centres lie inside an axis-aligned box, as a new
+ * cloud; the input is left untouched.
+ * @param {ReturnType<typeof import('./ply-loader.js').parsePly>} cloud
+ * @param {{ min: number[], max: number[] }} box
+ * @returns {typeof cloud}
+ */
+export function cropSplatCloud(cloud, { min, max }) {
+    if (min?.length !== 3 || max?.length !== 3 || ![...min, ...max].every(Number.isFinite)) {
+        throw new Error('Crop box needs finite min and max corners of three values each.');
+    }
+    const { positions, count, shCoeffs, shDegree } = cloud;
+    const kept = [];
+    for (let i = 0; i < count; i++) {
+        let inside = true;
+        for (let a = 0; a < 3 && inside; a++) {
+            const p = positions[i * 3 + a];
+            inside = p >= min[a] && p <= max[a];
+        }
+        if (inside) kept.push(i);
+    }
+    const gather = (source, width) => {
+        const out = new Float32Array(kept.length * width);
+        kept.forEach((index, slot) => out.set(source.subarray(index * width, index * width + width), slot * width));
+        return out;
+    };
+    const croppedPositions = gather(positions, 3);
+    return {
+        positions: croppedPositions,
+        colors: gather(cloud.colors, 3),
+        opacities: gather(cloud.opacities, 1),
+        scales: gather(cloud.scales, 3),
+        rotations: gather(cloud.rotations, 4),
+        count: kept.length,
+        shCoeffs: shCoeffs ? gather(shCoeffs, SH_REST_PER_CHANNEL[shDegree] * 3) : null,
+        shDegree,
+        bounds: cloudBounds(croppedPositions, kept.length),
+    };
+}
@@ -4,13 +4,17 @@
  * @license MIT
  *
  * A thin message wrapper around `createSplatPipeline` — all the parsing/packing
- * logic lives in the pure, Jest-tested pipeline. Parsing a million-splat `.ply`
- * (parse + mirror + covariance pack) runs here so the main thread never blocks.
+ * logic lives in the pure, Jest-tested pipeline. Parsing a million-splat cloud
+ * (inflate + parse + mirror + covariance pack) runs here so the main thread
+ * never blocks; `.spz` is gunzipped here too, before the synchronous parse.
  *
  * Protocol (request carries an `id`, echoed on the response):
- *   -> { id, type: 'load',    buffer: ArrayBuffer, flipY: boolean }
+ *   -> { id, type: 'load',    buffer: ArrayBuffer, flipY: boolean, format: 'ply'|'splat'|'spz' }
+ *   -> { id, type: 'loadParsed', cloud: object, flipY: boolean }   // parsed arrays, transferred
  *   -> { id, type: 'setFlip', flipY: boolean }
+ *   -> { id, type: 'export',  format: 'ply'|'splat'|'spz', matrix?: number[16], crop?: { min, max } }
  *   <- { id, ok: true,  payload: object|null }   // null = no re-pack needed
+ *   <- { id, ok: true,  payload: ArrayBuffer }   // export: the file bytes
  *   <- { id, ok: false, error: string }
  * Payload typed arrays are transferred (zero-copy); see `payloadTransferables`.
  *
@@ -19,17 +23,25 @@
  */
 
 import { createSplatPipeline, payloadTransferables } from './splat-pipeline.js';
+import { decompressSplatSource } from './splat-formats.js';
+import { compressSplatSource } from './splat-export.js';
 
 const pipeline = createSplatPipeline();
 
-self.onmessage = (event) => {
-    const { id, type, buffer, flipY } = event.data ?? {};
+self.onmessage = async (event) => {
+    const { id, type, buffer, cloud, flipY, format, matrix, crop } = event.data ?? {};
     try {
         let payload;
         if (type === 'load') {
-            payload = pipeline.load(buffer, flipY);
+            payload = pipeline.load(await decompressSplatSource(buffer, format), flipY, format);
+        } else if (type === 'loadParsed') {
+            payload = pipeline.loadParsed(cloud, flipY);
         } else if (type === 'setFlip') {
             payload = pipeline.setFlip(flipY);
+        } else if (type === 'export') {
+            const bytes = await compressSplatSource(pipeline.exportCloud(format, { matrix, crop }), format);
+            self.postMessage({ id, ok: true, payload: bytes }, [bytes]);
+            return;
         } else {
             throw new Error(`Unknown splat worker message type: ${type}`);
         }
@@ -18,7 +18,14 @@ import { createWebGPUScene } from './webgpu-scene.js';
 import { buildAccelerationStructures, updateAccelerationStructures } from './raytracing/acceleration/acceleration-structure.js';
 import { createCornellBoxScene } from './raytracing/core/cornell-box.js';
 import { prepareRayScene } from './raytracing/core/ray-scene.js';
-import { packGpuScene, repackGpuTlasAndInstances } from './raytracing/gpu/gpu-scene-packer.js';
+import { packGpuScene, repackGpuMaterials, repackGpuTlasAndInstances } from './raytracing/gpu/gpu-scene-packer.js';
+import { prefilterEnvironmentLighting } from './environment-lighting.js';
+import { gltfCameraToRayCamera } from './gltf-cameras.js';
+import { expandRgbToRgba } from './gltf-geometry.js';
+import { exportGltfScene, meshDataToGltfAsset } from './gltf-export.js';
+import { imageMimeType } from './gltf-parser.js';
+import { composeTRSMatrix, multiplyMatrices, transformPoint } from './matrix.js';
+import { getMeshPrimitives } from './renderers/mesh-renderer.js';
 
 const RAY_REVISION_FIELDS = Object.freeze([
     'geometryRevision',
@@ -44,6 +51,7 @@ function isPreparedRayScene(scene) {
         && scene.bounds;
 }
 
+// The orbit reproduces the scene camera's eye exactly; its `up` keeps any roll.
 function cameraPoseFromRayScene(camera, sceneCamera) {
     if (!sceneCamera) return;
     const delta = sceneCamera.eye.map((value, axis) => value - sceneCamera.target[axis]);
@@ -53,6 +61,20 @@ function cameraPoseFromRayScene(camera, sceneCamera) {
     camera.minZoom = Math.max(0.1, zoom * 0.1);
     camera.maxZoom = Math.max(20, zoom * 10);
     camera.setPose(Math.asin(delta[1] / zoom), Math.atan2(delta[0], delta[2]), zoom);
+    const projection = sceneCamera.projection
+        ?? (sceneCamera.fovY ? { type: 'perspective', yfov: sceneCamera.fovY } : null);
+    camera.setProjection(projection && { ...projection, referenceZoom: zoom });
+}
+
+/** `bounds` carried by `matrix`: the centre transformed, the radius grown by the largest axis scale. */
+function placeBounds(bounds, matrix) {
+    if (!bounds) return null;
+    const scale = Math.max(
+        Math.hypot(matrix[0], matrix[1], matrix[2]),
+        Math.hypot(matrix[4], matrix[5], matrix[6]),
+        Math.hypot(matrix[8], matrix[9], matrix[10]),
+    );
+    return { ...bounds, center: transformPoint(matrix, bounds.center), radius: bounds.radius * scale };
 }
 
 export function buildDrawableFromData(device, data, texture = null, name = 'drawable') {
@@ -61,9 +83,15 @@ export function buildDrawableFromData(device, data, texture = null, name = 'draw
             position: createVertexBuffer(device, data.positions),
             normal:   createVertexBuffer(device, data.normals),
             texCoord: createVertexBuffer(device, data.texCoords),
+            // Procedural shapes have no normal maps; zero tangents keep the vertex normal.
+            tangent:  createVertexBuffer(device, new Float32Array((data.positions.length / 3) * 4)),
+            // PLY meshes carry RGB vertex colours.
+            color:    data.colors ? createVertexBuffer(device, expandRgbToRgba(data.colors)) : null,
             indices:  createIndexBuffer(device, data.indices),
         },
         kind: 'mesh',
+        // Kept for exportGltf(); the GPU buffers cannot be read back cheaply.
+        meshData: data,
         texture,
         vertexCount: data.vertexCount,
         indexFormat: data.indexFormat ?? 'uint16',
@@ -132,6 +160,16 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
     const camera = new Camera(canvas, [0, 0, 5]);
     const scene  = createWebGPUScene(device, context, format, canvas, camera);
     let rayState = null;
+    // HDR environment shared by raster IBL and every ray scene loaded from now on.
+    let environmentMap = null;
+    // Node holding a splat cloud loaded `alongside` the primary asset; the
+    // Y-flip re-pack swaps the drawable there instead of replacing the primary.
+    let splatNodeId = null;
+    // True while that node carries the source-frame placement of a glTF cloud,
+    // which a later alongside .ply/.splat/.spz load must not inherit.
+    let splatNodePlaced = false;
+    // Drawable of the cloud the splat worker retains (the latest loaded), for export.
+    let splatDrawable = null;
     let rayTracingError = null;
     let hybridError = null;
     let destroyed = false;
@@ -144,7 +182,11 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
         if (!wgslSource) return false;
         try {
             const pipeline = createRenderPipeline(device, wgslSource, format);
-            scene.updatePipeline(pipeline);
+            const blendPipeline = createRenderPipeline(device, wgslSource, format, { blend: true });
+            scene.updatePipeline(pipeline, blendPipeline, {
+                points: createRenderPipeline(device, wgslSource, format, { topology: 'point-list' }),
+                lines: createRenderPipeline(device, wgslSource, format, { topology: 'line-list' }),
+            });
             return true;
         } catch (e) {
             errorHandler(e);
@@ -164,7 +206,7 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
     }
 
     /**
-     * Parses a 3DGS .ply ArrayBuffer and loads it as a splat drawable.
+     * Parses a 3DGS .ply, .splat or .spz ArrayBuffer and loads it as a splat drawable.
      *
      * View-dependent colour uses whatever SH degree the file provides, capped to
      * what fits the device's storage-binding limit — degree 3 costs 180 B/splat,
@@ -191,7 +233,7 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
     // Build the GPU-side splat drawable from a worker payload. GPU buffer
     // creation must stay on the main thread (no device inside the worker), and
     // the SH degree can only be fitted here since it depends on device limits.
-    function buildSplatDrawable(payload) {
+    function buildSplatDrawable(payload, { alongside = false } = {}) {
         // Checked before allocating: unlike the SH buffer (which fitShDegree
         // degrades), an oversized splat buffer used to reach createBuffer and fail
         // as a bare WebGPU validation error with nothing actionable in it.
@@ -243,21 +285,79 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
             positions: payload.positions, // world-space centers, for the Culled reduction's grid
             _debug: { name: 'splat cloud' },
         };
-        scene.loadGeometry(drawable); // releases the previous drawable's GPU buffers
+        splatDrawable = drawable;
+        if (splatNodeId != null && scene.hasNode(splatNodeId)) {
+            scene.setNodeDrawable(splatNodeId, drawable); // releases the node's previous cloud
+        } else if (alongside) {
+            splatNodeId = placeDrawable(drawable, true);
+        } else {
+            splatNodeId = null;
+            scene.loadGeometry(drawable); // releases the previous drawable's GPU buffers
+        }
         return drawable;
     }
 
     /**
-     * Parses and loads a 3DGS `.ply` (parsing runs in a Web Worker).
+     * Places a freshly built drawable: replacing the primary asset, or in its
+     * own node beside it so a mesh and a splat cloud render in one frame.
+     */
+    function placeDrawable(drawable, alongside) {
+        if (alongside) return scene.addNode({ name: drawable._debug?.name || drawable.kind, drawable });
+        scene.loadGeometry(drawable);
+        return scene.getPrimaryNodeId();
+    }
+
+    /**
+     * Parses and loads a 3DGS `.ply`, antimatter15 `.splat` or Niantic `.spz`
+     * (inflating and parsing run in a Web Worker).
      * @param {ArrayBuffer} arrayBuffer
-     * @param {{ flipY?: boolean }} [opts] flipY reflects the scene about the XZ
-     *        plane (default true — most captures are stored y-down).
+     * @param {{ flipY?: boolean, alongside?: boolean, format?: 'ply'|'splat'|'spz' }} [opts] flipY reflects the
+     *        scene about the XZ plane (default true — most captures are stored
+     *        y-down). `alongside` keeps the current asset and adds the cloud in
+     *        its own scene node; the worker retains one cloud, so a later
+     *        alongside load replaces the cloud in that node. `format` names the
+     *        container (see splat-formats.js `splatFormatOf`).
      * @returns {Promise<object>} the loaded splat drawable.
      */
-    async function loadSplats(arrayBuffer, { flipY = true } = {}) {
+    async function loadSplats(arrayBuffer, { flipY = true, alongside = false, format = 'ply' } = {}) {
         const loader = await getSplatLoader();
-        const payload = await loader.load(arrayBuffer, flipY);
-        return buildSplatDrawable(payload);
+        const payload = await loader.load(arrayBuffer, flipY, format);
+        if (!alongside) splatNodeId = null;
+        const drawable = buildSplatDrawable(payload, { alongside });
+        if (splatNodePlaced && splatNodeId != null) scene.setNodeTransform(splatNodeId, {});
+        splatNodePlaced = false;
+        return drawable;
+    }
+
+    /**
+     * Loads a splat cloud already decoded into parsed arrays — a glTF
+     * KHR_gaussian_splatting cloud (see gltf-splats.js) — through the same
+     * worker pipeline. The cloud is handed off and must not be reused.
+     *
+     * glTF fixes +Y up, so the cloud is not flipped. Alongside, its node is
+     * placed back in the cloud's source frame (undoing the load-time
+     * normalization) so it lines up with meshes from the same file; as the
+     * primary asset it stays normalized, like every other splat load.
+     * @param {object} cloud
+     * @param {{ alongside?: boolean }} [opts]
+     * @returns {Promise<object>} the loaded splat drawable.
+     */
+    async function loadSplatCloud(cloud, { alongside = false } = {}) {
+        const loader = await getSplatLoader();
+        const payload = await loader.loadParsed(cloud, false);
+        if (!alongside) splatNodeId = null;
+        const drawable = buildSplatDrawable(payload, { alongside });
+        const source = payload.sourceTransform;
+        if (alongside && source && splatNodeId != null) {
+            scene.setNodeTransform(splatNodeId, {
+                translation: source.center,
+                scale: [source.radius, source.radius, source.radius],
+            });
+            splatNodePlaced = true;
+        } else {
+            splatNodePlaced = false;
+        }
+        return drawable;
     }
 
     /** Toggle the Y-flip on the loaded splat cloud, re-packing GPU buffers off-thread. */
@@ -270,16 +370,204 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
 
     /**
      * Loads a parsed triangle mesh (see mesh-ply-loader.js) as a textured drawable.
-     * @param {{ meshData: object, textureBitmap?: ImageBitmap|null }} args
+     * @param {{ meshData: object, textureBitmap?: ImageBitmap|null, textureFile?: Blob|null, alongside?: boolean }} args
+     *        `textureFile` is the image the bitmap was decoded from, embedded by
+     *        exportGltf(). `alongside` adds the mesh in its own node instead of replacing the asset.
      */
-    function loadMesh({ meshData, textureBitmap = null }) {
+    function loadMesh({ meshData, textureBitmap = null, textureFile = null, alongside = false }) {
         const texture = textureBitmap ? createTextureFromImageBitmap(device, textureBitmap) : null;
         const drawable = buildDrawableFromData(device, meshData, texture, meshData.name || 'mesh');
         drawable.bounds = meshData.bounds;
-        scene.loadGeometry(drawable);
+        drawable.textureFile = texture ? textureFile : null;
+        placeDrawable(drawable, alongside);
         return drawable;
     }
 
+    /**
+     * Adds a named scene-graph node beside the loaded asset, e.g. a second
+     * uploaded glTF or a splat cloud. Transforms are glTF-style TRS or a
+     * column-major `matrix`, relative to `parent` (the root by default).
+     * @param {{name?: string, parent?: number, drawable?: object,
+     *          translation?: number[], rotation?: number[], scale?: number[], matrix?: number[]}} [options]
+     * @returns {number} node id
+     */
+    function addNode(options) {
+        return scene.addNode(options);
+    }
+
+    /** Removes a node and its children; drawables held by no other node are released. */
+    function removeNode(id) {
+        scene.removeNode(id);
+    }
+
+    /** Moves a node under `parentId`; `keepWorldTransform` keeps it in place visually. */
+    function reparentNode(id, parentId, options) {
+        scene.reparentNode(id, parentId, options);
+    }
+
+    function setNodeTransform(id, transform) {
+        scene.setNodeTransform(id, transform);
+    }
+
+    /** @returns {Array<{id: number, name: string, parentId: number, childIds: number[], drawableKind: string|null}>} */
+    function listNodes() {
+        return scene.listNodes();
+    }
+
+    /**
+     * Serializes the scene to one GLB (see gltf-export.js): every glTF asset
+     * and triangle mesh in the scene graph, placed by its node and the scene
+     * script's model matrix as last drawn, with animated and skinned models in
+     * their current pose. Splat clouds are not exported.
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async function exportGltf() {
+        const userModel = scene.getUserModelMatrix();
+        const sources = [];
+        for (const { drawable, worldMatrix } of scene.drawableNodes()) {
+            const matrix = multiplyMatrices(userModel, worldMatrix);
+            if (drawable.rayTracing?.asset) {
+                sources.push({ asset: drawable.rayTracing.asset, matrix });
+            } else if ((drawable.kind ?? 'mesh') === 'mesh' && drawable.meshData) {
+                const file = drawable.textureFile;
+                sources.push({
+                    asset: meshDataToGltfAsset(drawable.meshData, {
+                        material: { metallic: 0, roughness: 1, ...getMeshPrimitives(drawable)[0]?.material },
+                        image: file ? { blob: file, mimeType: imageMimeType({ uri: file.name }, file) } : null,
+                    }),
+                    matrix,
+                });
+            }
+        }
+        if (!sources.length) throw new Error('The scene has no meshes to export.');
+        return exportGltfScene(sources);
+    }
+
+    /**
+     * Writes the loaded splat cloud (the latest one loaded) as a binary INRIA
+     * `.ply`, antimatter15 `.splat` or gzipped Niantic `.spz`, encoded in the
+     * splat worker from its retained arrays (see splat-export.js).
+     *
+     * The file holds what is on screen: the Y-flip as toggled, the cloud's node
+     * and the scene script's model matrix baked in — a similarity transform,
+     * since Gaussians cannot be sheared — on top of the capture's own frame, so
+     * an untouched cloud comes back at its original position and scale rather
+     * than normalized. `crop` keeps only the splats whose centres fall inside
+     * an axis-aligned `{ min, max }` box in those output coordinates.
+     * @param {'ply'|'splat'|'spz'} [format]
+     * @param {{ crop?: { min: number[], max: number[] } }} [opts]
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async function exportSplats(format = 'ply', { crop = null } = {}) {
+        const node = splatDrawable && scene.drawableNodes().find((entry) => entry.drawable === splatDrawable);
+        if (!node) throw new Error('No splat cloud is loaded to export.');
+        let matrix = multiplyMatrices(scene.getUserModelMatrix(), node.worldMatrix);
+        // Undo the load-time normalization, unless the node already does (a glTF cloud placed alongside).
+        const source = splatDrawable.sourceTransform;
+        if (source && !(splatNodePlaced && node.id === splatNodeId)) {
+            const r = source.radius;
+            matrix = multiplyMatrices(matrix, composeTRSMatrix(source.center, undefined, [r, r, r]));
+        }
+        const loader = await getSplatLoader();
+        return loader.exportCloud(format, { matrix, crop });
+    }
+
+    // Animation clips belong to the loaded glTF mesh (see gltf-animation.js).
+    function animationPlayer() {
+        const player = scene.getRasterDrawable()?.animation;
+        if (!player) throw new Error('The loaded model has no animation clips.');
+        return player;
+    }
+
+    /** @returns {Array<{index: number, name: string, duration: number, channelCount: number}>} */
+    function listAnimations() {
+        return scene.getRasterDrawable()?.animation?.listClips() ?? [];
+    }
+
+    /** Plays a clip by index or name; with no argument, resumes the current clip. */
+    function playAnimation(clip) {
+        animationPlayer().play(clip);
+    }
+
+    function pauseAnimation() {
+        animationPlayer().pause();
+    }
+
+    /** Switches to a clip (index or name) and rewinds it without changing play/pause. */
+    function selectAnimation(clip) {
+        animationPlayer().selectClip(clip);
+    }
+
+    /** Scrubs the current clip to `seconds`. */
+    function seekAnimation(seconds) {
+        animationPlayer().seek(seconds);
+    }
+
+    function setAnimationSpeed(speed) {
+        animationPlayer().setSpeed(speed);
+    }
+
+    /** @returns {{clipIndex: number, clipName: string|null, time: number, duration: number, speed: number, loop: boolean, playing: boolean}|null} */
+    function getAnimationState() {
+        return scene.getRasterDrawable()?.animation?.getState() ?? null;
+    }
+
+    /** @returns {Array<{index: number, name: string, type: 'perspective'|'orthographic'}>} */
+    function listCameras() {
+        return (scene.getRasterDrawable()?.cameras ?? []).map((authored, index) => ({
+            index,
+            name: authored.name,
+            type: authored.projection.type,
+        }));
+    }
+
+    /**
+     * Switches the viewport to the loaded model's authored camera: its pose,
+     * field of view or magnification, and clip planes. The camera and the
+     * model bounds are placed as drawn, by the scene script's model matrix ×
+     * the primary node's world matrix. The orbit then pivots where the view
+     * axis passes the model. null restores the default
+     * perspective and keeps the current pose.
+     * @param {number|null} index into listCameras()
+     */
+    function setCamera(index) {
+        if (index == null) {
+            camera.setProjection(null);
+            return;
+        }
+        const drawable = scene.getRasterDrawable();
+        const authored = drawable?.cameras?.[index];
+        if (!authored) throw new Error(`The loaded model has no camera ${index}.`);
+        const placement = multiplyMatrices(
+            scene.getUserModelMatrix(),
+            scene.getNodeWorldMatrix(scene.getPrimaryNodeId()),
+        );
+        const placed = { ...authored, worldMatrix: multiplyMatrices(placement, authored.worldMatrix) };
+        cameraPoseFromRayScene(camera, gltfCameraToRayCamera(placed, placeBounds(drawable.bounds, placement)));
+    }
+
+    /** @returns {Array<{index: number, name: string, active: boolean}>} */
+    function listMaterialVariants() {
+        const variants = scene.getRasterDrawable()?.materialVariants;
+        return (variants?.names ?? []).map((name, index) => ({ index, name, active: name === variants.active }));
+    }
+
+    /**
+     * Switches the loaded model to a KHR_materials_variants variant by name,
+     * or back to its own materials for null. A GPU ray scene loaded from the
+     * model re-packs only its materials.
+     * @param {string|null} name one of listMaterialVariants()
+     */
+    function setMaterialVariant(name) {
+        const drawable = scene.getRasterDrawable();
+        if (!drawable?.materialVariants) throw new Error('The loaded model has no material variants.');
+        drawable.materialVariants.select(name);
+        const sidecar = drawable.rayTracing;
+        if (rayState && rayState.sourceScene === sidecar?.preparedRayScene) {
+            loadRayScene(sidecar.preparedRayScene, { revisions: { materialRevision: sidecar.materialRevision } });
+        }
+    }
+
     function setSplatDebugMode(mode) {
         scene.setSplatDebugMode(mode);
     }
@@ -307,31 +595,48 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
     /** Loads or revision-updates a backend-neutral prepared RayScene. */
     function loadRayScene(sourceScene, { revisions: requestedRevisions } = {}) {
         if (destroyed) throw new Error('WebGPU engine has been destroyed.');
-        const preparedScene = isPreparedRayScene(sourceScene) ? sourceScene : prepareRayScene(sourceScene);
+        const preparedScene = withEnvironmentMap(
+            isPreparedRayScene(sourceScene) ? sourceScene : prepareRayScene(sourceScene),
+        );
         const revisions = normalizeRayRevisions(requestedRevisions, rayState?.revisions);
         const acceleration = rayState
             ? updateAccelerationStructures(rayState.acceleration, preparedScene, revisions)
             : buildAccelerationStructures(preparedScene, { revisions });
 
-        const canReuseStaticPacking = rayState
+        const canReuseGeometryPacking = rayState
             && revisions.geometryRevision === rayState.revisions.geometryRevision
-            && revisions.materialRevision === rayState.revisions.materialRevision
             && preparedScene.geometries.length === rayState.preparedScene.geometries.length
-            && preparedScene.materials.length === rayState.preparedScene.materials.length
             && preparedScene.geometries.every((geometry, index) => geometry === rayState.preparedScene.geometries[index])
-            && preparedScene.materials.every((material, index) => material === rayState.preparedScene.materials[index])
             && acceleration.blases.every((blas, index) => blas === rayState.acceleration.blases[index]);
+        const canReuseStaticPacking = canReuseGeometryPacking
+            && revisions.materialRevision === rayState.revisions.materialRevision
+            && preparedScene.materials.length === rayState.preparedScene.materials.length
+            && preparedScene.materials.every((material, index) => material === rayState.preparedScene.materials[index]);
         const revisionsChanged = rayState
             && RAY_REVISION_FIELDS.some((field) => revisions[field] !== rayState.revisions[field]);
 
         if (canReuseStaticPacking && !revisionsChanged) return rayState.drawable;
 
+        // A material edit, such as a variant switch, keeps geometry, BVHs and the camera.
+        if (canReuseGeometryPacking && !canReuseStaticPacking
+            && revisions.instanceRevision === rayState.revisions.instanceRevision) {
+            try {
+                const ranges = repackGpuMaterials(rayState.packedScene, preparedScene);
+                Object.assign(rayState.drawable, { scene: preparedScene, acceleration, revisions });
+                scene.updateRayMaterials(rayState.drawable, rayState.packedScene, ranges);
+                rayState = { ...rayState, sourceScene, preparedScene, acceleration, revisions };
+                return rayState.drawable;
+            } catch (error) {
+                if (!/requires stable material and instance counts/.test(error.message)) throw error;
+            }
+        }
+
         if (canReuseStaticPacking && revisions.instanceRevision !== rayState.revisions.instanceRevision) {
             try {
                 const ranges = repackGpuTlasAndInstances(rayState.packedScene, preparedScene, acceleration);
                 Object.assign(rayState.drawable, { scene: preparedScene, acceleration, revisions });
                 scene.updateRayTlasAndInstances(rayState.drawable, rayState.packedScene, ranges);
-                rayState = { ...rayState, preparedScene, acceleration, revisions };
+                rayState = { ...rayState, sourceScene, preparedScene, acceleration, revisions };
                 cameraPoseFromRayScene(camera, preparedScene.camera);
                 return rayState.drawable;
             } catch (error) {
@@ -342,7 +647,7 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
 
         if (canReuseStaticPacking) {
             Object.assign(rayState.drawable, { scene: preparedScene, acceleration, revisions });
-            rayState = { ...rayState, preparedScene, acceleration, revisions };
+            rayState = { ...rayState, sourceScene, preparedScene, acceleration, revisions };
             scene.resetRayAccumulation();
             cameraPoseFromRayScene(camera, preparedScene.camera);
             return rayState.drawable;
@@ -358,7 +663,7 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
             bounds: preparedScene.bounds,
             _debug: { name: 'ray scene' },
         };
-        rayState = { preparedScene, acceleration, revisions, packedScene, drawable };
+        rayState = { sourceScene, preparedScene, acceleration, revisions, packedScene, drawable };
         scene.loadRayGeometry(drawable);
         cameraPoseFromRayScene(camera, preparedScene.camera);
         return drawable;
@@ -381,6 +686,27 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
         scene.setHybridLight(light);
     }
 
+    function withEnvironmentMap(preparedScene) {
+        if ((preparedScene.environment?.map || null) === environmentMap) return preparedScene;
+        return { ...preparedScene, environment: { ...preparedScene.environment, map: environmentMap } };
+    }
+
+    /**
+     * Lights the scene with an HDR environment (createEnvironmentMap output):
+     * prefiltered IBL for raster meshes and an importance-sampled environment
+     * light for the GPU path tracer. null restores the flat ambient and colour.
+     */
+    function setEnvironmentMap(map) {
+        environmentMap = map || null;
+        scene.setEnvironmentLighting(environmentMap ? prefilterEnvironmentLighting(environmentMap) : null);
+        if (rayState) {
+            const preparedScene = withEnvironmentMap(rayState.preparedScene);
+            rayState.drawable.scene = preparedScene;
+            rayState = { ...rayState, preparedScene };
+            scene.resetRayAccumulation();
+        }
+    }
+
     if (!shaderSources?.wgsl) {
         errorHandler(new Error('Missing WGSL shader source.'));
         return null;
@@ -395,8 +721,8 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
             shaderSources.splatRadixWgsl,
         );
     }
-    if (shaderSources.blitWgsl && shaderSources.tileRenderWgsl) {
-        scene.setTileShaders(shaderSources.blitWgsl, shaderSources.tileRenderWgsl);
+    if (shaderSources.blitWgsl && shaderSources.tileRenderWgsl && shaderSources.splatRadixWgsl) {
+        scene.setTileShaders(shaderSources.blitWgsl, shaderSources.tileRenderWgsl, shaderSources.splatRadixWgsl);
     }
     if (shaderSources.raytraceWgsl) {
         try {
@@ -422,14 +748,29 @@ export async function initWebGPUEngine({ canvas, shaderSources, scriptSource, on
             errorHandler(error);
         }
     }
+    if (shaderSources.meshDeformWgsl) {
+        // Without the compute pipeline skinned and morphed meshes are posed on the CPU instead.
+        try {
+            scene.setMeshDeformShader(shaderSources.meshDeformWgsl);
+        } catch (error) {
+            errorHandler(error);
+        }
+    }
     setScriptSource(scriptSource);
     scene.start();
 
     return {
         device, scene, camera,
         setShaders, setScriptSource,
-        loadSplats, setSplatFlipY, loadMesh, setSplatDebugMode, setSplatShDegree, setSplatRenderMode, setSplatReduction, setSplatSort,
-        loadRayScene, loadCornellBox, setRenderMode, setRayTracingSettings, setLight,
+        loadSplats, loadSplatCloud, setSplatFlipY, loadMesh, setSplatDebugMode, setSplatShDegree, setSplatRenderMode, setSplatReduction, setSplatSort,
+        loadRayScene, loadCornellBox, setRenderMode, setRayTracingSettings, setLight, setEnvironmentMap,
+        addNode, removeNode, reparentNode, setNodeTransform, listNodes,
+        listAnimations, playAnimation, pauseAnimation, selectAnimation, seekAnimation, setAnimationSpeed, getAnimationState,
+        listCameras, setCamera,
+        listMaterialVariants, setMaterialVariant,
+        exportGltf,
+        exportSplats,
+        findNodeByName: (name) => scene.findNodeByName(name),
         resetAccumulation: () => scene.resetRayAccumulation(),
         getRenderMode: () => scene.getRenderMode(),
         getCapabilities: () => ({
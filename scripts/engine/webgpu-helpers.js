@@ -4,11 +4,33 @@
  * @license MIT
  */
 
+import { KTX2_TEXTURE_FEATURES } from './gltf-ktx2.js';
+
 // Uniform buffer sizes (must match the WGSL struct layouts in default.wgsl)
-// Uniforms: projectionMatrix (64) + modelViewMatrix (64) = 128 bytes
-export const MATRIX_UNIFORM_SIZE = 128;
-// Material: baseColor vec4 (16) + hasTexture u32 (4) + 3x padding u32 (12) = 32 bytes
-export const MATERIAL_UNIFORM_SIZE = 32;
+// Uniforms: projectionMatrix (64) + modelViewMatrix (64) + normalMatrix (64)
+//           + lightDirection vec4 (16) + lightColor vec4 (16) = 224 bytes
+export const MATRIX_UNIFORM_SIZE = 224;
+// Material: baseColor vec4 (16) + hasTexture u32 (4) + alphaMode u32 (4)
+//           + alphaCutoff f32 (4) + textureFlags u32 (4) + emissive vec4 (16)
+//           + surface vec4 (16) + uvTransforms vec4 x 8 (128) = 192 bytes
+export const MATERIAL_UNIFORM_SIZE = 192;
+// Environment: viewToWorld mat4 (64) + irradiance SH vec4 x 9 (144)
+//              + params vec4 (16) = 224 bytes
+export const ENVIRONMENT_UNIFORM_SIZE = 224;
+// Punctual lights: count vec4<u32> (16) + 8 x (positionRange, directionType,
+//                  color, cone) vec4s (8 x 64) = 528 bytes
+export const MAX_PUNCTUAL_LIGHTS = 8;
+export const PUNCTUAL_LIGHTS_UNIFORM_SIZE = 16 + MAX_PUNCTUAL_LIGHTS * 64;
+// Prefiltered specular environments are filterable half floats.
+export const ENVIRONMENT_TEXTURE_FORMAT = 'rgba16float';
+// Shared by the mesh pipeline, the splat depth-test variant, and the scene
+// core's frame depth attachment; all three must agree for a pass to validate.
+export const DEPTH_FORMAT = 'depth24plus';
+// Straight-alpha source-over; destination alpha stays opaque over the cleared frame.
+const ALPHA_BLEND = Object.freeze({
+    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+});
 
 /**
  * Requests a WebGPU adapter and device, then configures the canvas context.
@@ -26,9 +48,10 @@ export async function initWebGPU(canvas) {
         throw new Error('No WebGPU adapter found.');
     }
 
-    // Opt into timestamp queries for per-pass GPU timing when the adapter supports it.
-    const requiredFeatures = [];
-    if (adapter.features.has('timestamp-query')) requiredFeatures.push('timestamp-query');
+    // Opt into timestamp queries for per-pass GPU timing, and into the block
+    // compression families KTX2 textures transcode to, when the adapter supports them.
+    const requiredFeatures = ['timestamp-query', ...KTX2_TEXTURE_FEATURES]
+        .filter((feature) => adapter.features.has(feature));
 
     // A device gets the *spec defaults* (128 MiB storage binding, 256 MiB buffer)
     // unless limits are requested, no matter what the hardware can do — an Intel
@@ -53,13 +76,19 @@ export async function initWebGPU(canvas) {
 
 /**
  * Creates a GPURenderPipeline from WGSL source.
- * Expects 3 separate vertex buffers at slots 0/1/2: position, normal, texcoord.
+ * Expects 6 separate vertex buffers at slots 0-5: position, normal,
+ * texcoord, tangent, second texcoord, colour.
  * @param {GPUDevice} device
  * @param {string} wgslSource
  * @param {GPUTextureFormat} format - Canvas swap-chain format
+ * @param {object} [options]
+ * @param {boolean} [options.blend=false] - Alpha-blended variant for glTF BLEND
+ *        materials: source-over blending and depth testing without depth writes.
+ * @param {GPUPrimitiveTopology} [options.topology='triangle-list'] - 'point-list'
+ *        or 'line-list' for glTF point and line primitives, drawn without culling.
  * @returns {GPURenderPipeline}
  */
-export function createRenderPipeline(device, wgslSource, format) {
+export function createRenderPipeline(device, wgslSource, format, { blend = false, topology = 'triangle-list' } = {}) {
     const shaderModule = device.createShaderModule({ code: wgslSource });
 
     return device.createRenderPipeline({
@@ -74,20 +103,27 @@ export function createRenderPipeline(device, wgslSource, format) {
                 { arrayStride: 12, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] },
                 // slot 2: texcoord (vec2<f32>)
                 { arrayStride: 8,  attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x2' }] },
+                // slot 3: tangent (vec4<f32>, w = bitangent sign; all zero when absent)
+                { arrayStride: 16, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x4' }] },
+                // slot 4: second texcoord set (vec2<f32>; the first set again when absent)
+                { arrayStride: 8,  attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x2' }] },
+                // slot 5: linear RGBA vertex colour (vec4<f32>; the tangents stand in, unread, when absent)
+                { arrayStride: 16, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32x4' }] },
             ],
         },
         fragment: {
             module: shaderModule,
             entryPoint: 'fs_main',
-            targets: [{ format }],
+            targets: [blend ? { format, blend: ALPHA_BLEND } : { format }],
         },
         primitive: {
-            topology: 'triangle-list',
-            cullMode: 'back',
+            topology,
+            // Points and lines have no facing to cull by.
+            cullMode: topology === 'triangle-list' ? 'back' : 'none',
         },
         depthStencil: {
-            format: 'depth24plus',
-            depthWriteEnabled: true,
+            format: DEPTH_FORMAT,
+            depthWriteEnabled: !blend,
             depthCompare: 'less',
         },
     });
@@ -108,6 +144,23 @@ export function createVertexBuffer(device, data) {
     return buffer;
 }
 
+/**
+ * Creates a GPU storage buffer and uploads data.
+ * @param {GPUDevice} device
+ * @param {ArrayBufferView} data
+ * @param {number} [extraUsage] OR-ed into STORAGE | COPY_DST, e.g. VERTEX for
+ *        buffers a compute pass writes and a render pass then draws.
+ * @returns {GPUBuffer}
+ */
+export function createStorageBuffer(device, data, extraUsage = 0) {
+    const buffer = device.createBuffer({
+        size: data.byteLength,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | extraUsage,
+    });
+    device.queue.writeBuffer(buffer, 0, data);
+    return buffer;
+}
+
 /**
  * Creates a GPU index buffer and uploads data.
  * @param {GPUDevice} device
@@ -171,9 +224,73 @@ export function createSampler(device) {
     });
 }
 
+/**
+ * Creates the sampler for equirectangular environment maps: trilinear, with
+ * longitude wrapping around the seam and latitude clamped at the poles.
+ * @param {GPUDevice} device
+ * @returns {GPUSampler}
+ */
+export function createEnvironmentSampler(device) {
+    return device.createSampler({
+        magFilter: 'linear',
+        minFilter: 'linear',
+        mipmapFilter: 'linear',
+        addressModeU: 'repeat',
+        addressModeV: 'clamp-to-edge',
+    });
+}
+
+const float16Scratch = new Float32Array(1);
+const float16Bits = new Uint32Array(float16Scratch.buffer);
+
+/** Rounds a float to the nearest IEEE half, saturating to the largest finite value. */
+function toFloat16(value) {
+    float16Scratch[0] = value;
+    const bits = float16Bits[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+    const mantissa = bits & 0x7fffff;
+    if (exponent >= 0x1f) return (bits & 0x7fffffff) > 0x7f800000 ? sign | 0x7e00 : sign | 0x7bff;
+    if (exponent <= 0) {
+        if (exponent < -10) return sign;
+        const shifted = (mantissa | 0x800000) >>> (1 - exponent);
+        return sign | ((shifted + 0x1000) >>> 13);
+    }
+    return (sign | (exponent << 10) | (mantissa >>> 13)) + ((mantissa >>> 12) & 1);
+}
+
+/**
+ * Uploads an RGBA float mip chain (for example prefilterSpecular() output)
+ * as one rgba16float texture.
+ * @param {GPUDevice} device
+ * @param {{width: number, height: number, data: Float32Array}[]} levels
+ * @returns {GPUTexture}
+ */
+export function createEnvironmentTexture(device, levels) {
+    if (!levels?.length) throw new Error('Environment texture requires at least one level.');
+    const texture = device.createTexture({
+        size: [levels[0].width, levels[0].height, 1],
+        mipLevelCount: levels.length,
+        format: ENVIRONMENT_TEXTURE_FORMAT,
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+    });
+    levels.forEach(({ width, height, data }, mipLevel) => {
+        const halves = new Uint16Array(width * height * 4);
+        for (let i = 0; i < halves.length; i++) halves[i] = toFloat16(data[i]);
+        device.queue.writeTexture(
+            { texture, mipLevel },
+            halves,
+            { bytesPerRow: width * 8 },
+            [width, height, 1],
+        );
+    });
+    return texture;
+}
+
 /**
  * Creates a depth texture for the render pass.
- * Must be recreated whenever the canvas is resized.
+ * Must be recreated whenever the canvas is resized. Also bindable as a
+ * texture, so the tile splat compositor can read the meshes' depth.
  * @param {GPUDevice} device
  * @param {number} width
  * @param {number} height
@@ -182,8 +299,8 @@ export function createSampler(device) {
 export function createDepthTexture(device, width, height) {
     return device.createTexture({
         size: [width, height, 1],
-        format: 'depth24plus',
-        usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        format: DEPTH_FORMAT,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
     });
 }
 
@@ -226,7 +343,12 @@ export function createTextureFromImageBitmap(device, imageBitmap) {
 
 /**
  * Creates a bind group for the default pipeline (group 0).
- * Bindings: (0) matrix UB, (1) material UB, (2) sampler, (3) texture view.
+ * Bindings: (0) matrix UB, (1) material UB, (2) sampler, (3) base-colour
+ * texture, (4) normal map, (5) metallic-roughness map, (6) occlusion map,
+ * (7) environment UB, (8) prefiltered specular environment, (9) its sampler,
+ * (10) punctual lights UB.
+ * Callers bind a placeholder for absent maps; the material's textureFlags
+ * say which ones to sample, and the environment uniform whether IBL is on.
  * @param {GPUDevice} device
  * @param {GPURenderPipeline} pipeline
  * @param {object} resources
@@ -234,9 +356,28 @@ export function createTextureFromImageBitmap(device, imageBitmap) {
  * @param {GPUBuffer} resources.materialBuffer
  * @param {GPUSampler} resources.sampler
  * @param {GPUTexture} resources.texture
+ * @param {GPUTexture} resources.normalTexture
+ * @param {GPUTexture} resources.metallicRoughnessTexture
+ * @param {GPUTexture} resources.occlusionTexture
+ * @param {GPUBuffer} resources.environmentBuffer
+ * @param {GPUTexture} resources.environmentTexture
+ * @param {GPUSampler} resources.environmentSampler
+ * @param {GPUBuffer} resources.lightsBuffer
  * @returns {GPUBindGroup}
  */
-export function createBindGroup(device, pipeline, { matrixBuffer, materialBuffer, sampler, texture }) {
+export function createBindGroup(device, pipeline, {
+    matrixBuffer,
+    materialBuffer,
+    sampler,
+    texture,
+    normalTexture,
+    metallicRoughnessTexture,
+    occlusionTexture,
+    environmentBuffer,
+    environmentTexture,
+    environmentSampler,
+    lightsBuffer,
+}) {
     return device.createBindGroup({
         layout: pipeline.getBindGroupLayout(0),
         entries: [
@@ -244,6 +385,13 @@ export function createBindGroup(device, pipeline, { matrixBuffer, materialBuffer
             { binding: 1, resource: { buffer: materialBuffer } },
             { binding: 2, resource: sampler },
             { binding: 3, resource: texture.createView() },
+            { binding: 4, resource: normalTexture.createView() },
+            { binding: 5, resource: metallicRoughnessTexture.createView() },
+            { binding: 6, resource: occlusionTexture.createView() },
+            { binding: 7, resource: { buffer: environmentBuffer } },
+            { binding: 8, resource: environmentTexture.createView() },
+            { binding: 9, resource: environmentSampler },
+            { binding: 10, resource: { buffer: lightsBuffer } },
         ],
     });
 }
@@ -9,17 +9,86 @@
  * differs per drawable kind lives in a Renderer (see ./renderers/). Adding a
  * new drawable kind is a new Renderer subclass plus a registry entry — the
  * core does not change.
+ *
+ * Raster drawables hang off a scene graph (see ./scene-graph.js): every node
+ * carrying a drawable is recorded each frame with its world matrix as
+ * `frame.modelMatrix`. `loadGeometry` keeps its replace-the-asset semantics by
+ * swapping the drawable of one "primary" node; extra nodes sit beside it.
+ *
+ * Raster frames are composed here rather than by each renderer: passes run in
+ * RASTER_KIND_ORDER against one depth attachment owned by the core
+ * (`frame.depthView`). Opaque meshes write depth first; splats then test
+ * against it read-only and blend on top, so a mesh placed inside a scanned
+ * splat environment occludes and is occluded correctly. All mesh nodes share
+ * one MeshRenderer.recordNodes() pass, so BLEND primitives sort across nodes.
+ *
+ * Skinned and morphed meshes are posed here too: before any pass is recorded,
+ * GpuMeshDeformer rewrites their vertex buffers for the current joint
+ * matrices and morph weights, so the mesh and hybrid G-buffer pipelines draw
+ * them like any rigid mesh. Animation players (`drawable.animation`) advance
+ * just before that, so deformation follows the same frame's pose.
+ *
+ * Imported KHR_lights_punctual lights (`drawable.lights`) of every mesh node
+ * light raster meshes in place of the default light, placed each frame by the
+ * user model × their node's world matrix. Hybrid shading has one shadowed
+ * light, so it takes the strongest of them (see strongestLight()).
  */
-import { createIdentityMatrix, createPerspectiveMatrix } from './matrix.js';
+import { createProjectionMatrix } from './camera.js';
+import { createIdentityMatrix, multiplyMatrices } from './matrix.js';
+import { createDepthTexture } from './webgpu-helpers.js';
+import { createSceneGraph, ROOT_NODE_ID } from './scene-graph.js';
 import { MeshRenderer } from './renderers/mesh-renderer.js';
 import { SplatRenderer } from './renderers/splat-renderer.js';
 import { SplatTileRenderer } from './renderers/splat-tile-renderer.js';
 import { RayTraceRenderer } from './renderers/raytrace-renderer.js';
 import { HybridShadowRenderer } from './renderers/hybrid-shadow-renderer.js';
 import { GpuTimer } from './gpu-timer.js';
+import { GpuMeshDeformer } from './gpu-deformation.js';
+import { posePunctualLight } from './gltf-lights.js';
+
+// Raster passes are recorded grouped by kind in this order, so opaque meshes
+// land before the blended splats composited over them.
+const RASTER_KIND_ORDER = Object.freeze(['mesh', 'splat']);
+
+/** Hybrid setLight() input for an imported light, placed by the user model. */
+function hybridLightFrom(light, userModel) {
+    return {
+        type: light.type,
+        ...posePunctualLight(light, userModel),
+        color: light.color,
+        intensity: light.intensity,
+        range: light.range,
+        innerConeAngle: light.innerConeAngle,
+        outerConeAngle: light.outerConeAngle,
+    };
+}
+
+/**
+ * The light hybrid mode shades with: the one of highest intensity × brightest
+ * colour channel. Hybrid shadows trace a single light; the rest go unused.
+ */
+function strongestLight(lights) {
+    const strength = (light) => light.intensity * Math.max(...light.color);
+    return lights.reduce((best, light) => (!best || strength(light) > strength(best) ? light : best), null);
+}
+
+/** Rough world-space radius of a drawable placed by `worldMatrix`, for near/far fitting. */
+function placedRadius(drawable, worldMatrix) {
+    const radius = drawable?.bounds?.radius ?? 0;
+    if (!worldMatrix) return radius;
+    const scale = Math.max(
+        Math.hypot(worldMatrix[0], worldMatrix[1], worldMatrix[2]),
+        Math.hypot(worldMatrix[4], worldMatrix[5], worldMatrix[6]),
+        Math.hypot(worldMatrix[8], worldMatrix[9], worldMatrix[10]),
+    );
+    return radius * scale + Math.hypot(worldMatrix[12], worldMatrix[13], worldMatrix[14]);
+}
 
 export function createWebGPUScene(device, context, format, canvas, camera) {
-    let rasterDrawable = null;
+    const graph = createSceneGraph();
+    // Node whose drawable loadGeometry() replaces; created on first load.
+    let primaryNodeId = null;
+    let rasterDrawable = null; // the primary node's drawable
     let rayDrawable = null;
     let renderMode = 'raster';
     let active = true; // Set to false permanently by destroy().
@@ -29,6 +98,11 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
     let fpsAccum = 0, fpsCount = 0, displayFps = 0, displayMs = 0;
     let rafPending = false; // Guard against rAF loop accumulation
 
+    // Frame depth attachment shared by every raster pass (see file header).
+    let depthTexture = null;
+    let depthWidth = 0;
+    let depthHeight = 0;
+
     // Real frame-time measurement (CPU) + per-pass GPU timing (timestamp queries).
     let lastFrameTime = 0;
     const gpuTimer = new GpuTimer(device);
@@ -42,6 +116,7 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
     const splatTileRenderer = new SplatTileRenderer(device, format);
     const rayTraceRenderer = new RayTraceRenderer(device, format);
     const hybridShadowRenderer = new HybridShadowRenderer(device, format);
+    const deformer = new GpuMeshDeformer(device);
     let rayShaderReady = false;
     let hybridShadersReady = false;
     let hybridShadowReady = false;
@@ -64,18 +139,87 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
         return renderMode === 'raytrace-gpu' ? rayDrawable : rasterDrawable;
     }
 
+    // A drawable may be attached to several nodes; its GPU resources are only
+    // released once the last node holding it lets go.
+    function releaseRasterDrawable(drawable) {
+        if (!drawable || graph.findNodeByDrawable(drawable) != null) return;
+        if (drawable.kind === 'splat') {
+            // Either splat renderer may hold per-drawable state whichever is
+            // active; SplatRenderer also frees the drawable's own buffers.
+            splatTileRenderer.releaseDrawable(drawable);
+            splatRenderer.releaseDrawable(drawable);
+        } else {
+            rendererFor(drawable, 'raster')?.releaseDrawable(drawable);
+        }
+        if ((drawable.kind ?? 'mesh') === 'mesh') {
+            hybridShadowRenderer.releaseDrawable(drawable);
+            deformer.releaseDrawable(drawable);
+        }
+    }
+
+    // Renderers keep per-node state (uniforms, splat sort order) for each node
+    // a drawable is drawn through; a node letting go of the drawable frees its
+    // share even while other nodes keep drawing it.
+    function releaseNodeState(nodeId, drawable) {
+        if (!drawable || nodeId == null) return;
+        if (drawable.kind === 'splat') {
+            splatTileRenderer.releaseNode(drawable, nodeId);
+            splatRenderer.releaseNode(drawable, nodeId);
+        } else {
+            rendererFor(drawable, 'raster')?.releaseNode(drawable, nodeId);
+        }
+    }
+
+    function prepareRasterDrawable(drawable) {
+        if (renderMode === 'raster') rendererFor(drawable, 'raster')?.prepare(drawable);
+    }
+
     function setRasterDrawable(next) {
         if (next === rasterDrawable) return;
         const previous = rasterDrawable;
+        if (primaryNodeId == null) primaryNodeId = graph.addNode({ name: 'primary' });
+        graph.setNodeDrawable(primaryNodeId, next);
+        graph.setNodeName(primaryNodeId, next?._debug?.name || 'primary');
         rasterDrawable = next;
-        if (previous) {
-            rendererFor(previous, 'raster')?.releaseDrawable(previous);
-            if ((previous.kind ?? 'mesh') === 'mesh') hybridShadowRenderer.releaseDrawable(previous);
-        }
+        releaseNodeState(primaryNodeId, previous);
+        releaseRasterDrawable(previous);
         if (renderMode !== 'raytrace-gpu') rendererFor(rasterDrawable, renderMode)?.prepare(rasterDrawable);
         forceUpdate({ reinitScript: true });
     }
 
+    /** Imported lights of every mesh node, re-based onto the node's world matrix. */
+    function placedLights() {
+        return graph.drawableNodes()
+            .filter(({ drawable }) => (drawable.kind ?? 'mesh') === 'mesh' && drawable.lights?.length)
+            .flatMap(({ drawable, worldMatrix }) => drawable.lights.map((light) => (
+                worldMatrix ? { ...light, worldMatrix: multiplyMatrices(worldMatrix, light.worldMatrix) } : light
+            )));
+    }
+
+    /**
+     * This frame's raster work: every graph node with a drawable its kind's
+     * renderer can handle, grouped by RASTER_KIND_ORDER. Hybrid and GPU ray
+     * modes render only their retained drawable.
+     */
+    function drawList() {
+        if (renderMode !== 'raster') {
+            const current = getDrawable();
+            const renderer = rendererFor(current);
+            return current && renderer ? [{ drawable: current, renderer, worldMatrix: null }] : [];
+        }
+        const entries = graph.drawableNodes()
+            .map((node) => ({ ...node, renderer: rendererFor(node.drawable, 'raster') }))
+            .filter((entry) => entry.renderer);
+        const rank = (entry) => {
+            const index = RASTER_KIND_ORDER.indexOf(entry.drawable.kind ?? 'mesh');
+            return index < 0 ? RASTER_KIND_ORDER.length : index;
+        };
+        return entries
+            .map((entry, order) => ({ entry, order }))
+            .sort((a, b) => rank(a.entry) - rank(b.entry) || a.order - b.order)
+            .map(({ entry }) => entry);
+    }
+
     function setRayDrawable(next) {
         if (next === rayDrawable) return;
         const previous = rayDrawable;
@@ -105,6 +249,15 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
         }
     }
 
+    function ensureDepthTexture(width, height) {
+        if (depthTexture && depthWidth === width && depthHeight === height) return depthTexture;
+        depthTexture?.destroy?.();
+        depthTexture = createDepthTexture(device, width, height);
+        depthWidth = width;
+        depthHeight = height;
+        return depthTexture;
+    }
+
     function forceUpdate({ reinitScript = false } = {}) {
         if (!active || paused) return;
         if (reinitScript) {
@@ -152,9 +305,8 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             }
         }
 
-        const current = getDrawable();
-        const renderer = rendererFor(current);
-        if (!renderer || !current) {
+        const entries = drawList();
+        if (!entries.length) {
             return;
         }
 
@@ -166,15 +318,17 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
         }
 
         // --- Shared per-frame state (computed once for every renderer) ---
-        const fieldOfView = 45 * Math.PI / 180;
         const aspect = width / height;
         // Fit near/far to the scene's scale so large scanned meshes (coords in the
         // hundreds) aren't clipped by a fixed 100-unit far plane; small scenes
         // (cube/sphere/splat, ~unit-scale) keep the original 0.1 / 100 range.
-        const boundsRadius = current?.bounds?.radius ?? 0;
+        const boundsRadius = entries.reduce(
+            (radius, entry) => Math.max(radius, placedRadius(entry.drawable, entry.worldMatrix)),
+            0,
+        );
         const zFar = Math.max(100, (camera.zoom + boundsRadius) * 2 + 10);
         const zNear = Math.max(0.1, zFar / 1000);
-        const projectionMatrix = createPerspectiveMatrix(fieldOfView, aspect, zNear, zFar);
+        const projectionMatrix = createProjectionMatrix(camera, aspect, zNear, zFar);
 
         camera.updateViewMatrix();
         const viewMatrix = camera.getViewMatrix();
@@ -187,6 +341,8 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
 
         const encoder = device.createCommandEncoder();
         const targetView = context.getCurrentTexture().createView();
+        // Hybrid and GPU ray modes manage their own targets.
+        const depthView = renderMode === 'raster' ? ensureDepthTexture(width, height).createView() : null;
         const frame = {
             device,
             encoder,
@@ -199,13 +355,49 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             deltaTime,
             sceneState,
             gpuTimer,
+            depthView,
         };
 
-        renderer.record(frame, current);
+        // Animate, then deform, once per drawable, ahead of every pass that draws it.
+        if (renderMode !== 'raytrace-gpu') {
+            for (const drawable of new Set(entries.map((entry) => entry.drawable))) {
+                drawable.animation?.update(deltaTime);
+                if ((drawable.kind ?? 'mesh') === 'mesh') deformer.record(frame, drawable);
+            }
+        }
+        // Both paths apply the user model on top (see hybridLightFrom and MeshRenderer).
+        const lights = placedLights();
+        meshRenderer.setLights(lights);
+        const hybridLight = renderMode === 'hybrid-shadows' ? strongestLight(lights) : null;
+        if (hybridLight) {
+            hybridShadowRenderer.setLight(hybridLightFrom(hybridLight, sceneState.modelViewMatrix));
+        }
+
+        // The first pass clears color and depth; later ones composite over it.
+        // Raster mesh nodes share one pass so their blended primitives sort together.
+        const meshEntries = renderMode === 'raster'
+            ? entries.filter((entry) => entry.renderer === meshRenderer)
+            : [];
+        if (meshEntries.length) {
+            meshRenderer.recordNodes({ ...frame, loadOp: 'clear' }, meshEntries.map((entry) => ({
+                drawable: entry.drawable,
+                modelMatrix: entry.worldMatrix ?? null,
+                nodeId: entry.id ?? null,
+            })));
+        }
+        entries.filter((entry) => !meshEntries.includes(entry)).forEach((entry, index) => {
+            entry.renderer.record({
+                ...frame,
+                modelMatrix: entry.worldMatrix ?? null,
+                nodeId: entry.id ?? null,
+                loadOp: index === 0 && !meshEntries.length ? 'clear' : 'load',
+            }, entry.drawable);
+        });
 
         gpuTimer.resolve(encoder);
         device.queue.submit([encoder.finish()]);
         gpuTimer.readback(); // async; not awaited (single-flight)
+        splatTileRenderer.readback(); // scan totals that size next frame's tile buffers
 
         // Measure actual frame time.
         const frameEndTime = performance.now();
@@ -243,8 +435,8 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             forceUpdate();
         },
 
-        updatePipeline(newPipeline) {
-            meshRenderer.setPipeline(newPipeline);
+        updatePipeline(newPipeline, blendPipeline = null, topologyPipelines = {}) {
+            meshRenderer.setPipeline(newPipeline, blendPipeline, topologyPipelines);
             if (renderMode === 'raster') rendererFor(rasterDrawable, 'raster')?.prepare(rasterDrawable);
             forceUpdate();
         },
@@ -256,14 +448,14 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
 
         setSplatShaders(splatWgsl, sortWgsl, cullWgsl, radixWgsl) {
             if (!splatWgsl || !sortWgsl) return;
+            // Rebuilds every node's splat slot against the new pipelines.
             splatRenderer.setShaders(splatWgsl, sortWgsl, cullWgsl, radixWgsl);
-            if (rasterDrawable?.kind === 'splat') splatRenderer.prepare(rasterDrawable);
             forceUpdate();
         },
 
         setSplatReduction(mode) {
+            // Like setSort(), prepares the incoming reduction for every slot.
             splatRenderer.setReduction(mode);
-            if (rasterDrawable?.kind === 'splat') splatRenderer.prepare(rasterDrawable);
             forceUpdate();
         },
 
@@ -274,9 +466,9 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             forceUpdate();
         },
 
-        setTileShaders(blitWgsl, tileRenderWgsl) {
-            if (!blitWgsl || !tileRenderWgsl) return;
-            splatTileRenderer.setShaders(blitWgsl, tileRenderWgsl);
+        setTileShaders(blitWgsl, tileRenderWgsl, radixWgsl) {
+            if (!blitWgsl || !tileRenderWgsl || !radixWgsl) return;
+            splatTileRenderer.setShaders(blitWgsl, tileRenderWgsl, radixWgsl);
             if (rasterDrawable?.kind === 'splat' && activeSplatRenderer === splatTileRenderer) {
                 splatTileRenderer.prepare(rasterDrawable);
             }
@@ -290,6 +482,7 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
 
         setSplatShDegree(degree) {
             splatRenderer.setMaxShDegree(degree);
+            splatTileRenderer.setMaxShDegree(degree);
             forceUpdate();
         },
 
@@ -320,11 +513,29 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             return true;
         },
 
+        setMeshDeformShader(meshDeformWgsl) {
+            if (!meshDeformWgsl) return false;
+            deformer.setShader(meshDeformWgsl);
+            forceUpdate();
+            return true;
+        },
+
+        /**
+         * While mesh nodes carry imported lights, the strongest of them keeps
+         * driving the light's type, placement and colour (hybrid shades with
+         * one light; the others are ignored); ambient and exposure still apply.
+         */
         setHybridLight(light) {
             hybridShadowRenderer.setLight(light);
             forceUpdate();
         },
 
+        /** Raster image-based lighting; null restores the flat ambient term. */
+        setEnvironmentLighting(lighting) {
+            meshRenderer.setEnvironment(lighting);
+            forceUpdate();
+        },
+
         setRenderMode(nextMode) {
             if (nextMode !== 'raster' && nextMode !== 'raytrace-gpu' && nextMode !== 'hybrid-shadows') {
                 throw unsupportedMode(`Unsupported WebGPU render mode: ${nextMode}`);
@@ -370,6 +581,12 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             forceUpdate();
         },
 
+        updateRayMaterials(target, packed, ranges) {
+            if (target !== rayDrawable) throw new Error('Material update target is not the retained ray drawable.');
+            rayTraceRenderer.updateMaterials(target, packed, ranges);
+            forceUpdate();
+        },
+
         readRayAccumulation: () => rayTraceRenderer.readAccumulation(),
         readRayDiagnostics: () => rayTraceRenderer.readDiagnostics(),
 
@@ -391,7 +608,7 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
          * @returns {Promise<{frames:number, medianMs:number, meanMs:number, minMs:number, maxMs:number}|null>}
          */
         async measureFrameCost({ frames = 20, warmup = 3 } = {}) {
-            if (!getDrawable() || !rendererFor(getDrawable())) return null;
+            if (!drawList().length) return null;
             const wasActive = active;
             active = false; // suspend the rAF loop
             try {
@@ -428,6 +645,66 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             setRasterDrawable(newDrawable);
         },
 
+        /**
+         * Adds a scene-graph node, optionally carrying a drawable, beside the
+         * primary one. See createSceneGraph().addNode for the accepted options.
+         * @returns {number} node id
+         */
+        addNode(options = {}) {
+            const id = graph.addNode(options);
+            if (options.drawable) prepareRasterDrawable(options.drawable);
+            forceUpdate();
+            return id;
+        },
+
+        /** Removes a node and its subtree, releasing drawables no other node holds. */
+        removeNode(id) {
+            const attached = graph.drawableNodes();
+            const removed = graph.removeNode(id);
+            for (const node of attached) {
+                if (!graph.hasNode(node.id)) releaseNodeState(node.id, node.drawable);
+            }
+            if (primaryNodeId != null && !graph.hasNode(primaryNodeId)) {
+                primaryNodeId = null;
+                rasterDrawable = null;
+            }
+            for (const drawable of removed) releaseRasterDrawable(drawable);
+            forceUpdate();
+        },
+
+        reparentNode(id, parentId = ROOT_NODE_ID, options) {
+            graph.reparentNode(id, parentId, options);
+            forceUpdate();
+        },
+
+        setNodeTransform(id, transform) {
+            graph.setNodeTransform(id, transform);
+            forceUpdate();
+        },
+
+        /** Swaps the drawable on a node; the replaced one is released if unshared. */
+        setNodeDrawable(id, drawable) {
+            if (id === primaryNodeId) {
+                setRasterDrawable(drawable);
+                return;
+            }
+            const previous = graph.setNodeDrawable(id, drawable);
+            if (previous !== drawable) releaseNodeState(id, previous);
+            releaseRasterDrawable(previous);
+            if (drawable) prepareRasterDrawable(drawable);
+            forceUpdate();
+        },
+
+        hasNode: (id) => graph.hasNode(id),
+        listNodes: () => graph.listNodes(),
+        findNodeByName: (name) => graph.findNodeByName(name),
+        getNodeWorldMatrix: (id) => graph.getWorldMatrix(id),
+        getPrimaryNodeId: () => primaryNodeId,
+        /** Every node carrying a drawable, with its world matrix (see createSceneGraph().drawableNodes). */
+        drawableNodes: () => graph.drawableNodes(),
+        /** The model matrix the scene script last set, placing every raster drawable. */
+        getUserModelMatrix: () => sceneState.modelViewMatrix ?? createIdentityMatrix(),
+
         loadRayGeometry(newDrawable) {
             setRayDrawable(newDrawable);
         },
@@ -456,14 +733,19 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             }
             const isSplat = drawable?.kind === 'splat';
             const info = isSplat ? activeSplatRenderer.getReductionInfo?.() : null;
-            const total = isSplat ? drawable.count : 0;
+            const nodeDrawables = graph.drawableNodes().map((node) => node.drawable);
+            const total = nodeDrawables.reduce((sum, d) => sum + (d.kind === 'splat' ? d.count : 0), 0);
             return {
                 backend: 'webgpu',
                 renderMode,
                 fps: displayFps,
                 frameMs: displayMs,
                 drawableKind: drawable?.kind ?? 'none',
-                triangleCount: drawable?.kind === 'mesh' ? drawable.vertexCount / 3 : 0,
+                nodeCount: graph.size,
+                triangleCount: nodeDrawables.reduce(
+                    (sum, d) => sum + ((d.kind ?? 'mesh') === 'mesh' ? (d.vertexCount ?? 0) / 3 : 0),
+                    0,
+                ),
                 splatCount: total,
                 reductionMode: info?.mode ?? 'none',
                 sortMode: info?.sort ?? 'bitonic',
@@ -478,17 +760,18 @@ export function createWebGPUScene(device, context, format, canvas, camera) {
             destroyed = true;
             active = false;
             paused = true;
-            if (rasterDrawable) {
-                rendererFor(rasterDrawable, 'raster')?.releaseDrawable(rasterDrawable);
-                if ((rasterDrawable.kind ?? 'mesh') === 'mesh') hybridShadowRenderer.releaseDrawable(rasterDrawable);
-            }
+            for (const drawable of new Set(graph.clear())) releaseRasterDrawable(drawable);
+            primaryNodeId = null;
             if (rayDrawable) rayTraceRenderer.releaseDrawable(rayDrawable);
             meshRenderer.destroy();
             splatRenderer.destroy();
             splatTileRenderer.destroy();
             rayTraceRenderer.destroy();
             hybridShadowRenderer.destroy();
+            deformer.destroy();
             gpuTimer.destroy();
+            depthTexture?.destroy?.();
+            depthTexture = null;
             rasterDrawable = null;
             rayDrawable = null;
         },
@@ -10,6 +10,8 @@ import { createCpuRayWorker } from '@engine/raytracing/cpu/cpu-ray-worker-client
 import { createRayTracingCoordinator } from '@engine/raytracing-coordinator.js'
 import { createDefaultCube, createDefaultTexturedCube, createSphere, createTexturedSphere } from '@engine/geometry.js'
 import { createWebGPUGeometryFactory } from '@engine/webgpu-facade.js'
+import { parseRadianceHdr } from '@engine/hdr-loader.js'
+import { createEnvironmentMap } from '@engine/raytracing/core/environment-map.js'
 import checkerboardTextureUrl from '@assets/checkerboard-texture.png'
 import defaultVert from '@assets/shaders/default.vert?raw'
 import defaultFrag from '@assets/shaders/default.frag?raw'
@@ -24,6 +26,7 @@ import raytraceWgsl from '@assets/shaders/raytrace.wgsl?raw'
 import hybridGbufferWgsl from '@assets/shaders/hybrid-gbuffer.wgsl?raw'
 import hybridCompositeWgsl from '@assets/shaders/hybrid-composite.wgsl?raw'
 import hybridShadowWgsl from '@assets/shaders/hybrid-shadow.wgsl?raw'
+import meshDeformWgsl from '@assets/shaders/mesh-deform.wgsl?raw'
 import defaultScript from '@scripts/scene-script.js?raw'
 import logoJpg from '@assets/logo/drishyam3d_logo.jpg'
 import { setupSettings } from '@engine/settings.js'
@@ -37,6 +40,8 @@ import {
 } from '@engine/scene-ops.js'
 import { ViewportCanvases } from './components/ViewportCanvases.jsx'
 import { RayTracingControls } from './components/RayTracingControls.jsx'
+import { AnimationTimeline } from './components/AnimationTimeline.jsx'
+import { MaterialVariantSelector } from './components/MaterialVariantSelector.jsx'
 import {
   DEFAULT_HYBRID_LIGHT,
   DEFAULT_RAY_TRACING_SETTINGS,
@@ -282,6 +287,7 @@ export default function App(){
             hybridGbufferWgsl,
             hybridCompositeWgsl,
             hybridShadowWgsl,
+            meshDeformWgsl,
           }
         : { vertex: fileContents[defaultVertPath], fragment: fileContents[defaultFragPath] }
 
@@ -504,10 +510,14 @@ export default function App(){
   }
 
   // Unified asset load: pick the folder containing the model — the loader finds
-  // the .gltf/.ply inside, auto-loads its companion files (.bin, textures), and
+  // the .gltf/.ply/.splat/.spz inside, auto-loads its companion files (.bin, textures), and
   // infers splat / mesh / glTF. A single-file pick can't read sibling files, so a
   // directory grant is what makes companion auto-loading possible.
-  async function handleLoadAsset(e) {
+  //
+  // `alongside` (WebGPU only) keeps the current scene and adds the asset in its
+  // own scene node — e.g. a CAD mesh inside a scanned splat environment. The ray
+  // sidecar still follows the primary asset, so it is left untouched.
+  async function handleLoadAsset(e, { alongside = false } = {}) {
     e.preventDefault()
     const engine = engineRef.current
     if (!engine) return
@@ -518,27 +528,37 @@ export default function App(){
       await rayCoordinatorRef.current?.setRenderMode('raster')
       let kind
       let drawable
+      let splats
+      let flipY
       if (window.showDirectoryPicker) {
         const dirHandle = await window.showDirectoryPicker()
-        ;({ kind, drawable } = await loadAssetFromDirectory({ engine, dirHandle, flipY: flipSplatY }))
+        ;({ kind, drawable, splats, flipY } = await loadAssetFromDirectory({ engine, dirHandle, flipY: flipSplatY, alongside }))
       } else {
         // Fallback (no directory API): multi-select the model + its companions.
         const isWebGPU = backend === 'webgpu'
         const input = document.querySelector('#model-file-input')
-        input.accept = isWebGPU ? '.ply,.gltf,.bin,image/*' : '.gltf,.bin,image/*'
+        input.accept = isWebGPU ? '.ply,.splat,.spz,.gltf,.bin,image/*' : '.gltf,.bin,image/*'
         input.multiple = true
         const files = await new Promise((resolve) => {
           input.onchange = () => resolve(Array.from(input.files || []))
           input.click()
         })
         if (!files?.length) return
-        ;({ kind, drawable } = await loadAssetFiles({ engine, files, flipY: flipSplatY }))
+        ;({ kind, drawable, splats, flipY } = await loadAssetFiles({ engine, files, flipY: flipSplatY, alongside }))
+      }
+      // glTF splat clouds are already +Y up; keep the toggle on what was loaded.
+      if (flipY !== undefined) setFlipSplatY(flipY)
+      if (alongside) {
+        if (kind === 'splat' || splats) setSplatLoaded(true)
+        setHasModelLoaded(true)
+        setError(null)
+        return
       }
       const rayTraceable = !!drawable?.rayTracing
       await rayCoordinatorRef.current?.setSceneAsset(rayTraceable ? drawable : null)
       setHasRayScene(rayTraceable)
       setHasHybridScene(rayTraceable)
-      setSplatLoaded(kind === 'splat')
+      setSplatLoaded(kind === 'splat' || !!splats)
       setHasModelLoaded(true)
       setError(null)
     } catch (err) {
@@ -549,6 +569,67 @@ export default function App(){
     }
   }
 
+  // An equirectangular Radiance .hdr lights every mode: prefiltered IBL in
+  // raster and hybrid, importance-sampled environment light in both tracers.
+  async function handleLoadEnvironment(e) {
+    e.preventDefault()
+    if (backend !== 'webgpu') return
+    try {
+      const input = document.querySelector('#environment-file-input')
+      const file = await new Promise((resolve) => {
+        input.value = ''
+        input.onchange = () => resolve(input.files?.[0] || null)
+        input.click()
+      })
+      if (!file) return
+      const map = createEnvironmentMap(parseRadianceHdr(await file.arrayBuffer()))
+      rayCoordinatorRef.current?.setEnvironmentMap(map)
+      setError(null)
+    } catch (err) {
+      setError(`Load Environment Error: ${err?.message || String(err)}`)
+    }
+  }
+
+  // Downloads the scene as one .glb: loaded glTF and PLY meshes with their
+  // node, gizmo and scene-script transforms (WebGPU).
+  async function handleExportGltf(e) {
+    e.preventDefault()
+    const engine = engineRef.current
+    if (!engine || typeof engine.exportGltf !== 'function') return
+    try {
+      const glb = await engine.exportGltf()
+      const url = URL.createObjectURL(new Blob([glb], { type: 'model/gltf-binary' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = 'scene.glb'
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), 0)
+      setError(null)
+    } catch (err) {
+      setError(`Export Error: ${err?.message || String(err)}`)
+    }
+  }
+
+  // Downloads the loaded splat cloud as .ply, .splat or .spz, with the Y-flip
+  // and its node and scene-script transforms baked in (WebGPU).
+  async function handleExportSplats(e, format) {
+    e.preventDefault()
+    const engine = engineRef.current
+    if (!engine || typeof engine.exportSplats !== 'function' || !splatLoaded) return
+    try {
+      const bytes = await engine.exportSplats(format)
+      const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `splats.${format}`
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), 0)
+      setError(null)
+    } catch (err) {
+      setError(`Export Error: ${err?.message || String(err)}`)
+    }
+  }
+
   async function handleResetScene(e) {
     e.preventDefault()
     const engine = engineRef.current
@@ -998,8 +1079,35 @@ export default function App(){
                 title={`${SAMPLE_GLTF_MODEL.name} by ${SAMPLE_GLTF_MODEL.creator} · ${SAMPLE_GLTF_MODEL.license} · switches to WebGPU when needed`}
               >Load {SAMPLE_GLTF_MODEL.name} ({SAMPLE_GLTF_MODEL.license})</a>
               <a href="#" onClick={handleLoadAsset} title={backend === 'webgpu'
-                ? "Select the model's folder — the .gltf or .ply inside loads with its .bin/textures automatically (splat vs mesh detected)."
-                : "Select the model's folder — the .gltf inside loads with its .bin/textures. (Switch to WebGPU for .ply splats/meshes.)"}>Load Asset…</a>
+                ? "Select the model's folder — the .gltf, .ply, .splat or .spz inside loads with its .bin/textures automatically (splat vs mesh detected)."
+                : "Select the model's folder — the .gltf inside loads with its .bin/textures. (Switch to WebGPU for .ply/.splat/.spz splats and .ply meshes.)"}>Load Asset…</a>
+              <a
+                href="#"
+                className={backend !== 'webgpu' ? 'disabled' : ''}
+                onClick={(e) => backend === 'webgpu' ? handleLoadAsset(e, { alongside: true }) : e.preventDefault()}
+                title="Add another asset to the current scene — meshes and splat clouds render together with shared depth (WebGPU)."
+              >Add Asset to Scene…</a>
+              <a
+                href="#"
+                className={backend !== 'webgpu' ? 'disabled' : ''}
+                onClick={handleLoadEnvironment}
+                title="Light the scene with an equirectangular Radiance .hdr — image-based lighting in raster, environment light in the path tracers (WebGPU)."
+              >Load Environment (.hdr)…</a>
+              <a
+                href="#"
+                className={backend !== 'webgpu' ? 'disabled' : ''}
+                onClick={(e) => backend === 'webgpu' ? handleExportGltf(e) : e.preventDefault()}
+                title="Save the meshes in the scene, as currently placed and posed, to a single .glb (WebGPU)."
+              >Export Scene (.glb)</a>
+              {['ply', 'splat', 'spz'].map((format) => (
+                <a
+                  key={format}
+                  href="#"
+                  className={backend !== 'webgpu' || !splatLoaded ? 'disabled' : ''}
+                  onClick={(e) => handleExportSplats(e, format)}
+                  title="Save the loaded splat cloud, flipped and placed as shown, converting its format (WebGPU)."
+                >Export Splats (.{format})</a>
+              ))}
               <div className="menu-separator"></div>
               <a href="#" onClick={handleResetScene}>Reset Scene</a>
             </div>
@@ -1147,7 +1255,14 @@ export default function App(){
         <section className="center-panel">
           <ViewportCanvases rasterCanvasRef={canvasRef} cpuCanvasRef={cpuCanvasRef} rasterKey={backend} renderMode={renderMode}>
             <StatsOverlay stats={showStats ? stats : null} />
+            <AnimationTimeline engine={engineReady ? engineRef.current : null} onError={setError} />
+            <MaterialVariantSelector
+              engine={engineReady ? engineRef.current : null}
+              onVariantChange={() => rayCoordinatorRef.current?.refreshSceneAsset()}
+              onError={setError}
+            />
             <input type="file" id="model-file-input" style={{display:'none'}} accept=".zip,.gltf" multiple />
+            <input type="file" id="environment-file-input" style={{display:'none'}} accept=".hdr" />
           </ViewportCanvases>
         </section>
 
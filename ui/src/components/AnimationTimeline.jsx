@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react'
+
+const SPEEDS = [0.25, 0.5, 1, 2]
+
+function formatSeconds(value) {
+  return `${(value || 0).toFixed(2)}s`
+}
+
+// Viewport overlay for glTF animation clips; hidden when the loaded model has none.
+export function AnimationTimeline({ engine, onError }) {
+  const [clips, setClips] = useState([])
+  const [state, setState] = useState(null)
+
+  useEffect(() => {
+    if (!engine || typeof engine.listAnimations !== 'function') {
+      setClips([])
+      setState(null)
+      return
+    }
+    // Polled rather than pushed: loading another model swaps the clip list.
+    const poll = () => {
+      setClips(engine.listAnimations())
+      setState(engine.getAnimationState())
+    }
+    poll()
+    const timer = setInterval(poll, 100)
+    return () => clearInterval(timer)
+  }, [engine])
+
+  if (!clips.length || !state) return null
+
+  const run = (action) => {
+    try {
+      action()
+      setState(engine.getAnimationState())
+    } catch (err) {
+      onError?.(`Animation Error: ${err?.message || String(err)}`)
+    }
+  }
+
+  return (
+    <div className="animation-timeline">
+      <select
+        value={state.clipIndex}
+        aria-label="Animation clip"
+        onChange={(event) => run(() => engine.selectAnimation(Number(event.target.value)))}
+      >
+        {clips.map((clip) => (
+          <option key={clip.index} value={clip.index}>{clip.name}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="ray-choice"
+        onClick={() => run(() => (state.playing ? engine.pauseAnimation() : engine.playAnimation()))}
+      >
+        {state.playing ? 'Pause' : 'Play'}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={state.duration}
+        step={0.01}
+        value={state.time}
+        aria-label="Animation time"
+        onChange={(event) => run(() => engine.seekAnimation(Number(event.target.value)))}
+      />
+      <output className="ray-readout">{formatSeconds(state.time)} / {formatSeconds(state.duration)}</output>
+      <div className="ray-choice-group">
+        {SPEEDS.map((speed) => (
+          <button
+            key={speed}
+            type="button"
+            className={`ray-choice ${state.speed === speed ? 'selected' : ''}`}
+            aria-pressed={state.speed === speed}
+            onClick={() => run(() => engine.setAnimationSpeed(speed))}
+          >
+            {speed}×
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
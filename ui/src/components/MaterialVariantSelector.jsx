@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react'
+
+const DEFAULT_VARIANT = ''
+
+// Viewport overlay for KHR_materials_variants; hidden when the loaded model has none.
+export function MaterialVariantSelector({ engine, onVariantChange, onError }) {
+  const [variants, setVariants] = useState([])
+
+  useEffect(() => {
+    if (!engine || typeof engine.listMaterialVariants !== 'function') {
+      setVariants([])
+      return
+    }
+    // Polled rather than pushed: loading another model swaps the variant list.
+    const poll = () => setVariants(engine.listMaterialVariants())
+    poll()
+    const timer = setInterval(poll, 250)
+    return () => clearInterval(timer)
+  }, [engine])
+
+  if (!variants.length) return null
+
+  const active = variants.find((variant) => variant.active)?.name ?? DEFAULT_VARIANT
+
+  const select = async (name) => {
+    try {
+      engine.setMaterialVariant(name === DEFAULT_VARIANT ? null : name)
+      setVariants(engine.listMaterialVariants())
+      await onVariantChange?.()
+    } catch (err) {
+      onError?.(`Material Variant Error: ${err?.message || String(err)}`)
+    }
+  }
+
+  return (
+    <div className="material-variants">
+      <label htmlFor="material-variant">Variant</label>
+      <select id="material-variant" value={active} onChange={(event) => select(event.target.value)}>
+        <option value={DEFAULT_VARIANT}>Default</option>
+        {variants.map((variant) => (
+          <option key={variant.index} value={variant.name}>{variant.name}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
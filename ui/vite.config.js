@@ -12,7 +12,12 @@ export default defineConfig(({ command, isPreview }) => ({
       '@engine': path.resolve(__dirname, '../scripts/engine'),
       '@scripts': path.resolve(__dirname, '../scripts'),
       '@assets': path.resolve(__dirname, '../assets'),
-      'jszip': path.resolve(__dirname, 'node_modules/jszip/dist/jszip.min.js')
+      'jszip': path.resolve(__dirname, 'node_modules/jszip/dist/jszip.min.js'),
+      'meshoptimizer/decoder': path.resolve(__dirname, 'node_modules/meshoptimizer/meshopt_decoder.mjs'),
+      // three.js's browser builds of the glTF Draco decoder (draco3d's npm build
+      // is Node-only) and the Basis Universal transcoder, loaded on demand.
+      'draco-decoder': path.resolve(__dirname, 'node_modules/three/examples/jsm/libs/draco/gltf'),
+      'basis-transcoder': path.resolve(__dirname, 'node_modules/three/examples/jsm/libs/basis')
     }
   },
   server: {
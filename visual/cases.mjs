@@ -1,8 +1,11 @@
 /**
- * Visual-regression cases: camera pose × SH degree × reduction mode.
+ * Visual-regression cases: camera pose × SH degree × reduction mode × renderer.
  *
  * rotX = pitch (radians), rotY = yaw (radians), zoom = camera distance.
  * sh = evaluated SH degree (0 flat … 3 full). reduction = 'none' | 'culled'.
+ * render = 'instanced' (default) | 'tile'. golden = another case's image to
+ * compare against instead of this case's own — how the tile renderer is held
+ * to the instanced one.
  *
  * Edit freely — each case is one golden image. Names must be filesystem-safe.
  */
@@ -21,4 +24,10 @@ export const cases = [
     // --- Culled reduction: should match None from angles that keep the scene on-screen ---
     { name: 'front-sh3-culled',  rotX: 0.0,  rotY: 0.0,          zoom: 5, sh: 3, reduction: 'culled' },
     { name: 'threeq-sh3-culled', rotX: 0.4,  rotY: 0.8,          zoom: 5, sh: 3, reduction: 'culled' },
+
+    // --- Tile renderer: must match the instanced goldens within the threshold ---
+    { name: 'front-sh3-tile',    rotX: 0.0,  rotY: 0.0,          zoom: 5, sh: 3, reduction: 'none', render: 'tile', golden: 'front-sh3-none' },
+    { name: 'threeq-sh3-tile',   rotX: 0.4,  rotY: 0.8,          zoom: 5, sh: 3, reduction: 'none', render: 'tile', golden: 'threeq-sh3-none' },
+    { name: 'top-sh3-tile',      rotX: 1.1,  rotY: 0.0,          zoom: 5, sh: 3, reduction: 'none', render: 'tile', golden: 'top-sh3-none' },
+    { name: 'threeq-sh0-tile',   rotX: 0.4,  rotY: 0.8,          zoom: 5, sh: 0, reduction: 'none', render: 'tile', golden: 'threeq-sh0-none' },
 ];
@@ -4,8 +4,9 @@
  * @license MIT
  *
  * Drives the running Vite app in real Chrome (WebGPU) at deterministic camera
- * poses / SH degrees / reduction modes, screenshots the canvas, and compares
- * each frame against a golden PNG. Golden images and the test .ply live LOCALLY
+ * poses / SH degrees / reduction modes / splat renderers, screenshots the
+ * canvas, and compares each frame against a golden PNG — its own, or another
+ * case's when it names one (the tile renderer against the instanced goldens). Golden images and the test .ply live LOCALLY
  * and are gitignored — the assets are unlicensed and must not reach GitHub.
  *
  *   npm run visual           compare current renders against goldens (fails on drift)
@@ -102,14 +103,21 @@ for (const c of cases) {
         e.camera.setPose(c.rotX, c.rotY, c.zoom);
         e.setSplatShDegree(c.sh);
         e.setSplatReduction(c.reduction);
+        e.setSplatRenderMode(c.render ?? 'instanced');
     }, c);
     await page.waitForTimeout(config.frameMs);
 
     const shot = await canvas.screenshot();
     fs.writeFileSync(path.join(outputDir, `${c.name}.png`), shot);
-    const goldenPath = path.join(goldenDir, `${c.name}.png`);
+    const goldenPath = path.join(goldenDir, `${c.golden ?? c.name}.png`);
 
-    if (update || !fs.existsSync(goldenPath)) {
+    // A case borrowing another's golden never writes it; it only compares.
+    if (c.golden && !fs.existsSync(goldenPath)) {
+        failures++;
+        rows.push(`  ✗ FAIL     ${c.name}  golden ${c.golden} missing (run its case first)`);
+        continue;
+    }
+    if (!c.golden && (update || !fs.existsSync(goldenPath))) {
         fs.writeFileSync(goldenPath, shot);
         created++;
         rows.push(`  ${update ? '↻ updated' : '＋ created'}  ${c.name}`);